@@ -0,0 +1,35 @@
+// Indexes every existing document and share in the library table that GET /docs reads.
+// Library rows are written as documents and shares change, so a deployment whose documents
+// predate the library runs this once; running it again only rewrites entries that are stale.
+//
+//   npm run library:backfill
+//
+// Settings come from the environment, falling back to local.settings.json.
+
+const fs = require("fs");
+const path = require("path");
+
+function loadLocalSettings() {
+  const file = path.join(__dirname, "..", "local.settings.json");
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8")).Values || {};
+}
+
+async function main() {
+  for (const [name, value] of Object.entries(loadLocalSettings())) {
+    if (process.env[name] === undefined) {
+      process.env[name] = value;
+    }
+  }
+  // Loaded only now so config reads the settings above.
+  const { backfillLibrary } = require("../src/lib/tables");
+  const indexed = await backfillLibrary();
+  console.log(`Indexed ${indexed} document(s) in the library table`);
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,277 @@
+// Local stand-in for Azure Web PubSub, used while running the Functions host locally.
+// It speaks the subset of the json.webpubsub.azure.v1 subprotocol the editor uses
+// (auto-joined groups, joinGroup, leaveGroup, sendToGroup) and accepts the same
+// client access tokens that docs-collab-negotiate signs.
+//
+//   npm run pubsub:local
+//
+// Settings come from the environment, falling back to local.settings.json.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+
+const SUBPROTOCOL = "json.webpubsub.azure.v1";
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const OPCODE_TEXT = 0x1;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xa;
+
+function encodeFrame(opcode, payload) {
+  const body = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+  let header;
+  if (body.length < 126) {
+    header = Buffer.from([0x80 | opcode, body.length]);
+  } else if (body.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(body.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(body.length), 2);
+  }
+  return Buffer.concat([header, body]);
+}
+
+// Returns { opcode, payload, length } for the first complete frame in `buffer`, or null.
+function decodeFrame(buffer) {
+  if (buffer.length < 2) {
+    return null;
+  }
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+  const maskOffset = offset;
+  if (masked) {
+    offset += 4;
+  }
+  if (buffer.length < offset + length) {
+    return null;
+  }
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (masked) {
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= buffer[maskOffset + (i % 4)];
+    }
+  }
+  return { opcode, payload, length: offset + length };
+}
+
+function parseConnectionString(connectionString) {
+  const map = new Map();
+  for (const part of String(connectionString || "").split(";").filter(Boolean)) {
+    const i = part.indexOf("=");
+    if (i > 0) {
+      map.set(part.substring(0, i).toLowerCase(), part.substring(i + 1));
+    }
+  }
+  const endpoint = new URL(map.get("endpoint") || "http://localhost:7072");
+  if (map.get("port")) {
+    endpoint.port = map.get("port");
+  }
+  return { endpoint: endpoint.origin, port: Number(endpoint.port || 80), accessKey: map.get("accesskey") || "" };
+}
+
+function createLocalPubSubServer({ connectionString, hub }) {
+  const { endpoint, accessKey } = parseConnectionString(connectionString);
+  const hubPath = `/client/hubs/${hub}`;
+  const groups = new Map();
+  const connections = new Set();
+
+  function canDo(connection, permission, group) {
+    return connection.roles.includes(`webpubsub.${permission}`) || connection.roles.includes(`webpubsub.${permission}.${group}`);
+  }
+
+  function send(connection, message) {
+    if (!connection.socket.destroyed) {
+      connection.socket.write(encodeFrame(OPCODE_TEXT, JSON.stringify(message)));
+    }
+  }
+
+  function ack(connection, ackId, failure) {
+    if (ackId === undefined) return;
+    send(connection, failure
+      ? { type: "ack", ackId, success: false, error: { name: "Forbidden", message: failure } }
+      : { type: "ack", ackId, success: true });
+  }
+
+  function join(connection, group) {
+    if (!groups.has(group)) {
+      groups.set(group, new Set());
+    }
+    groups.get(group).add(connection);
+    connection.groups.add(group);
+  }
+
+  function leave(connection, group) {
+    const members = groups.get(group);
+    if (members) {
+      members.delete(connection);
+      if (members.size === 0) groups.delete(group);
+    }
+    connection.groups.delete(group);
+  }
+
+  function handleMessage(connection, message) {
+    const { type, group, ackId } = message;
+    if (type === "joinGroup") {
+      if (!canDo(connection, "joinLeaveGroup", group)) return ack(connection, ackId, `Cannot join ${group}`);
+      join(connection, group);
+      return ack(connection, ackId);
+    }
+    if (type === "leaveGroup") {
+      leave(connection, group);
+      return ack(connection, ackId);
+    }
+    if (type === "sendToGroup") {
+      if (!canDo(connection, "sendToGroup", group)) return ack(connection, ackId, `Cannot send to ${group}`);
+      for (const member of groups.get(group) || []) {
+        if (message.noEcho && member === connection) continue;
+        send(member, {
+          type: "message",
+          from: "group",
+          fromUserId: connection.userId,
+          group,
+          dataType: message.dataType || "json",
+          data: message.data
+        });
+      }
+      return ack(connection, ackId);
+    }
+    return ack(connection, ackId, `Unsupported message type ${type}`);
+  }
+
+  function close(connection) {
+    for (const group of [...connection.groups]) {
+      leave(connection, group);
+    }
+    connections.delete(connection);
+    connection.socket.destroy();
+  }
+
+  function reject(socket, status, reason) {
+    socket.end(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+  }
+
+  const server = http.createServer((req, res) => {
+    res.writeHead(426, { "Content-Type": "text/plain" });
+    res.end("WebSocket connections only");
+  });
+
+  server.on("upgrade", (req, socket) => {
+    const url = new URL(req.url, endpoint);
+    const protocols = String(req.headers["sec-websocket-protocol"] || "").split(",").map((p) => p.trim());
+    if (url.pathname !== hubPath || !protocols.includes(SUBPROTOCOL)) {
+      return reject(socket, 400, "Bad Request");
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(url.searchParams.get("access_token") || "", accessKey, {
+        algorithms: ["HS256"],
+        audience: `${endpoint}${hubPath}`
+      });
+    } catch {
+      return reject(socket, 401, "Unauthorized");
+    }
+
+    const acceptKey = crypto.createHash("sha1").update(`${req.headers["sec-websocket-key"]}${WEBSOCKET_GUID}`).digest("base64");
+    socket.write([
+      "HTTP/1.1 101 Switching Protocols",
+      "Upgrade: websocket",
+      "Connection: Upgrade",
+      `Sec-WebSocket-Accept: ${acceptKey}`,
+      `Sec-WebSocket-Protocol: ${SUBPROTOCOL}`,
+      "",
+      ""
+    ].join("\r\n"));
+
+    const connection = {
+      socket,
+      connectionId: crypto.randomUUID(),
+      userId: String(claims.sub || ""),
+      roles: Array.isArray(claims.role) ? claims.role : [],
+      groups: new Set()
+    };
+    connections.add(connection);
+    for (const group of claims["webpubsub.group"] || []) {
+      join(connection, group);
+    }
+    send(connection, { type: "system", event: "connected", userId: connection.userId, connectionId: connection.connectionId });
+
+    let pending = Buffer.alloc(0);
+    socket.on("data", (chunk) => {
+      pending = Buffer.concat([pending, chunk]);
+      let frame;
+      while ((frame = decodeFrame(pending))) {
+        pending = pending.subarray(frame.length);
+        if (frame.opcode === OPCODE_CLOSE) {
+          socket.write(encodeFrame(OPCODE_CLOSE, Buffer.alloc(0)));
+          return close(connection);
+        }
+        if (frame.opcode === OPCODE_PING) {
+          socket.write(encodeFrame(OPCODE_PONG, frame.payload));
+        } else if (frame.opcode === OPCODE_TEXT) {
+          try {
+            handleMessage(connection, JSON.parse(frame.payload.toString("utf8")));
+          } catch {
+            // Malformed client messages are dropped, as the service does.
+          }
+        }
+      }
+    });
+    socket.on("close", () => close(connection));
+    socket.on("error", () => close(connection));
+  });
+
+  server.on("close", () => {
+    for (const connection of [...connections]) close(connection);
+  });
+
+  return server;
+}
+
+function loadLocalSettings() {
+  const file = path.join(__dirname, "..", "local.settings.json");
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8")).Values || {};
+}
+
+if (require.main === module) {
+  const settings = loadLocalSettings();
+  const connectionString = process.env.WEBPUBSUB_CONNECTION_STRING || settings.WEBPUBSUB_CONNECTION_STRING;
+  const hub = process.env.WEBPUBSUB_HUB || settings.WEBPUBSUB_HUB || "annotations";
+  if (!connectionString) {
+    console.error("WEBPUBSUB_CONNECTION_STRING is not set (environment or local.settings.json)");
+    process.exit(1);
+  }
+  const { port } = parseConnectionString(connectionString);
+  createLocalPubSubServer({ connectionString, hub }).listen(port, () => {
+    console.log(`Local Web PubSub stand-in listening on ws://localhost:${port}/client/hubs/${hub}`);
+  });
+}
+
+module.exports = {
+  createLocalPubSubServer,
+  encodeFrame,
+  decodeFrame
+};
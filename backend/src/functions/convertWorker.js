@@ -0,0 +1,130 @@
+const { app } = require("@azure/functions");
+const { config } = require("../lib/config");
+const { decodeQueueMessage } = require("../lib/utils");
+const { getDocument, upsertDocument, updateJob, isoNow } = require("../lib/tables");
+const { getBlobProperties, downloadToBuffer, uploadBuffer, deleteBlob } = require("../lib/storage");
+const { imageBlobNames, inspectPdf } = require("../lib/uploads");
+const { convertImages, validateConvertOptions } = require("../lib/convert");
+const { summarizeErrors } = require("../lib/annotationSchema");
+
+async function deleteImages(imageBlobs, context) {
+  for (const blobName of imageBlobs) {
+    try {
+      await deleteBlob(config.sourceContainer, blobName);
+    } catch (err) {
+      // The cleanup timer gets another go at these if the document is rejected.
+      context.error(`Could not delete image ${blobName}: ${err.message}`);
+    }
+  }
+}
+
+app.storageQueue("convert-worker", {
+  queueName: config.convertQueue,
+  connection: "STORAGE_CONNECTION_STRING",
+  handler: async (message, context) => {
+    const task = decodeQueueMessage(message);
+    const jobId = String(task.jobId || "");
+    const docId = String(task.docId || "");
+    const { options, errors: optionErrors } = validateConvertOptions(task.options);
+
+    if (!jobId || !docId || optionErrors.length > 0) {
+      context.error("Invalid convert message payload");
+      return;
+    }
+
+    try {
+      const doc = await getDocument(docId);
+      // A retry after the PDF was written has nothing left to do.
+      if (doc && doc.status === "ready") {
+        await updateJob(jobId, { status: "completed", updatedAt: isoNow(), error: null });
+        return;
+      }
+      const imageBlobs = doc ? imageBlobNames(doc) : [];
+      if (!doc || doc.status !== "uploading" || imageBlobs.length === 0) {
+        throw new Error("Document is no longer waiting for conversion");
+      }
+
+      await updateJob(jobId, {
+        status: "running",
+        updatedAt: isoNow(),
+        progressDone: 0,
+        progressTotal: imageBlobs.length,
+        attempt: Number(task.attempt || 0)
+      });
+
+      // Bad images fail the same way on every attempt, so this ends the job instead of retrying.
+      const reject = async (reason) => {
+        await deleteImages(imageBlobs, context);
+        await upsertDocument({ docId, status: "rejected", rejectionReason: reason, updatedAt: isoNow() });
+        context.error(`Convert job ${jobId} rejected: ${reason}`);
+        await updateJob(jobId, { status: "failed", updatedAt: isoNow(), error: reason });
+      };
+
+      // The images' write URLs may still be valid, so each one must still be the file
+      // convert-start checked, and their size is checked again before any is read.
+      const imageEtags = Array.isArray(task.imageEtags) ? task.imageEtags : [];
+      let totalBytes = 0;
+      const etags = [];
+      for (const [index, blobName] of imageBlobs.entries()) {
+        const properties = await getBlobProperties(config.sourceContainer, blobName);
+        if (!properties || (imageEtags.length > 0 && properties.etag !== imageEtags[index])) {
+          await reject(`Image ${index + 1} changed after conversion was started`);
+          return;
+        }
+        totalBytes += properties.contentLength;
+        etags.push(properties.etag);
+      }
+      if (totalBytes > config.maxUploadBytes) {
+        await reject(`Images are ${totalBytes} bytes; the limit is ${config.maxUploadBytes}`);
+        return;
+      }
+
+      const images = [];
+      for (const [index, blobName] of imageBlobs.entries()) {
+        try {
+          images.push(await downloadToBuffer(config.sourceContainer, blobName, { ifMatch: etags[index] }));
+        } catch (err) {
+          if (err.statusCode !== 412) throw err;
+          await reject(`Image ${index + 1} changed after conversion was started`);
+          return;
+        }
+        await updateJob(jobId, { updatedAt: isoNow(), progressDone: index + 1 });
+      }
+
+      const names = imageBlobs.map((blobName) => blobName.split("/").pop());
+      const result = await convertImages(images, options, names);
+      const checked = result.errors.length === 0 ? await inspectPdf(result.buffer) : null;
+      if (!checked || !checked.ok) {
+        await reject(checked ? checked.reason : summarizeErrors(result.errors));
+        return;
+      }
+
+      await uploadBuffer(config.sourceContainer, doc.sourceBlobName, result.buffer, "application/pdf");
+      await upsertDocument({
+        docId,
+        status: "ready",
+        pageCount: checked.pageCount,
+        byteSize: checked.byteSize,
+        sha256: checked.sha256,
+        imageBlobs: "[]",
+        updatedAt: isoNow()
+      });
+      await deleteImages(imageBlobs, context);
+
+      context.log(`Convert job ${jobId}: ${imageBlobs.length} images into ${checked.pageCount} pages`);
+      await updateJob(jobId, {
+        status: "completed",
+        updatedAt: isoNow(),
+        error: null
+      });
+    } catch (err) {
+      context.error(`Convert worker failed for job ${jobId}: ${err.message}`);
+      await updateJob(jobId, {
+        status: "failed",
+        updatedAt: isoNow(),
+        error: err.message
+      });
+      throw err;
+    }
+  }
+});
@@ -0,0 +1,56 @@
+const { app } = require("@azure/functions");
+const { requireAuth } = require("../lib/auth");
+const { json, error } = require("../lib/responses");
+const { config } = require("../lib/config");
+const { getDocument } = require("../lib/tables");
+const { getDocumentRole, hasRole, forbidden } = require("../lib/access");
+const { isPubSubConfigured, collabGroups, buildClientAccessUrl } = require("../lib/pubsub");
+
+app.http("docs-collab-negotiate", {
+  methods: ["POST"],
+  authLevel: "anonymous",
+  route: "docs/{docId}/collab/negotiate",
+  handler: async (request) => {
+    let identity;
+    try {
+      identity = requireAuth(request);
+    } catch (authError) {
+      return authError;
+    }
+
+    if (!isPubSubConfigured()) {
+      return error(503, "not_configured", "Real-time collaboration is not configured");
+    }
+
+    const docId = request.params.docId;
+    const doc = await getDocument(docId);
+    if (!doc) {
+      return error(404, "not_found", "Document not found");
+    }
+    const role = await getDocumentRole(docId, doc, identity.email);
+    if (!hasRole(role, "viewer")) {
+      return forbidden(role, "view this document");
+    }
+
+    // Everyone may share a cursor; only roles that may change any annotation publish annotation
+    // changes, since peers apply them without checking who sent them.
+    const groups = collabGroups(docId);
+    const canPublish = hasRole(role, "editor");
+    const access = buildClientAccessUrl({
+      userId: identity.email,
+      groups: [groups.ops, groups.presence],
+      sendGroups: canPublish ? [groups.ops, groups.presence] : [groups.presence]
+    });
+
+    return json(200, {
+      docId,
+      url: access.url,
+      expiresOn: access.expiresOn,
+      hub: config.webPubSubHub,
+      groups,
+      userId: identity.email,
+      role,
+      canPublish
+    });
+  }
+});
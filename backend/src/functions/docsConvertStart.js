@@ -0,0 +1,95 @@
+const { app } = require("@azure/functions");
+const { v4: uuidv4 } = require("uuid");
+const { requireAuth } = require("../lib/auth");
+const { json, error } = require("../lib/responses");
+const { createJob, getDocument, upsertDocument, isoNow } = require("../lib/tables");
+const { getDocumentRole, hasRole, forbidden } = require("../lib/access");
+const { getBlobProperties, sendQueueMessage } = require("../lib/storage");
+const { imageBlobNames, uploadTooLarge } = require("../lib/uploads");
+const { validateConvertOptions } = require("../lib/convert");
+const { summarizeErrors } = require("../lib/annotationSchema");
+const { config } = require("../lib/config");
+
+app.http("docs-convert-start", {
+  methods: ["POST"],
+  authLevel: "anonymous",
+  route: "docs/{docId}/convert",
+  handler: async (request) => {
+    let identity;
+    try {
+      identity = requireAuth(request);
+    } catch (authError) {
+      return authError;
+    }
+
+    let payload;
+    try {
+      payload = await request.json();
+    } catch {
+      return error(400, "invalid_json", "Body must be valid JSON");
+    }
+
+    const { options, errors } = validateConvertOptions(payload);
+    if (errors.length > 0) {
+      return error(400, "validation_error", summarizeErrors(errors), { errors });
+    }
+
+    const docId = request.params.docId;
+    const doc = await getDocument(docId);
+    if (!doc) {
+      return error(404, "not_found", "Document not found");
+    }
+    const role = await getDocumentRole(docId, doc, identity.email);
+    if (!hasRole(role, "owner")) {
+      return forbidden(role, "convert images for this document");
+    }
+    const imageBlobs = imageBlobNames(doc);
+    if (doc.status !== "uploading" || imageBlobs.length === 0) {
+      return error(409, "not_convertible", "Document is not waiting for image conversion", { status: doc.status || "ready" });
+    }
+
+    // The images are checked for size here; whether they decode is the job's business. Their
+    // ETags go with the job so the worker converts exactly the files that were checked.
+    let totalBytes = 0;
+    const imageEtags = [];
+    for (const [index, blobName] of imageBlobs.entries()) {
+      const properties = await getBlobProperties(config.sourceContainer, blobName);
+      if (!properties) {
+        return error(409, "upload_missing", `Image ${index + 1} has not been uploaded`, { index });
+      }
+      totalBytes += properties.contentLength;
+      imageEtags.push(properties.etag);
+    }
+    const tooLarge = uploadTooLarge(totalBytes);
+    if (tooLarge) {
+      return tooLarge;
+    }
+
+    const jobId = uuidv4();
+    const now = isoNow();
+    await createJob({
+      jobId,
+      type: "convert",
+      status: "queued",
+      docId,
+      ownerEmail: identity.email,
+      progressDone: 0,
+      progressTotal: imageBlobs.length,
+      createdAt: now,
+      updatedAt: now,
+      attempt: 0
+    });
+    await upsertDocument({ docId, updatedAt: now });
+
+    await sendQueueMessage(config.convertQueue, {
+      jobId,
+      docId,
+      ownerEmail: identity.email,
+      options,
+      imageEtags,
+      createdAt: now
+    });
+
+    return json(202, { jobId, docId });
+  }
+});
@@ -0,0 +1,114 @@
+const { app } = require("@azure/functions");
+const { v4: uuidv4 } = require("uuid");
+const { requireAuth } = require("../lib/auth");
+const { json, error } = require("../lib/responses");
+const { config } = require("../lib/config");
+const { sanitizeFileName } = require("../lib/utils");
+const { upsertDocument, createDocumentVersion, isoNow } = require("../lib/tables");
+const { buildVersionEntity } = require("../lib/versions");
+const { uploadTooLarge, issueImageUploadUrls } = require("../lib/uploads");
+const { IMAGE_CONTENT_TYPES, MAX_CONVERT_IMAGES } = require("../lib/convert");
+const { summarizeErrors } = require("../lib/annotationSchema");
+
+function validateFiles(files) {
+  if (!Array.isArray(files) || files.length === 0) {
+    return [{ path: "files", message: "must be a non-empty array" }];
+  }
+  if (files.length > MAX_CONVERT_IMAGES) {
+    return [{ path: "files", message: `too many images (maximum ${MAX_CONVERT_IMAGES})` }];
+  }
+  const errors = [];
+  files.forEach((file, index) => {
+    const path = `files[${index}]`;
+    if (!file || typeof file.fileName !== "string" || file.fileName.trim() === "") {
+      errors.push({ path: `${path}.fileName`, message: "must be a non-empty string" });
+    }
+    if (!IMAGE_CONTENT_TYPES.includes(String(file?.contentType || "").toLowerCase())) {
+      errors.push({ path: `${path}.contentType`, message: `must be one of ${IMAGE_CONTENT_TYPES.join(", ")}` });
+    }
+    if (!Number.isInteger(file?.fileSize) || file.fileSize < 0) {
+      errors.push({ path: `${path}.fileSize`, message: "must be a non-negative integer" });
+    }
+  });
+  return errors;
+}
+
+function pdfTitle(title, files) {
+  if (typeof title === "string" && title.trim()) {
+    const name = sanitizeFileName(title);
+    return /\.pdf$/i.test(name) ? name : `${name}.pdf`;
+  }
+  const base = String(files[0].fileName).replace(/\.[^.]*$/, "");
+  return sanitizeFileName(files.length > 1 ? `${base}-and-${files.length - 1}-more.pdf` : `${base}.pdf`);
+}
+
+// Hands out one upload URL per image. The PDF is built from them by a convert job
+// (POST /docs/{docId}/convert) once they are all uploaded.
+app.http("docs-convert-url", {
+  methods: ["POST"],
+  authLevel: "anonymous",
+  route: "docs/convert-url",
+  handler: async (request) => {
+    let identity;
+    try {
+      identity = requireAuth(request);
+    } catch (authError) {
+      return authError;
+    }
+
+    let payload;
+    try {
+      payload = await request.json();
+    } catch {
+      return error(400, "invalid_json", "Body must be valid JSON");
+    }
+
+    const files = payload?.files;
+    const errors = validateFiles(files);
+    if (errors.length > 0) {
+      return error(400, "validation_error", summarizeErrors(errors), { errors });
+    }
+    const tooLarge = uploadTooLarge(files.reduce((sum, file) => sum + file.fileSize, 0));
+    if (tooLarge) {
+      return tooLarge;
+    }
+
+    const docId = uuidv4();
+    const title = pdfTitle(payload.title, files);
+    const blobName = `${identity.email}/${docId}/${title}`;
+    const imageBlobs = files.map((file, index) =>
+      `${identity.email}/${docId}/images/${index + 1}-${sanitizeFileName(file.fileName)}`
+    );
+    const now = isoNow();
+
+    await upsertDocument({
+      docId,
+      ownerEmail: identity.email,
+      title,
+      blobPath: `${config.sourceContainer}/${blobName}`,
+      sourceBlobName: blobName,
+      contentType: "application/pdf",
+      status: "uploading",
+      imageBlobs: JSON.stringify(imageBlobs),
+      annotationJson: "{}",
+      version: 1,
+      createdAt: now,
+      updatedAt: now
+    });
+    await createDocumentVersion(buildVersionEntity({
+      docId,
+      version: 1,
+      annotationJson: "{}",
+      sourceBlobName: blobName,
+      createdBy: identity.email,
+      createdAt: now
+    }));
+
+    return json(200, {
+      docId,
+      title,
+      files: issueImageUploadUrls(imageBlobs),
+      maxUploadBytes: config.maxUploadBytes
+    });
+  }
+});
@@ -3,7 +3,12 @@ const { v4: uuidv4 } = require("uuid");
 const { requireAuth } = require("../lib/auth");
 const { json, error } = require("../lib/responses");
 const { createJob, getDocument, isoNow } = require("../lib/tables");
+const { getDocumentRole, hasRole, forbidden } = require("../lib/access");
+const { uploadNotReady } = require("../lib/uploads");
 const { sendQueueMessage } = require("../lib/storage");
+const { currentOcrResult } = require("../lib/textLayer");
+const { parsePageSelection, formatPageRanges } = require("../lib/pageRanges");
+const { summarizeErrors } = require("../lib/annotationSchema");
 const { config } = require("../lib/config");
 
 app.http("docs-export-start", {
@@ -23,8 +28,13 @@ app.http("docs-export-start", {
     if (!doc) {
       return error(404, "not_found", "Document not found");
     }
-    if (String(doc.ownerEmail || "").toLowerCase() !== identity.email) {
-      return error(403, "forbidden", "You do not own this document");
+    const role = await getDocumentRole(docId, doc, identity.email);
+    if (!hasRole(role, "viewer")) {
+      return forbidden(role, "export this document");
+    }
+    const pending = uploadNotReady(doc);
+    if (pending) {
+      return pending;
     }
 
     let payload = {};
@@ -39,6 +49,21 @@ app.http("docs-export-start", {
       return error(400, "validation_error", "Only pdf export format is supported");
     }
 
+    if (payload.searchable !== undefined && typeof payload.searchable !== "boolean") {
+      return error(400, "validation_error", "searchable must be a boolean");
+    }
+    const searchable = payload.searchable === true;
+    if (searchable && !currentOcrResult(doc)) {
+      return error(409, "ocr_required", "Run OCR on this document before exporting a searchable PDF");
+    }
+
+    // Partial export: only these pages, after annotations and redactions are applied.
+    const selection = parsePageSelection(payload.pages, doc.pageCount);
+    if (selection.errors.length > 0) {
+      return error(400, "validation_error", summarizeErrors(selection.errors), { errors: selection.errors });
+    }
+    const pages = selection.ranges ? formatPageRanges(selection.ranges) : "";
+
     const jobId = uuidv4();
     const now = isoNow();
     await createJob({
@@ -47,6 +72,8 @@ app.http("docs-export-start", {
       status: "queued",
       docId,
       ownerEmail: identity.email,
+      pages,
+      searchable,
       createdAt: now,
       updatedAt: now,
       attempt: 0
@@ -57,6 +84,9 @@ app.http("docs-export-start", {
       docId,
       ownerEmail: identity.email,
       requestedFormat: format,
+      redactionLabel: payload.redactionLabel === true,
+      searchable,
+      pages,
       createdAt: now
     });
 
@@ -0,0 +1,57 @@
+const { app } = require("@azure/functions");
+const { requireAuth } = require("../lib/auth");
+const { json, error } = require("../lib/responses");
+const { config } = require("../lib/config");
+const { buildBlobSasUrl } = require("../lib/storage");
+const { getDocument } = require("../lib/tables");
+const { getDocumentRole, hasRole, forbidden } = require("../lib/access");
+const { uploadNotReady } = require("../lib/uploads");
+const { readAnnotationSet, versionEtag } = require("../lib/versions");
+
+app.http("docs-get", {
+  methods: ["GET"],
+  authLevel: "anonymous",
+  route: "docs/{docId}",
+  handler: async (request) => {
+    let identity;
+    try {
+      identity = requireAuth(request);
+    } catch (authError) {
+      return authError;
+    }
+
+    const docId = request.params.docId;
+    const doc = await getDocument(docId);
+    if (!doc) {
+      return error(404, "not_found", "Document not found");
+    }
+    const role = await getDocumentRole(docId, doc, identity.email);
+    if (!hasRole(role, "viewer")) {
+      return forbidden(role, "view this document");
+    }
+    if (!doc.sourceBlobName) {
+      return error(409, "not_ready", "Document has no source file");
+    }
+    const pending = uploadNotReady(doc);
+    if (pending) {
+      return pending;
+    }
+
+    const readSas = buildBlobSasUrl(config.sourceContainer, doc.sourceBlobName, "r", 120);
+
+    return json(200, {
+      docId,
+      title: String(doc.title || ""),
+      ownerEmail: String(doc.ownerEmail || ""),
+      role,
+      contentType: doc.contentType || "application/pdf",
+      pageCount: Number.isInteger(doc.pageCount) ? doc.pageCount : null,
+      version: Number(doc.version || 1),
+      createdAt: doc.createdAt || null,
+      updatedAt: doc.updatedAt || null,
+      readUrl: readSas.url,
+      readUrlExpiresAt: readSas.expiresOn,
+      annotations: readAnnotationSet(doc.annotationJson)
+    }, { ETag: versionEtag(doc.version || 1) });
+  }
+});
@@ -0,0 +1,97 @@
+const { app } = require("@azure/functions");
+const { requireAuth } = require("../lib/auth");
+const { json, error } = require("../lib/responses");
+const { config } = require("../lib/config");
+const { buildBlobSasUrl } = require("../lib/storage");
+const { getDocument, listLibraryPage } = require("../lib/tables");
+const { isDocumentReady } = require("../lib/uploads");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const SORT_FIELDS = new Set(["updatedAt", "createdAt"]);
+const SCOPES = new Set(["owned", "shared"]);
+// Everything toListItem and isDocumentReady read; annotation payloads stay in the table.
+const LIST_COLUMNS = ["docId", "title", "ownerEmail", "pageCount", "version", "status", "sourceBlobName", "createdAt", "updatedAt"];
+
+function parseLimit(value) {
+  if (value === null || value === "") {
+    return DEFAULT_LIMIT;
+  }
+  return /^\d+$/.test(value) ? Number(value) : NaN;
+}
+
+function toListItem({ doc, role }) {
+  const readSas = doc.sourceBlobName ? buildBlobSasUrl(config.sourceContainer, doc.sourceBlobName, "r", 120) : null;
+  return {
+    docId: String(doc.docId || doc.rowKey),
+    title: String(doc.title || ""),
+    ownerEmail: String(doc.ownerEmail || ""),
+    role,
+    pageCount: Number.isInteger(doc.pageCount) ? doc.pageCount : null,
+    version: Number(doc.version || 1),
+    createdAt: doc.createdAt || null,
+    updatedAt: doc.updatedAt || null,
+    readUrl: readSas ? readSas.url : null
+  };
+}
+
+// Library entries whose document no longer exists are skipped.
+async function loadEntries(entries) {
+  const loaded = await Promise.all(entries.map(async (entry) => {
+    const doc = await getDocument(entry.docId, LIST_COLUMNS);
+    return doc ? { doc, role: entry.role } : null;
+  }));
+  return loaded.filter(Boolean);
+}
+
+app.http("docs-list", {
+  methods: ["GET"],
+  authLevel: "anonymous",
+  route: "docs",
+  handler: async (request) => {
+    let identity;
+    try {
+      identity = requireAuth(request);
+    } catch (authError) {
+      return authError;
+    }
+
+    const limit = parseLimit(request.query.get("limit"));
+    const cursor = request.query.get("cursor") || null;
+    const sort = request.query.get("sort") || "updatedAt";
+    const order = String(request.query.get("order") || "desc").toLowerCase();
+    const scope = request.query.get("scope") || "owned";
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return error(400, "validation_error", `limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+    if (!SORT_FIELDS.has(sort)) {
+      return error(400, "validation_error", "sort must be updatedAt or createdAt");
+    }
+    if (order !== "asc" && order !== "desc") {
+      return error(400, "validation_error", "order must be asc or desc");
+    }
+    if (!SCOPES.has(scope)) {
+      return error(400, "validation_error", "scope must be owned or shared");
+    }
+
+    let page;
+    try {
+      page = await listLibraryPage(identity.email, scope, sort, order, limit, cursor);
+    } catch (err) {
+      if (err instanceof SyntaxError || err.statusCode === 400) {
+        return error(400, "validation_error", "cursor is not valid");
+      }
+      throw err;
+    }
+
+    // Uploads in progress or rejected are not documents yet, so a page can hold fewer than `limit` items.
+    const docs = (await loadEntries(page.entries)).filter(({ doc }) => isDocumentReady(doc));
+
+    return json(200, {
+      items: docs.map(toListItem),
+      limit,
+      nextCursor: page.nextCursor
+    });
+  }
+});
@@ -0,0 +1,96 @@
+const { app } = require("@azure/functions");
+const { v4: uuidv4 } = require("uuid");
+const { requireAuth } = require("../lib/auth");
+const { json, error } = require("../lib/responses");
+const { createJob, getDocument, isoNow } = require("../lib/tables");
+const { getDocumentRole, hasRole, forbidden } = require("../lib/access");
+const { uploadNotReady } = require("../lib/uploads");
+const { sendQueueMessage } = require("../lib/storage");
+const { sanitizeFileName } = require("../lib/utils");
+const { config } = require("../lib/config");
+
+const MAX_MERGE_DOCUMENTS = 20;
+
+app.http("docs-merge-start", {
+  methods: ["POST"],
+  authLevel: "anonymous",
+  route: "docs/merge",
+  handler: async (request) => {
+    let identity;
+    try {
+      identity = requireAuth(request);
+    } catch (authError) {
+      return authError;
+    }
+
+    let payload;
+    try {
+      payload = await request.json();
+    } catch {
+      return error(400, "invalid_json", "Body must be valid JSON");
+    }
+
+    const docIds = payload?.docIds;
+    if (!Array.isArray(docIds) || docIds.length < 2 || docIds.length > MAX_MERGE_DOCUMENTS) {
+      return error(400, "validation_error", `docIds must list 2-${MAX_MERGE_DOCUMENTS} documents in merge order`);
+    }
+    if (!docIds.every((docId) => typeof docId === "string" && docId.trim())) {
+      return error(400, "validation_error", "docIds must be non-empty strings");
+    }
+
+    // A merge copies every input's pages and annotations into a document the caller owns,
+    // so only the owner of each input may use it.
+    for (const docId of docIds) {
+      const doc = await getDocument(docId);
+      if (!doc) {
+        return error(404, "not_found", "Document not found", { docId });
+      }
+      const role = await getDocumentRole(docId, doc, identity.email);
+      if (!hasRole(role, "owner")) {
+        return forbidden(role, "merge this document");
+      }
+      if (!doc.sourceBlobName) {
+        return error(409, "not_ready", "Document has no source file", { docId });
+      }
+      const pending = uploadNotReady(doc, { docId });
+      if (pending) {
+        return pending;
+      }
+    }
+
+    let title = sanitizeFileName(payload.title || `merged-${docIds.length}-documents.pdf`);
+    if (!/\.pdf$/i.test(title)) {
+      title = `${title}.pdf`;
+    }
+
+    const jobId = uuidv4();
+    const mergedDocId = uuidv4();
+    const now = isoNow();
+    await createJob({
+      jobId,
+      type: "merge",
+      status: "queued",
+      docId: mergedDocId,
+      ownerEmail: identity.email,
+      progressDone: 0,
+      progressTotal: docIds.length,
+      createdAt: now,
+      updatedAt: now,
+      attempt: 0
+    });
+
+    await sendQueueMessage(config.mergeQueue, {
+      jobId,
+      docId: mergedDocId,
+      ownerEmail: identity.email,
+      sourceDocIds: docIds,
+      title,
+      createdAt: now
+    });
+
+    return json(202, {
+      jobId,
+      docId: mergedDocId
+    });
+  }
+});
@@ -0,0 +1,94 @@
+const { app } = require("@azure/functions");
+const { requireAuth } = require("../lib/auth");
+const { json, error, attachment } = require("../lib/responses");
+const { config } = require("../lib/config");
+const { downloadToBuffer } = require("../lib/storage");
+const { getDocument } = require("../lib/tables");
+const { getDocumentRole, hasRole, forbidden } = require("../lib/access");
+const { currentOcrResult } = require("../lib/textLayer");
+const { normalizeOcrResult, savedOcrItems } = require("../lib/ocrDocument");
+const { structureRows, toCsv } = require("../lib/ocrStructure");
+
+const FORMATS = ["text", "document", "structure", "csv"];
+
+app.http("docs-ocr-get", {
+  methods: ["GET"],
+  authLevel: "anonymous",
+  route: "docs/{docId}/ocr",
+  handler: async (request) => {
+    let identity;
+    try {
+      identity = requireAuth(request);
+    } catch (authError) {
+      return authError;
+    }
+
+    const docId = request.params.docId;
+    const format = request.query.get("format") || "text";
+    if (!FORMATS.includes(format)) {
+      return error(400, "validation_error", `format must be one of ${FORMATS.join(", ")}`);
+    }
+    const table = request.query.get("table") || "";
+    if (format === "csv" && !/^(items|fields|[1-9]\d*)$/.test(table)) {
+      return error(400, "validation_error", "table must be a table number, items or fields");
+    }
+    const doc = await getDocument(docId);
+    if (!doc) {
+      return error(404, "not_found", "Document not found");
+    }
+    const role = await getDocumentRole(docId, doc, identity.email);
+    if (!hasRole(role, "viewer")) {
+      return forbidden(role, "view this document");
+    }
+
+    const ocr = currentOcrResult(doc);
+    if (!ocr) {
+      return error(404, "ocr_not_found", "No OCR result for the current pages");
+    }
+
+    if (format === "structure" || format === "csv") {
+      if (!ocr.structureBlobName) {
+        return error(404, "structure_not_found", "The latest OCR job read text only; run it with mode layout, invoice, receipt or id");
+      }
+      const structure = JSON.parse((await downloadToBuffer(config.ocrContainer, ocr.structureBlobName)).toString("utf8"));
+      if (format === "structure") {
+        return json(200, structure);
+      }
+      const rows = structureRows(structure, table);
+      if (!rows) {
+        return error(404, "table_not_found", `The OCR result has ${structure.tables.length} table(s)`);
+      }
+      const fileName = /^\d+$/.test(table) ? `${docId}-table-${table}.csv` : `${docId}-${table}.csv`;
+      return attachment(toCsv(rows), "text/csv; charset=utf-8", fileName);
+    }
+
+    const saved = JSON.parse((await downloadToBuffer(config.ocrContainer, ocr.documentBlobName || ocr.blobName)).toString("utf8"));
+
+    if (format === "document") {
+      // Results saved before normalized documents existed are converted on the way out.
+      return json(200, ocr.documentBlobName ? saved : normalizeOcrResult(saved.result, new Map(), {
+        docId,
+        jobId: ocr.jobId,
+        provider: saved.provider || "azure",
+        model: saved.model || null,
+        analyzedAt: ocr.analyzedAt || null
+      }));
+    }
+
+    const pages = [...savedOcrItems(saved, "lines")]
+      .sort(([a], [b]) => a - b)
+      .map(([pageNumber, lines]) => ({
+        pageNumber,
+        text: lines.map((line) => line.content).join("\n"),
+        lines
+      }));
+
+    return json(200, {
+      docId,
+      jobId: ocr.jobId,
+      analyzedAt: ocr.analyzedAt || null,
+      pages,
+      pagesWithoutImages: saved.pagesWithoutImages || []
+    });
+  }
+});
@@ -3,15 +3,13 @@ const { v4: uuidv4 } = require("uuid");
 const { requireAuth } = require("../lib/auth");
 const { json, error } = require("../lib/responses");
 const { createJob, getDocument, isoNow } = require("../lib/tables");
+const { getDocumentRole, hasRole, forbidden } = require("../lib/access");
+const { uploadNotReady } = require("../lib/uploads");
 const { sendQueueMessage } = require("../lib/storage");
+const { parsePageSelection, formatPageRanges } = require("../lib/pageRanges");
+const { summarizeErrors } = require("../lib/annotationSchema");
 const { config } = require("../lib/config");
-
-function isValidPagesInput(pages) {
-  if (!pages) {
-    return true;
-  }
-  return /^[0-9,-]+$/.test(String(pages));
-}
+const { OCR_MODES, supportedOcrModes } = require("../lib/ocr");
 
 app.http("docs-ocr-start", {
   methods: ["POST"],
@@ -30,8 +28,13 @@ app.http("docs-ocr-start", {
     if (!doc) {
       return error(404, "not_found", "Document not found");
     }
-    if (String(doc.ownerEmail || "").toLowerCase() !== identity.email) {
-      return error(403, "forbidden", "You do not own this document");
+    const role = await getDocumentRole(docId, doc, identity.email);
+    if (!hasRole(role, "editor")) {
+      return forbidden(role, "run OCR on this document");
+    }
+    const pending = uploadNotReady(doc);
+    if (pending) {
+      return pending;
     }
 
     let payload = {};
@@ -41,9 +44,26 @@ app.http("docs-ocr-start", {
       payload = {};
     }
 
-    if (!isValidPagesInput(payload.pages)) {
-      return error(400, "validation_error", "pages must contain only digits, commas, and dashes");
+    const selection = parsePageSelection(payload.pages, doc.pageCount);
+    if (selection.errors.length > 0) {
+      return error(400, "validation_error", summarizeErrors(selection.errors), { errors: selection.errors });
+    }
+    const pages = selection.ranges ? formatPageRanges(selection.ranges) : "";
+
+    const mode = payload.mode === undefined ? "read" : payload.mode;
+    if (typeof mode !== "string" || !Object.keys(OCR_MODES).includes(mode)) {
+      return error(400, "validation_error", `mode must be one of ${Object.keys(OCR_MODES).join(", ")}`);
+    }
+    // A misconfigured provider is reported by the worker, as before.
+    const supported = supportedOcrModes(config);
+    if (supported.length > 0 && !supported.includes(mode)) {
+      return error(400, "validation_error", `mode "${mode}" is not available with the ${config.ocrProvider} OCR provider`);
+    }
+
+    if (payload.force !== undefined && typeof payload.force !== "boolean") {
+      return error(400, "validation_error", "force must be a boolean");
     }
+    const force = payload.force === true;
 
     const jobId = uuidv4();
     const now = isoNow();
@@ -53,7 +73,9 @@ app.http("docs-ocr-start", {
       status: "queued",
       docId,
       ownerEmail: identity.email,
-      pages: String(payload.pages || ""),
+      pages,
+      mode,
+      force,
       createdAt: now,
       updatedAt: now,
       attempt: 0
@@ -63,7 +85,9 @@ app.http("docs-ocr-start", {
       jobId,
       docId,
       ownerEmail: identity.email,
-      pages: String(payload.pages || ""),
+      pages,
+      mode,
+      force,
       createdAt: now
     });
 
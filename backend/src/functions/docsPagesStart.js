@@ -0,0 +1,91 @@
+const { app } = require("@azure/functions");
+const { v4: uuidv4 } = require("uuid");
+const { requireAuth } = require("../lib/auth");
+const { json, error } = require("../lib/responses");
+const { createJob, getDocument, isoNow } = require("../lib/tables");
+const { getDocumentRole, hasRole, forbidden } = require("../lib/access");
+const { uploadNotReady } = require("../lib/uploads");
+const { sendQueueMessage } = require("../lib/storage");
+const { validatePageEdits, planPageEdits } = require("../lib/pages");
+const { summarizeErrors } = require("../lib/annotationSchema");
+const { config } = require("../lib/config");
+
+app.http("docs-pages-start", {
+  methods: ["POST"],
+  authLevel: "anonymous",
+  route: "docs/{docId}/pages",
+  handler: async (request) => {
+    let identity;
+    try {
+      identity = requireAuth(request);
+    } catch (authError) {
+      return authError;
+    }
+
+    const docId = request.params.docId;
+
+    let payload;
+    try {
+      payload = await request.json();
+    } catch {
+      return error(400, "invalid_json", "Body must be valid JSON");
+    }
+
+    const edits = payload?.edits;
+    const shapeErrors = validatePageEdits(edits);
+    if (shapeErrors.length > 0) {
+      return error(400, "validation_error", summarizeErrors(shapeErrors), { errors: shapeErrors });
+    }
+
+    const doc = await getDocument(docId);
+    if (!doc) {
+      return error(404, "not_found", "Document not found");
+    }
+    const role = await getDocumentRole(docId, doc, identity.email);
+    if (!hasRole(role, "editor")) {
+      return forbidden(role, "organize pages");
+    }
+    if (!doc.sourceBlobName) {
+      return error(409, "not_ready", "Document has no source file");
+    }
+    const pending = uploadNotReady(doc);
+    if (pending) {
+      return pending;
+    }
+
+    // Documents uploaded before page counts were recorded are checked by the worker instead.
+    if (Number.isInteger(doc.pageCount)) {
+      const { errors } = planPageEdits(doc.pageCount, edits);
+      if (errors.length > 0) {
+        return error(400, "validation_error", summarizeErrors(errors), { errors });
+      }
+    }
+
+    const jobId = uuidv4();
+    const now = isoNow();
+    await createJob({
+      jobId,
+      type: "pages",
+      status: "queued",
+      docId,
+      ownerEmail: identity.email,
+      createdAt: now,
+      updatedAt: now,
+      attempt: 0
+    });
+
+    await sendQueueMessage(config.pagesQueue, {
+      jobId,
+      docId,
+      ownerEmail: identity.email,
+      // Edits refer to this file's page order; the worker refuses them once it is replaced.
+      sourceBlobName: doc.sourceBlobName,
+      edits,
+      createdAt: now
+    });
+
+    return json(202, {
+      jobId
+    });
+  }
+});
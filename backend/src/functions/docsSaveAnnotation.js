@@ -1,22 +1,39 @@
 const { app } = require("@azure/functions");
 const { requireAuth } = require("../lib/auth");
 const { json, error } = require("../lib/responses");
-const { getDocument, upsertDocument, isoNow } = require("../lib/tables");
+const { getDocument, upsertDocument, createDocumentVersion, isoNow } = require("../lib/tables");
+const { getDocumentRole, hasRole, forbidden, findCommenterViolations } = require("../lib/access");
+const { validateAnnotationSet, validatePageNumbers, summarizeErrors } = require("../lib/annotationSchema");
+const {
+  buildVersionEntity,
+  formatVersionId,
+  parseBaseVersion,
+  readAnnotationSet,
+  versionEtag
+} = require("../lib/versions");
 
-function validateAnnotationPayload(payload) {
-  if (!payload || typeof payload !== "object") {
-    return "payload must be an object";
-  }
-
-  if (!Array.isArray(payload.operations)) {
-    return "operations must be an array";
+// baseVersion and force are request fields, not part of the stored annotation set.
+function withoutRequestFields(payload) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return payload;
   }
+  const annotationSet = { ...payload };
+  delete annotationSet.baseVersion;
+  delete annotationSet.force;
+  return annotationSet;
+}
 
-  if (payload.operations.length > 1000) {
-    return "too many operations";
-  }
+function schemaError(errors) {
+  return error(400, "validation_error", summarizeErrors(errors), { errors });
+}
 
-  return "";
+function conflictResponse(document) {
+  const currentVersion = Number(document.version || 1);
+  return error(409, "conflict", "Document was saved by another session; reload and try again", {
+    currentVersion,
+    currentVersionId: formatVersionId(currentVersion),
+    annotations: readAnnotationSet(document.annotationJson)
+  });
 }
 
 app.http("docs-save-annotation", {
@@ -43,9 +60,19 @@ app.http("docs-save-annotation", {
       return error(400, "invalid_json", "Body must be valid JSON");
     }
 
-    const validationError = validateAnnotationPayload(payload);
-    if (validationError) {
-      return error(400, "validation_error", validationError);
+    const annotationSet = withoutRequestFields(payload);
+    const schemaErrors = validateAnnotationSet(annotationSet);
+    if (schemaErrors.length) {
+      return schemaError(schemaErrors);
+    }
+
+    if (payload.force !== undefined && typeof payload.force !== "boolean") {
+      return error(400, "validation_error", "force must be a boolean");
+    }
+    const force = payload.force === true;
+    const baseVersion = parseBaseVersion(payload.baseVersion ?? request.headers.get("if-match"));
+    if (baseVersion === null) {
+      return error(400, "validation_error", "baseVersion must be a positive version number");
     }
 
     const document = await getDocument(docId);
@@ -53,21 +80,68 @@ app.http("docs-save-annotation", {
       return error(404, "not_found", "Document not found");
     }
 
-    if (String(document.ownerEmail || "").toLowerCase() !== identity.email) {
-      return error(403, "forbidden", "You do not own this document");
+    const role = await getDocumentRole(docId, document, identity.email);
+    if (!hasRole(role, "commenter")) {
+      return forbidden(role, "annotate this document");
+    }
+    if (role === "commenter") {
+      const opIds = findCommenterViolations(
+        readAnnotationSet(document.annotationJson).operations,
+        annotationSet.operations,
+        identity.email
+      );
+      if (opIds.length) {
+        return error(403, "forbidden", "commenter access only allows changes to your own text notes", { role, opIds });
+      }
+    }
+
+    const pageErrors = validatePageNumbers(annotationSet.operations, document.pageCount);
+    if (pageErrors.length) {
+      return schemaError(pageErrors);
+    }
+
+    // Every save names the version it replaces; only an explicit `force` overwrites whatever is current.
+    if (baseVersion === undefined && !force) {
+      return error(428, "precondition_required", "baseVersion (or If-Match) is required; send force: true to overwrite the current version");
+    }
+
+    const currentVersion = Number(document.version || 1);
+    if (!force && baseVersion !== currentVersion) {
+      return conflictResponse(document);
+    }
+
+    const nextVersion = currentVersion + 1;
+    const annotationJson = JSON.stringify(annotationSet);
+    const now = isoNow();
+
+    try {
+      await createDocumentVersion(buildVersionEntity({
+        docId,
+        version: nextVersion,
+        annotationJson,
+        sourceBlobName: document.sourceBlobName,
+        createdBy: identity.email,
+        createdAt: now
+      }));
+    } catch (err) {
+      if (err.statusCode === 409) {
+        // Another save claimed this version number first; report what it wrote.
+        return conflictResponse((await getDocument(docId)) || document);
+      }
+      throw err;
     }
 
-    const nextVersion = Number(document.version || 1) + 1;
     await upsertDocument({
       docId,
-      annotationJson: JSON.stringify(payload),
+      annotationJson,
       version: nextVersion,
-      updatedAt: isoNow()
+      updatedAt: now
     });
 
     return json(200, {
       ok: true,
-      versionId: `v${nextVersion}`
-    });
+      version: nextVersion,
+      versionId: formatVersionId(nextVersion)
+    }, { ETag: versionEtag(nextVersion) });
   }
 });
\ No newline at end of file
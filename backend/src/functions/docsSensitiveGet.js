@@ -0,0 +1,55 @@
+const { app } = require("@azure/functions");
+const { requireAuth } = require("../lib/auth");
+const { json, error } = require("../lib/responses");
+const { config } = require("../lib/config");
+const { downloadToBuffer } = require("../lib/storage");
+const { getDocument, getJob } = require("../lib/tables");
+const { getDocumentRole, hasRole, forbidden } = require("../lib/access");
+
+app.http("docs-sensitive-get", {
+  methods: ["GET"],
+  authLevel: "anonymous",
+  route: "docs/{docId}/sensitive-data/{jobId}",
+  handler: async (request) => {
+    let identity;
+    try {
+      identity = requireAuth(request);
+    } catch (authError) {
+      return authError;
+    }
+
+    const { docId, jobId } = request.params;
+    const doc = await getDocument(docId);
+    if (!doc) {
+      return error(404, "not_found", "Document not found");
+    }
+    const role = await getDocumentRole(docId, doc, identity.email);
+    if (!hasRole(role, "editor")) {
+      return forbidden(role, "find sensitive data in this document");
+    }
+
+    const job = await getJob(jobId);
+    if (!job || job.type !== "sensitive" || job.docId !== docId) {
+      return error(404, "not_found", "Sensitive data scan not found");
+    }
+    if (job.status !== "completed") {
+      return error(409, "scan_not_ready", `The scan is ${job.status}`);
+    }
+
+    const scan = JSON.parse((await downloadToBuffer(config.ocrContainer, `${job.ownerEmail}/${docId}/${jobId}.sensitive.json`)).toString("utf8"));
+    // Bounds point at the pages as they were; after pages are reorganized they may not.
+    if (scan.sourceBlobName !== doc.sourceBlobName) {
+      return error(409, "scan_outdated", "The document's pages have changed since the scan; run it again");
+    }
+
+    return json(200, {
+      docId,
+      jobId,
+      pages: scan.pages,
+      scannedAt: scan.scannedAt,
+      unreadablePages: scan.unreadablePages,
+      truncated: scan.truncated,
+      candidates: scan.candidates
+    });
+  }
+});
@@ -0,0 +1,83 @@
+const { app } = require("@azure/functions");
+const { v4: uuidv4 } = require("uuid");
+const { requireAuth } = require("../lib/auth");
+const { json, error } = require("../lib/responses");
+const { createJob, getDocument, isoNow } = require("../lib/tables");
+const { getDocumentRole, hasRole, forbidden } = require("../lib/access");
+const { uploadNotReady } = require("../lib/uploads");
+const { sendQueueMessage } = require("../lib/storage");
+const { parsePageSelection, formatPageRanges } = require("../lib/pageRanges");
+const { summarizeErrors } = require("../lib/annotationSchema");
+const { validateSensitiveOptions } = require("../lib/sensitive");
+const { config } = require("../lib/config");
+
+app.http("docs-sensitive-start", {
+  methods: ["POST"],
+  authLevel: "anonymous",
+  route: "docs/{docId}/sensitive-data",
+  handler: async (request) => {
+    let identity;
+    try {
+      identity = requireAuth(request);
+    } catch (authError) {
+      return authError;
+    }
+
+    const docId = request.params.docId;
+    const doc = await getDocument(docId);
+    if (!doc) {
+      return error(404, "not_found", "Document not found");
+    }
+    // Findings are proposed redactions, so only those who can add them may scan.
+    const role = await getDocumentRole(docId, doc, identity.email);
+    if (!hasRole(role, "editor")) {
+      return forbidden(role, "find sensitive data in this document");
+    }
+    const pending = uploadNotReady(doc);
+    if (pending) {
+      return pending;
+    }
+
+    let payload = {};
+    try {
+      payload = await request.json();
+    } catch {
+      payload = {};
+    }
+
+    const selection = parsePageSelection(payload.pages, doc.pageCount);
+    const { errors, options } = validateSensitiveOptions(payload);
+    const problems = [...selection.errors, ...errors];
+    if (problems.length > 0) {
+      return error(400, "validation_error", summarizeErrors(problems), { errors: problems });
+    }
+    const pages = selection.ranges ? formatPageRanges(selection.ranges) : "";
+
+    const jobId = uuidv4();
+    const now = isoNow();
+    await createJob({
+      jobId,
+      type: "sensitive",
+      status: "queued",
+      docId,
+      ownerEmail: identity.email,
+      pages,
+      createdAt: now,
+      updatedAt: now,
+      attempt: 0
+    });
+
+    await sendQueueMessage(config.sensitiveQueue, {
+      jobId,
+      docId,
+      ownerEmail: identity.email,
+      pages,
+      ...options,
+      createdAt: now
+    });
+
+    return json(202, {
+      jobId
+    });
+  }
+});
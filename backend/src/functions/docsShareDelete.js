@@ -0,0 +1,43 @@
+const { app } = require("@azure/functions");
+const { requireAuth } = require("../lib/auth");
+const { json, error } = require("../lib/responses");
+const { getDocument, deleteShare, normalizeEmail } = require("../lib/tables");
+const { getDocumentRole, hasRole, forbidden } = require("../lib/access");
+
+app.http("docs-share-delete", {
+  methods: ["DELETE"],
+  authLevel: "anonymous",
+  route: "docs/{docId}/shares/{email}",
+  handler: async (request) => {
+    let identity;
+    try {
+      identity = requireAuth(request);
+    } catch (authError) {
+      return authError;
+    }
+
+    const docId = request.params.docId;
+    const email = normalizeEmail(request.params.email);
+    const doc = await getDocument(docId);
+    if (!doc) {
+      return error(404, "not_found", "Document not found");
+    }
+
+    // Anyone a document is shared with may remove themselves; only the owner may remove others.
+    const role = await getDocumentRole(docId, doc, identity.email);
+    if (email !== identity.email && !hasRole(role, "owner")) {
+      return forbidden(role, "manage sharing");
+    }
+
+    const removed = await deleteShare(docId, email);
+    if (!removed) {
+      return error(404, "not_found", "Share not found");
+    }
+
+    return json(200, {
+      ok: true,
+      docId,
+      email
+    });
+  }
+});
@@ -0,0 +1,67 @@
+const { app } = require("@azure/functions");
+const { requireAuth } = require("../lib/auth");
+const { json, error } = require("../lib/responses");
+const { getDocument, getShare, upsertShare, normalizeEmail, isoNow } = require("../lib/tables");
+const { SHARE_ROLES, getDocumentRole, hasRole, forbidden, isShareRole, toShareSummary } = require("../lib/access");
+const { isEmail } = require("../lib/utils");
+
+app.http("docs-share-upsert", {
+  methods: ["POST"],
+  authLevel: "anonymous",
+  route: "docs/{docId}/shares",
+  handler: async (request) => {
+    let identity;
+    try {
+      identity = requireAuth(request);
+    } catch (authError) {
+      return authError;
+    }
+
+    const docId = request.params.docId;
+
+    let payload;
+    try {
+      payload = await request.json();
+    } catch {
+      return error(400, "invalid_json", "Body must be valid JSON");
+    }
+
+    const email = normalizeEmail(payload?.email);
+    const shareRole = String(payload?.role || "");
+    if (!isEmail(email)) {
+      return error(400, "validation_error", "email must be a valid email address");
+    }
+    if (!isShareRole(shareRole)) {
+      return error(400, "validation_error", `role must be one of ${SHARE_ROLES.join(", ")}`);
+    }
+
+    const doc = await getDocument(docId);
+    if (!doc) {
+      return error(404, "not_found", "Document not found");
+    }
+    const role = await getDocumentRole(docId, doc, identity.email);
+    if (!hasRole(role, "owner")) {
+      return forbidden(role, "manage sharing");
+    }
+    if (email === normalizeEmail(doc.ownerEmail)) {
+      return error(400, "validation_error", "The owner already has full access");
+    }
+
+    const existing = await getShare(docId, email);
+    const now = isoNow();
+    const share = {
+      docId,
+      email,
+      role: shareRole,
+      grantedBy: identity.email,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+    await upsertShare(share);
+
+    return json(existing ? 200 : 201, {
+      docId,
+      share: toShareSummary(share)
+    });
+  }
+});
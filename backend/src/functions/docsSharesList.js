@@ -0,0 +1,38 @@
+const { app } = require("@azure/functions");
+const { requireAuth } = require("../lib/auth");
+const { json, error } = require("../lib/responses");
+const { getDocument, listSharesForDocument } = require("../lib/tables");
+const { getDocumentRole, hasRole, forbidden, toShareSummary } = require("../lib/access");
+
+app.http("docs-shares-list", {
+  methods: ["GET"],
+  authLevel: "anonymous",
+  route: "docs/{docId}/shares",
+  handler: async (request) => {
+    let identity;
+    try {
+      identity = requireAuth(request);
+    } catch (authError) {
+      return authError;
+    }
+
+    const docId = request.params.docId;
+    const doc = await getDocument(docId);
+    if (!doc) {
+      return error(404, "not_found", "Document not found");
+    }
+    const role = await getDocumentRole(docId, doc, identity.email);
+    if (!hasRole(role, "owner")) {
+      return forbidden(role, "manage sharing");
+    }
+
+    const shares = await listSharesForDocument(docId);
+    shares.sort((a, b) => String(a.email).localeCompare(String(b.email)));
+
+    return json(200, {
+      docId,
+      ownerEmail: String(doc.ownerEmail || ""),
+      items: shares.map(toShareSummary)
+    });
+  }
+});
@@ -0,0 +1,104 @@
+const { app } = require("@azure/functions");
+const { v4: uuidv4 } = require("uuid");
+const { requireAuth } = require("../lib/auth");
+const { json, error } = require("../lib/responses");
+const { createJob, getDocument, isoNow } = require("../lib/tables");
+const { getDocumentRole, hasRole, forbidden } = require("../lib/access");
+const { uploadNotReady } = require("../lib/uploads");
+const { sendQueueMessage } = require("../lib/storage");
+const { sanitizeFileName } = require("../lib/utils");
+const { parsePageRanges, checkPageRanges, formatPageRange } = require("../lib/pageRanges");
+const { summarizeErrors } = require("../lib/annotationSchema");
+const { config } = require("../lib/config");
+
+function splitTitle(title, range) {
+  const base = String(title || "document").replace(/\.pdf$/i, "");
+  return sanitizeFileName(`${base}-pages-${formatPageRange(range)}.pdf`);
+}
+
+app.http("docs-split-start", {
+  methods: ["POST"],
+  authLevel: "anonymous",
+  route: "docs/{docId}/split",
+  handler: async (request) => {
+    let identity;
+    try {
+      identity = requireAuth(request);
+    } catch (authError) {
+      return authError;
+    }
+
+    let payload;
+    try {
+      payload = await request.json();
+    } catch {
+      return error(400, "invalid_json", "Body must be valid JSON");
+    }
+
+    // Each comma-separated range becomes one new document.
+    const { ranges, errors } = parsePageRanges(payload?.pages);
+    if (errors.length > 0) {
+      return error(400, "validation_error", summarizeErrors(errors), { errors });
+    }
+
+    const docId = request.params.docId;
+    const doc = await getDocument(docId);
+    if (!doc) {
+      return error(404, "not_found", "Document not found");
+    }
+    // The parts are copies the caller will own, so, as with merging, only the owner may split.
+    const role = await getDocumentRole(docId, doc, identity.email);
+    if (!hasRole(role, "owner")) {
+      return forbidden(role, "split this document");
+    }
+    if (!doc.sourceBlobName) {
+      return error(409, "not_ready", "Document has no source file");
+    }
+    const pending = uploadNotReady(doc);
+    if (pending) {
+      return pending;
+    }
+
+    if (Number.isInteger(doc.pageCount)) {
+      const rangeErrors = checkPageRanges(ranges, doc.pageCount);
+      if (rangeErrors.length > 0) {
+        return error(400, "validation_error", summarizeErrors(rangeErrors), { errors: rangeErrors });
+      }
+    }
+
+    const outputs = ranges.map((range) => ({
+      docId: uuidv4(),
+      start: range.start,
+      end: range.end,
+      title: splitTitle(doc.title, range)
+    }));
+    const jobId = uuidv4();
+    const now = isoNow();
+    await createJob({
+      jobId,
+      type: "split",
+      status: "queued",
+      docId,
+      ownerEmail: identity.email,
+      progressDone: 0,
+      progressTotal: outputs.length,
+      createdAt: now,
+      updatedAt: now,
+      attempt: 0
+    });
+
+    await sendQueueMessage(config.splitQueue, {
+      jobId,
+      docId,
+      ownerEmail: identity.email,
+      sourceBlobName: doc.sourceBlobName,
+      outputs,
+      createdAt: now
+    });
+
+    return json(202, {
+      jobId,
+      docIds: outputs.map((output) => output.docId)
+    });
+  }
+});
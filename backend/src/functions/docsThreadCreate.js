@@ -0,0 +1,102 @@
+const crypto = require("crypto");
+const { app } = require("@azure/functions");
+const { requireAuth } = require("../lib/auth");
+const { json, error } = require("../lib/responses");
+const {
+  getDocument,
+  listSharesForDocument,
+  upsertCommentThread,
+  createComment,
+  isoNow
+} = require("../lib/tables");
+const { getDocumentRole, hasRole, forbidden } = require("../lib/access");
+const { readAnnotationSet } = require("../lib/versions");
+const {
+  MAX_COMMENT_LENGTH,
+  readCommentBody,
+  extractMentions,
+  documentParticipants,
+  unknownMentions,
+  toThreadSummary
+} = require("../lib/comments");
+
+app.http("docs-thread-create", {
+  methods: ["POST"],
+  authLevel: "anonymous",
+  route: "docs/{docId}/threads",
+  handler: async (request) => {
+    let identity;
+    try {
+      identity = requireAuth(request);
+    } catch (authError) {
+      return authError;
+    }
+
+    const docId = request.params.docId;
+
+    let payload;
+    try {
+      payload = await request.json();
+    } catch {
+      return error(400, "invalid_json", "Body must be valid JSON");
+    }
+
+    const opId = typeof payload?.opId === "string" ? payload.opId.trim() : "";
+    const body = readCommentBody(payload?.body);
+    if (!opId) {
+      return error(400, "validation_error", "opId must name the annotation the thread is attached to");
+    }
+    if (!body) {
+      return error(400, "validation_error", `body must be 1-${MAX_COMMENT_LENGTH} characters`);
+    }
+
+    const doc = await getDocument(docId);
+    if (!doc) {
+      return error(404, "not_found", "Document not found");
+    }
+    const role = await getDocumentRole(docId, doc, identity.email);
+    if (!hasRole(role, "commenter")) {
+      return forbidden(role, "comment");
+    }
+    // The annotation panel lists threads by the saved annotations, so a thread on anything
+    // else would be listed by GET /threads but never shown.
+    if (!readAnnotationSet(doc.annotationJson).operations.some((op) => op.opId === opId)) {
+      return error(404, "annotation_not_found", "The annotation is not in the saved document; save it before commenting", { opId });
+    }
+
+    const mentions = extractMentions(body);
+    if (mentions.length > 0) {
+      const unknown = unknownMentions(mentions, documentParticipants(doc, await listSharesForDocument(docId)));
+      if (unknown.length > 0) {
+        return error(400, "validation_error", "Only people with access to this document can be mentioned", { mentions: unknown });
+      }
+    }
+
+    const now = isoNow();
+    const thread = {
+      docId,
+      threadId: crypto.randomUUID(),
+      opId,
+      status: "open",
+      createdBy: identity.email,
+      createdAt: now,
+      updatedAt: now
+    };
+    const comment = {
+      docId,
+      threadId: thread.threadId,
+      commentId: crypto.randomUUID(),
+      author: identity.email,
+      body,
+      mentionsJson: JSON.stringify(mentions),
+      createdAt: now
+    };
+    await upsertCommentThread(thread);
+    await createComment(comment);
+
+    return json(201, {
+      docId,
+      thread: toThreadSummary(thread, [comment])
+    });
+  }
+});
@@ -0,0 +1,90 @@
+const crypto = require("crypto");
+const { app } = require("@azure/functions");
+const { requireAuth } = require("../lib/auth");
+const { json, error } = require("../lib/responses");
+const {
+  getDocument,
+  listSharesForDocument,
+  getCommentThread,
+  upsertCommentThread,
+  createComment,
+  listCommentRows,
+  isoNow
+} = require("../lib/tables");
+const { getDocumentRole, hasRole, forbidden } = require("../lib/access");
+const {
+  MAX_COMMENT_LENGTH,
+  readCommentBody,
+  extractMentions,
+  documentParticipants,
+  unknownMentions,
+  buildThreads
+} = require("../lib/comments");
+
+app.http("docs-thread-reply", {
+  methods: ["POST"],
+  authLevel: "anonymous",
+  route: "docs/{docId}/threads/{threadId}/replies",
+  handler: async (request) => {
+    let identity;
+    try {
+      identity = requireAuth(request);
+    } catch (authError) {
+      return authError;
+    }
+
+    const { docId, threadId } = request.params;
+
+    let payload;
+    try {
+      payload = await request.json();
+    } catch {
+      return error(400, "invalid_json", "Body must be valid JSON");
+    }
+
+    const body = readCommentBody(payload?.body);
+    if (!body) {
+      return error(400, "validation_error", `body must be 1-${MAX_COMMENT_LENGTH} characters`);
+    }
+
+    const doc = await getDocument(docId);
+    if (!doc) {
+      return error(404, "not_found", "Document not found");
+    }
+    const role = await getDocumentRole(docId, doc, identity.email);
+    if (!hasRole(role, "commenter")) {
+      return forbidden(role, "comment");
+    }
+
+    const thread = await getCommentThread(docId, threadId);
+    if (!thread) {
+      return error(404, "not_found", "Thread not found");
+    }
+
+    const mentions = extractMentions(body);
+    if (mentions.length > 0) {
+      const unknown = unknownMentions(mentions, documentParticipants(doc, await listSharesForDocument(docId)));
+      if (unknown.length > 0) {
+        return error(400, "validation_error", "Only people with access to this document can be mentioned", { mentions: unknown });
+      }
+    }
+
+    const now = isoNow();
+    await createComment({
+      docId,
+      threadId,
+      commentId: crypto.randomUUID(),
+      author: identity.email,
+      body,
+      mentionsJson: JSON.stringify(mentions),
+      createdAt: now
+    });
+    await upsertCommentThread({ docId, threadId, updatedAt: now });
+
+    const [updated] = buildThreads(await listCommentRows(docId, threadId));
+    return json(201, {
+      docId,
+      thread: updated
+    });
+  }
+});
@@ -0,0 +1,70 @@
+const { app } = require("@azure/functions");
+const { requireAuth } = require("../lib/auth");
+const { json, error } = require("../lib/responses");
+const {
+  getDocument,
+  getCommentThread,
+  upsertCommentThread,
+  listCommentRows,
+  isoNow
+} = require("../lib/tables");
+const { getDocumentRole, hasRole, forbidden } = require("../lib/access");
+const { THREAD_STATUSES, buildThreads } = require("../lib/comments");
+
+app.http("docs-thread-status", {
+  methods: ["POST"],
+  authLevel: "anonymous",
+  route: "docs/{docId}/threads/{threadId}/status",
+  handler: async (request) => {
+    let identity;
+    try {
+      identity = requireAuth(request);
+    } catch (authError) {
+      return authError;
+    }
+
+    const { docId, threadId } = request.params;
+
+    let payload;
+    try {
+      payload = await request.json();
+    } catch {
+      return error(400, "invalid_json", "Body must be valid JSON");
+    }
+
+    const status = String(payload?.status || "");
+    if (!THREAD_STATUSES.includes(status)) {
+      return error(400, "validation_error", `status must be one of ${THREAD_STATUSES.join(", ")}`);
+    }
+
+    const doc = await getDocument(docId);
+    if (!doc) {
+      return error(404, "not_found", "Document not found");
+    }
+    const role = await getDocumentRole(docId, doc, identity.email);
+    if (!hasRole(role, "commenter")) {
+      return forbidden(role, "resolve comments");
+    }
+
+    const thread = await getCommentThread(docId, threadId);
+    if (!thread) {
+      return error(404, "not_found", "Thread not found");
+    }
+
+    const now = isoNow();
+    await upsertCommentThread({
+      docId,
+      threadId,
+      status,
+      updatedAt: now,
+      resolvedBy: status === "resolved" ? identity.email : "",
+      resolvedAt: status === "resolved" ? now : ""
+    });
+
+    const [updated] = buildThreads(await listCommentRows(docId, threadId));
+    return json(200, {
+      docId,
+      thread: updated
+    });
+  }
+});
@@ -0,0 +1,44 @@
+const { app } = require("@azure/functions");
+const { requireAuth } = require("../lib/auth");
+const { json, error } = require("../lib/responses");
+const { getDocument, listCommentRows, listSharesForDocument } = require("../lib/tables");
+const { getDocumentRole, hasRole, forbidden } = require("../lib/access");
+const { THREAD_STATUSES, buildThreads, documentParticipants } = require("../lib/comments");
+
+app.http("docs-threads-list", {
+  methods: ["GET"],
+  authLevel: "anonymous",
+  route: "docs/{docId}/threads",
+  handler: async (request) => {
+    let identity;
+    try {
+      identity = requireAuth(request);
+    } catch (authError) {
+      return authError;
+    }
+
+    const docId = request.params.docId;
+    const status = request.query.get("status") || "";
+    if (status && !THREAD_STATUSES.includes(status)) {
+      return error(400, "validation_error", `status must be one of ${THREAD_STATUSES.join(", ")}`);
+    }
+
+    const doc = await getDocument(docId);
+    if (!doc) {
+      return error(404, "not_found", "Document not found");
+    }
+    const role = await getDocumentRole(docId, doc, identity.email);
+    if (!hasRole(role, "viewer")) {
+      return forbidden(role, "read comments");
+    }
+
+    const [rows, shares] = await Promise.all([listCommentRows(docId), listSharesForDocument(docId)]);
+    const threads = buildThreads(rows).filter((thread) => !status || thread.status === status);
+
+    return json(200, {
+      docId,
+      items: threads,
+      participants: documentParticipants(doc, shares)
+    });
+  }
+});
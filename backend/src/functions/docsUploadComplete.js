@@ -0,0 +1,109 @@
+const { app } = require("@azure/functions");
+const { requireAuth } = require("../lib/auth");
+const { json, error } = require("../lib/responses");
+const { config } = require("../lib/config");
+const { getDocument, upsertDocument, isoNow } = require("../lib/tables");
+const { getDocumentRole, hasRole, forbidden } = require("../lib/access");
+const { getBlobProperties, getUncommittedBytes, downloadToBuffer, copyBlob, deleteBlob } = require("../lib/storage");
+const { inspectPdf, uploadBlobName } = require("../lib/uploads");
+
+function readyBody(doc) {
+  return {
+    docId: String(doc.docId),
+    status: "ready",
+    pageCount: Number.isInteger(doc.pageCount) ? doc.pageCount : null,
+    byteSize: Number.isInteger(doc.byteSize) ? doc.byteSize : null,
+    sha256: doc.sha256 || null
+  };
+}
+
+function rejected(docId, reason) {
+  return error(422, "upload_rejected", reason, { docId, status: "rejected" });
+}
+
+app.http("docs-upload-complete", {
+  methods: ["POST"],
+  authLevel: "anonymous",
+  route: "docs/{docId}/complete",
+  handler: async (request) => {
+    let identity;
+    try {
+      identity = requireAuth(request);
+    } catch (authError) {
+      return authError;
+    }
+
+    const docId = request.params.docId;
+    const doc = await getDocument(docId);
+    if (!doc) {
+      return error(404, "not_found", "Document not found");
+    }
+    const role = await getDocumentRole(docId, doc, identity.email);
+    if (!hasRole(role, "owner")) {
+      return forbidden(role, "complete this upload");
+    }
+
+    // Completing twice answers with the first outcome; rows without a status predate this step.
+    if (doc.status === "rejected") {
+      return rejected(docId, doc.rejectionReason || "Upload was rejected");
+    }
+    if (doc.status !== "uploading") {
+      return json(200, readyBody(doc));
+    }
+
+    const uploadName = uploadBlobName(doc);
+    const properties = await getBlobProperties(config.sourceContainer, uploadName);
+    if (!properties) {
+      return error(409, "upload_missing", "No file has been uploaded for this document");
+    }
+
+    // Blocks staged on top of the committed file are stored too, so they count against the limit.
+    const uploadedBytes = properties.contentLength + await getUncommittedBytes(config.sourceContainer, uploadName);
+    // Every read and the copy are pinned to the ETag seen here, so a write URL that is still
+    // valid cannot swap the file between the checks and the copy.
+    const unchanged = { ifMatch: properties.etag };
+    let result;
+    try {
+      if (uploadedBytes > config.maxUploadBytes) {
+        result = { ok: false, reason: `File is ${uploadedBytes} bytes; the limit is ${config.maxUploadBytes}` };
+      } else {
+        result = await inspectPdf(await downloadToBuffer(config.sourceContainer, uploadName, unchanged));
+      }
+      if (result.ok && uploadName !== doc.sourceBlobName) {
+        await copyBlob(config.sourceContainer, uploadName, doc.sourceBlobName, unchanged);
+      }
+    } catch (err) {
+      if (err.statusCode === 412) {
+        return error(409, "upload_changed", "The file changed while it was being checked; complete the upload again");
+      }
+      throw err;
+    }
+
+    const now = isoNow();
+    if (!result.ok) {
+      // Nothing may read a file that failed the checks, so it goes now rather than at cleanup.
+      await deleteBlob(config.sourceContainer, uploadName);
+      await upsertDocument({
+        docId,
+        status: "rejected",
+        rejectionReason: result.reason,
+        updatedAt: now
+      });
+      return rejected(docId, result.reason);
+    }
+
+    const completed = {
+      docId,
+      status: "ready",
+      pageCount: result.pageCount,
+      byteSize: result.byteSize,
+      sha256: result.sha256,
+      updatedAt: now
+    };
+    await upsertDocument(completed);
+    if (uploadName !== doc.sourceBlobName) {
+      await deleteBlob(config.sourceContainer, uploadName);
+    }
+    return json(200, readyBody(completed));
+  }
+});
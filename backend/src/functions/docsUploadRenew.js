@@ -0,0 +1,44 @@
+const { app } = require("@azure/functions");
+const { requireAuth } = require("../lib/auth");
+const { json, error } = require("../lib/responses");
+const { config } = require("../lib/config");
+const { getDocument, upsertDocument, isoNow } = require("../lib/tables");
+const { getDocumentRole, hasRole, forbidden } = require("../lib/access");
+const { issueUploadUrls, imageBlobNames, issueImageUploadUrls } = require("../lib/uploads");
+
+app.http("docs-upload-renew", {
+  methods: ["POST"],
+  authLevel: "anonymous",
+  route: "docs/{docId}/upload-url",
+  handler: async (request) => {
+    let identity;
+    try {
+      identity = requireAuth(request);
+    } catch (authError) {
+      return authError;
+    }
+
+    const docId = request.params.docId;
+    const doc = await getDocument(docId);
+    if (!doc) {
+      return error(404, "not_found", "Document not found");
+    }
+    const role = await getDocumentRole(docId, doc, identity.email);
+    if (!hasRole(role, "owner")) {
+      return forbidden(role, "upload to this document");
+    }
+    if (doc.status !== "uploading") {
+      return error(409, "not_uploading", "Document upload is already finished", { status: doc.status || "ready" });
+    }
+
+    // Counts as activity, so the cleanup timer leaves an upload alone while it is being resumed.
+    await upsertDocument({ docId, updatedAt: isoNow() });
+
+    // A conversion writes its PDF itself, so only the images get write URLs.
+    const imageBlobs = imageBlobNames(doc);
+    if (imageBlobs.length > 0) {
+      return json(200, { docId, files: issueImageUploadUrls(imageBlobs), maxUploadBytes: config.maxUploadBytes });
+    }
+    return json(200, { docId, ...issueUploadUrls(doc) });
+  }
+});
@@ -4,8 +4,9 @@ const { requireAuth } = require("../lib/auth");
 const { json, error } = require("../lib/responses");
 const { config } = require("../lib/config");
 const { sanitizeFileName } = require("../lib/utils");
-const { buildBlobSasUrl } = require("../lib/storage");
-const { upsertDocument, isoNow } = require("../lib/tables");
+const { issueUploadUrls, uploadTooLarge } = require("../lib/uploads");
+const { upsertDocument, createDocumentVersion, isoNow } = require("../lib/tables");
+const { buildVersionEntity } = require("../lib/versions");
 
 app.http("docs-upload-url", {
   methods: ["POST"],
@@ -33,32 +34,45 @@ app.http("docs-upload-url", {
       return error(400, "validation_error", "Only application/pdf is supported");
     }
 
+    // Optional, but lets an oversized file be refused before any of it is sent.
+    if (payload?.fileSize !== undefined) {
+      if (!Number.isInteger(payload.fileSize) || payload.fileSize < 0) {
+        return error(400, "validation_error", "fileSize must be a non-negative integer");
+      }
+      const tooLarge = uploadTooLarge(payload.fileSize);
+      if (tooLarge) {
+        return tooLarge;
+      }
+    }
+
     const docId = uuidv4();
     const blobName = `${identity.email}/${docId}/${fileName}`;
-    const uploadSas = buildBlobSasUrl(config.sourceContainer, blobName, "cw", 15);
-    const readSas = buildBlobSasUrl(config.sourceContainer, blobName, "r", 120);
     const now = isoNow();
 
-    await upsertDocument({
+    const doc = {
       docId,
       ownerEmail: identity.email,
       title: fileName,
       blobPath: `${config.sourceContainer}/${blobName}`,
       sourceBlobName: blobName,
+      uploadBlobName: `${identity.email}/${docId}/upload/${fileName}`,
       contentType,
+      status: "uploading",
       annotationJson: "{}",
       version: 1,
       createdAt: now,
       updatedAt: now
-    });
-
-    return json(200, {
+    };
+    await upsertDocument(doc);
+    await createDocumentVersion(buildVersionEntity({
       docId,
-      sasUrl: uploadSas.url,
-      blobPath: `${config.sourceContainer}/${blobName}`,
-      readUrl: readSas.url,
-      expiresAt: uploadSas.expiresOn,
-      maxUploadBytes: config.maxUploadBytes
-    });
+      version: 1,
+      annotationJson: "{}",
+      sourceBlobName: blobName,
+      createdBy: identity.email,
+      createdAt: now
+    }));
+
+    return json(200, { docId, ...issueUploadUrls(doc) });
   }
 });
\ No newline at end of file
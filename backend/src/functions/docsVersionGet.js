@@ -0,0 +1,46 @@
+const { app } = require("@azure/functions");
+const { requireAuth } = require("../lib/auth");
+const { json, error } = require("../lib/responses");
+const { getDocument, getDocumentVersion } = require("../lib/tables");
+const { getDocumentRole, hasRole, forbidden } = require("../lib/access");
+const { parseVersionId, readAnnotationSet, toVersionSummary } = require("../lib/versions");
+
+app.http("docs-version-get", {
+  methods: ["GET"],
+  authLevel: "anonymous",
+  route: "docs/{docId}/versions/{versionId}",
+  handler: async (request) => {
+    let identity;
+    try {
+      identity = requireAuth(request);
+    } catch (authError) {
+      return authError;
+    }
+
+    const docId = request.params.docId;
+    const version = parseVersionId(request.params.versionId);
+    if (!version) {
+      return error(400, "validation_error", "versionId must look like v1, v2, ...");
+    }
+
+    const doc = await getDocument(docId);
+    if (!doc) {
+      return error(404, "not_found", "Document not found");
+    }
+    const role = await getDocumentRole(docId, doc, identity.email);
+    if (!hasRole(role, "viewer")) {
+      return forbidden(role, "view this document");
+    }
+
+    const entity = await getDocumentVersion(docId, version);
+    if (!entity) {
+      return error(404, "not_found", "Version not found");
+    }
+
+    return json(200, {
+      docId,
+      ...toVersionSummary(entity),
+      annotations: readAnnotationSet(entity.annotationJson)
+    });
+  }
+});
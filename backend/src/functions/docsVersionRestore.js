@@ -0,0 +1,104 @@
+const { app } = require("@azure/functions");
+const { requireAuth } = require("../lib/auth");
+const { json, error } = require("../lib/responses");
+const {
+  getDocument,
+  upsertDocument,
+  getDocumentVersion,
+  createDocumentVersion,
+  isoNow
+} = require("../lib/tables");
+const { getDocumentRole, hasRole, forbidden } = require("../lib/access");
+const { validatePageNumbers, summarizeErrors } = require("../lib/annotationSchema");
+const {
+  formatVersionId,
+  parseVersionId,
+  readAnnotationSet,
+  buildVersionEntity
+} = require("../lib/versions");
+
+app.http("docs-version-restore", {
+  methods: ["POST"],
+  authLevel: "anonymous",
+  route: "docs/{docId}/versions/{versionId}/restore",
+  handler: async (request) => {
+    let identity;
+    try {
+      identity = requireAuth(request);
+    } catch (authError) {
+      return authError;
+    }
+
+    const docId = request.params.docId;
+    const version = parseVersionId(request.params.versionId);
+    if (!version) {
+      return error(400, "validation_error", "versionId must look like v1, v2, ...");
+    }
+
+    const doc = await getDocument(docId);
+    if (!doc) {
+      return error(404, "not_found", "Document not found");
+    }
+    const role = await getDocumentRole(docId, doc, identity.email);
+    if (!hasRole(role, "editor")) {
+      return forbidden(role, "restore versions");
+    }
+
+    const source = await getDocumentVersion(docId, version);
+    if (!source) {
+      return error(404, "not_found", "Version not found");
+    }
+
+    // Annotations sit on page numbers, so a version saved before the pages were reorganized
+    // would put them on the wrong pages of the current file. Versions older than this check
+    // do not record their file; their page numbers are still checked below.
+    if (source.sourceBlobName && source.sourceBlobName !== doc.sourceBlobName) {
+      return error(
+        409,
+        "pages_changed",
+        "This version was saved before the pages were reorganized; its annotations no longer match the pages"
+      );
+    }
+    const annotationJson = String(source.annotationJson || "{}");
+    const pageErrors = validatePageNumbers(readAnnotationSet(annotationJson).operations, doc.pageCount);
+    if (pageErrors.length) {
+      return error(409, "pages_changed", summarizeErrors(pageErrors), { errors: pageErrors });
+    }
+
+    // Restoring never rewrites history: the old content becomes a new, latest version.
+    const nextVersion = Number(doc.version || 1) + 1;
+    const now = isoNow();
+
+    try {
+      await createDocumentVersion(buildVersionEntity({
+        docId,
+        version: nextVersion,
+        annotationJson,
+        sourceBlobName: doc.sourceBlobName,
+        createdBy: identity.email,
+        createdAt: now,
+        restoredFrom: formatVersionId(version)
+      }));
+    } catch (err) {
+      if (err.statusCode === 409) {
+        return error(409, "conflict", "Document was saved by another session; reload and try again");
+      }
+      throw err;
+    }
+
+    await upsertDocument({
+      docId,
+      annotationJson,
+      version: nextVersion,
+      updatedAt: now
+    });
+
+    return json(200, {
+      ok: true,
+      version: nextVersion,
+      versionId: formatVersionId(nextVersion),
+      restoredFrom: formatVersionId(version),
+      annotations: readAnnotationSet(annotationJson)
+    });
+  }
+});
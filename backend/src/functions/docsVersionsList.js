@@ -0,0 +1,39 @@
+const { app } = require("@azure/functions");
+const { requireAuth } = require("../lib/auth");
+const { json, error } = require("../lib/responses");
+const { getDocument, listDocumentVersions } = require("../lib/tables");
+const { getDocumentRole, hasRole, forbidden } = require("../lib/access");
+const { formatVersionId, toVersionSummary } = require("../lib/versions");
+
+app.http("docs-versions-list", {
+  methods: ["GET"],
+  authLevel: "anonymous",
+  route: "docs/{docId}/versions",
+  handler: async (request) => {
+    let identity;
+    try {
+      identity = requireAuth(request);
+    } catch (authError) {
+      return authError;
+    }
+
+    const docId = request.params.docId;
+    const doc = await getDocument(docId);
+    if (!doc) {
+      return error(404, "not_found", "Document not found");
+    }
+    const role = await getDocumentRole(docId, doc, identity.email);
+    if (!hasRole(role, "viewer")) {
+      return forbidden(role, "view this document");
+    }
+
+    const versions = await listDocumentVersions(docId);
+    versions.sort((a, b) => Number(b.version) - Number(a.version));
+
+    return json(200, {
+      docId,
+      currentVersionId: formatVersionId(doc.version || 1),
+      items: versions.map(toVersionSummary)
+    });
+  }
+});
@@ -3,6 +3,12 @@ const { config } = require("../lib/config");
 const { decodeQueueMessage } = require("../lib/utils");
 const { getDocument, updateJob, isoNow } = require("../lib/tables");
 const { downloadToBuffer, uploadBuffer, buildBlobSasUrl } = require("../lib/storage");
+const { parseOperations, burnAnnotations } = require("../lib/annotate");
+const { applyRedactions, isRedaction } = require("../lib/redact");
+const { currentOcrResult, addTextLayer } = require("../lib/textLayer");
+const { savedOcrItems } = require("../lib/ocrDocument");
+const { selectPages } = require("../lib/pages");
+const { parsePageSelection } = require("../lib/pageRanges");
 
 app.storageQueue("export-worker", {
   queueName: config.exportQueue,
@@ -30,8 +36,57 @@ app.storageQueue("export-worker", {
       }
 
       const sourceBuffer = await downloadToBuffer(config.sourceContainer, doc.sourceBlobName);
+      const operations = parseOperations(doc.annotationJson);
+      let exportBuffer = sourceBuffer;
+      if (operations.length > 0) {
+        const rendered = await burnAnnotations(sourceBuffer, operations);
+        exportBuffer = rendered.buffer;
+        context.log(`Export job ${jobId}: rendered ${rendered.drawn} of ${operations.length} annotations`);
+
+        const redaction = await applyRedactions(exportBuffer, operations, {
+          label: Boolean(task.redactionLabel)
+        });
+        if (redaction.redacted > 0) {
+          exportBuffer = redaction.buffer;
+          const { glyphs, paths, images, scrubbedImages, xobjects, annotations } = redaction.removed;
+          context.log(
+            `Export job ${jobId}: applied ${redaction.redacted} redactions ` +
+            `(removed ${glyphs} glyphs, ${paths} paths, ${images + xobjects} objects, ${annotations} annotations; ` +
+            `scrubbed ${scrubbedImages} images)`
+          );
+        }
+      }
+
+      if (task.searchable) {
+        const ocr = currentOcrResult(doc);
+        if (!ocr) {
+          throw new Error("No OCR result for the current pages; run OCR again");
+        }
+        const saved = JSON.parse((await downloadToBuffer(config.ocrContainer, ocr.documentBlobName || ocr.blobName)).toString("utf8"));
+        // Redacted words stay out of the text layer as well as the page.
+        const layered = await addTextLayer(exportBuffer, savedOcrItems(saved, "words"), {
+          exclude: operations.filter(isRedaction)
+        });
+        exportBuffer = layered.buffer;
+        context.log(`Export job ${jobId}: added ${layered.words} OCR words to ${layered.pages} pages`);
+      }
+
+      // Pages are picked last so redactions and annotations keep their original page numbers.
+      const selection = parsePageSelection(task.pages);
+      if (selection.errors.length > 0) {
+        throw new Error(`Invalid pages: ${selection.errors[0].message}`);
+      }
+      if (selection.ranges) {
+        const selected = await selectPages(exportBuffer, selection.ranges);
+        if (selected.errors.length > 0) {
+          throw new Error(`Invalid pages: ${selected.errors[0].message}`);
+        }
+        exportBuffer = selected.buffer;
+        context.log(`Export job ${jobId}: kept ${selected.pageCount} pages (${task.pages})`);
+      }
+
       const exportBlobName = `${task.ownerEmail}/${docId}/${jobId}.pdf`;
-      await uploadBuffer(config.exportContainer, exportBlobName, sourceBuffer, "application/pdf");
+      await uploadBuffer(config.exportContainer, exportBlobName, exportBuffer, "application/pdf");
 
       const readSas = buildBlobSasUrl(config.exportContainer, exportBlobName, "r", 60 * 24);
       await updateJob(jobId, {
@@ -1,7 +1,17 @@
 const { app } = require("@azure/functions");
 const { requireAuth } = require("../lib/auth");
 const { json, error } = require("../lib/responses");
-const { getJob } = require("../lib/tables");
+const { getDocument, getJob } = require("../lib/tables");
+const { getDocumentRole, hasRole } = require("../lib/access");
+
+// Whoever started a job can always poll it; anyone else needs read access to its document.
+async function canReadJob(job, email) {
+  if (String(job.ownerEmail || "").toLowerCase() === email) {
+    return true;
+  }
+  const doc = job.docId ? await getDocument(job.docId) : null;
+  return Boolean(doc) && hasRole(await getDocumentRole(job.docId, doc, email), "viewer");
+}
 
 app.http("jobs-get", {
   methods: ["GET"],
@@ -21,8 +31,8 @@ app.http("jobs-get", {
       return error(404, "not_found", "Job not found");
     }
 
-    if (String(job.ownerEmail || "").toLowerCase() !== identity.email) {
-      return error(403, "forbidden", "You do not own this job");
+    if (!(await canReadJob(job, identity.email))) {
+      return error(403, "forbidden", "You do not have access to this job");
     }
 
     return json(200, {
@@ -31,6 +41,10 @@ app.http("jobs-get", {
       type: String(job.type || ""),
       resultUri: job.resultUri || null,
       error: job.error || null,
+      // Jobs over several inputs or outputs (merges, splits, image conversions) count them off as they go.
+      progress: Number(job.progressTotal) > 0
+        ? { done: Number(job.progressDone || 0), total: Number(job.progressTotal) }
+        : null,
       updatedAt: job.updatedAt || null
     });
   }
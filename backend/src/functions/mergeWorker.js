@@ -0,0 +1,114 @@
+const { app } = require("@azure/functions");
+const { config } = require("../lib/config");
+const { decodeQueueMessage } = require("../lib/utils");
+const {
+  getDocument,
+  upsertDocument,
+  createDocumentVersion,
+  updateJob,
+  isoNow
+} = require("../lib/tables");
+const { downloadToBuffer, uploadBuffer, buildBlobSasUrl } = require("../lib/storage");
+const { parseOperations } = require("../lib/annotate");
+const { createDocumentMerger } = require("../lib/pages");
+const { buildVersionEntity } = require("../lib/versions");
+
+app.storageQueue("merge-worker", {
+  queueName: config.mergeQueue,
+  connection: "STORAGE_CONNECTION_STRING",
+  handler: async (message, context) => {
+    const task = decodeQueueMessage(message);
+    const jobId = String(task.jobId || "");
+    const docId = String(task.docId || "");
+    const ownerEmail = String(task.ownerEmail || "");
+    const sourceDocIds = Array.isArray(task.sourceDocIds) ? task.sourceDocIds.map(String) : [];
+
+    if (!jobId || !docId || !ownerEmail || sourceDocIds.length === 0) {
+      context.error("Invalid merge message payload");
+      return;
+    }
+
+    try {
+      await updateJob(jobId, {
+        status: "running",
+        updatedAt: isoNow(),
+        progressDone: 0,
+        progressTotal: sourceDocIds.length,
+        attempt: Number(task.attempt || 0)
+      });
+
+      const merger = createDocumentMerger();
+      for (const [index, sourceDocId] of sourceDocIds.entries()) {
+        const source = await getDocument(sourceDocId);
+        if (!source || !source.sourceBlobName) {
+          throw new Error(`Document ${sourceDocId} is no longer available`);
+        }
+        const buffer = await downloadToBuffer(config.sourceContainer, source.sourceBlobName);
+        await merger.append(buffer, parseOperations(source.annotationJson));
+        await updateJob(jobId, {
+          updatedAt: isoNow(),
+          progressDone: index + 1
+        });
+      }
+
+      const merged = await merger.save();
+      const title = String(task.title || "merged.pdf");
+      const sourceBlobName = `${ownerEmail}/${docId}/${title}`;
+      await uploadBuffer(config.sourceContainer, sourceBlobName, merged.buffer, "application/pdf");
+      context.log(
+        `Merge job ${jobId}: ${sourceDocIds.length} documents, ${merged.pageCount} pages, ` +
+        `${merged.operations.length} annotations`
+      );
+
+      const annotationJson = JSON.stringify({ schemaVersion: "1.0", operations: merged.operations });
+      const now = isoNow();
+      try {
+        await createDocumentVersion(buildVersionEntity({
+          docId,
+          version: 1,
+          annotationJson,
+          sourceBlobName,
+          createdBy: ownerEmail,
+          createdAt: now
+        }));
+      } catch (err) {
+        // Only this job writes the new document, so a conflict means a retried attempt got here first.
+        if (err.statusCode !== 409) {
+          throw err;
+        }
+      }
+
+      await upsertDocument({
+        docId,
+        ownerEmail,
+        title,
+        blobPath: `${config.sourceContainer}/${sourceBlobName}`,
+        sourceBlobName,
+        contentType: "application/pdf",
+        status: "ready",
+        pageCount: merged.pageCount,
+        mergedFrom: JSON.stringify(sourceDocIds),
+        annotationJson,
+        version: 1,
+        createdAt: now,
+        updatedAt: now
+      });
+
+      const readSas = buildBlobSasUrl(config.sourceContainer, sourceBlobName, "r", 60 * 24);
+      await updateJob(jobId, {
+        status: "completed",
+        updatedAt: isoNow(),
+        resultUri: readSas.url,
+        error: null
+      });
+    } catch (err) {
+      context.error(`Merge worker failed for job ${jobId}: ${err.message}`);
+      await updateJob(jobId, {
+        status: "failed",
+        updatedAt: isoNow(),
+        error: err.message
+      });
+      throw err;
+    }
+  }
+});
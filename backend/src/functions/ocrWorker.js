@@ -1,17 +1,13 @@
 const { app } = require("@azure/functions");
-const { AzureKeyCredential } = require("@azure/core-auth");
-const { DocumentAnalysisClient } = require("@azure/ai-form-recognizer");
 const { config } = require("../lib/config");
 const { decodeQueueMessage } = require("../lib/utils");
-const { getDocument, updateJob, isoNow } = require("../lib/tables");
+const { getDocument, upsertDocument, updateJob, isoNow } = require("../lib/tables");
 const { downloadToBuffer, uploadJson, buildBlobSasUrl } = require("../lib/storage");
-
-function createDocIntelClient() {
-  if (!config.docIntelEndpoint || !config.docIntelKey) {
-    return null;
-  }
-  return new DocumentAnalysisClient(config.docIntelEndpoint, new AzureKeyCredential(config.docIntelKey));
-}
+const { parsePageSelection, formatPageRanges } = require("../lib/pageRanges");
+const { createOcrProvider } = require("../lib/ocr");
+const { displayedPageSizes, normalizeOcrResult } = require("../lib/ocrDocument");
+const { extractStructure } = require("../lib/ocrStructure");
+const { ocrCacheBlobName, readOcrCache, writeOcrCache } = require("../lib/ocrCache");
 
 app.storageQueue("ocr-worker", {
   queueName: config.ocrQueue,
@@ -26,12 +22,14 @@ app.storageQueue("ocr-worker", {
       return;
     }
 
-    const client = createDocIntelClient();
-    if (!client) {
+    let provider;
+    try {
+      provider = createOcrProvider(config);
+    } catch (err) {
       await updateJob(jobId, {
         status: "failed",
         updatedAt: isoNow(),
-        error: "Document Intelligence not configured"
+        error: err.message
       });
       return;
     }
@@ -47,24 +45,73 @@ app.storageQueue("ocr-worker", {
         throw new Error("Document metadata missing source blob reference");
       }
 
-      const buffer = await downloadToBuffer(config.sourceContainer, doc.sourceBlobName);
-      const options = {};
-      if (task.pages) {
-        options.pages = String(task.pages);
+      // Checked again here: the page count may have changed since the job was queued.
+      const selection = parsePageSelection(task.pages, doc.pageCount);
+      if (selection.errors.length > 0) {
+        throw new Error(`Invalid pages: ${selection.errors[0].message}`);
       }
+      const pages = selection.ranges ? formatPageRanges(selection.ranges) : null;
+      // Jobs queued before modes existed read text.
+      const mode = task.mode || "read";
+      const model = provider.modelFor(mode);
 
-      const poller = await client.beginAnalyzeDocument(config.docIntelModelId, buffer, options);
-      const result = await poller.pollUntilDone();
+      const buffer = await downloadToBuffer(config.sourceContainer, doc.sourceBlobName);
+      // Identical bytes read with the same model over the same pages are not paid for
+      // twice, unless the job was started with `force`.
+      const cacheBlobName = ocrCacheBlobName(buffer, model, pages);
+      const cached = task.force ? null : await readOcrCache(cacheBlobName);
+      let result;
+      let analyzedAt;
+      if (cached) {
+        ({ result, analyzedAt } = cached);
+        context.log(`OCR job ${jobId}: reused the analysis made by job ${cached.jobId}`);
+      } else {
+        result = await provider.analyze(buffer, { ranges: selection.ranges, mode });
+        analyzedAt = isoNow();
+        await writeOcrCache(cacheBlobName, { jobId, provider: provider.name, model, pages, analyzedAt, result });
+      }
 
       const ocrBlobName = `${task.ownerEmail}/${docId}/${jobId}.json`;
+      const documentBlobName = `${task.ownerEmail}/${docId}/${jobId}.document.json`;
       await uploadJson(config.ocrContainer, ocrBlobName, {
         docId,
         jobId,
-        model: config.docIntelModelId,
-        pages: task.pages || null,
-        analyzedAt: isoNow(),
+        provider: provider.name,
+        model,
+        mode,
+        pages,
+        analyzedAt,
+        cached: Boolean(cached),
         result
       });
+      const document = normalizeOcrResult(result, await displayedPageSizes(buffer), {
+        docId,
+        jobId,
+        provider: provider.name,
+        model,
+        analyzedAt
+      });
+      await uploadJson(config.ocrContainer, documentBlobName, document);
+      let structureBlobName = null;
+      if (mode !== "read") {
+        structureBlobName = `${task.ownerEmail}/${docId}/${jobId}.structure.json`;
+        await uploadJson(config.ocrContainer, structureBlobName, extractStructure(result, { docId, jobId, mode, model, analyzedAt }));
+      }
+      // Searchable exports use the latest result, as long as the pages it was read from are unchanged.
+      await upsertDocument({
+        docId,
+        ocrResult: JSON.stringify({
+          jobId,
+          blobName: ocrBlobName,
+          documentBlobName,
+          structureBlobName,
+          mode,
+          cached: Boolean(cached),
+          sourceBlobName: doc.sourceBlobName,
+          pages,
+          analyzedAt
+        })
+      });
 
       const readSas = buildBlobSasUrl(config.ocrContainer, ocrBlobName, "r", 60 * 24);
       await updateJob(jobId, {
@@ -0,0 +1,106 @@
+const { app } = require("@azure/functions");
+const { config } = require("../lib/config");
+const { decodeQueueMessage } = require("../lib/utils");
+const {
+  getDocument,
+  upsertDocument,
+  createDocumentVersion,
+  updateJob,
+  isoNow
+} = require("../lib/tables");
+const { downloadToBuffer, uploadBuffer, buildBlobSasUrl } = require("../lib/storage");
+const { applyPageEdits, remapOperations } = require("../lib/pages");
+const { readAnnotationSet, buildVersionEntity } = require("../lib/versions");
+
+app.storageQueue("pages-worker", {
+  queueName: config.pagesQueue,
+  connection: "STORAGE_CONNECTION_STRING",
+  handler: async (message, context) => {
+    const task = decodeQueueMessage(message);
+    const jobId = String(task.jobId || "");
+    const docId = String(task.docId || "");
+
+    if (!jobId || !docId || !Array.isArray(task.edits)) {
+      context.error("Invalid pages message payload");
+      return;
+    }
+
+    try {
+      await updateJob(jobId, {
+        status: "running",
+        updatedAt: isoNow(),
+        attempt: Number(task.attempt || 0)
+      });
+
+      const doc = await getDocument(docId);
+      if (!doc || !doc.sourceBlobName) {
+        throw new Error("Document metadata missing source blob reference");
+      }
+      if (task.sourceBlobName && task.sourceBlobName !== doc.sourceBlobName) {
+        throw new Error("Pages were reorganized by another job since these edits were made");
+      }
+
+      const sourceBuffer = await downloadToBuffer(config.sourceContainer, doc.sourceBlobName);
+      const result = await applyPageEdits(sourceBuffer, task.edits);
+      if (result.errors.length > 0) {
+        const [first] = result.errors;
+        throw new Error(`Invalid page edits: ${first.path} ${first.message}`);
+      }
+
+      const annotationSet = readAnnotationSet(doc.annotationJson);
+      const remapped = remapOperations(annotationSet.operations, result.pages, result.displayedSizes);
+      const annotationJson = JSON.stringify({ schemaVersion: annotationSet.schemaVersion, operations: remapped.operations });
+      context.log(
+        `Pages job ${jobId}: ${result.pages.length} pages, moved ${remapped.operations.length} annotations ` +
+        `(dropped ${remapped.dropped} on deleted pages)`
+      );
+
+      // Upload before touching metadata: a failure past this point leaves at most an unused blob.
+      const sourceBlobName = `${doc.ownerEmail}/${docId}/pages-${jobId}.pdf`;
+      await uploadBuffer(config.sourceContainer, sourceBlobName, result.buffer, "application/pdf");
+
+      const nextVersion = Number(doc.version || 1) + 1;
+      const now = isoNow();
+      try {
+        await createDocumentVersion(buildVersionEntity({
+          docId,
+          version: nextVersion,
+          annotationJson,
+          sourceBlobName,
+          createdBy: String(task.ownerEmail || ""),
+          createdAt: now
+        }));
+      } catch (err) {
+        if (err.statusCode === 409) {
+          throw new Error("Annotations were saved by another session while pages were being edited; try again");
+        }
+        throw err;
+      }
+
+      await upsertDocument({
+        docId,
+        sourceBlobName,
+        pageCount: result.pages.length,
+        annotationJson,
+        version: nextVersion,
+        updatedAt: now
+      });
+
+      const readSas = buildBlobSasUrl(config.sourceContainer, sourceBlobName, "r", 60 * 24);
+      await updateJob(jobId, {
+        status: "completed",
+        updatedAt: isoNow(),
+        resultUri: readSas.url,
+        error: null
+      });
+    } catch (err) {
+      context.error(`Pages worker failed for job ${jobId}: ${err.message}`);
+      await updateJob(jobId, {
+        status: "failed",
+        updatedAt: isoNow(),
+        error: err.message
+      });
+      throw err;
+    }
+  }
+});
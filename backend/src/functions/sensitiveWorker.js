@@ -0,0 +1,137 @@
+const { app } = require("@azure/functions");
+const { PDFDocument } = require("pdf-lib");
+const { config } = require("../lib/config");
+const { decodeQueueMessage } = require("../lib/utils");
+const { getDocument, updateJob, isoNow } = require("../lib/tables");
+const { downloadToBuffer, uploadJson, buildBlobSasUrl } = require("../lib/storage");
+const { parsePageSelection, checkPageRanges, formatPageRanges, pageIndices } = require("../lib/pageRanges");
+const { displayedSize } = require("../lib/pages");
+const { currentOcrResult } = require("../lib/textLayer");
+const { normalizeOcrResult } = require("../lib/ocrDocument");
+const { pageTextLines } = require("../lib/pdfText");
+const { validateSensitiveOptions, findSensitiveWithTimeout } = require("../lib/sensitive");
+
+// Lines of OCR words by page number, from the latest OCR job if it read the current file.
+async function ocrPageLines(doc, pdf) {
+  const ocr = currentOcrResult(doc);
+  if (!ocr) {
+    return new Map();
+  }
+  const saved = JSON.parse((await downloadToBuffer(config.ocrContainer, ocr.documentBlobName || ocr.blobName)).toString("utf8"));
+  const document = ocr.documentBlobName
+    ? saved
+    : normalizeOcrResult(saved.result, new Map(pdf.getPages().map((page, index) => [index + 1, displayedSize(page)])), {});
+  return new Map((document.pages || []).map((page) => [page.pageNumber, page.lines || []]));
+}
+
+app.storageQueue("sensitive-worker", {
+  queueName: config.sensitiveQueue,
+  connection: "STORAGE_CONNECTION_STRING",
+  handler: async (message, context) => {
+    const task = decodeQueueMessage(message);
+    const jobId = String(task.jobId || "");
+    const docId = String(task.docId || "");
+
+    if (!jobId || !docId) {
+      context.error("Invalid sensitive data message payload");
+      return;
+    }
+
+    try {
+      await updateJob(jobId, {
+        status: "running",
+        updatedAt: isoNow()
+      });
+
+      const doc = await getDocument(docId);
+      if (!doc || !doc.sourceBlobName) {
+        throw new Error("Document metadata missing source blob reference");
+      }
+
+      const selection = parsePageSelection(task.pages, doc.pageCount);
+      if (selection.errors.length > 0) {
+        throw new Error(`Invalid pages: ${selection.errors[0].message}`);
+      }
+      const { errors, options } = validateSensitiveOptions(task);
+      if (errors.length > 0) {
+        throw new Error(`Invalid scan options: ${errors[0].message}`);
+      }
+
+      const pdf = await PDFDocument.load(await downloadToBuffer(config.sourceContainer, doc.sourceBlobName), {
+        ignoreEncryption: true,
+        updateMetadata: false
+      });
+      // The stored page count is unknown for some documents, so ranges are checked against the file.
+      const [rangeError] = selection.ranges ? checkPageRanges(selection.ranges, pdf.getPageCount()) : [];
+      if (rangeError) {
+        throw new Error(`Invalid pages: ${rangeError.message}`);
+      }
+      const indices = selection.ranges ? pageIndices(selection.ranges) : pdf.getPageIndices();
+      await updateJob(jobId, { updatedAt: isoNow(), progressDone: 0, progressTotal: indices.length });
+
+      // The text layer gives exact glyph positions; scanned pages without one fall back to
+      // the words OCR found on them.
+      const pages = [];
+      const unreadablePages = [];
+      let ocrLines = null;
+      for (const [done, index] of indices.entries()) {
+        const pageNumber = index + 1;
+        const lines = pageTextLines(pdf.context, pdf.getPage(index));
+        if (lines.length > 0) {
+          pages.push({ pageNumber, source: "text", lines });
+        } else {
+          ocrLines = ocrLines || await ocrPageLines(doc, pdf);
+          if (ocrLines.has(pageNumber)) {
+            pages.push({ pageNumber, source: "ocr", lines: ocrLines.get(pageNumber) });
+          } else {
+            unreadablePages.push(pageNumber);
+          }
+        }
+        if ((done + 1) % 10 === 0) {
+          await updateJob(jobId, { updatedAt: isoNow(), progressDone: done + 1 });
+        }
+      }
+
+      const found = await findSensitiveWithTimeout(pages, options);
+      if (!found) {
+        // A pattern that runs out of time does so on every attempt, so this ends the job instead of retrying.
+        const reason = "The custom patterns took too long to run on this document; simplify them and scan again";
+        context.error(`Sensitive data job ${jobId} stopped: ${reason}`);
+        await updateJob(jobId, { status: "failed", updatedAt: isoNow(), error: reason });
+        return;
+      }
+      const { candidates, truncated } = found;
+      // Findings quote the data they point at, so they live with OCR results and expire with them.
+      const resultBlobName = `${task.ownerEmail}/${docId}/${jobId}.sensitive.json`;
+      await uploadJson(config.ocrContainer, resultBlobName, {
+        docId,
+        jobId,
+        sourceBlobName: doc.sourceBlobName,
+        pages: selection.ranges ? formatPageRanges(selection.ranges) : null,
+        scannedAt: isoNow(),
+        options,
+        unreadablePages,
+        truncated,
+        candidates
+      });
+      context.log(`Sensitive data job ${jobId}: ${candidates.length} finding(s) on ${pages.length} page(s)`);
+
+      const readSas = buildBlobSasUrl(config.ocrContainer, resultBlobName, "r", 60 * 24);
+      await updateJob(jobId, {
+        status: "completed",
+        updatedAt: isoNow(),
+        progressDone: indices.length,
+        resultUri: readSas.url,
+        error: null
+      });
+    } catch (err) {
+      context.error(`Sensitive data worker failed for job ${jobId}: ${err.message}`);
+      await updateJob(jobId, {
+        status: "failed",
+        updatedAt: isoNow(),
+        error: err.message
+      });
+      throw err;
+    }
+  }
+});
@@ -0,0 +1,126 @@
+const { app } = require("@azure/functions");
+const { config } = require("../lib/config");
+const { decodeQueueMessage } = require("../lib/utils");
+const {
+  getDocument,
+  upsertDocument,
+  createDocumentVersion,
+  updateJob,
+  isoNow
+} = require("../lib/tables");
+const { downloadToBuffer, uploadBuffer } = require("../lib/storage");
+const { parseOperations } = require("../lib/annotate");
+const { createDocumentSplitter } = require("../lib/pages");
+const { checkPageRanges, formatPageRange } = require("../lib/pageRanges");
+const { buildVersionEntity } = require("../lib/versions");
+
+function isOutput(output) {
+  return Boolean(output) &&
+    typeof output.docId === "string" && output.docId !== "" &&
+    Number.isInteger(output.start) && Number.isInteger(output.end) &&
+    output.start >= 1 && output.end >= output.start;
+}
+
+app.storageQueue("split-worker", {
+  queueName: config.splitQueue,
+  connection: "STORAGE_CONNECTION_STRING",
+  handler: async (message, context) => {
+    const task = decodeQueueMessage(message);
+    const jobId = String(task.jobId || "");
+    const docId = String(task.docId || "");
+    const ownerEmail = String(task.ownerEmail || "");
+    const outputs = Array.isArray(task.outputs) ? task.outputs : [];
+
+    if (!jobId || !docId || !ownerEmail || outputs.length === 0 || !outputs.every(isOutput)) {
+      context.error("Invalid split message payload");
+      return;
+    }
+
+    try {
+      await updateJob(jobId, {
+        status: "running",
+        updatedAt: isoNow(),
+        progressDone: 0,
+        progressTotal: outputs.length,
+        attempt: Number(task.attempt || 0)
+      });
+
+      const doc = await getDocument(docId);
+      if (!doc || !doc.sourceBlobName) {
+        throw new Error("Document is no longer available");
+      }
+      // The ranges were chosen against the file as it was when the split was requested.
+      if (task.sourceBlobName && task.sourceBlobName !== doc.sourceBlobName) {
+        throw new Error("Pages were reorganized since this split was requested");
+      }
+
+      const buffer = await downloadToBuffer(config.sourceContainer, doc.sourceBlobName);
+      const splitter = await createDocumentSplitter(buffer);
+      const [rangeError] = checkPageRanges(outputs, splitter.pageCount);
+      if (rangeError) {
+        throw new Error(`Invalid page ranges: ${rangeError.message}`);
+      }
+
+      const operations = parseOperations(doc.annotationJson);
+      for (const [index, output] of outputs.entries()) {
+        const part = await splitter.extract(output, operations);
+        const title = String(output.title || `split-${index + 1}.pdf`);
+        const sourceBlobName = `${ownerEmail}/${output.docId}/${title}`;
+        await uploadBuffer(config.sourceContainer, sourceBlobName, part.buffer, "application/pdf");
+
+        const annotationJson = JSON.stringify({ schemaVersion: "1.0", operations: part.operations });
+        const now = isoNow();
+        try {
+          await createDocumentVersion(buildVersionEntity({
+            docId: output.docId,
+            version: 1,
+            annotationJson,
+            sourceBlobName,
+            createdBy: ownerEmail,
+            createdAt: now
+          }));
+        } catch (err) {
+          // A retried attempt may already have written this part before failing on a later one.
+          if (err.statusCode !== 409) {
+            throw err;
+          }
+        }
+
+        await upsertDocument({
+          docId: output.docId,
+          ownerEmail,
+          title,
+          blobPath: `${config.sourceContainer}/${sourceBlobName}`,
+          sourceBlobName,
+          contentType: "application/pdf",
+          status: "ready",
+          pageCount: part.pageCount,
+          splitFrom: JSON.stringify({ docId, pages: formatPageRange(output) }),
+          annotationJson,
+          version: 1,
+          createdAt: now,
+          updatedAt: now
+        });
+        await updateJob(jobId, {
+          updatedAt: isoNow(),
+          progressDone: index + 1
+        });
+      }
+
+      context.log(`Split job ${jobId}: ${outputs.length} documents from ${splitter.pageCount} pages`);
+      await updateJob(jobId, {
+        status: "completed",
+        updatedAt: isoNow(),
+        error: null
+      });
+    } catch (err) {
+      context.error(`Split worker failed for job ${jobId}: ${err.message}`);
+      await updateJob(jobId, {
+        status: "failed",
+        updatedAt: isoNow(),
+        error: err.message
+      });
+      throw err;
+    }
+  }
+});
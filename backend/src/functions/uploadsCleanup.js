@@ -0,0 +1,42 @@
+const { app } = require("@azure/functions");
+const { config } = require("../lib/config");
+const { listStaleUploads, deleteDocument, deleteDocumentVersions } = require("../lib/tables");
+const { deleteBlob } = require("../lib/storage");
+const { imageBlobNames, uploadBlobName } = require("../lib/uploads");
+
+// Resumable uploads renew their URL while active, so a day without activity means abandoned.
+// Azure drops uncommitted blocks after a week on its own.
+const ABANDONED_AFTER_MINUTES = 24 * 60;
+
+app.timer("uploads-cleanup", {
+  schedule: "0 */30 * * * *",
+  handler: async (timer, context) => {
+    const cutoff = new Date(Date.now() - ABANDONED_AFTER_MINUTES * 60 * 1000).toISOString();
+    const stale = await listStaleUploads(cutoff);
+
+    let removed = 0;
+    for (const doc of stale) {
+      const docId = String(doc.docId || doc.rowKey);
+      try {
+        for (const blobName of new Set([doc.sourceBlobName, uploadBlobName(doc)])) {
+          if (blobName) {
+            await deleteBlob(config.sourceContainer, blobName);
+          }
+        }
+        for (const imageBlob of imageBlobNames(doc)) {
+          await deleteBlob(config.sourceContainer, imageBlob);
+        }
+        await deleteDocumentVersions(docId);
+        await deleteDocument(docId);
+        removed += 1;
+      } catch (err) {
+        // Left for the next run; one stuck row should not block the rest.
+        context.error(`Upload cleanup failed for document ${docId}: ${err.message}`);
+      }
+    }
+
+    if (stale.length > 0) {
+      context.log(`Upload cleanup removed ${removed} of ${stale.length} abandoned or rejected uploads`);
+    }
+  }
+});
@@ -6,9 +6,38 @@ app.setup({
 
 require("./functions/authLogin");
 require("./functions/docsUploadUrl");
+require("./functions/docsUploadComplete");
+require("./functions/docsUploadRenew");
+require("./functions/docsList");
+require("./functions/docsGet");
 require("./functions/docsSaveAnnotation");
+require("./functions/docsVersionsList");
+require("./functions/docsVersionGet");
+require("./functions/docsVersionRestore");
+require("./functions/docsSharesList");
+require("./functions/docsShareUpsert");
+require("./functions/docsShareDelete");
+require("./functions/docsCollabNegotiate");
+require("./functions/docsThreadsList");
+require("./functions/docsThreadCreate");
+require("./functions/docsThreadReply");
+require("./functions/docsThreadStatus");
 require("./functions/docsExportStart");
 require("./functions/docsOcrStart");
+require("./functions/docsOcrGet");
+require("./functions/docsPagesStart");
+require("./functions/docsMergeStart");
+require("./functions/docsSplitStart");
+require("./functions/docsSensitiveStart");
+require("./functions/docsSensitiveGet");
 require("./functions/jobsGet");
 require("./functions/exportWorker");
-require("./functions/ocrWorker");
\ No newline at end of file
+require("./functions/ocrWorker");
+require("./functions/pagesWorker");
+require("./functions/mergeWorker");
+require("./functions/splitWorker");
+require("./functions/sensitiveWorker");
+require("./functions/docsConvertUrl");
+require("./functions/docsConvertStart");
+require("./functions/convertWorker");
+require("./functions/uploadsCleanup");
\ No newline at end of file
@@ -0,0 +1,82 @@
+const { error } = require("./responses");
+const { getShare, normalizeEmail } = require("./tables");
+
+// Share roles in increasing order of privilege; the owner implicitly outranks all of them.
+const SHARE_ROLES = ["viewer", "commenter", "editor"];
+const ROLE_RANK = { viewer: 1, commenter: 2, editor: 3, owner: 4 };
+
+function isShareRole(role) {
+  return SHARE_ROLES.includes(role);
+}
+
+function isOwner(doc, email) {
+  return normalizeEmail(doc.ownerEmail) === normalizeEmail(email);
+}
+
+// Returns "owner", the caller's share role, or null when the document is not shared with them.
+async function getDocumentRole(docId, doc, email) {
+  if (isOwner(doc, email)) {
+    return "owner";
+  }
+  const share = await getShare(docId, email);
+  return share && isShareRole(share.role) ? share.role : null;
+}
+
+function hasRole(role, minimumRole) {
+  return Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[minimumRole];
+}
+
+// 403 for a caller whose role is too low; the role is echoed so the UI can explain why.
+function forbidden(role, action) {
+  if (!role) {
+    return error(403, "forbidden", "You do not have access to this document");
+  }
+  return error(403, "forbidden", `${role} access does not allow you to ${action}`, { role });
+}
+
+// Commenters may add, edit and delete their own text notes but nothing else.
+// Returns the opIds of changed operations that fall outside that allowance.
+function findCommenterViolations(before, after, email) {
+  const author = normalizeEmail(email);
+  const previous = new Map(before.map((op) => [op.opId, op]));
+  const next = new Map(after.map((op) => [op.opId, op]));
+  const ownNote = (op) => op.opType === "text" && normalizeEmail(op.author) === author;
+  const violations = [];
+
+  for (const [opId, op] of next) {
+    const old = previous.get(opId);
+    if (old && JSON.stringify(old) === JSON.stringify(op)) {
+      continue;
+    }
+    if (!ownNote(op) || (old && !ownNote(old))) {
+      violations.push(opId);
+    }
+  }
+  for (const [opId, old] of previous) {
+    if (!next.has(opId) && !ownNote(old)) {
+      violations.push(opId);
+    }
+  }
+  return violations;
+}
+
+function toShareSummary(share) {
+  return {
+    email: share.email || share.rowKey,
+    role: share.role,
+    grantedBy: share.grantedBy || null,
+    createdAt: share.createdAt || null,
+    updatedAt: share.updatedAt || null
+  };
+}
+
+module.exports = {
+  SHARE_ROLES,
+  isShareRole,
+  isOwner,
+  getDocumentRole,
+  hasRole,
+  forbidden,
+  findCommenterViolations,
+  toShareSummary
+};
@@ -0,0 +1,213 @@
+const { PDFDocument, StandardFonts, BlendMode, LineCapStyle, rgb, degrees } = require("pdf-lib");
+const { safeJsonParse } = require("./utils");
+
+// Colors mirror the editor overlay so exports look like what reviewers saw on screen.
+const STYLES = {
+  highlight: { color: rgb(250 / 255, 204 / 255, 21 / 255), opacity: 0.35 },
+  shape: { color: rgb(168 / 255, 85 / 255, 247 / 255), thickness: 2 },
+  ink: { color: rgb(59 / 255, 130 / 255, 246 / 255), thickness: 2 },
+  text: { color: rgb(22 / 255, 101 / 255, 52 / 255), size: 12, lineHeight: 14, inset: 4 }
+};
+
+function parseOperations(annotationJson) {
+  const parsed = typeof annotationJson === "string" ? safeJsonParse(annotationJson) : annotationJson;
+  if (!parsed || !Array.isArray(parsed.operations)) {
+    return [];
+  }
+  return parsed.operations.filter((op) => op && typeof op === "object");
+}
+
+function isFiniteNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+function hasValidBounds(op) {
+  const b = op.bounds;
+  return Boolean(b)
+    && isFiniteNumber(b.x)
+    && isFiniteNumber(b.y)
+    && isFiniteNumber(b.w)
+    && isFiniteNumber(b.h)
+    && b.w > 0
+    && b.h > 0;
+}
+
+// Editor coordinates are top-left based and follow the page as displayed (rotation applied),
+// matching a pdf.js viewport at scale 1. Map them back into PDF user space.
+function createPageMapper(page) {
+  const box = page.getCropBox();
+  const x1 = box.x;
+  const y1 = box.y;
+  const x2 = box.x + box.width;
+  const y2 = box.y + box.height;
+  const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+
+  function toPdf(vx, vy) {
+    switch (rotation) {
+      case 90:
+        return { x: x1 + vy, y: y1 + vx };
+      case 180:
+        return { x: x2 - vx, y: y1 + vy };
+      case 270:
+        return { x: x2 - vy, y: y2 - vx };
+      default:
+        return { x: x1 + vx, y: y2 - vy };
+    }
+  }
+
+  // The inverse of toPdf: a PDF user-space point as seen on the displayed page.
+  function fromPdf(x, y) {
+    switch (rotation) {
+      case 90:
+        return { x: y - y1, y: x - x1 };
+      case 180:
+        return { x: x2 - x, y: y - y1 };
+      case 270:
+        return { x: y2 - y, y: x2 - x };
+      default:
+        return { x: x - x1, y: y2 - y };
+    }
+  }
+
+  function toPdfRect(bounds) {
+    const a = toPdf(bounds.x, bounds.y);
+    const b = toPdf(bounds.x + bounds.w, bounds.y + bounds.h);
+    return {
+      x: Math.min(a.x, b.x),
+      y: Math.min(a.y, b.y),
+      width: Math.abs(b.x - a.x),
+      height: Math.abs(b.y - a.y)
+    };
+  }
+
+  const sideways = rotation === 90 || rotation === 270;
+  return {
+    rotation,
+    width: sideways ? box.height : box.width,
+    height: sideways ? box.width : box.height,
+    toPdf,
+    fromPdf,
+    toPdfRect
+  };
+}
+
+function encodableText(font, text) {
+  const supported = new Set(font.getCharacterSet());
+  return Array.from(String(text))
+    .map((ch) => (supported.has(ch.codePointAt(0)) ? ch : "?"))
+    .join("");
+}
+
+function drawHighlight(page, mapper, op) {
+  page.drawRectangle({
+    ...mapper.toPdfRect(op.bounds),
+    color: STYLES.highlight.color,
+    opacity: STYLES.highlight.opacity,
+    blendMode: BlendMode.Multiply
+  });
+}
+
+function drawShape(page, mapper, op) {
+  page.drawRectangle({
+    ...mapper.toPdfRect(op.bounds),
+    borderColor: STYLES.shape.color,
+    borderWidth: STYLES.shape.thickness
+  });
+}
+
+function drawInk(page, mapper, op) {
+  const points = Array.isArray(op.payload?.points)
+    ? op.payload.points.filter((p) => p && isFiniteNumber(p.x) && isFiniteNumber(p.y))
+    : [];
+
+  if (points.length < 2) {
+    page.drawRectangle({
+      ...mapper.toPdfRect(op.bounds),
+      borderColor: STYLES.ink.color,
+      borderWidth: STYLES.ink.thickness
+    });
+    return;
+  }
+
+  for (let i = 0; i < points.length - 1; i++) {
+    page.drawLine({
+      start: mapper.toPdf(points[i].x, points[i].y),
+      end: mapper.toPdf(points[i + 1].x, points[i + 1].y),
+      thickness: STYLES.ink.thickness,
+      color: STYLES.ink.color,
+      lineCap: LineCapStyle.Round
+    });
+  }
+}
+
+function drawText(page, mapper, op, font) {
+  const raw = typeof op.payload?.text === "string" ? op.payload.text : "";
+  if (!raw.trim()) {
+    return;
+  }
+
+  const { size, lineHeight, inset, color } = STYLES.text;
+  const lines = raw.split(/\r?\n/);
+  lines.forEach((line, index) => {
+    const origin = mapper.toPdf(op.bounds.x + inset, op.bounds.y + lineHeight * (index + 1));
+    page.drawText(encodableText(font, line), {
+      x: origin.x,
+      y: origin.y,
+      size,
+      font,
+      color,
+      rotate: degrees(mapper.rotation)
+    });
+  });
+}
+
+async function burnAnnotations(sourceBuffer, operations) {
+  const pdfDoc = await PDFDocument.load(sourceBuffer);
+  const pages = pdfDoc.getPages();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const mappers = new Map();
+  let drawn = 0;
+
+  for (const op of operations) {
+    const pageIndex = Number(op.page) - 1;
+    if (!Number.isInteger(pageIndex) || pageIndex < 0 || pageIndex >= pages.length || !hasValidBounds(op)) {
+      continue;
+    }
+
+    const page = pages[pageIndex];
+    if (!mappers.has(pageIndex)) {
+      mappers.set(pageIndex, createPageMapper(page));
+    }
+    const mapper = mappers.get(pageIndex);
+
+    switch (op.opType) {
+      case "highlight":
+        drawHighlight(page, mapper, op);
+        break;
+      case "shape":
+        drawShape(page, mapper, op);
+        break;
+      case "ink":
+        drawInk(page, mapper, op);
+        break;
+      case "text":
+        drawText(page, mapper, op, font);
+        break;
+      default:
+        continue;
+    }
+    drawn += 1;
+  }
+
+  const bytes = await pdfDoc.save();
+  return {
+    buffer: Buffer.from(bytes),
+    drawn
+  };
+}
+
+module.exports = {
+  parseOperations,
+  createPageMapper,
+  burnAnnotations
+};
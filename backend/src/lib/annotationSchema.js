@@ -0,0 +1,171 @@
+// Server-side copy of docs/data/annotation-schema-v1.json. The function app is deployed
+// without the docs folder, so the rules live here; test/lib/annotationSchema.test.js
+// fails if the two drift apart.
+
+const { isEmail } = require("./utils");
+
+const SCHEMA_VERSION = "1.0";
+const MAX_OPERATIONS = 1000;
+const MAX_OP_ID_LENGTH = 100;
+const OP_TYPES = ["highlight", "ink", "text", "shape", "redaction"];
+const SET_FIELDS = ["schemaVersion", "operations"];
+const OPERATION_FIELDS = ["opId", "opType", "page", "bounds", "author", "color", "payload", "ts"];
+const REQUIRED_OPERATION_FIELDS = ["opId", "opType", "page", "bounds", "author", "ts"];
+const BOUNDS_FIELDS = ["x", "y", "w", "h"];
+// Enough to fix a bad client without echoing a 1000-operation payload back.
+const MAX_REPORTED_ERRORS = 50;
+
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i;
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function isFiniteNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+function isDateTime(value) {
+  return typeof value === "string" && DATE_TIME_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+function validateBounds(bounds, path, report) {
+  if (!isPlainObject(bounds)) {
+    report(path, "must be an object with x, y, w and h");
+    return;
+  }
+  for (const field of ["x", "y"]) {
+    if (!isFiniteNumber(bounds[field])) {
+      report(`${path}.${field}`, "must be a number");
+    }
+  }
+  for (const field of ["w", "h"]) {
+    if (!isFiniteNumber(bounds[field]) || bounds[field] <= 0) {
+      report(`${path}.${field}`, "must be a number greater than 0");
+    }
+  }
+  for (const field of Object.keys(bounds)) {
+    if (!BOUNDS_FIELDS.includes(field)) {
+      report(`${path}.${field}`, "is not allowed");
+    }
+  }
+}
+
+function validateOperation(op, index, report) {
+  const path = `operations[${index}]`;
+  const opId = isPlainObject(op) && typeof op.opId === "string" ? op.opId : undefined;
+  const reportOp = (field, message) => report(`${path}${field}`, message, { index, ...(opId ? { opId } : {}) });
+
+  if (!isPlainObject(op)) {
+    reportOp("", "must be an object");
+    return;
+  }
+
+  for (const field of REQUIRED_OPERATION_FIELDS) {
+    if (op[field] === undefined) {
+      reportOp(`.${field}`, "is required");
+    }
+  }
+
+  if (op.opId !== undefined && (typeof op.opId !== "string" || op.opId.length < 1 || op.opId.length > MAX_OP_ID_LENGTH)) {
+    reportOp(".opId", `must be a string of 1-${MAX_OP_ID_LENGTH} characters`);
+  }
+  if (op.opType !== undefined && !OP_TYPES.includes(op.opType)) {
+    reportOp(".opType", `must be one of ${OP_TYPES.join(", ")}`);
+  }
+  if (op.page !== undefined && (!Number.isInteger(op.page) || op.page < 1)) {
+    reportOp(".page", "must be an integer of at least 1");
+  }
+  if (op.bounds !== undefined) {
+    validateBounds(op.bounds, ".bounds", reportOp);
+  }
+  if (op.author !== undefined && !isEmail(op.author)) {
+    reportOp(".author", "must be an email address");
+  }
+  if (op.color !== undefined && typeof op.color !== "string") {
+    reportOp(".color", "must be a string");
+  }
+  if (op.payload !== undefined && !isPlainObject(op.payload)) {
+    reportOp(".payload", "must be an object");
+  }
+  if (op.ts !== undefined && !isDateTime(op.ts)) {
+    reportOp(".ts", "must be an ISO 8601 date-time");
+  }
+  for (const field of Object.keys(op)) {
+    if (!OPERATION_FIELDS.includes(field)) {
+      reportOp(`.${field}`, "is not allowed");
+    }
+  }
+}
+
+function collector() {
+  const errors = [];
+  const report = (path, message, extra = {}) => {
+    if (errors.length < MAX_REPORTED_ERRORS) {
+      errors.push({ path, message: `${path} ${message}`, ...extra });
+    }
+  };
+  return { errors, report };
+}
+
+// Returns a list of { path, message, index?, opId? } problems; empty when the set is valid.
+function validateAnnotationSet(payload) {
+  if (!isPlainObject(payload)) {
+    return [{ path: "payload", message: "payload must be an object" }];
+  }
+
+  const { errors, report } = collector();
+
+  if (!Array.isArray(payload.operations)) {
+    report("operations", "must be an array");
+  } else if (payload.operations.length > MAX_OPERATIONS) {
+    // Per-item checks are pointless when the whole request is over the limit.
+    return [{ path: "operations", message: `too many operations (maximum ${MAX_OPERATIONS})` }];
+  }
+
+  if (payload.schemaVersion !== SCHEMA_VERSION) {
+    report("schemaVersion", `must be "${SCHEMA_VERSION}"`);
+  }
+  for (const field of Object.keys(payload)) {
+    if (!SET_FIELDS.includes(field)) {
+      report(field, "is not allowed");
+    }
+  }
+
+  if (Array.isArray(payload.operations)) {
+    payload.operations.forEach((op, index) => validateOperation(op, index, report));
+  }
+
+  return errors;
+}
+
+// Page numbers can only be checked once the document's page count is known.
+function validatePageNumbers(operations, pageCount) {
+  if (!Number.isInteger(pageCount) || pageCount < 1) {
+    return [];
+  }
+  const { errors, report } = collector();
+  operations.forEach((op, index) => {
+    if (op.page > pageCount) {
+      report(`operations[${index}].page`, `must not exceed the document's ${pageCount} pages`, { index, opId: op.opId });
+    }
+  });
+  return errors;
+}
+
+// Headline message for a 400: the first problem, plus how many more there are.
+function summarizeErrors(errors) {
+  const [first] = errors;
+  return errors.length > 1 ? `${first.message} (and ${errors.length - 1} more)` : first.message;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  MAX_OPERATIONS,
+  OP_TYPES,
+  OPERATION_FIELDS,
+  REQUIRED_OPERATION_FIELDS,
+  validateAnnotationSet,
+  validatePageNumbers,
+  summarizeErrors
+};
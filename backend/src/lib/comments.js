@@ -0,0 +1,94 @@
+const { normalizeEmail } = require("./tables");
+const { isEmail, safeJsonParse } = require("./utils");
+
+const THREAD_STATUSES = ["open", "resolved"];
+const MAX_COMMENT_LENGTH = 2000;
+
+// Returns the trimmed comment body, or null when it is empty or too long.
+function readCommentBody(value) {
+  const body = typeof value === "string" ? value.trim() : "";
+  if (!body || body.length > MAX_COMMENT_LENGTH) {
+    return null;
+  }
+  return body;
+}
+
+// "@reviewer@example.com, can you check?" mentions reviewer@example.com. Trailing
+// punctuation is not part of the address.
+function extractMentions(body) {
+  const mentions = new Set();
+  for (const match of String(body || "").matchAll(/(?:^|[^\w@])@([^\s@]+@[^\s@]+)/g)) {
+    const email = normalizeEmail(match[1].replace(/[.,;:!?)\]]+$/, ""));
+    if (isEmail(email)) {
+      mentions.add(email);
+    }
+  }
+  return [...mentions];
+}
+
+// Everyone who can open the document and so can be mentioned: the owner, then grantees.
+function documentParticipants(doc, shares) {
+  const owner = normalizeEmail(doc.ownerEmail);
+  const grantees = shares.map((share) => normalizeEmail(share.email || share.rowKey)).filter((email) => email && email !== owner);
+  return [owner, ...[...new Set(grantees)].sort()].filter(Boolean);
+}
+
+function unknownMentions(mentions, participants) {
+  return mentions.filter((email) => !participants.includes(email));
+}
+
+function toCommentSummary(entity) {
+  const mentions = safeJsonParse(entity.mentionsJson || "[]");
+  return {
+    commentId: String(entity.commentId),
+    author: String(entity.author || ""),
+    body: String(entity.body || ""),
+    mentions: Array.isArray(mentions) ? mentions : [],
+    createdAt: entity.createdAt || null
+  };
+}
+
+function toThreadSummary(thread, comments) {
+  return {
+    threadId: String(thread.threadId),
+    opId: String(thread.opId || ""),
+    status: THREAD_STATUSES.includes(thread.status) ? thread.status : "open",
+    createdBy: String(thread.createdBy || ""),
+    createdAt: thread.createdAt || null,
+    updatedAt: thread.updatedAt || null,
+    resolvedBy: thread.resolvedBy || null,
+    resolvedAt: thread.resolvedAt || null,
+    comments: comments
+      .map(toCommentSummary)
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+  };
+}
+
+// Groups the rows of a document's comments partition into threads, oldest first.
+function buildThreads(rows) {
+  const comments = new Map();
+  for (const row of rows) {
+    if (row.kind === "comment") {
+      if (!comments.has(row.threadId)) {
+        comments.set(row.threadId, []);
+      }
+      comments.get(row.threadId).push(row);
+    }
+  }
+  return rows
+    .filter((row) => row.kind === "thread")
+    .map((thread) => toThreadSummary(thread, comments.get(thread.threadId) || []))
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+}
+
+module.exports = {
+  THREAD_STATUSES,
+  MAX_COMMENT_LENGTH,
+  readCommentBody,
+  extractMentions,
+  documentParticipants,
+  unknownMentions,
+  toCommentSummary,
+  toThreadSummary,
+  buildThreads
+};
@@ -39,6 +39,8 @@ function parseConnectionString(connectionString) {
 
 const connectionString = required("STORAGE_CONNECTION_STRING");
 const parsed = parseConnectionString(connectionString);
+const docIntelEndpoint = optional("DOCINTEL_ENDPOINT");
+const docIntelKey = optional("DOCINTEL_KEY");
 
 const config = {
   jwtSecret: required("JWT_SECRET"),
@@ -46,7 +48,7 @@ const config = {
   bcryptRounds: asInt("BCRYPT_ROUNDS", 10),
   lockoutThreshold: asInt("LOCKOUT_THRESHOLD", 5),
   lockoutMinutes: asInt("LOCKOUT_MINUTES", 15),
-  maxUploadBytes: asInt("MAX_UPLOAD_BYTES", 10 * 1024 * 1024),
+  maxUploadBytes: asInt("MAX_UPLOAD_BYTES", 200 * 1024 * 1024),
   bootstrapAdminEmail: optional("BOOTSTRAP_ADMIN_EMAIL").toLowerCase(),
   bootstrapAdminPassword: optional("BOOTSTRAP_ADMIN_PASSWORD"),
   storageConnectionString: connectionString,
@@ -59,11 +61,25 @@ const config = {
   documentsTable: optional("TABLE_DOCUMENTS", "documents"),
   sessionsTable: optional("TABLE_SESSIONS", "sessions"),
   jobsTable: optional("TABLE_JOBS", "jobs"),
+  versionsTable: optional("TABLE_VERSIONS", "versions"),
+  sharesTable: optional("TABLE_SHARES", "shares"),
+  commentsTable: optional("TABLE_COMMENTS", "comments"),
+  libraryTable: optional("TABLE_LIBRARY", "library"),
   ocrQueue: optional("QUEUE_OCR", "q-ocr"),
   exportQueue: optional("QUEUE_EXPORT", "q-export"),
-  docIntelEndpoint: optional("DOCINTEL_ENDPOINT"),
-  docIntelKey: optional("DOCINTEL_KEY"),
+  pagesQueue: optional("QUEUE_PAGES", "q-pages"),
+  mergeQueue: optional("QUEUE_MERGE", "q-merge"),
+  splitQueue: optional("QUEUE_SPLIT", "q-split"),
+  convertQueue: optional("QUEUE_CONVERT", "q-convert"),
+  sensitiveQueue: optional("QUEUE_SENSITIVE", "q-sensitive"),
+  docIntelEndpoint,
+  docIntelKey,
   docIntelModelId: optional("DOCINTEL_MODEL_ID", "prebuilt-read"),
+  ocrProvider: optional("OCR_PROVIDER", docIntelEndpoint && docIntelKey ? "azure" : "tesseract").toLowerCase(),
+  ocrLanguages: optional("OCR_LANGUAGES", "eng"),
+  ocrLangPath: optional("OCR_LANG_PATH"),
+  webPubSubConnectionString: optional("WEBPUBSUB_CONNECTION_STRING"),
+  webPubSubHub: optional("WEBPUBSUB_HUB", "annotations"),
   appBaseUrl: optional("APP_BASE_URL"),
   contentSigningSecret: optional("CONTENT_SIGNING_SECRET", crypto.randomBytes(16).toString("hex"))
 };
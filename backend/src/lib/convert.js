@@ -0,0 +1,234 @@
+const { PDFDocument, drawImage, degrees } = require("pdf-lib");
+const { readIfds, isTiff, decodeTiff, TAG } = require("./tiff");
+
+const IMAGE_CONTENT_TYPES = ["image/jpeg", "image/png", "image/tiff"];
+const PAGE_SIZE_OPTIONS = ["fit", "a4", "letter", "legal"];
+const ORIENTATIONS = ["auto", "portrait", "landscape"];
+// Portrait width and height in points.
+const PAGE_SIZES = {
+  a4: [595.28, 841.89],
+  letter: [612, 792],
+  legal: [612, 1008]
+};
+const MAX_CONVERT_IMAGES = 50;
+const MAX_MARGIN = 144;
+// Cameras stamp 72 dpi on every photo, which would make "fit" pages several feet wide,
+// so recorded resolutions below 100 dpi are ignored in favour of this one.
+const DEFAULT_DPI = 150;
+const MIN_TRUSTED_DPI = 100;
+// PDF viewers refuse pages over 200 inches on a side.
+const MAX_PAGE_SIDE = 14400;
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+// Page layout options for a conversion; everything is optional.
+function validateConvertOptions(input) {
+  const source = isPlainObject(input) ? input : {};
+  const options = {
+    pageSize: source.pageSize === undefined ? "fit" : source.pageSize,
+    orientation: source.orientation === undefined ? "auto" : source.orientation,
+    margin: source.margin === undefined ? 0 : source.margin
+  };
+  const errors = [];
+  if (!PAGE_SIZE_OPTIONS.includes(options.pageSize)) {
+    errors.push({ path: "pageSize", message: `must be one of ${PAGE_SIZE_OPTIONS.join(", ")}` });
+  }
+  if (!ORIENTATIONS.includes(options.orientation)) {
+    errors.push({ path: "orientation", message: `must be one of ${ORIENTATIONS.join(", ")}` });
+  }
+  if (typeof options.margin !== "number" || !Number.isFinite(options.margin) ||
+    options.margin < 0 || options.margin > MAX_MARGIN) {
+    errors.push({ path: "margin", message: `must be a number of points from 0 to ${MAX_MARGIN}` });
+  }
+  return { options, errors };
+}
+
+function detectImageFormat(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "jpeg";
+  if (buffer.length >= 8 && buffer.toString("latin1", 1, 4) === "PNG" && buffer[0] === 0x89) return "png";
+  if (isTiff(buffer)) return "tiff";
+  return null;
+}
+
+function trustedDpi(dpi) {
+  return dpi && dpi >= MIN_TRUSTED_DPI ? dpi : DEFAULT_DPI;
+}
+
+// JFIF density and EXIF orientation, read from the markers before the image data.
+function jpegInfo(buffer) {
+  const info = { dpi: null, orientation: 1 };
+  let offset = 2;
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+    const marker = buffer[offset + 1];
+    if (marker === 0xda || marker === 0xd9) break;
+    const length = buffer.readUInt16BE(offset + 2);
+    const start = offset + 4;
+    const end = Math.min(buffer.length, offset + 2 + length);
+    if (marker === 0xe0 && buffer.toString("latin1", start, start + 5) === "JFIF\0" && end - start >= 12) {
+      const units = buffer[start + 7];
+      const density = buffer.readUInt16BE(start + 8);
+      if (units === 1) info.dpi = density;
+      if (units === 2) info.dpi = density * 2.54;
+    }
+    if (marker === 0xe1 && buffer.toString("latin1", start, start + 6) === "Exif\0\0") {
+      try {
+        const [tags] = readIfds(buffer.subarray(start + 6, end));
+        const orientation = tags && tags.get(TAG.orientation);
+        if (orientation) info.orientation = orientation[0];
+      } catch {
+        // A broken EXIF block only costs us the orientation.
+      }
+    }
+    offset += 2 + length;
+  }
+  return info;
+}
+
+function pngDpi(buffer) {
+  let offset = 8;
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("latin1", offset + 4, offset + 8);
+    if (type === "pHYs" && length >= 9 && buffer[offset + 16] === 1) {
+      return buffer.readUInt32BE(offset + 8) * 0.0254;
+    }
+    if (type === "IDAT" || type === "IEND") break;
+    offset += 12 + length;
+  }
+  return null;
+}
+
+// Counter-clockwise rotation that puts an EXIF-oriented photo upright. Mirrored
+// orientations (2, 4, 5, 7) are drawn unmirrored; cameras do not produce them.
+function exifRotation(orientation) {
+  switch (orientation) {
+    case 3:
+    case 4: return 180;
+    case 6:
+    case 7: return 270;
+    case 5:
+    case 8: return 90;
+    default: return 0;
+  }
+}
+
+// Each source image becomes one or more pages to place: a PDF image ref with its pixel
+// size, resolution and the rotation needed to stand it upright.
+async function embedImage(pdf, buffer) {
+  const format = detectImageFormat(buffer);
+  if (format === "jpeg") {
+    // pdf-lib reads JPEG headers from the underlying ArrayBuffer, ignoring the offset
+    // of pooled Node buffers, so it gets a copy of its own.
+    const image = await pdf.embedJpg(new Uint8Array(buffer));
+    const { dpi, orientation } = jpegInfo(buffer);
+    return [{ ref: image.ref, width: image.width, height: image.height, dpi, rotate: exifRotation(orientation) }];
+  }
+  if (format === "png") {
+    const image = await pdf.embedPng(buffer);
+    return [{ ref: image.ref, width: image.width, height: image.height, dpi: pngDpi(buffer), rotate: 0 }];
+  }
+  if (format === "tiff") {
+    return decodeTiff(buffer).map((page) => {
+      const stream = pdf.context.flateStream(page.data, {
+        Type: "XObject",
+        Subtype: "Image",
+        Width: page.width,
+        Height: page.height,
+        BitsPerComponent: page.bitsPerComponent,
+        ColorSpace: page.components === 1 ? "DeviceGray" : "DeviceRGB"
+      });
+      return { ref: pdf.context.register(stream), width: page.width, height: page.height, dpi: page.dpi, rotate: 0 };
+    });
+  }
+  throw new Error("File is not a JPEG, PNG or TIFF image");
+}
+
+// Page size and where the upright image goes on it, in points.
+function layoutPage(placed, options) {
+  const scale = 72 / trustedDpi(placed.dpi);
+  const sideways = placed.rotate === 90 || placed.rotate === 270;
+  const uprightWidth = (sideways ? placed.height : placed.width) * scale;
+  const uprightHeight = (sideways ? placed.width : placed.height) * scale;
+  const margin = options.margin;
+
+  let pageWidth;
+  let pageHeight;
+  let fit;
+  if (options.pageSize === "fit") {
+    fit = Math.min(1, (MAX_PAGE_SIDE - 2 * margin) / Math.max(uprightWidth, uprightHeight));
+    pageWidth = uprightWidth * fit + 2 * margin;
+    pageHeight = uprightHeight * fit + 2 * margin;
+  } else {
+    const [width, height] = PAGE_SIZES[options.pageSize];
+    const landscape = options.orientation === "landscape" ||
+      (options.orientation === "auto" && uprightWidth > uprightHeight);
+    pageWidth = landscape ? height : width;
+    pageHeight = landscape ? width : height;
+    fit = Math.min((pageWidth - 2 * margin) / uprightWidth, (pageHeight - 2 * margin) / uprightHeight);
+  }
+
+  const boxWidth = uprightWidth * fit;
+  const boxHeight = uprightHeight * fit;
+  const box = { x: (pageWidth - boxWidth) / 2, y: (pageHeight - boxHeight) / 2, width: boxWidth, height: boxHeight };
+  return { pageWidth, pageHeight, box };
+}
+
+// drawImage rotates counter-clockwise about its anchor, so the anchor moves to the
+// corner of the box where the image's own bottom-left ends up.
+function imagePlacement(rotate, box) {
+  switch (rotate) {
+    case 90: return { x: box.x + box.width, y: box.y, width: box.height, height: box.width };
+    case 180: return { x: box.x + box.width, y: box.y + box.height, width: box.width, height: box.height };
+    case 270: return { x: box.x, y: box.y + box.height, width: box.height, height: box.width };
+    default: return { x: box.x, y: box.y, width: box.width, height: box.height };
+  }
+}
+
+// Builds one PDF from the images in order, one page per image (or per TIFF page).
+// Returns { errors } with one entry per unusable image, labelled with its name when
+// `names` has one, otherwise { errors: [], buffer, pageCount }.
+async function convertImages(buffers, options, names = []) {
+  const pdf = await PDFDocument.create();
+  const errors = [];
+  const placements = [];
+  for (const [index, buffer] of buffers.entries()) {
+    try {
+      placements.push(...(await embedImage(pdf, buffer)));
+    } catch (err) {
+      errors.push({ path: `files[${index}]`, message: `${names[index] || `Image ${index + 1}`}: ${err.message}` });
+    }
+  }
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  for (const placed of placements) {
+    const { pageWidth, pageHeight, box } = layoutPage(placed, options);
+    const page = pdf.addPage([pageWidth, pageHeight]);
+    const name = page.node.newXObject("Image", placed.ref);
+    page.pushOperators(...drawImage(name, {
+      ...imagePlacement(placed.rotate, box),
+      rotate: degrees(placed.rotate),
+      xSkew: degrees(0),
+      ySkew: degrees(0)
+    }));
+  }
+
+  return {
+    errors: [],
+    buffer: Buffer.from(await pdf.save()),
+    pageCount: pdf.getPageCount()
+  };
+}
+
+module.exports = {
+  IMAGE_CONTENT_TYPES,
+  PAGE_SIZE_OPTIONS,
+  ORIENTATIONS,
+  MAX_CONVERT_IMAGES,
+  validateConvertOptions,
+  detectImageFormat,
+  convertImages
+};
@@ -0,0 +1,284 @@
+const { AzureKeyCredential } = require("@azure/core-auth");
+const { DocumentAnalysisClient } = require("@azure/ai-form-recognizer");
+const { PDFDocument, PDFName, PDFDict, PDFNumber, PDFBool, PDFRawStream, decodePDFRawStream } = require("pdf-lib");
+const { createPageMapper } = require("./annotate");
+const { colorComponents, singleFilter } = require("./redact");
+const { parseContentStream, multiply, transformPoint } = require("./pdfContent");
+const { checkPageRanges, formatPageRanges, pageIndices } = require("./pageRanges");
+
+const OCR_PROVIDERS = ["azure", "tesseract"];
+// What a job may ask for, and the Document Intelligence model each one runs. `read` uses
+// DOCINTEL_MODEL_ID; the others pull out tables, key-value pairs or document fields.
+const OCR_MODES = {
+  read: { model: null },
+  layout: { model: "prebuilt-layout", features: ["keyValuePairs"] },
+  invoice: { model: "prebuilt-invoice" },
+  receipt: { model: "prebuilt-receipt" },
+  id: { model: "prebuilt-idDocument" }
+};
+const PROVIDER_MODES = {
+  azure: Object.keys(OCR_MODES),
+  tesseract: ["read"]
+};
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+const POINTS_PER_INCH = 72;
+// Smaller images are icons and rules, not text worth reading.
+const MIN_IMAGE_SIDE = 32;
+const MAX_FORM_DEPTH = 8;
+
+const name = (value) => PDFName.of(value);
+
+// Every provider resolves to an analyze result in Document Intelligence's shape:
+// { modelId, content, pages: [{ pageNumber, angle, width, height, unit, words, lines }] }
+// with word and line polygons as { x, y } points in `unit`s from the displayed top-left.
+// `analyze` takes one of the provider's `modes` (default "read"); `modelFor(mode)` names
+// the model that mode runs.
+function azureProvider(settings) {
+  const client = new DocumentAnalysisClient(settings.docIntelEndpoint, new AzureKeyCredential(settings.docIntelKey));
+  const modelFor = (mode) => {
+    assertMode("azure", mode);
+    return OCR_MODES[mode].model || settings.docIntelModelId;
+  };
+  return {
+    name: "azure",
+    model: settings.docIntelModelId,
+    modes: PROVIDER_MODES.azure,
+    modelFor,
+    async analyze(buffer, { ranges, mode = "read" } = {}) {
+      const model = modelFor(mode);
+      const { features } = OCR_MODES[mode];
+      const options = {
+        ...(ranges ? { pages: formatPageRanges(ranges) } : {}),
+        ...(features ? { features } : {})
+      };
+      const poller = await client.beginAnalyzeDocument(model, buffer, options);
+      return poller.pollUntilDone();
+    }
+  };
+}
+
+function assertMode(provider, mode) {
+  if (!PROVIDER_MODES[provider].includes(mode)) {
+    throw new Error(`OCR mode "${mode}" is not available with the ${provider} provider`);
+  }
+}
+
+// Modes the configured provider can run; empty when the provider is unknown.
+function supportedOcrModes(settings) {
+  return PROVIDER_MODES[settings.ocrProvider] || [];
+}
+
+function numberIn(dict, key) {
+  const value = dict.lookup(name(key));
+  return value instanceof PDFNumber ? value.asNumber() : 0;
+}
+
+// The image as a file Tesseract can read: JPEG data as is, raw gray or RGB samples as
+// PNM. Returns null for encodings it cannot be handed (CCITT, JBIG2, masks, ...).
+function readableImage(context, stream) {
+  const { dict } = stream;
+  if (!(stream instanceof PDFRawStream) || dict.lookup(name("ImageMask")) === PDFBool.True || dict.get(name("Decode"))) {
+    return null;
+  }
+  const width = numberIn(dict, "Width");
+  const height = numberIn(dict, "Height");
+  const bits = numberIn(dict, "BitsPerComponent");
+  const components = colorComponents(context, dict.get(name("ColorSpace")));
+  if (width < MIN_IMAGE_SIDE || height < MIN_IMAGE_SIDE || (components !== 1 && components !== 3)) {
+    return null;
+  }
+
+  if (singleFilter(context, dict) === name("DCTDecode")) {
+    return { width, height, data: Buffer.from(stream.contents) };
+  }
+  if (dict.get(name("DecodeParms"))) return null;
+
+  let samples;
+  try {
+    samples = Buffer.from(decodePDFRawStream(stream).decode());
+  } catch {
+    return null;
+  }
+  if (bits === 8) {
+    const size = width * height * components;
+    if (samples.length < size) return null;
+    const header = Buffer.from(`${components === 1 ? "P5" : "P6"}\n${width} ${height}\n255\n`, "latin1");
+    return { width, height, data: Buffer.concat([header, samples.subarray(0, size)]) };
+  }
+  if (bits === 1 && components === 1) {
+    const size = Math.ceil(width / 8) * height;
+    if (samples.length < size) return null;
+    // In a PBM a set bit is black; in a one-bit DeviceGray image it is white.
+    const bitmap = Buffer.from(samples.subarray(0, size)).map((byte) => byte ^ 0xff);
+    return { width, height, data: Buffer.concat([Buffer.from(`P4\n${width} ${height}\n`, "latin1"), bitmap]) };
+  }
+  return null;
+}
+
+function decodedContent(context, contents) {
+  const streams = Array.isArray(contents) ? contents : [contents];
+  return Buffer.concat(streams.filter(Boolean).flatMap((stream) => [
+    Buffer.from(decodePDFRawStream(context.lookup(stream)).decode()),
+    Buffer.from("\n")
+  ]));
+}
+
+// Images painted on a page, each with the matrix that maps its unit square onto the
+// page (PDF user space). Follows form XObjects; ignores inline images.
+function pageImages(context, page) {
+  const images = [];
+  const contents = page.node.Contents();
+  if (!contents) return images;
+
+  function walk(bytes, resources, baseMatrix, depth) {
+    const xobjects = resources ? context.lookupMaybe(resources.get(name("XObject")), PDFDict) : undefined;
+    const stack = [];
+    let ctm = baseMatrix;
+    for (const { operator, operands } of parseContentStream(bytes)) {
+      if (operator === "q") {
+        stack.push(ctm);
+      } else if (operator === "Q") {
+        ctm = stack.pop() || baseMatrix;
+      } else if (operator === "cm" && operands.length === 6 && operands.every((o) => o.type === "number")) {
+        ctm = multiply(operands.map((o) => o.value), ctm);
+      } else if (operator === "Do" && xobjects && operands[0] && operands[0].type === "name") {
+        const stream = context.lookup(xobjects.get(name(operands[0].value)));
+        if (!stream || !stream.dict) continue;
+        const subtype = stream.dict.get(name("Subtype"));
+        if (subtype === name("Image")) {
+          const image = readableImage(context, stream);
+          if (image) images.push({ ...image, matrix: ctm });
+        } else if (subtype === name("Form") && depth < MAX_FORM_DEPTH) {
+          const values = context.lookup(stream.dict.get(name("Matrix")));
+          const matrix = values && values.asArray ? values.asArray().map((v) => context.lookup(v).asNumber()) : IDENTITY;
+          const formResources = context.lookupMaybe(stream.dict.get(name("Resources")), PDFDict) || resources;
+          walk(Buffer.from(decodePDFRawStream(stream).decode()), formResources, multiply(matrix, ctm), depth + 1);
+        }
+      }
+    }
+  }
+
+  const items = contents.asArray ? contents.asArray() : [contents];
+  walk(decodedContent(context, items), page.node.Resources(), IDENTITY, 0);
+  return images;
+}
+
+// Tesseract's lines and their words, with pixel boxes carried through the image
+// placement onto the displayed page.
+function imageLines(image, blocks, mapper) {
+  const toPage = (px, py) => {
+    const user = transformPoint(image.matrix, px / image.width, 1 - py / image.height);
+    const shown = mapper.fromPdf(user.x, user.y);
+    return { x: shown.x / POINTS_PER_INCH, y: shown.y / POINTS_PER_INCH };
+  };
+  const polygon = ({ x0, y0, x1, y1 }) => [toPage(x0, y0), toPage(x1, y0), toPage(x1, y1), toPage(x0, y1)];
+
+  const lines = [];
+  for (const block of blocks || []) {
+    for (const paragraph of block.paragraphs || []) {
+      for (const line of paragraph.lines || []) {
+        const words = (line.words || [])
+          .map((word) => ({ content: String(word.text || "").trim(), polygon: polygon(word.bbox), confidence: word.confidence / 100 }))
+          .filter((word) => word.content);
+        if (words.length > 0) lines.push({ polygon: polygon(line.bbox), words });
+      }
+    }
+  }
+  return lines;
+}
+
+function tesseractProvider(settings) {
+  const languages = settings.ocrLanguages;
+  const model = `tesseract-${languages}`;
+  return {
+    name: "tesseract",
+    model,
+    modes: PROVIDER_MODES.tesseract,
+    modelFor(mode) {
+      assertMode("tesseract", mode);
+      return model;
+    },
+    async analyze(buffer, { ranges, mode = "read" } = {}) {
+      assertMode("tesseract", mode);
+      // Loaded on first use so Azure-only deployments never pay for the WASM engine.
+      const { createWorker } = require("tesseract.js");
+      const langPath = settings.ocrLangPath || require("@tesseract.js-data/eng").langPath;
+      const pdf = await PDFDocument.load(buffer, { ignoreEncryption: true });
+      // The stored page count is unknown for some documents, so ranges are checked against the file.
+      const [rangeError] = ranges ? checkPageRanges(ranges, pdf.getPageCount()) : [];
+      if (rangeError) {
+        throw new Error(`Invalid pages: ${rangeError.message}`);
+      }
+      const indices = ranges ? pageIndices(ranges) : pdf.getPageIndices();
+
+      const worker = await createWorker(languages, 1, { langPath, gzip: true, cacheMethod: "none" });
+      try {
+        const pages = [];
+        // Text drawn as vectors is not read, so pages with no image are reported instead of
+        // passing for pages with no text.
+        const pagesWithoutImages = [];
+        // Lines and words point into `content` with spans, as Document Intelligence's do.
+        let content = "";
+        for (const index of indices) {
+          const page = pdf.getPage(index);
+          const mapper = createPageMapper(page);
+          const words = [];
+          const lines = [];
+          const images = pageImages(pdf.context, page);
+          if (images.length === 0) {
+            pagesWithoutImages.push(index + 1);
+          }
+          for (const image of images) {
+            const { data } = await worker.recognize(image.data, {}, { blocks: true });
+            for (const line of imageLines(image, data.blocks, mapper)) {
+              if (content) content += "\n";
+              const start = content.length;
+              line.words.forEach((word, i) => {
+                if (i > 0) content += " ";
+                words.push({ ...word, span: { offset: content.length, length: word.content.length } });
+                content += word.content;
+              });
+              lines.push({ content: content.slice(start), polygon: line.polygon, spans: [{ offset: start, length: content.length - start }] });
+            }
+          }
+          pages.push({
+            pageNumber: index + 1,
+            angle: 0,
+            width: mapper.width / POINTS_PER_INCH,
+            height: mapper.height / POINTS_PER_INCH,
+            unit: "inch",
+            words,
+            lines
+          });
+        }
+        return { modelId: model, content, pages, pagesWithoutImages };
+      } finally {
+        await worker.terminate();
+      }
+    }
+  };
+}
+
+// The provider `settings.ocrProvider` (OCR_PROVIDER) selects. Throws when it is unknown
+// or missing its settings.
+function createOcrProvider(settings) {
+  const provider = settings.ocrProvider;
+  if (provider === "azure") {
+    if (!settings.docIntelEndpoint || !settings.docIntelKey) {
+      throw new Error("Document Intelligence not configured");
+    }
+    return azureProvider(settings);
+  }
+  if (provider === "tesseract") {
+    return tesseractProvider(settings);
+  }
+  throw new Error(`Unknown OCR provider "${provider}"; expected one of ${OCR_PROVIDERS.join(", ")}`);
+}
+
+module.exports = {
+  OCR_PROVIDERS,
+  OCR_MODES,
+  createOcrProvider,
+  supportedOcrModes,
+  pageImages
+};
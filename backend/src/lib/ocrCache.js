@@ -0,0 +1,28 @@
+const { config } = require("./config");
+const { downloadToBuffer, uploadJson, getBlobProperties } = require("./storage");
+const { sha256 } = require("./uploads");
+
+// Analyses are shared by every document with the same bytes, read with the same model
+// over the same pages. They sit beside the per-job results, so the OCR container's
+// lifecycle rule expires them too.
+function ocrCacheBlobName(buffer, model, pages) {
+  return `cache/${sha256(buffer)}/${model}/${pages || "all"}.json`;
+}
+
+// The saved analysis, or null when there is none.
+async function readOcrCache(blobName) {
+  if (!(await getBlobProperties(config.ocrContainer, blobName))) {
+    return null;
+  }
+  return JSON.parse((await downloadToBuffer(config.ocrContainer, blobName)).toString("utf8"));
+}
+
+async function writeOcrCache(blobName, entry) {
+  await uploadJson(config.ocrContainer, blobName, entry);
+}
+
+module.exports = {
+  ocrCacheBlobName,
+  readOcrCache,
+  writeOcrCache
+};
@@ -0,0 +1,140 @@
+const { PDFDocument } = require("pdf-lib");
+const { displayedSize } = require("./pages");
+const { polygonPoints, ocrWords, ocrLines } = require("./textLayer");
+
+// Version of the normalized OCR document described by docs/data/ocr-document-v1.json.
+const OCR_DOCUMENT_VERSION = "1.0";
+const POINTS_PER_INCH = 72;
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function boundsOf(polygon) {
+  const xs = polygon.map((p) => p.x);
+  const ys = polygon.map((p) => p.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, w: round(Math.max(...xs) - x), h: round(Math.max(...ys) - y) };
+}
+
+function confidenceOf(value) {
+  return typeof value === "number" && Number.isFinite(value) ? round(Math.min(Math.max(value, 0), 1), 3) : null;
+}
+
+function contains(spans, span) {
+  return spans.some((s) => span.offset >= s.offset && span.offset + span.length <= s.offset + s.length);
+}
+
+// Page sizes as the editor shows them (points at zoom 1), by page number. Empty when the
+// file cannot be parsed here, so a paid-for result is still kept (scaled from inches).
+async function displayedPageSizes(buffer) {
+  let pdf;
+  try {
+    pdf = await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false });
+  } catch {
+    return new Map();
+  }
+  return new Map(pdf.getPages().map((page, index) => [index + 1, displayedSize(page)]));
+}
+
+// A vendor-neutral copy of an analyze result: pages -> lines -> words with text,
+// confidence (0-1, null when the provider gives none) and `bounds` { x, y, w, h } in the
+// space annotation bounds use: points on the displayed page at zoom 1, origin top-left.
+// `polygon` keeps the four corners (clockwise from the top-left of the text as read) for
+// skewed or rotated text. `pageSizes` comes from displayedPageSizes(); without a size a
+// page is scaled from its inches.
+function normalizeOcrResult(result, pageSizes, { docId, jobId, provider, model, analyzedAt }) {
+  const pages = [];
+  for (const page of (result && result.pages) || []) {
+    if (!Number.isInteger(page.pageNumber) || !(page.width > 0) || !(page.height > 0)) continue;
+    const perUnit = page.unit === "inch" ? POINTS_PER_INCH : 1;
+    const size = pageSizes.get(page.pageNumber) || { width: page.width * perUnit, height: page.height * perUnit };
+    const scaleX = size.width / page.width;
+    const scaleY = size.height / page.height;
+
+    const item = (raw) => {
+      const text = typeof raw.content === "string" ? raw.content.trim() : "";
+      const points = polygonPoints(raw.polygon);
+      if (!text || points.length < 4) return null;
+      const polygon = points.slice(0, 4).map((p) => ({ x: round(p.x * scaleX), y: round(p.y * scaleY) }));
+      return { text, bounds: boundsOf(polygon), polygon };
+    };
+
+    const lines = [];
+    for (const raw of page.lines || []) {
+      const line = item(raw);
+      if (line) lines.push({ ...line, spans: Array.isArray(raw.spans) ? raw.spans : [], words: [] });
+    }
+    for (const raw of page.words || []) {
+      const word = item(raw);
+      if (!word) continue;
+      word.confidence = confidenceOf(raw.confidence);
+      // Words belong to the line whose text they are part of, or else whose box holds their
+      // centre. A word in no line becomes a line of its own rather than being lost.
+      const centre = { x: word.bounds.x + word.bounds.w / 2, y: word.bounds.y + word.bounds.h / 2 };
+      const line = (raw.span && lines.find((l) => contains(l.spans, raw.span)))
+        || lines.find(({ bounds: b }) => centre.x >= b.x && centre.x <= b.x + b.w && centre.y >= b.y && centre.y <= b.y + b.h);
+      if (line) {
+        line.words.push(word);
+      } else {
+        lines.push({ text: word.text, bounds: word.bounds, polygon: word.polygon, spans: [], words: [word] });
+      }
+    }
+
+    pages.push({
+      pageNumber: page.pageNumber,
+      width: round(size.width),
+      height: round(size.height),
+      angle: Number.isFinite(page.angle) ? page.angle : 0,
+      text: lines.map((line) => line.text).join("\n"),
+      lines: lines.map(({ spans, words, ...line }) => {
+        const scores = words.map((word) => word.confidence).filter((value) => value !== null);
+        return {
+          ...line,
+          confidence: scores.length > 0 ? round(scores.reduce((a, b) => a + b, 0) / scores.length, 3) : null,
+          words: words.map(({ text, confidence, bounds, polygon }) => ({ text, confidence, bounds, polygon }))
+        };
+      })
+    });
+  }
+  pages.sort((a, b) => a.pageNumber - b.pageNumber);
+
+  return {
+    schemaVersion: OCR_DOCUMENT_VERSION,
+    docId,
+    jobId,
+    provider,
+    model,
+    analyzedAt,
+    pages,
+    pagesWithoutImages: Array.isArray(result && result.pagesWithoutImages) ? result.pagesWithoutImages : []
+  };
+}
+
+// Words or lines ("words" | "lines") per page with polygons as fractions of the page,
+// from a saved OCR blob: a normalized document, or a raw result saved before they existed.
+function savedOcrItems(saved, key) {
+  if (!saved || saved.schemaVersion !== OCR_DOCUMENT_VERSION) {
+    const result = saved && saved.result;
+    return key === "words" ? ocrWords(result) : ocrLines(result);
+  }
+  const pages = new Map();
+  for (const page of saved.pages || []) {
+    const lines = page.lines || [];
+    const items = key === "words" ? lines.flatMap((line) => line.words || []) : lines;
+    pages.set(page.pageNumber, items.map((item) => ({
+      content: item.text,
+      polygon: item.polygon.map((p) => ({ x: p.x / page.width, y: p.y / page.height }))
+    })));
+  }
+  return pages;
+}
+
+module.exports = {
+  OCR_DOCUMENT_VERSION,
+  displayedPageSizes,
+  normalizeOcrResult,
+  savedOcrItems
+};
@@ -0,0 +1,138 @@
+function firstPage(element) {
+  const region = element && Array.isArray(element.boundingRegions) ? element.boundingRegions[0] : null;
+  return region && Number.isInteger(region.pageNumber) ? region.pageNumber : null;
+}
+
+function textOf(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function confidenceOf(value) {
+  return typeof value === "number" && Number.isFinite(value) ? Math.round(value * 1000) / 1000 : null;
+}
+
+// A table as rows of cell text. A cell spanning several rows or columns is written once,
+// in its top-left slot; leading rows made only of column headers are counted.
+function tableOf(table) {
+  const rowCount = Number.isInteger(table.rowCount) ? table.rowCount : 0;
+  const columnCount = Number.isInteger(table.columnCount) ? table.columnCount : 0;
+  const rows = Array.from({ length: rowCount }, () => Array(columnCount).fill(""));
+  const headerRows = new Set();
+  const bodyRows = new Set();
+  for (const cell of table.cells || []) {
+    const { rowIndex, columnIndex } = cell;
+    if (!Number.isInteger(rowIndex) || !Number.isInteger(columnIndex)) continue;
+    if (rowIndex < 0 || rowIndex >= rowCount || columnIndex < 0 || columnIndex >= columnCount) continue;
+    rows[rowIndex][columnIndex] = textOf(cell.content);
+    (cell.kind === "columnHeader" ? headerRows : bodyRows).add(rowIndex);
+  }
+  let headerRowCount = 0;
+  while (headerRows.has(headerRowCount) && !bodyRows.has(headerRowCount)) headerRowCount++;
+  return { pageNumber: firstPage(table), rowCount, columnCount, headerRowCount, rows };
+}
+
+// The value of a document field as plain JSON: numbers, amounts and booleans as such,
+// dates as YYYY-MM-DD, lists as arrays, objects by property; anything else as its text.
+function fieldValue(field) {
+  if (!field) return null;
+  switch (field.kind) {
+    case "array":
+      return (field.values || []).map(fieldValue);
+    case "object":
+      return Object.fromEntries(Object.entries(field.properties || {}).map(([key, value]) => [key, fieldValue(value)]));
+    case "currency":
+      return field.value && typeof field.value.amount === "number" ? field.value.amount : textOf(field.content) || null;
+    case "date": {
+      // A Date from the SDK, or its ISO string once saved.
+      const date = field.value instanceof Date || typeof field.value === "string" ? new Date(field.value) : null;
+      if (date && !Number.isNaN(date.getTime())) return date.toISOString().slice(0, 10);
+      break;
+    }
+    default:
+      break;
+  }
+  if (["string", "number", "boolean"].includes(typeof field.value)) return field.value;
+  return textOf(field.content) || null;
+}
+
+// An invoice's or receipt's `Items` become rows of their own; every other field is listed
+// by name.
+function documentOf(document) {
+  const fields = [];
+  let items = [];
+  for (const [name, field] of Object.entries(document.fields || {})) {
+    if (name === "Items" && field && field.kind === "array") {
+      items = (field.values || []).map(fieldValue).filter((item) => item && typeof item === "object" && !Array.isArray(item));
+      continue;
+    }
+    fields.push({ name, value: fieldValue(field), confidence: confidenceOf(field && field.confidence), pageNumber: firstPage(field) });
+  }
+  return { docType: String(document.docType || ""), confidence: confidenceOf(document.confidence), fields, items };
+}
+
+// Tables, key-value pairs and document fields from a layout, invoice, receipt or id
+// analysis, as plain JSON that turns into CSV without knowing which model produced it.
+function extractStructure(result, { docId, jobId, mode, model, analyzedAt }) {
+  const source = result || {};
+  return {
+    docId,
+    jobId,
+    mode,
+    model,
+    analyzedAt,
+    tables: (source.tables || []).map(tableOf),
+    keyValuePairs: (source.keyValuePairs || [])
+      .filter((pair) => pair && pair.key && textOf(pair.key.content))
+      .map((pair) => ({
+        key: textOf(pair.key.content),
+        value: pair.value ? textOf(pair.value.content) : "",
+        confidence: confidenceOf(pair.confidence),
+        pageNumber: firstPage(pair.key)
+      })),
+    documents: (source.documents || []).map(documentOf)
+  };
+}
+
+// Rows for one CSV download: `table` is a 1-based table number, "items" (every
+// document's line items, one column per property) or "fields" (key-value pairs, then
+// document fields). Null when there is no such table.
+function structureRows(structure, table) {
+  if (table === "fields") {
+    return [
+      ["name", "value", "confidence", "page"],
+      ...structure.keyValuePairs.map((pair) => [pair.key, pair.value, pair.confidence, pair.pageNumber]),
+      ...structure.documents.flatMap((document) => document.fields.map((field) => [field.name, field.value, field.confidence, field.pageNumber]))
+    ];
+  }
+  if (table === "items") {
+    const items = structure.documents.flatMap((document) => document.items);
+    const columns = [...new Set(items.flatMap((item) => Object.keys(item)))];
+    return [columns, ...items.map((item) => columns.map((column) => item[column]))];
+  }
+  const found = structure.tables[Number(table) - 1];
+  return found ? found.rows : null;
+}
+
+function cellText(value) {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) return value.map(cellText).join("; ");
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+function csvCell(value) {
+  let text = cellText(value);
+  // Spreadsheets run cells that start like a formula; plain signed numbers are left alone.
+  if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?\d[\d.,]*$/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// RFC 4180: comma-separated, CRLF line ends, quotes doubled inside quoted cells.
+function toCsv(rows) {
+  return rows.map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  extractStructure,
+  structureRows,
+  toCsv
+};
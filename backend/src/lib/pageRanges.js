@@ -0,0 +1,131 @@
+// Page ranges as people type them: "1-3,5,8-10". Pages are 1-based and ranges inclusive.
+const MAX_PAGE_RANGES = 100;
+// No document gets near this; it keeps a range typed against an unknown page count from
+// expanding into millions of page indices before the PDF itself can be checked.
+const MAX_PAGE_NUMBER = 10000;
+
+const RANGE_PATTERN = /^(\d+)(?:\s*-\s*(\d+))?$/;
+
+function formatPageRange(range) {
+  return range.start === range.end ? String(range.start) : `${range.start}-${range.end}`;
+}
+
+// Returns the ranges in the order written; errors point at the offending entry, e.g. "pages[2]".
+function parsePageRanges(input, path = "pages") {
+  const text = typeof input === "string" ? input.trim() : "";
+  if (!text) {
+    return { ranges: [], errors: [{ path, message: "must list at least one page or range" }] };
+  }
+  const parts = text.split(",").map((part) => part.trim());
+  if (parts.length > MAX_PAGE_RANGES) {
+    return { ranges: [], errors: [{ path, message: `too many ranges (maximum ${MAX_PAGE_RANGES})` }] };
+  }
+
+  const ranges = [];
+  const errors = [];
+  parts.forEach((part, index) => {
+    const entryPath = `${path}[${index}]`;
+    if (!part) {
+      errors.push({ path: entryPath, message: "is empty" });
+      return;
+    }
+    const match = RANGE_PATTERN.exec(part);
+    if (!match) {
+      errors.push({ path: entryPath, message: `"${part}" is not a page number or range such as 2-5` });
+      return;
+    }
+    const start = Number(match[1]);
+    const end = match[2] === undefined ? start : Number(match[2]);
+    if (start < 1) {
+      errors.push({ path: entryPath, message: "page numbers start at 1" });
+    } else if (end > MAX_PAGE_NUMBER) {
+      errors.push({ path: entryPath, message: `page numbers go up to ${MAX_PAGE_NUMBER}` });
+    } else if (end < start) {
+      errors.push({ path: entryPath, message: `"${part}" ends before it starts` });
+    } else {
+      ranges.push({ start, end });
+    }
+  });
+
+  return { ranges, errors };
+}
+
+function checkPageRanges(ranges, pageCount, path = "pages") {
+  const errors = [];
+  ranges.forEach((range, index) => {
+    if (range.end > pageCount) {
+      errors.push({
+        path: `${path}[${index}]`,
+        message: `${formatPageRange(range)} goes past the last page (${pageCount})`
+      });
+    }
+  });
+  return errors;
+}
+
+// Sorted, with overlapping and adjacent ranges joined: "5,1-3,2-4" becomes 1-5.
+function normalizePageRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ start: range.start, end: range.end });
+    }
+  }
+  return merged;
+}
+
+function formatPageRanges(ranges) {
+  return ranges.map(formatPageRange).join(",");
+}
+
+// Zero-based page indices, in range order.
+function pageIndices(ranges) {
+  const indices = [];
+  for (const range of ranges) {
+    for (let page = range.start; page <= range.end; page++) {
+      indices.push(page - 1);
+    }
+  }
+  return indices;
+}
+
+// For endpoints where pages are optional and mean "only these pages": no input selects the
+// whole document (ranges is null). Otherwise the ranges are normalized and, when the page
+// count is known, checked against it.
+function parsePageSelection(input, pageCount, path = "pages") {
+  if (input === undefined || input === null || input === "") {
+    return { ranges: null, errors: [] };
+  }
+  if (typeof input !== "string" && !Number.isInteger(input)) {
+    return { ranges: null, errors: [{ path, message: "must be a string such as 1-3,5" }] };
+  }
+
+  const parsed = parsePageRanges(String(input), path);
+  if (parsed.errors.length > 0) {
+    return { ranges: null, errors: parsed.errors };
+  }
+  // Checked before normalizing so errors still point at the entry as written.
+  if (Number.isInteger(pageCount)) {
+    const errors = checkPageRanges(parsed.ranges, pageCount, path);
+    if (errors.length > 0) {
+      return { ranges: null, errors };
+    }
+  }
+  return { ranges: normalizePageRanges(parsed.ranges), errors: [] };
+}
+
+module.exports = {
+  MAX_PAGE_RANGES,
+  MAX_PAGE_NUMBER,
+  parsePageRanges,
+  checkPageRanges,
+  normalizePageRanges,
+  parsePageSelection,
+  formatPageRange,
+  formatPageRanges,
+  pageIndices
+};
@@ -0,0 +1,351 @@
+const { PDFDocument, degrees } = require("pdf-lib");
+const { v4: uuidv4 } = require("uuid");
+const { checkPageRanges, pageIndices } = require("./pageRanges");
+
+const PAGE_EDIT_TYPES = ["move", "rotate", "delete", "insertBlank", "duplicate"];
+const ROTATIONS = [90, 180, 270];
+// Keeps the queue message well under the 64 KB limit.
+const MAX_PAGE_EDITS = 200;
+// US Letter, for a blank page inserted into a document with nothing to size it after.
+const DEFAULT_PAGE_SIZE = { width: 612, height: 792 };
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function isPosition(value, min = 1) {
+  return Number.isInteger(value) && value >= min;
+}
+
+// Shape checks only; whether positions exist depends on the page count (see planPageEdits).
+function validatePageEdits(edits) {
+  if (!Array.isArray(edits) || edits.length === 0) {
+    return [{ path: "edits", message: "must be a non-empty array" }];
+  }
+  if (edits.length > MAX_PAGE_EDITS) {
+    return [{ path: "edits", message: `too many edits (maximum ${MAX_PAGE_EDITS})` }];
+  }
+
+  const errors = [];
+  edits.forEach((edit, index) => {
+    const path = `edits[${index}]`;
+    if (!isPlainObject(edit) || !PAGE_EDIT_TYPES.includes(edit.type)) {
+      errors.push({ path: `${path}.type`, message: `must be one of ${PAGE_EDIT_TYPES.join(", ")}` });
+      return;
+    }
+    if (edit.type === "insertBlank") {
+      if (!isPosition(edit.after, 0)) {
+        errors.push({ path: `${path}.after`, message: "must be a page number, or 0 to insert at the start" });
+      }
+      return;
+    }
+    if (!isPosition(edit.page)) {
+      errors.push({ path: `${path}.page`, message: "must be a page number starting at 1" });
+    }
+    if (edit.type === "move" && !isPosition(edit.to)) {
+      errors.push({ path: `${path}.to`, message: "must be a page number starting at 1" });
+    }
+    if (edit.type === "rotate" && !ROTATIONS.includes(edit.degrees)) {
+      errors.push({ path: `${path}.degrees`, message: `must be one of ${ROTATIONS.join(", ")}` });
+    }
+  });
+  return errors;
+}
+
+// Applies edits in order to a document of pageCount pages. Page numbers in each edit
+// refer to the sequence as it stands after the previous edits. Each resulting page
+// records its zero-based source page (null for an inserted blank) and the clockwise
+// rotation to add to it.
+function planPageEdits(pageCount, edits) {
+  let pages = Array.from({ length: pageCount }, (_, source) => ({ source, rotate: 0 }));
+  const errors = [];
+
+  edits.forEach((edit, index) => {
+    const path = `edits[${index}]`;
+    const outOfRange = (field, value, min = 1) => {
+      if (value < min || value > pages.length) {
+        errors.push({ path: `${path}.${field}`, message: `must be between ${min} and ${pages.length}` });
+        return true;
+      }
+      return false;
+    };
+
+    switch (edit.type) {
+      case "move": {
+        if (outOfRange("page", edit.page) || outOfRange("to", edit.to)) return;
+        const next = [...pages];
+        const [moved] = next.splice(edit.page - 1, 1);
+        next.splice(edit.to - 1, 0, moved);
+        pages = next;
+        break;
+      }
+      case "rotate":
+        if (outOfRange("page", edit.page)) return;
+        pages = pages.map((page, i) =>
+          i === edit.page - 1 ? { ...page, rotate: (page.rotate + edit.degrees) % 360 } : page
+        );
+        break;
+      case "delete":
+        if (outOfRange("page", edit.page)) return;
+        if (pages.length === 1) {
+          errors.push({ path, message: "cannot delete the last remaining page" });
+          return;
+        }
+        pages = pages.filter((_, i) => i !== edit.page - 1);
+        break;
+      case "insertBlank":
+        if (outOfRange("after", edit.after, 0)) return;
+        pages = [...pages.slice(0, edit.after), { source: null, rotate: 0 }, ...pages.slice(edit.after)];
+        break;
+      case "duplicate":
+        if (outOfRange("page", edit.page)) return;
+        pages = [...pages.slice(0, edit.page), { ...pages[edit.page - 1] }, ...pages.slice(edit.page)];
+        break;
+      default:
+        errors.push({ path: `${path}.type`, message: `must be one of ${PAGE_EDIT_TYPES.join(", ")}` });
+    }
+  });
+
+  return { pages, errors };
+}
+
+// Turns a point on a displayed width x height page by `rotate` degrees clockwise.
+function rotatePoint(point, rotate, width, height) {
+  switch (rotate) {
+    case 90:
+      return { x: height - point.y, y: point.x };
+    case 180:
+      return { x: width - point.x, y: height - point.y };
+    case 270:
+      return { x: point.y, y: width - point.x };
+    default:
+      return { x: point.x, y: point.y };
+  }
+}
+
+function rotateBounds(bounds, rotate, width, height) {
+  const a = rotatePoint({ x: bounds.x, y: bounds.y }, rotate, width, height);
+  const b = rotatePoint({ x: bounds.x + bounds.w, y: bounds.y + bounds.h }, rotate, width, height);
+  return {
+    x: Math.min(a.x, b.x),
+    y: Math.min(a.y, b.y),
+    w: Math.abs(b.x - a.x),
+    h: Math.abs(b.y - a.y)
+  };
+}
+
+function moveOperation(op, pageNumber, rotate, size) {
+  const moved = { ...op, page: pageNumber };
+  if (!rotate || !size) {
+    return moved;
+  }
+  if (op.bounds) {
+    moved.bounds = rotateBounds(op.bounds, rotate, size.width, size.height);
+  }
+  if (Array.isArray(op.payload?.points)) {
+    moved.payload = {
+      ...op.payload,
+      points: op.payload.points.map((p) => ({ ...p, ...rotatePoint(p, rotate, size.width, size.height) }))
+    };
+  }
+  return moved;
+}
+
+// Carries annotations along with their pages. displayedSizes[source] is the source
+// page's size as the editor showed it, which is the space annotation coordinates live
+// in. Annotations on deleted pages are dropped; copies on duplicated pages get new opIds.
+function remapOperations(operations, pages, displayedSizes = []) {
+  const bySource = new Map();
+  for (const op of operations) {
+    const source = Number(op.page) - 1;
+    if (!bySource.has(source)) {
+      bySource.set(source, []);
+    }
+    bySource.get(source).push(op);
+  }
+
+  const seen = new Set();
+  const remapped = [];
+  pages.forEach((page, index) => {
+    if (page.source === null) {
+      return;
+    }
+    const firstCopy = !seen.has(page.source);
+    seen.add(page.source);
+    for (const op of bySource.get(page.source) || []) {
+      const moved = moveOperation(op, index + 1, page.rotate, displayedSizes[page.source]);
+      remapped.push(firstCopy ? moved : { ...moved, opId: uuidv4() });
+    }
+  });
+
+  return {
+    operations: remapped,
+    dropped: operations.length - operations.filter((op) => seen.has(Number(op.page) - 1)).length
+  };
+}
+
+function normalizedRotation(page) {
+  return ((page.getRotation().angle % 360) + 360) % 360;
+}
+
+// Size of a page as the editor shows it: crop box, with width and height swapped for
+// quarter turns.
+function displayedSize(page) {
+  const box = page.getCropBox();
+  return normalizedRotation(page) % 180 === 0
+    ? { width: box.width, height: box.height }
+    : { width: box.height, height: box.width };
+}
+
+// Builds a new PDF from the source according to the edits. Blank pages take the
+// displayed size of the page before them (or after them when inserted first).
+async function applyPageEdits(sourceBuffer, edits) {
+  const source = await PDFDocument.load(sourceBuffer);
+  const sourcePages = source.getPages();
+  const displayedSizes = sourcePages.map(displayedSize);
+
+  const plan = planPageEdits(sourcePages.length, edits);
+  if (plan.errors.length > 0) {
+    return { errors: plan.errors };
+  }
+
+  const output = await PDFDocument.create();
+  const copied = await output.copyPages(
+    source,
+    plan.pages.filter((page) => page.source !== null).map((page) => page.source)
+  );
+  const blankSize = (index) => {
+    const neighbours = [...plan.pages.slice(0, index).reverse(), ...plan.pages.slice(index + 1)];
+    const sized = neighbours.find((page) => page.source !== null);
+    if (!sized) {
+      return DEFAULT_PAGE_SIZE;
+    }
+    const { width, height } = displayedSizes[sized.source];
+    return sized.rotate % 180 === 0 ? { width, height } : { width: height, height: width };
+  };
+
+  let next = 0;
+  plan.pages.forEach((entry, index) => {
+    if (entry.source === null) {
+      const size = blankSize(index);
+      output.addPage([size.width, size.height]).setRotation(degrees(entry.rotate));
+      return;
+    }
+    const page = output.addPage(copied[next]);
+    next += 1;
+    if (entry.rotate) {
+      page.setRotation(degrees((normalizedRotation(page) + entry.rotate) % 360));
+    }
+  });
+
+  const bytes = await output.save();
+  return {
+    errors: [],
+    buffer: Buffer.from(bytes),
+    pages: plan.pages,
+    displayedSizes
+  };
+}
+
+// Concatenates documents one at a time, so a job can report progress between inputs.
+// Each input's annotations are shifted by the pages before it; an opId that is already
+// taken (the same document merged twice) is replaced.
+function createDocumentMerger() {
+  let output = null;
+  const operations = [];
+  const opIds = new Set();
+
+  async function append(sourceBuffer, sourceOperations = []) {
+    if (!output) {
+      output = await PDFDocument.create();
+    }
+    const offset = output.getPageCount();
+    const source = await PDFDocument.load(sourceBuffer);
+    const copied = await output.copyPages(source, source.getPageIndices());
+    copied.forEach((page) => output.addPage(page));
+
+    for (const op of sourceOperations) {
+      const page = Number(op.page);
+      if (!Number.isInteger(page) || page < 1 || page > copied.length) {
+        continue;
+      }
+      const opId = opIds.has(op.opId) ? uuidv4() : op.opId;
+      opIds.add(opId);
+      operations.push({ ...op, opId, page: page + offset });
+    }
+    return copied.length;
+  }
+
+  async function save() {
+    if (!output) {
+      throw new Error("Nothing to merge");
+    }
+    const bytes = await output.save();
+    return {
+      buffer: Buffer.from(bytes),
+      pageCount: output.getPageCount(),
+      operations
+    };
+  }
+
+  return { append, save };
+}
+
+// The reverse of merging: each extracted range becomes a document of its own, with the
+// annotations on those pages renumbered from 1. Ranges must already fit the page count.
+async function createDocumentSplitter(sourceBuffer) {
+  const source = await PDFDocument.load(sourceBuffer);
+
+  async function extract(range, sourceOperations = []) {
+    const output = await PDFDocument.create();
+    const copied = await output.copyPages(source, pageIndices([range]));
+    copied.forEach((page) => output.addPage(page));
+
+    const operations = sourceOperations
+      .filter((op) => Number(op.page) >= range.start && Number(op.page) <= range.end)
+      .map((op) => ({ ...op, page: Number(op.page) - range.start + 1 }));
+    const bytes = await output.save();
+    return {
+      buffer: Buffer.from(bytes),
+      pageCount: copied.length,
+      operations
+    };
+  }
+
+  return { pageCount: source.getPageCount(), extract };
+}
+
+// Keeps only the selected pages, in range order. Like applyPageEdits, returns errors
+// rather than throwing when a range does not fit the document.
+async function selectPages(sourceBuffer, ranges) {
+  const source = await PDFDocument.load(sourceBuffer);
+  const errors = checkPageRanges(ranges, source.getPageCount());
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const output = await PDFDocument.create();
+  const copied = await output.copyPages(source, pageIndices(ranges));
+  copied.forEach((page) => output.addPage(page));
+  const bytes = await output.save();
+  return {
+    errors: [],
+    buffer: Buffer.from(bytes),
+    pageCount: copied.length
+  };
+}
+
+module.exports = {
+  PAGE_EDIT_TYPES,
+  ROTATIONS,
+  MAX_PAGE_EDITS,
+  validatePageEdits,
+  planPageEdits,
+  rotateBounds,
+  displayedSize,
+  remapOperations,
+  applyPageEdits,
+  createDocumentMerger,
+  createDocumentSplitter,
+  selectPages
+};
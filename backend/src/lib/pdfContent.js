@@ -0,0 +1,302 @@
+// Minimal PDF content-stream tokenizer. Operators keep their original byte range so
+// callers can drop or replace individual operations without re-serializing the rest.
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set(Array.from("()<>[]{}/%", (ch) => ch.charCodeAt(0)));
+const KEYWORDS = new Set(["true", "false", "null"]);
+
+function isRegular(byte) {
+  return !WHITESPACE.has(byte) && !DELIMITERS.has(byte);
+}
+
+function isHexDigit(byte) {
+  return (byte >= 0x30 && byte <= 0x39) || (byte >= 0x41 && byte <= 0x46) || (byte >= 0x61 && byte <= 0x66);
+}
+
+class ContentReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.pos = 0;
+  }
+
+  skipWhitespace() {
+    const { bytes } = this;
+    while (this.pos < bytes.length) {
+      const byte = bytes[this.pos];
+      if (WHITESPACE.has(byte)) {
+        this.pos += 1;
+      } else if (byte === 0x25) {
+        while (this.pos < bytes.length && bytes[this.pos] !== 0x0a && bytes[this.pos] !== 0x0d) {
+          this.pos += 1;
+        }
+      } else {
+        break;
+      }
+    }
+  }
+
+  readRegular() {
+    const start = this.pos;
+    while (this.pos < this.bytes.length && isRegular(this.bytes[this.pos])) {
+      this.pos += 1;
+    }
+    return this.bytes.toString("latin1", start, this.pos);
+  }
+
+  readLiteralString() {
+    const { bytes } = this;
+    const out = [];
+    let depth = 1;
+    this.pos += 1;
+    while (this.pos < bytes.length) {
+      const byte = bytes[this.pos++];
+      if (byte === 0x5c) {
+        const next = bytes[this.pos++];
+        switch (next) {
+          case 0x6e: out.push(0x0a); break;
+          case 0x72: out.push(0x0d); break;
+          case 0x74: out.push(0x09); break;
+          case 0x62: out.push(0x08); break;
+          case 0x66: out.push(0x0c); break;
+          case 0x0d:
+            if (bytes[this.pos] === 0x0a) this.pos += 1;
+            break;
+          case 0x0a:
+            break;
+          default:
+            if (next >= 0x30 && next <= 0x37) {
+              let value = next - 0x30;
+              for (let i = 0; i < 2 && bytes[this.pos] >= 0x30 && bytes[this.pos] <= 0x37; i++) {
+                value = value * 8 + (bytes[this.pos++] - 0x30);
+              }
+              out.push(value & 0xff);
+            } else if (next !== undefined) {
+              out.push(next);
+            }
+        }
+      } else if (byte === 0x28) {
+        depth += 1;
+        out.push(byte);
+      } else if (byte === 0x29) {
+        depth -= 1;
+        if (depth === 0) break;
+        out.push(byte);
+      } else {
+        out.push(byte);
+      }
+    }
+    return { type: "string", bytes: Buffer.from(out) };
+  }
+
+  readHexString() {
+    const { bytes } = this;
+    const digits = [];
+    this.pos += 1;
+    while (this.pos < bytes.length && bytes[this.pos] !== 0x3e) {
+      if (isHexDigit(bytes[this.pos])) digits.push(bytes[this.pos]);
+      this.pos += 1;
+    }
+    this.pos += 1;
+    if (digits.length % 2 === 1) digits.push(0x30);
+    return { type: "string", bytes: Buffer.from(Buffer.from(digits).toString("latin1"), "hex") };
+  }
+
+  readName() {
+    this.pos += 1;
+    const raw = this.readRegular();
+    return { type: "name", value: raw.replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))) };
+  }
+
+  readArray() {
+    const items = [];
+    this.pos += 1;
+    for (;;) {
+      this.skipWhitespace();
+      if (this.pos >= this.bytes.length) break;
+      if (this.bytes[this.pos] === 0x5d) {
+        this.pos += 1;
+        break;
+      }
+      const item = this.readObject();
+      if (item) items.push(item);
+    }
+    return { type: "array", items };
+  }
+
+  readDict() {
+    const entries = new Map();
+    this.pos += 2;
+    for (;;) {
+      this.skipWhitespace();
+      if (this.pos >= this.bytes.length) break;
+      if (this.bytes[this.pos] === 0x3e && this.bytes[this.pos + 1] === 0x3e) {
+        this.pos += 2;
+        break;
+      }
+      const key = this.readObject();
+      this.skipWhitespace();
+      const value = this.readObject();
+      if (key && key.type === "name") entries.set(key.value, value);
+    }
+    return { type: "dict", entries };
+  }
+
+  // Returns an operand object, an { type: "operator" } token, or null for stray bytes.
+  readObject() {
+    const byte = this.bytes[this.pos];
+    if (byte === 0x28) return this.readLiteralString();
+    if (byte === 0x3c) {
+      return this.bytes[this.pos + 1] === 0x3c ? this.readDict() : this.readHexString();
+    }
+    if (byte === 0x2f) return this.readName();
+    if (byte === 0x5b) return this.readArray();
+    if (!isRegular(byte)) {
+      this.pos += 1;
+      return null;
+    }
+    const token = this.readRegular();
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+      return { type: "number", value: Number(token) };
+    }
+    if (KEYWORDS.has(token)) {
+      return { type: "keyword", value: token };
+    }
+    return { type: "operator", value: token };
+  }
+
+  // Inline image data runs from the byte after "ID " up to a whitespace-delimited "EI".
+  skipInlineImageData() {
+    const { bytes } = this;
+    this.pos += 1;
+    while (this.pos < bytes.length) {
+      if (
+        bytes[this.pos] === 0x45
+        && bytes[this.pos + 1] === 0x49
+        && WHITESPACE.has(bytes[this.pos - 1])
+        && (this.pos + 2 >= bytes.length || !isRegular(bytes[this.pos + 2]))
+      ) {
+        this.pos += 2;
+        return;
+      }
+      this.pos += 1;
+    }
+  }
+}
+
+function parseContentStream(bytes) {
+  const reader = new ContentReader(Buffer.isBuffer(bytes) ? bytes : Buffer.from(bytes));
+  const ops = [];
+  let operands = [];
+  let start = -1;
+
+  for (;;) {
+    reader.skipWhitespace();
+    if (reader.pos >= reader.bytes.length) break;
+    const objectStart = reader.pos;
+    const object = reader.readObject();
+    if (!object) continue;
+    if (start < 0) start = objectStart;
+
+    if (object.type !== "operator") {
+      operands.push(object);
+      continue;
+    }
+
+    if (object.value === "BI") {
+      const params = [];
+      for (;;) {
+        reader.skipWhitespace();
+        if (reader.pos >= reader.bytes.length) break;
+        const item = reader.readObject();
+        if (item && item.type === "operator" && item.value === "ID") {
+          reader.skipInlineImageData();
+          break;
+        }
+        if (item) params.push(item);
+      }
+      ops.push({ operator: "BI", operands: params, start, end: reader.pos });
+    } else {
+      ops.push({ operator: object.value, operands, start, end: reader.pos });
+    }
+    operands = [];
+    start = -1;
+  }
+
+  return ops;
+}
+
+function multiply(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[1] * m2[2],
+    m1[0] * m2[1] + m1[1] * m2[3],
+    m1[2] * m2[0] + m1[3] * m2[2],
+    m1[2] * m2[1] + m1[3] * m2[3],
+    m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+    m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+  ];
+}
+
+function transformPoint(m, x, y) {
+  return {
+    x: m[0] * x + m[2] * y + m[4],
+    y: m[1] * x + m[3] * y + m[5]
+  };
+}
+
+function invert(m) {
+  const det = m[0] * m[3] - m[1] * m[2];
+  if (!det) return null;
+  return [
+    m[3] / det,
+    -m[1] / det,
+    -m[2] / det,
+    m[0] / det,
+    (m[2] * m[5] - m[3] * m[4]) / det,
+    (m[1] * m[4] - m[0] * m[5]) / det
+  ];
+}
+
+// Axis-aligned bounding box of a point list, as { x, y, width, height }.
+function boundsOf(points) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const p of points) {
+    if (p.x < minX) minX = p.x;
+    if (p.y < minY) minY = p.y;
+    if (p.x > maxX) maxX = p.x;
+    if (p.y > maxY) maxY = p.y;
+  }
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+function transformRect(m, x, y, width, height) {
+  return boundsOf([
+    transformPoint(m, x, y),
+    transformPoint(m, x + width, y),
+    transformPoint(m, x, y + height),
+    transformPoint(m, x + width, y + height)
+  ]);
+}
+
+function intersects(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+function formatNumber(value) {
+  if (!Number.isFinite(value)) return "0";
+  const rounded = Math.round(value * 1000) / 1000;
+  return Object.is(rounded, -0) ? "0" : String(rounded);
+}
+
+module.exports = {
+  parseContentStream,
+  multiply,
+  transformPoint,
+  transformRect,
+  invert,
+  boundsOf,
+  intersects,
+  formatNumber
+};
@@ -0,0 +1,333 @@
+const { PDFName, PDFDict, PDFArray, PDFRawStream, PDFNumber, decodePDFRawStream } = require("pdf-lib");
+const { Encodings } = require("@pdf-lib/standard-fonts");
+const { createPageMapper } = require("./annotate");
+const { createFontMetrics } = require("./redact");
+const { parseContentStream, multiply, transformPoint } = require("./pdfContent");
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+const MAX_FORM_DEPTH = 8;
+// Word boxes run from a little below the baseline to about the cap height, in ems. Kept
+// inside the line so a redaction drawn over one line does not reach the glyphs of the
+// next (the redaction engine counts a glyph hit anywhere in -0.25..1.25 em).
+const WORD_BOTTOM = -0.2;
+const WORD_TOP = 0.8;
+// A gap wider than this share of the font size, or a jump back along the line, ends a word.
+const WORD_GAP = 0.25;
+
+const name = (value) => PDFName.of(value);
+
+// Word bounds are rounded inwards so they never reach into the next glyph (the small
+// allowance keeps float noise such as 11.9999 from losing a hundredth).
+function roundedBox(x1, y1, x2, y2) {
+  const up = (value) => Math.ceil(value * 100 - 1e-6) / 100;
+  const down = (value) => Math.floor(value * 100 + 1e-6) / 100;
+  const x = up(x1);
+  const y = up(y1);
+  return { x, y, w: down(x2 - x), h: down(y2 - y) };
+}
+
+let winAnsiChars;
+
+function winAnsiChar(code) {
+  if (!winAnsiChars) {
+    winAnsiChars = new Map();
+    for (const codePoint of Encodings.WinAnsi.supportedCodePoints) {
+      winAnsiChars.set(Encodings.WinAnsi.encodeUnicodeCodePoint(codePoint).code, String.fromCodePoint(codePoint));
+    }
+  }
+  return winAnsiChars.get(code) || "";
+}
+
+function utf16(bytes) {
+  let text = "";
+  for (let i = 0; i + 1 < bytes.length; i += 2) text += String.fromCharCode((bytes[i] << 8) | bytes[i + 1]);
+  return text;
+}
+
+function codeOf(bytes) {
+  return bytes.reduce((code, byte) => code * 256 + byte, 0);
+}
+
+// Character codes to text from a ToUnicode CMap (bfchar and bfrange sections).
+function parseToUnicode(bytes) {
+  const map = new Map();
+  for (const { operator, operands } of parseContentStream(bytes)) {
+    if (operator === "endbfchar") {
+      for (let i = 0; i + 1 < operands.length; i += 2) {
+        if (operands[i].type === "string" && operands[i + 1].type === "string") {
+          map.set(codeOf(operands[i].bytes), utf16(operands[i + 1].bytes));
+        }
+      }
+    } else if (operator === "endbfrange") {
+      for (let i = 0; i + 2 < operands.length; i += 3) {
+        const [low, high, target] = operands.slice(i, i + 3);
+        if (low.type !== "string" || high.type !== "string") continue;
+        const first = codeOf(low.bytes);
+        const last = Math.min(codeOf(high.bytes), first + 0xffff);
+        for (let code = first; code <= last; code++) {
+          if (target.type === "array") {
+            const item = target.items[code - first];
+            if (item && item.type === "string") map.set(code, utf16(item.bytes));
+          } else if (target.type === "string" && target.bytes.length >= 2) {
+            // The last UTF-16 unit counts up through the range.
+            const start = utf16(target.bytes);
+            map.set(code, start.slice(0, -1) + String.fromCharCode(start.charCodeAt(start.length - 1) + code - first));
+          }
+        }
+      }
+    }
+  }
+  return map;
+}
+
+// Glyph names in an /Encoding /Differences array that spell out their character.
+function differenceChar(glyph) {
+  if (glyph.length === 1) return glyph;
+  const uni = /^uni([0-9A-F]{4})$/.exec(glyph);
+  return uni ? String.fromCharCode(parseInt(uni[1], 16)) : null;
+}
+
+// The text of a character code in `fontDict`: its ToUnicode entry, else (simple fonts
+// only) its Differences name or WinAnsi character. Empty when it cannot be told.
+function createDecoder(context, fontDict) {
+  if (!fontDict) return (code) => winAnsiChar(code);
+  const toUnicode = context.lookup(fontDict.get(name("ToUnicode")));
+  if (toUnicode instanceof PDFRawStream) {
+    try {
+      const map = parseToUnicode(Buffer.from(decodePDFRawStream(toUnicode).decode()));
+      return (code) => map.get(code) || "";
+    } catch {
+      // A damaged CMap reads like a font without one.
+    }
+  }
+  if (fontDict.get(name("Subtype")) === name("Type0")) return () => "";
+
+  const differences = new Map();
+  // /Encoding is a base encoding's name or a dictionary with Differences.
+  const encoding = context.lookup(fontDict.get(name("Encoding")));
+  const entries = encoding instanceof PDFDict ? context.lookupMaybe(encoding.get(name("Differences")), PDFArray) : undefined;
+  let code = 0;
+  for (const entry of entries ? entries.asArray().map((item) => context.lookup(item)) : []) {
+    if (entry instanceof PDFNumber) {
+      code = entry.asNumber();
+    } else if (entry instanceof PDFName) {
+      const char = differenceChar(entry.decodeText());
+      if (char) differences.set(code, char);
+      code += 1;
+    }
+  }
+  return (value) => differences.get(value) || winAnsiChar(value);
+}
+
+function decodedStreams(context, contents) {
+  const streams = contents instanceof PDFArray ? contents.asArray().map((ref) => context.lookup(ref)) : [contents];
+  return Buffer.concat(streams.filter(Boolean).flatMap((stream) => [
+    Buffer.from(decodePDFRawStream(stream).decode()),
+    Buffer.from("\n")
+  ]));
+}
+
+// The words a page shows, grouped into lines in the order they are drawn, each with
+// `bounds` { x, y, w, h } in the space annotation bounds use (points on the displayed
+// page at zoom 1, origin top-left). Glyphs are laid out with the same metrics the
+// redaction engine uses, so a redaction over a word's bounds removes exactly that word.
+function pageTextLines(context, page) {
+  const mapper = createPageMapper(page);
+  const lines = [];
+  let line = null;
+  let word = null;
+  // Where the previous glyph ended, in text space, to tell gaps and new lines apart.
+  let last = null;
+
+  const endWord = () => {
+    if (word && word.text.trim()) {
+      if (!line) {
+        line = { words: [] };
+        lines.push(line);
+      }
+      line.words.push({
+        text: word.text,
+        bounds: roundedBox(word.x1, word.y1, word.x2, word.y2)
+      });
+    }
+    word = null;
+  };
+  const endLine = () => {
+    endWord();
+    line = null;
+  };
+
+  function addGlyph(text, trm, width, fontSize) {
+    const corners = [[0, WORD_BOTTOM], [width, WORD_BOTTOM], [width, WORD_TOP], [0, WORD_TOP]]
+      .map(([x, y]) => transformPoint(trm, x, y))
+      .map((p) => mapper.fromPdf(p.x, p.y));
+    const origin = transformPoint(trm, 0, 0);
+    if (last) {
+      // Measured along the baseline of the previous glyph, in its font size.
+      const dx = (origin.x - last.x) * last.ux + (origin.y - last.y) * last.uy;
+      const dy = (origin.y - last.y) * last.ux - (origin.x - last.x) * last.uy;
+      if (Math.abs(dy) > last.size / 2 || dx < -last.size / 2) {
+        endLine();
+      } else if (dx > last.size * WORD_GAP) {
+        endWord();
+      }
+    }
+    const end = transformPoint(trm, width, 0);
+    const length = Math.hypot(end.x - origin.x, end.y - origin.y) || 1;
+    const size = Math.hypot(trm[2], trm[3]) || fontSize || 1;
+    last = { x: end.x, y: end.y, ux: (end.x - origin.x) / length, uy: (end.y - origin.y) / length, size };
+    if (!width) last.ux = 1;
+
+    if (!text || /^\s+$/.test(text)) {
+      endWord();
+      return;
+    }
+    const xs = corners.map((p) => p.x);
+    const ys = corners.map((p) => p.y);
+    if (!word) word = { text: "", x1: Infinity, y1: Infinity, x2: -Infinity, y2: -Infinity };
+    word.text += text;
+    word.x1 = Math.min(word.x1, ...xs);
+    word.y1 = Math.min(word.y1, ...ys);
+    word.x2 = Math.max(word.x2, ...xs);
+    word.y2 = Math.max(word.y2, ...ys);
+  }
+
+  function walk(bytes, resources, baseMatrix, depth) {
+    const fonts = resources ? context.lookupMaybe(resources.get(name("Font")), PDFDict) : undefined;
+    const xobjects = resources ? context.lookupMaybe(resources.get(name("XObject")), PDFDict) : undefined;
+    const fontCache = new Map();
+    const fontFor = (fontName) => {
+      if (!fontCache.has(fontName)) {
+        const dict = fonts ? context.lookupMaybe(fonts.get(name(fontName)), PDFDict) : undefined;
+        fontCache.set(fontName, { metrics: createFontMetrics(context, dict), decode: createDecoder(context, dict) });
+      }
+      return fontCache.get(fontName);
+    };
+
+    const stack = [];
+    let gs = { ctm: baseMatrix, font: fontFor(""), fontSize: 0, charSpacing: 0, wordSpacing: 0, hScale: 1, leading: 0, rise: 0 };
+    let tm = IDENTITY;
+    let tlm = IDENTITY;
+    const numbers = (operands) => operands.map((o) => (o.type === "number" ? o.value : 0));
+    const nextLine = () => {
+      tlm = multiply([1, 0, 0, 1, 0, -gs.leading], tlm);
+      tm = tlm;
+    };
+
+    const showText = (items) => {
+      const { metrics, decode } = gs.font;
+      const scale = gs.fontSize * gs.hScale;
+      for (const item of items) {
+        if (item.type === "number") {
+          tm = multiply([1, 0, 0, 1, -(item.value / 1000) * scale, 0], tm);
+          continue;
+        }
+        if (item.type !== "string") continue;
+        const str = item.bytes;
+        for (let i = 0; i + metrics.bytesPerCode <= str.length; i += metrics.bytesPerCode) {
+          const code = metrics.bytesPerCode === 2 ? (str[i] << 8) | str[i + 1] : str[i];
+          const w0 = metrics.widthOf(code);
+          const tx = (w0 * gs.fontSize + gs.charSpacing + (metrics.isSpace(code) ? gs.wordSpacing : 0)) * gs.hScale;
+          const trm = multiply(multiply([scale, 0, 0, gs.fontSize, 0, gs.rise], tm), gs.ctm);
+          addGlyph(decode(code), trm, w0, gs.fontSize);
+          tm = multiply([1, 0, 0, 1, tx, 0], tm);
+        }
+      }
+    };
+
+    for (const { operator, operands } of parseContentStream(bytes)) {
+      switch (operator) {
+        case "q":
+          stack.push({ ...gs });
+          break;
+        case "Q":
+          gs = stack.pop() || gs;
+          break;
+        case "cm":
+          gs.ctm = multiply(numbers(operands), gs.ctm);
+          break;
+        case "BT":
+          tm = IDENTITY;
+          tlm = IDENTITY;
+          break;
+        case "ET":
+          endWord();
+          break;
+        case "Tf":
+          gs.font = fontFor(operands[0] && operands[0].type === "name" ? operands[0].value : "");
+          gs.fontSize = numbers(operands.slice(1))[0] || 0;
+          break;
+        case "Tc":
+          gs.charSpacing = numbers(operands)[0] || 0;
+          break;
+        case "Tw":
+          gs.wordSpacing = numbers(operands)[0] || 0;
+          break;
+        case "Tz":
+          gs.hScale = (numbers(operands)[0] ?? 100) / 100;
+          break;
+        case "TL":
+          gs.leading = numbers(operands)[0] || 0;
+          break;
+        case "Ts":
+          gs.rise = numbers(operands)[0] || 0;
+          break;
+        case "Td":
+        case "TD": {
+          const [tx, ty] = numbers(operands);
+          if (operator === "TD") gs.leading = -ty;
+          tlm = multiply([1, 0, 0, 1, tx, ty], tlm);
+          tm = tlm;
+          break;
+        }
+        case "Tm":
+          tlm = numbers(operands).slice(0, 6);
+          tm = tlm;
+          break;
+        case "T*":
+          nextLine();
+          break;
+        case "Tj":
+          showText(operands.slice(0, 1));
+          break;
+        case "TJ":
+          showText(operands[0] && operands[0].type === "array" ? operands[0].items : []);
+          break;
+        case "'":
+        case "\"": {
+          if (operator === "\"") {
+            [gs.wordSpacing, gs.charSpacing] = numbers(operands);
+          }
+          nextLine();
+          showText(operands.filter((o) => o.type === "string").slice(0, 1));
+          break;
+        }
+        case "Do": {
+          const stream = xobjects && operands[0] && operands[0].type === "name"
+            ? context.lookup(xobjects.get(name(operands[0].value)))
+            : null;
+          if (!(stream instanceof PDFRawStream) || stream.dict.get(name("Subtype")) !== name("Form") || depth >= MAX_FORM_DEPTH) break;
+          const values = context.lookupMaybe(stream.dict.get(name("Matrix")), PDFArray);
+          const matrix = values ? values.asArray().map((v) => context.lookup(v).asNumber()) : IDENTITY;
+          const formResources = context.lookupMaybe(stream.dict.get(name("Resources")), PDFDict) || resources;
+          walk(Buffer.from(decodePDFRawStream(stream).decode()), formResources, multiply(matrix, gs.ctm), depth + 1);
+          break;
+        }
+        default:
+          break;
+      }
+    }
+    endWord();
+  }
+
+  const contents = page.node.Contents();
+  if (contents) {
+    walk(decodedStreams(context, contents), page.node.Resources(), IDENTITY, 0);
+  }
+  endLine();
+  return lines.filter((l) => l.words.length > 0);
+}
+
+module.exports = {
+  pageTextLines
+};
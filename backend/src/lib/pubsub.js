@@ -0,0 +1,78 @@
+const jwt = require("jsonwebtoken");
+const { config } = require("./config");
+
+const CLIENT_TOKEN_MINUTES = 60;
+
+// Azure Web PubSub connection strings look like
+// "Endpoint=https://<name>.webpubsub.azure.com;AccessKey=<key>;Version=1.0;" with an optional Port.
+function parsePubSubConnectionString(connectionString) {
+  const map = new Map();
+  for (const part of String(connectionString || "").split(";").filter(Boolean)) {
+    const i = part.indexOf("=");
+    if (i > 0) {
+      map.set(part.substring(0, i).toLowerCase(), part.substring(i + 1));
+    }
+  }
+  const endpoint = new URL(map.get("endpoint") || "http://invalid");
+  if (map.get("port")) {
+    endpoint.port = map.get("port");
+  }
+  return {
+    endpoint: endpoint.origin,
+    accessKey: map.get("accesskey") || ""
+  };
+}
+
+function isPubSubConfigured() {
+  return Boolean(config.webPubSubConnectionString) && Boolean(parsePubSubConnectionString(config.webPubSubConnectionString).accessKey);
+}
+
+// Annotation changes and cursor positions travel on separate groups so viewers can
+// share their cursor without being allowed to publish annotation changes.
+function collabGroups(docId) {
+  return {
+    ops: `doc.${docId}`,
+    presence: `doc.${docId}.presence`
+  };
+}
+
+function clientAudience(endpoint, hub) {
+  return `${endpoint}/client/hubs/${hub}`;
+}
+
+// Builds a client access URL the same way the Web PubSub SDK does: a short-lived
+// HS256 token signed with the access key that joins `groups` on connect and may
+// publish to `sendGroups`.
+function buildClientAccessUrl({ userId, groups, sendGroups }) {
+  const { endpoint, accessKey } = parsePubSubConnectionString(config.webPubSubConnectionString);
+  const audience = clientAudience(endpoint, config.webPubSubHub);
+  const expiresOn = new Date(Date.now() + CLIENT_TOKEN_MINUTES * 60 * 1000);
+  const token = jwt.sign(
+    {
+      role: [
+        ...groups.map((group) => `webpubsub.joinLeaveGroup.${group}`),
+        ...sendGroups.map((group) => `webpubsub.sendToGroup.${group}`)
+      ],
+      "webpubsub.group": groups
+    },
+    accessKey,
+    {
+      algorithm: "HS256",
+      audience,
+      subject: userId,
+      expiresIn: CLIENT_TOKEN_MINUTES * 60
+    }
+  );
+  return {
+    url: `${audience.replace(/^http/, "ws")}?access_token=${encodeURIComponent(token)}`,
+    expiresOn: expiresOn.toISOString()
+  };
+}
+
+module.exports = {
+  parsePubSubConnectionString,
+  isPubSubConfigured,
+  collabGroups,
+  clientAudience,
+  buildClientAccessUrl
+};
@@ -0,0 +1,837 @@
+const zlib = require("zlib");
+const jpeg = require("jpeg-js");
+const {
+  PDFDocument,
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFNumber,
+  PDFBool,
+  PDFRawStream,
+  StandardFonts,
+  decodePDFRawStream,
+  rgb,
+  degrees
+} = require("pdf-lib");
+const { Font: StandardFontMetrics, Encodings } = require("@pdf-lib/standard-fonts");
+const { createPageMapper } = require("./annotate");
+const {
+  parseContentStream,
+  multiply,
+  transformPoint,
+  transformRect,
+  invert,
+  boundsOf,
+  intersects,
+  formatNumber
+} = require("./pdfContent");
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+const DEFAULT_LABEL = "REDACTED";
+const STANDARD_FONT_NAMES = new Set(Object.values(StandardFonts));
+const PATH_CONSTRUCTION = new Set(["m", "l", "c", "v", "y", "h", "re"]);
+const PATH_PAINTING = new Set(["S", "s", "f", "F", "f*", "B", "B*", "b", "b*", "n"]);
+const STROKING = new Set(["S", "s", "B", "B*", "b", "b*"]);
+// Page entries that can carry a copy of the unredacted page or point outside it.
+const PAGE_SCRUB_KEYS = ["Thumb", "PieceInfo", "Metadata", "B", "AA"];
+
+const name = (value) => PDFName.of(value);
+
+function isRedaction(op) {
+  const b = op && op.bounds;
+  return op
+    && op.opType === "redaction"
+    && Number.isInteger(Number(op.page))
+    && b
+    && [b.x, b.y, b.w, b.h].every((v) => typeof v === "number" && Number.isFinite(v))
+    && b.w > 0
+    && b.h > 0;
+}
+
+function numberIn(dict, key, fallback = 0) {
+  const value = dict ? dict.lookup(name(key)) : undefined;
+  return value instanceof PDFNumber ? value.asNumber() : fallback;
+}
+
+function numbersOf(context, obj) {
+  const array = context.lookupMaybe(obj, PDFArray);
+  if (!array) return null;
+  return array.asArray().map((item) => {
+    const value = context.lookup(item);
+    return value instanceof PDFNumber ? value.asNumber() : 0;
+  });
+}
+
+// ── Font metrics ─────────────────────────────────────────────────────────────
+
+let winAnsiNames;
+
+function winAnsiGlyphName(code) {
+  if (!winAnsiNames) {
+    winAnsiNames = new Map();
+    for (const codePoint of Encodings.WinAnsi.supportedCodePoints) {
+      const { code: c, name: glyph } = Encodings.WinAnsi.encodeUnicodeCodePoint(codePoint);
+      winAnsiNames.set(c, glyph);
+    }
+  }
+  return winAnsiNames.get(code);
+}
+
+const FALLBACK_METRICS = {
+  bytesPerCode: 1,
+  widthOf: () => 0.5,
+  isSpace: (code) => code === 32
+};
+
+function createFontMetrics(context, fontDict) {
+  if (!fontDict) {
+    return FALLBACK_METRICS;
+  }
+
+  const subtype = fontDict.get(name("Subtype"));
+
+  if (subtype === name("Type0")) {
+    const descendants = context.lookupMaybe(fontDict.get(name("DescendantFonts")), PDFArray);
+    const cidFont = descendants ? context.lookupMaybe(descendants.get(0), PDFDict) : null;
+    const dw = cidFont ? cidFont.lookup(name("DW")) : undefined;
+    const defaultWidth = dw instanceof PDFNumber ? dw.asNumber() : 1000;
+    const widths = new Map();
+    const w = cidFont ? context.lookupMaybe(cidFont.get(name("W")), PDFArray) : null;
+    if (w) {
+      const items = w.asArray().map((item) => context.lookup(item));
+      for (let i = 0; i < items.length;) {
+        const first = items[i] instanceof PDFNumber ? items[i].asNumber() : 0;
+        const next = items[i + 1];
+        if (next instanceof PDFArray) {
+          next.asArray().forEach((value, offset) => {
+            const resolved = context.lookup(value);
+            if (resolved instanceof PDFNumber) widths.set(first + offset, resolved.asNumber());
+          });
+          i += 2;
+        } else {
+          const last = next instanceof PDFNumber ? next.asNumber() : first;
+          const width = items[i + 2] instanceof PDFNumber ? items[i + 2].asNumber() : defaultWidth;
+          for (let cid = first; cid <= last && cid - first < 65536; cid++) widths.set(cid, width);
+          i += 3;
+        }
+      }
+    }
+    return {
+      bytesPerCode: 2,
+      widthOf: (code) => (widths.has(code) ? widths.get(code) : defaultWidth) / 1000,
+      isSpace: () => false
+    };
+  }
+
+  const firstChar = numberIn(fontDict, "FirstChar", 0);
+  const widths = numbersOf(context, fontDict.get(name("Widths")));
+  const descriptor = context.lookupMaybe(fontDict.get(name("FontDescriptor")), PDFDict);
+  const missingWidth = numberIn(descriptor, "MissingWidth", 500);
+
+  let toUnits = (width) => width / 1000;
+  if (subtype === name("Type3")) {
+    const matrix = numbersOf(context, fontDict.get(name("FontMatrix")));
+    if (matrix) toUnits = (width) => width * matrix[0];
+  }
+
+  let standardMetrics = null;
+  if (!widths) {
+    const baseFont = fontDict.get(name("BaseFont"));
+    const baseName = baseFont ? baseFont.decodeText().replace(/^[A-Z]{6}\+/, "") : "";
+    if (STANDARD_FONT_NAMES.has(baseName)) {
+      standardMetrics = StandardFontMetrics.load(baseName);
+    }
+  }
+
+  return {
+    bytesPerCode: 1,
+    widthOf: (code) => {
+      if (widths && code >= firstChar && code - firstChar < widths.length) {
+        return toUnits(widths[code - firstChar]);
+      }
+      if (standardMetrics) {
+        const glyph = winAnsiGlyphName(code);
+        const width = glyph ? standardMetrics.getWidthOfGlyph(glyph) : undefined;
+        if (typeof width === "number") return width / 1000;
+      }
+      return toUnits(missingWidth);
+    },
+    isSpace: (code) => code === 32
+  };
+}
+
+// ── Image scrubbing ──────────────────────────────────────────────────────────
+
+function colorComponents(context, colorSpace) {
+  const resolved = context.lookup(colorSpace);
+  if (resolved === name("DeviceGray") || resolved === name("CalGray")) return 1;
+  if (resolved === name("DeviceRGB") || resolved === name("CalRGB")) return 3;
+  if (resolved === name("DeviceCMYK")) return 4;
+  if (resolved instanceof PDFArray) {
+    const family = resolved.get(0);
+    if (family === name("CalGray")) return 1;
+    if (family === name("CalRGB")) return 3;
+    if (family === name("ICCBased")) {
+      const profile = context.lookup(resolved.get(1));
+      const n = profile && profile.dict ? profile.dict.lookup(name("N")) : undefined;
+      return n instanceof PDFNumber ? n.asNumber() : 0;
+    }
+  }
+  return 0;
+}
+
+function singleFilter(context, dict) {
+  const filter = context.lookup(dict.get(name("Filter")));
+  if (filter instanceof PDFArray) {
+    return filter.size() === 1 ? context.lookup(filter.get(0)) : null;
+  }
+  return filter || null;
+}
+
+function blackPixel(components) {
+  return components === 4 ? [0, 0, 0, 255] : new Array(components).fill(0);
+}
+
+function paintRegions(data, width, height, components, regions) {
+  const black = blackPixel(components);
+  for (const region of regions) {
+    const x0 = Math.max(0, Math.floor(region.x * width));
+    const x1 = Math.min(width, Math.ceil((region.x + region.width) * width));
+    const y0 = Math.max(0, Math.floor((1 - region.y - region.height) * height));
+    const y1 = Math.min(height, Math.ceil((1 - region.y) * height));
+    for (let row = y0; row < y1; row++) {
+      for (let col = x0; col < x1; col++) {
+        const offset = (row * width + col) * components;
+        for (let k = 0; k < components; k++) data[offset + k] = black[k];
+      }
+    }
+  }
+}
+
+// Returns a replacement image stream with the given regions (in image unit space)
+// painted black, or null when the encoding is not one we can safely rewrite.
+function scrubImage(context, stream, regions) {
+  const { dict } = stream;
+  if (dict.lookup(name("ImageMask")) === PDFBool.True || dict.get(name("Decode"))) return null;
+
+  const width = numberIn(dict, "Width", 0);
+  const height = numberIn(dict, "Height", 0);
+  const bitsPerComponent = numberIn(dict, "BitsPerComponent", 8);
+  const components = colorComponents(context, dict.get(name("ColorSpace")));
+  const filter = singleFilter(context, dict);
+  if (!width || !height || !(stream instanceof PDFRawStream)) return null;
+
+  const replacement = dict.clone(context);
+  replacement.delete(name("DecodeParms"));
+
+  if (filter === name("DCTDecode")) {
+    if (components !== 1 && components !== 3) return null;
+    const decoded = jpeg.decode(stream.contents, { useTArray: true, formatAsRGBA: true });
+    paintRegions(decoded.data, decoded.width, decoded.height, 4, regions);
+    const encoded = jpeg.encode({ data: decoded.data, width: decoded.width, height: decoded.height }, 90);
+    replacement.set(name("ColorSpace"), name("DeviceRGB"));
+    replacement.set(name("BitsPerComponent"), PDFNumber.of(8));
+    return PDFRawStream.of(replacement, new Uint8Array(encoded.data));
+  }
+
+  if (filter === name("FlateDecode") && !dict.get(name("DecodeParms")) && bitsPerComponent === 8 && components > 0) {
+    const raw = zlib.inflateSync(Buffer.from(stream.contents));
+    if (raw.length < width * height * components) return null;
+    paintRegions(raw, width, height, components, regions);
+    return PDFRawStream.of(replacement, new Uint8Array(zlib.deflateSync(raw)));
+  }
+
+  return null;
+}
+
+// ── Content rewriting ────────────────────────────────────────────────────────
+
+function initialGraphicsState() {
+  return {
+    ctm: IDENTITY,
+    lineWidth: 1,
+    font: FALLBACK_METRICS,
+    fontSize: 0,
+    charSpacing: 0,
+    wordSpacing: 0,
+    hScale: 1,
+    leading: 0,
+    rise: 0
+  };
+}
+
+function numbers(operands) {
+  return operands.map((o) => (o.type === "number" ? o.value : 0));
+}
+
+function hexString(codes) {
+  return `<${Buffer.from(codes).toString("hex")}>`;
+}
+
+// Walks a page content stream and drops every glyph, path, image and form XObject
+// placement that overlaps one of `rects` (PDF user space). Image XObjects are kept
+// when their pixels under the redaction can be painted out instead.
+function rewriteContent(bytes, rects, env) {
+  const ops = parseContentStream(bytes);
+  const output = [];
+  const markedContent = [];
+  const stack = [];
+  const imagePlacements = new Map();
+  const stats = { glyphs: 0, paths: 0, images: 0, scrubbedImages: 0, xobjects: 0 };
+  const xobjectUse = new Map();
+
+  let gs = initialGraphicsState();
+  let tm = IDENTITY;
+  let tlm = IDENTITY;
+  let path = null;
+
+  const raw = (op) => bytes.toString("latin1", op.start, op.end);
+  const hits = (box) => rects.filter((r) => intersects(box, r));
+  const markDirty = () => {
+    for (const frame of markedContent) frame.dirty = true;
+  };
+  const noteXObject = (xName, kept) => {
+    const use = xobjectUse.get(xName) || { kept: false };
+    if (kept) use.kept = true;
+    xobjectUse.set(xName, use);
+  };
+
+  function nextLine() {
+    tlm = multiply([1, 0, 0, 1, 0, -gs.leading], tlm);
+    tm = tlm;
+  }
+
+  function showText(items) {
+    const metrics = gs.font;
+    const scale = gs.fontSize * gs.hScale;
+    const result = [];
+    let run = [];
+    let changed = false;
+
+    const flush = () => {
+      if (run.length) result.push(hexString(run));
+      run = [];
+    };
+    const pushAdjust = (value) => {
+      const last = result[result.length - 1];
+      if (typeof last === "number") {
+        result[result.length - 1] = last + value;
+      } else {
+        result.push(value);
+      }
+    };
+
+    for (const item of items) {
+      if (item.type === "number") {
+        flush();
+        result.push(item.value);
+        tm = multiply([1, 0, 0, 1, -(item.value / 1000) * scale, 0], tm);
+        continue;
+      }
+      if (item.type !== "string") continue;
+
+      const { bytes: str } = item;
+      for (let i = 0; i + metrics.bytesPerCode <= str.length; i += metrics.bytesPerCode) {
+        const code = metrics.bytesPerCode === 2 ? (str[i] << 8) | str[i + 1] : str[i];
+        const w0 = metrics.widthOf(code);
+        const tx = (w0 * gs.fontSize + gs.charSpacing + (metrics.isSpace(code) ? gs.wordSpacing : 0)) * gs.hScale;
+        const trm = multiply(multiply([scale, 0, 0, gs.fontSize, 0, gs.rise], tm), gs.ctm);
+        const glyphBox = transformRect(trm, 0, -0.25, Math.max(w0, 0.05), 1.25);
+
+        if (hits(glyphBox).length > 0) {
+          changed = true;
+          stats.glyphs += 1;
+          flush();
+          if (scale) pushAdjust(-(tx / scale) * 1000);
+        } else {
+          for (let k = 0; k < metrics.bytesPerCode; k++) run.push(str[i + k]);
+        }
+        tm = multiply([1, 0, 0, 1, tx, 0], tm);
+      }
+    }
+    flush();
+
+    if (!changed) return null;
+    markDirty();
+    const parts = result.map((part) => (typeof part === "number" ? formatNumber(part) : part));
+    return `[${parts.join(" ")}] TJ`;
+  }
+
+  function addPathPoints(op) {
+    const values = numbers(op.operands);
+    if (!path) path = { subpaths: [], clip: null };
+    if (op.operator === "re") {
+      const [x, y, w, h] = values;
+      const corners = [[x, y], [x + w, y], [x, y + h], [x + w, y + h]]
+        .map(([px, py]) => transformPoint(gs.ctm, px, py));
+      const axisAligned = gs.ctm[1] === 0 && gs.ctm[2] === 0;
+      path.subpaths.push({ chunks: [raw(op)], points: corners, rect: axisAligned ? boundsOf(corners) : null, curved: false });
+      return;
+    }
+    if (op.operator === "m" || path.subpaths.length === 0) {
+      path.subpaths.push({ chunks: [], points: [], rect: null, curved: false });
+    }
+    const current = path.subpaths[path.subpaths.length - 1];
+    current.chunks.push(raw(op));
+    if (op.operator === "c" || op.operator === "v" || op.operator === "y") current.curved = true;
+    for (let i = 0; i + 1 < values.length; i += 2) {
+      current.points.push(transformPoint(gs.ctm, values[i], values[i + 1]));
+    }
+  }
+
+  // Rectangles drawn with m/l/h instead of re, e.g. by pdf-lib's drawRectangle.
+  function rectangleOf(subpath) {
+    if (subpath.rect) return subpath.rect;
+    if (subpath.curved) return null;
+    const bbox = boundsOf(subpath.points);
+    const corners = new Set();
+    for (const p of subpath.points) {
+      const onX = Math.abs(p.x - bbox.x) < 1e-6 || Math.abs(p.x - bbox.x - bbox.width) < 1e-6;
+      const onY = Math.abs(p.y - bbox.y) < 1e-6 || Math.abs(p.y - bbox.y - bbox.height) < 1e-6;
+      if (!onX || !onY) return null;
+      corners.add(`${Math.round(p.x * 1000)},${Math.round(p.y * 1000)}`);
+    }
+    return corners.size === 4 ? bbox : null;
+  }
+
+  function containsRect(outer, inner, margin) {
+    return outer.x <= inner.x - margin
+      && outer.y <= inner.y - margin
+      && outer.x + outer.width >= inner.x + inner.width + margin
+      && outer.y + outer.height >= inner.y + inner.height + margin;
+  }
+
+  function paintPath(op) {
+    const current = path || { subpaths: [], clip: null };
+    path = null;
+    const all = current.subpaths.flatMap((s) => s.chunks);
+    const clip = current.clip ? [current.clip] : [];
+
+    if (op.operator === "n") {
+      output.push({ text: [...all, ...clip, raw(op)].join("\n") });
+      return;
+    }
+
+    const scale = Math.sqrt(Math.abs(gs.ctm[0] * gs.ctm[3] - gs.ctm[1] * gs.ctm[2]));
+    const margin = STROKING.has(op.operator) ? (Math.max(gs.lineWidth, 1) * scale) / 2 : 0;
+    const kept = current.subpaths.filter((subpath) => {
+      if (subpath.points.length === 0) return true;
+      const bbox = boundsOf(subpath.points);
+      const box = { x: bbox.x - margin, y: bbox.y - margin, width: bbox.width + margin * 2, height: bbox.height + margin * 2 };
+      const overlapping = hits(box);
+      if (overlapping.length === 0) return true;
+      // A plain rectangle enclosing the whole redaction (e.g. a page background) carries
+      // no shape information inside the box, so it survives.
+      const rect = rectangleOf(subpath);
+      return Boolean(rect) && overlapping.every((r) => containsRect(rect, r, margin));
+    });
+
+    if (kept.length === current.subpaths.length) {
+      output.push({ text: [...all, ...clip, raw(op)].join("\n") });
+      return;
+    }
+
+    stats.paths += current.subpaths.length - kept.length;
+    markDirty();
+    const lines = [];
+    if (kept.length > 0) {
+      lines.push(...kept.flatMap((s) => s.chunks), op.operator);
+    }
+    if (clip.length > 0) {
+      lines.push(...all, ...clip, "n");
+    }
+    if (lines.length > 0) output.push({ text: lines.join("\n") });
+  }
+
+  function placeXObject(op) {
+    const xName = op.operands[0] && op.operands[0].type === "name" ? op.operands[0].value : "";
+    const xobject = env.xobject(xName);
+    if (!xobject) {
+      output.push({ text: raw(op) });
+      return;
+    }
+
+    if (xobject.subtype === "Image") {
+      const box = transformRect(gs.ctm, 0, 0, 1, 1);
+      const overlapping = hits(box);
+      if (overlapping.length === 0) {
+        noteXObject(xName, true);
+        output.push({ text: raw(op) });
+        return;
+      }
+      const inverse = invert(gs.ctm);
+      const regions = inverse ? overlapping.map((r) => transformRect(inverse, r.x, r.y, r.width, r.height)) : [];
+      const entry = { text: raw(op), xName };
+      const placements = imagePlacements.get(xName) || [];
+      placements.push({ entry, regions, unitless: !inverse });
+      imagePlacements.set(xName, placements);
+      markDirty();
+      output.push(entry);
+      return;
+    }
+
+    const matrix = xobject.matrix || IDENTITY;
+    const bbox = xobject.bbox || [0, 0, 0, 0];
+    const box = transformRect(multiply(matrix, gs.ctm), bbox[0], bbox[1], bbox[2] - bbox[0], bbox[3] - bbox[1]);
+    if (hits(box).length > 0) {
+      stats.xobjects += 1;
+      noteXObject(xName, false);
+      markDirty();
+      return;
+    }
+    noteXObject(xName, true);
+    output.push({ text: raw(op) });
+  }
+
+  for (const op of ops) {
+    const { operator, operands } = op;
+
+    if (path && !PATH_CONSTRUCTION.has(operator) && !PATH_PAINTING.has(operator) && operator !== "W" && operator !== "W*") {
+      // Malformed stream: construction without painting. Flush it untouched.
+      output.push({ text: path.subpaths.flatMap((s) => s.chunks).join("\n") });
+      path = null;
+    }
+
+    switch (operator) {
+      case "q":
+        stack.push({ ...gs });
+        output.push({ text: raw(op) });
+        break;
+      case "Q":
+        gs = stack.pop() || gs;
+        output.push({ text: raw(op) });
+        break;
+      case "cm":
+        gs.ctm = multiply(numbers(operands), gs.ctm);
+        output.push({ text: raw(op) });
+        break;
+      case "w":
+        gs.lineWidth = numbers(operands)[0] || 0;
+        output.push({ text: raw(op) });
+        break;
+      case "BT":
+        tm = IDENTITY;
+        tlm = IDENTITY;
+        output.push({ text: raw(op) });
+        break;
+      case "Tf": {
+        const fontName = operands[0] && operands[0].type === "name" ? operands[0].value : "";
+        gs.font = env.font(fontName);
+        gs.fontSize = numbers(operands.slice(1))[0] || 0;
+        output.push({ text: raw(op) });
+        break;
+      }
+      case "Tc":
+        gs.charSpacing = numbers(operands)[0] || 0;
+        output.push({ text: raw(op) });
+        break;
+      case "Tw":
+        gs.wordSpacing = numbers(operands)[0] || 0;
+        output.push({ text: raw(op) });
+        break;
+      case "Tz":
+        gs.hScale = (numbers(operands)[0] ?? 100) / 100;
+        output.push({ text: raw(op) });
+        break;
+      case "TL":
+        gs.leading = numbers(operands)[0] || 0;
+        output.push({ text: raw(op) });
+        break;
+      case "Ts":
+        gs.rise = numbers(operands)[0] || 0;
+        output.push({ text: raw(op) });
+        break;
+      case "Td":
+      case "TD": {
+        const [tx, ty] = numbers(operands);
+        if (operator === "TD") gs.leading = -ty;
+        tlm = multiply([1, 0, 0, 1, tx, ty], tlm);
+        tm = tlm;
+        output.push({ text: raw(op) });
+        break;
+      }
+      case "Tm":
+        tlm = numbers(operands).slice(0, 6);
+        tm = tlm;
+        output.push({ text: raw(op) });
+        break;
+      case "T*":
+        nextLine();
+        output.push({ text: raw(op) });
+        break;
+      case "Tj":
+      case "TJ": {
+        const items = operator === "TJ"
+          ? (operands[0] && operands[0].type === "array" ? operands[0].items : [])
+          : operands.slice(0, 1);
+        const replacement = showText(items);
+        output.push({ text: replacement || raw(op) });
+        break;
+      }
+      case "'":
+      case "\"": {
+        const values = numbers(operands);
+        const prefix = [];
+        if (operator === "\"") {
+          gs.wordSpacing = values[0];
+          gs.charSpacing = values[1];
+          prefix.push(`${formatNumber(values[0])} Tw`, `${formatNumber(values[1])} Tc`);
+        }
+        nextLine();
+        const replacement = showText(operands.filter((o) => o.type === "string").slice(0, 1));
+        output.push({ text: replacement ? [...prefix, "T*", replacement].join("\n") : raw(op) });
+        break;
+      }
+      case "W":
+      case "W*":
+        if (path) {
+          path.clip = raw(op);
+        } else {
+          output.push({ text: raw(op) });
+        }
+        break;
+      case "Do":
+        placeXObject(op);
+        break;
+      case "BI": {
+        const box = transformRect(gs.ctm, 0, 0, 1, 1);
+        if (hits(box).length > 0) {
+          stats.images += 1;
+          markDirty();
+        } else {
+          output.push({ text: raw(op) });
+        }
+        break;
+      }
+      case "BDC":
+      case "BMC": {
+        const entry = { text: raw(op) };
+        output.push(entry);
+        markedContent.push({ entry, tag: operands[0] && operands[0].type === "name" ? operands[0].value : "Span", dirty: false });
+        break;
+      }
+      case "EMC": {
+        const frame = markedContent.pop();
+        // Property lists may carry /ActualText or /Alt copies of what was removed.
+        if (frame && frame.dirty) {
+          frame.entry.text = `/${frame.tag} BMC`;
+        }
+        output.push({ text: raw(op) });
+        break;
+      }
+      default:
+        if (PATH_CONSTRUCTION.has(operator)) {
+          addPathPoints(op);
+        } else if (PATH_PAINTING.has(operator)) {
+          paintPath(op);
+        } else {
+          output.push({ text: raw(op) });
+        }
+    }
+  }
+
+  for (const [xName, placements] of imagePlacements) {
+    const regions = placements.flatMap((p) => p.regions);
+    const scrubbed = placements.some((p) => p.unitless) ? false : env.scrubImage(xName, regions);
+    if (scrubbed) {
+      stats.scrubbedImages += 1;
+      noteXObject(xName, true);
+      continue;
+    }
+    stats.images += placements.length;
+    noteXObject(xName, false);
+    for (const placement of placements) placement.entry.text = "";
+  }
+
+  const removedXObjects = [...xobjectUse.entries()].filter(([, use]) => !use.kept).map(([xName]) => xName);
+  const content = Buffer.from(output.map((o) => o.text).filter(Boolean).join("\n"), "latin1");
+  return { content, stats, removedXObjects };
+}
+
+// ── Page & document handling ─────────────────────────────────────────────────
+
+function readPageContent(context, page) {
+  const contents = page.node.Contents();
+  if (!contents) return Buffer.alloc(0);
+  const streams = contents instanceof PDFArray
+    ? contents.asArray().map((ref) => context.lookup(ref))
+    : [contents];
+  return Buffer.concat(streams.filter(Boolean).flatMap((stream) => [
+    Buffer.from(decodePDFRawStream(stream).decode()),
+    Buffer.from("\n")
+  ]));
+}
+
+function ownDict(context, parent, key) {
+  const existing = context.lookupMaybe(parent.get(key), PDFDict);
+  const copy = existing ? existing.clone(context) : context.obj({});
+  parent.set(key, copy);
+  return copy;
+}
+
+function annotationRect(context, annot) {
+  const values = numbersOf(context, annot.get(name("Rect")));
+  if (!values || values.length < 4) return null;
+  return boundsOf([{ x: values[0], y: values[1] }, { x: values[2], y: values[3] }]);
+}
+
+function redactPage(pdfDoc, page, rects) {
+  const { context } = pdfDoc;
+  const resources = ownDict(context, page.node, name("Resources"));
+  const fonts = context.lookupMaybe(resources.get(name("Font")), PDFDict);
+  const xobjects = ownDict(context, resources, name("XObject"));
+  const fontCache = new Map();
+
+  const env = {
+    font(fontName) {
+      if (!fontCache.has(fontName)) {
+        const dict = fonts ? context.lookupMaybe(fonts.get(name(fontName)), PDFDict) : undefined;
+        fontCache.set(fontName, createFontMetrics(context, dict));
+      }
+      return fontCache.get(fontName);
+    },
+    xobject(xName) {
+      const stream = context.lookup(xobjects.get(name(xName)));
+      if (!stream || !stream.dict) return null;
+      const subtype = stream.dict.get(name("Subtype"));
+      return {
+        subtype: subtype ? subtype.decodeText() : "",
+        matrix: numbersOf(context, stream.dict.get(name("Matrix"))),
+        bbox: numbersOf(context, stream.dict.get(name("BBox"))),
+        stream
+      };
+    },
+    scrubImage(xName, regions) {
+      const stream = context.lookup(xobjects.get(name(xName)));
+      const replacement = stream ? scrubImage(context, stream, regions) : null;
+      if (!replacement) return false;
+      xobjects.set(name(xName), context.register(replacement));
+      return true;
+    }
+  };
+
+  const { content, stats, removedXObjects } = rewriteContent(readPageContent(context, page), rects, env);
+  for (const xName of removedXObjects) {
+    xobjects.delete(name(xName));
+  }
+  page.node.set(name("Contents"), context.register(context.flateStream(content)));
+
+  const annots = page.node.Annots();
+  let removedAnnotations = 0;
+  if (annots) {
+    const removed = new Set();
+    const kept = annots.asArray().filter((ref) => {
+      const annot = context.lookupMaybe(ref, PDFDict);
+      const rect = annot ? annotationRect(context, annot) : null;
+      if (rect && rects.some((r) => intersects(rect, r))) {
+        removed.add(annot);
+        return false;
+      }
+      return true;
+    });
+    const survivors = kept.filter((ref) => {
+      const annot = context.lookupMaybe(ref, PDFDict);
+      const parent = annot ? context.lookupMaybe(annot.get(name("Parent")), PDFDict) : undefined;
+      return !(annot && annot.get(name("Subtype")) === name("Popup") && parent && removed.has(parent));
+    });
+    removedAnnotations = annots.size() - survivors.length;
+    page.node.set(name("Annots"), context.obj(survivors));
+  }
+
+  return { ...stats, annotations: removedAnnotations };
+}
+
+function detachAnnotations(context, page) {
+  const annots = page.node.Annots();
+  if (!annots) return;
+  for (const ref of annots.asArray()) {
+    const annot = context.lookupMaybe(ref, PDFDict);
+    if (!annot) continue;
+    // Form-field parents and /IRT chains can lead back to removed annotations.
+    annot.delete(name("Parent"));
+    annot.delete(name("IRT"));
+    annot.delete(name("P"));
+  }
+}
+
+function drawRedactionBoxes(pdfDoc, redactions, { label, font }) {
+  const pages = pdfDoc.getPages();
+  for (const op of redactions) {
+    const page = pages[Number(op.page) - 1];
+    const mapper = createPageMapper(page);
+    page.drawRectangle({ ...mapper.toPdfRect(op.bounds), color: rgb(0, 0, 0) });
+
+    if (!label) continue;
+    const text = typeof op.payload?.label === "string" && op.payload.label.trim()
+      ? op.payload.label.trim().slice(0, 40).replace(/[^\x20-\x7e]/g, "?")
+      : DEFAULT_LABEL;
+    const unitWidth = font.widthOfTextAtSize(text, 1);
+    const size = Math.min(10, op.bounds.h * 0.6, (op.bounds.w * 0.9) / unitWidth);
+    if (size < 4) continue;
+    const width = unitWidth * size;
+    const origin = mapper.toPdf(
+      op.bounds.x + (op.bounds.w - width) / 2,
+      op.bounds.y + op.bounds.h / 2 + size * 0.35
+    );
+    page.drawText(text, { x: origin.x, y: origin.y, size, font, color: rgb(1, 1, 1), rotate: degrees(mapper.rotation) });
+  }
+}
+
+async function applyRedactions(sourceBuffer, operations, options = {}) {
+  const empty = { glyphs: 0, paths: 0, images: 0, scrubbedImages: 0, xobjects: 0, annotations: 0 };
+  const candidates = operations.filter(isRedaction);
+  if (candidates.length === 0) {
+    return { buffer: sourceBuffer, redacted: 0, removed: empty };
+  }
+
+  const source = await PDFDocument.load(sourceBuffer, { updateMetadata: false });
+  const pages = source.getPages();
+  const redactions = candidates.filter((op) => Number(op.page) >= 1 && Number(op.page) <= pages.length);
+  const removed = { ...empty };
+
+  const byPage = new Map();
+  for (const op of redactions) {
+    const index = Number(op.page) - 1;
+    if (!byPage.has(index)) byPage.set(index, []);
+    byPage.get(index).push(op);
+  }
+
+  for (const [index, pageOps] of byPage) {
+    const page = pages[index];
+    const mapper = createPageMapper(page);
+    const stats = redactPage(source, page, pageOps.map((op) => mapper.toPdfRect(op.bounds)));
+    for (const key of Object.keys(removed)) removed[key] += stats[key];
+  }
+
+  for (const page of pages) {
+    detachAnnotations(source.context, page);
+    for (const key of PAGE_SCRUB_KEYS) page.node.delete(name(key));
+  }
+
+  // Copying pages into a fresh document leaves behind every object the rewritten pages
+  // no longer reference (original content streams, images) together with the document
+  // info, XMP metadata, outlines and structure tree that may quote redacted text.
+  const output = await PDFDocument.create({ updateMetadata: false });
+  const copied = await output.copyPages(source, pages.map((_, i) => i));
+  copied.forEach((page) => output.addPage(page));
+  output.setProducer("RedArm PDF Editor");
+
+  const font = options.label ? await output.embedFont(StandardFonts.HelveticaBold) : null;
+  drawRedactionBoxes(output, redactions, { label: Boolean(options.label), font });
+
+  const bytes = await output.save();
+  return {
+    buffer: Buffer.from(bytes),
+    redacted: redactions.length,
+    removed
+  };
+}
+
+module.exports = {
+  isRedaction,
+  colorComponents,
+  singleFilter,
+  createFontMetrics,
+  rewriteContent,
+  applyRedactions
+};
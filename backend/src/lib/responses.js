@@ -19,7 +19,20 @@ function error(status, code, message, details) {
   });
 }
 
+// A file the browser saves rather than shows.
+function attachment(body, contentType, fileName) {
+  return {
+    status: 200,
+    body,
+    headers: {
+      "Content-Type": contentType,
+      "Content-Disposition": `attachment; filename="${fileName}"`
+    }
+  };
+}
+
 module.exports = {
   json,
-  error
+  error,
+  attachment
 };
\ No newline at end of file
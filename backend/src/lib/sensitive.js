@@ -0,0 +1,325 @@
+const { Worker } = require("worker_threads");
+
+// Built-in detectors, in the order overlapping findings are kept: a number that reads as
+// both an SSN and a phone number is proposed once, as an SSN.
+const SENSITIVE_KINDS = ["ssn", "creditCard", "dob", "email", "phone"];
+const MAX_PATTERNS = 20;
+const MAX_PATTERN_LENGTH = 100;
+const MAX_TERMS = 200;
+const MAX_TERM_LENGTH = 100;
+const MAX_NAME_LENGTH = 60;
+const MAX_CANDIDATES = 5000;
+// Custom patterns run in V8's backtracking engine, so a scan using them gets this long at most.
+const PATTERN_SCAN_TIMEOUT_MS = 20 * 1000;
+
+const MONTH = "(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?";
+const DATE = [
+  "\\d{1,2}[/.-]\\d{1,2}[/.-](?:\\d{4}|\\d{2})",
+  "\\d{4}-\\d{2}-\\d{2}",
+  `${MONTH}\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}`,
+  `\\d{1,2}(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH},?\\s+\\d{4}`
+].join("|");
+
+function digitsOf(text) {
+  return text.replace(/\D/g, "");
+}
+
+function luhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Each detector's regex is global with match indices; `value` names the part to redact
+// when the pattern also matches context around it (the "DOB:" label).
+const DETECTORS = {
+  ssn: {
+    regex: /(?<![\d-])(\d{3})([- ])(\d{2})\2(\d{4})(?![\d-])/dg,
+    // Numbers the SSA never issues: area 000, 666 or 9xx, group 00, serial 0000.
+    accept: (match) => !/^(000|666|9)/.test(match[1]) && match[3] !== "00" && match[4] !== "0000"
+  },
+  creditCard: {
+    // Unbroken, in fours, or 4-6-5 as American Express prints them.
+    regex: /(?<![\d-])(?:\d{13,19}|\d{4}(?:([ -])\d{4}(?:\1\d{4}){1,2}(?:\1\d{1,3})?)|\d{4}([ -])\d{6}\2\d{4,5})(?![\d-])/dg,
+    accept: (match) => {
+      const digits = digitsOf(match[0]);
+      return digits.length >= 13 && digits.length <= 19 && luhn(digits);
+    }
+  },
+  dob: {
+    regex: new RegExp(`\\b(?:dob|d\\.o\\.b\\.?|date\\s+of\\s+birth|birth\\s*date|born(?:\\s+on)?)\\s*[:#-]?\\s*(?<value>${DATE})(?![\\d/])`, "dgi"),
+    accept: () => true
+  },
+  email: {
+    regex: /(?<![\w.%+-])[\w.%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}(?![\w-])/dgi,
+    accept: () => true
+  },
+  phone: {
+    regex: /(?<![\w+])(?:(?:\+?1[ .-]?)?(?:\(\d{3}\)\s?|\d{3}[ .-]?)\d{3}[ .-]\d{4}|\+\d{1,3}(?:[ .-]?\(?\d{1,4}\)?){2,5})(?![\w-])/dg,
+    accept: (match) => {
+      const count = digitsOf(match[0]).length;
+      return count >= 10 && count <= 15;
+    }
+  }
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// A term matches as whole words, in any case, with any run of whitespace between them.
+function termRegex(term) {
+  const body = term.split(" ").map(escapeRegExp).join("\\s+");
+  return new RegExp(`(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`, "dgiu");
+}
+
+// True when a repeated group itself contains an unbounded repeat, as in (a+)+ or (\w+\s?)*:
+// the shape behind most catastrophic backtracking.
+function hasNestedQuantifier(pattern) {
+  // Per open group: whether it contains a repeat.
+  const groups = [false];
+  let closedRepeating = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const bounded = char === "{" ? /^\{\d+(,\d*)?\}/.exec(pattern.slice(i)) : null;
+    if (char === "*" || char === "+" || (bounded && bounded[1])) {
+      if (closedRepeating) {
+        return true;
+      }
+      groups[groups.length - 1] = true;
+      i += bounded ? bounded[0].length - 1 : 0;
+      continue;
+    }
+    closedRepeating = false;
+    if (char === "\\") {
+      i += 1;
+    } else if (char === "[") {
+      // Nothing inside a class is a group or a quantifier.
+      for (i += 1; i < pattern.length && pattern[i] !== "]"; i++) {
+        if (pattern[i] === "\\") i += 1;
+      }
+    } else if (char === "(") {
+      groups.push(false);
+    } else if (char === ")" && groups.length > 1) {
+      closedRepeating = groups.pop();
+      groups[groups.length - 1] = groups[groups.length - 1] || closedRepeating;
+    }
+  }
+  return false;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Checks a scan request's { kinds, patterns, terms }. Leaving out `kinds` runs every
+// built-in detector. Returns { errors, options } with errors as { path, message }.
+function validateSensitiveOptions(payload) {
+  const errors = [];
+  const report = (path, message) => errors.push({ path, message: `${path} ${message}` });
+  const options = { kinds: [...SENSITIVE_KINDS], patterns: [], terms: [] };
+
+  if (payload.kinds !== undefined) {
+    if (!Array.isArray(payload.kinds)) {
+      report("kinds", "must be an array");
+    } else {
+      payload.kinds.forEach((kind, index) => {
+        if (!SENSITIVE_KINDS.includes(kind)) report(`kinds[${index}]`, `must be one of ${SENSITIVE_KINDS.join(", ")}`);
+      });
+      options.kinds = SENSITIVE_KINDS.filter((kind) => payload.kinds.includes(kind));
+    }
+  }
+
+  if (payload.patterns !== undefined) {
+    if (!Array.isArray(payload.patterns)) {
+      report("patterns", "must be an array");
+    } else if (payload.patterns.length > MAX_PATTERNS) {
+      report("patterns", `must not have more than ${MAX_PATTERNS} entries`);
+    } else {
+      payload.patterns.forEach((entry, index) => {
+        const path = `patterns[${index}]`;
+        if (!isPlainObject(entry)) {
+          report(path, "must be an object");
+          return;
+        }
+        if (typeof entry.name !== "string" || !entry.name.trim() || entry.name.length > MAX_NAME_LENGTH) {
+          report(`${path}.name`, `must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+        }
+        if (typeof entry.pattern !== "string" || !entry.pattern || entry.pattern.length > MAX_PATTERN_LENGTH) {
+          report(`${path}.pattern`, `must be a non-empty string of at most ${MAX_PATTERN_LENGTH} characters`);
+          return;
+        }
+        try {
+          new RegExp(entry.pattern, "dgi");
+        } catch {
+          report(`${path}.pattern`, "is not a valid regular expression");
+          return;
+        }
+        if (hasNestedQuantifier(entry.pattern)) {
+          report(`${path}.pattern`, "must not repeat a group that itself repeats, such as (a+)+");
+          return;
+        }
+        options.patterns.push({ name: String(entry.name).trim(), pattern: entry.pattern });
+      });
+    }
+  }
+
+  if (payload.terms !== undefined) {
+    if (!Array.isArray(payload.terms)) {
+      report("terms", "must be an array");
+    } else if (payload.terms.length > MAX_TERMS) {
+      report("terms", `must not have more than ${MAX_TERMS} entries`);
+    } else {
+      payload.terms.forEach((term, index) => {
+        if (typeof term !== "string" || !term.trim() || term.length > MAX_TERM_LENGTH) {
+          report(`terms[${index}]`, `must be a non-empty string of at most ${MAX_TERM_LENGTH} characters`);
+        } else {
+          const normalized = term.trim().replace(/\s+/g, " ");
+          if (!options.terms.some((t) => t.toLowerCase() === normalized.toLowerCase())) options.terms.push(normalized);
+        }
+      });
+    }
+  }
+
+  if (errors.length === 0 && options.kinds.length + options.patterns.length + options.terms.length === 0) {
+    report("kinds", "must not be empty when there are no patterns or terms");
+  }
+  return { errors, options };
+}
+
+// Page text as matched: words joined by a space, lines by a line break, with the offsets
+// of every word so a match can be traced back to the words it covers.
+function pageText(lines) {
+  let text = "";
+  const words = [];
+  lines.forEach((line, lineIndex) => {
+    if (text) text += "\n";
+    line.words.forEach((word, index) => {
+      if (index > 0) text += " ";
+      words.push({ start: text.length, end: text.length + word.text.length, lineIndex, bounds: word.bounds });
+      text += word.text;
+    });
+  });
+  return { text, words };
+}
+
+function unionOf(boxes) {
+  const x = Math.min(...boxes.map((b) => b.x));
+  const y = Math.min(...boxes.map((b) => b.y));
+  const round = (value) => Math.round(value * 100) / 100;
+  return {
+    x,
+    y,
+    w: round(Math.max(...boxes.map((b) => b.x + b.w)) - x),
+    h: round(Math.max(...boxes.map((b) => b.y + b.h)) - y)
+  };
+}
+
+function matchersFor(options) {
+  return [
+    ...options.kinds.map((kind) => ({ kind, label: null, ...DETECTORS[kind] })),
+    ...options.patterns.map(({ name, pattern }) => ({ kind: "pattern", label: name, regex: new RegExp(pattern, "dgi"), accept: () => true })),
+    ...options.terms.map((term) => ({ kind: "term", label: term, regex: termRegex(term), accept: () => true }))
+  ];
+}
+
+// Proposed redactions for `pages` ([{ pageNumber, source, lines }], lines of words with
+// bounds as pageTextLines and OCR documents give them). Every word a finding touches is
+// covered whole, with one rectangle per line it spans. A set of words found twice is
+// proposed once, for the first matcher in SENSITIVE_KINDS, patterns, terms order.
+function findSensitive(pages, options) {
+  const matchers = matchersFor(options);
+  const candidates = [];
+  let truncated = false;
+
+  for (const page of pages) {
+    const { text, words } = pageText(page.lines);
+    const seen = new Set();
+    for (const matcher of matchers) {
+      for (const match of text.matchAll(matcher.regex)) {
+        if (!match[0] || !matcher.accept(match)) continue;
+        const [start, end] = (match.indices.groups && match.indices.groups.value) || match.indices[0];
+        const covered = words.filter((word) => word.start < end && word.end > start);
+        const key = covered.map((word) => word.start).join(",");
+        if (covered.length === 0 || seen.has(key)) continue;
+        seen.add(key);
+        if (candidates.length >= MAX_CANDIDATES) {
+          truncated = true;
+          break;
+        }
+
+        const byLine = new Map();
+        for (const word of covered) {
+          byLine.set(word.lineIndex, [...(byLine.get(word.lineIndex) || []), word.bounds]);
+        }
+        candidates.push({
+          kind: matcher.kind,
+          label: matcher.label,
+          text: text.slice(start, end).replace(/\s+/g, " "),
+          page: page.pageNumber,
+          source: page.source,
+          rects: [...byLine.values()].map(unionOf)
+        });
+      }
+    }
+  }
+
+  // Numbered in reading order so ids stay the same between scans of an unchanged page.
+  candidates.sort((a, b) => a.page - b.page || a.rects[0].y - b.rects[0].y || a.rects[0].x - b.rects[0].x);
+  const perPage = new Map();
+  return {
+    candidates: candidates.map((candidate) => {
+      perPage.set(candidate.page, (perPage.get(candidate.page) || 0) + 1);
+      return { id: `p${candidate.page}-${perPage.get(candidate.page)}`, ...candidate };
+    }),
+    truncated
+  };
+}
+
+// findSensitive for options with custom patterns, run in a worker thread that is stopped after
+// timeoutMs, so a pattern that backtracks for ever cannot block the queue worker. Resolves to
+// null when the scan ran out of time.
+function findSensitiveWithTimeout(pages, options, timeoutMs = PATTERN_SCAN_TIMEOUT_MS) {
+  if (options.patterns.length === 0) {
+    return Promise.resolve(findSensitive(pages, options));
+  }
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(require.resolve("./sensitiveThread"), { workerData: { pages, options } });
+    const timer = setTimeout(() => {
+      resolve(null);
+      worker.terminate();
+    }, timeoutMs);
+    worker.once("message", (result) => {
+      clearTimeout(timer);
+      resolve(result);
+      worker.terminate();
+    });
+    worker.once("error", (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    worker.once("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Sensitive data scan stopped with exit code ${code}`));
+    });
+  });
+}
+
+module.exports = {
+  SENSITIVE_KINDS,
+  MAX_PATTERNS,
+  MAX_PATTERN_LENGTH,
+  MAX_TERMS,
+  MAX_CANDIDATES,
+  validateSensitiveOptions,
+  hasNestedQuantifier,
+  findSensitive,
+  findSensitiveWithTimeout
+};
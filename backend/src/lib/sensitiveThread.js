@@ -0,0 +1,5 @@
+// Entry point of the worker thread findSensitiveWithTimeout starts.
+const { parentPort, workerData } = require("worker_threads");
+const { findSensitive } = require("./sensitive");
+
+parentPort.postMessage(findSensitive(workerData.pages, workerData.options));
@@ -65,9 +65,10 @@ async function uploadJson(containerName, blobName, value) {
   });
 }
 
-async function downloadToBuffer(containerName, blobName) {
+// `conditions` (e.g. { ifMatch: etag }) makes the read fail if the blob has changed since.
+async function downloadToBuffer(containerName, blobName, conditions) {
   const client = getBlobClient(containerName, blobName);
-  const response = await client.download();
+  const response = await client.download(0, undefined, conditions ? { conditions } : {});
   const chunks = [];
   for await (const chunk of response.readableStreamBody) {
     chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
@@ -85,6 +86,54 @@ async function uploadBuffer(containerName, blobName, buffer, contentType = "appl
   });
 }
 
+// Null when the blob does not exist (e.g. an upload that was never made).
+async function getBlobProperties(containerName, blobName) {
+  const client = getBlobClient(containerName, blobName);
+  try {
+    const properties = await client.getProperties();
+    return {
+      contentLength: Number(properties.contentLength || 0),
+      contentType: properties.contentType || "",
+      etag: properties.etag || ""
+    };
+  } catch (err) {
+    if (err.statusCode === 404) {
+      return null;
+    }
+    throw err;
+  }
+}
+
+// Blocks staged with Put Block but not committed yet. They are stored (and billed) until the
+// blob is deleted, so uploads count them against the size limit too.
+async function getUncommittedBytes(containerName, blobName) {
+  const client = getBlobClient(containerName, blobName);
+  try {
+    const list = await client.getBlockList("uncommitted");
+    return (list.uncommittedBlocks || []).reduce((sum, block) => sum + Number(block.size || 0), 0);
+  } catch (err) {
+    if (err.statusCode === 404) {
+      return 0;
+    }
+    throw err;
+  }
+}
+
+// Server-side copy within one container. `conditions` apply to the source, so a copy of a
+// blob that changed after it was checked fails instead of copying the new content.
+async function copyBlob(containerName, sourceName, targetName, conditions) {
+  const source = getBlobClient(containerName, sourceName);
+  const target = getBlobClient(containerName, targetName);
+  const poller = await target.beginCopyFromURL(source.url, conditions ? { sourceConditions: conditions } : {});
+  await poller.pollUntilDone();
+}
+
+async function deleteBlob(containerName, blobName) {
+  const client = getBlobClient(containerName, blobName);
+  const result = await client.deleteIfExists({ deleteSnapshots: "include" });
+  return result.succeeded;
+}
+
 function getQueueClient(queueName) {
   const queueService = QueueServiceClient.fromConnectionString(config.storageConnectionString);
   return queueService.getQueueClient(queueName);
@@ -104,5 +153,9 @@ module.exports = {
   uploadJson,
   downloadToBuffer,
   uploadBuffer,
+  getBlobProperties,
+  getUncommittedBytes,
+  copyBlob,
+  deleteBlob,
   sendQueueMessage
 };
@@ -26,9 +26,9 @@ async function ensureTable(tableName) {
   initCache.add(tableName);
 }
 
-async function getEntityOrNull(client, partitionKey, rowKey) {
+async function getEntityOrNull(client, partitionKey, rowKey, options) {
   try {
-    return await client.getEntity(partitionKey, rowKey);
+    return await client.getEntity(partitionKey, rowKey, options);
   } catch (err) {
     if (err.statusCode === 404) {
       return null;
@@ -37,6 +37,30 @@ async function getEntityOrNull(client, partitionKey, rowKey) {
   }
 }
 
+function odataString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+async function listEntities(client, filter) {
+  const entities = [];
+  for await (const entity of client.listEntities({ queryOptions: { filter } })) {
+    entities.push(entity);
+  }
+  return entities;
+}
+
+async function deleteEntityIfExists(client, partitionKey, rowKey) {
+  try {
+    await client.deleteEntity(partitionKey, rowKey);
+    return true;
+  } catch (err) {
+    if (err.statusCode === 404) {
+      return false;
+    }
+    throw err;
+  }
+}
+
 function isoNow() {
   return new Date().toISOString();
 }
@@ -64,12 +88,15 @@ async function upsertUser(entity) {
   );
 }
 
-async function getDocument(docId) {
+// `select` reads only the named columns, e.g. to leave out annotationJson.
+async function getDocument(docId, select) {
   await ensureTable(config.documentsTable);
   const client = getTableClient(config.documentsTable);
-  return getEntityOrNull(client, "DOC", String(docId));
+  return getEntityOrNull(client, "DOC", String(docId), select ? { queryOptions: { select } } : undefined);
 }
 
+// Rows written with their owner and creation time are new documents and join the owner's library;
+// later writes that touch updatedAt move the document up in its owner's and sharees' libraries.
 async function upsertDocument(entity) {
   await ensureTable(config.documentsTable);
   const client = getTableClient(config.documentsTable);
@@ -81,6 +108,281 @@ async function upsertDocument(entity) {
     },
     "Merge"
   );
+  if ((entity.ownerEmail && entity.createdAt) || entity.updatedAt) {
+    const doc = await getEntityOrNull(client, "DOC", String(entity.docId), { queryOptions: { select: LIBRARY_COLUMNS } });
+    if (doc) {
+      await indexDocument(String(entity.docId), doc);
+    }
+  }
+}
+
+async function deleteDocument(docId) {
+  await ensureTable(config.documentsTable);
+  const client = getTableClient(config.documentsTable);
+  const doc = await getEntityOrNull(client, "DOC", String(docId), { queryOptions: { select: ["ownerEmail"] } });
+  if (!doc) {
+    return false;
+  }
+  if (doc.ownerEmail) {
+    await deleteLibraryEntry(doc.ownerEmail, "owned", docId);
+  }
+  return deleteEntityIfExists(client, "DOC", String(docId));
+}
+
+// Uploads that were never completed, or were rejected, and were started before the cutoff.
+// Uploads are judged by their last activity, since a large resumed upload can outlive any fixed age.
+async function listStaleUploads(updatedBefore) {
+  await ensureTable(config.documentsTable);
+  const client = getTableClient(config.documentsTable);
+  return listEntities(
+    client,
+    "PartitionKey eq 'DOC' and (status eq 'uploading' or status eq 'rejected') " +
+      `and updatedAt lt ${odataString(updatedBefore)}`
+  );
+}
+
+// The library table indexes the documents each user can list: for every owned document or share,
+// the user's partition holds one row per sort and order, keyed
+// "<scope>_<sort>_<order>_<time>_<docId>", so one page of a library is a range query within a
+// single partition. An "entry_<scope>_<docId>" row keeps the times those keys were built from,
+// so they can be replaced when the document changes.
+const MAX_TIME = 8640000000000000;
+const LIBRARY_SORTS = ["updatedAt", "createdAt"];
+const LIBRARY_ORDERS = ["desc", "asc"];
+const LIBRARY_COLUMNS = ["ownerEmail", "createdAt", "updatedAt"];
+
+function libraryRowKey(scope, sort, order, time, docId) {
+  const ms = Date.parse(time) || 0;
+  return `${scope}_${sort}_${order}_${String(order === "desc" ? MAX_TIME - ms : ms).padStart(16, "0")}_${docId}`;
+}
+
+function libraryRowKeys(scope, entry) {
+  return LIBRARY_SORTS.flatMap((sort) =>
+    LIBRARY_ORDERS.map((order) => libraryRowKey(scope, sort, order, entry[sort], entry.docId))
+  );
+}
+
+function libraryEntryKey(scope, docId) {
+  return `entry_${scope}_${docId}`;
+}
+
+// `entry` is { docId, role, createdAt, updatedAt }; documents never updated sort by creation time.
+async function upsertLibraryEntry(email, scope, entry) {
+  await ensureTable(config.libraryTable);
+  const client = getTableClient(config.libraryTable);
+  const partitionKey = normalizeEmail(email);
+  const docId = String(entry.docId);
+  const next = {
+    docId,
+    role: entry.role,
+    createdAt: entry.createdAt || "",
+    updatedAt: entry.updatedAt || entry.createdAt || ""
+  };
+  const previous = await getEntityOrNull(client, partitionKey, libraryEntryKey(scope, docId));
+  if (previous && previous.role === next.role && previous.createdAt === next.createdAt && previous.updatedAt === next.updatedAt) {
+    return;
+  }
+  // New keys go in before the old ones come out, so the document never drops out of a listing.
+  const keys = libraryRowKeys(scope, next);
+  for (const rowKey of keys) {
+    await client.upsertEntity({ partitionKey, rowKey, docId, role: next.role }, "Merge");
+  }
+  if (previous) {
+    for (const rowKey of libraryRowKeys(scope, previous)) {
+      if (!keys.includes(rowKey)) {
+        await deleteEntityIfExists(client, partitionKey, rowKey);
+      }
+    }
+  }
+  await client.upsertEntity({ partitionKey, rowKey: libraryEntryKey(scope, docId), ...next }, "Merge");
+}
+
+async function deleteLibraryEntry(email, scope, docId) {
+  await ensureTable(config.libraryTable);
+  const client = getTableClient(config.libraryTable);
+  const partitionKey = normalizeEmail(email);
+  const previous = await getEntityOrNull(client, partitionKey, libraryEntryKey(scope, String(docId)));
+  if (!previous) {
+    return false;
+  }
+  for (const rowKey of libraryRowKeys(scope, previous)) {
+    await deleteEntityIfExists(client, partitionKey, rowKey);
+  }
+  return deleteEntityIfExists(client, partitionKey, libraryEntryKey(scope, String(docId)));
+}
+
+// Indexes a document row ({ ownerEmail, createdAt, updatedAt }) in its owner's library and in
+// the library of everyone it is shared with.
+async function indexDocument(docId, doc) {
+  if (!doc.ownerEmail || !doc.createdAt) {
+    return;
+  }
+  const times = { createdAt: doc.createdAt, updatedAt: doc.updatedAt };
+  await upsertLibraryEntry(doc.ownerEmail, "owned", { docId, role: "owner", ...times });
+  for (const share of await listSharesForDocument(docId)) {
+    await upsertLibraryEntry(share.email, "shared", { docId, role: share.role, ...times });
+  }
+}
+
+// Indexes every document row, and its shares, in the library table. Library rows are only
+// written as documents and shares change, so rows written before the library existed need this
+// once (scripts/backfillLibrary.js); entries already up to date are left alone.
+async function backfillLibrary() {
+  await ensureTable(config.documentsTable);
+  const client = getTableClient(config.documentsTable);
+  let indexed = 0;
+  const entities = client.listEntities({
+    queryOptions: { filter: "PartitionKey eq 'DOC'", select: ["docId", ...LIBRARY_COLUMNS] }
+  });
+  for await (const doc of entities) {
+    if (doc.ownerEmail && doc.createdAt) {
+      await indexDocument(String(doc.docId), doc);
+      indexed += 1;
+    }
+  }
+  return indexed;
+}
+
+// One page of a user's "owned" or "shared" library entries ({ docId, role }), ordered by the
+// document's `sort` time ("updatedAt" or "createdAt") in `order` ("desc" or "asc").
+// `cursor` is the nextCursor of the previous page; a malformed one throws a SyntaxError.
+async function listLibraryPage(email, scope, sort, order, limit, cursor) {
+  await ensureTable(config.libraryTable);
+  const client = getTableClient(config.libraryTable);
+  const prefix = `${scope}_${sort}_${order}`;
+  const filter =
+    `PartitionKey eq ${odataString(normalizeEmail(email))} ` +
+    `and RowKey ge ${odataString(`${prefix}_`)} and RowKey lt ${odataString(`${prefix}\``)}`;
+  const pages = client
+    .listEntities({ queryOptions: { filter, select: ["docId", "role"] } })
+    .byPage({ maxPageSize: limit, continuationToken: cursor || undefined });
+  const { value: page } = await pages.next();
+  return {
+    entries: page ? page.map(({ docId, role }) => ({ docId, role })) : [],
+    nextCursor: (page && page.continuationToken) || null
+  };
+}
+
+// Row keys are zero-padded so versions sort numerically within a document partition.
+function versionRowKey(version) {
+  return String(version).padStart(10, "0");
+}
+
+async function createDocumentVersion(entity) {
+  await ensureTable(config.versionsTable);
+  const client = getTableClient(config.versionsTable);
+  await client.createEntity({
+    partitionKey: String(entity.docId),
+    rowKey: versionRowKey(entity.version),
+    ...entity
+  });
+}
+
+async function getDocumentVersion(docId, version) {
+  await ensureTable(config.versionsTable);
+  const client = getTableClient(config.versionsTable);
+  return getEntityOrNull(client, String(docId), versionRowKey(version));
+}
+
+async function listDocumentVersions(docId) {
+  await ensureTable(config.versionsTable);
+  const client = getTableClient(config.versionsTable);
+  return listEntities(client, `PartitionKey eq ${odataString(docId)}`);
+}
+
+async function deleteDocumentVersions(docId) {
+  const versions = await listDocumentVersions(docId);
+  const client = getTableClient(config.versionsTable);
+  for (const version of versions) {
+    await client.deleteEntity(version.partitionKey, version.rowKey);
+  }
+  return versions.length;
+}
+
+async function getShare(docId, email) {
+  await ensureTable(config.sharesTable);
+  const client = getTableClient(config.sharesTable);
+  return getEntityOrNull(client, String(docId), normalizeEmail(email));
+}
+
+async function upsertShare(share) {
+  await ensureTable(config.sharesTable);
+  const client = getTableClient(config.sharesTable);
+  const email = normalizeEmail(share.email);
+  await client.upsertEntity(
+    {
+      partitionKey: String(share.docId),
+      rowKey: email,
+      ...share,
+      email
+    },
+    "Merge"
+  );
+  const doc = await getDocument(share.docId, LIBRARY_COLUMNS);
+  await upsertLibraryEntry(email, "shared", {
+    docId: String(share.docId),
+    role: share.role,
+    createdAt: (doc && doc.createdAt) || share.createdAt,
+    updatedAt: doc && doc.updatedAt
+  });
+}
+
+async function deleteShare(docId, email) {
+  await ensureTable(config.sharesTable);
+  const client = getTableClient(config.sharesTable);
+  const share = await getEntityOrNull(client, String(docId), normalizeEmail(email));
+  if (!share) {
+    return false;
+  }
+  await deleteLibraryEntry(email, "shared", docId);
+  return deleteEntityIfExists(client, String(docId), normalizeEmail(email));
+}
+
+async function listSharesForDocument(docId) {
+  await ensureTable(config.sharesTable);
+  const client = getTableClient(config.sharesTable);
+  return listEntities(client, `PartitionKey eq ${odataString(docId)}`);
+}
+
+// Thread rows are keyed by threadId and comment rows by "<threadId>_<commentId>",
+// both in the document's partition so a document's discussion is one query.
+async function getCommentThread(docId, threadId) {
+  await ensureTable(config.commentsTable);
+  const client = getTableClient(config.commentsTable);
+  const entity = await getEntityOrNull(client, String(docId), String(threadId));
+  return entity && entity.kind === "thread" ? entity : null;
+}
+
+async function upsertCommentThread(thread) {
+  await ensureTable(config.commentsTable);
+  const client = getTableClient(config.commentsTable);
+  await client.upsertEntity(
+    {
+      partitionKey: String(thread.docId),
+      rowKey: String(thread.threadId),
+      kind: "thread",
+      ...thread
+    },
+    "Merge"
+  );
+}
+
+async function createComment(comment) {
+  await ensureTable(config.commentsTable);
+  const client = getTableClient(config.commentsTable);
+  await client.createEntity({
+    partitionKey: String(comment.docId),
+    rowKey: `${comment.threadId}_${comment.commentId}`,
+    kind: "comment",
+    ...comment
+  });
+}
+
+async function listCommentRows(docId, threadId) {
+  await ensureTable(config.commentsTable);
+  const client = getTableClient(config.commentsTable);
+  const filter = `PartitionKey eq ${odataString(docId)}`;
+  return listEntities(client, threadId ? `${filter} and threadId eq ${odataString(threadId)}` : filter);
 }
 
 async function createJob(job) {
@@ -119,6 +421,22 @@ module.exports = {
   upsertUser,
   getDocument,
   upsertDocument,
+  deleteDocument,
+  listStaleUploads,
+  listLibraryPage,
+  backfillLibrary,
+  createDocumentVersion,
+  getDocumentVersion,
+  listDocumentVersions,
+  deleteDocumentVersions,
+  getShare,
+  upsertShare,
+  deleteShare,
+  listSharesForDocument,
+  getCommentThread,
+  upsertCommentThread,
+  createComment,
+  listCommentRows,
   createJob,
   getJob,
   updateJob,
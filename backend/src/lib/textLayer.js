@@ -0,0 +1,351 @@
+const {
+  PDFDocument,
+  PDFHexString,
+  PDFString,
+  pushGraphicsState,
+  popGraphicsState,
+  beginText,
+  endText,
+  setFontAndSize,
+  setTextRenderingMode,
+  setTextMatrix,
+  setCharacterSqueeze,
+  showText,
+  TextRenderingMode
+} = require("pdf-lib");
+const { createPageMapper } = require("./annotate");
+
+const FONT_NAME = "GlyphLessFont";
+// Every glyph is half an em wide and sits on the baseline, one em tall.
+const GLYPH_WIDTH = 500;
+const MAX_CIDS = 0xfffe;
+
+// The document's OCR result, unless the pages have been rebuilt since it was taken.
+function currentOcrResult(doc) {
+  let ocr;
+  try {
+    ocr = JSON.parse(doc.ocrResult || "null");
+  } catch {
+    return null;
+  }
+  if (!ocr || typeof ocr.blobName !== "string" || ocr.sourceBlobName !== doc.sourceBlobName) {
+    return null;
+  }
+  return ocr;
+}
+
+// Document Intelligence returns polygons as { x, y } points (SDK) or flat numbers (REST).
+function polygonPoints(polygon) {
+  if (!Array.isArray(polygon)) return [];
+  if (polygon.every((p) => typeof p === "number")) {
+    const points = [];
+    for (let i = 0; i + 1 < polygon.length; i += 2) points.push({ x: polygon[i], y: polygon[i + 1] });
+    return points;
+  }
+  return polygon.filter((p) => p && Number.isFinite(p.x) && Number.isFinite(p.y));
+}
+
+// Words or lines ("words" | "lines") per page from an analyze result, with polygons as
+// fractions of the page as displayed.
+function ocrItems(result, key) {
+  const pages = new Map();
+  for (const page of (result && result.pages) || []) {
+    if (!Number.isInteger(page.pageNumber) || !(page.width > 0) || !(page.height > 0)) continue;
+    const items = [];
+    for (const item of page[key] || []) {
+      const content = typeof item.content === "string" ? item.content.trim() : "";
+      const points = polygonPoints(item.polygon);
+      if (!content || points.length < 4) continue;
+      items.push({
+        content,
+        polygon: points.slice(0, 4).map((p) => ({ x: p.x / page.width, y: p.y / page.height }))
+      });
+    }
+    pages.set(page.pageNumber, items);
+  }
+  return pages;
+}
+
+function ocrWords(result) {
+  return ocrItems(result, "words");
+}
+
+function ocrLines(result) {
+  return ocrItems(result, "lines");
+}
+
+function checksum(data) {
+  let sum = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    sum = (sum + data.readUInt32BE(i)) >>> 0;
+  }
+  return sum;
+}
+
+function pad4(data) {
+  return data.length % 4 === 0 ? data : Buffer.concat([data, Buffer.alloc(4 - (data.length % 4))]);
+}
+
+// A TrueType font with two empty glyphs. Embedding it keeps readers from substituting
+// (or complaining about) a missing font for text that is never painted.
+function glyphlessFont() {
+  const head = Buffer.alloc(54);
+  head.writeUInt32BE(0x00010000, 0);
+  head.writeUInt32BE(0x00010000, 4);
+  head.writeUInt32BE(0x5f0f3cf5, 12);
+  head.writeUInt16BE(0x000b, 16);
+  head.writeUInt16BE(1000, 18);
+  head.writeInt16BE(GLYPH_WIDTH, 40);
+  head.writeInt16BE(1000, 42);
+  head.writeUInt16BE(3, 46);
+  head.writeInt16BE(2, 48);
+
+  const hhea = Buffer.alloc(36);
+  hhea.writeUInt32BE(0x00010000, 0);
+  hhea.writeInt16BE(1000, 4);
+  hhea.writeUInt16BE(GLYPH_WIDTH, 10);
+  hhea.writeInt16BE(1, 18);
+  hhea.writeUInt16BE(2, 34);
+
+  const maxp = Buffer.alloc(32);
+  maxp.writeUInt32BE(0x00010000, 0);
+  maxp.writeUInt16BE(2, 4);
+  maxp.writeUInt16BE(1, 14);
+
+  const hmtx = Buffer.alloc(8);
+  hmtx.writeUInt16BE(GLYPH_WIDTH, 0);
+  hmtx.writeUInt16BE(GLYPH_WIDTH, 4);
+
+  // Format 4 subtable with only the closing 0xFFFF segment: no character maps to a glyph.
+  const cmap = Buffer.alloc(36);
+  cmap.writeUInt16BE(1, 2);
+  cmap.writeUInt16BE(3, 4);
+  cmap.writeUInt16BE(1, 6);
+  cmap.writeUInt32BE(12, 8);
+  cmap.writeUInt16BE(4, 12);
+  cmap.writeUInt16BE(24, 14);
+  cmap.writeUInt16BE(2, 18);
+  cmap.writeUInt16BE(2, 20);
+  cmap.writeUInt16BE(0xffff, 26);
+  cmap.writeUInt16BE(0xffff, 30);
+  cmap.writeUInt16BE(1, 32);
+
+  const name = Buffer.alloc(6);
+  name.writeUInt16BE(6, 4);
+
+  const post = Buffer.alloc(32);
+  post.writeUInt32BE(0x00030000, 0);
+
+  const tables = [
+    ["cmap", cmap],
+    ["glyf", Buffer.alloc(4)],
+    ["head", head],
+    ["hhea", hhea],
+    ["hmtx", hmtx],
+    ["loca", Buffer.alloc(6)],
+    ["maxp", maxp],
+    ["name", name],
+    ["post", post]
+  ];
+
+  const directory = Buffer.alloc(12 + tables.length * 16);
+  const log2 = Math.floor(Math.log2(tables.length));
+  directory.writeUInt32BE(0x00010000, 0);
+  directory.writeUInt16BE(tables.length, 4);
+  directory.writeUInt16BE(16 * 2 ** log2, 6);
+  directory.writeUInt16BE(log2, 8);
+  directory.writeUInt16BE(tables.length * 16 - 16 * 2 ** log2, 10);
+
+  let offset = directory.length;
+  let headOffset = 0;
+  const bodies = tables.map(([tag, data], index) => {
+    const padded = pad4(data);
+    const record = 12 + index * 16;
+    directory.write(tag, record, "latin1");
+    directory.writeUInt32BE(checksum(padded), record + 4);
+    directory.writeUInt32BE(offset, record + 8);
+    directory.writeUInt32BE(data.length, record + 12);
+    if (tag === "head") headOffset = offset;
+    offset += padded.length;
+    return padded;
+  });
+
+  const font = Buffer.concat([directory, ...bodies]);
+  font.writeUInt32BE((0xb1b0afba - checksum(font)) >>> 0, headOffset + 8);
+  return font;
+}
+
+function hex4(value) {
+  return value.toString(16).toUpperCase().padStart(4, "0");
+}
+
+function utf16Hex(char) {
+  const code = char.codePointAt(0);
+  if (code <= 0xffff) return hex4(code);
+  const offset = code - 0x10000;
+  return hex4(0xd800 + (offset >> 10)) + hex4(0xdc00 + (offset & 0x3ff));
+}
+
+// Maps each CID back to its character, so copied and searched text comes out as recognised.
+function toUnicodeCMap(chars) {
+  const lines = [
+    "/CIDInit /ProcSet findresource begin",
+    "12 dict begin",
+    "begincmap",
+    "/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def",
+    "/CMapName /Adobe-Identity-UCS def",
+    "/CMapType 2 def",
+    "1 begincodespacerange",
+    "<0000> <FFFF>",
+    "endcodespacerange"
+  ];
+  // A bfchar section may hold at most 100 entries.
+  for (let start = 0; start < chars.length; start += 100) {
+    const chunk = chars.slice(start, start + 100);
+    lines.push(`${chunk.length} beginbfchar`);
+    chunk.forEach((char, i) => lines.push(`<${hex4(start + i + 1)}> <${utf16Hex(char)}>`));
+    lines.push("endbfchar");
+  }
+  lines.push("endcmap", "CMapName currentdict /CMap defineresource pop", "end", "end");
+  return Buffer.from(lines.join("\n"), "latin1");
+}
+
+// Type0 font whose CIDs 1..n stand for `chars`, all drawn with the one empty glyph.
+function embedGlyphlessFont(pdf, chars) {
+  const { context } = pdf;
+  const cidToGid = Buffer.alloc(2 * (chars.length + 1));
+  for (let cid = 1; cid <= chars.length; cid++) cidToGid.writeUInt16BE(1, cid * 2);
+
+  const program = glyphlessFont();
+  const fontFile = context.flateStream(program, { Length1: program.length });
+  const descriptor = context.obj({
+    Type: "FontDescriptor",
+    FontName: FONT_NAME,
+    Flags: 5,
+    FontBBox: [0, 0, GLYPH_WIDTH, 1000],
+    ItalicAngle: 0,
+    Ascent: 1000,
+    Descent: 0,
+    CapHeight: 1000,
+    StemV: 80,
+    FontFile2: context.register(fontFile)
+  });
+  const cidFont = context.obj({
+    Type: "Font",
+    Subtype: "CIDFontType2",
+    BaseFont: FONT_NAME,
+    CIDSystemInfo: { Registry: PDFString.of("Adobe"), Ordering: PDFString.of("Identity"), Supplement: 0 },
+    FontDescriptor: context.register(descriptor),
+    DW: GLYPH_WIDTH,
+    CIDToGIDMap: context.register(context.flateStream(cidToGid))
+  });
+  const font = context.obj({
+    Type: "Font",
+    Subtype: "Type0",
+    BaseFont: FONT_NAME,
+    Encoding: "Identity-H",
+    DescendantFonts: [context.register(cidFont)],
+    ToUnicode: context.register(context.flateStream(toUnicodeCMap(chars)))
+  });
+  return context.register(font);
+}
+
+function overlaps(a, b) {
+  return a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h;
+}
+
+// Adds the recognised words to each page as invisible text (render mode 3) laid over the
+// scan, stretched to fill each word's polygon. `words` is a Map of page number to words
+// from ocrWords(); words overlapping any `exclude` box ({ page, bounds } in editor
+// coordinates, e.g. redactions) are left out.
+async function addTextLayer(sourceBuffer, words, { exclude = [] } = {}) {
+  const pdf = await PDFDocument.load(sourceBuffer, { updateMetadata: false });
+  const pages = pdf.getPages();
+  const cids = new Map();
+  const placed = [];
+
+  for (const [pageNumber, pageWords] of words) {
+    const page = pages[pageNumber - 1];
+    if (!page) continue;
+    const mapper = createPageMapper(page);
+    const box = page.getCropBox();
+    const sideways = mapper.rotation === 90 || mapper.rotation === 270;
+    const viewWidth = sideways ? box.height : box.width;
+    const viewHeight = sideways ? box.width : box.height;
+    const excluded = exclude.filter((item) => Number(item.page) === pageNumber).map((item) => item.bounds);
+    const items = [];
+
+    for (const word of pageWords) {
+      const view = word.polygon.map((p) => ({ x: p.x * viewWidth, y: p.y * viewHeight }));
+      const xs = view.map((p) => p.x);
+      const ys = view.map((p) => p.y);
+      const bounds = { x: Math.min(...xs), y: Math.min(...ys), w: Math.max(...xs) - Math.min(...xs), h: Math.max(...ys) - Math.min(...ys) };
+      if (excluded.some((rect) => overlaps(bounds, rect))) continue;
+
+      // Polygon corners run top-left, top-right, bottom-right, bottom-left of the word as read.
+      const [topLeft, topRight, , bottomLeft] = view.map((p) => mapper.toPdf(p.x, p.y));
+      const width = Math.hypot(topRight.x - topLeft.x, topRight.y - topLeft.y);
+      const height = Math.hypot(topLeft.x - bottomLeft.x, topLeft.y - bottomLeft.y);
+      const chars = [...word.content];
+      if (!(width > 0) || !(height > 0) || cids.size + chars.length > MAX_CIDS) continue;
+
+      const codes = chars.map((char) => {
+        if (!cids.has(char)) cids.set(char, cids.size + 1);
+        return hex4(cids.get(char));
+      });
+      const angle = Math.atan2(topRight.y - topLeft.y, topRight.x - topLeft.x);
+      items.push({
+        origin: bottomLeft,
+        cos: Math.cos(angle),
+        sin: Math.sin(angle),
+        size: height,
+        squeeze: (100 * width * 1000) / (chars.length * GLYPH_WIDTH * height),
+        text: codes.join("")
+      });
+    }
+    if (items.length > 0) placed.push({ page, items });
+  }
+
+  if (placed.length === 0) {
+    return { buffer: sourceBuffer, pages: 0, words: 0 };
+  }
+
+  const fontRef = embedGlyphlessFont(pdf, [...cids.keys()]);
+  let wordCount = 0;
+  for (const { page, items } of placed) {
+    // Bracket the existing content so a transform it leaves behind cannot move the text.
+    page.node.normalize();
+    const start = pdf.context.register(pdf.context.contentStream([pushGraphicsState()]));
+    const end = pdf.context.register(pdf.context.contentStream([popGraphicsState()]));
+    page.node.wrapContentStreams(start, end);
+
+    const fontName = page.node.newFontDictionary("OcrText", fontRef);
+    const operators = [pushGraphicsState(), beginText(), setTextRenderingMode(TextRenderingMode.Invisible)];
+    for (const item of items) {
+      operators.push(
+        setFontAndSize(fontName, item.size),
+        setCharacterSqueeze(item.squeeze),
+        setTextMatrix(item.cos, item.sin, -item.sin, item.cos, item.origin.x, item.origin.y),
+        showText(PDFHexString.of(item.text))
+      );
+    }
+    operators.push(endText(), popGraphicsState());
+    page.pushOperators(...operators);
+    wordCount += items.length;
+  }
+
+  return {
+    buffer: Buffer.from(await pdf.save()),
+    pages: placed.length,
+    words: wordCount
+  };
+}
+
+module.exports = {
+  currentOcrResult,
+  polygonPoints,
+  ocrWords,
+  ocrLines,
+  glyphlessFont,
+  addTextLayer
+};
@@ -0,0 +1,347 @@
+const zlib = require("zlib");
+
+// Baseline TIFF reading for scans and phone exports: strip-based images, uncompressed,
+// LZW, Deflate or PackBits, in bilevel, grayscale, RGB or 8-bit palette colour.
+// Every page (IFD) of a multi-page file is decoded.
+
+const TAG = {
+  width: 256,
+  height: 257,
+  bitsPerSample: 258,
+  compression: 259,
+  photometric: 262,
+  stripOffsets: 273,
+  orientation: 274,
+  samplesPerPixel: 277,
+  rowsPerStrip: 278,
+  stripByteCounts: 279,
+  xResolution: 282,
+  planarConfiguration: 284,
+  resolutionUnit: 296,
+  predictor: 317,
+  colorMap: 320,
+  tileWidth: 322
+};
+
+const COMPRESSION = {
+  none: 1,
+  lzw: 5,
+  deflate: 8,
+  packBits: 32773,
+  adobeDeflate: 32946
+};
+
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+// Guards against IFD chains that loop or claim absurd page counts.
+const MAX_PAGES = 500;
+// A few kilobytes of LZW or PackBits can claim gigabytes of pixels, so page sizes are checked
+// before anything is decompressed: 50 megapixels is a 24 x 24 inch page at 300 dpi.
+const MAX_PAGE_PIXELS = 50 * 1000 * 1000;
+const MAX_TOTAL_PIXELS = 300 * 1000 * 1000;
+
+function isTiff(buffer) {
+  if (buffer.length < 8) return false;
+  const header = buffer.toString("latin1", 0, 4);
+  return header === "II*\0" || header === "MM\0*";
+}
+
+// Reads every IFD in the chain as a Map of tag -> array of values. Rationals become
+// numbers. Also used for the EXIF block inside JPEG files, which has the same layout.
+function readIfds(buffer) {
+  if (!isTiff(buffer)) {
+    throw new Error("Not a TIFF file");
+  }
+  const littleEndian = buffer[0] === 0x49;
+  const u16 = (offset) => (littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+  const u32 = (offset) => (littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+
+  const readValue = (type, offset) => {
+    switch (type) {
+      case 3: return u16(offset);
+      case 4: return u32(offset);
+      case 5: {
+        const denominator = u32(offset + 4);
+        return denominator ? u32(offset) / denominator : 0;
+      }
+      default: return buffer[offset];
+    }
+  };
+
+  const ifds = [];
+  const seen = new Set();
+  let offset = u32(4);
+  while (offset !== 0 && !seen.has(offset) && ifds.length < MAX_PAGES) {
+    seen.add(offset);
+    if (offset + 2 > buffer.length) {
+      throw new Error("TIFF directory is out of bounds");
+    }
+    const count = u16(offset);
+    if (offset + 2 + count * 12 + 4 > buffer.length) {
+      throw new Error("TIFF directory is out of bounds");
+    }
+
+    const tags = new Map();
+    for (let i = 0; i < count; i++) {
+      const entry = offset + 2 + i * 12;
+      const tag = u16(entry);
+      const type = u16(entry + 2);
+      const valueCount = u32(entry + 4);
+      const size = TYPE_SIZES[type];
+      if (!size) continue;
+      const dataOffset = size * valueCount <= 4 ? entry + 8 : u32(entry + 8);
+      if (dataOffset + size * valueCount > buffer.length) continue;
+      const values = [];
+      for (let v = 0; v < valueCount; v++) {
+        values.push(readValue(type, dataOffset + v * size));
+      }
+      tags.set(tag, values);
+    }
+    ifds.push(tags);
+    offset = u32(offset + 2 + count * 12);
+  }
+  return ifds;
+}
+
+// Decoders stop after `limit` bytes: rows past the end of the page are never needed.
+function unpackBits(input, limit) {
+  const output = [];
+  let i = 0;
+  while (i < input.length && output.length < limit) {
+    const n = input[i] > 127 ? input[i] - 256 : input[i];
+    i += 1;
+    if (n >= 0) {
+      for (let k = 0; k <= n && i < input.length; k++) output.push(input[i++]);
+    } else if (n !== -128) {
+      const value = input[i++];
+      for (let k = 0; k < 1 - n; k++) output.push(value);
+    }
+  }
+  return Buffer.from(output.slice(0, limit));
+}
+
+// TIFF LZW: MSB-first codes of 9 to 12 bits, with the width growing one code early.
+function lzwDecode(input, limit) {
+  const prefix = new Int16Array(4096);
+  const suffix = new Uint8Array(4096);
+  const lengths = new Uint16Array(4096);
+  for (let i = 0; i < 256; i++) {
+    prefix[i] = -1;
+    suffix[i] = i;
+    lengths[i] = 1;
+  }
+
+  let output = Buffer.alloc(Math.min(limit, Math.max(1024, input.length * 3)));
+  let position = 0;
+  const write = (code) => {
+    const length = lengths[code];
+    if (position + length > output.length) {
+      const grown = Buffer.alloc(Math.max(Math.min(output.length * 2, limit), position + length));
+      output.copy(grown, 0, 0, position);
+      output = grown;
+    }
+    let current = code;
+    for (let i = length - 1; i >= 0; i--) {
+      output[position + i] = suffix[current];
+      current = prefix[current];
+    }
+    position += length;
+  };
+  const firstByte = (code) => {
+    let current = code;
+    while (prefix[current] !== -1) current = prefix[current];
+    return suffix[current];
+  };
+
+  const totalBits = input.length * 8;
+  let bit = 0;
+  let width = 9;
+  let next = 258;
+  let previous = -1;
+  const addEntry = (byte) => {
+    if (next < 4096) {
+      prefix[next] = previous;
+      suffix[next] = byte;
+      lengths[next] = lengths[previous] + 1;
+      next += 1;
+    }
+  };
+  for (;;) {
+    if (bit + width > totalBits || position >= limit) break;
+    let code = 0;
+    for (let i = 0; i < width; i++, bit++) {
+      code = (code << 1) | ((input[bit >> 3] >> (7 - (bit & 7))) & 1);
+    }
+    if (code === 257) break;
+    if (code === 256) {
+      width = 9;
+      next = 258;
+      previous = -1;
+      continue;
+    }
+    if (previous === -1) {
+      if (code > 255) throw new Error("TIFF image data is damaged");
+      write(code);
+      previous = code;
+      continue;
+    }
+    if (code < next) {
+      write(code);
+      addEntry(firstByte(code));
+    } else if (code === next && next < 4096) {
+      // The code names the entry about to be added: the previous string plus its own first byte.
+      addEntry(firstByte(previous));
+      write(code);
+    } else {
+      throw new Error("TIFF image data is damaged");
+    }
+    previous = code;
+    if (next >= (1 << width) - 1 && width < 12) width += 1;
+  }
+  return output.subarray(0, Math.min(position, limit));
+}
+
+function inflate(data, limit) {
+  try {
+    return zlib.inflateSync(data, { maxOutputLength: Math.max(1, limit) });
+  } catch (err) {
+    if (err.code === "ERR_BUFFER_TOO_LARGE") throw new Error("TIFF image data is larger than its page");
+    throw err;
+  }
+}
+
+function decompress(data, compression, limit) {
+  switch (compression) {
+    case COMPRESSION.none: return data.subarray(0, limit);
+    case COMPRESSION.lzw: return lzwDecode(data, limit);
+    case COMPRESSION.deflate:
+    case COMPRESSION.adobeDeflate: return inflate(data, limit);
+    case COMPRESSION.packBits: return unpackBits(data, limit);
+    default: throw new Error(`TIFF compression ${compression} is not supported`);
+  }
+}
+
+function first(tags, tag, fallback) {
+  const values = tags.get(tag);
+  return values && values.length > 0 ? values[0] : fallback;
+}
+
+function pagePixels(tags) {
+  return first(tags, TAG.width, 0) * first(tags, TAG.height, 0);
+}
+
+function resolutionDpi(tags) {
+  const resolution = first(tags, TAG.xResolution, 0);
+  const unit = first(tags, TAG.resolutionUnit, 2);
+  if (!resolution || unit === 1) return null;
+  return unit === 3 ? resolution * 2.54 : resolution;
+}
+
+// Decodes one page into rows ready for a PDF image: { width, height, components (1 or 3),
+// bitsPerComponent (1 or 8), data, dpi }. Bilevel pages stay packed one bit per pixel.
+function decodePage(buffer, tags) {
+  const width = first(tags, TAG.width, 0);
+  const height = first(tags, TAG.height, 0);
+  if (!width || !height) throw new Error("TIFF page has no size");
+  if (width * height > MAX_PAGE_PIXELS) {
+    throw new Error(`TIFF page is ${width} x ${height} pixels; the limit is ${MAX_PAGE_PIXELS / 1e6} megapixels`);
+  }
+  if (tags.has(TAG.tileWidth)) throw new Error("Tiled TIFF images are not supported");
+  if (first(tags, TAG.planarConfiguration, 1) !== 1) throw new Error("Planar TIFF images are not supported");
+
+  const samples = first(tags, TAG.samplesPerPixel, 1);
+  const bits = first(tags, TAG.bitsPerSample, 1);
+  const photometric = first(tags, TAG.photometric, 1);
+  const compression = first(tags, TAG.compression, COMPRESSION.none);
+  if (!(bits === 8 || (bits === 1 && samples === 1))) {
+    throw new Error(`TIFF images with ${bits}-bit samples are not supported`);
+  }
+
+  const offsets = tags.get(TAG.stripOffsets) || [];
+  const counts = tags.get(TAG.stripByteCounts) || [];
+  if (offsets.length === 0 || offsets.length !== counts.length) throw new Error("TIFF page has no image data");
+  const rowBytes = Math.ceil((width * samples * bits) / 8);
+  // Strips are decoded only until the page's rows are filled.
+  const pageBytes = rowBytes * height;
+  const strips = [];
+  let decoded = 0;
+  for (const [i, offset] of offsets.entries()) {
+    if (decoded >= pageBytes) break;
+    if (offset + counts[i] > buffer.length) throw new Error("TIFF image data is truncated");
+    const strip = decompress(buffer.subarray(offset, offset + counts[i]), compression, pageBytes - decoded);
+    strips.push(strip);
+    decoded += strip.length;
+  }
+  const raw = Buffer.concat(strips);
+  if (raw.length < rowBytes * height) throw new Error("TIFF image data is truncated");
+
+  if (first(tags, TAG.predictor, 1) === 2 && bits === 8) {
+    for (let row = 0; row < height; row++) {
+      const start = row * rowBytes;
+      for (let i = samples; i < rowBytes; i++) {
+        raw[start + i] = (raw[start + i] + raw[start + i - samples]) & 0xff;
+      }
+    }
+  }
+
+  const dpi = resolutionDpi(tags);
+  const pixels = width * height;
+
+  if (photometric === 0 || photometric === 1) {
+    if (bits === 1) {
+      const data = Buffer.from(raw.subarray(0, rowBytes * height));
+      // PDF DeviceGray has 0 as black, like BlackIsZero.
+      if (photometric === 0) for (let i = 0; i < data.length; i++) data[i] ^= 0xff;
+      return { width, height, components: 1, bitsPerComponent: 1, data, dpi };
+    }
+    const data = Buffer.alloc(pixels);
+    for (let i = 0; i < pixels; i++) {
+      const value = raw[i * samples];
+      data[i] = photometric === 0 ? 255 - value : value;
+    }
+    return { width, height, components: 1, bitsPerComponent: 8, data, dpi };
+  }
+
+  if (photometric === 2 && samples >= 3) {
+    const data = Buffer.alloc(pixels * 3);
+    for (let i = 0; i < pixels; i++) {
+      data[i * 3] = raw[i * samples];
+      data[i * 3 + 1] = raw[i * samples + 1];
+      data[i * 3 + 2] = raw[i * samples + 2];
+    }
+    return { width, height, components: 3, bitsPerComponent: 8, data, dpi };
+  }
+
+  if (photometric === 3 && samples === 1) {
+    const map = tags.get(TAG.colorMap) || [];
+    if (map.length < 768) throw new Error("TIFF palette is missing");
+    const data = Buffer.alloc(pixels * 3);
+    for (let i = 0; i < pixels; i++) {
+      const index = raw[i];
+      data[i * 3] = map[index] >> 8;
+      data[i * 3 + 1] = map[256 + index] >> 8;
+      data[i * 3 + 2] = map[512 + index] >> 8;
+    }
+    return { width, height, components: 3, bitsPerComponent: 8, data, dpi };
+  }
+
+  throw new Error("TIFF colour format is not supported");
+}
+
+function decodeTiff(buffer) {
+  const ifds = readIfds(buffer);
+  if (ifds.length === 0) throw new Error("TIFF file has no pages");
+  const totalPixels = ifds.reduce((sum, tags) => sum + pagePixels(tags), 0);
+  if (totalPixels > MAX_TOTAL_PIXELS) {
+    throw new Error(`TIFF pages add up to ${Math.ceil(totalPixels / 1e6)} megapixels; the limit is ${MAX_TOTAL_PIXELS / 1e6}`);
+  }
+  return ifds.map((tags) => decodePage(buffer, tags));
+}
+
+module.exports = {
+  TAG,
+  MAX_PAGE_PIXELS,
+  MAX_TOTAL_PIXELS,
+  isTiff,
+  readIfds,
+  decodeTiff
+};
@@ -0,0 +1,137 @@
+const crypto = require("crypto");
+const { PDFDocument } = require("pdf-lib");
+const { error } = require("./responses");
+const { config } = require("./config");
+const { buildBlobSasUrl } = require("./storage");
+
+// A document row is written as "uploading" when the upload URL is issued and becomes
+// "ready" or "rejected" once POST /docs/{docId}/complete has checked the file.
+const DOCUMENT_STATUSES = ["uploading", "ready", "rejected"];
+// Readers tolerate a little junk before the header, but only within the first kilobyte.
+const HEADER_WINDOW = 1024;
+// Write URLs only need to outlive one block; clients renew them while the upload is running.
+const UPLOAD_SAS_MINUTES = 5;
+
+// Rows from before the completion step have no status and were always usable.
+function isDocumentReady(doc) {
+  return !doc.status || doc.status === "ready";
+}
+
+// 409 for a document whose upload has not been accepted, or null when it is usable.
+function uploadNotReady(doc, details) {
+  if (isDocumentReady(doc)) {
+    return null;
+  }
+  const message = doc.status === "rejected"
+    ? "Document upload was rejected"
+    : "Document upload has not been completed";
+  return error(409, "not_ready", message, { status: doc.status, ...details });
+}
+
+// Clients write a PDF to this staging name. POST /docs/{docId}/complete copies the checked file
+// to sourceBlobName, which no write URL is issued for, so a URL that is still valid afterwards
+// cannot change what was checked. Rows from before staging names were uploaded in place.
+function uploadBlobName(doc) {
+  return doc.uploadBlobName || doc.sourceBlobName;
+}
+
+// Fresh SAS URLs for a document that is still being uploaded. The write URL is short-lived;
+// clients ask again through POST /docs/{docId}/upload-url when it runs out. The read URL is for
+// the stored file, so it works once the upload is complete.
+function issueUploadUrls(doc) {
+  const uploadSas = buildBlobSasUrl(config.sourceContainer, uploadBlobName(doc), "cw", UPLOAD_SAS_MINUTES);
+  const readSas = buildBlobSasUrl(config.sourceContainer, doc.sourceBlobName, "r", 120);
+  return {
+    sasUrl: uploadSas.url,
+    blobPath: `${config.sourceContainer}/${doc.sourceBlobName}`,
+    readUrl: readSas.url,
+    expiresAt: uploadSas.expiresOn,
+    maxUploadBytes: config.maxUploadBytes
+  };
+}
+
+// Image conversions upload each source image to its own blob before the PDF exists.
+function imageBlobNames(doc) {
+  try {
+    const names = JSON.parse(doc.imageBlobs || "[]");
+    return Array.isArray(names) ? names.filter((name) => typeof name === "string") : [];
+  } catch {
+    return [];
+  }
+}
+
+function issueImageUploadUrls(imageBlobs) {
+  return imageBlobs.map((blobName) => {
+    const sas = buildBlobSasUrl(config.sourceContainer, blobName, "cw", UPLOAD_SAS_MINUTES);
+    return { fileName: blobName.split("/").pop(), sasUrl: sas.url, expiresAt: sas.expiresOn };
+  });
+}
+
+function formatMegabytes(bytes) {
+  return `${Math.round((bytes / 1024 / 1024) * 10) / 10} MB`;
+}
+
+// 413 when the declared size is over the limit, so no row or SAS is handed out for it.
+function uploadTooLarge(fileSize) {
+  if (fileSize <= config.maxUploadBytes) {
+    return null;
+  }
+  return error(
+    413,
+    "file_too_large",
+    `File is ${formatMegabytes(fileSize)}; the limit is ${formatMegabytes(config.maxUploadBytes)}`,
+    { fileSize, maxUploadBytes: config.maxUploadBytes }
+  );
+}
+
+function sha256(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+// Returns { ok: false, reason } for anything that is not a readable, unencrypted PDF
+// with at least one page, otherwise { ok: true, pageCount, byteSize, sha256 }.
+async function inspectPdf(buffer) {
+  if (buffer.length === 0) {
+    return { ok: false, reason: "File is empty" };
+  }
+  if (!buffer.subarray(0, HEADER_WINDOW).includes("%PDF-")) {
+    return { ok: false, reason: "File is not a PDF" };
+  }
+
+  let pdf;
+  let pageCount;
+  try {
+    pdf = await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false, throwOnInvalidObject: true });
+    // A file without a usable catalog only fails once its pages are walked.
+    pageCount = pdf.getPageCount();
+  } catch {
+    return { ok: false, reason: "PDF is damaged and cannot be read" };
+  }
+
+  // Encrypted files can neither be rendered without a password nor rewritten by the jobs.
+  if (pdf.isEncrypted) {
+    return { ok: false, reason: "PDF is password protected" };
+  }
+  if (pageCount === 0) {
+    return { ok: false, reason: "PDF has no pages" };
+  }
+  return {
+    ok: true,
+    pageCount,
+    byteSize: buffer.length,
+    sha256: sha256(buffer)
+  };
+}
+
+module.exports = {
+  DOCUMENT_STATUSES,
+  isDocumentReady,
+  uploadNotReady,
+  uploadBlobName,
+  issueUploadUrls,
+  imageBlobNames,
+  issueImageUploadUrls,
+  uploadTooLarge,
+  inspectPdf,
+  sha256
+};
@@ -14,6 +14,10 @@ function safeJsonParse(input) {
   }
 }
 
+function isEmail(value) {
+  return typeof value === "string" && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+}
+
 function decodeQueueMessage(message) {
   if (typeof message === "string") {
     const parsed = safeJsonParse(message);
@@ -33,5 +37,7 @@ function decodeQueueMessage(message) {
 
 module.exports = {
   sanitizeFileName,
+  safeJsonParse,
+  isEmail,
   decodeQueueMessage
 };
\ No newline at end of file
@@ -0,0 +1,78 @@
+const { safeJsonParse } = require("./utils");
+
+function formatVersionId(version) {
+  return `v${Number(version)}`;
+}
+
+// Accepts "v3" or "3"; returns the version number or null.
+function parseVersionId(versionId) {
+  const match = /^v?(\d{1,9})$/i.exec(String(versionId || "").trim());
+  if (!match) {
+    return null;
+  }
+  const version = Number(match[1]);
+  return version >= 1 ? version : null;
+}
+
+// Version numbers double as ETags so clients can send them back via If-Match.
+function versionEtag(version) {
+  return `"${Number(version)}"`;
+}
+
+// Reads a client's base version from a body field or an If-Match header value
+// ("3", "v3", "\"3\"" or W/"3"). Returns undefined when absent and null when malformed;
+// "*" is malformed too, since a save must name the version it replaces.
+function parseBaseVersion(value) {
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+  const text = String(value).trim().replace(/^W\//i, "").replace(/^"(.*)"$/, "$1");
+  return parseVersionId(text);
+}
+
+function readAnnotationSet(annotationJson) {
+  const parsed = safeJsonParse(annotationJson || "{}");
+  if (!parsed || !Array.isArray(parsed.operations)) {
+    return { schemaVersion: "1.0", operations: [] };
+  }
+  return {
+    schemaVersion: String(parsed.schemaVersion || "1.0"),
+    operations: parsed.operations
+  };
+}
+
+// `sourceBlobName` is the file the annotations were placed on; page numbers mean nothing on another.
+function buildVersionEntity({ docId, version, annotationJson, sourceBlobName, createdBy, createdAt, restoredFrom }) {
+  return {
+    docId,
+    version,
+    versionId: formatVersionId(version),
+    annotationJson,
+    operationCount: readAnnotationSet(annotationJson).operations.length,
+    sourceBlobName: sourceBlobName || "",
+    createdBy,
+    createdAt,
+    restoredFrom: restoredFrom || ""
+  };
+}
+
+function toVersionSummary(entity) {
+  return {
+    versionId: formatVersionId(entity.version),
+    version: Number(entity.version),
+    operationCount: Number(entity.operationCount || 0),
+    createdBy: entity.createdBy || null,
+    createdAt: entity.createdAt || null,
+    restoredFrom: entity.restoredFrom || null
+  };
+}
+
+module.exports = {
+  formatVersionId,
+  parseVersionId,
+  versionEtag,
+  parseBaseVersion,
+  readAnnotationSet,
+  buildVersionEntity,
+  toVersionSummary
+};
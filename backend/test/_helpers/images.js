@@ -0,0 +1,285 @@
+// backend/test/_helpers/images.js
+// Builds small JPEG, PNG and TIFF fixtures in memory for the image conversion tests.
+
+const zlib = require('zlib');
+const jpeg = require('jpeg-js');
+
+/**
+ * Returns a JPEG of the given size. `orientation` adds an EXIF block with that
+ * Orientation tag; `dpi` sets the JFIF density.
+ */
+function createJpeg(width, height, { orientation, dpi } = {}) {
+  const data = Buffer.alloc(width * height * 4, 200);
+  const encoded = Buffer.from(jpeg.encode({ data, width, height }, 80).data);
+  const segments = [];
+
+  if (dpi) {
+    const app0 = Buffer.alloc(18);
+    app0.writeUInt16BE(0xffe0, 0);
+    app0.writeUInt16BE(16, 2);
+    app0.write('JFIF\0', 4, 'latin1');
+    app0.writeUInt16BE(0x0101, 9);
+    app0[11] = 1;
+    app0.writeUInt16BE(dpi, 12);
+    app0.writeUInt16BE(dpi, 14);
+    segments.push(app0);
+  }
+  if (orientation) {
+    // Big-endian TIFF header with one IFD holding the Orientation tag.
+    const tiff = Buffer.alloc(26);
+    tiff.write('MM\0*', 0, 'latin1');
+    tiff.writeUInt32BE(8, 4);
+    tiff.writeUInt16BE(1, 8);
+    tiff.writeUInt16BE(274, 10);
+    tiff.writeUInt16BE(3, 12);
+    tiff.writeUInt32BE(1, 14);
+    tiff.writeUInt16BE(orientation, 18);
+    tiff.writeUInt32BE(0, 22);
+    const header = Buffer.alloc(10);
+    header.writeUInt16BE(0xffe1, 0);
+    header.writeUInt16BE(2 + 6 + tiff.length, 2);
+    header.write('Exif\0\0', 4, 'latin1');
+    segments.push(header, tiff);
+  }
+
+  // jpeg-js writes its own JFIF APP0 right after SOI; drop it when we supply one.
+  let rest = encoded.subarray(2);
+  if (dpi && rest[0] === 0xff && rest[1] === 0xe0) {
+    rest = rest.subarray(2 + rest.readUInt16BE(2));
+  }
+  return Buffer.concat([encoded.subarray(0, 2), ...segments, rest]);
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/** Returns an 8-bit RGB PNG of the given size, with a pHYs chunk when `dpi` is set. */
+function createPng(width, height, { dpi } = {}) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = 2;
+  const rows = [];
+  for (let y = 0; y < height; y++) rows.push(Buffer.from([0]), Buffer.alloc(width * 3, 120));
+  const chunks = [pngChunk('IHDR', ihdr)];
+  if (dpi) {
+    const phys = Buffer.alloc(9);
+    const perMetre = Math.round(dpi / 0.0254);
+    phys.writeUInt32BE(perMetre, 0);
+    phys.writeUInt32BE(perMetre, 4);
+    phys[8] = 1;
+    chunks.push(pngChunk('pHYs', phys));
+  }
+  chunks.push(pngChunk('IDAT', zlib.deflateSync(Buffer.concat(rows))), pngChunk('IEND', Buffer.alloc(0)));
+  return Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), ...chunks]);
+}
+
+/** TIFF LZW with early change, as written by libtiff. */
+function lzwEncode(data) {
+  const bytes = [];
+  let accumulator = 0;
+  let bitCount = 0;
+  let width = 9;
+  const emit = (code) => {
+    accumulator = (accumulator << width) | code;
+    bitCount += width;
+    while (bitCount >= 8) {
+      bytes.push((accumulator >>> (bitCount - 8)) & 0xff);
+      bitCount -= 8;
+    }
+    accumulator &= (1 << bitCount) - 1;
+  };
+
+  const table = new Map();
+  let next = 258;
+  emit(256);
+  let current = '';
+  for (const byte of data) {
+    const candidate = current + String.fromCharCode(byte);
+    if (candidate.length === 1 || table.has(candidate)) {
+      current = candidate;
+      continue;
+    }
+    emit(current.length === 1 ? current.charCodeAt(0) : table.get(current));
+    table.set(candidate, next++);
+    if (next >= (1 << width) && width < 12) width += 1;
+    if (next === 4094) {
+      emit(256);
+      table.clear();
+      next = 258;
+      width = 9;
+    }
+    current = String.fromCharCode(byte);
+  }
+  if (current) emit(current.length === 1 ? current.charCodeAt(0) : table.get(current));
+  if (next >= (1 << width) - 1 && width < 12) width += 1;
+  emit(257);
+  if (bitCount > 0) bytes.push((accumulator << (8 - bitCount)) & 0xff);
+  return Buffer.from(bytes);
+}
+
+function packBits(data) {
+  const out = [];
+  for (let i = 0; i < data.length; i += 128) {
+    const chunk = data.subarray(i, i + 128);
+    out.push(chunk.length - 1, ...chunk);
+  }
+  return Buffer.from(out);
+}
+
+const COMPRESSORS = {
+  1: (data) => data,
+  5: lzwEncode,
+  8: (data) => zlib.deflateSync(data),
+  32773: packBits
+};
+
+/**
+ * Returns a little-endian TIFF with one IFD per entry of `pages`. Each page is
+ * { width, height, data, samples = 1, bits = 8, photometric = 1, compression = 1,
+ *   predictor, colorMap, dpi, tiled }, with `data` holding the uncompressed rows.
+ */
+function createTiff(pages) {
+  const parts = [Buffer.from('II*\0\0\0\0\0', 'latin1')];
+  let length = 8;
+  const append = (buffer) => {
+    const offset = length;
+    parts.push(buffer);
+    length += buffer.length;
+    if (length % 2) {
+      parts.push(Buffer.alloc(1));
+      length += 1;
+    }
+    return offset;
+  };
+
+  const ifdOffsets = [];
+  const links = [];
+  for (const page of pages) {
+    const { width, height, data, samples = 1, bits = 8, photometric = 1, compression = 1 } = page;
+    const compressed = COMPRESSORS[compression](data);
+    const strip = append(compressed);
+    const entries = [
+      [256, 4, [width]],
+      [257, 4, [height]],
+      [258, 3, new Array(samples).fill(bits)],
+      [259, 3, [compression]],
+      [262, 3, [photometric]],
+      [273, 4, [strip]],
+      [277, 3, [samples]],
+      [278, 4, [height]],
+      [279, 4, [compressed.length]]
+    ];
+    if (page.dpi) {
+      const rational = Buffer.alloc(8);
+      rational.writeUInt32LE(page.dpi, 0);
+      rational.writeUInt32LE(1, 4);
+      entries.push([282, 5, append(rational)], [296, 3, [2]]);
+    }
+    if (page.predictor) entries.push([317, 3, [page.predictor]]);
+    if (page.colorMap) {
+      const map = Buffer.alloc(page.colorMap.length * 2);
+      page.colorMap.forEach((value, i) => map.writeUInt16LE(value, i * 2));
+      entries.push([320, 3, append(map), page.colorMap.length]);
+    }
+    if (page.tiled) entries.push([322, 3, [16]]);
+    entries.sort((a, b) => a[0] - b[0]);
+
+    const outOfLine = entries.map(([tag, type, values, count]) => {
+      if (typeof values === 'number') return { tag, type, count: type === 5 ? 1 : count, offset: values };
+      const size = type === 3 ? 2 : 4;
+      if (values.length * size <= 4) return { tag, type, count: values.length, values };
+      const buffer = Buffer.alloc(values.length * size);
+      values.forEach((value, i) => (size === 2 ? buffer.writeUInt16LE(value, i * 2) : buffer.writeUInt32LE(value, i * 4)));
+      return { tag, type, count: values.length, offset: append(buffer) };
+    });
+
+    const ifd = Buffer.alloc(2 + outOfLine.length * 12 + 4);
+    ifd.writeUInt16LE(outOfLine.length, 0);
+    outOfLine.forEach((entry, i) => {
+      const at = 2 + i * 12;
+      ifd.writeUInt16LE(entry.tag, at);
+      ifd.writeUInt16LE(entry.type, at + 2);
+      ifd.writeUInt32LE(entry.count, at + 4);
+      if (entry.values) {
+        entry.values.forEach((value, k) => (entry.type === 3
+          ? ifd.writeUInt16LE(value, at + 8 + k * 2)
+          : ifd.writeUInt32LE(value, at + 8)));
+      } else {
+        ifd.writeUInt32LE(entry.offset, at + 8);
+      }
+    });
+    const ifdOffset = append(ifd);
+    ifdOffsets.push(ifdOffset);
+    links.push(ifdOffset + ifd.length - 4);
+  }
+
+  const file = Buffer.concat(parts);
+  file.writeUInt32LE(ifdOffsets[0], 4);
+  for (let i = 0; i < links.length - 1; i++) file.writeUInt32LE(ifdOffsets[i + 1], links[i]);
+  return file;
+}
+
+// 5x7 block letters, enough for the phrases the OCR tests read back.
+const GLYPHS = {
+  D: ['11110', '10001', '10001', '10001', '10001', '10001', '11110'],
+  E: ['11111', '10000', '10000', '11110', '10000', '10000', '11111'],
+  H: ['10001', '10001', '10001', '11111', '10001', '10001', '10001'],
+  L: ['10000', '10000', '10000', '10000', '10000', '10000', '11111'],
+  O: ['01110', '10001', '10001', '10001', '10001', '10001', '01110'],
+  R: ['11110', '10001', '10001', '11110', '10100', '10010', '10001'],
+  W: ['10001', '10001', '10001', '10101', '10101', '10101', '01010'],
+  ' ': ['00000', '00000', '00000', '00000', '00000', '00000', '00000'],
+};
+
+/**
+ * Renders `lines` of text (letters from GLYPHS) black on white as 8-bit gray
+ * samples. Each font pixel is `scale` image pixels; lines are 10 font pixels apart
+ * with a 2-pixel margin, so line `i` starts at y = (2 + 10i) * scale.
+ */
+function renderText(lines, { scale = 4 } = {}) {
+  const width = (Math.max(...lines.map((line) => line.length)) * 6 + 4) * scale;
+  const height = (lines.length * 10 + 4) * scale;
+  const data = Buffer.alloc(width * height, 255);
+  lines.forEach((line, row) => {
+    [...line].forEach((ch, col) => {
+      GLYPHS[ch].forEach((bits, gy) => {
+        [...bits].forEach((bit, gx) => {
+          if (bit !== '1') return;
+          for (let y = 0; y < scale; y++) {
+            const top = ((2 + row * 10 + gy) * scale + y) * width;
+            data.fill(0, top + (2 + col * 6 + gx) * scale, top + (3 + col * 6 + gx) * scale);
+          }
+        });
+      });
+    });
+  });
+  return { width, height, data };
+}
+
+module.exports = {
+  createJpeg,
+  createPng,
+  createTiff,
+  lzwEncode,
+  renderText
+};
@@ -39,6 +39,52 @@ function createMockTableClient(initialData = {}) {
       }
       store.set(key, entity);
     },
+    deleteEntity: async (partitionKey, rowKey) => {
+      const key = `${partitionKey}:${rowKey}`;
+      if (!store.has(key)) {
+        const err = new Error('Not Found');
+        err.statusCode = 404;
+        throw err;
+      }
+      store.delete(key);
+    },
+    // Supports the "Field op 'value'" clauses joined by "and" that tables.js builds. byPage()
+    // returns pages in key order, as the service does, with a continuation token between them.
+    listEntities: ({ queryOptions = {} } = {}) => {
+      const keys = { PartitionKey: 'partitionKey', RowKey: 'rowKey' };
+      const compare = {
+        eq: (a, b) => a === b,
+        ne: (a, b) => a !== b,
+        ge: (a, b) => a >= b,
+        gt: (a, b) => a > b,
+        le: (a, b) => a <= b,
+        lt: (a, b) => a < b,
+      };
+      const clauses = [...String(queryOptions.filter || '').matchAll(/(\w+) (eq|ne|ge|gt|le|lt) '((?:[^']|'')*)'/g)]
+        .map(([, field, op, value]) => [keys[field] || field, compare[op], value.replace(/''/g, "'")]);
+      const matches = [...store.values()].filter((entity) =>
+        clauses.every(([field, test, value]) => test(String(entity[field]), value)));
+      const iterator = (async function* () { yield* matches; })();
+      iterator.byPage = ({ maxPageSize = 1000, continuationToken } = {}) => {
+        const sorted = matches
+          .slice()
+          .sort((a, b) => `${a.partitionKey}\u0000${a.rowKey}`.localeCompare(`${b.partitionKey}\u0000${b.rowKey}`));
+        const start = continuationToken ? Number(JSON.parse(Buffer.from(continuationToken, 'base64').toString()).next) : 0;
+        return (async function* () {
+          for (let index = start; index < sorted.length; index += maxPageSize) {
+            const page = sorted.slice(index, index + maxPageSize).map((entity) => (queryOptions.select
+              ? Object.fromEntries(queryOptions.select.filter((field) => field in entity).map((field) => [field, entity[field]]))
+              : entity));
+            const next = index + maxPageSize;
+            page.continuationToken = next < sorted.length
+              ? Buffer.from(JSON.stringify({ next })).toString('base64')
+              : undefined;
+            yield page;
+          }
+        })();
+      };
+      return iterator;
+    },
     _store: store // Expose for assertions
   };
 }
@@ -152,6 +198,31 @@ function createAuthHeaders(email = 'admin@test.redarm', role = 'admin') {
   return { authorization: `Bearer ${token}` };
 }
 
+let opCounter = 0;
+
+/**
+ * Helper: builds an annotation operation that satisfies annotation-schema-v1
+ */
+function createAnnotationOp(overrides = {}) {
+  opCounter += 1;
+  return {
+    opId: `op-${opCounter}`,
+    opType: 'highlight',
+    page: 1,
+    bounds: { x: 10, y: 20, w: 100, h: 30 },
+    author: 'admin@test.redarm',
+    ts: '2026-01-01T00:00:00.000Z',
+    ...overrides
+  };
+}
+
+/**
+ * Helper: wraps operations in a schema-valid save-annotation body
+ */
+function createAnnotationSet(operations = [], extra = {}) {
+  return { schemaVersion: '1.0', operations, ...extra };
+}
+
 module.exports = {
   createMockTableClient,
   createMockContainerClient,
@@ -160,4 +231,6 @@ module.exports = {
   createBadJsonRequest,
   createMockContext,
   createAuthHeaders,
+  createAnnotationOp,
+  createAnnotationSet,
 };
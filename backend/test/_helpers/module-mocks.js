@@ -14,6 +14,21 @@ let _getUser = async () => null;
 let _upsertUser = async () => {};
 let _getDocument = async () => null;
 let _upsertDocument = async () => {};
+let _deleteDocument = async () => false;
+let _listStaleUploads = async () => [];
+let _listLibraryPage = async () => ({ entries: [], nextCursor: null });
+let _createDocumentVersion = async () => {};
+let _getDocumentVersion = async () => null;
+let _listDocumentVersions = async () => [];
+let _deleteDocumentVersions = async () => 0;
+let _getShare = async () => null;
+let _upsertShare = async () => {};
+let _deleteShare = async () => false;
+let _listSharesForDocument = async () => [];
+let _getCommentThread = async () => null;
+let _upsertCommentThread = async () => {};
+let _createComment = async () => {};
+let _listCommentRows = async () => [];
 let _createJob = async () => {};
 let _getJob = async () => null;
 let _updateJob = async () => {};
@@ -25,6 +40,21 @@ const mockTables = {
   upsertUser: async (...a) => _upsertUser(...a),
   getDocument: async (...a) => _getDocument(...a),
   upsertDocument: async (...a) => _upsertDocument(...a),
+  deleteDocument: async (...a) => _deleteDocument(...a),
+  listStaleUploads: async (...a) => _listStaleUploads(...a),
+  listLibraryPage: async (...a) => _listLibraryPage(...a),
+  createDocumentVersion: async (...a) => _createDocumentVersion(...a),
+  getDocumentVersion: async (...a) => _getDocumentVersion(...a),
+  listDocumentVersions: async (...a) => _listDocumentVersions(...a),
+  deleteDocumentVersions: async (...a) => _deleteDocumentVersions(...a),
+  getShare: async (...a) => _getShare(...a),
+  upsertShare: async (...a) => _upsertShare(...a),
+  deleteShare: async (...a) => _deleteShare(...a),
+  listSharesForDocument: async (...a) => _listSharesForDocument(...a),
+  getCommentThread: async (...a) => _getCommentThread(...a),
+  upsertCommentThread: async (...a) => _upsertCommentThread(...a),
+  createComment: async (...a) => _createComment(...a),
+  listCommentRows: async (...a) => _listCommentRows(...a),
   createJob: async (...a) => _createJob(...a),
   getJob: async (...a) => _getJob(...a),
   updateJob: async (...a) => _updateJob(...a),
@@ -50,6 +80,10 @@ let _buildBlobSasUrl = (container, blob, perms, mins) => ({
 let _uploadJson = async () => {};
 let _downloadToBuffer = async () => Buffer.from('mock-pdf-content');
 let _uploadBuffer = async () => {};
+let _getBlobProperties = async () => null;
+let _getUncommittedBytes = async () => 0;
+let _copyBlob = async () => {};
+let _deleteBlob = async () => false;
 let _sendQueueMessage = async () => {};
 
 const mockStorage = {
@@ -58,6 +92,10 @@ const mockStorage = {
   uploadJson: async (...a) => _uploadJson(...a),
   downloadToBuffer: async (...a) => _downloadToBuffer(...a),
   uploadBuffer: async (...a) => _uploadBuffer(...a),
+  getBlobProperties: async (...a) => _getBlobProperties(...a),
+  getUncommittedBytes: async (...a) => _getUncommittedBytes(...a),
+  copyBlob: async (...a) => _copyBlob(...a),
+  deleteBlob: async (...a) => _deleteBlob(...a),
   sendQueueMessage: async (...a) => _sendQueueMessage(...a),
 };
 
@@ -78,6 +116,21 @@ module.exports = {
   setUpsertUser(fn)     { _upsertUser = fn; },
   setGetDocument(fn)    { _getDocument = fn; },
   setUpsertDocument(fn) { _upsertDocument = fn; },
+  setDeleteDocument(fn) { _deleteDocument = fn; },
+  setListStaleUploads(fn) { _listStaleUploads = fn; },
+  setListLibraryPage(fn) { _listLibraryPage = fn; },
+  setCreateDocumentVersion(fn) { _createDocumentVersion = fn; },
+  setGetDocumentVersion(fn)    { _getDocumentVersion = fn; },
+  setListDocumentVersions(fn)  { _listDocumentVersions = fn; },
+  setDeleteDocumentVersions(fn) { _deleteDocumentVersions = fn; },
+  setGetShare(fn) { _getShare = fn; },
+  setUpsertShare(fn) { _upsertShare = fn; },
+  setDeleteShare(fn) { _deleteShare = fn; },
+  setListSharesForDocument(fn) { _listSharesForDocument = fn; },
+  setGetCommentThread(fn) { _getCommentThread = fn; },
+  setUpsertCommentThread(fn) { _upsertCommentThread = fn; },
+  setCreateComment(fn) { _createComment = fn; },
+  setListCommentRows(fn) { _listCommentRows = fn; },
   setCreateJob(fn)      { _createJob = fn; },
   setGetJob(fn)         { _getJob = fn; },
   setUpdateJob(fn)      { _updateJob = fn; },
@@ -88,6 +141,10 @@ module.exports = {
   setUploadJson(fn)       { _uploadJson = fn; },
   setDownloadToBuffer(fn) { _downloadToBuffer = fn; },
   setUploadBuffer(fn)     { _uploadBuffer = fn; },
+  setGetBlobProperties(fn) { _getBlobProperties = fn; },
+  setGetUncommittedBytes(fn) { _getUncommittedBytes = fn; },
+  setCopyBlob(fn)         { _copyBlob = fn; },
+  setDeleteBlob(fn)       { _deleteBlob = fn; },
   setSendQueueMessage(fn) { _sendQueueMessage = fn; },
 
   // Spy helpers — returns a function that records calls and delegates to impl
@@ -103,6 +160,21 @@ module.exports = {
     _upsertUser = async () => {};
     _getDocument = async () => null;
     _upsertDocument = async () => {};
+    _deleteDocument = async () => false;
+    _listStaleUploads = async () => [];
+    _listLibraryPage = async () => ({ entries: [], nextCursor: null });
+    _createDocumentVersion = async () => {};
+    _getDocumentVersion = async () => null;
+    _listDocumentVersions = async () => [];
+    _deleteDocumentVersions = async () => 0;
+    _getShare = async () => null;
+    _upsertShare = async () => {};
+    _deleteShare = async () => false;
+    _listSharesForDocument = async () => [];
+    _getCommentThread = async () => null;
+    _upsertCommentThread = async () => {};
+    _createComment = async () => {};
+    _listCommentRows = async () => [];
     _createJob = async () => {};
     _getJob = async () => null;
     _updateJob = async () => {};
@@ -114,6 +186,10 @@ module.exports = {
     _uploadJson = async () => {};
     _downloadToBuffer = async () => Buffer.from('mock-pdf-content');
     _uploadBuffer = async () => {};
+    _getBlobProperties = async () => null;
+    _getUncommittedBytes = async () => 0;
+    _copyBlob = async () => {};
+    _deleteBlob = async () => false;
     _sendQueueMessage = async () => {};
   },
 };
@@ -0,0 +1,49 @@
+// backend/test/_helpers/pdf.js
+// Small pdf-lib helpers for building real PDF fixtures and inspecting output.
+
+const { PDFDocument, PDFArray, StandardFonts, decodePDFRawStream, degrees } = require('pdf-lib');
+
+/**
+ * Creates an in-memory PDF with `pageCount` blank pages and returns its bytes.
+ * Each entry in `options.rotations` (degrees) is applied to the matching page.
+ * `options.text` entries ({ page, text, x, y }, zero-based page, PDF coordinates)
+ * are drawn in 12pt Helvetica.
+ */
+async function createTestPdf(pageCount = 1, { size = [612, 792], rotations = [], text = [] } = {}) {
+  const doc = await PDFDocument.create();
+  for (let i = 0; i < pageCount; i++) {
+    const page = doc.addPage(size);
+    if (rotations[i]) {
+      page.setRotation(degrees(rotations[i]));
+    }
+  }
+  if (text.length > 0) {
+    const font = await doc.embedFont(StandardFonts.Helvetica);
+    for (const entry of text) {
+      doc.getPage(entry.page || 0).drawText(entry.text, { x: entry.x, y: entry.y, size: 12, font });
+    }
+  }
+  return Buffer.from(await doc.save());
+}
+
+/**
+ * Returns the decoded content stream(s) of a page as a single string.
+ */
+async function readPageContent(buffer, pageIndex = 0) {
+  const doc = await PDFDocument.load(buffer);
+  const contents = doc.getPage(pageIndex).node.Contents();
+  if (!contents) {
+    return '';
+  }
+  const streams = contents instanceof PDFArray
+    ? contents.asArray().map((ref) => doc.context.lookup(ref))
+    : [contents];
+  return streams
+    .map((stream) => Buffer.from(decodePDFRawStream(stream).decode()).toString('latin1'))
+    .join('\n');
+}
+
+module.exports = {
+  createTestPdf,
+  readPageContent,
+};
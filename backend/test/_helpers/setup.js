@@ -17,13 +17,26 @@ process.env.TABLE_USERS = 'users';
 process.env.TABLE_DOCUMENTS = 'documents';
 process.env.TABLE_SESSIONS = 'sessions';
 process.env.TABLE_JOBS = 'jobs';
+process.env.TABLE_VERSIONS = 'versions';
+process.env.TABLE_SHARES = 'shares';
+process.env.TABLE_COMMENTS = 'comments';
+process.env.TABLE_LIBRARY = 'library';
 process.env.BLOB_SOURCE_CONTAINER = 'pdf-source';
 process.env.BLOB_EXPORT_CONTAINER = 'pdf-export';
 process.env.BLOB_OCR_CONTAINER = 'ocr-json';
 process.env.QUEUE_OCR = 'q-ocr';
 process.env.QUEUE_EXPORT = 'q-export';
+process.env.QUEUE_PAGES = 'q-pages';
+process.env.QUEUE_MERGE = 'q-merge';
+process.env.QUEUE_SPLIT = 'q-split';
+process.env.QUEUE_CONVERT = 'q-convert';
+process.env.QUEUE_SENSITIVE = 'q-sensitive';
+process.env.WEBPUBSUB_CONNECTION_STRING = 'Endpoint=http://localhost:7072;AccessKey=test-pubsub-access-key;Version=1.0;';
+process.env.WEBPUBSUB_HUB = 'annotations';
 process.env.JWT_EXPIRES_IN = '8h';
 process.env.BCRYPT_ROUNDS = '4'; // Low rounds for fast tests
 process.env.LOCKOUT_THRESHOLD = '5';
 process.env.LOCKOUT_MINUTES = '15';
 process.env.MAX_UPLOAD_BYTES = '10485760';
+// Document Intelligence stays unconfigured, so OCR tests see the Azure provider's missing settings.
+process.env.OCR_PROVIDER = 'azure';
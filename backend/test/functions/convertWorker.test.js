@@ -0,0 +1,250 @@
+// backend/test/functions/convertWorker.test.js
+// Tests for the convert-worker queue-triggered Azure Function.
+
+// 1. Env-var setup (must be first)
+require('../_helpers/setup');
+
+// 2. Module-level mocks injected before the handler module is loaded.
+const mm = require('../_helpers/module-mocks');
+
+// 3. Other test infrastructure
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
+const { createMockContext } = require('../_helpers/mocks');
+const { createJpeg, createPng } = require('../_helpers/images');
+const { config } = require('../../src/lib/config');
+
+// 4. Handler capture
+let capturedHandler;
+const { app } = require('@azure/functions');
+const origQueue = app.storageQueue.bind(app);
+app.storageQueue = (name, opts) => {
+  if (name === 'convert-worker') {
+    capturedHandler = opts.handler;
+  }
+};
+require('../../src/functions/convertWorker');
+app.storageQueue = origQueue;
+
+const OWNER = 'owner@example.com';
+const PDF_BLOB = `${OWNER}/doc-scans/front-and-1-more.pdf`;
+const IMAGES = [`${OWNER}/doc-scans/images/1-front.jpg`, `${OWNER}/doc-scans/images/2-back.png`];
+
+function makeTask(overrides = {}) {
+  return {
+    jobId: 'job-convert',
+    docId: 'doc-scans',
+    ownerEmail: OWNER,
+    options: { pageSize: 'fit', orientation: 'auto', margin: 0 },
+    ...overrides,
+  };
+}
+
+function withImages(buffers, overrides = {}) {
+  mm.setGetDocument(async () => ({
+    docId: 'doc-scans',
+    ownerEmail: OWNER,
+    sourceBlobName: PDF_BLOB,
+    status: 'uploading',
+    imageBlobs: JSON.stringify(IMAGES),
+    ...overrides,
+  }));
+  mm.setGetBlobProperties(async (_container, blobName) => {
+    const index = IMAGES.indexOf(blobName);
+    return { etag: `"etag-${index}"`, contentLength: buffers[index] ? buffers[index].length : 0 };
+  });
+  mm.setDownloadToBuffer(async (_container, blobName) => buffers[IMAGES.indexOf(blobName)]);
+}
+
+function expectRejected(upserts, updates, deletes, reason) {
+  assert.equal(upserts.calls[0][0].status, 'rejected');
+  assert.match(upserts.calls[0][0].rejectionReason, reason);
+  assert.equal(deletes.calls.length, IMAGES.length);
+  const last = updates.calls[updates.calls.length - 1][1];
+  assert.equal(last.status, 'failed');
+  assert.match(last.error, reason);
+}
+
+beforeEach(() => {
+  mm.resetAll();
+});
+
+describe('convertWorker', () => {
+  it('registers the convert-worker handler', () => {
+    assert.equal(typeof capturedHandler, 'function');
+  });
+
+  it('ignores messages with bad page options', async () => {
+    const updates = mm.spy();
+    mm.setUpdateJob(updates);
+    const ctx = createMockContext();
+
+    await capturedHandler(makeTask({ options: { pageSize: 'A0' } }), ctx);
+
+    assert.equal(updates.calls.length, 0);
+    assert.ok(ctx._logs.some((l) => l.level === 'error'));
+  });
+
+  it('builds the PDF, marks the document ready and removes the images', async () => {
+    withImages([createJpeg(300, 150, { dpi: 300 }), createPng(150, 300, { dpi: 300 })]);
+    const updates = mm.spy();
+    const uploads = mm.spy();
+    const upserts = mm.spy();
+    const deletes = mm.spy();
+    mm.setUpdateJob(updates);
+    mm.setUploadBuffer(uploads);
+    mm.setUpsertDocument(upserts);
+    mm.setDeleteBlob(deletes);
+
+    await capturedHandler(makeTask(), createMockContext());
+
+    const patches = updates.calls.map(([, patch]) => patch);
+    assert.equal(patches[0].status, 'running');
+    assert.deepEqual(patches.map((p) => p.progressDone), [0, 1, 2, undefined]);
+    assert.equal(patches[3].status, 'completed');
+
+    const [container, blobName, buffer, contentType] = uploads.calls[0];
+    assert.deepEqual([container, blobName, contentType], [config.sourceContainer, PDF_BLOB, 'application/pdf']);
+    const pdf = await PDFDocument.load(buffer);
+    const sizes = pdf.getPages().map((page) => Object.values(page.getSize()).map(Math.round));
+    assert.deepEqual(sizes, [[72, 36], [36, 72]]);
+
+    const doc = upserts.calls[0][0];
+    assert.equal(doc.status, 'ready');
+    assert.equal(doc.pageCount, 2);
+    assert.equal(doc.byteSize, buffer.length);
+    assert.match(doc.sha256, /^[0-9a-f]{64}$/);
+    assert.equal(doc.imageBlobs, '[]');
+    assert.deepEqual(deletes.calls.map(([, name]) => name), IMAGES);
+  });
+
+  it('passes the page options through to the layout', async () => {
+    withImages([createJpeg(300, 150), createPng(150, 300)]);
+    const uploads = mm.spy();
+    mm.setUploadBuffer(uploads);
+
+    await capturedHandler(makeTask({ options: { pageSize: 'letter', orientation: 'portrait' } }), createMockContext());
+
+    const pdf = await PDFDocument.load(uploads.calls[0][2]);
+    assert.deepEqual(pdf.getPages().map((page) => page.getSize()), [{ width: 612, height: 792 }, { width: 612, height: 792 }]);
+  });
+
+  it('rejects the document without retrying when an image cannot be read', async () => {
+    withImages([createJpeg(10, 10), Buffer.from('GIF89a')]);
+    const updates = mm.spy();
+    const upserts = mm.spy();
+    const uploads = mm.spy();
+    const deletes = mm.spy();
+    mm.setUpdateJob(updates);
+    mm.setUpsertDocument(upserts);
+    mm.setUploadBuffer(uploads);
+    mm.setDeleteBlob(deletes);
+
+    await capturedHandler(makeTask(), createMockContext());
+
+    assert.equal(uploads.calls.length, 0);
+    assert.equal(upserts.calls[0][0].status, 'rejected');
+    assert.equal(upserts.calls[0][0].rejectionReason, '2-back.png: File is not a JPEG, PNG or TIFF image');
+    assert.equal(deletes.calls.length, 2);
+    const last = updates.calls[updates.calls.length - 1][1];
+    assert.equal(last.status, 'failed');
+    assert.equal(last.error, '2-back.png: File is not a JPEG, PNG or TIFF image');
+  });
+
+  it('downloads each image pinned to the ETag convert-start checked', async () => {
+    withImages([createJpeg(10, 10), createPng(10, 10)]);
+    const downloads = mm.spy(async () => createJpeg(10, 10));
+    mm.setDownloadToBuffer(downloads);
+
+    await capturedHandler(makeTask({ imageEtags: ['"etag-0"', '"etag-1"'] }), createMockContext());
+
+    assert.deepEqual(downloads.calls.map(([, , conditions]) => conditions), [{ ifMatch: '"etag-0"' }, { ifMatch: '"etag-1"' }]);
+  });
+
+  it('rejects the document when an image was replaced after conversion was started', async () => {
+    withImages([createJpeg(10, 10), createPng(10, 10)]);
+    const updates = mm.spy();
+    const upserts = mm.spy();
+    const deletes = mm.spy();
+    const downloads = mm.spy();
+    mm.setUpdateJob(updates);
+    mm.setUpsertDocument(upserts);
+    mm.setDeleteBlob(deletes);
+    mm.setDownloadToBuffer(downloads);
+
+    await capturedHandler(makeTask({ imageEtags: ['"etag-0"', '"etag-old"'] }), createMockContext());
+
+    assert.equal(downloads.calls.length, 0);
+    expectRejected(upserts, updates, deletes, /^Image 2 changed after conversion was started$/);
+  });
+
+  it('rejects the document when an image changes while it is being downloaded', async () => {
+    withImages([createJpeg(10, 10), createPng(10, 10)]);
+    mm.setDownloadToBuffer(async () => {
+      throw Object.assign(new Error('condition not met'), { statusCode: 412 });
+    });
+    const updates = mm.spy();
+    const upserts = mm.spy();
+    const deletes = mm.spy();
+    mm.setUpdateJob(updates);
+    mm.setUpsertDocument(upserts);
+    mm.setDeleteBlob(deletes);
+
+    await capturedHandler(makeTask(), createMockContext());
+
+    expectRejected(upserts, updates, deletes, /^Image 1 changed after conversion was started$/);
+  });
+
+  it('rejects the document when the images have grown past the upload limit', async () => {
+    withImages([createJpeg(10, 10), createPng(10, 10)]);
+    mm.setGetBlobProperties(async () => ({ etag: '"big"', contentLength: config.maxUploadBytes }));
+    const updates = mm.spy();
+    const upserts = mm.spy();
+    const deletes = mm.spy();
+    const downloads = mm.spy();
+    mm.setUpdateJob(updates);
+    mm.setUpsertDocument(upserts);
+    mm.setDeleteBlob(deletes);
+    mm.setDownloadToBuffer(downloads);
+
+    await capturedHandler(makeTask(), createMockContext());
+
+    assert.equal(downloads.calls.length, 0);
+    expectRejected(upserts, updates, deletes, /the limit is/);
+  });
+
+  it('completes a retried job whose PDF is already in place', async () => {
+    withImages([], { status: 'ready', imageBlobs: '[]' });
+    const updates = mm.spy();
+    const downloads = mm.spy();
+    mm.setUpdateJob(updates);
+    mm.setDownloadToBuffer(downloads);
+
+    await capturedHandler(makeTask(), createMockContext());
+
+    assert.equal(downloads.calls.length, 0);
+    assert.deepEqual(updates.calls.map(([, patch]) => patch.status), ['completed']);
+  });
+
+  it('fails and rethrows when the document is no longer waiting for images', async () => {
+    withImages([], { status: 'rejected' });
+    const updates = mm.spy();
+    mm.setUpdateJob(updates);
+
+    await assert.rejects(() => capturedHandler(makeTask(), createMockContext()), /no longer waiting/);
+    assert.equal(updates.calls[0][1].status, 'failed');
+  });
+
+  it('fails and rethrows when an image cannot be downloaded', async () => {
+    withImages([]);
+    mm.setDownloadToBuffer(async () => {
+      throw new Error('blob gone');
+    });
+    const updates = mm.spy();
+    mm.setUpdateJob(updates);
+
+    await assert.rejects(() => capturedHandler(makeTask(), createMockContext()), /blob gone/);
+    assert.equal(updates.calls[updates.calls.length - 1][1].error, 'blob gone');
+  });
+});
@@ -0,0 +1,136 @@
+// backend/test/functions/docsCollabNegotiate.test.js
+//
+// Tests for POST /api/docs/{docId}/collab/negotiate  (docs-collab-negotiate handler)
+//
+// Handler flow:
+//   1. requireAuth            — 401 if no/bad bearer token
+//   2. Web PubSub configured  — 503 when WEBPUBSUB_CONNECTION_STRING is missing
+//   3. getDocument(docId)     — 404 if the row is missing
+//   4. getDocumentRole        — 403 unless the caller can view the document
+//   5. Returns 200 { url, groups, canPublish, ... }
+
+// ── 1. Setup env vars (must be first) ──────────────────────────────────────
+require('../_helpers/setup');
+
+// ── 2. Module-mocks (MUST come before any source require) ──────────────────
+const mm = require('../_helpers/module-mocks');
+
+// ── 3. Test framework + helpers ────────────────────────────────────────────
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { createMockRequest, createAuthHeaders } = require('../_helpers/mocks');
+const { config } = require('../../src/lib/config');
+
+// ── 4. Capture handler then load source ────────────────────────────────────
+let capturedHandler;
+const { app } = require('@azure/functions');
+const origHttp = app.http;
+app.http = (name, opts) => { if (name === 'docs-collab-negotiate') capturedHandler = opts.handler; };
+require('../../src/functions/docsCollabNegotiate');
+app.http = origHttp;
+
+assert.ok(capturedHandler, 'docs-collab-negotiate handler was not captured — check the registered name');
+
+const OWNER = 'owner@example.com';
+const DOC_ID = 'doc-collab-001';
+
+function negotiate(email = OWNER) {
+  return capturedHandler(createMockRequest({
+    method: 'POST',
+    params: { docId: DOC_ID },
+    headers: createAuthHeaders(email),
+  }));
+}
+
+function rolesOf(url) {
+  return jwt.decode(new URL(url).searchParams.get('access_token')).role;
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+describe('POST /api/docs/{docId}/collab/negotiate — docsCollabNegotiate handler', () => {
+
+  afterEach(() => {
+    mm.resetAll();
+  });
+
+  it('returns 401 when no Authorization header is provided', async () => {
+    const res = await capturedHandler(createMockRequest({ method: 'POST', params: { docId: DOC_ID } }));
+    assert.equal(res.status, 401);
+  });
+
+  it('returns 503 when Web PubSub is not configured', async () => {
+    const saved = config.webPubSubConnectionString;
+    config.webPubSubConnectionString = '';
+    try {
+      const res = await negotiate();
+      assert.equal(res.status, 503);
+      assert.equal(res.jsonBody.error.code, 'not_configured');
+    } finally {
+      config.webPubSubConnectionString = saved;
+    }
+  });
+
+  it('returns 404 for an unknown document', async () => {
+    const res = await negotiate();
+    assert.equal(res.status, 404);
+  });
+
+  it('returns 403 when the document is not shared with the caller', async () => {
+    mm.setGetDocument(async () => ({ docId: DOC_ID, ownerEmail: OWNER }));
+    const res = await negotiate('stranger@example.com');
+    assert.equal(res.status, 403);
+  });
+
+  it('lets the owner join and publish on both groups', async () => {
+    mm.setGetDocument(async () => ({ docId: DOC_ID, ownerEmail: OWNER }));
+
+    const res = await negotiate();
+
+    assert.equal(res.status, 200);
+    assert.equal(res.jsonBody.userId, OWNER);
+    assert.equal(res.jsonBody.canPublish, true);
+    assert.deepEqual(res.jsonBody.groups, { ops: `doc.${DOC_ID}`, presence: `doc.${DOC_ID}.presence` });
+    assert.ok(rolesOf(res.jsonBody.url).includes(`webpubsub.sendToGroup.doc.${DOC_ID}`));
+  });
+
+  it('keeps a commenter off the ops group so they cannot change or remove others\' annotations', async () => {
+    mm.setGetDocument(async () => ({ docId: DOC_ID, ownerEmail: OWNER }));
+    mm.setGetShare(async () => ({ role: 'commenter' }));
+
+    const res = await negotiate('commenter@example.com');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.jsonBody.role, 'commenter');
+    assert.equal(res.jsonBody.canPublish, false);
+    const roles = rolesOf(res.jsonBody.url);
+    assert.ok(roles.includes(`webpubsub.joinLeaveGroup.doc.${DOC_ID}`));
+    assert.ok(roles.includes(`webpubsub.sendToGroup.doc.${DOC_ID}.presence`));
+    assert.ok(!roles.includes(`webpubsub.sendToGroup.doc.${DOC_ID}`));
+  });
+
+  it('lets an editor publish annotation changes', async () => {
+    mm.setGetDocument(async () => ({ docId: DOC_ID, ownerEmail: OWNER }));
+    mm.setGetShare(async () => ({ role: 'editor' }));
+
+    const res = await negotiate('editor@example.com');
+
+    assert.equal(res.jsonBody.canPublish, true);
+    assert.ok(rolesOf(res.jsonBody.url).includes(`webpubsub.sendToGroup.doc.${DOC_ID}`));
+  });
+
+  it('lets a viewer share their cursor but not publish annotation changes', async () => {
+    mm.setGetDocument(async () => ({ docId: DOC_ID, ownerEmail: OWNER }));
+    mm.setGetShare(async () => ({ role: 'viewer' }));
+
+    const res = await negotiate('viewer@example.com');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.jsonBody.role, 'viewer');
+    assert.equal(res.jsonBody.canPublish, false);
+    const roles = rolesOf(res.jsonBody.url);
+    assert.ok(roles.includes(`webpubsub.sendToGroup.doc.${DOC_ID}.presence`));
+    assert.ok(!roles.includes(`webpubsub.sendToGroup.doc.${DOC_ID}`));
+  });
+});
@@ -0,0 +1,138 @@
+// backend/test/functions/docsConvertStart.test.js
+//
+// Tests for POST /api/docs/{docId}/convert  (docs-convert-start handler)
+
+// ── 1. Setup env vars (must be first) ──────────────────────────────────────
+require('../_helpers/setup');
+
+// ── 2. Module-mocks (MUST come before any source require) ──────────────────
+const mm = require('../_helpers/module-mocks');
+
+// ── 3. Test framework + helpers ────────────────────────────────────────────
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockRequest, createAuthHeaders, createBadJsonRequest } = require('../_helpers/mocks');
+const { config } = require('../../src/lib/config');
+
+// ── 4. Capture handler then load source ────────────────────────────────────
+let handler;
+const { app } = require('@azure/functions');
+const origHttp = app.http;
+app.http = (name, opts) => {
+  if (name === 'docs-convert-start') handler = opts.handler;
+};
+require('../../src/functions/docsConvertStart');
+app.http = origHttp;
+
+const OWNER = 'owner@example.com';
+const DOC_ID = 'doc-scans';
+const IMAGES = [`${OWNER}/${DOC_ID}/images/1-front.jpg`, `${OWNER}/${DOC_ID}/images/2-back.jpg`];
+
+function makeDoc(overrides = {}) {
+  return {
+    docId: DOC_ID,
+    ownerEmail: OWNER,
+    title: 'front-and-1-more.pdf',
+    sourceBlobName: `${OWNER}/${DOC_ID}/front-and-1-more.pdf`,
+    status: 'uploading',
+    imageBlobs: JSON.stringify(IMAGES),
+    ...overrides,
+  };
+}
+
+function request(body = {}, email = OWNER) {
+  return createMockRequest({ method: 'POST', body, params: { docId: DOC_ID }, headers: createAuthHeaders(email) });
+}
+
+afterEach(() => {
+  mm.resetAll();
+});
+
+describe('POST /api/docs/:docId/convert', () => {
+  it('returns 401 without a token', async () => {
+    const res = await handler(createMockRequest({ method: 'POST', params: { docId: DOC_ID } }));
+    assert.equal(res.status, 401);
+  });
+
+  it('returns 400 for invalid JSON', async () => {
+    const res = await handler(createBadJsonRequest({ params: { docId: DOC_ID }, headers: createAuthHeaders(OWNER) }));
+    assert.equal(res.status, 400);
+    assert.equal(res.jsonBody.error.code, 'invalid_json');
+  });
+
+  it('returns 400 for unknown page options', async () => {
+    const res = await handler(request({ pageSize: 'tabloid', orientation: 'upside-down' }));
+
+    assert.equal(res.status, 400);
+    assert.equal(res.jsonBody.error.code, 'validation_error');
+    assert.deepEqual(res.jsonBody.error.details.errors.map((e) => e.path), ['pageSize', 'orientation']);
+  });
+
+  it('returns 404 for an unknown document', async () => {
+    const res = await handler(request());
+    assert.equal(res.status, 404);
+  });
+
+  it('returns 403 for anyone but the owner', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    mm.setGetShare(async () => ({ docId: DOC_ID, email: 'ed@example.com', role: 'editor' }));
+
+    const res = await handler(request({}, 'ed@example.com'));
+    assert.equal(res.status, 403);
+  });
+
+  it('returns 409 for a document that is not waiting for images', async () => {
+    for (const overrides of [{ status: 'ready' }, { status: undefined }, { imageBlobs: undefined }]) {
+      mm.setGetDocument(async () => makeDoc(overrides));
+      const res = await handler(request());
+      assert.equal(res.status, 409);
+      assert.equal(res.jsonBody.error.code, 'not_convertible');
+    }
+  });
+
+  it('returns 409 naming the first image that has not been uploaded', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    mm.setGetBlobProperties(async (_container, blobName) => (blobName === IMAGES[0] ? { contentLength: 10 } : null));
+
+    const res = await handler(request());
+
+    assert.equal(res.status, 409);
+    assert.equal(res.jsonBody.error.code, 'upload_missing');
+    assert.equal(res.jsonBody.error.message, 'Image 2 has not been uploaded');
+    assert.equal(res.jsonBody.error.details.index, 1);
+  });
+
+  it('returns 413 when the uploaded images are over the limit', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    mm.setGetBlobProperties(async () => ({ contentLength: config.maxUploadBytes }));
+
+    const res = await handler(request());
+    assert.equal(res.status, 413);
+  });
+
+  it('queues a convert job with the page options', async () => {
+    const jobs = mm.spy(async () => {});
+    const messages = mm.spy(async () => {});
+    const upsert = mm.spy(async () => {});
+    mm.setGetDocument(async () => makeDoc());
+    mm.setGetBlobProperties(async (_container, blobName) => ({ etag: `"${blobName}"`, contentLength: 2048 }));
+    mm.setCreateJob(jobs);
+    mm.setSendQueueMessage(messages);
+    mm.setUpsertDocument(upsert);
+
+    const res = await handler(request({ pageSize: 'a4', margin: 24 }));
+
+    assert.equal(res.status, 202);
+    assert.equal(res.jsonBody.docId, DOC_ID);
+    const job = jobs.calls[0][0];
+    assert.equal(job.jobId, res.jsonBody.jobId);
+    assert.equal(job.type, 'convert');
+    assert.equal(job.status, 'queued');
+    assert.equal(job.progressTotal, 2);
+    assert.equal(messages.calls[0][0], config.convertQueue);
+    assert.deepEqual(messages.calls[0][1].options, { pageSize: 'a4', orientation: 'auto', margin: 24 });
+    assert.equal(messages.calls[0][1].docId, DOC_ID);
+    assert.deepEqual(messages.calls[0][1].imageEtags, IMAGES.map((blobName) => `"${blobName}"`));
+    assert.deepEqual(Object.keys(upsert.calls[0][0]).sort(), ['docId', 'updatedAt']);
+  });
+});
@@ -0,0 +1,127 @@
+// backend/test/functions/docsConvertUrl.test.js
+//
+// Tests for POST /api/docs/convert-url  (docs-convert-url handler)
+
+// ── 1. Setup env vars (must be first) ──────────────────────────────────────
+require('../_helpers/setup');
+
+// ── 2. Module-mocks (MUST come before any source require) ──────────────────
+const mm = require('../_helpers/module-mocks');
+
+// ── 3. Test framework + helpers ────────────────────────────────────────────
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockRequest, createAuthHeaders, createBadJsonRequest } = require('../_helpers/mocks');
+const { config } = require('../../src/lib/config');
+
+// ── 4. Capture handler then load source ────────────────────────────────────
+let handler;
+const { app } = require('@azure/functions');
+const origHttp = app.http;
+app.http = (name, opts) => {
+  if (name === 'docs-convert-url') handler = opts.handler;
+};
+require('../../src/functions/docsConvertUrl');
+app.http = origHttp;
+
+const OWNER = 'owner@example.com';
+
+function image(fileName, contentType = 'image/jpeg', fileSize = 1000) {
+  return { fileName, contentType, fileSize };
+}
+
+function request(body, email = OWNER) {
+  return createMockRequest({ method: 'POST', body, headers: createAuthHeaders(email) });
+}
+
+afterEach(() => {
+  mm.resetAll();
+});
+
+describe('POST /api/docs/convert-url', () => {
+  it('returns 401 without a token', async () => {
+    const res = await handler(createMockRequest({ body: { files: [image('a.jpg')] } }));
+    assert.equal(res.status, 401);
+  });
+
+  it('returns 400 for invalid JSON', async () => {
+    const res = await handler(createBadJsonRequest({ headers: createAuthHeaders(OWNER) }));
+    assert.equal(res.status, 400);
+    assert.equal(res.jsonBody.error.code, 'invalid_json');
+  });
+
+  it('requires at least one image', async () => {
+    for (const files of [undefined, [], 'a.jpg']) {
+      const res = await handler(request({ files }));
+      assert.equal(res.status, 400);
+      assert.equal(res.jsonBody.error.details.errors[0].path, 'files');
+    }
+  });
+
+  it('rejects more images than one conversion takes', async () => {
+    const files = Array.from({ length: 51 }, (_, i) => image(`${i}.jpg`));
+    const res = await handler(request({ files }));
+    assert.equal(res.status, 400);
+    assert.match(res.jsonBody.error.message, /maximum 50/);
+  });
+
+  it('reports each bad file by path', async () => {
+    const res = await handler(request({
+      files: [image('ok.png', 'image/png'), image('', 'application/pdf', -1), image('scan.gif', 'image/gif', 10)],
+    }));
+
+    assert.equal(res.status, 400);
+    assert.equal(res.jsonBody.error.code, 'validation_error');
+    assert.deepEqual(
+      res.jsonBody.error.details.errors.map((e) => e.path),
+      ['files[1].fileName', 'files[1].contentType', 'files[1].fileSize', 'files[2].contentType']
+    );
+  });
+
+  it('returns 413 when the images together exceed the upload limit', async () => {
+    const half = Math.floor(config.maxUploadBytes / 2) + 1;
+    const res = await handler(request({ files: [image('a.jpg', 'image/jpeg', half), image('b.jpg', 'image/jpeg', half)] }));
+
+    assert.equal(res.status, 413);
+    assert.equal(res.jsonBody.error.code, 'file_too_large');
+  });
+
+  it('creates an uploading document with one upload URL per image', async () => {
+    const upsert = mm.spy(async () => {});
+    const versions = mm.spy(async () => {});
+    mm.setUpsertDocument(upsert);
+    mm.setCreateDocumentVersion(versions);
+
+    const res = await handler(request({
+      files: [image('Page 1.JPG'), image('page-2.png', 'image/png'), image('rest.tif', 'image/tiff')],
+    }));
+
+    assert.equal(res.status, 200);
+    const { docId, title, files, maxUploadBytes } = res.jsonBody;
+    assert.equal(title, 'Page-1-and-2-more.pdf');
+    assert.equal(maxUploadBytes, config.maxUploadBytes);
+    assert.deepEqual(files.map((f) => f.fileName), ['1-Page-1.JPG', '2-page-2.png', '3-rest.tif']);
+    assert.match(files[1].sasUrl, new RegExp(`images/2-page-2\\.png.*perm=cw`));
+    assert.ok(files.every((f) => f.expiresAt));
+
+    const doc = upsert.calls[0][0];
+    assert.equal(doc.docId, docId);
+    assert.equal(doc.status, 'uploading');
+    assert.equal(doc.ownerEmail, OWNER);
+    assert.equal(doc.sourceBlobName, `${OWNER}/${docId}/${title}`);
+    assert.deepEqual(JSON.parse(doc.imageBlobs), [
+      `${OWNER}/${docId}/images/1-Page-1.JPG`,
+      `${OWNER}/${docId}/images/2-page-2.png`,
+      `${OWNER}/${docId}/images/3-rest.tif`,
+    ]);
+    assert.equal(versions.calls[0][0].version, 1);
+  });
+
+  it('names a single image after itself and keeps a supplied title', async () => {
+    const single = await handler(request({ files: [image('receipt.jpeg')] }));
+    assert.equal(single.jsonBody.title, 'receipt.pdf');
+
+    const named = await handler(request({ title: 'Lease scans', files: [image('a.png', 'image/png')] }));
+    assert.equal(named.jsonBody.title, 'Lease-scans.pdf');
+  });
+});
@@ -8,9 +8,10 @@
 //   3. ownerEmail check — returns 403 if caller does not own the document
 //   4. Parse request body for { format } (default "pdf")
 //   5. Only "pdf" format allowed — returns 400 otherwise
-//   6. createJob({ type:"export", status:"queued", ... })
-//   7. sendQueueMessage(config.exportQueue, { jobId, docId, ... })
-//   8. Returns 202 { jobId }
+//   6. Optional { pages } parsed and normalized — returns 400 with structured errors
+//   7. createJob({ type:"export", status:"queued", ... })
+//   8. sendQueueMessage(config.exportQueue, { jobId, docId, pages, ... })
+//   9. Returns 202 { jobId }
 //
 // Mocking strategy
 // ----------------
@@ -218,6 +219,22 @@ describe('docsExportStart — POST /api/docs/{docId}/export', () => {
 
       assert.equal(res.status, 403);
     });
+
+    it('returns 202 for a viewer the document is shared with', async () => {
+      mm.setGetDocument(async () => makeDoc(OTHER_EMAIL));
+      mm.setGetShare(async () => ({ role: 'viewer' }));
+
+      const req = createMockRequest({
+        method:  'POST',
+        params:  { docId: TEST_DOC_ID },
+        headers: authHeaders(TEST_EMAIL),
+        body:    { format: 'pdf' },
+      });
+
+      const res = await capturedHandler(req);
+
+      assert.equal(res.status, 202);
+    });
   });
 
   // -------------------------------------------------------------------------
@@ -460,5 +477,115 @@ describe('docsExportStart — POST /api/docs/{docId}/export', () => {
       assert.equal(payload.requestedFormat, 'pdf',              'payload.requestedFormat must be "pdf"');
       assert.ok(payload.createdAt,                              'payload.createdAt must be present');
     });
+
+    it('forwards redactionLabel only when it is literally true', async () => {
+      const sendQueueSpy = mm.spy(async () => {});
+      mm.setGetDocument(async () => makeDoc());
+      mm.setCreateJob(async () => {});
+      mm.setSendQueueMessage(sendQueueSpy);
+
+      for (const redactionLabel of [true, 'yes', undefined]) {
+        await capturedHandler(createMockRequest({
+          method:  'POST',
+          params:  { docId: TEST_DOC_ID },
+          headers: authHeaders(),
+          body:    { format: 'pdf', redactionLabel },
+        }));
+      }
+
+      assert.deepEqual(sendQueueSpy.calls.map((call) => call[1].redactionLabel), [true, false, false]);
+    });
+
+    it('forwards selected pages in normalized form for a partial export', async () => {
+      const sendQueueSpy = mm.spy(async () => {});
+      mm.setGetDocument(async () => makeDoc());
+      mm.setCreateJob(async () => {});
+      mm.setSendQueueMessage(sendQueueSpy);
+
+      for (const pages of ['4, 1-2, 2-3', undefined]) {
+        const res = await capturedHandler(createMockRequest({
+          method:  'POST',
+          params:  { docId: TEST_DOC_ID },
+          headers: authHeaders(),
+          body:    { format: 'pdf', pages },
+        }));
+        assert.equal(res.status, 202);
+      }
+
+      assert.deepEqual(sendQueueSpy.calls.map((call) => call[1].pages), ['1-4', '']);
+    });
+
+    it('returns 400 with structured errors for pages the document does not have', async () => {
+      const sendQueueSpy = mm.spy(async () => {});
+      mm.setGetDocument(async () => ({ ...makeDoc(), pageCount: 3 }));
+      mm.setSendQueueMessage(sendQueueSpy);
+
+      const res = await capturedHandler(createMockRequest({
+        method:  'POST',
+        params:  { docId: TEST_DOC_ID },
+        headers: authHeaders(),
+        body:    { format: 'pdf', pages: '1,3-5' },
+      }));
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.jsonBody.error.details.errors, [{ path: 'pages[1]', message: '3-5 goes past the last page (3)' }]);
+      assert.equal(sendQueueSpy.calls.length, 0);
+    });
+  });
+
+  describe('Searchable export', () => {
+    const SOURCE = `${TEST_EMAIL}/${TEST_DOC_ID}/sample.pdf`;
+
+    function ocrDoc(ocr) {
+      return { ...makeDoc(), sourceBlobName: SOURCE, ocrResult: ocr && JSON.stringify(ocr) };
+    }
+
+    function searchableRequest(searchable) {
+      return createMockRequest({
+        method:  'POST',
+        params:  { docId: TEST_DOC_ID },
+        headers: authHeaders(),
+        body:    { format: 'pdf', searchable },
+      });
+    }
+
+    it('returns 400 when searchable is not a boolean', async () => {
+      mm.setGetDocument(async () => makeDoc());
+
+      const res = await capturedHandler(searchableRequest('yes'));
+
+      assert.equal(res.status, 400);
+      assert.equal(res.jsonBody.error.code, 'validation_error');
+      assert.equal(res.jsonBody.error.message, 'searchable must be a boolean');
+    });
+
+    it('returns 409 ocr_required without an OCR result for the current pages', async () => {
+      const sendQueueSpy = mm.spy(async () => {});
+      mm.setSendQueueMessage(sendQueueSpy);
+
+      for (const ocr of [undefined, { jobId: 'ocr-1', blobName: 'x.json', sourceBlobName: 'older.pdf' }]) {
+        mm.setGetDocument(async () => ocrDoc(ocr));
+        const res = await capturedHandler(searchableRequest(true));
+        assert.equal(res.status, 409);
+        assert.equal(res.jsonBody.error.code, 'ocr_required');
+      }
+      assert.equal(sendQueueSpy.calls.length, 0);
+    });
+
+    it('forwards searchable on the job and the queue message', async () => {
+      const createJobSpy = mm.spy(async () => {});
+      const sendQueueSpy = mm.spy(async () => {});
+      mm.setGetDocument(async () => ocrDoc({ jobId: 'ocr-1', blobName: 'x.json', sourceBlobName: SOURCE }));
+      mm.setCreateJob(createJobSpy);
+      mm.setSendQueueMessage(sendQueueSpy);
+
+      for (const searchable of [true, false, undefined]) {
+        const res = await capturedHandler(searchableRequest(searchable));
+        assert.equal(res.status, 202);
+      }
+
+      assert.deepEqual(createJobSpy.calls.map((call) => call[0].searchable), [true, false, false]);
+      assert.deepEqual(sendQueueSpy.calls.map((call) => call[1].searchable), [true, false, false]);
+    });
   });
 });
@@ -0,0 +1,171 @@
+// backend/test/functions/docsGet.test.js
+//
+// Tests for GET /api/docs/{docId}  (docs-get handler)
+//
+// Handler flow:
+//   1. requireAuth            — 401 if no/bad bearer token
+//   2. getDocument(docId)     — 404 if the row is missing
+//   3. getDocumentRole        — 403 unless the caller owns it or it is shared with them
+//   4. Returns 200 { metadata, readUrl, annotations }
+
+// ── 1. Setup env vars (must be first) ──────────────────────────────────────
+require('../_helpers/setup');
+
+// ── 2. Module-mocks (MUST come before any source require) ──────────────────
+const mm = require('../_helpers/module-mocks');
+
+// ── 3. Test framework + helpers ────────────────────────────────────────────
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockRequest, createAuthHeaders } = require('../_helpers/mocks');
+
+// ── 4. Capture handler then load source ────────────────────────────────────
+let capturedHandler;
+const { app } = require('@azure/functions');
+const origHttp = app.http;
+app.http = (name, opts) => { if (name === 'docs-get') capturedHandler = opts.handler; };
+require('../../src/functions/docsGet');
+app.http = origHttp;
+
+assert.ok(capturedHandler, 'docs-get handler was not captured — check the registered name');
+
+const TEST_EMAIL = 'owner@example.com';
+const TEST_DOC_ID = 'doc-get-001';
+
+const savedOp = {
+  opId: 'op-1',
+  opType: 'highlight',
+  page: 1,
+  bounds: { x: 1, y: 2, w: 3, h: 4 },
+  author: TEST_EMAIL,
+  ts: '2026-01-01T00:00:00.000Z',
+};
+
+function makeDoc(overrides = {}) {
+  return {
+    docId: TEST_DOC_ID,
+    ownerEmail: TEST_EMAIL,
+    title: 'contract.pdf',
+    sourceBlobName: `${TEST_EMAIL}/${TEST_DOC_ID}/contract.pdf`,
+    contentType: 'application/pdf',
+    annotationJson: JSON.stringify({ schemaVersion: '1.0', operations: [savedOp] }),
+    version: 3,
+    createdAt: '2026-01-01T00:00:00.000Z',
+    updatedAt: '2026-01-02T00:00:00.000Z',
+    ...overrides,
+  };
+}
+
+function getRequest(email = TEST_EMAIL) {
+  return createMockRequest({
+    method: 'GET',
+    params: { docId: TEST_DOC_ID },
+    headers: createAuthHeaders(email),
+  });
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+describe('GET /api/docs/{docId} — docsGet handler', () => {
+
+  afterEach(() => {
+    mm.resetAll();
+  });
+
+  it('returns 401 when no Authorization header is provided', async () => {
+    const res = await capturedHandler(createMockRequest({ method: 'GET', params: { docId: TEST_DOC_ID } }));
+    assert.equal(res.status, 401);
+  });
+
+  it('returns 404 when the document does not exist', async () => {
+    mm.setGetDocument(async () => null);
+    const res = await capturedHandler(getRequest());
+    assert.equal(res.status, 404);
+    assert.equal(res.jsonBody.error.code, 'not_found');
+  });
+
+  it('returns 403 when the caller does not own the document', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    const res = await capturedHandler(getRequest('someone-else@example.com'));
+    assert.equal(res.status, 403);
+    assert.equal(res.jsonBody.error.code, 'forbidden');
+  });
+
+  it('lets a viewer the document is shared with read it and reports their role', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    mm.setGetShare(async () => ({ role: 'viewer' }));
+    const res = await capturedHandler(getRequest('reviewer@example.com'));
+    assert.equal(res.status, 200);
+    assert.equal(res.jsonBody.role, 'viewer');
+    assert.equal(res.jsonBody.ownerEmail, TEST_EMAIL);
+  });
+
+  it('reports the owner role to the owner', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    const res = await capturedHandler(getRequest());
+    assert.equal(res.jsonBody.role, 'owner');
+  });
+
+  it('returns 409 when the document row has no source blob', async () => {
+    mm.setGetDocument(async () => makeDoc({ sourceBlobName: '' }));
+    const res = await capturedHandler(getRequest());
+    assert.equal(res.status, 409);
+  });
+
+  it('returns 409 until the upload has been completed and accepted', async () => {
+    for (const status of ['uploading', 'rejected']) {
+      mm.setGetDocument(async () => makeDoc({ status }));
+      const res = await capturedHandler(getRequest());
+      assert.equal(res.status, 409);
+      assert.equal(res.jsonBody.error.details.status, status);
+    }
+  });
+
+  it('returns metadata and the latest saved annotation set', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    const res = await capturedHandler(getRequest());
+
+    assert.equal(res.status, 200);
+    assert.equal(res.jsonBody.docId, TEST_DOC_ID);
+    assert.equal(res.jsonBody.title, 'contract.pdf');
+    assert.equal(res.jsonBody.version, 3);
+    assert.equal(res.jsonBody.updatedAt, '2026-01-02T00:00:00.000Z');
+    assert.deepEqual(res.jsonBody.annotations, { schemaVersion: '1.0', operations: [savedOp] });
+  });
+
+  it('returns the version as an ETag for later If-Match saves', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    const res = await capturedHandler(getRequest());
+    assert.equal(res.headers.ETag, '"3"');
+  });
+
+  it('issues a fresh read-only SAS URL for the source blob', async () => {
+    const sasSpy = [];
+    mm.setGetDocument(async () => makeDoc());
+    mm.setBuildBlobSasUrl((container, blob, perms, minutes) => {
+      sasSpy.push({ container, blob, perms, minutes });
+      return { url: `https://sas/${blob}`, expiresOn: '2026-01-02T02:00:00.000Z' };
+    });
+
+    const res = await capturedHandler(getRequest());
+
+    assert.equal(sasSpy.length, 1);
+    assert.equal(sasSpy[0].perms, 'r');
+    assert.equal(sasSpy[0].blob, `${TEST_EMAIL}/${TEST_DOC_ID}/contract.pdf`);
+    assert.equal(res.jsonBody.readUrl, `https://sas/${TEST_EMAIL}/${TEST_DOC_ID}/contract.pdf`);
+    assert.equal(res.jsonBody.readUrlExpiresAt, '2026-01-02T02:00:00.000Z');
+  });
+
+  it('returns an empty operation list for the "{}" placeholder written at upload', async () => {
+    mm.setGetDocument(async () => makeDoc({ annotationJson: '{}' }));
+    const res = await capturedHandler(getRequest());
+    assert.deepEqual(res.jsonBody.annotations, { schemaVersion: '1.0', operations: [] });
+  });
+
+  it('returns an empty operation list when the stored JSON is corrupt', async () => {
+    mm.setGetDocument(async () => makeDoc({ annotationJson: '{broken' }));
+    const res = await capturedHandler(getRequest());
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.jsonBody.annotations.operations, []);
+  });
+});
@@ -0,0 +1,208 @@
+// backend/test/functions/docsList.test.js
+//
+// Tests for GET /api/docs  (docs-list handler)
+//
+// Handler flow:
+//   1. requireAuth                     — 401 if no/bad bearer token
+//   2. query validation                — 400 for bad limit/sort/order/scope
+//   3. listLibraryPage(email, scope, sort, order)
+//                                      — one page of the caller's library index, latest change first by default
+//   4. getDocument(docId, columns)     — list columns of each entry, unfinished uploads dropped
+//                                      — 200 { items, limit, nextCursor }
+
+// ── 1. Setup env vars (must be first) ──────────────────────────────────────
+require('../_helpers/setup');
+
+// ── 2. Module-mocks (MUST come before any source require) ──────────────────
+const mm = require('../_helpers/module-mocks');
+
+// ── 3. Test framework + helpers ────────────────────────────────────────────
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockRequest, createAuthHeaders } = require('../_helpers/mocks');
+
+// ── 4. Capture handler then load source ────────────────────────────────────
+let capturedHandler;
+const { app } = require('@azure/functions');
+const origHttp = app.http;
+app.http = (name, opts) => { if (name === 'docs-list') capturedHandler = opts.handler; };
+require('../../src/functions/docsList');
+app.http = origHttp;
+
+assert.ok(capturedHandler, 'docs-list handler was not captured — check the registered name');
+
+const TEST_EMAIL = 'owner@example.com';
+
+function makeDoc(docId, updatedAt, overrides = {}) {
+  return {
+    partitionKey: 'DOC',
+    rowKey: docId,
+    docId,
+    ownerEmail: TEST_EMAIL,
+    title: `${docId}.pdf`,
+    sourceBlobName: `${TEST_EMAIL}/${docId}/${docId}.pdf`,
+    version: 1,
+    createdAt: '2025-01-01T00:00:00.000Z',
+    updatedAt,
+    ...overrides,
+  };
+}
+
+// Serves the given documents as one library page, the way listLibraryPage would.
+function libraryOf(docs, { role = 'owner', nextCursor = null } = {}) {
+  const byId = new Map(docs.map((doc) => [doc.docId, doc]));
+  mm.setListLibraryPage(async () => ({ entries: docs.map((doc) => ({ docId: doc.docId, role })), nextCursor }));
+  mm.setGetDocument(async (docId) => byId.get(docId) || null);
+}
+
+function listRequest(query = {}) {
+  return createMockRequest({ method: 'GET', headers: createAuthHeaders(TEST_EMAIL), query });
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+describe('GET /api/docs — docsList handler', () => {
+
+  afterEach(() => {
+    mm.resetAll();
+  });
+
+  it('returns 401 when no Authorization header is provided', async () => {
+    const res = await capturedHandler(createMockRequest({ method: 'GET' }));
+    assert.equal(res.status, 401);
+  });
+
+  it('lists a page of the caller\'s own library', async () => {
+    const listSpy = mm.spy(async () => ({ entries: [{ docId: 'a', role: 'owner' }], nextCursor: null }));
+    mm.setListLibraryPage(listSpy);
+    mm.setGetDocument(async () => makeDoc('a', '2025-01-02T00:00:00.000Z'));
+
+    const res = await capturedHandler(listRequest());
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(listSpy.calls[0], [TEST_EMAIL, 'owned', 'updatedAt', 'desc', 20, null]);
+    assert.deepEqual(res.jsonBody.items.map((item) => item.docId), ['a']);
+  });
+
+  it('reads only the list columns of each document', async () => {
+    mm.setListLibraryPage(async () => ({ entries: [{ docId: 'a', role: 'owner' }], nextCursor: null }));
+    const getSpy = mm.spy(async () => makeDoc('a', '2025-01-02T00:00:00.000Z'));
+    mm.setGetDocument(getSpy);
+
+    await capturedHandler(listRequest());
+
+    const [docId, columns] = getSpy.calls[0];
+    assert.equal(docId, 'a');
+    assert.ok(columns.includes('title') && columns.includes('status'));
+    assert.ok(!columns.includes('annotationJson'));
+  });
+
+  it('returns title, page count, version, timestamps and a read URL for each item', async () => {
+    libraryOf([makeDoc('a', '2025-01-02T00:00:00.000Z', { version: 4, pageCount: 12 })]);
+
+    const [item] = (await capturedHandler(listRequest())).jsonBody.items;
+
+    assert.equal(item.docId, 'a');
+    assert.equal(item.title, 'a.pdf');
+    assert.equal(item.pageCount, 12);
+    assert.equal(item.version, 4);
+    assert.equal(item.updatedAt, '2025-01-02T00:00:00.000Z');
+    assert.match(item.readUrl, /perm=r/);
+    assert.equal(item.annotationJson, undefined, 'Annotation payloads must not be listed');
+  });
+
+  it('leaves out uploads that are unfinished or were rejected', async () => {
+    libraryOf([
+      makeDoc('ready', '2025-01-04T00:00:00.000Z', { status: 'ready' }),
+      makeDoc('pending', '2025-01-03T00:00:00.000Z', { status: 'uploading' }),
+      makeDoc('bad', '2025-01-02T00:00:00.000Z', { status: 'rejected' }),
+      makeDoc('legacy', '2025-01-01T00:00:00.000Z'),
+    ]);
+
+    const res = await capturedHandler(listRequest());
+
+    assert.deepEqual(res.jsonBody.items.map((item) => item.docId), ['ready', 'legacy']);
+  });
+
+  it('reports an unknown page count as null', async () => {
+    libraryOf([makeDoc('a', '2025-01-02T00:00:00.000Z')]);
+    const [item] = (await capturedHandler(listRequest())).jsonBody.items;
+    assert.equal(item.pageCount, null);
+  });
+
+  it('keeps the library order and passes limit and cursor through to the next page', async () => {
+    const listSpy = mm.spy(async () => ({
+      entries: [{ docId: 'd5', role: 'owner' }, { docId: 'd4', role: 'owner' }],
+      nextCursor: 'token-2',
+    }));
+    mm.setListLibraryPage(listSpy);
+    mm.setGetDocument(async (docId) => makeDoc(docId, '2025-01-01T00:00:00.000Z'));
+
+    const res = await capturedHandler(listRequest({ limit: '2', cursor: 'token-1' }));
+
+    assert.deepEqual(listSpy.calls[0], [TEST_EMAIL, 'owned', 'updatedAt', 'desc', 2, 'token-1']);
+    assert.deepEqual(res.jsonBody.items.map((i) => i.docId), ['d5', 'd4']);
+    assert.equal(res.jsonBody.limit, 2);
+    assert.equal(res.jsonBody.nextCursor, 'token-2');
+  });
+
+  it('passes the requested sort and order to the library index', async () => {
+    const listSpy = mm.spy(async () => ({ entries: [], nextCursor: null }));
+    mm.setListLibraryPage(listSpy);
+
+    const res = await capturedHandler(listRequest({ sort: 'createdAt', order: 'ASC' }));
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(listSpy.calls[0].slice(1, 4), ['owned', 'createdAt', 'asc']);
+  });
+
+  it('returns 400 for a cursor that is not a continuation token', async () => {
+    mm.setListLibraryPage(async () => { JSON.parse('not json'); });
+
+    const res = await capturedHandler(listRequest({ cursor: 'garbage' }));
+
+    assert.equal(res.status, 400);
+    assert.match(res.jsonBody.error.message, /cursor/);
+  });
+
+  it('marks owned documents with the owner role', async () => {
+    libraryOf([makeDoc('a', '2025-01-02T00:00:00.000Z')]);
+    const [item] = (await capturedHandler(listRequest())).jsonBody.items;
+    assert.equal(item.role, 'owner');
+    assert.equal(item.ownerEmail, TEST_EMAIL);
+  });
+
+  it('lists documents shared with the caller for scope=shared', async () => {
+    const listSpy = mm.spy(async () => ({
+      entries: [{ docId: 'shared-1', role: 'editor' }, { docId: 'deleted', role: 'viewer' }],
+      nextCursor: null,
+    }));
+    mm.setListLibraryPage(listSpy);
+    mm.setGetDocument(async (docId) => docId === 'shared-1'
+      ? makeDoc('shared-1', '2025-01-02T00:00:00.000Z', { ownerEmail: 'colleague@example.com' })
+      : null);
+
+    const res = await capturedHandler(listRequest({ scope: 'shared' }));
+
+    assert.equal(res.status, 200);
+    assert.equal(listSpy.calls[0][1], 'shared');
+    assert.equal(res.jsonBody.items.length, 1, 'Shares of deleted documents are skipped');
+    assert.equal(res.jsonBody.items[0].role, 'editor');
+    assert.equal(res.jsonBody.items[0].ownerEmail, 'colleague@example.com');
+  });
+
+  for (const [query, label] of [
+    [{ limit: '0' }, 'limit below 1'],
+    [{ limit: '101' }, 'limit above 100'],
+    [{ limit: 'ten' }, 'non-numeric limit'],
+    [{ sort: 'title' }, 'unsupported sort field'],
+    [{ order: 'sideways' }, 'unsupported order'],
+    [{ scope: 'everything' }, 'unsupported scope'],
+  ]) {
+    it(`returns 400 for ${label}`, async () => {
+      const res = await capturedHandler(listRequest(query));
+      assert.equal(res.status, 400);
+      assert.equal(res.jsonBody.error.code, 'validation_error');
+    });
+  }
+});
@@ -0,0 +1,142 @@
+// backend/test/functions/docsMergeStart.test.js
+//
+// Tests for POST /api/docs/merge  (docs-merge-start handler)
+
+// ── 1. Setup env vars (must be first) ──────────────────────────────────────
+require('../_helpers/setup');
+
+// ── 2. Module-mocks (MUST come before any source require) ──────────────────
+const mm = require('../_helpers/module-mocks');
+
+// ── 3. Test framework + helpers ────────────────────────────────────────────
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockRequest, createAuthHeaders, createBadJsonRequest } = require('../_helpers/mocks');
+const { config } = require('../../src/lib/config');
+
+// ── 4. Capture handler then load source ────────────────────────────────────
+let handler;
+const { app } = require('@azure/functions');
+const origHttp = app.http;
+app.http = (name, opts) => {
+  if (name === 'docs-merge-start') handler = opts.handler;
+};
+require('../../src/functions/docsMergeStart');
+app.http = origHttp;
+
+const OWNER = 'owner@example.com';
+const OTHER = 'other@example.com';
+
+function docs(overrides = {}) {
+  const rows = {
+    'doc-a': { docId: 'doc-a', ownerEmail: OWNER, sourceBlobName: `${OWNER}/doc-a/a.pdf` },
+    'doc-b': { docId: 'doc-b', ownerEmail: OWNER, sourceBlobName: `${OWNER}/doc-b/b.pdf` },
+    ...overrides,
+  };
+  return async (docId) => rows[docId] || null;
+}
+
+function request(body, email = OWNER) {
+  return createMockRequest({ method: 'POST', body, headers: createAuthHeaders(email) });
+}
+
+afterEach(() => {
+  mm.resetAll();
+});
+
+describe('POST /api/docs/merge', () => {
+  it('returns 401 without a token', async () => {
+    const res = await handler(createMockRequest({ method: 'POST', body: { docIds: ['doc-a', 'doc-b'] } }));
+    assert.equal(res.status, 401);
+  });
+
+  it('returns 400 for a body that is not JSON', async () => {
+    const res = await handler(createBadJsonRequest({ headers: createAuthHeaders(OWNER) }));
+    assert.equal(res.jsonBody.error.code, 'invalid_json');
+  });
+
+  it('needs at least two documents', async () => {
+    for (const docIds of [undefined, ['doc-a'], ['doc-a', '']]) {
+      const res = await handler(request({ docIds }));
+      assert.equal(res.status, 400);
+      assert.equal(res.jsonBody.error.code, 'validation_error');
+    }
+  });
+
+  it('returns 404 naming the missing document', async () => {
+    mm.setGetDocument(docs());
+
+    const res = await handler(request({ docIds: ['doc-a', 'doc-x'] }));
+
+    assert.equal(res.status, 404);
+    assert.equal(res.jsonBody.error.details.docId, 'doc-x');
+  });
+
+  it('returns 403 when any input is not shared with the caller', async () => {
+    const createJob = mm.spy();
+    mm.setGetDocument(docs({ 'doc-b': { docId: 'doc-b', ownerEmail: OTHER, sourceBlobName: 'x.pdf' } }));
+    mm.setCreateJob(createJob);
+
+    const res = await handler(request({ docIds: ['doc-a', 'doc-b'] }));
+
+    assert.equal(res.status, 403);
+    assert.equal(createJob.calls.length, 0);
+  });
+
+  for (const role of ['viewer', 'commenter', 'editor']) {
+    it(`returns 403 when an input is only shared with the caller as ${role}`, async () => {
+      const createJob = mm.spy();
+      mm.setGetDocument(docs({ 'doc-b': { docId: 'doc-b', ownerEmail: OTHER, sourceBlobName: 'x.pdf' } }));
+      mm.setGetShare(async () => ({ role }));
+      mm.setCreateJob(createJob);
+
+      const res = await handler(request({ docIds: ['doc-a', 'doc-b'] }));
+
+      assert.equal(res.status, 403);
+      assert.equal(res.jsonBody.error.details.role, role);
+      assert.equal(createJob.calls.length, 0);
+    });
+  }
+
+  it('returns 409 when an input has no source file', async () => {
+    mm.setGetDocument(docs({ 'doc-b': { docId: 'doc-b', ownerEmail: OWNER } }));
+
+    const res = await handler(request({ docIds: ['doc-a', 'doc-b'] }));
+
+    assert.equal(res.status, 409);
+    assert.equal(res.jsonBody.error.details.docId, 'doc-b');
+  });
+
+  it('returns 409 when an input upload has not been accepted', async () => {
+    mm.setGetDocument(docs({ 'doc-b': { docId: 'doc-b', ownerEmail: OWNER, sourceBlobName: 'b.pdf', status: 'uploading' } }));
+
+    const res = await handler(request({ docIds: ['doc-a', 'doc-b'] }));
+
+    assert.equal(res.status, 409);
+    assert.equal(res.jsonBody.error.details.docId, 'doc-b');
+  });
+
+  it('queues a merge job that creates a new document for the caller', async () => {
+    const createJob = mm.spy();
+    const send = mm.spy();
+    mm.setGetDocument(docs());
+    mm.setCreateJob(createJob);
+    mm.setSendQueueMessage(send);
+
+    const res = await handler(request({ docIds: ['doc-b', 'doc-a', 'doc-b'], title: 'Exhibits A to C' }));
+
+    assert.equal(res.status, 202);
+    const job = createJob.calls[0][0];
+    assert.equal(job.jobId, res.jsonBody.jobId);
+    assert.equal(job.docId, res.jsonBody.docId);
+    assert.equal(job.type, 'merge');
+    assert.equal(job.progressTotal, 3);
+
+    const [queueName, message] = send.calls[0];
+    assert.equal(queueName, config.mergeQueue);
+    assert.deepEqual(message.sourceDocIds, ['doc-b', 'doc-a', 'doc-b']);
+    assert.equal(message.docId, res.jsonBody.docId);
+    assert.equal(message.ownerEmail, OWNER);
+    assert.equal(message.title, 'Exhibits-A-to-C.pdf');
+  });
+});
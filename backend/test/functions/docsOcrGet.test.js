@@ -0,0 +1,262 @@
+// backend/test/functions/docsOcrGet.test.js
+//
+// Tests for GET /api/docs/{docId}/ocr  (docs-ocr-get handler)
+
+// ── 1. Setup env vars (must be first) ──────────────────────────────────────
+require('../_helpers/setup');
+
+// ── 2. Module-mocks (MUST come before any source require) ──────────────────
+const mm = require('../_helpers/module-mocks');
+
+// ── 3. Test framework + helpers ────────────────────────────────────────────
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockRequest, createAuthHeaders } = require('../_helpers/mocks');
+const { config } = require('../../src/lib/config');
+const { normalizeOcrResult } = require('../../src/lib/ocrDocument');
+const { extractStructure } = require('../../src/lib/ocrStructure');
+
+// ── 4. Capture handler then load source ────────────────────────────────────
+let handler;
+const { app } = require('@azure/functions');
+const origHttp = app.http;
+app.http = (name, opts) => {
+  if (name === 'docs-ocr-get') handler = opts.handler;
+};
+require('../../src/functions/docsOcrGet');
+app.http = origHttp;
+
+const OWNER = 'owner@example.com';
+const DOC_ID = 'doc-scan';
+const SOURCE = `${OWNER}/${DOC_ID}/scan.pdf`;
+const OCR_BLOB = `${OWNER}/${DOC_ID}/ocr-1.json`;
+
+function makeDoc(overrides = {}) {
+  return {
+    docId: DOC_ID,
+    ownerEmail: OWNER,
+    sourceBlobName: SOURCE,
+    ocrResult: JSON.stringify({ jobId: 'ocr-1', blobName: OCR_BLOB, sourceBlobName: SOURCE, analyzedAt: '2026-01-02T03:04:05.000Z' }),
+    ...overrides,
+  };
+}
+
+function line(content, y) {
+  return { content, polygon: [10, y, 90, y, 90, y + 10, 10, y + 10] };
+}
+
+const analysis = {
+  result: {
+    pages: [
+      { pageNumber: 3, width: 100, height: 200, lines: [line('Page three', 20)] },
+      { pageNumber: 1, width: 100, height: 200, lines: [line('Invoice 42', 20), line('Total  $10 ', 60)] },
+    ],
+  },
+};
+
+function request(email = OWNER, query = {}) {
+  return createMockRequest({ method: 'GET', params: { docId: DOC_ID }, query, headers: createAuthHeaders(email) });
+}
+
+afterEach(() => {
+  mm.resetAll();
+});
+
+describe('GET /api/docs/:docId/ocr', () => {
+  it('returns 401 without a token', async () => {
+    const res = await handler(createMockRequest({ method: 'GET', params: { docId: DOC_ID } }));
+    assert.equal(res.status, 401);
+  });
+
+  it('returns 404 for an unknown document', async () => {
+    const res = await handler(request());
+    assert.equal(res.status, 404);
+    assert.equal(res.jsonBody.error.code, 'not_found');
+  });
+
+  it('returns 403 for a document that is not shared with the caller', async () => {
+    mm.setGetDocument(async () => makeDoc());
+
+    const res = await handler(request('stranger@example.com'));
+    assert.equal(res.status, 403);
+  });
+
+  it('returns 404 ocr_not_found when OCR has not run on the current pages', async () => {
+    for (const overrides of [{ ocrResult: undefined }, { sourceBlobName: `${OWNER}/${DOC_ID}/rebuilt.pdf` }]) {
+      mm.setGetDocument(async () => makeDoc(overrides));
+      const res = await handler(request());
+      assert.equal(res.status, 404);
+      assert.equal(res.jsonBody.error.code, 'ocr_not_found');
+    }
+  });
+
+  it('returns the text and line positions of each page for a viewer', async () => {
+    const downloads = mm.spy(async () => Buffer.from(JSON.stringify(analysis)));
+    mm.setGetDocument(async () => makeDoc());
+    mm.setGetShare(async () => ({ docId: DOC_ID, email: 'viewer@example.com', role: 'viewer' }));
+    mm.setDownloadToBuffer(downloads);
+
+    const res = await handler(request('viewer@example.com'));
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(downloads.calls[0], [config.ocrContainer, OCR_BLOB]);
+    assert.equal(res.jsonBody.jobId, 'ocr-1');
+    assert.equal(res.jsonBody.analyzedAt, '2026-01-02T03:04:05.000Z');
+    assert.deepEqual(res.jsonBody.pages.map((p) => [p.pageNumber, p.text]), [[1, 'Invoice 42\nTotal  $10'], [3, 'Page three']]);
+    assert.deepEqual(res.jsonBody.pages[0].lines[0].polygon, [
+      { x: 0.1, y: 0.1 }, { x: 0.9, y: 0.1 }, { x: 0.9, y: 0.15 }, { x: 0.1, y: 0.15 },
+    ]);
+    assert.deepEqual(res.jsonBody.pagesWithoutImages, []);
+  });
+
+  it('lists the pages Tesseract skipped for having no image', async () => {
+    const skipped = normalizeOcrResult({ ...analysis.result, pagesWithoutImages: [2] }, new Map(), {
+      docId: DOC_ID, jobId: 'ocr-1', provider: 'tesseract', model: 'tesseract-eng', analyzedAt: null,
+    });
+    const ocrResult = JSON.parse(makeDoc().ocrResult);
+    mm.setGetDocument(async () => makeDoc({ ocrResult: JSON.stringify({ ...ocrResult, documentBlobName: 'doc.json' }) }));
+    mm.setDownloadToBuffer(async () => Buffer.from(JSON.stringify(skipped)));
+
+    const res = await handler(request());
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.jsonBody.pagesWithoutImages, [2]);
+  });
+
+  describe('normalized documents', () => {
+    const DOCUMENT_BLOB = `${OWNER}/${DOC_ID}/ocr-1.document.json`;
+    const document = normalizeOcrResult(analysis.result, new Map([[1, { width: 200, height: 400 }], [3, { width: 200, height: 400 }]]), {
+      docId: DOC_ID, jobId: 'ocr-1', provider: 'tesseract', model: 'tesseract-eng', analyzedAt: '2026-01-02T03:04:05.000Z',
+    });
+
+    function withDocument() {
+      const downloads = mm.spy(async () => Buffer.from(JSON.stringify(document)));
+      const ocrResult = JSON.parse(makeDoc().ocrResult);
+      mm.setGetDocument(async () => makeDoc({ ocrResult: JSON.stringify({ ...ocrResult, documentBlobName: DOCUMENT_BLOB }) }));
+      mm.setDownloadToBuffer(downloads);
+      return downloads;
+    }
+
+    it('reads the text from the normalized document when there is one', async () => {
+      const downloads = withDocument();
+
+      const res = await handler(request());
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(downloads.calls[0], [config.ocrContainer, DOCUMENT_BLOB]);
+      assert.deepEqual(res.jsonBody.pages.map((p) => [p.pageNumber, p.text]), [[1, 'Invoice 42\nTotal  $10'], [3, 'Page three']]);
+      assert.deepEqual(res.jsonBody.pages[0].lines[0].polygon[0], { x: 0.1, y: 0.1 });
+    });
+
+    it('returns the normalized document itself with format=document', async () => {
+      withDocument();
+
+      const res = await handler(request(OWNER, { format: 'document' }));
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.jsonBody, document);
+    });
+
+    it('normalizes an older raw result on the way out', async () => {
+      mm.setGetDocument(async () => makeDoc());
+      mm.setDownloadToBuffer(async () => Buffer.from(JSON.stringify({ ...analysis, provider: 'azure', model: 'prebuilt-read' })));
+
+      const res = await handler(request(OWNER, { format: 'document' }));
+
+      assert.equal(res.status, 200);
+      assert.equal(res.jsonBody.schemaVersion, '1.0');
+      assert.equal(res.jsonBody.model, 'prebuilt-read');
+      assert.deepEqual(res.jsonBody.pages[0].lines[0].bounds, { x: 10, y: 20, w: 80, h: 10 });
+    });
+
+    it('rejects an unknown format', async () => {
+      const res = await handler(request(OWNER, { format: 'xml' }));
+      assert.equal(res.status, 400);
+      assert.equal(res.jsonBody.error.code, 'validation_error');
+    });
+  });
+
+  describe('tables and fields', () => {
+    const STRUCTURE_BLOB = `${OWNER}/${DOC_ID}/ocr-2.structure.json`;
+    const structure = extractStructure({
+      tables: [{ rowCount: 2, columnCount: 2, cells: [
+        { kind: 'columnHeader', rowIndex: 0, columnIndex: 0, content: 'Item' },
+        { kind: 'columnHeader', rowIndex: 0, columnIndex: 1, content: 'Amount' },
+        { rowIndex: 1, columnIndex: 0, content: 'Paper, A4' },
+        { rowIndex: 1, columnIndex: 1, content: '$10.00' },
+      ] }],
+      keyValuePairs: [{ key: { content: 'PO' }, value: { content: '7' }, confidence: 0.9 }],
+      documents: [{ docType: 'invoice', fields: {
+        InvoiceTotal: { kind: 'currency', value: { amount: 10 }, confidence: 0.8 },
+        Items: { kind: 'array', values: [{ kind: 'object', properties: { Description: { kind: 'string', value: 'Paper' }, Amount: { kind: 'currency', value: { amount: 10 } } } }] },
+      } }],
+    }, { docId: DOC_ID, jobId: 'ocr-2', mode: 'invoice', model: 'prebuilt-invoice', analyzedAt: '2026-01-02T03:04:05.000Z' });
+
+    function withStructure() {
+      mm.setGetDocument(async () => makeDoc({
+        ocrResult: JSON.stringify({ jobId: 'ocr-2', blobName: OCR_BLOB, structureBlobName: STRUCTURE_BLOB, mode: 'invoice', sourceBlobName: SOURCE }),
+      }));
+      const downloads = mm.spy(async () => Buffer.from(JSON.stringify(structure)));
+      mm.setDownloadToBuffer(downloads);
+      return downloads;
+    }
+
+    it('returns the extracted tables and fields with format=structure', async () => {
+      const downloads = withStructure();
+
+      const res = await handler(request(OWNER, { format: 'structure' }));
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(downloads.calls[0], [config.ocrContainer, STRUCTURE_BLOB]);
+      assert.deepEqual(res.jsonBody, structure);
+    });
+
+    it('downloads a table as CSV', async () => {
+      withStructure();
+
+      const res = await handler(request(OWNER, { format: 'csv', table: '1' }));
+
+      assert.equal(res.status, 200);
+      assert.equal(res.headers['Content-Type'], 'text/csv; charset=utf-8');
+      assert.equal(res.headers['Content-Disposition'], `attachment; filename="${DOC_ID}-table-1.csv"`);
+      assert.equal(res.body, 'Item,Amount\r\n"Paper, A4",$10.00\r\n');
+    });
+
+    it('downloads invoice line items and fields as CSV', async () => {
+      withStructure();
+
+      const items = await handler(request(OWNER, { format: 'csv', table: 'items' }));
+      const fields = await handler(request(OWNER, { format: 'csv', table: 'fields' }));
+
+      assert.equal(items.body, 'Description,Amount\r\nPaper,10\r\n');
+      assert.equal(items.headers['Content-Disposition'], `attachment; filename="${DOC_ID}-items.csv"`);
+      assert.equal(fields.body, 'name,value,confidence,page\r\nPO,7,0.9,\r\nInvoiceTotal,10,0.8,\r\n');
+    });
+
+    it('returns 404 table_not_found past the last table', async () => {
+      withStructure();
+
+      const res = await handler(request(OWNER, { format: 'csv', table: '2' }));
+
+      assert.equal(res.status, 404);
+      assert.equal(res.jsonBody.error.code, 'table_not_found');
+    });
+
+    it('rejects a CSV request without a valid table', async () => {
+      for (const table of [undefined, '0', 'all', '1.5']) {
+        const res = await handler(request(OWNER, table === undefined ? { format: 'csv' } : { format: 'csv', table }));
+        assert.equal(res.status, 400, `table ${table}`);
+        assert.equal(res.jsonBody.error.code, 'validation_error');
+      }
+    });
+
+    it('returns 404 structure_not_found when the latest OCR job only read text', async () => {
+      mm.setGetDocument(async () => makeDoc());
+
+      const res = await handler(request(OWNER, { format: 'structure' }));
+
+      assert.equal(res.status, 404);
+      assert.equal(res.jsonBody.error.code, 'structure_not_found');
+    });
+  });
+});
@@ -178,6 +178,39 @@ describe('docsOcrStart — POST /api/docs/{docId}/ocr', () => {
     assert.equal(response.jsonBody.error.code, 'forbidden');
   });
 
+  it('returns 403 for a viewer the document is shared with', async () => {
+    mm.setGetDocument(async () => makeDoc(OTHER_EMAIL));
+    mm.setGetShare(async () => ({ role: 'viewer' }));
+
+    const req = createMockRequest({
+      method:  'POST',
+      body:    {},
+      headers: createAuthHeaders(OWNER_EMAIL),
+      params:  { docId: DOC_ID },
+    });
+
+    const response = await capturedHandler(req);
+
+    assert.equal(response.status, 403);
+    assert.equal(response.jsonBody.error.details.role, 'viewer');
+  });
+
+  it('returns 202 for an editor the document is shared with', async () => {
+    mm.setGetDocument(async () => makeDoc(OTHER_EMAIL));
+    mm.setGetShare(async () => ({ role: 'editor' }));
+
+    const req = createMockRequest({
+      method:  'POST',
+      body:    {},
+      headers: createAuthHeaders(OWNER_EMAIL),
+      params:  { docId: DOC_ID },
+    });
+
+    const response = await capturedHandler(req);
+
+    assert.equal(response.status, 202);
+  });
+
   // -------------------------------------------------------------------------
   // pages validation — invalid inputs
   // -------------------------------------------------------------------------
@@ -202,6 +235,29 @@ describe('docsOcrStart — POST /api/docs/{docId}/ocr', () => {
     assert.equal(response.jsonBody.error.code, 'validation_error');
   });
 
+  it('returns 400 for inputs made of the right characters but not valid ranges', async () => {
+    for (const pages of ['--', '5-2', '0', '1,,']) {
+      const { response, capturedJob } = await runHandler({ body: { pages } });
+
+      assert.equal(response.status, 400, `${pages} should be rejected`);
+      assert.ok(response.jsonBody.error.details.errors[0].path.startsWith('pages'));
+      assert.equal(capturedJob, null);
+    }
+  });
+
+  it('returns 400 when pages run past the stored page count', async () => {
+    const { response } = await runHandler({ body: { pages: '2-9' }, docStub: { ...makeDoc(), pageCount: 4 } });
+
+    assert.equal(response.status, 400);
+    assert.match(response.jsonBody.error.message, /past the last page \(4\)/);
+  });
+
+  it('forwards pages sorted with overlaps joined', async () => {
+    const { capturedPayload } = await runHandler({ body: { pages: '7, 1-3, 2-4' } });
+
+    assert.equal(capturedPayload.pages, '1-4,7');
+  });
+
   // -------------------------------------------------------------------------
   // Successful responses (202)
   // -------------------------------------------------------------------------
@@ -306,4 +362,73 @@ describe('docsOcrStart — POST /api/docs/{docId}/ocr', () => {
     assert.ok(capturedPayload);
     assert.strictEqual(capturedPayload.pages, '');
   });
+
+  // -------------------------------------------------------------------------
+  // mode
+  // -------------------------------------------------------------------------
+  it('reads text (mode "read") when no mode is given', async () => {
+    const { capturedJob, capturedPayload } = await runHandler({ body: {} });
+
+    assert.equal(capturedJob.mode, 'read');
+    assert.equal(capturedPayload.mode, 'read');
+  });
+
+  it('forwards the requested mode to the job and the queue', async () => {
+    const { response, capturedJob, capturedPayload } = await runHandler({ body: { mode: 'invoice', pages: '1' } });
+
+    assert.equal(response.status, 202);
+    assert.equal(capturedJob.mode, 'invoice');
+    assert.equal(capturedPayload.mode, 'invoice');
+  });
+
+  it('returns 400 for a mode that is not in the list, such as a raw model id', async () => {
+    for (const mode of ['prebuilt-tax.us.w2', 'Layout', 7, null]) {
+      const { response, capturedJob } = await runHandler({ body: { mode } });
+
+      assert.equal(response.status, 400, `mode ${mode}`);
+      assert.equal(response.jsonBody.error.code, 'validation_error');
+      assert.match(response.jsonBody.error.message, /mode must be one of read, layout, invoice, receipt, id/);
+      assert.equal(capturedJob, null);
+    }
+  });
+
+  it('returns 400 for a mode the configured provider cannot run', async () => {
+    const original = config.ocrProvider;
+    config.ocrProvider = 'tesseract';
+    try {
+      const { response, capturedJob } = await runHandler({ body: { mode: 'layout' } });
+
+      assert.equal(response.status, 400);
+      assert.match(response.jsonBody.error.message, /mode "layout" is not available with the tesseract OCR provider/);
+      assert.equal(capturedJob, null);
+      assert.equal((await runHandler({ body: { mode: 'read' } })).response.status, 202);
+    } finally {
+      config.ocrProvider = original;
+    }
+  });
+
+  // -------------------------------------------------------------------------
+  // force
+  // -------------------------------------------------------------------------
+  it('does not force a new analysis unless asked', async () => {
+    const { capturedJob, capturedPayload } = await runHandler({ body: {} });
+
+    assert.strictEqual(capturedJob.force, false);
+    assert.strictEqual(capturedPayload.force, false);
+  });
+
+  it('forwards force: true to bypass cached results', async () => {
+    const { response, capturedPayload } = await runHandler({ body: { force: true } });
+
+    assert.equal(response.status, 202);
+    assert.strictEqual(capturedPayload.force, true);
+  });
+
+  it('returns 400 when force is not a boolean', async () => {
+    const { response, capturedJob } = await runHandler({ body: { force: 'yes' } });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.jsonBody.error.message, 'force must be a boolean');
+    assert.equal(capturedJob, null);
+  });
 });
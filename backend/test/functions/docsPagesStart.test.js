@@ -0,0 +1,126 @@
+// backend/test/functions/docsPagesStart.test.js
+//
+// Tests for POST /api/docs/{docId}/pages  (docs-pages-start handler)
+
+// ── 1. Setup env vars (must be first) ──────────────────────────────────────
+require('../_helpers/setup');
+
+// ── 2. Module-mocks (MUST come before any source require) ──────────────────
+const mm = require('../_helpers/module-mocks');
+
+// ── 3. Test framework + helpers ────────────────────────────────────────────
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockRequest, createAuthHeaders, createBadJsonRequest } = require('../_helpers/mocks');
+const { config } = require('../../src/lib/config');
+
+// ── 4. Capture handler then load source ────────────────────────────────────
+let handler;
+const { app } = require('@azure/functions');
+const origHttp = app.http;
+app.http = (name, opts) => {
+  if (name === 'docs-pages-start') handler = opts.handler;
+};
+require('../../src/functions/docsPagesStart');
+app.http = origHttp;
+
+const OWNER = 'owner@example.com';
+const EDITOR = 'editor@example.com';
+const DOC_ID = 'doc-pages-001';
+const SOURCE = `${OWNER}/${DOC_ID}/contract.pdf`;
+
+function makeDoc(overrides = {}) {
+  return { docId: DOC_ID, ownerEmail: OWNER, sourceBlobName: SOURCE, version: 3, ...overrides };
+}
+
+function request(body, email = OWNER) {
+  return createMockRequest({
+    method: 'POST',
+    body,
+    params: { docId: DOC_ID },
+    headers: createAuthHeaders(email),
+  });
+}
+
+afterEach(() => {
+  mm.resetAll();
+});
+
+describe('POST /api/docs/{docId}/pages', () => {
+  it('returns 401 without a token', async () => {
+    const res = await handler(createMockRequest({ method: 'POST', body: {}, params: { docId: DOC_ID } }));
+    assert.equal(res.status, 401);
+  });
+
+  it('returns 400 for a body that is not JSON', async () => {
+    const res = await handler(createBadJsonRequest({ params: { docId: DOC_ID }, headers: createAuthHeaders(OWNER) }));
+    assert.equal(res.status, 400);
+    assert.equal(res.jsonBody.error.code, 'invalid_json');
+  });
+
+  it('returns 400 with per-edit errors for malformed edits', async () => {
+    mm.setGetDocument(async () => makeDoc());
+
+    const res = await handler(request({ edits: [{ type: 'rotate', page: 1, degrees: 45 }] }));
+
+    assert.equal(res.status, 400);
+    assert.equal(res.jsonBody.error.code, 'validation_error');
+    assert.equal(res.jsonBody.error.details.errors[0].path, 'edits[0].degrees');
+  });
+
+  it('checks positions against a known page count', async () => {
+    mm.setGetDocument(async () => makeDoc({ pageCount: 2 }));
+
+    const res = await handler(request({ edits: [{ type: 'move', page: 1, to: 5 }] }));
+
+    assert.equal(res.status, 400);
+    assert.equal(res.jsonBody.error.details.errors[0].path, 'edits[0].to');
+  });
+
+  it('returns 404 for an unknown document', async () => {
+    const res = await handler(request({ edits: [{ type: 'delete', page: 1 }] }));
+    assert.equal(res.status, 404);
+  });
+
+  it('returns 403 for a commenter', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    mm.setGetShare(async () => ({ role: 'commenter' }));
+
+    const res = await handler(request({ edits: [{ type: 'delete', page: 1 }] }, EDITOR));
+
+    assert.equal(res.status, 403);
+  });
+
+  it('returns 409 while the document has no source file', async () => {
+    mm.setGetDocument(async () => makeDoc({ sourceBlobName: '' }));
+
+    const res = await handler(request({ edits: [{ type: 'delete', page: 1 }] }));
+
+    assert.equal(res.status, 409);
+  });
+
+  it('queues a pages job for an editor', async () => {
+    const edits = [{ type: 'move', page: 2, to: 1 }, { type: 'insertBlank', after: 0 }];
+    const createJob = mm.spy();
+    const send = mm.spy();
+    mm.setGetDocument(async () => makeDoc({ pageCount: 2 }));
+    mm.setGetShare(async () => ({ role: 'editor' }));
+    mm.setCreateJob(createJob);
+    mm.setSendQueueMessage(send);
+
+    const res = await handler(request({ edits }, EDITOR));
+
+    assert.equal(res.status, 202);
+    const job = createJob.calls[0][0];
+    assert.equal(job.jobId, res.jsonBody.jobId);
+    assert.equal(job.type, 'pages');
+    assert.equal(job.status, 'queued');
+    assert.equal(job.ownerEmail, EDITOR);
+
+    const [queueName, message] = send.calls[0];
+    assert.equal(queueName, config.pagesQueue);
+    assert.equal(message.jobId, job.jobId);
+    assert.equal(message.sourceBlobName, SOURCE);
+    assert.deepEqual(message.edits, edits);
+  });
+});
@@ -12,7 +12,13 @@ const mm = require('../_helpers/module-mocks');
 
 const { describe, it, beforeEach } = require('node:test');
 const assert = require('node:assert/strict');
-const { createMockRequest, createAuthHeaders, createBadJsonRequest } = require('../_helpers/mocks');
+const {
+  createMockRequest,
+  createAuthHeaders,
+  createBadJsonRequest,
+  createAnnotationOp,
+  createAnnotationSet
+} = require('../_helpers/mocks');
 
 // ---------------------------------------------------------------------------
 // Capture the handler by intercepting app.http before requiring the module.
@@ -31,13 +37,13 @@ app.http = origHttp;
 // Helpers
 // ---------------------------------------------------------------------------
 
-/** Build a request that has a valid Bearer token and a valid JSON body. */
+/** Build a request that has a valid Bearer token and a valid JSON body, based on version 1. */
 function makeValidRequest({ docId = 'doc-abc', operations = [], extraPayload = {} } = {}) {
   return createMockRequest({
     method: 'POST',
     headers: createAuthHeaders('owner@test.redarm'),
     params: { docId },
-    body: { operations, ...extraPayload }
+    body: createAnnotationSet(operations, { baseVersion: 1, ...extraPayload })
   });
 }
 
@@ -210,13 +216,8 @@ describe('docsSaveAnnotation handler — POST /api/docs/{docId}/save-annotation'
     mm.setGetDocument(async () => makeDocument());
     mm.setUpsertDocument(async () => {});
 
-    const ops = Array.from({ length: 1000 }, (_, i) => ({ id: i }));
-    const req = createMockRequest({
-      method: 'POST',
-      headers: createAuthHeaders('owner@test.redarm'),
-      params: { docId: 'doc-abc' },
-      body: { operations: ops }
-    });
+    const ops = Array.from({ length: 1000 }, () => createAnnotationOp());
+    const req = makeValidRequest({ operations: ops });
 
     const res = await capturedHandler(req);
 
@@ -265,6 +266,53 @@ describe('docsSaveAnnotation handler — POST /api/docs/{docId}/save-annotation'
     assert.equal(res.jsonBody.ok, true);
   });
 
+  it('returns 403 for a viewer the document is shared with', async () => {
+    mm.setGetDocument(async () => makeDocument({ ownerEmail: 'other@test.redarm' }));
+    mm.setGetShare(async () => ({ role: 'viewer' }));
+
+    const res = await capturedHandler(makeValidRequest());
+
+    assert.equal(res.status, 403);
+    assert.equal(res.jsonBody.error.details.role, 'viewer');
+  });
+
+  it('lets an editor the document is shared with save any change', async () => {
+    mm.setGetDocument(async () => makeDocument({ ownerEmail: 'other@test.redarm' }));
+    mm.setGetShare(async () => ({ role: 'editor' }));
+
+    const res = await capturedHandler(makeValidRequest({ operations: [createAnnotationOp({ author: 'other@test.redarm' })] }));
+
+    assert.equal(res.status, 200);
+  });
+
+  it('lets a commenter add their own text note', async () => {
+    mm.setGetDocument(async () => makeDocument({ ownerEmail: 'other@test.redarm' }));
+    mm.setGetShare(async () => ({ role: 'commenter' }));
+
+    const res = await capturedHandler(makeValidRequest({
+      operations: [createAnnotationOp({ opType: 'text', author: 'owner@test.redarm', payload: { text: 'Check this' } })]
+    }));
+
+    assert.equal(res.status, 200);
+  });
+
+  it('rejects a commenter save that touches anything but their own text notes', async () => {
+    const versionSpy = mm.spy(async () => {});
+    mm.setGetDocument(async () => ({
+      ...makeDocument({ ownerEmail: 'other@test.redarm' }),
+      annotationJson: JSON.stringify(createAnnotationSet([createAnnotationOp({ opId: 'theirs', author: 'other@test.redarm' })]))
+    }));
+    mm.setGetShare(async () => ({ role: 'commenter' }));
+    mm.setCreateDocumentVersion(versionSpy);
+
+    // Drops the owner's highlight and adds a highlight of their own.
+    const res = await capturedHandler(makeValidRequest({ operations: [createAnnotationOp({ opId: 'mine' })] }));
+
+    assert.equal(res.status, 403);
+    assert.deepEqual(res.jsonBody.error.details.opIds.sort(), ['mine', 'theirs']);
+    assert.equal(versionSpy.calls.length, 0);
+  });
+
   // -------------------------------------------------------------------------
   // 7. Successful save — return shape
   // -------------------------------------------------------------------------
@@ -272,7 +320,7 @@ describe('docsSaveAnnotation handler — POST /api/docs/{docId}/save-annotation'
     mm.setGetDocument(async () => makeDocument({ version: 1 }));
     mm.setUpsertDocument(async () => {});
 
-    const req = makeValidRequest({ operations: [{ type: 'highlight' }] });
+    const req = makeValidRequest({ operations: [createAnnotationOp()] });
     const res = await capturedHandler(req);
 
     assert.equal(res.status, 200);
@@ -297,7 +345,7 @@ describe('docsSaveAnnotation handler — POST /api/docs/{docId}/save-annotation'
     mm.setGetDocument(async () => makeDocument({ version: 5 }));
     mm.setUpsertDocument(async () => {});
 
-    const req = makeValidRequest();
+    const req = makeValidRequest({ extraPayload: { baseVersion: 5 } });
     const res = await capturedHandler(req);
 
     assert.equal(res.jsonBody.versionId, 'v6');
@@ -308,7 +356,7 @@ describe('docsSaveAnnotation handler — POST /api/docs/{docId}/save-annotation'
     mm.setGetDocument(async () => makeDocument({ version: 3 }));
     mm.setUpsertDocument(async (entity) => { captured = entity; });
 
-    const req = makeValidRequest();
+    const req = makeValidRequest({ extraPayload: { baseVersion: 3 } });
     await capturedHandler(req);
 
     assert.equal(captured.version, 4);
@@ -318,14 +366,14 @@ describe('docsSaveAnnotation handler — POST /api/docs/{docId}/save-annotation'
   // 9. annotationJson stored as stringified payload
   // -------------------------------------------------------------------------
   it('stores annotationJson as the JSON-stringified form of the full payload', async () => {
-    const payload = { operations: [{ type: 'rect', page: 2 }], meta: 'test-meta' };
+    const payload = createAnnotationSet([createAnnotationOp({ opType: 'shape', page: 2, payload: { meta: 'test-meta' } })]);
     let upsertArg;
     mm.setGetDocument(async () => makeDocument());
     mm.setUpsertDocument(async (entity) => { upsertArg = entity; });
 
     const req = createMockRequest({
       method: 'POST',
-      headers: createAuthHeaders('owner@test.redarm'),
+      headers: { ...createAuthHeaders('owner@test.redarm'), 'if-match': '"1"' },
       params: { docId: 'doc-abc' },
       body: payload
     });
@@ -344,4 +392,249 @@ describe('docsSaveAnnotation handler — POST /api/docs/{docId}/save-annotation'
 
     assert.equal(upsertArg.docId, 'my-special-doc-id');
   });
+
+  // -------------------------------------------------------------------------
+  // Version history
+  // -------------------------------------------------------------------------
+  it('records the saved payload as an immutable version row', async () => {
+    const versionSpy = mm.spy(async () => {});
+    mm.setGetDocument(async () => makeDocument({ version: 2 }));
+    mm.setCreateDocumentVersion(versionSpy);
+
+    const payload = createAnnotationSet([createAnnotationOp({ opId: 'a' })]);
+    await capturedHandler(createMockRequest({
+      method: 'POST',
+      headers: { ...createAuthHeaders('owner@test.redarm'), 'if-match': '"2"' },
+      params: { docId: 'doc-abc' },
+      body: payload
+    }));
+
+    assert.equal(versionSpy.calls.length, 1);
+    const entity = versionSpy.calls[0][0];
+    assert.equal(entity.docId, 'doc-abc');
+    assert.equal(entity.version, 3);
+    assert.equal(entity.versionId, 'v3');
+    assert.equal(entity.annotationJson, JSON.stringify(payload));
+    assert.equal(entity.operationCount, 1);
+    assert.equal(entity.createdBy, 'owner@test.redarm');
+  });
+
+  it('returns 409 without touching the document when the version row already exists', async () => {
+    const upsertSpy = mm.spy(async () => {});
+    mm.setGetDocument(async () => makeDocument());
+    mm.setUpsertDocument(upsertSpy);
+    mm.setCreateDocumentVersion(async () => {
+      const err = new Error('Conflict');
+      err.statusCode = 409;
+      throw err;
+    });
+
+    const res = await capturedHandler(makeValidRequest());
+
+    assert.equal(res.status, 409);
+    assert.equal(res.jsonBody.error.code, 'conflict');
+    assert.equal(upsertSpy.calls.length, 0);
+  });
+
+  // -------------------------------------------------------------------------
+  // Optimistic concurrency (baseVersion / If-Match)
+  // -------------------------------------------------------------------------
+  it('saves when baseVersion matches the current version', async () => {
+    mm.setGetDocument(async () => makeDocument({ version: 4 }));
+
+    const res = await capturedHandler(makeValidRequest({ extraPayload: { baseVersion: 4 } }));
+
+    assert.equal(res.status, 200);
+    assert.equal(res.jsonBody.version, 5);
+    assert.equal(res.headers.ETag, '"5"');
+  });
+
+  it('does not store baseVersion in the annotation JSON', async () => {
+    let upsertArg;
+    mm.setGetDocument(async () => makeDocument({ version: 2 }));
+    mm.setUpsertDocument(async (entity) => { upsertArg = entity; });
+
+    const op = createAnnotationOp({ opId: 'a' });
+    await capturedHandler(makeValidRequest({ operations: [op], extraPayload: { baseVersion: 2 } }));
+
+    assert.deepEqual(JSON.parse(upsertArg.annotationJson), createAnnotationSet([op]));
+  });
+
+  it('rejects a stale baseVersion with 409 and the server version', async () => {
+    const versionSpy = mm.spy(async () => {});
+    const upsertSpy = mm.spy(async () => {});
+    const serverOps = [{ opId: 'remote' }];
+    mm.setGetDocument(async () => ({
+      ownerEmail: 'owner@test.redarm',
+      version: 6,
+      annotationJson: JSON.stringify({ schemaVersion: '1.0', operations: serverOps })
+    }));
+    mm.setCreateDocumentVersion(versionSpy);
+    mm.setUpsertDocument(upsertSpy);
+
+    const res = await capturedHandler(makeValidRequest({ extraPayload: { baseVersion: 5 } }));
+
+    assert.equal(res.status, 409);
+    assert.equal(res.jsonBody.error.code, 'conflict');
+    assert.deepEqual(res.jsonBody.error.details, {
+      currentVersion: 6,
+      currentVersionId: 'v6',
+      annotations: { schemaVersion: '1.0', operations: serverOps }
+    });
+    assert.equal(versionSpy.calls.length, 0);
+    assert.equal(upsertSpy.calls.length, 0);
+  });
+
+  it('reads the base version from an If-Match header', async () => {
+    mm.setGetDocument(async () => makeDocument({ version: 3 }));
+    const request = (ifMatch) => createMockRequest({
+      method: 'POST',
+      headers: { ...createAuthHeaders('owner@test.redarm'), 'if-match': ifMatch },
+      params: { docId: 'doc-abc' },
+      body: createAnnotationSet()
+    });
+
+    assert.equal((await capturedHandler(request('"3"'))).status, 200);
+    assert.equal((await capturedHandler(request('"2"'))).status, 409);
+  });
+
+  it('returns 428 when the save names no base version', async () => {
+    const upsertSpy = mm.spy(async () => {});
+    mm.setGetDocument(async () => makeDocument());
+    mm.setUpsertDocument(upsertSpy);
+
+    const res = await capturedHandler(createMockRequest({
+      method: 'POST',
+      headers: createAuthHeaders('owner@test.redarm'),
+      params: { docId: 'doc-abc' },
+      body: createAnnotationSet()
+    }));
+
+    assert.equal(res.status, 428);
+    assert.equal(res.jsonBody.error.code, 'precondition_required');
+    assert.equal(upsertSpy.calls.length, 0);
+  });
+
+  it('refuses If-Match: * instead of saving unconditionally', async () => {
+    mm.setGetDocument(async () => makeDocument());
+
+    const res = await capturedHandler(createMockRequest({
+      method: 'POST',
+      headers: { ...createAuthHeaders('owner@test.redarm'), 'if-match': '*' },
+      params: { docId: 'doc-abc' },
+      body: createAnnotationSet()
+    }));
+
+    assert.equal(res.status, 400);
+    assert.equal(res.jsonBody.error.code, 'validation_error');
+  });
+
+  it('overwrites a newer version only when force is set, without storing the flag', async () => {
+    let upsertArg;
+    mm.setGetDocument(async () => makeDocument({ version: 7 }));
+    mm.setUpsertDocument(async (entity) => { upsertArg = entity; });
+
+    const stale = await capturedHandler(makeValidRequest({ extraPayload: { baseVersion: 3 } }));
+    assert.equal(stale.status, 409);
+
+    const forced = await capturedHandler(createMockRequest({
+      method: 'POST',
+      headers: createAuthHeaders('owner@test.redarm'),
+      params: { docId: 'doc-abc' },
+      body: createAnnotationSet([], { force: true })
+    }));
+    assert.equal(forced.status, 200);
+    assert.equal(forced.jsonBody.version, 8);
+    assert.deepEqual(JSON.parse(upsertArg.annotationJson), createAnnotationSet());
+  });
+
+  it('returns 400 when force is not a boolean', async () => {
+    mm.setGetDocument(async () => makeDocument());
+    const res = await capturedHandler(makeValidRequest({ extraPayload: { force: 'yes' } }));
+    assert.equal(res.status, 400);
+    assert.match(res.jsonBody.error.message, /force/);
+  });
+
+  it('returns 400 for a malformed baseVersion', async () => {
+    mm.setGetDocument(async () => makeDocument());
+    const res = await capturedHandler(makeValidRequest({ extraPayload: { baseVersion: 'latest' } }));
+    assert.equal(res.status, 400);
+    assert.equal(res.jsonBody.error.code, 'validation_error');
+  });
+
+  it('reports the winning version when a concurrent save claims the version row first', async () => {
+    let reads = 0;
+    mm.setGetDocument(async () => {
+      reads += 1;
+      return reads === 1 ? makeDocument({ version: 1 }) : makeDocument({ version: 2 });
+    });
+    mm.setCreateDocumentVersion(async () => {
+      const err = new Error('Conflict');
+      err.statusCode = 409;
+      throw err;
+    });
+
+    const res = await capturedHandler(makeValidRequest({ extraPayload: { baseVersion: 1 } }));
+
+    assert.equal(res.status, 409);
+    assert.equal(res.jsonBody.error.details.currentVersion, 2);
+  });
+
+  // -------------------------------------------------------------------------
+  // annotation-schema-v1 enforcement
+  // -------------------------------------------------------------------------
+  it('returns 400 when schemaVersion is missing', async () => {
+    const res = await capturedHandler(createMockRequest({
+      method: 'POST',
+      headers: createAuthHeaders('owner@test.redarm'),
+      params: { docId: 'doc-abc' },
+      body: { operations: [] }
+    }));
+
+    assert.equal(res.status, 400);
+    assert.equal(res.jsonBody.error.details.errors[0].path, 'schemaVersion');
+  });
+
+  it('returns per-operation details for operations that break the schema', async () => {
+    const upsertSpy = mm.spy(async () => {});
+    mm.setUpsertDocument(upsertSpy);
+
+    const res = await capturedHandler(makeValidRequest({
+      operations: [
+        createAnnotationOp({ opId: 'fine' }),
+        createAnnotationOp({ opId: 'wide', bounds: { x: 0, y: 0, w: -5, h: 10 } }),
+        createAnnotationOp({ opId: 'extra', note: 'hi' })
+      ]
+    }));
+
+    assert.equal(res.status, 400);
+    assert.equal(res.jsonBody.error.code, 'validation_error');
+    assert.match(res.jsonBody.error.message, /operations\[1\]\.bounds\.w .*\(and 1 more\)/);
+    assert.deepEqual(
+      res.jsonBody.error.details.errors.map((e) => [e.index, e.opId, e.path]),
+      [[1, 'wide', 'operations[1].bounds.w'], [2, 'extra', 'operations[2].note']]
+    );
+    assert.equal(upsertSpy.calls.length, 0);
+  });
+
+  it('rejects operations on pages past the document page count', async () => {
+    const versionSpy = mm.spy(async () => {});
+    mm.setGetDocument(async () => ({ ...makeDocument(), pageCount: 2 }));
+    mm.setCreateDocumentVersion(versionSpy);
+
+    const res = await capturedHandler(makeValidRequest({
+      operations: [createAnnotationOp({ page: 2 }), createAnnotationOp({ opId: 'late', page: 3 })]
+    }));
+
+    assert.equal(res.status, 400);
+    assert.equal(res.jsonBody.error.details.errors[0].opId, 'late');
+    assert.equal(versionSpy.calls.length, 0);
+  });
+
+  it('accepts any page number while the page count is unknown', async () => {
+    mm.setGetDocument(async () => makeDocument());
+    const res = await capturedHandler(makeValidRequest({ operations: [createAnnotationOp({ page: 40 })] }));
+    assert.equal(res.status, 200);
+  });
 });
+
@@ -0,0 +1,205 @@
+// backend/test/functions/docsSensitive.test.js
+//
+// Tests for the sensitive data scan routes:
+//   POST /api/docs/{docId}/sensitive-data          (docs-sensitive-start)
+//   GET  /api/docs/{docId}/sensitive-data/{jobId}  (docs-sensitive-get)
+
+// ── 1. Setup env vars (must be first) ──────────────────────────────────────
+require('../_helpers/setup');
+
+// ── 2. Module-mocks (MUST come before any source require) ──────────────────
+const mm = require('../_helpers/module-mocks');
+
+// ── 3. Test framework + helpers ────────────────────────────────────────────
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockRequest, createAuthHeaders } = require('../_helpers/mocks');
+
+// ── 4. Capture handlers then load sources ──────────────────────────────────
+const handlers = {};
+const { app } = require('@azure/functions');
+const origHttp = app.http;
+app.http = (name, opts) => { handlers[name] = opts.handler; };
+require('../../src/functions/docsSensitiveStart');
+require('../../src/functions/docsSensitiveGet');
+app.http = origHttp;
+
+const { config } = require('../../src/lib/config');
+const { SENSITIVE_KINDS } = require('../../src/lib/sensitive');
+
+const OWNER = 'owner@example.com';
+const DOC_ID = 'doc-sensitive-001';
+const JOB_ID = 'scan-1';
+
+function makeDoc(overrides = {}) {
+  return { docId: DOC_ID, ownerEmail: OWNER, pageCount: 80, sourceBlobName: `${OWNER}/${DOC_ID}/source.pdf`, ...overrides };
+}
+
+function startRequest(body, email = OWNER) {
+  return createMockRequest({ method: 'POST', params: { docId: DOC_ID }, headers: createAuthHeaders(email), body });
+}
+
+function getRequest(email = OWNER) {
+  return createMockRequest({ method: 'GET', params: { docId: DOC_ID, jobId: JOB_ID }, headers: createAuthHeaders(email) });
+}
+
+afterEach(() => {
+  mm.resetAll();
+});
+
+// ---------------------------------------------------------------------------
+// POST /docs/{docId}/sensitive-data
+// ---------------------------------------------------------------------------
+
+describe('POST /api/docs/{docId}/sensitive-data — docsSensitiveStart handler', () => {
+  const handler = handlers['docs-sensitive-start'];
+
+  function capture() {
+    const jobs = mm.spy(async () => {});
+    const messages = mm.spy(async () => {});
+    mm.setGetDocument(async () => makeDoc());
+    mm.setCreateJob(jobs);
+    mm.setSendQueueMessage(messages);
+    return { jobs, messages };
+  }
+
+  it('returns 401 without a token and 404 for an unknown document', async () => {
+    assert.equal((await handler(createMockRequest({ method: 'POST', params: { docId: DOC_ID } }))).status, 401);
+    assert.equal((await handler(startRequest({}))).status, 404);
+  });
+
+  it('lets only editors scan', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    mm.setGetShare(async () => ({ docId: DOC_ID, email: 'viewer@example.com', role: 'viewer' }));
+    const res = await handler(startRequest({}, 'viewer@example.com'));
+    assert.equal(res.status, 403);
+  });
+
+  it('queues a scan for every built-in kind by default', async () => {
+    const { jobs, messages } = capture();
+
+    const res = await handler(startRequest({}));
+
+    assert.equal(res.status, 202);
+    const [[job]] = jobs.calls;
+    assert.deepEqual([job.type, job.status, job.docId, job.ownerEmail, job.pages], ['sensitive', 'queued', DOC_ID, OWNER, '']);
+    assert.equal(res.jsonBody.jobId, job.jobId);
+    const [[queue, message]] = messages.calls;
+    assert.equal(queue, config.sensitiveQueue);
+    assert.deepEqual(
+      { ...message, createdAt: undefined },
+      { jobId: job.jobId, docId: DOC_ID, ownerEmail: OWNER, pages: '', kinds: SENSITIVE_KINDS, patterns: [], terms: [], createdAt: undefined }
+    );
+  });
+
+  it('passes pages, kinds, patterns and terms on to the worker', async () => {
+    const { messages } = capture();
+
+    const res = await handler(startRequest({
+      pages: '1-3, 10',
+      kinds: ['email', 'ssn'],
+      patterns: [{ name: 'Employee id', pattern: 'EMP-\\d+' }],
+      terms: ['Jane Doe'],
+    }));
+
+    assert.equal(res.status, 202);
+    const [[, message]] = messages.calls;
+    assert.equal(message.pages, '1-3,10');
+    assert.deepEqual(message.kinds, ['ssn', 'email']);
+    assert.deepEqual(message.patterns, [{ name: 'Employee id', pattern: 'EMP-\\d+' }]);
+    assert.deepEqual(message.terms, ['Jane Doe']);
+  });
+
+  it('rejects bad pages and options with every problem listed', async () => {
+    const { jobs } = capture();
+
+    const res = await handler(startRequest({ pages: '90', kinds: ['passport'], patterns: [{ name: 'x', pattern: '[' }] }));
+
+    assert.equal(res.status, 400);
+    assert.equal(res.jsonBody.error.code, 'validation_error');
+    assert.deepEqual(res.jsonBody.error.details.errors.map((e) => e.path), ['pages[0]', 'kinds[0]', 'patterns[0].pattern']);
+    assert.equal(jobs.calls.length, 0);
+  });
+
+  it('refuses a pattern prone to catastrophic backtracking', async () => {
+    const { jobs } = capture();
+
+    const res = await handler(startRequest({ patterns: [{ name: 'Slow', pattern: '(a+)+$' }] }));
+
+    assert.equal(res.status, 400);
+    assert.match(res.jsonBody.error.message, /patterns\[0\]\.pattern must not repeat a group that itself repeats/);
+    assert.equal(jobs.calls.length, 0);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// GET /docs/{docId}/sensitive-data/{jobId}
+// ---------------------------------------------------------------------------
+
+describe('GET /api/docs/{docId}/sensitive-data/{jobId} — docsSensitiveGet handler', () => {
+  const handler = handlers['docs-sensitive-get'];
+  const RESULT_BLOB = `${OWNER}/${DOC_ID}/${JOB_ID}.sensitive.json`;
+  const candidate = { id: 'p1-1', kind: 'ssn', label: null, text: '123-45-6789', page: 1, source: 'text', rects: [{ x: 1, y: 2, w: 3, h: 4 }] };
+  const scan = {
+    docId: DOC_ID,
+    jobId: JOB_ID,
+    sourceBlobName: makeDoc().sourceBlobName,
+    pages: null,
+    scannedAt: '2026-01-02T03:04:05.000Z',
+    options: { kinds: ['ssn'], patterns: [], terms: [] },
+    unreadablePages: [4],
+    truncated: false,
+    candidates: [candidate],
+  };
+
+  function withScan({ job = {}, doc = {} } = {}) {
+    const downloads = mm.spy(async () => Buffer.from(JSON.stringify(scan)));
+    mm.setGetDocument(async () => makeDoc(doc));
+    mm.setGetJob(async () => ({ jobId: JOB_ID, type: 'sensitive', docId: DOC_ID, ownerEmail: OWNER, status: 'completed', ...job }));
+    mm.setDownloadToBuffer(downloads);
+    return downloads;
+  }
+
+  it('returns the proposed redactions of a finished scan', async () => {
+    const downloads = withScan();
+
+    const res = await handler(getRequest());
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(downloads.calls[0], [config.ocrContainer, RESULT_BLOB]);
+    assert.deepEqual(res.jsonBody, {
+      docId: DOC_ID,
+      jobId: JOB_ID,
+      pages: null,
+      scannedAt: scan.scannedAt,
+      unreadablePages: [4],
+      truncated: false,
+      candidates: [candidate],
+    });
+  });
+
+  it('returns 404 for a job that is not a scan of this document', async () => {
+    withScan({ job: { type: 'ocr' } });
+    assert.equal((await handler(getRequest())).status, 404);
+    withScan({ job: { docId: 'other-doc' } });
+    assert.equal((await handler(getRequest())).status, 404);
+  });
+
+  it('returns 409 while the scan runs and once the pages have changed', async () => {
+    withScan({ job: { status: 'running' } });
+    const running = await handler(getRequest());
+    assert.equal(running.status, 409);
+    assert.equal(running.jsonBody.error.code, 'scan_not_ready');
+
+    withScan({ doc: { sourceBlobName: `${OWNER}/${DOC_ID}/reorganized.pdf` } });
+    const outdated = await handler(getRequest());
+    assert.equal(outdated.status, 409);
+    assert.equal(outdated.jsonBody.error.code, 'scan_outdated');
+  });
+
+  it('keeps findings from viewers', async () => {
+    withScan();
+    mm.setGetShare(async () => ({ docId: DOC_ID, email: 'viewer@example.com', role: 'viewer' }));
+    assert.equal((await handler(getRequest('viewer@example.com'))).status, 403);
+  });
+});
@@ -0,0 +1,195 @@
+// backend/test/functions/docsShares.test.js
+//
+// Tests for the document sharing routes:
+//   GET    /api/docs/{docId}/shares            (docs-shares-list)
+//   POST   /api/docs/{docId}/shares            (docs-share-upsert)
+//   DELETE /api/docs/{docId}/shares/{email}    (docs-share-delete)
+
+// ── 1. Setup env vars (must be first) ──────────────────────────────────────
+require('../_helpers/setup');
+
+// ── 2. Module-mocks (MUST come before any source require) ──────────────────
+const mm = require('../_helpers/module-mocks');
+
+// ── 3. Test framework + helpers ────────────────────────────────────────────
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockRequest, createAuthHeaders } = require('../_helpers/mocks');
+
+// ── 4. Capture handlers then load sources ──────────────────────────────────
+const handlers = {};
+const { app } = require('@azure/functions');
+const origHttp = app.http;
+app.http = (name, opts) => { handlers[name] = opts.handler; };
+require('../../src/functions/docsSharesList');
+require('../../src/functions/docsShareUpsert');
+require('../../src/functions/docsShareDelete');
+app.http = origHttp;
+
+const OWNER = 'owner@example.com';
+const REVIEWER = 'reviewer@example.com';
+const DOC_ID = 'doc-shares-001';
+
+function makeDoc() {
+  return { docId: DOC_ID, ownerEmail: OWNER, title: 'contract.pdf' };
+}
+
+function request({ method = 'GET', email = OWNER, body, shareEmail } = {}) {
+  return createMockRequest({
+    method,
+    body,
+    params: { docId: DOC_ID, ...(shareEmail ? { email: shareEmail } : {}) },
+    headers: createAuthHeaders(email),
+  });
+}
+
+afterEach(() => {
+  mm.resetAll();
+});
+
+// ---------------------------------------------------------------------------
+// GET /docs/{docId}/shares
+// ---------------------------------------------------------------------------
+
+describe('GET /api/docs/{docId}/shares', () => {
+  const handler = handlers['docs-shares-list'];
+
+  it('lists shares for the owner, sorted by email', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    mm.setListSharesForDocument(async () => [
+      { docId: DOC_ID, email: 'z@example.com', role: 'viewer' },
+      { docId: DOC_ID, email: 'a@example.com', role: 'editor', grantedBy: OWNER },
+    ]);
+
+    const res = await handler(request());
+
+    assert.equal(res.status, 200);
+    assert.equal(res.jsonBody.ownerEmail, OWNER);
+    assert.deepEqual(res.jsonBody.items.map((s) => [s.email, s.role]), [['a@example.com', 'editor'], ['z@example.com', 'viewer']]);
+  });
+
+  it('returns 403 for an editor, who cannot manage sharing', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    mm.setGetShare(async () => ({ role: 'editor' }));
+
+    const res = await handler(request({ email: REVIEWER }));
+
+    assert.equal(res.status, 403);
+    assert.equal(res.jsonBody.error.details.role, 'editor');
+  });
+
+  it('returns 404 for a missing document', async () => {
+    const res = await handler(request());
+    assert.equal(res.status, 404);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// POST /docs/{docId}/shares
+// ---------------------------------------------------------------------------
+
+describe('POST /api/docs/{docId}/shares', () => {
+  const handler = handlers['docs-share-upsert'];
+
+  it('grants a role and returns 201 for a new share', async () => {
+    const upsertSpy = mm.spy(async () => {});
+    mm.setGetDocument(async () => makeDoc());
+    mm.setUpsertShare(upsertSpy);
+
+    const res = await handler(request({ method: 'POST', body: { email: ' Reviewer@Example.com ', role: 'commenter' } }));
+
+    assert.equal(res.status, 201);
+    assert.equal(res.jsonBody.share.email, REVIEWER);
+    assert.equal(res.jsonBody.share.role, 'commenter');
+    assert.equal(res.jsonBody.share.grantedBy, OWNER);
+    assert.equal(upsertSpy.calls[0][0].docId, DOC_ID);
+  });
+
+  it('changes the role of an existing share, keeping its creation time', async () => {
+    const upsertSpy = mm.spy(async () => {});
+    mm.setGetDocument(async () => makeDoc());
+    mm.setGetShare(async () => ({ role: 'viewer', createdAt: '2026-01-01T00:00:00.000Z' }));
+    mm.setUpsertShare(upsertSpy);
+
+    const res = await handler(request({ method: 'POST', body: { email: REVIEWER, role: 'editor' } }));
+
+    assert.equal(res.status, 200);
+    assert.equal(upsertSpy.calls[0][0].createdAt, '2026-01-01T00:00:00.000Z');
+    assert.equal(upsertSpy.calls[0][0].role, 'editor');
+  });
+
+  for (const [body, label] of [
+    [{ email: 'not-an-email', role: 'viewer' }, 'an invalid email'],
+    [{ email: REVIEWER, role: 'owner' }, 'an unknown role'],
+    [{ email: REVIEWER }, 'a missing role'],
+  ]) {
+    it(`returns 400 for ${label}`, async () => {
+      mm.setGetDocument(async () => makeDoc());
+      const res = await handler(request({ method: 'POST', body }));
+      assert.equal(res.status, 400);
+      assert.equal(res.jsonBody.error.code, 'validation_error');
+    });
+  }
+
+  it('returns 400 when the owner shares with themselves', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    const res = await handler(request({ method: 'POST', body: { email: OWNER, role: 'viewer' } }));
+    assert.equal(res.status, 400);
+  });
+
+  it('returns 403 when a non-owner tries to share', async () => {
+    const upsertSpy = mm.spy(async () => {});
+    mm.setGetDocument(async () => makeDoc());
+    mm.setUpsertShare(upsertSpy);
+
+    const res = await handler(request({ method: 'POST', email: 'stranger@example.com', body: { email: REVIEWER, role: 'viewer' } }));
+
+    assert.equal(res.status, 403);
+    assert.equal(upsertSpy.calls.length, 0);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// DELETE /docs/{docId}/shares/{email}
+// ---------------------------------------------------------------------------
+
+describe('DELETE /api/docs/{docId}/shares/{email}', () => {
+  const handler = handlers['docs-share-delete'];
+
+  it('lets the owner revoke a share', async () => {
+    const deleteSpy = mm.spy(async () => true);
+    mm.setGetDocument(async () => makeDoc());
+    mm.setDeleteShare(deleteSpy);
+
+    const res = await handler(request({ method: 'DELETE', shareEmail: 'Reviewer@Example.com' }));
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(deleteSpy.calls[0], [DOC_ID, REVIEWER]);
+  });
+
+  it('lets a grantee remove their own access', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    mm.setGetShare(async () => ({ role: 'viewer' }));
+    mm.setDeleteShare(async () => true);
+
+    const res = await handler(request({ method: 'DELETE', email: REVIEWER, shareEmail: REVIEWER }));
+
+    assert.equal(res.status, 200);
+  });
+
+  it('returns 403 when a grantee tries to remove someone else', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    mm.setGetShare(async () => ({ role: 'editor' }));
+
+    const res = await handler(request({ method: 'DELETE', email: REVIEWER, shareEmail: 'other@example.com' }));
+
+    assert.equal(res.status, 403);
+  });
+
+  it('returns 404 when there is no such share', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    const res = await handler(request({ method: 'DELETE', shareEmail: REVIEWER }));
+    assert.equal(res.status, 404);
+    assert.equal(res.jsonBody.error.message, 'Share not found');
+  });
+});
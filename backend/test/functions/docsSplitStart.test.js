@@ -0,0 +1,145 @@
+// backend/test/functions/docsSplitStart.test.js
+//
+// Tests for POST /api/docs/{docId}/split  (docs-split-start handler)
+
+// ── 1. Setup env vars (must be first) ──────────────────────────────────────
+require('../_helpers/setup');
+
+// ── 2. Module-mocks (MUST come before any source require) ──────────────────
+const mm = require('../_helpers/module-mocks');
+
+// ── 3. Test framework + helpers ────────────────────────────────────────────
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockRequest, createAuthHeaders, createBadJsonRequest } = require('../_helpers/mocks');
+const { config } = require('../../src/lib/config');
+
+// ── 4. Capture handler then load source ────────────────────────────────────
+let handler;
+const { app } = require('@azure/functions');
+const origHttp = app.http;
+app.http = (name, opts) => {
+  if (name === 'docs-split-start') handler = opts.handler;
+};
+require('../../src/functions/docsSplitStart');
+app.http = origHttp;
+
+const OWNER = 'owner@example.com';
+const OTHER = 'other@example.com';
+const DOC_ID = 'doc-batch';
+
+function makeDoc(overrides = {}) {
+  return {
+    docId: DOC_ID,
+    ownerEmail: OWNER,
+    title: 'scan batch.pdf',
+    sourceBlobName: `${OWNER}/${DOC_ID}/scan-batch.pdf`,
+    pageCount: 6,
+    ...overrides,
+  };
+}
+
+function request(body, email = OWNER) {
+  return createMockRequest({ method: 'POST', body, params: { docId: DOC_ID }, headers: createAuthHeaders(email) });
+}
+
+afterEach(() => {
+  mm.resetAll();
+});
+
+describe('POST /api/docs/:docId/split', () => {
+  it('returns 401 without a token', async () => {
+    const res = await handler(createMockRequest({ method: 'POST', body: { pages: '1-2' }, params: { docId: DOC_ID } }));
+    assert.equal(res.status, 401);
+  });
+
+  it('returns 400 for a body that is not JSON', async () => {
+    const res = await handler(createBadJsonRequest({ params: { docId: DOC_ID }, headers: createAuthHeaders(OWNER) }));
+    assert.equal(res.jsonBody.error.code, 'invalid_json');
+  });
+
+  it('returns 400 with structured errors for malformed ranges', async () => {
+    const res = await handler(request({ pages: '1-2,4-3' }));
+
+    assert.equal(res.status, 400);
+    assert.equal(res.jsonBody.error.code, 'validation_error');
+    assert.equal(res.jsonBody.error.details.errors[0].path, 'pages[1]');
+  });
+
+  it('returns 400 when a range runs past the known page count', async () => {
+    const createJob = mm.spy();
+    mm.setGetDocument(async () => makeDoc());
+    mm.setCreateJob(createJob);
+
+    const res = await handler(request({ pages: '1-3,4-7' }));
+
+    assert.equal(res.status, 400);
+    assert.match(res.jsonBody.error.message, /past the last page \(6\)/);
+    assert.equal(createJob.calls.length, 0);
+  });
+
+  it('returns 404 for an unknown document', async () => {
+    const res = await handler(request({ pages: '1' }));
+    assert.equal(res.status, 404);
+  });
+
+  it('returns 403 when the document is not shared with the caller', async () => {
+    mm.setGetDocument(async () => makeDoc());
+
+    const res = await handler(request({ pages: '1' }, OTHER));
+
+    assert.equal(res.status, 403);
+  });
+
+  for (const role of ['viewer', 'commenter', 'editor']) {
+    it(`returns 403 when the document is only shared with the caller as ${role}`, async () => {
+      const createJob = mm.spy();
+      mm.setGetDocument(async () => makeDoc());
+      mm.setGetShare(async () => ({ role }));
+      mm.setCreateJob(createJob);
+
+      const res = await handler(request({ pages: '1' }, OTHER));
+
+      assert.equal(res.status, 403);
+      assert.equal(res.jsonBody.error.details.role, role);
+      assert.equal(createJob.calls.length, 0);
+    });
+  }
+
+  it('returns 409 when the document has no source file', async () => {
+    mm.setGetDocument(async () => makeDoc({ sourceBlobName: undefined }));
+
+    const res = await handler(request({ pages: '1' }));
+
+    assert.equal(res.status, 409);
+  });
+
+  it('queues one output document per range for the owner', async () => {
+    const createJob = mm.spy();
+    const send = mm.spy();
+    mm.setGetDocument(async () => makeDoc());
+    mm.setCreateJob(createJob);
+    mm.setSendQueueMessage(send);
+
+    const res = await handler(request({ pages: '1-2, 3, 4-6' }));
+
+    assert.equal(res.status, 202);
+    assert.equal(res.jsonBody.docIds.length, 3);
+    const job = createJob.calls[0][0];
+    assert.equal(job.jobId, res.jsonBody.jobId);
+    assert.equal(job.type, 'split');
+    assert.equal(job.docId, DOC_ID);
+    assert.equal(job.ownerEmail, OWNER);
+    assert.equal(job.progressTotal, 3);
+
+    const [queueName, message] = send.calls[0];
+    assert.equal(queueName, config.splitQueue);
+    assert.equal(message.sourceBlobName, makeDoc().sourceBlobName);
+    assert.deepEqual(message.outputs.map((o) => o.docId), res.jsonBody.docIds);
+    assert.deepEqual(message.outputs.map((o) => [o.start, o.end, o.title]), [
+      [1, 2, 'scan-batch-pages-1-2.pdf'],
+      [3, 3, 'scan-batch-pages-3.pdf'],
+      [4, 6, 'scan-batch-pages-4-6.pdf'],
+    ]);
+  });
+});
@@ -0,0 +1,303 @@
+// backend/test/functions/docsThreads.test.js
+//
+// Tests for the comment thread routes:
+//   GET  /api/docs/{docId}/threads                       (docs-threads-list)
+//   POST /api/docs/{docId}/threads                       (docs-thread-create)
+//   POST /api/docs/{docId}/threads/{threadId}/replies    (docs-thread-reply)
+//   POST /api/docs/{docId}/threads/{threadId}/status     (docs-thread-status)
+
+// ── 1. Setup env vars (must be first) ──────────────────────────────────────
+require('../_helpers/setup');
+
+// ── 2. Module-mocks (MUST come before any source require) ──────────────────
+const mm = require('../_helpers/module-mocks');
+
+// ── 3. Test framework + helpers ────────────────────────────────────────────
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockRequest, createAuthHeaders, createBadJsonRequest } = require('../_helpers/mocks');
+
+// ── 4. Capture handlers then load sources ──────────────────────────────────
+const handlers = {};
+const { app } = require('@azure/functions');
+const origHttp = app.http;
+app.http = (name, opts) => { handlers[name] = opts.handler; };
+require('../../src/functions/docsThreadsList');
+require('../../src/functions/docsThreadCreate');
+require('../../src/functions/docsThreadReply');
+require('../../src/functions/docsThreadStatus');
+app.http = origHttp;
+
+const OWNER = 'owner@example.com';
+const REVIEWER = 'reviewer@example.com';
+const DOC_ID = 'doc-threads-001';
+const THREAD_ID = 'thread-001';
+
+function makeDoc() {
+  return {
+    docId: DOC_ID,
+    ownerEmail: OWNER,
+    title: 'contract.pdf',
+    annotationJson: JSON.stringify({ schemaVersion: '1.0', operations: [{ opId: 'op-1', opType: 'highlight', page: 1 }] }),
+  };
+}
+
+function request({ method = 'POST', email = OWNER, body, threadId, query } = {}) {
+  return createMockRequest({
+    method,
+    body,
+    query,
+    params: { docId: DOC_ID, ...(threadId ? { threadId } : {}) },
+    headers: createAuthHeaders(email),
+  });
+}
+
+function threadRows({ status = 'open' } = {}) {
+  return [
+    { kind: 'thread', docId: DOC_ID, threadId: THREAD_ID, opId: 'op-1', status, createdBy: OWNER, createdAt: '2026-01-01T00:00:00Z' },
+    { kind: 'comment', docId: DOC_ID, threadId: THREAD_ID, commentId: 'c1', author: OWNER, body: 'Is this right?', createdAt: '2026-01-01T00:00:00Z' },
+  ];
+}
+
+function asReviewer(role) {
+  mm.setGetShare(async (docId, email) => (email === REVIEWER ? { role } : null));
+}
+
+afterEach(() => {
+  mm.resetAll();
+});
+
+// ---------------------------------------------------------------------------
+// GET /docs/{docId}/threads
+// ---------------------------------------------------------------------------
+
+describe('GET /api/docs/{docId}/threads', () => {
+  const handler = handlers['docs-threads-list'];
+
+  it('lists threads with their comments and who can be mentioned', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    mm.setListCommentRows(async () => threadRows());
+    mm.setListSharesForDocument(async () => [{ email: REVIEWER, role: 'viewer' }]);
+    asReviewer('viewer');
+
+    const res = await handler(request({ method: 'GET', email: REVIEWER }));
+
+    assert.equal(res.status, 200);
+    assert.equal(res.jsonBody.items.length, 1);
+    assert.equal(res.jsonBody.items[0].comments[0].body, 'Is this right?');
+    assert.deepEqual(res.jsonBody.participants, [OWNER, REVIEWER]);
+  });
+
+  it('filters by status', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    mm.setListCommentRows(async () => threadRows({ status: 'resolved' }));
+
+    const open = await handler(request({ method: 'GET', query: { status: 'open' } }));
+    const resolved = await handler(request({ method: 'GET', query: { status: 'resolved' } }));
+
+    assert.equal(open.jsonBody.items.length, 0);
+    assert.equal(resolved.jsonBody.items.length, 1);
+  });
+
+  it('returns 400 for an unknown status filter', async () => {
+    const res = await handler(request({ method: 'GET', query: { status: 'closed' } }));
+    assert.equal(res.status, 400);
+  });
+
+  it('returns 403 when the document is not shared with the caller', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    const res = await handler(request({ method: 'GET', email: 'stranger@example.com' }));
+    assert.equal(res.status, 403);
+  });
+
+  it('returns 404 for a missing document', async () => {
+    const res = await handler(request({ method: 'GET' }));
+    assert.equal(res.status, 404);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// POST /docs/{docId}/threads
+// ---------------------------------------------------------------------------
+
+describe('POST /api/docs/{docId}/threads', () => {
+  const handler = handlers['docs-thread-create'];
+
+  it('opens a thread on an annotation with its first comment', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    asReviewer('commenter');
+    mm.setListSharesForDocument(async () => [{ email: REVIEWER, role: 'commenter' }]);
+    const threadSpy = mm.spy();
+    const commentSpy = mm.spy();
+    mm.setUpsertCommentThread(threadSpy);
+    mm.setCreateComment(commentSpy);
+
+    const res = await handler(request({ email: REVIEWER, body: { opId: 'op-1', body: ' @owner@example.com please confirm ' } }));
+
+    assert.equal(res.status, 201);
+    const { thread } = res.jsonBody;
+    assert.equal(thread.opId, 'op-1');
+    assert.equal(thread.status, 'open');
+    assert.equal(thread.createdBy, REVIEWER);
+    assert.equal(thread.comments.length, 1);
+    assert.equal(thread.comments[0].body, '@owner@example.com please confirm');
+    assert.deepEqual(thread.comments[0].mentions, [OWNER]);
+    assert.equal(threadSpy.calls[0][0].threadId, thread.threadId);
+    assert.equal(commentSpy.calls[0][0].threadId, thread.threadId);
+    assert.equal(commentSpy.calls[0][0].author, REVIEWER);
+  });
+
+  it('rejects a mention of someone without access', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    const commentSpy = mm.spy();
+    mm.setCreateComment(commentSpy);
+
+    const res = await handler(request({ body: { opId: 'op-1', body: 'cc @eve@example.com' } }));
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.jsonBody.error.details.mentions, ['eve@example.com']);
+    assert.equal(commentSpy.calls.length, 0);
+  });
+
+  it('returns 403 for a viewer', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    asReviewer('viewer');
+
+    const res = await handler(request({ email: REVIEWER, body: { opId: 'op-1', body: 'hi' } }));
+
+    assert.equal(res.status, 403);
+    assert.equal(res.jsonBody.error.details.role, 'viewer');
+  });
+
+  it('returns 404 for an annotation that is not in the saved document', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    const threadSpy = mm.spy();
+    mm.setUpsertCommentThread(threadSpy);
+
+    const res = await handler(request({ body: { opId: 'op-unsaved', body: 'hi' } }));
+
+    assert.equal(res.status, 404);
+    assert.equal(res.jsonBody.error.code, 'annotation_not_found');
+    assert.equal(res.jsonBody.error.details.opId, 'op-unsaved');
+    assert.equal(threadSpy.calls.length, 0);
+  });
+
+  it('validates opId and body', async () => {
+    mm.setGetDocument(async () => makeDoc());
+
+    assert.equal((await handler(request({ body: { body: 'hi' } }))).status, 400);
+    assert.equal((await handler(request({ body: { opId: 'op-1', body: '  ' } }))).status, 400);
+    assert.equal((await handler(request({ body: { opId: 'op-1', body: 'x'.repeat(2001) } }))).status, 400);
+  });
+
+  it('returns 400 for invalid JSON', async () => {
+    const res = await handler(createBadJsonRequest({ params: { docId: DOC_ID }, headers: createAuthHeaders(OWNER) }));
+    assert.equal(res.status, 400);
+    assert.equal(res.jsonBody.error.code, 'invalid_json');
+  });
+
+  it('returns 401 without a token', async () => {
+    const res = await handler(createMockRequest({ params: { docId: DOC_ID }, body: { opId: 'op-1', body: 'hi' } }));
+    assert.equal(res.status, 401);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// POST /docs/{docId}/threads/{threadId}/replies
+// ---------------------------------------------------------------------------
+
+describe('POST /api/docs/{docId}/threads/{threadId}/replies', () => {
+  const handler = handlers['docs-thread-reply'];
+
+  it('appends a reply and returns the whole thread', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    asReviewer('commenter');
+    mm.setGetCommentThread(async () => threadRows()[0]);
+    const stored = threadRows();
+    mm.setCreateComment(async (comment) => { stored.push({ kind: 'comment', ...comment }); });
+    const threadSpy = mm.spy();
+    mm.setUpsertCommentThread(threadSpy);
+    const listSpy = mm.spy(async () => stored);
+    mm.setListCommentRows(listSpy);
+
+    const res = await handler(request({ email: REVIEWER, threadId: THREAD_ID, body: { body: 'Yes, checked.' } }));
+
+    assert.equal(res.status, 201);
+    assert.deepEqual(res.jsonBody.thread.comments.map((c) => [c.author, c.body]), [
+      [OWNER, 'Is this right?'],
+      [REVIEWER, 'Yes, checked.'],
+    ]);
+    assert.deepEqual(listSpy.calls[0], [DOC_ID, THREAD_ID]);
+    assert.equal(threadSpy.calls[0][0].threadId, THREAD_ID);
+    assert.ok(threadSpy.calls[0][0].updatedAt);
+  });
+
+  it('returns 404 for a missing thread', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    const res = await handler(request({ threadId: 'nope', body: { body: 'hi' } }));
+    assert.equal(res.status, 404);
+    assert.equal(res.jsonBody.error.message, 'Thread not found');
+  });
+
+  it('returns 403 for a viewer', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    asReviewer('viewer');
+    const res = await handler(request({ email: REVIEWER, threadId: THREAD_ID, body: { body: 'hi' } }));
+    assert.equal(res.status, 403);
+  });
+
+  it('rejects a mention of someone without access', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    mm.setGetCommentThread(async () => threadRows()[0]);
+    const res = await handler(request({ threadId: THREAD_ID, body: { body: '@eve@example.com?' } }));
+    assert.equal(res.status, 400);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// POST /docs/{docId}/threads/{threadId}/status
+// ---------------------------------------------------------------------------
+
+describe('POST /api/docs/{docId}/threads/{threadId}/status', () => {
+  const handler = handlers['docs-thread-status'];
+
+  it('resolves a thread and records who resolved it', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    asReviewer('commenter');
+    mm.setGetCommentThread(async () => threadRows()[0]);
+    const threadSpy = mm.spy();
+    mm.setUpsertCommentThread(threadSpy);
+    mm.setListCommentRows(async () => [{ ...threadRows()[0], ...threadSpy.calls[0][0] }, threadRows()[1]]);
+
+    const res = await handler(request({ email: REVIEWER, threadId: THREAD_ID, body: { status: 'resolved' } }));
+
+    assert.equal(res.status, 200);
+    assert.equal(res.jsonBody.thread.status, 'resolved');
+    assert.equal(res.jsonBody.thread.resolvedBy, REVIEWER);
+    assert.ok(res.jsonBody.thread.resolvedAt);
+  });
+
+  it('reopening clears the resolution', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    mm.setGetCommentThread(async () => ({ ...threadRows()[0], status: 'resolved', resolvedBy: OWNER }));
+    const threadSpy = mm.spy();
+    mm.setUpsertCommentThread(threadSpy);
+
+    await handler(request({ threadId: THREAD_ID, body: { status: 'open' } }));
+
+    assert.equal(threadSpy.calls[0][0].status, 'open');
+    assert.equal(threadSpy.calls[0][0].resolvedBy, '');
+  });
+
+  it('returns 400 for an unknown status', async () => {
+    const res = await handler(request({ threadId: THREAD_ID, body: { status: 'closed' } }));
+    assert.equal(res.status, 400);
+  });
+
+  it('returns 403 for a viewer and 404 for a missing thread', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    asReviewer('viewer');
+    assert.equal((await handler(request({ email: REVIEWER, threadId: THREAD_ID, body: { status: 'resolved' } }))).status, 403);
+    assert.equal((await handler(request({ threadId: 'nope', body: { status: 'resolved' } }))).status, 404);
+  });
+});
@@ -0,0 +1,208 @@
+// backend/test/functions/docsUploadComplete.test.js
+//
+// Tests for POST /api/docs/{docId}/complete  (docs-upload-complete handler)
+
+// ── 1. Setup env vars (must be first) ──────────────────────────────────────
+require('../_helpers/setup');
+
+// ── 2. Module-mocks (MUST come before any source require) ──────────────────
+const mm = require('../_helpers/module-mocks');
+
+// ── 3. Test framework + helpers ────────────────────────────────────────────
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockRequest, createAuthHeaders } = require('../_helpers/mocks');
+const { createTestPdf } = require('../_helpers/pdf');
+const { config } = require('../../src/lib/config');
+
+// ── 4. Capture handler then load source ────────────────────────────────────
+let handler;
+const { app } = require('@azure/functions');
+const origHttp = app.http;
+app.http = (name, opts) => {
+  if (name === 'docs-upload-complete') handler = opts.handler;
+};
+require('../../src/functions/docsUploadComplete');
+app.http = origHttp;
+
+const OWNER = 'owner@example.com';
+const DOC_ID = 'doc-new';
+const BLOB = `${OWNER}/${DOC_ID}/scan.pdf`;
+const UPLOAD = `${OWNER}/${DOC_ID}/upload/scan.pdf`;
+
+function makeDoc(overrides = {}) {
+  return { docId: DOC_ID, ownerEmail: OWNER, sourceBlobName: BLOB, uploadBlobName: UPLOAD, status: 'uploading', ...overrides };
+}
+
+function request(email = OWNER) {
+  return createMockRequest({ method: 'POST', params: { docId: DOC_ID }, headers: createAuthHeaders(email) });
+}
+
+function withUpload(buffer) {
+  mm.setGetDocument(async () => makeDoc());
+  mm.setGetBlobProperties(async () => ({ contentLength: buffer.length, contentType: 'application/pdf', etag: '"v1"' }));
+  mm.setDownloadToBuffer(async () => buffer);
+}
+
+afterEach(() => {
+  mm.resetAll();
+});
+
+describe('POST /api/docs/:docId/complete', () => {
+  it('returns 401 without a token', async () => {
+    const res = await handler(createMockRequest({ method: 'POST', params: { docId: DOC_ID } }));
+    assert.equal(res.status, 401);
+  });
+
+  it('returns 404 for an unknown document', async () => {
+    const res = await handler(request());
+    assert.equal(res.status, 404);
+  });
+
+  it('only lets the owner complete the upload', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    mm.setGetShare(async () => ({ role: 'editor' }));
+
+    const res = await handler(request('editor@example.com'));
+
+    assert.equal(res.status, 403);
+  });
+
+  it('returns 409 while nothing has been uploaded', async () => {
+    const upserts = mm.spy();
+    mm.setGetDocument(async () => makeDoc());
+    mm.setUpsertDocument(upserts);
+
+    const res = await handler(request());
+
+    assert.equal(res.status, 409);
+    assert.equal(res.jsonBody.error.code, 'upload_missing');
+    assert.equal(upserts.calls.length, 0);
+  });
+
+  it('records page count, size and hash and marks the document ready', async () => {
+    const buffer = await createTestPdf(2);
+    const upserts = mm.spy();
+    withUpload(buffer);
+    mm.setUpsertDocument(upserts);
+
+    const res = await handler(request());
+
+    assert.equal(res.status, 200);
+    assert.equal(res.jsonBody.status, 'ready');
+    assert.equal(res.jsonBody.pageCount, 2);
+    assert.equal(res.jsonBody.byteSize, buffer.length);
+    assert.match(res.jsonBody.sha256, /^[0-9a-f]{64}$/);
+    const row = upserts.calls[0][0];
+    assert.equal(row.status, 'ready');
+    assert.equal(row.pageCount, 2);
+    assert.equal(row.sha256, res.jsonBody.sha256);
+  });
+
+  it('copies the checked file to the stored name and deletes the staging blob', async () => {
+    const downloads = mm.spy(async () => createTestPdf(1));
+    const copies = mm.spy();
+    const deletes = mm.spy();
+    withUpload(Buffer.alloc(0));
+    mm.setDownloadToBuffer(downloads);
+    mm.setCopyBlob(copies);
+    mm.setDeleteBlob(deletes);
+
+    const res = await handler(request());
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(downloads.calls[0], [config.sourceContainer, UPLOAD, { ifMatch: '"v1"' }]);
+    assert.deepEqual(copies.calls[0], [config.sourceContainer, UPLOAD, BLOB, { ifMatch: '"v1"' }]);
+    assert.deepEqual(deletes.calls, [[config.sourceContainer, UPLOAD]]);
+  });
+
+  it('checks a row from before staging names in place', async () => {
+    const copies = mm.spy();
+    const deletes = mm.spy();
+    withUpload(await createTestPdf(1));
+    mm.setGetDocument(async () => makeDoc({ uploadBlobName: undefined }));
+    mm.setCopyBlob(copies);
+    mm.setDeleteBlob(deletes);
+
+    const res = await handler(request());
+
+    assert.equal(res.status, 200);
+    assert.equal(copies.calls.length, 0);
+    assert.equal(deletes.calls.length, 0);
+  });
+
+  it('returns 409 when the file changes while it is checked', async () => {
+    const upserts = mm.spy();
+    withUpload(await createTestPdf(1));
+    mm.setCopyBlob(async () => {
+      const err = new Error('Precondition failed');
+      err.statusCode = 412;
+      throw err;
+    });
+    mm.setUpsertDocument(upserts);
+
+    const res = await handler(request());
+
+    assert.equal(res.status, 409);
+    assert.equal(res.jsonBody.error.code, 'upload_changed');
+    assert.equal(upserts.calls.length, 0);
+  });
+
+  it('rejects a file that is not a PDF and deletes it', async () => {
+    const upserts = mm.spy();
+    const deletes = mm.spy();
+    withUpload(Buffer.from('<html>not a pdf</html>'));
+    mm.setUpsertDocument(upserts);
+    mm.setDeleteBlob(deletes);
+
+    const res = await handler(request());
+
+    assert.equal(res.status, 422);
+    assert.equal(res.jsonBody.error.code, 'upload_rejected');
+    assert.equal(res.jsonBody.error.message, 'File is not a PDF');
+    assert.deepEqual(deletes.calls[0], [config.sourceContainer, UPLOAD]);
+    assert.equal(upserts.calls[0][0].status, 'rejected');
+    assert.equal(upserts.calls[0][0].rejectionReason, 'File is not a PDF');
+  });
+
+  it('rejects a file over the upload limit without downloading it', async () => {
+    const downloads = mm.spy();
+    mm.setGetDocument(async () => makeDoc());
+    mm.setGetBlobProperties(async () => ({ contentLength: config.maxUploadBytes + 1 }));
+    mm.setDownloadToBuffer(downloads);
+
+    const res = await handler(request());
+
+    assert.equal(res.status, 422);
+    assert.match(res.jsonBody.error.message, /the limit is/);
+    assert.equal(downloads.calls.length, 0);
+  });
+
+  it('counts staged but uncommitted blocks against the upload limit', async () => {
+    const downloads = mm.spy();
+    const deletes = mm.spy();
+    mm.setGetDocument(async () => makeDoc());
+    mm.setGetBlobProperties(async () => ({ contentLength: 1000, etag: '"v1"' }));
+    mm.setGetUncommittedBytes(async () => config.maxUploadBytes);
+    mm.setDownloadToBuffer(downloads);
+    mm.setDeleteBlob(deletes);
+
+    const res = await handler(request());
+
+    assert.equal(res.status, 422);
+    assert.match(res.jsonBody.error.message, new RegExp(`File is ${config.maxUploadBytes + 1000} bytes`));
+    assert.equal(downloads.calls.length, 0);
+    assert.deepEqual(deletes.calls[0], [config.sourceContainer, UPLOAD]);
+  });
+
+  it('answers a repeated call with the first outcome', async () => {
+    mm.setGetDocument(async () => makeDoc({ status: 'ready', pageCount: 4, byteSize: 100, sha256: 'abc' }));
+    const ready = await handler(request());
+    assert.deepEqual(ready.jsonBody, { docId: DOC_ID, status: 'ready', pageCount: 4, byteSize: 100, sha256: 'abc' });
+
+    mm.setGetDocument(async () => makeDoc({ status: 'rejected', rejectionReason: 'PDF is password protected' }));
+    const rejected = await handler(request());
+    assert.equal(rejected.status, 422);
+    assert.equal(rejected.jsonBody.error.message, 'PDF is password protected');
+  });
+});
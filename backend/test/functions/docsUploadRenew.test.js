@@ -0,0 +1,107 @@
+// backend/test/functions/docsUploadRenew.test.js
+//
+// Tests for POST /api/docs/{docId}/upload-url  (docs-upload-renew handler)
+
+// ── 1. Setup env vars (must be first) ──────────────────────────────────────
+require('../_helpers/setup');
+
+// ── 2. Module-mocks (MUST come before any source require) ──────────────────
+const mm = require('../_helpers/module-mocks');
+
+// ── 3. Test framework + helpers ────────────────────────────────────────────
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockRequest, createAuthHeaders } = require('../_helpers/mocks');
+
+// ── 4. Capture handler then load source ────────────────────────────────────
+let handler;
+const { app } = require('@azure/functions');
+const origHttp = app.http;
+app.http = (name, opts) => {
+  if (name === 'docs-upload-renew') handler = opts.handler;
+};
+require('../../src/functions/docsUploadRenew');
+app.http = origHttp;
+
+const OWNER = 'owner@example.com';
+const DOC_ID = 'doc-big';
+const BLOB = `${OWNER}/${DOC_ID}/binder.pdf`;
+const UPLOAD = `${OWNER}/${DOC_ID}/upload/binder.pdf`;
+
+function makeDoc(overrides = {}) {
+  return { docId: DOC_ID, ownerEmail: OWNER, sourceBlobName: BLOB, uploadBlobName: UPLOAD, status: 'uploading', ...overrides };
+}
+
+function request(email = OWNER) {
+  return createMockRequest({ method: 'POST', params: { docId: DOC_ID }, headers: createAuthHeaders(email) });
+}
+
+afterEach(() => {
+  mm.resetAll();
+});
+
+describe('POST /api/docs/:docId/upload-url', () => {
+  it('returns 401 without a token', async () => {
+    const res = await handler(createMockRequest({ method: 'POST', params: { docId: DOC_ID } }));
+    assert.equal(res.status, 401);
+  });
+
+  it('returns 404 for an unknown document', async () => {
+    const res = await handler(request());
+    assert.equal(res.status, 404);
+  });
+
+  it('returns 403 for anyone but the owner', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    mm.setGetShare(async () => ({ docId: DOC_ID, email: 'ed@example.com', role: 'editor' }));
+
+    const res = await handler(request('ed@example.com'));
+    assert.equal(res.status, 403);
+  });
+
+  it('returns 409 once the upload is ready or rejected', async () => {
+    for (const status of ['ready', 'rejected', undefined]) {
+      mm.setGetDocument(async () => makeDoc({ status }));
+      const res = await handler(request());
+      assert.equal(res.status, 409);
+      assert.equal(res.jsonBody.error.code, 'not_uploading');
+    }
+  });
+
+  it('issues fresh URLs for the staging blob and records the activity', async () => {
+    const upsert = mm.spy(async () => {});
+    mm.setGetDocument(async () => makeDoc({ updatedAt: '2026-01-01T00:00:00.000Z' }));
+    mm.setUpsertDocument(upsert);
+
+    const res = await handler(request());
+
+    assert.equal(res.status, 200);
+    assert.equal(res.jsonBody.docId, DOC_ID);
+    assert.match(res.jsonBody.sasUrl, /upload\/binder\.pdf.*perm=cw/);
+    assert.match(res.jsonBody.readUrl, /perm=r$/);
+    assert.ok(res.jsonBody.blobPath.endsWith(BLOB));
+    assert.equal(typeof res.jsonBody.maxUploadBytes, 'number');
+    assert.equal(upsert.calls.length, 1);
+    assert.equal(upsert.calls[0][0].docId, DOC_ID);
+    assert.notEqual(upsert.calls[0][0].updatedAt, '2026-01-01T00:00:00.000Z');
+    assert.equal(Object.keys(upsert.calls[0][0]).length, 2);
+  });
+
+  it('reissues only the image URLs of a pending conversion', async () => {
+    const images = [`${OWNER}/${DOC_ID}/images/1-front.jpg`, `${OWNER}/${DOC_ID}/images/2-back.jpg`];
+    mm.setGetDocument(async () => makeDoc({ imageBlobs: JSON.stringify(images) }));
+
+    const res = await handler(request());
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.jsonBody.files.map((f) => f.fileName), ['1-front.jpg', '2-back.jpg']);
+    assert.match(res.jsonBody.files[0].sasUrl, /images\/1-front\.jpg.*perm=cw/);
+    assert.equal(res.jsonBody.sasUrl, undefined);
+  });
+
+  it('leaves out image URLs for a plain PDF upload', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    const res = await handler(request());
+    assert.equal(res.jsonBody.files, undefined);
+  });
+});
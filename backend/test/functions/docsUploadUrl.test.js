@@ -318,12 +318,22 @@ describe('docsUploadUrl handler — POST /api/docs/upload-url', () => {
       'sourceBlobName should include the docId'
     );
 
+    // the client uploads to a staging name; only the server writes sourceBlobName
+    assert.equal(
+      entity.uploadBlobName,
+      `${authEmail.toLowerCase()}/${entity.docId}/upload/test-doc.pdf`,
+      'uploadBlobName should be the staging name next to the source'
+    );
+
     // annotationJson should default to the empty-object sentinel
     assert.equal(entity.annotationJson, '{}', 'annotationJson should default to "{}"');
 
     // version should be initialised to 1
     assert.equal(entity.version, 1, 'initial version should be 1');
 
+    // the row stays hidden until POST /docs/{docId}/complete accepts the file
+    assert.equal(entity.status, 'uploading', 'status should start as "uploading"');
+
     // createdAt and updatedAt must be valid ISO date strings
     assert.ok(typeof entity.createdAt === 'string', 'createdAt should be a string');
     assert.ok(
@@ -378,21 +388,21 @@ describe('docsUploadUrl handler — POST /api/docs/upload-url', () => {
     assert.equal(res.status, 200);
     assert.equal(sasCalls.length, 2, 'buildBlobSasUrl should be called exactly twice');
 
-    // Upload SAS: permissions "cw", TTL 15 minutes
+    // Upload SAS: permissions "cw", TTL 5 minutes
     const uploadCall = sasCalls.find((c) => c.permissions === 'cw');
     assert.ok(uploadCall, 'should have a "cw" SAS call for the upload URL');
-    assert.equal(uploadCall.expiresInMinutes, 15, 'upload SAS TTL should be 15 minutes');
+    assert.equal(uploadCall.expiresInMinutes, 5, 'upload SAS TTL should be 5 minutes');
 
     // Read SAS: permissions "r", TTL 120 minutes
     const readCall = sasCalls.find((c) => c.permissions === 'r');
     assert.ok(readCall, 'should have a "r" SAS call for the read URL');
     assert.equal(readCall.expiresInMinutes, 120, 'read SAS TTL should be 120 minutes');
 
-    // Both calls must target the same blob name
+    // The write URL is for the staging blob; the read URL is for the checked copy
     assert.equal(
       uploadCall.blobName,
-      readCall.blobName,
-      'upload and read SAS should reference the same blob'
+      readCall.blobName.replace(/\/([^/]+)$/, '/upload/$1'),
+      'upload SAS should reference the staging blob next to the read blob'
     );
 
     // sasUrl and readUrl must differ (they carry different permission query params)
@@ -413,4 +423,59 @@ describe('docsUploadUrl handler — POST /api/docs/upload-url', () => {
     // setup.js sets MAX_UPLOAD_BYTES=10485760 (10 MiB)
     assert.equal(res.jsonBody.maxUploadBytes, 10 * 1024 * 1024);
   });
+
+  // -------------------------------------------------------------------------
+  // 14. The empty initial annotation set is recorded as version 1
+  // -------------------------------------------------------------------------
+  it('records an empty v1 in the version history', async () => {
+    const versionSpy = mm.spy(async () => {});
+    mm.setCreateDocumentVersion(versionSpy);
+
+    const req = createMockRequest({
+      body: validBody(),
+      headers: createAuthHeaders(),
+    });
+    const res = await capturedHandler(req);
+
+    assert.equal(versionSpy.calls.length, 1);
+    const entity = versionSpy.calls[0][0];
+    assert.equal(entity.docId, res.jsonBody.docId);
+    assert.equal(entity.version, 1);
+    assert.equal(entity.annotationJson, '{}');
+    assert.equal(entity.operationCount, 0);
+  });
+
+  // -------------------------------------------------------------------------
+  // 15. A declared fileSize over the limit is refused before anything is created
+  // -------------------------------------------------------------------------
+  it('returns 413 for a fileSize over MAX_UPLOAD_BYTES without creating a row', async () => {
+    const upsertSpy = mm.spy(async () => {});
+    mm.setUpsertDocument(upsertSpy);
+
+    const req = createMockRequest({
+      body: { ...validBody(), fileSize: 10 * 1024 * 1024 + 1 },
+      headers: createAuthHeaders(),
+    });
+    const res = await capturedHandler(req);
+
+    assert.equal(res.status, 413);
+    assert.equal(res.jsonBody.error.code, 'file_too_large');
+    assert.equal(res.jsonBody.error.details.maxUploadBytes, 10 * 1024 * 1024);
+    assert.equal(upsertSpy.calls.length, 0);
+  });
+
+  it('accepts a fileSize within the limit and rejects a malformed one', async () => {
+    const ok = await capturedHandler(createMockRequest({
+      body: { ...validBody(), fileSize: 1024 },
+      headers: createAuthHeaders(),
+    }));
+    assert.equal(ok.status, 200);
+
+    const bad = await capturedHandler(createMockRequest({
+      body: { ...validBody(), fileSize: '1024' },
+      headers: createAuthHeaders(),
+    }));
+    assert.equal(bad.status, 400);
+    assert.equal(bad.jsonBody.error.code, 'validation_error');
+  });
 });
@@ -0,0 +1,250 @@
+// backend/test/functions/docsVersions.test.js
+//
+// Tests for the annotation version history routes:
+//   GET  /api/docs/{docId}/versions                       (docs-versions-list)
+//   GET  /api/docs/{docId}/versions/{versionId}           (docs-version-get)
+//   POST /api/docs/{docId}/versions/{versionId}/restore   (docs-version-restore)
+
+// ── 1. Setup env vars (must be first) ──────────────────────────────────────
+require('../_helpers/setup');
+
+// ── 2. Module-mocks (MUST come before any source require) ──────────────────
+const mm = require('../_helpers/module-mocks');
+
+// ── 3. Test framework + helpers ────────────────────────────────────────────
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockRequest, createAuthHeaders } = require('../_helpers/mocks');
+
+// ── 4. Capture handlers then load sources ──────────────────────────────────
+const handlers = {};
+const { app } = require('@azure/functions');
+const origHttp = app.http;
+app.http = (name, opts) => { handlers[name] = opts.handler; };
+require('../../src/functions/docsVersionsList');
+require('../../src/functions/docsVersionGet');
+require('../../src/functions/docsVersionRestore');
+app.http = origHttp;
+
+const TEST_EMAIL = 'owner@example.com';
+const TEST_DOC_ID = 'doc-versions-001';
+
+function annotationJson(opIds) {
+  return JSON.stringify({
+    schemaVersion: '1.0',
+    operations: opIds.map((opId) => ({ opId, opType: 'highlight', page: 1 })),
+  });
+}
+
+function makeDoc(overrides = {}) {
+  return { docId: TEST_DOC_ID, ownerEmail: TEST_EMAIL, version: 3, annotationJson: annotationJson(['a', 'b']), ...overrides };
+}
+
+function makeVersion(version, opIds, overrides = {}) {
+  return {
+    partitionKey: TEST_DOC_ID,
+    rowKey: String(version).padStart(10, '0'),
+    docId: TEST_DOC_ID,
+    version,
+    versionId: `v${version}`,
+    annotationJson: annotationJson(opIds),
+    operationCount: opIds.length,
+    createdBy: TEST_EMAIL,
+    createdAt: `2026-01-0${version}T00:00:00.000Z`,
+    restoredFrom: '',
+    ...overrides,
+  };
+}
+
+function request({ versionId, email = TEST_EMAIL, method = 'GET' } = {}) {
+  return createMockRequest({
+    method,
+    params: { docId: TEST_DOC_ID, ...(versionId ? { versionId } : {}) },
+    headers: createAuthHeaders(email),
+  });
+}
+
+afterEach(() => {
+  mm.resetAll();
+});
+
+// ---------------------------------------------------------------------------
+// GET /docs/{docId}/versions
+// ---------------------------------------------------------------------------
+
+describe('GET /api/docs/{docId}/versions — docsVersionsList handler', () => {
+  const handler = handlers['docs-versions-list'];
+
+  it('returns 401 without a token', async () => {
+    const res = await handler(createMockRequest({ method: 'GET', params: { docId: TEST_DOC_ID } }));
+    assert.equal(res.status, 401);
+  });
+
+  it('returns 404 for an unknown document and 403 for another owner', async () => {
+    assert.equal((await handler(request())).status, 404);
+    mm.setGetDocument(async () => makeDoc());
+    assert.equal((await handler(request({ email: 'other@example.com' }))).status, 403);
+  });
+
+  it('lets a viewer the document is shared with browse its history', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    mm.setGetShare(async () => ({ role: 'viewer' }));
+    assert.equal((await handler(request({ email: 'other@example.com' }))).status, 200);
+  });
+
+  it('lists versions newest first with the current version id', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    mm.setListDocumentVersions(async () => [makeVersion(1, []), makeVersion(3, ['a', 'b']), makeVersion(2, ['a'])]);
+
+    const res = await handler(request());
+
+    assert.equal(res.status, 200);
+    assert.equal(res.jsonBody.currentVersionId, 'v3');
+    assert.deepEqual(res.jsonBody.items.map((v) => v.versionId), ['v3', 'v2', 'v1']);
+    assert.equal(res.jsonBody.items[0].operationCount, 2);
+    assert.equal(res.jsonBody.items[0].annotationJson, undefined, 'Listing must not include payloads');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// GET /docs/{docId}/versions/{versionId}
+// ---------------------------------------------------------------------------
+
+describe('GET /api/docs/{docId}/versions/{versionId} — docsVersionGet handler', () => {
+  const handler = handlers['docs-version-get'];
+
+  it('returns 400 for a malformed versionId', async () => {
+    const res = await handler(request({ versionId: 'latest' }));
+    assert.equal(res.status, 400);
+    assert.equal(res.jsonBody.error.code, 'validation_error');
+  });
+
+  it('returns 403 when the caller does not own the document', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    const res = await handler(request({ versionId: 'v1', email: 'other@example.com' }));
+    assert.equal(res.status, 403);
+  });
+
+  it('returns 404 when the version does not exist', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    const res = await handler(request({ versionId: 'v9' }));
+    assert.equal(res.status, 404);
+  });
+
+  it('returns the annotation set stored for that version', async () => {
+    const lookups = [];
+    mm.setGetDocument(async () => makeDoc());
+    mm.setGetDocumentVersion(async (docId, version) => {
+      lookups.push([docId, version]);
+      return makeVersion(2, ['a']);
+    });
+
+    const res = await handler(request({ versionId: 'v2' }));
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(lookups, [[TEST_DOC_ID, 2]]);
+    assert.equal(res.jsonBody.versionId, 'v2');
+    assert.deepEqual(res.jsonBody.annotations.operations.map((op) => op.opId), ['a']);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// POST /docs/{docId}/versions/{versionId}/restore
+// ---------------------------------------------------------------------------
+
+describe('POST /api/docs/{docId}/versions/{versionId}/restore — docsVersionRestore handler', () => {
+  const handler = handlers['docs-version-restore'];
+
+  it('returns 404 when the version to restore does not exist', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    const res = await handler(request({ method: 'POST', versionId: 'v7' }));
+    assert.equal(res.status, 404);
+  });
+
+  it('returns 403 when the caller does not own the document', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    const res = await handler(request({ method: 'POST', versionId: 'v1', email: 'other@example.com' }));
+    assert.equal(res.status, 403);
+  });
+
+  it('returns 403 for a viewer the document is shared with', async () => {
+    mm.setGetDocument(async () => makeDoc());
+    mm.setGetShare(async () => ({ role: 'viewer' }));
+    const res = await handler(request({ method: 'POST', versionId: 'v1', email: 'other@example.com' }));
+    assert.equal(res.status, 403);
+    assert.equal(res.jsonBody.error.details.role, 'viewer');
+  });
+
+  it('copies the old annotations into a new latest version', async () => {
+    const versionSpy = mm.spy(async () => {});
+    const upsertSpy = mm.spy(async () => {});
+    mm.setGetDocument(async () => makeDoc({ version: 3, sourceBlobName: 'owner/doc/source.pdf', pageCount: 2 }));
+    mm.setGetDocumentVersion(async () => makeVersion(1, ['only'], { sourceBlobName: 'owner/doc/source.pdf' }));
+    mm.setCreateDocumentVersion(versionSpy);
+    mm.setUpsertDocument(upsertSpy);
+
+    const res = await handler(request({ method: 'POST', versionId: 'v1' }));
+
+    assert.equal(res.status, 200);
+    assert.equal(res.jsonBody.versionId, 'v4');
+    assert.equal(res.jsonBody.version, 4);
+    assert.equal(res.jsonBody.restoredFrom, 'v1');
+    assert.deepEqual(res.jsonBody.annotations.operations.map((op) => op.opId), ['only']);
+
+    const created = versionSpy.calls[0][0];
+    assert.equal(created.version, 4);
+    assert.equal(created.restoredFrom, 'v1');
+    assert.equal(created.annotationJson, annotationJson(['only']));
+    assert.equal(created.sourceBlobName, 'owner/doc/source.pdf');
+
+    const updated = upsertSpy.calls[0][0];
+    assert.equal(updated.version, 4);
+    assert.equal(updated.annotationJson, annotationJson(['only']));
+  });
+
+  it('refuses a version saved against the file before its pages were reorganized', async () => {
+    const versionSpy = mm.spy(async () => {});
+    mm.setGetDocument(async () => makeDoc({ sourceBlobName: 'owner/doc/pages-job-2.pdf', pageCount: 3 }));
+    mm.setGetDocumentVersion(async () => makeVersion(1, ['a'], { sourceBlobName: 'owner/doc/source.pdf' }));
+    mm.setCreateDocumentVersion(versionSpy);
+
+    const res = await handler(request({ method: 'POST', versionId: 'v1' }));
+
+    assert.equal(res.status, 409);
+    assert.equal(res.jsonBody.error.code, 'pages_changed');
+    assert.equal(versionSpy.calls.length, 0);
+  });
+
+  it('refuses an older version with annotations past the last page', async () => {
+    const versionSpy = mm.spy(async () => {});
+    mm.setGetDocument(async () => makeDoc({ sourceBlobName: 'owner/doc/pages-job-2.pdf', pageCount: 1 }));
+    mm.setGetDocumentVersion(async () => makeVersion(1, [], {
+      annotationJson: JSON.stringify({ schemaVersion: '1.0', operations: [{ opId: 'far', opType: 'highlight', page: 4 }] }),
+    }));
+    mm.setCreateDocumentVersion(versionSpy);
+
+    const res = await handler(request({ method: 'POST', versionId: 'v1' }));
+
+    assert.equal(res.status, 409);
+    assert.equal(res.jsonBody.error.code, 'pages_changed');
+    assert.deepEqual(res.jsonBody.error.details.errors.map((e) => e.opId), ['far']);
+    assert.equal(versionSpy.calls.length, 0);
+  });
+
+  it('returns 409 when another save claimed the next version first', async () => {
+    const upsertSpy = mm.spy(async () => {});
+    mm.setGetDocument(async () => makeDoc());
+    mm.setGetDocumentVersion(async () => makeVersion(1, []));
+    mm.setUpsertDocument(upsertSpy);
+    mm.setCreateDocumentVersion(async () => {
+      const err = new Error('Conflict');
+      err.statusCode = 409;
+      throw err;
+    });
+
+    const res = await handler(request({ method: 'POST', versionId: 'v1' }));
+
+    assert.equal(res.status, 409);
+    assert.equal(upsertSpy.calls.length, 0);
+  });
+});
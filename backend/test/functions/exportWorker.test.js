@@ -19,7 +19,9 @@ const mm = require('../_helpers/module-mocks');
 // 3. Other test infrastructure
 const { describe, it, beforeEach } = require('node:test');
 const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
 const { createMockContext } = require('../_helpers/mocks');
+const { createTestPdf, readPageContent } = require('../_helpers/pdf');
 
 // 4. Handler capture — intercept app.storageQueue so the module never tries
 //    to register against a live Azure Functions runtime, then load the module.
@@ -308,6 +310,213 @@ describe('exportWorker — storage interactions', () => {
   });
 });
 
+describe('exportWorker — annotation rendering', () => {
+  function annotationJson(operations) {
+    return JSON.stringify({ schemaVersion: '1.0', operations });
+  }
+
+  const highlight = {
+    opId: 'op-1',
+    opType: 'highlight',
+    page: 1,
+    bounds: { x: 50, y: 100, w: 200, h: 20 },
+    author: 'user@example.com',
+    ts: '2025-01-01T00:00:00.000Z',
+  };
+
+  function captureUpload() {
+    const uploads = [];
+    mm.setUpdateJob(async () => {});
+    mm.setUploadBuffer(async (container, blobName, buffer) => {
+      uploads.push(buffer);
+    });
+    mm.setBuildBlobSasUrl(() => ({
+      url: 'https://example.com/x?sig=y',
+      expiresOn: new Date().toISOString(),
+    }));
+    return uploads;
+  }
+
+  it('uploads the source bytes unchanged when the document has no annotations', async () => {
+    const source = await createTestPdf(1);
+    const uploads = captureUpload();
+    mm.setGetDocument(async () => makeDoc({ annotationJson: '{}' }));
+    mm.setDownloadToBuffer(async () => source);
+
+    await runHandler(makeTask());
+
+    assert.equal(uploads.length, 1);
+    assert.strictEqual(uploads[0], source);
+  });
+
+  it('burns saved annotations into the exported PDF', async () => {
+    const source = await createTestPdf(2);
+    const uploads = captureUpload();
+    mm.setGetDocument(async () => makeDoc({ annotationJson: annotationJson([{ ...highlight, page: 2 }]) }));
+    mm.setDownloadToBuffer(async () => source);
+
+    await runHandler(makeTask());
+
+    assert.equal(uploads.length, 1);
+    assert.notDeepEqual(uploads[0], source, 'Exported bytes must differ from the source');
+    assert.match(await readPageContent(uploads[0], 1), /1 0 0 1 50 672 cm/,
+      'Highlight must be drawn on page 2 at the mapped position');
+  });
+
+  it('marks the job failed when an annotated source cannot be parsed as a PDF', async () => {
+    const updateJobCalls = [];
+    mm.setUpdateJob(async (jobId, patch) => { updateJobCalls.push(patch); });
+    mm.setGetDocument(async () => makeDoc({ annotationJson: annotationJson([highlight]) }));
+    mm.setDownloadToBuffer(async () => Buffer.from('not-a-pdf'));
+
+    await assert.rejects(() => runHandler(makeTask()));
+
+    const failedCall = updateJobCalls.find(p => p.status === 'failed');
+    assert.ok(failedCall, 'updateJob must set status to "failed"');
+  });
+
+  it('removes text under a redaction instead of only covering it', async () => {
+    const source = await createTestPdf(1, { text: [{ text: 'SECRET', x: 50, y: 680 }] });
+    const uploads = captureUpload();
+    const redaction = { ...highlight, opType: 'redaction', bounds: { x: 40, y: 100, w: 100, h: 20 } };
+    mm.setGetDocument(async () => makeDoc({ annotationJson: annotationJson([redaction]) }));
+    mm.setDownloadToBuffer(async () => source);
+
+    await runHandler(makeTask());
+
+    const content = await readPageContent(uploads[0], 0);
+    const hex = Buffer.from('SECRET', 'latin1').toString('hex');
+    assert.ok(!content.toLowerCase().includes(hex), 'Redacted text must not survive in the content stream');
+    assert.match(content, /0 0 0 rg/, 'An opaque black box must be drawn');
+  });
+
+  it('labels redaction boxes when the task asks for it', async () => {
+    const source = await createTestPdf(1);
+    const uploads = captureUpload();
+    const redaction = { ...highlight, opType: 'redaction' };
+    mm.setGetDocument(async () => makeDoc({ annotationJson: annotationJson([redaction]) }));
+    mm.setDownloadToBuffer(async () => source);
+
+    await runHandler(makeTask({ redactionLabel: true }));
+
+    const label = Buffer.from('REDACTED', 'latin1').toString('hex').toUpperCase();
+    assert.ok((await readPageContent(uploads[0], 0)).includes(`<${label}>`));
+  });
+
+  it('keeps only the selected pages, with annotations burned in first', async () => {
+    const source = await createTestPdf(3);
+    const uploads = captureUpload();
+    mm.setGetDocument(async () => makeDoc({ annotationJson: annotationJson([{ ...highlight, page: 2 }]) }));
+    mm.setDownloadToBuffer(async () => source);
+
+    await runHandler(makeTask({ pages: '2-3' }));
+
+    assert.equal((await PDFDocument.load(uploads[0])).getPageCount(), 2);
+    assert.match(await readPageContent(uploads[0], 0), /1 0 0 1 50 672 cm/);
+  });
+
+  it('fails the job when the selected pages are past the end of the document', async () => {
+    const updateJobCalls = [];
+    mm.setUpdateJob(async (jobId, patch) => { updateJobCalls.push(patch); });
+    mm.setGetDocument(async () => makeDoc({ annotationJson: '{}' }));
+    mm.setDownloadToBuffer(async () => createTestPdf(2));
+
+    await assert.rejects(() => runHandler(makeTask({ pages: '2-4' })), /Invalid pages: 2-4 goes past the last page \(2\)/);
+
+    assert.ok(updateJobCalls.some((p) => p.status === 'failed'));
+  });
+});
+
+describe('exportWorker — searchable text layer', () => {
+  const { config } = require('../../src/lib/config');
+  const { normalizeOcrResult } = require('../../src/lib/ocrDocument');
+  const OCR_BLOB = 'user@example.com/doc-abc/ocr-1.json';
+  const ocrResult = JSON.stringify({ jobId: 'ocr-1', blobName: OCR_BLOB, sourceBlobName: makeDoc().sourceBlobName });
+  const analysis = {
+    result: {
+      pages: [{
+        pageNumber: 1,
+        width: 8.5,
+        height: 11,
+        unit: 'inch',
+        words: [
+          { content: 'Invoice', polygon: [1, 1, 3, 1, 3, 1.5, 1, 1.5] },
+          { content: 'Secret', polygon: [1, 5, 3, 5, 3, 5.5, 1, 5.5] },
+        ],
+      }],
+    },
+  };
+
+  function withOcr(docOverrides = {}) {
+    const uploads = [];
+    const downloads = [];
+    mm.setUpdateJob(async () => {});
+    mm.setUploadBuffer(async (container, blobName, buffer) => { uploads.push(buffer); });
+    mm.setDownloadToBuffer(async (container, blobName) => {
+      downloads.push([container, blobName]);
+      return container === config.ocrContainer ? Buffer.from(JSON.stringify(analysis)) : createTestPdf(1);
+    });
+    mm.setGetDocument(async () => makeDoc({ ocrResult, ...docOverrides }));
+    return { uploads, downloads };
+  }
+
+  it('lays the saved OCR words over the page as invisible text', async () => {
+    const { uploads, downloads } = withOcr();
+
+    await runHandler(makeTask({ searchable: true }));
+
+    assert.deepEqual(downloads[1], [config.ocrContainer, OCR_BLOB]);
+    const content = await readPageContent(uploads[0], 0);
+    assert.match(content, /3 Tr/);
+    assert.equal(content.match(/ Tj/g).length, 2);
+  });
+
+  it('reads the words from the normalized OCR document when there is one', async () => {
+    const documentBlob = 'user@example.com/doc-abc/ocr-1.document.json';
+    const document = normalizeOcrResult(analysis.result, new Map(), { docId: 'doc-abc', jobId: 'ocr-1', provider: 'azure', model: 'prebuilt-read', analyzedAt: null });
+    const { uploads, downloads } = withOcr({
+      ocrResult: JSON.stringify({ ...JSON.parse(ocrResult), documentBlobName: documentBlob }),
+    });
+    mm.setDownloadToBuffer(async (container, blobName) => {
+      downloads.push([container, blobName]);
+      return container === config.ocrContainer ? Buffer.from(JSON.stringify(document)) : createTestPdf(1);
+    });
+
+    await runHandler(makeTask({ searchable: true }));
+
+    assert.deepEqual(downloads[1], [config.ocrContainer, documentBlob]);
+    const content = await readPageContent(uploads[0], 0);
+    assert.equal(content.match(/ Tj/g).length, 2);
+  });
+
+  it('leaves words under a redaction out of the text layer', async () => {
+    const redaction = {
+      opId: 'r-1',
+      opType: 'redaction',
+      page: 1,
+      bounds: { x: 60, y: 350, w: 200, h: 60 },
+      author: 'user@example.com',
+      ts: '2025-01-01T00:00:00.000Z',
+    };
+    const { uploads } = withOcr({ annotationJson: JSON.stringify({ schemaVersion: '1.0', operations: [redaction] }) });
+
+    await runHandler(makeTask({ searchable: true }));
+
+    const content = await readPageContent(uploads[0], 0);
+    assert.equal(content.match(/ Tj/g).length, 1);
+  });
+
+  it('fails the job when the OCR result is for pages that have since changed', async () => {
+    const updateJobCalls = [];
+    withOcr({ sourceBlobName: 'user@example.com/doc-abc/rebuilt.pdf' });
+    mm.setUpdateJob(async (jobId, patch) => { updateJobCalls.push(patch); });
+
+    await assert.rejects(() => runHandler(makeTask({ searchable: true })), /No OCR result for the current pages/);
+
+    assert.ok(updateJobCalls.some((p) => p.status === 'failed'));
+  });
+});
+
 describe('exportWorker — error re-throw behavior', () => {
   it('re-throws the original error after marking the job as failed', async () => {
     const originalError = new Error('Downstream failure');
@@ -5,7 +5,7 @@
 // Handler flow:
 //   1. requireAuth    — 401 if no/bad bearer token
 //   2. getJob(jobId)  — 404 if job row is not found
-//   3. ownerEmail check — 403 if job.ownerEmail != identity.email
+//   3. access check   — 403 unless the caller started the job or can view its document
 //   4. Returns 200 { jobId, status, type, resultUri, error, updatedAt }
 //
 // Mocking strategy
@@ -110,6 +110,36 @@ describe('GET /api/jobs/{jobId} — jobsGet handler', () => {
     assert.equal(res.jsonBody.error.code, 'forbidden');
   });
 
+  it('returns 200 when the caller can view the job\'s document', async () => {
+    mm.setGetJob(async () => ({ jobId: 'job-003', docId: 'doc-1', ownerEmail: 'other@test.redarm', status: 'queued', type: 'export' }));
+    mm.setGetDocument(async () => ({ docId: 'doc-1', ownerEmail: 'other@test.redarm' }));
+    mm.setGetShare(async () => ({ role: 'viewer' }));
+
+    const req = createMockRequest({
+      method: 'GET',
+      params: { jobId: 'job-003' },
+      headers: createAuthHeaders('user@test.redarm', 'user')
+    });
+    const res = await capturedHandler(req);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.jsonBody.jobId, 'job-003');
+  });
+
+  it('returns 403 when the job\'s document is not shared with the caller', async () => {
+    mm.setGetJob(async () => ({ jobId: 'job-004', docId: 'doc-1', ownerEmail: 'other@test.redarm', status: 'queued' }));
+    mm.setGetDocument(async () => ({ docId: 'doc-1', ownerEmail: 'other@test.redarm' }));
+
+    const req = createMockRequest({
+      method: 'GET',
+      params: { jobId: 'job-004' },
+      headers: createAuthHeaders('user@test.redarm', 'user')
+    });
+    const res = await capturedHandler(req);
+
+    assert.equal(res.status, 403);
+  });
+
   // ── Success responses ───────────────────────────────────────────────────
 
   it('returns 200 with correct job details for a completed job', async () => {
@@ -188,8 +218,48 @@ describe('GET /api/jobs/{jobId} — jobsGet handler', () => {
     assert.equal(res.jsonBody.error, 'PDF rendering timeout exceeded');
   });
 
+  it('reports progress for a job over several inputs', async () => {
+    mm.setGetJob(async () => ({
+      jobId: 'job-008',
+      ownerEmail: 'user@test.redarm',
+      status: 'running',
+      type: 'merge',
+      progressDone: 2,
+      progressTotal: 3,
+      updatedAt: '2026-02-18T16:00:00.000Z'
+    }));
+
+    const req = createMockRequest({
+      method: 'GET',
+      params: { jobId: 'job-008' },
+      headers: createAuthHeaders('user@test.redarm', 'user')
+    });
+    const res = await capturedHandler(req);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.jsonBody.progress, { done: 2, total: 3 });
+  });
+
   // ── Default-value edge cases ────────────────────────────────────────────
 
+  it('reports no progress for single-input jobs', async () => {
+    mm.setGetJob(async () => ({
+      jobId: 'job-009',
+      ownerEmail: 'user@test.redarm',
+      status: 'queued',
+      type: 'export'
+    }));
+
+    const req = createMockRequest({
+      method: 'GET',
+      params: { jobId: 'job-009' },
+      headers: createAuthHeaders('user@test.redarm', 'user')
+    });
+    const res = await capturedHandler(req);
+
+    assert.equal(res.jsonBody.progress, null);
+  });
+
   it('defaults status to "unknown" when the job row has no status field', async () => {
     mm.setGetJob(async () => ({
       jobId: 'job-006',
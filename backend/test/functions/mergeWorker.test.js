@@ -0,0 +1,143 @@
+// backend/test/functions/mergeWorker.test.js
+// Tests for the merge-worker queue-triggered Azure Function.
+
+// 1. Env-var setup (must be first)
+require('../_helpers/setup');
+
+// 2. Module-level mocks injected before the handler module is loaded.
+const mm = require('../_helpers/module-mocks');
+
+// 3. Other test infrastructure
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
+const { createMockContext } = require('../_helpers/mocks');
+const { createTestPdf } = require('../_helpers/pdf');
+const { config } = require('../../src/lib/config');
+
+// 4. Handler capture
+let capturedHandler;
+const { app } = require('@azure/functions');
+const origQueue = app.storageQueue.bind(app);
+app.storageQueue = (name, opts) => {
+  if (name === 'merge-worker') {
+    capturedHandler = opts.handler;
+  }
+};
+require('../../src/functions/mergeWorker');
+app.storageQueue = origQueue;
+
+const OWNER = 'owner@example.com';
+
+function makeTask(overrides = {}) {
+  return {
+    jobId: 'job-merge',
+    docId: 'doc-merged',
+    ownerEmail: OWNER,
+    sourceDocIds: ['doc-a', 'doc-b'],
+    title: 'exhibits.pdf',
+    ...overrides,
+  };
+}
+
+function makeOp(opId, page) {
+  return { opId, opType: 'highlight', page, bounds: { x: 10, y: 20, w: 30, h: 40 }, author: OWNER, ts: '2026-01-01T00:00:00Z' };
+}
+
+async function withSources() {
+  const buffers = { 'a.pdf': await createTestPdf(2), 'b.pdf': await createTestPdf(1) };
+  mm.setGetDocument(async (docId) => ({
+    'doc-a': { docId: 'doc-a', sourceBlobName: 'a.pdf', annotationJson: JSON.stringify({ operations: [makeOp('a1', 2)] }) },
+    'doc-b': { docId: 'doc-b', sourceBlobName: 'b.pdf', annotationJson: JSON.stringify({ operations: [makeOp('b1', 1)] }) },
+  }[docId] || null));
+  mm.setDownloadToBuffer(async (container, blobName) => buffers[blobName]);
+}
+
+beforeEach(() => {
+  mm.resetAll();
+});
+
+describe('mergeWorker', () => {
+  it('registers the merge-worker handler', () => {
+    assert.equal(typeof capturedHandler, 'function');
+  });
+
+  it('ignores messages without inputs', async () => {
+    const updates = mm.spy();
+    mm.setUpdateJob(updates);
+    const ctx = createMockContext();
+
+    await capturedHandler(makeTask({ sourceDocIds: [] }), ctx);
+
+    assert.equal(updates.calls.length, 0);
+    assert.ok(ctx._logs.some((l) => l.level === 'error'));
+  });
+
+  it('creates the merged document with offset annotations and counts inputs off', async () => {
+    await withSources();
+    const updates = mm.spy();
+    const uploads = mm.spy();
+    const versions = mm.spy();
+    const docUpserts = mm.spy();
+    mm.setUpdateJob(updates);
+    mm.setUploadBuffer(uploads);
+    mm.setCreateDocumentVersion(versions);
+    mm.setUpsertDocument(docUpserts);
+
+    await capturedHandler(makeTask(), createMockContext());
+
+    const patches = updates.calls.map(([, patch]) => patch);
+    assert.deepEqual(patches.map((p) => p.progressDone), [0, 1, 2, undefined]);
+    assert.equal(patches[0].progressTotal, 2);
+    assert.equal(patches[3].status, 'completed');
+    assert.match(patches[3].resultUri, /exhibits\.pdf/);
+
+    const [container, blobName, buffer] = uploads.calls[0];
+    assert.equal(container, config.sourceContainer);
+    assert.equal(blobName, `${OWNER}/doc-merged/exhibits.pdf`);
+    assert.equal((await PDFDocument.load(buffer)).getPageCount(), 3);
+
+    assert.equal(versions.calls[0][0].version, 1);
+    const doc = docUpserts.calls[0][0];
+    assert.equal(doc.docId, 'doc-merged');
+    assert.equal(doc.ownerEmail, OWNER);
+    assert.equal(doc.title, 'exhibits.pdf');
+    assert.equal(doc.sourceBlobName, blobName);
+    assert.equal(doc.pageCount, 3);
+    assert.equal(doc.version, 1);
+    assert.deepEqual(JSON.parse(doc.mergedFrom), ['doc-a', 'doc-b']);
+    assert.deepEqual(JSON.parse(doc.annotationJson).operations.map((op) => [op.opId, op.page]), [['a1', 2], ['b1', 3]]);
+  });
+
+  it('finishes a retried job whose first version was already written', async () => {
+    await withSources();
+    const updates = mm.spy();
+    const docUpserts = mm.spy();
+    mm.setUpdateJob(updates);
+    mm.setUpsertDocument(docUpserts);
+    mm.setCreateDocumentVersion(async () => {
+      throw Object.assign(new Error('exists'), { statusCode: 409 });
+    });
+
+    await capturedHandler(makeTask(), createMockContext());
+
+    assert.equal(docUpserts.calls.length, 1);
+    assert.equal(updates.calls[updates.calls.length - 1][1].status, 'completed');
+  });
+
+  it('fails the job when an input has gone away', async () => {
+    await withSources();
+    const updates = mm.spy();
+    const uploads = mm.spy();
+    mm.setUpdateJob(updates);
+    mm.setUploadBuffer(uploads);
+
+    await assert.rejects(
+      () => capturedHandler(makeTask({ sourceDocIds: ['doc-a', 'doc-gone'] }), createMockContext()),
+      /doc-gone is no longer available/
+    );
+
+    assert.equal(uploads.calls.length, 0);
+    assert.equal(updates.calls[updates.calls.length - 1][1].status, 'failed');
+  });
+});
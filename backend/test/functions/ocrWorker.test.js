@@ -25,10 +25,12 @@
 // 3. Other non-source requires (node:test, assert, mocks helpers)
 // 4. Capture handler via app.storageQueue + require('../../src/functions/ocrWorker')
 //
-// Because DOCINTEL_ENDPOINT and DOCINTEL_KEY are intentionally absent from the
-// test environment, createDocIntelClient() returns null for every invocation.
-// The majority of tests therefore exercise the "not configured" path or the
-// early-return guards that execute before the client is even checked.
+// OCR_PROVIDER defaults to "azure", and because DOCINTEL_ENDPOINT and DOCINTEL_KEY
+// are intentionally absent from the test environment, createOcrProvider() throws
+// "Document Intelligence not configured" for every invocation. The majority of
+// tests therefore exercise the "not configured" path or the early-return guards
+// that execute before the provider is even created. The last test switches to the
+// local Tesseract provider to run a job end to end.
 
 require('../_helpers/setup');
 const mm = require('../_helpers/module-mocks');
@@ -36,6 +38,10 @@ const mm = require('../_helpers/module-mocks');
 const { describe, it, beforeEach } = require('node:test');
 const assert = require('node:assert/strict');
 const { createMockContext } = require('../_helpers/mocks');
+const { renderText } = require('../_helpers/images');
+const { PDFDocument, pushGraphicsState, popGraphicsState, concatTransformationMatrix, drawObject } = require('pdf-lib');
+const { DocumentAnalysisClient } = require('@azure/ai-form-recognizer');
+const { createTestPdf } = require('../_helpers/pdf');
 
 // ---------------------------------------------------------------------------
 // Capture the handler by intercepting app.storageQueue
@@ -192,7 +198,7 @@ describe('ocrWorker handler', () => {
   // -------------------------------------------------------------------------
   // "Doc Intelligence not configured" path
   // (DOCINTEL_ENDPOINT and DOCINTEL_KEY are absent from the test env, so
-  //  createDocIntelClient() always returns null in this test suite)
+  //  createOcrProvider() always throws in this test suite)
   // -------------------------------------------------------------------------
 
   it('updates job to "failed" with correct error when Doc Intelligence is not configured', async () => {
@@ -292,7 +298,7 @@ describe('ocrWorker handler', () => {
   // Configured-path / error-path tests
   //
   // These tests set DOCINTEL_ENDPOINT and DOCINTEL_KEY so that
-  // createDocIntelClient() returns a non-null client object, allowing the
+  // createOcrProvider() returns the Azure provider, allowing the
   // try block inside the handler to be reached.  We do NOT need to mock
   // @azure/ai-form-recognizer because the errors we simulate (getDocument
   // throwing, downloadToBuffer throwing, doc not found) all occur before
@@ -572,4 +578,212 @@ describe('ocrWorker handler', () => {
     }
   });
 
+  // -------------------------------------------------------------------------
+  // Local provider: OCR_PROVIDER=tesseract runs the whole job without Azure
+  // -------------------------------------------------------------------------
+
+  it('completes a job with the local Tesseract provider when OCR_PROVIDER is tesseract', async () => {
+    const updateJobSpy = makeUpdateJobSpy();
+    const uploadJsonSpy = makeUploadJsonSpy();
+    const upsertSpy = mm.spy(async () => {});
+    mm.setUpdateJob(updateJobSpy);
+    mm.setUploadJson(uploadJsonSpy);
+    mm.setUpsertDocument(upsertSpy);
+    mm.setBuildBlobSasUrl(() => ({ url: 'https://example.com/ocr.json?sig=test', expiresOn: new Date().toISOString() }));
+    mm.setGetDocument(async () => ({ docId: 'doc-local', sourceBlobName: 'user@test.com/doc-local/scan.pdf', pageCount: 1 }));
+
+    const scan = renderText(['HELLO WORLD']);
+    const pdf = await PDFDocument.create();
+    const page = pdf.addPage([612, 792]);
+    const image = pdf.context.register(pdf.context.flateStream(scan.data, {
+      Type: 'XObject', Subtype: 'Image', Width: scan.width, Height: scan.height, BitsPerComponent: 8, ColorSpace: 'DeviceGray'
+    }));
+    const key = page.node.newXObject('Im', image);
+    page.pushOperators(
+      pushGraphicsState(),
+      concatTransformationMatrix(scan.width, 0, 0, scan.height, 72, 600),
+      drawObject(key),
+      popGraphicsState()
+    );
+    mm.setDownloadToBuffer(async () => Buffer.from(await pdf.save()));
+
+    process.env.OCR_PROVIDER = 'tesseract';
+    delete require.cache[require.resolve('../../src/lib/config')];
+    delete require.cache[require.resolve('../../src/functions/ocrWorker')];
+
+    let freshHandler;
+    const origQ = app.storageQueue;
+    app.storageQueue = (name, opts) => {
+      if (name === 'ocr-worker') freshHandler = opts.handler;
+    };
+    require('../../src/functions/ocrWorker');
+    app.storageQueue = origQ;
+
+    try {
+      const ctx = createMockContext();
+      await freshHandler(encodeMessage({ jobId: 'job-local', docId: 'doc-local', ownerEmail: 'user@test.com' }), ctx);
+
+      assert.deepEqual(updateJobSpy.calls.map((c) => c.patch.status), ['running', 'completed']);
+      assert.match(uploadJsonSpy.calls[0].blobName, /^cache\/[0-9a-f]{64}\/tesseract-eng\/all\.json$/);
+      assert.deepEqual(uploadJsonSpy.calls.slice(1).map((c) => c.blobName), [
+        'user@test.com/doc-local/job-local.json',
+        'user@test.com/doc-local/job-local.document.json',
+      ]);
+      const saved = uploadJsonSpy.calls[1].value;
+      assert.equal(saved.provider, 'tesseract');
+      assert.equal(saved.model, 'tesseract-eng');
+      assert.equal(saved.result.content, 'HELLO WORLD');
+      assert.equal(saved.result.pages[0].unit, 'inch');
+
+      // The normalized copy is in page points, like annotation bounds.
+      const document = uploadJsonSpy.calls[2].value;
+      assert.equal(document.schemaVersion, '1.0');
+      assert.equal(document.provider, 'tesseract');
+      assert.deepEqual([document.pages[0].width, document.pages[0].height], [612, 792]);
+      assert.deepEqual(document.pages[0].lines[0].words.map((w) => w.text), ['HELLO', 'WORLD']);
+      assert.ok(Math.abs(document.pages[0].lines[0].bounds.x - 80) <= 4);
+
+      const ocrResult = JSON.parse(upsertSpy.calls[0][0].ocrResult);
+      assert.equal(ocrResult.jobId, 'job-local');
+      assert.equal(ocrResult.documentBlobName, 'user@test.com/doc-local/job-local.document.json');
+      assert.equal(ocrResult.mode, 'read');
+      assert.equal(ocrResult.structureBlobName, null);
+    } finally {
+      delete process.env.OCR_PROVIDER;
+      mm.resetAll();
+      delete require.cache[require.resolve('../../src/lib/config')];
+        delete require.cache[require.resolve('../../src/functions/ocrWorker')];
+      require('../../src/lib/config');
+    }
+  });
+
+  // -------------------------------------------------------------------------
+  // Document Intelligence jobs: modes and the result cache
+  // -------------------------------------------------------------------------
+
+  const invoiceAnalysis = (model) => ({
+    modelId: model,
+    pages: [],
+    tables: [{ rowCount: 1, columnCount: 2, cells: [{ rowIndex: 0, columnIndex: 0, content: 'Paper' }, { rowIndex: 0, columnIndex: 1, content: '$10.00' }] }],
+    documents: [{
+      docType: 'invoice',
+      fields: { Items: { kind: 'array', values: [{ kind: 'object', properties: { Description: { kind: 'string', value: 'Paper' } } }] } }
+    }]
+  });
+
+  /**
+   * Runs one job against a configured (but faked) Document Intelligence. `cache`, when
+   * given, is the saved analysis the cache lookup finds. Returns the models analyzed and
+   * the spies.
+   */
+  async function runDocIntelJob(message, { cache = null } = {}) {
+    const updateJobSpy = makeUpdateJobSpy();
+    const uploadJsonSpy = makeUploadJsonSpy();
+    const upsertSpy = mm.spy(async () => {});
+    const source = await createTestPdf(1);
+    mm.setUpdateJob(updateJobSpy);
+    mm.setUploadJson(uploadJsonSpy);
+    mm.setUpsertDocument(upsertSpy);
+    mm.setBuildBlobSasUrl(() => ({ url: 'https://example.com/ocr.json?sig=test', expiresOn: new Date().toISOString() }));
+    mm.setGetDocument(async () => ({ docId: 'doc-inv', sourceBlobName: 'user@test.com/doc-inv/invoice.pdf', pageCount: 1 }));
+    mm.setGetBlobProperties(async (container, blobName) => (cache && blobName.startsWith('cache/') ? { contentLength: 1 } : null));
+    mm.setDownloadToBuffer(async (container, blobName) => (blobName.startsWith('cache/') ? Buffer.from(JSON.stringify(cache)) : source));
+
+    const models = [];
+    const originalAnalyze = DocumentAnalysisClient.prototype.beginAnalyzeDocument;
+    DocumentAnalysisClient.prototype.beginAnalyzeDocument = async (model) => {
+      models.push(model);
+      return { pollUntilDone: async () => invoiceAnalysis(model) };
+    };
+    process.env.DOCINTEL_ENDPOINT = 'https://fake.cognitiveservices.azure.com/';
+    process.env.DOCINTEL_KEY = 'fake-key-1234567890abcdef';
+    delete require.cache[require.resolve('../../src/lib/config')];
+    delete require.cache[require.resolve('../../src/functions/ocrWorker')];
+
+    let freshHandler;
+    const origQ = app.storageQueue;
+    app.storageQueue = (name, opts) => {
+      if (name === 'ocr-worker') freshHandler = opts.handler;
+    };
+    require('../../src/functions/ocrWorker');
+    app.storageQueue = origQ;
+
+    try {
+      const context = createMockContext();
+      await freshHandler(encodeMessage({ jobId: 'job-inv', docId: 'doc-inv', ownerEmail: 'user@test.com', ...message }), context);
+      return { models, updateJobSpy, uploadJsonSpy, upsertSpy, context };
+    } finally {
+      DocumentAnalysisClient.prototype.beginAnalyzeDocument = originalAnalyze;
+      delete process.env.DOCINTEL_ENDPOINT;
+      delete process.env.DOCINTEL_KEY;
+      mm.resetAll();
+      delete require.cache[require.resolve('../../src/lib/config')];
+      delete require.cache[require.resolve('../../src/functions/ocrWorker')];
+      require('../../src/lib/config');
+    }
+  }
+
+  it('runs the model for the job\'s mode and saves its tables and fields', async () => {
+    const { models, updateJobSpy, uploadJsonSpy, upsertSpy } = await runDocIntelJob({ mode: 'invoice' });
+
+    assert.deepEqual(models, ['prebuilt-invoice']);
+    assert.deepEqual(updateJobSpy.calls.map((c) => c.patch.status), ['running', 'completed']);
+    assert.deepEqual(uploadJsonSpy.calls.slice(1).map((c) => c.blobName), [
+      'user@test.com/doc-inv/job-inv.json',
+      'user@test.com/doc-inv/job-inv.document.json',
+      'user@test.com/doc-inv/job-inv.structure.json',
+    ]);
+    assert.equal(uploadJsonSpy.calls[1].value.mode, 'invoice');
+    assert.equal(uploadJsonSpy.calls[2].value.model, 'prebuilt-invoice');
+    const structure = uploadJsonSpy.calls[3].value;
+    assert.equal(structure.mode, 'invoice');
+    assert.deepEqual(structure.tables[0].rows, [['Paper', '$10.00']]);
+    assert.deepEqual(structure.documents[0].items, [{ Description: 'Paper' }]);
+
+    const ocrResult = JSON.parse(upsertSpy.calls[0][0].ocrResult);
+    assert.equal(ocrResult.mode, 'invoice');
+    assert.equal(ocrResult.structureBlobName, 'user@test.com/doc-inv/job-inv.structure.json');
+  });
+
+  it('caches each new analysis under the source hash, model and pages', async () => {
+    const { uploadJsonSpy, upsertSpy } = await runDocIntelJob({ mode: 'layout', pages: '1' });
+
+    const [entry] = uploadJsonSpy.calls;
+    assert.equal(entry.container, 'ocr-json');
+    assert.match(entry.blobName, /^cache\/[0-9a-f]{64}\/prebuilt-layout\/1\.json$/);
+    assert.equal(entry.value.jobId, 'job-inv');
+    assert.equal(entry.value.pages, '1');
+    assert.deepEqual(entry.value.result.tables, invoiceAnalysis('prebuilt-layout').tables);
+    assert.equal(JSON.parse(upsertSpy.calls[0][0].ocrResult).cached, false);
+  });
+
+  it('completes from the cache without calling Document Intelligence', async () => {
+    const cache = { jobId: 'job-earlier', provider: 'azure', model: 'prebuilt-invoice', pages: null, analyzedAt: '2026-01-02T03:04:05.000Z', result: invoiceAnalysis('prebuilt-invoice') };
+    const { models, updateJobSpy, uploadJsonSpy, upsertSpy, context } = await runDocIntelJob({ mode: 'invoice' }, { cache });
+
+    assert.deepEqual(models, []);
+    assert.deepEqual(updateJobSpy.calls.map((c) => c.patch.status), ['running', 'completed']);
+    assert.deepEqual(uploadJsonSpy.calls.map((c) => c.blobName), [
+      'user@test.com/doc-inv/job-inv.json',
+      'user@test.com/doc-inv/job-inv.document.json',
+      'user@test.com/doc-inv/job-inv.structure.json',
+    ]);
+    assert.equal(uploadJsonSpy.calls[0].value.cached, true);
+    assert.equal(uploadJsonSpy.calls[0].value.analyzedAt, '2026-01-02T03:04:05.000Z');
+    assert.deepEqual(uploadJsonSpy.calls[2].value.documents[0].items, [{ Description: 'Paper' }]);
+    const ocrResult = JSON.parse(upsertSpy.calls[0][0].ocrResult);
+    assert.equal(ocrResult.cached, true);
+    assert.equal(ocrResult.jobId, 'job-inv');
+    assert.ok(context._logs.some((l) => String(l.args[0]).includes('job-earlier')));
+  });
+
+  it('analyzes again and refreshes the cache when the job is forced', async () => {
+    const cache = { jobId: 'job-earlier', analyzedAt: '2026-01-02T03:04:05.000Z', result: { pages: [] } };
+    const { models, uploadJsonSpy } = await runDocIntelJob({ force: true }, { cache });
+
+    assert.deepEqual(models, ['prebuilt-read']);
+    assert.match(uploadJsonSpy.calls[0].blobName, /^cache\/[0-9a-f]{64}\/prebuilt-read\/all\.json$/);
+    assert.equal(uploadJsonSpy.calls[1].value.cached, false);
+  });
+
 });
@@ -0,0 +1,163 @@
+// backend/test/functions/pagesWorker.test.js
+// Tests for the pages-worker queue-triggered Azure Function.
+
+// 1. Env-var setup (must be first)
+require('../_helpers/setup');
+
+// 2. Module-level mocks injected before the handler module is loaded.
+const mm = require('../_helpers/module-mocks');
+
+// 3. Other test infrastructure
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
+const { createMockContext } = require('../_helpers/mocks');
+const { createTestPdf } = require('../_helpers/pdf');
+const { config } = require('../../src/lib/config');
+
+// 4. Handler capture
+let capturedHandler;
+const { app } = require('@azure/functions');
+const origQueue = app.storageQueue.bind(app);
+app.storageQueue = (name, opts) => {
+  if (name === 'pages-worker') {
+    capturedHandler = opts.handler;
+  }
+};
+require('../../src/functions/pagesWorker');
+app.storageQueue = origQueue;
+
+const OWNER = 'owner@example.com';
+const SOURCE = `${OWNER}/doc-abc/contract.pdf`;
+
+function makeTask(overrides = {}) {
+  return {
+    jobId: 'job-001',
+    docId: 'doc-abc',
+    ownerEmail: 'editor@example.com',
+    sourceBlobName: SOURCE,
+    edits: [{ type: 'move', page: 2, to: 1 }],
+    attempt: 0,
+    ...overrides,
+  };
+}
+
+function makeOp(opId, page) {
+  return { opId, opType: 'highlight', page, bounds: { x: 10, y: 20, w: 30, h: 40 }, author: OWNER, ts: '2026-01-01T00:00:00Z' };
+}
+
+function makeDoc(overrides = {}) {
+  return {
+    docId: 'doc-abc',
+    ownerEmail: OWNER,
+    sourceBlobName: SOURCE,
+    version: 4,
+    annotationJson: JSON.stringify({ schemaVersion: '1.0', operations: [makeOp('a', 1), makeOp('b', 2)] }),
+    ...overrides,
+  };
+}
+
+function jobUpdates() {
+  const updates = mm.spy();
+  mm.setUpdateJob(updates);
+  return updates;
+}
+
+beforeEach(() => {
+  mm.resetAll();
+});
+
+describe('pagesWorker', () => {
+  it('registers the pages-worker handler on the pages queue', () => {
+    assert.equal(typeof capturedHandler, 'function');
+    assert.equal(config.pagesQueue, 'q-pages');
+  });
+
+  it('ignores messages without a job, document or edits', async () => {
+    const updates = jobUpdates();
+    const ctx = createMockContext();
+
+    await capturedHandler(makeTask({ edits: undefined }), ctx);
+
+    assert.equal(updates.calls.length, 0);
+    assert.ok(ctx._logs.some((l) => l.level === 'error'));
+  });
+
+  it('writes a new source, moves annotations and completes the job', async () => {
+    const updates = jobUpdates();
+    const uploads = mm.spy();
+    const versions = mm.spy();
+    const docUpserts = mm.spy();
+    const source = await createTestPdf(2, { size: [300, 400] });
+    mm.setGetDocument(async () => makeDoc());
+    mm.setDownloadToBuffer(async () => source);
+    mm.setUploadBuffer(uploads);
+    mm.setCreateDocumentVersion(versions);
+    mm.setUpsertDocument(docUpserts);
+
+    await capturedHandler(makeTask({ edits: [{ type: 'move', page: 2, to: 1 }, { type: 'rotate', page: 2, degrees: 90 }] }), createMockContext());
+
+    const [container, blobName, buffer, contentType] = uploads.calls[0];
+    assert.equal(container, config.sourceContainer);
+    assert.equal(blobName, `${OWNER}/doc-abc/pages-job-001.pdf`);
+    assert.equal(contentType, 'application/pdf');
+    const output = await PDFDocument.load(buffer);
+    assert.deepEqual(output.getPages().map((p) => p.getRotation().angle), [0, 90]);
+
+    const version = versions.calls[0][0];
+    assert.equal(version.version, 5);
+    assert.equal(version.createdBy, 'editor@example.com');
+    assert.equal(version.sourceBlobName, blobName, 'the version records the file its page numbers refer to');
+    const operations = JSON.parse(version.annotationJson).operations;
+    assert.deepEqual(operations.map((op) => [op.opId, op.page]), [['b', 1], ['a', 2]]);
+    assert.deepEqual(operations[1].bounds, { x: 340, y: 10, w: 40, h: 30 });
+
+    const doc = docUpserts.calls[0][0];
+    assert.equal(doc.sourceBlobName, blobName);
+    assert.equal(doc.pageCount, 2);
+    assert.equal(doc.version, 5);
+    assert.equal(doc.annotationJson, version.annotationJson);
+
+    const statuses = updates.calls.map(([, patch]) => patch.status);
+    assert.deepEqual(statuses, ['running', 'completed']);
+    assert.match(updates.calls[1][1].resultUri, /pages-job-001\.pdf/);
+  });
+
+  it('fails the job when the source was replaced after the edits were made', async () => {
+    const updates = jobUpdates();
+    const uploads = mm.spy();
+    mm.setGetDocument(async () => makeDoc({ sourceBlobName: `${OWNER}/doc-abc/pages-other.pdf` }));
+    mm.setUploadBuffer(uploads);
+
+    await assert.rejects(() => capturedHandler(makeTask(), createMockContext()), /reorganized by another job/);
+
+    assert.equal(uploads.calls.length, 0);
+    assert.equal(updates.calls[updates.calls.length - 1][1].status, 'failed');
+  });
+
+  it('fails the job when the edits do not fit the document', async () => {
+    const updates = jobUpdates();
+    mm.setGetDocument(async () => makeDoc());
+    mm.setDownloadToBuffer(async () => createTestPdf(1));
+
+    await assert.rejects(() => capturedHandler(makeTask(), createMockContext()), /Invalid page edits/);
+
+    assert.match(updates.calls[updates.calls.length - 1][1].error, /edits\[0\]\.page/);
+  });
+
+  it('fails without updating the document when another save took the version', async () => {
+    const updates = jobUpdates();
+    const docUpserts = mm.spy();
+    mm.setGetDocument(async () => makeDoc());
+    mm.setDownloadToBuffer(async () => createTestPdf(2));
+    mm.setCreateDocumentVersion(async () => {
+      throw Object.assign(new Error('conflict'), { statusCode: 409 });
+    });
+    mm.setUpsertDocument(docUpserts);
+
+    await assert.rejects(() => capturedHandler(makeTask(), createMockContext()), /saved by another session/);
+
+    assert.equal(docUpserts.calls.length, 0);
+    assert.equal(updates.calls[updates.calls.length - 1][1].status, 'failed');
+  });
+});
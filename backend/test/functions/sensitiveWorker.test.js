@@ -0,0 +1,210 @@
+// backend/test/functions/sensitiveWorker.test.js
+//
+// Tests for the queue-triggered sensitive data worker
+// (backend/src/functions/sensitiveWorker.js): words come from each page's text layer,
+// or from the latest OCR result for scanned pages, and the findings are saved as JSON.
+
+// ── 1. Setup env vars (must be first) ──────────────────────────────────────
+require('../_helpers/setup');
+
+// ── 2. Module-mocks (MUST come before any source require) ──────────────────
+const mm = require('../_helpers/module-mocks');
+
+// ── 3. Test framework + helpers ────────────────────────────────────────────
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockContext } = require('../_helpers/mocks');
+const { createTestPdf } = require('../_helpers/pdf');
+
+// ── 4. Capture the handler then load the source ────────────────────────────
+let handler;
+const { app } = require('@azure/functions');
+const origQueue = app.storageQueue;
+app.storageQueue = (name, opts) => {
+  if (name === 'sensitive-worker') handler = opts.handler;
+};
+require('../../src/functions/sensitiveWorker');
+app.storageQueue = origQueue;
+
+const { config } = require('../../src/lib/config');
+const { SENSITIVE_KINDS } = require('../../src/lib/sensitive');
+
+const OWNER = 'owner@example.com';
+const DOC_ID = 'doc-hr-1';
+const SOURCE_BLOB = `${OWNER}/${DOC_ID}/source.pdf`;
+const OCR_BLOB = `${OWNER}/${DOC_ID}/ocr-1.json`;
+const DOCUMENT_BLOB = `${OWNER}/${DOC_ID}/ocr-1.document.json`;
+
+function encodeMessage(payload) {
+  return Buffer.from(JSON.stringify(payload), 'utf8').toString('base64');
+}
+
+function message(overrides = {}) {
+  return encodeMessage({
+    jobId: 'scan-1',
+    docId: DOC_ID,
+    ownerEmail: OWNER,
+    pages: '',
+    kinds: SENSITIVE_KINDS,
+    patterns: [],
+    terms: [],
+    ...overrides,
+  });
+}
+
+// Pages 1 and 2 have text; pages 3 and 4 are blank, as scanned pages without a text layer are.
+function hrFile() {
+  return createTestPdf(4, {
+    text: [
+      { page: 0, text: 'Employee: Jane Doe', x: 72, y: 700 },
+      { page: 0, text: 'SSN 123-45-6789', x: 72, y: 680 },
+      { page: 1, text: 'Contact jane.doe@example.com', x: 72, y: 700 },
+    ],
+  });
+}
+
+// What OCR read on page 3, 1 x 1 inch boxes in an 8.5 x 11 inch page.
+const ocrResult = {
+  pages: [{
+    pageNumber: 3,
+    width: 8.5,
+    height: 11,
+    unit: 'inch',
+    lines: [{ content: 'DOB: 01/02/1980', polygon: [1, 1, 3, 1, 3, 1.25, 1, 1.25] }],
+    words: [
+      { content: 'DOB:', polygon: [1, 1, 1.5, 1, 1.5, 1.25, 1, 1.25], confidence: 0.9 },
+      { content: '01/02/1980', polygon: [1.75, 1, 3, 1, 3, 1.25, 1.75, 1.25], confidence: 0.9 },
+    ],
+  }],
+};
+
+function setup({ doc = {}, ocr = {} } = {}) {
+  const jobs = mm.spy(async () => {});
+  const uploads = mm.spy(async () => {});
+  mm.setUpdateJob(jobs);
+  mm.setUploadJson(uploads);
+  mm.setBuildBlobSasUrl((container, blob) => ({ url: `https://example.com/${container}/${blob}?sig=test` }));
+  mm.setGetDocument(async () => ({
+    docId: DOC_ID,
+    ownerEmail: OWNER,
+    pageCount: 4,
+    sourceBlobName: SOURCE_BLOB,
+    ocrResult: JSON.stringify({ jobId: 'ocr-1', blobName: OCR_BLOB, sourceBlobName: SOURCE_BLOB, ...ocr }),
+    ...doc,
+  }));
+  const downloads = mm.spy(async (container, blob) => {
+    if (container === config.sourceContainer) return hrFile();
+    return Buffer.from(JSON.stringify({ result: ocrResult }));
+  });
+  mm.setDownloadToBuffer(downloads);
+  return { jobs, uploads, downloads };
+}
+
+afterEach(() => {
+  mm.resetAll();
+});
+
+describe('sensitiveWorker', () => {
+  it('returns early when the message has no job or document id', async () => {
+    const jobs = mm.spy(async () => {});
+    mm.setUpdateJob(jobs);
+    const ctx = createMockContext();
+
+    await handler(encodeMessage({ docId: DOC_ID }), ctx);
+
+    assert.equal(jobs.calls.length, 0);
+    assert.equal(ctx._logs.filter((l) => l.level === 'error').length, 1);
+  });
+
+  it('scans the text layer, falls back to OCR words and saves the findings', async () => {
+    const { jobs, uploads, downloads } = setup();
+
+    await handler(message(), createMockContext());
+
+    assert.deepEqual(jobs.calls.map(([, patch]) => patch.status).filter(Boolean), ['running', 'completed']);
+    assert.equal(jobs.calls[1][1].progressTotal, 4);
+    // The OCR result is only read once a page turns out to have no text.
+    assert.deepEqual(downloads.calls.map(([, blob]) => blob), [SOURCE_BLOB, OCR_BLOB]);
+
+    const [[container, blobName, scan]] = uploads.calls;
+    assert.equal(container, config.ocrContainer);
+    assert.equal(blobName, `${OWNER}/${DOC_ID}/scan-1.sensitive.json`);
+    assert.equal(scan.sourceBlobName, SOURCE_BLOB);
+    assert.deepEqual(scan.unreadablePages, [4]);
+    assert.deepEqual(scan.candidates.map((c) => [c.id, c.kind, c.text, c.source]), [
+      ['p1-1', 'ssn', '123-45-6789', 'text'],
+      ['p2-1', 'email', 'jane.doe@example.com', 'text'],
+      ['p3-1', 'dob', '01/02/1980', 'ocr'],
+    ]);
+    // OCR inches become page points, like annotation bounds.
+    assert.deepEqual(scan.candidates[2].rects, [{ x: 126, y: 72, w: 90, h: 18 }]);
+
+    const completed = jobs.calls.at(-1)[1];
+    assert.equal(completed.progressDone, 4);
+    assert.equal(completed.resultUri, `https://example.com/${config.ocrContainer}/${blobName}?sig=test`);
+    assert.equal(completed.error, null);
+  });
+
+  it('reads OCR words from the normalized document when there is one', async () => {
+    const { downloads } = setup({ ocr: { documentBlobName: DOCUMENT_BLOB } });
+
+    await handler(message({ pages: '3' }), createMockContext());
+
+    assert.deepEqual(downloads.calls.map(([, blob]) => blob), [SOURCE_BLOB, DOCUMENT_BLOB]);
+  });
+
+  it('scans only the selected pages, for the given terms', async () => {
+    const { jobs, uploads, downloads } = setup({ ocr: { sourceBlobName: 'older.pdf' } });
+
+    await handler(message({ pages: '1-2', kinds: [], terms: ['jane doe'] }), createMockContext());
+
+    const [[, , scan]] = uploads.calls;
+    assert.equal(scan.pages, '1-2');
+    assert.deepEqual(scan.candidates.map((c) => [c.page, c.kind, c.text]), [[1, 'term', 'Jane Doe']]);
+    assert.equal(downloads.calls.length, 1);
+    assert.equal(jobs.calls[1][1].progressTotal, 2);
+  });
+
+  it('checks the pages against the file when the page count was never recorded', async () => {
+    const { jobs, uploads } = setup({ doc: { pageCount: null } });
+
+    await assert.rejects(handler(message({ pages: '3-9' }), createMockContext()), /Invalid pages: 3-9 goes past the last page \(4\)/);
+
+    assert.equal(jobs.calls.at(-1)[1].status, 'failed');
+    assert.equal(uploads.calls.length, 0);
+  });
+
+  it('runs custom patterns off the main thread', async () => {
+    const { uploads } = setup();
+
+    await handler(message({ pages: '1', kinds: [], patterns: [{ name: 'Employee', pattern: 'jane\\s+doe' }] }), createMockContext());
+
+    const [[, , scan]] = uploads.calls;
+    assert.deepEqual(scan.candidates.map((c) => [c.kind, c.label, c.text]), [['pattern', 'Employee', 'Jane Doe']]);
+  });
+
+  it('fails the job for a pattern with nested repeats without running it', async () => {
+    const { jobs, uploads } = setup();
+
+    await assert.rejects(
+      handler(message({ patterns: [{ name: 'Bad', pattern: '(a+)+$' }] }), createMockContext()),
+      /patterns\[0\]\.pattern must not repeat a group/
+    );
+
+    assert.equal(jobs.calls.at(-1)[1].status, 'failed');
+    assert.equal(uploads.calls.length, 0);
+  });
+
+  it('marks the job failed and rethrows when the document is gone', async () => {
+    const { jobs } = setup();
+    mm.setGetDocument(async () => null);
+    const ctx = createMockContext();
+
+    await assert.rejects(handler(message(), ctx), /Document metadata missing/);
+
+    const failed = jobs.calls.at(-1)[1];
+    assert.equal(failed.status, 'failed');
+    assert.match(failed.error, /Document metadata missing/);
+    assert.equal(ctx._logs.filter((l) => l.level === 'error').length, 1);
+  });
+});
@@ -0,0 +1,141 @@
+// backend/test/functions/splitWorker.test.js
+// Tests for the split-worker queue-triggered Azure Function.
+
+// 1. Env-var setup (must be first)
+require('../_helpers/setup');
+
+// 2. Module-level mocks injected before the handler module is loaded.
+const mm = require('../_helpers/module-mocks');
+
+// 3. Other test infrastructure
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
+const { createMockContext } = require('../_helpers/mocks');
+const { createTestPdf } = require('../_helpers/pdf');
+const { config } = require('../../src/lib/config');
+
+// 4. Handler capture
+let capturedHandler;
+const { app } = require('@azure/functions');
+const origQueue = app.storageQueue.bind(app);
+app.storageQueue = (name, opts) => {
+  if (name === 'split-worker') {
+    capturedHandler = opts.handler;
+  }
+};
+require('../../src/functions/splitWorker');
+app.storageQueue = origQueue;
+
+const OWNER = 'owner@example.com';
+const SOURCE_BLOB = `${OWNER}/doc-batch/batch.pdf`;
+
+function makeTask(overrides = {}) {
+  return {
+    jobId: 'job-split',
+    docId: 'doc-batch',
+    ownerEmail: OWNER,
+    sourceBlobName: SOURCE_BLOB,
+    outputs: [
+      { docId: 'doc-1', start: 1, end: 2, title: 'batch-pages-1-2.pdf' },
+      { docId: 'doc-2', start: 3, end: 3, title: 'batch-pages-3.pdf' },
+    ],
+    ...overrides,
+  };
+}
+
+function makeOp(opId, page) {
+  return { opId, opType: 'highlight', page, bounds: { x: 10, y: 20, w: 30, h: 40 }, author: OWNER, ts: '2026-01-01T00:00:00Z' };
+}
+
+async function withSource(overrides = {}) {
+  const buffer = await createTestPdf(3);
+  mm.setGetDocument(async () => ({
+    docId: 'doc-batch',
+    ownerEmail: OWNER,
+    sourceBlobName: SOURCE_BLOB,
+    annotationJson: JSON.stringify({ operations: [makeOp('a', 1), makeOp('b', 3)] }),
+    ...overrides,
+  }));
+  mm.setDownloadToBuffer(async () => buffer);
+}
+
+beforeEach(() => {
+  mm.resetAll();
+});
+
+describe('splitWorker', () => {
+  it('registers the split-worker handler', () => {
+    assert.equal(typeof capturedHandler, 'function');
+  });
+
+  it('ignores messages with malformed outputs', async () => {
+    const updates = mm.spy();
+    mm.setUpdateJob(updates);
+    const ctx = createMockContext();
+
+    await capturedHandler(makeTask({ outputs: [{ docId: 'doc-1', start: 3, end: 1 }] }), ctx);
+
+    assert.equal(updates.calls.length, 0);
+    assert.ok(ctx._logs.some((l) => l.level === 'error'));
+  });
+
+  it('creates a document per range with its own annotations', async () => {
+    await withSource();
+    const updates = mm.spy();
+    const uploads = mm.spy();
+    const versions = mm.spy();
+    const docUpserts = mm.spy();
+    mm.setUpdateJob(updates);
+    mm.setUploadBuffer(uploads);
+    mm.setCreateDocumentVersion(versions);
+    mm.setUpsertDocument(docUpserts);
+
+    await capturedHandler(makeTask(), createMockContext());
+
+    const patches = updates.calls.map(([, patch]) => patch);
+    assert.deepEqual(patches.map((p) => p.progressDone), [0, 1, 2, undefined]);
+    assert.equal(patches[3].status, 'completed');
+
+    assert.deepEqual(uploads.calls.map(([container, blobName]) => [container, blobName]), [
+      [config.sourceContainer, `${OWNER}/doc-1/batch-pages-1-2.pdf`],
+      [config.sourceContainer, `${OWNER}/doc-2/batch-pages-3.pdf`],
+    ]);
+    assert.equal((await PDFDocument.load(uploads.calls[0][2])).getPageCount(), 2);
+    assert.deepEqual(versions.calls.map(([v]) => [v.docId, v.version]), [['doc-1', 1], ['doc-2', 1]]);
+
+    const [first, second] = docUpserts.calls.map(([doc]) => doc);
+    assert.equal(first.ownerEmail, OWNER);
+    assert.equal(first.pageCount, 2);
+    assert.deepEqual(JSON.parse(first.splitFrom), { docId: 'doc-batch', pages: '1-2' });
+    assert.deepEqual(JSON.parse(first.annotationJson).operations.map((op) => [op.opId, op.page]), [['a', 1]]);
+    assert.equal(second.title, 'batch-pages-3.pdf');
+    assert.deepEqual(JSON.parse(second.annotationJson).operations.map((op) => [op.opId, op.page]), [['b', 1]]);
+  });
+
+  it('fails the job when the pages were reorganized after the request', async () => {
+    await withSource({ sourceBlobName: `${OWNER}/doc-batch/pages-job-1.pdf` });
+    const updates = mm.spy();
+    const uploads = mm.spy();
+    mm.setUpdateJob(updates);
+    mm.setUploadBuffer(uploads);
+
+    await assert.rejects(() => capturedHandler(makeTask(), createMockContext()), /reorganized/);
+
+    assert.equal(uploads.calls.length, 0);
+    assert.equal(updates.calls[updates.calls.length - 1][1].status, 'failed');
+  });
+
+  it('fails the job when a range runs past the last page', async () => {
+    await withSource();
+    const updates = mm.spy();
+    mm.setUpdateJob(updates);
+
+    await assert.rejects(
+      () => capturedHandler(makeTask({ outputs: [{ docId: 'doc-1', start: 2, end: 5, title: 'x.pdf' }] }), createMockContext()),
+      /2-5 goes past the last page \(3\)/
+    );
+
+    assert.equal(updates.calls[updates.calls.length - 1][1].error, 'Invalid page ranges: 2-5 goes past the last page (3)');
+  });
+});
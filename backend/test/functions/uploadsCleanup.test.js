@@ -0,0 +1,109 @@
+// backend/test/functions/uploadsCleanup.test.js
+// Tests for the uploads-cleanup timer-triggered Azure Function.
+
+// 1. Env-var setup (must be first)
+require('../_helpers/setup');
+
+// 2. Module-level mocks injected before the handler module is loaded.
+const mm = require('../_helpers/module-mocks');
+
+// 3. Other test infrastructure
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockContext } = require('../_helpers/mocks');
+const { config } = require('../../src/lib/config');
+
+// 4. Handler capture
+let capturedHandler;
+let capturedSchedule;
+const { app } = require('@azure/functions');
+const origTimer = app.timer.bind(app);
+app.timer = (name, opts) => {
+  if (name === 'uploads-cleanup') {
+    capturedHandler = opts.handler;
+    capturedSchedule = opts.schedule;
+  }
+};
+require('../../src/functions/uploadsCleanup');
+app.timer = origTimer;
+
+beforeEach(() => {
+  mm.resetAll();
+});
+
+describe('uploadsCleanup', () => {
+  it('registers a timer handler', () => {
+    assert.equal(typeof capturedHandler, 'function');
+    assert.ok(capturedSchedule);
+  });
+
+  it('asks only for uploads idle for a day', async () => {
+    const list = mm.spy(async () => []);
+    mm.setListStaleUploads(list);
+
+    await capturedHandler({}, createMockContext());
+
+    const cutoff = new Date(list.calls[0][0]).getTime();
+    assert.ok(Math.abs(Date.now() - 24 * 60 * 60 * 1000 - cutoff) < 5000);
+  });
+
+  it('removes the blobs, versions and row of each abandoned upload', async () => {
+    const blobs = mm.spy();
+    const versions = mm.spy();
+    const rows = mm.spy();
+    mm.setListStaleUploads(async () => [
+      {
+        rowKey: 'doc-1',
+        docId: 'doc-1',
+        sourceBlobName: 'a@example.com/doc-1/a.pdf',
+        uploadBlobName: 'a@example.com/doc-1/upload/a.pdf',
+        status: 'uploading',
+      },
+      { rowKey: 'doc-2', docId: 'doc-2', status: 'rejected' },
+    ]);
+    mm.setDeleteBlob(blobs);
+    mm.setDeleteDocumentVersions(versions);
+    mm.setDeleteDocument(rows);
+
+    await capturedHandler({}, createMockContext());
+
+    assert.deepEqual(blobs.calls, [
+      [config.sourceContainer, 'a@example.com/doc-1/a.pdf'],
+      [config.sourceContainer, 'a@example.com/doc-1/upload/a.pdf'],
+    ]);
+    assert.deepEqual(versions.calls.map(([docId]) => docId), ['doc-1', 'doc-2']);
+    assert.deepEqual(rows.calls.map(([docId]) => docId), ['doc-1', 'doc-2']);
+  });
+
+  it('also removes the images of an abandoned conversion', async () => {
+    const blobs = mm.spy();
+    mm.setListStaleUploads(async () => [{
+      docId: 'doc-3',
+      sourceBlobName: 'a@example.com/doc-3/scan.pdf',
+      imageBlobs: JSON.stringify(['a@example.com/doc-3/images/1-a.jpg', 'a@example.com/doc-3/images/2-b.png']),
+    }]);
+    mm.setDeleteBlob(blobs);
+
+    await capturedHandler({}, createMockContext());
+
+    assert.deepEqual(blobs.calls.map(([, blob]) => blob), [
+      'a@example.com/doc-3/scan.pdf',
+      'a@example.com/doc-3/images/1-a.jpg',
+      'a@example.com/doc-3/images/2-b.png',
+    ]);
+  });
+
+  it('carries on past a row that fails to delete', async () => {
+    const rows = mm.spy(async (docId) => {
+      if (docId === 'doc-1') throw new Error('busy');
+    });
+    mm.setListStaleUploads(async () => [{ docId: 'doc-1' }, { docId: 'doc-2' }]);
+    mm.setDeleteDocument(rows);
+    const ctx = createMockContext();
+
+    await capturedHandler({}, ctx);
+
+    assert.equal(rows.calls.length, 2);
+    assert.ok(ctx._logs.some((l) => l.level === 'error' && /doc-1/.test(l.args[0])));
+  });
+});
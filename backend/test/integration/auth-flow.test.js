@@ -16,7 +16,7 @@ const bcrypt = require('bcryptjs');
 const mm = require('../_helpers/module-mocks');
 
 // 3. Test helpers
-const { createMockRequest, createMockContext } = require('../_helpers/mocks');
+const { createMockRequest, createMockContext, createAnnotationOp, createAnnotationSet } = require('../_helpers/mocks');
 const { createToken } = require('../../src/lib/auth');
 
 // ---------------------------------------------------------------------------
@@ -309,7 +309,7 @@ describe('Integration: Auth Flow', () => {
     const resA = await doSaveAnnotation(
       { authorization: `Bearer ${tokenA}` },
       { docId },
-      { operations: [{ type: 'highlight', page: 1 }] }
+      createAnnotationSet([createAnnotationOp()], { baseVersion: 1 })
     );
     assert.equal(resA.status, 200, 'User A should access their own document');
 
@@ -317,7 +317,7 @@ describe('Integration: Auth Flow', () => {
     const resB = await doSaveAnnotation(
       { authorization: `Bearer ${tokenB}` },
       { docId },
-      { operations: [{ type: 'highlight', page: 1 }] }
+      createAnnotationSet([createAnnotationOp()], { baseVersion: 1 })
     );
     assert.equal(resB.status, 403, 'User B should be denied access to User A\'s document');
     assert.equal(resB.jsonBody.error.code, 'forbidden');
@@ -14,7 +14,7 @@ const bcrypt = require('bcryptjs');
 const mm = require('../_helpers/module-mocks');
 
 // 3. Other test helpers
-const { createMockRequest, createMockContext } = require('../_helpers/mocks');
+const { createMockRequest, createMockContext, createAnnotationOp, createAnnotationSet } = require('../_helpers/mocks');
 const { createToken } = require('../../src/lib/auth');
 
 // ---------------------------------------------------------------------------
@@ -164,7 +164,7 @@ describe('Cross-cutting concerns', () => {
       mm.resetAll();
       const saveErrRes = await handlers['docs-save-annotation'](
         createMockRequest({
-          body: { operations: [] },
+          body: createAnnotationSet(),
           headers: authHeaders(),
           params: {},
         }),
@@ -216,7 +216,7 @@ describe('Cross-cutting concerns', () => {
       mm.setGetDocument(async () => null);
       errorResponses.push(await handlers['docs-save-annotation'](
         createMockRequest({
-          body: { operations: [{ type: 'highlight' }] },
+          body: createAnnotationSet([createAnnotationOp()]),
           headers: authHeaders(),
           params: { docId: 'nonexistent' },
         }),
@@ -228,7 +228,7 @@ describe('Cross-cutting concerns', () => {
       mm.setGetDocument(async () => makeDocument('doc-other', 'someone-else@x.com'));
       errorResponses.push(await handlers['docs-save-annotation'](
         createMockRequest({
-          body: { operations: [{ type: 'highlight' }] },
+          body: createAnnotationSet([createAnnotationOp()]),
           headers: authHeaders(),
           params: { docId: 'doc-other' },
         }),
@@ -378,7 +378,7 @@ describe('Cross-cutting concerns', () => {
 
       const saveRes = await handlers['docs-save-annotation'](
         createMockRequest({
-          body: { operations: [{ type: 'highlight' }] },
+          body: createAnnotationSet([createAnnotationOp()], { baseVersion: 1 }),
           headers: { authorization: `Bearer ${token}` },
           params: { docId },
         }),
@@ -427,7 +427,7 @@ describe('Cross-cutting concerns', () => {
       mm.setUpsertDocument(mm.spy());
       const saveRes = await handlers['docs-save-annotation'](
         createMockRequest({
-          body: { operations: [{ type: 'highlight' }] },
+          body: createAnnotationSet([createAnnotationOp()], { baseVersion: 1 }),
           headers: authHeaders(),
           params: { docId },
         }),
@@ -479,7 +479,7 @@ describe('Cross-cutting concerns', () => {
       mm.resetAll();
       errorResponses.push(await handlers['docs-save-annotation'](
         createMockRequest({
-          body: { operations: [] },
+          body: createAnnotationSet(),
           headers: authHeaders(),
           params: {},
         }),
@@ -491,7 +491,7 @@ describe('Cross-cutting concerns', () => {
       mm.setGetDocument(async () => null);
       errorResponses.push(await handlers['docs-save-annotation'](
         createMockRequest({
-          body: { operations: [{ type: 'highlight' }] },
+          body: createAnnotationSet([createAnnotationOp()]),
           headers: authHeaders(),
           params: { docId: 'nonexistent' },
         }),
@@ -620,7 +620,7 @@ describe('Cross-cutting concerns', () => {
       mm.setUpsertDocument(mm.spy());
       responses.push(await handlers['docs-save-annotation'](
         createMockRequest({
-          body: { operations: [{ type: 'highlight' }] },
+          body: createAnnotationSet([createAnnotationOp()]),
           headers: authHeaders(),
           params: { docId },
         }),
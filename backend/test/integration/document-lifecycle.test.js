@@ -22,6 +22,8 @@ const {
   createMockRequest,
   createAuthHeaders,
   createMockContext,
+  createAnnotationOp,
+  createAnnotationSet,
 } = require('../_helpers/mocks');
 
 const { createToken } = require('../../src/lib/auth');
@@ -75,13 +77,13 @@ function makeUploadRequest({ email = USER_A_EMAIL, fileName = 'report.pdf', cont
   });
 }
 
-/** Build a valid save-annotation request. */
-function makeSaveAnnotationRequest({ email = USER_A_EMAIL, docId, operations = [], extraPayload = {} } = {}) {
+/** Build a valid save-annotation request based on the given version. */
+function makeSaveAnnotationRequest({ email = USER_A_EMAIL, docId, operations = [], baseVersion = 1, extraPayload = {} } = {}) {
   return createMockRequest({
     method: 'POST',
     headers: createAuthHeaders(email, 'user'),
     params: { docId },
-    body: { operations, ...extraPayload },
+    body: createAnnotationSet(operations, { baseVersion, ...extraPayload }),
   });
 }
 
@@ -180,7 +182,7 @@ describe('Document Lifecycle Integration Tests', () => {
     const saveReq = makeSaveAnnotationRequest({
       email: USER_A_EMAIL,
       docId,
-      operations: [{ type: 'highlight', page: 1, rect: { x: 10, y: 20, w: 100, h: 30 } }],
+      operations: [createAnnotationOp({ author: USER_A_EMAIL, bounds: { x: 10, y: 20, w: 100, h: 30 } })],
     });
     const saveRes = await saveAnnotationHandler(saveReq);
 
@@ -221,7 +223,7 @@ describe('Document Lifecycle Integration Tests', () => {
     const req1 = makeSaveAnnotationRequest({
       email: USER_A_EMAIL,
       docId,
-      operations: [{ type: 'highlight', page: 1 }],
+      operations: [createAnnotationOp()],
     });
     const res1 = await saveAnnotationHandler(req1);
 
@@ -233,7 +235,8 @@ describe('Document Lifecycle Integration Tests', () => {
     const req2 = makeSaveAnnotationRequest({
       email: USER_A_EMAIL,
       docId,
-      operations: [{ type: 'underline', page: 2 }],
+      operations: [createAnnotationOp({ opType: 'shape', page: 2 })],
+      baseVersion: 2,
     });
     const res2 = await saveAnnotationHandler(req2);
 
@@ -263,7 +266,7 @@ describe('Document Lifecycle Integration Tests', () => {
     const req = makeSaveAnnotationRequest({
       email: USER_B_EMAIL,
       docId,
-      operations: [{ type: 'highlight', page: 1 }],
+      operations: [createAnnotationOp()],
     });
     const res = await saveAnnotationHandler(req);
 
@@ -278,11 +281,11 @@ describe('Document Lifecycle Integration Tests', () => {
   it('saves annotations with diverse operation types and verifies full payload is stored', async () => {
     const docId = 'diverse-ops-doc';
     const operations = [
-      { type: 'highlight', page: 1, color: '#ffff00', rect: { x: 10, y: 20, w: 200, h: 15 } },
-      { type: 'underline', page: 1, color: '#0000ff', rect: { x: 10, y: 50, w: 200, h: 2 } },
-      { type: 'text', page: 2, content: 'Important note', position: { x: 50, y: 100 } },
-      { type: 'strikethrough', page: 3, rect: { x: 0, y: 0, w: 300, h: 12 } },
-      { type: 'freehand', page: 1, points: [{ x: 0, y: 0 }, { x: 10, y: 10 }], strokeWidth: 2 },
+      createAnnotationOp({ opType: 'highlight', page: 1, color: '#ffff00', bounds: { x: 10, y: 20, w: 200, h: 15 } }),
+      createAnnotationOp({ opType: 'shape', page: 1, color: '#0000ff', bounds: { x: 10, y: 50, w: 200, h: 2 } }),
+      createAnnotationOp({ opType: 'text', page: 2, payload: { content: 'Important note' } }),
+      createAnnotationOp({ opType: 'redaction', page: 3, bounds: { x: 0, y: 0, w: 300, h: 12 } }),
+      createAnnotationOp({ opType: 'ink', page: 1, payload: { points: [{ x: 0, y: 0 }, { x: 10, y: 10 }], strokeWidth: 2 } }),
     ];
 
     mm.setGetDocument(async (requestedDocId) => {
@@ -314,16 +317,16 @@ describe('Document Lifecycle Integration Tests', () => {
     assert.equal(parsed.operations.length, 5, 'all 5 operations should be stored');
 
     // Verify each operation type is present
-    const storedTypes = parsed.operations.map((op) => op.type);
+    const storedTypes = parsed.operations.map((op) => op.opType);
     assert.ok(storedTypes.includes('highlight'), 'should include highlight');
-    assert.ok(storedTypes.includes('underline'), 'should include underline');
+    assert.ok(storedTypes.includes('shape'), 'should include shape');
     assert.ok(storedTypes.includes('text'), 'should include text');
-    assert.ok(storedTypes.includes('strikethrough'), 'should include strikethrough');
-    assert.ok(storedTypes.includes('freehand'), 'should include freehand');
+    assert.ok(storedTypes.includes('redaction'), 'should include redaction');
+    assert.ok(storedTypes.includes('ink'), 'should include ink');
 
     // Verify the text operation retains its content
-    const textOp = parsed.operations.find((op) => op.type === 'text');
-    assert.equal(textOp.content, 'Important note', 'text content should be preserved');
+    const textOp = parsed.operations.find((op) => op.opType === 'text');
+    assert.equal(textOp.payload.content, 'Important note', 'text content should be preserved');
   });
 
   // -------------------------------------------------------------------------
@@ -336,7 +339,7 @@ describe('Document Lifecycle Integration Tests', () => {
     const req = makeSaveAnnotationRequest({
       email: USER_A_EMAIL,
       docId: 'does-not-exist-abc123',
-      operations: [{ type: 'highlight', page: 1 }],
+      operations: [createAnnotationOp()],
     });
     const res = await saveAnnotationHandler(req);
 
@@ -426,7 +429,7 @@ describe('Document Lifecycle Integration Tests', () => {
     const saveReq1 = makeSaveAnnotationRequest({
       email: USER_A_EMAIL,
       docId: docId1,
-      operations: [{ type: 'highlight', page: 1, note: 'doc1 annotation' }],
+      operations: [createAnnotationOp({ payload: { note: 'doc1 annotation' } })],
     });
     const saveRes1 = await saveAnnotationHandler(saveReq1);
 
@@ -438,7 +441,7 @@ describe('Document Lifecycle Integration Tests', () => {
     const saveReq2 = makeSaveAnnotationRequest({
       email: USER_A_EMAIL,
       docId: docId2,
-      operations: [{ type: 'text', page: 3, content: 'doc2 annotation' }],
+      operations: [createAnnotationOp({ opType: 'text', page: 3, payload: { content: 'doc2 annotation' } })],
     });
     const saveRes2 = await saveAnnotationHandler(saveReq2);
 
@@ -454,7 +457,7 @@ describe('Document Lifecycle Integration Tests', () => {
     // Verify the payloads are distinct
     const payload1 = JSON.parse(annotationUpserts[0].annotationJson);
     const payload2 = JSON.parse(annotationUpserts[1].annotationJson);
-    assert.equal(payload1.operations[0].note, 'doc1 annotation', 'doc1 annotation payload should be correct');
-    assert.equal(payload2.operations[0].content, 'doc2 annotation', 'doc2 annotation payload should be correct');
+    assert.equal(payload1.operations[0].payload.note, 'doc1 annotation', 'doc1 annotation payload should be correct');
+    assert.equal(payload2.operations[0].payload.content, 'doc2 annotation', 'doc2 annotation payload should be correct');
   });
 });
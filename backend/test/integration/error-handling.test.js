@@ -26,6 +26,7 @@ const {
   createBadJsonRequest,
   createMockContext,
   createAuthHeaders,
+  createAnnotationSet,
 } = require('../_helpers/mocks');
 const { createToken } = require('../../src/lib/auth');
 const { config } = require('../../src/lib/config');
@@ -101,7 +102,7 @@ const PROTECTED_ENDPOINTS = [
 
 /** Document-scoped endpoints that check ownership. */
 const DOC_ENDPOINTS = [
-  { name: 'docsSaveAnnotation', handler: docsSaveAnnotation, method: 'POST', params: { docId: 'doc-test' }, body: { operations: [] } },
+  { name: 'docsSaveAnnotation', handler: docsSaveAnnotation, method: 'POST', params: { docId: 'doc-test' }, body: createAnnotationSet() },
   { name: 'docsExportStart', handler: docsExportStart, method: 'POST', params: { docId: 'doc-test' }, body: {} },
   { name: 'docsOcrStart', handler: docsOcrStart, method: 'POST', params: { docId: 'doc-test' }, body: {} },
 ];
@@ -371,7 +372,7 @@ describe('Cross-endpoint error handling consistency', () => {
       method: 'POST',
       headers: createAuthHeaders('user@test.redarm'),
       params: { docId: 'missing-doc' },
-      body: { operations: [] },
+      body: createAnnotationSet(),
     });
     errorResponses.push(await docsSaveAnnotation(notFoundReq, createMockContext()));
 
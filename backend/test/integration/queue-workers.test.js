@@ -152,7 +152,7 @@ describe('Integration: queue-workers', () => {
   // 2. OCR worker graceful failure when Doc Intelligence not configured
   // -----------------------------------------------------------------------
   it('OCR worker gracefully fails when DOCINTEL_ENDPOINT is not configured', async () => {
-    // DOCINTEL_ENDPOINT is not set in setup.js, so createDocIntelClient() returns null
+    // DOCINTEL_ENDPOINT is not set in setup.js, so the default Azure provider cannot be created
     const statusUpdates = [];
 
     mm.setUpdateJob(async (jobId, patch) => {
@@ -0,0 +1,97 @@
+// backend/test/lib/access.test.js
+// Tests for backend/src/lib/access.js — share roles and permission checks.
+require('../_helpers/setup');
+const mm = require('../_helpers/module-mocks');
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAnnotationOp } = require('../_helpers/mocks');
+const {
+  getDocumentRole,
+  hasRole,
+  forbidden,
+  findCommenterViolations,
+  toShareSummary,
+} = require('../../src/lib/access');
+
+const OWNER = 'owner@example.com';
+const REVIEWER = 'reviewer@example.com';
+const doc = { ownerEmail: OWNER };
+
+describe('getDocumentRole', () => {
+  afterEach(() => mm.resetAll());
+
+  it('returns owner for the owner regardless of email case', async () => {
+    assert.equal(await getDocumentRole('d1', { ownerEmail: 'Owner@Example.com' }, OWNER), 'owner');
+  });
+
+  it('returns the share role for a grantee', async () => {
+    const spy = mm.spy(async () => ({ role: 'commenter' }));
+    mm.setGetShare(spy);
+    assert.equal(await getDocumentRole('d1', doc, REVIEWER), 'commenter');
+    assert.deepEqual(spy.calls[0], ['d1', REVIEWER]);
+  });
+
+  it('returns null without a share or with an unknown stored role', async () => {
+    assert.equal(await getDocumentRole('d1', doc, REVIEWER), null);
+    mm.setGetShare(async () => ({ role: 'admin' }));
+    assert.equal(await getDocumentRole('d1', doc, REVIEWER), null);
+  });
+});
+
+describe('hasRole', () => {
+  it('orders viewer < commenter < editor < owner', () => {
+    assert.ok(hasRole('owner', 'editor'));
+    assert.ok(hasRole('editor', 'commenter'));
+    assert.ok(hasRole('commenter', 'viewer'));
+    assert.ok(hasRole('viewer', 'viewer'));
+    assert.ok(!hasRole('viewer', 'commenter'));
+    assert.ok(!hasRole('editor', 'owner'));
+    assert.ok(!hasRole(null, 'viewer'));
+  });
+});
+
+describe('forbidden', () => {
+  it('names the caller role when they have some access', () => {
+    const res = forbidden('viewer', 'edit this document');
+    assert.equal(res.status, 403);
+    assert.equal(res.jsonBody.error.message, 'viewer access does not allow you to edit this document');
+    assert.deepEqual(res.jsonBody.error.details, { role: 'viewer' });
+  });
+
+  it('uses a generic message without access', () => {
+    const res = forbidden(null, 'edit this document');
+    assert.equal(res.jsonBody.error.message, 'You do not have access to this document');
+  });
+});
+
+describe('findCommenterViolations', () => {
+  const ownNote = createAnnotationOp({ opId: 'note', opType: 'text', author: REVIEWER });
+  const highlight = createAnnotationOp({ opId: 'hl', author: OWNER });
+  const othersNote = createAnnotationOp({ opId: 'other', opType: 'text', author: OWNER });
+
+  it('allows adding, editing and removing their own text notes', () => {
+    const edited = { ...ownNote, payload: { text: 'changed' } };
+    assert.deepEqual(findCommenterViolations([highlight], [highlight, ownNote], REVIEWER), []);
+    assert.deepEqual(findCommenterViolations([highlight, ownNote], [highlight, edited], REVIEWER), []);
+    assert.deepEqual(findCommenterViolations([highlight, ownNote], [highlight], REVIEWER), []);
+  });
+
+  it('flags changes to anything else', () => {
+    const moved = { ...highlight, page: 2 };
+    const newHighlight = createAnnotationOp({ opId: 'new-hl', author: REVIEWER });
+    assert.deepEqual(findCommenterViolations([highlight], [moved], REVIEWER), ['hl']);
+    assert.deepEqual(findCommenterViolations([highlight], [], REVIEWER), ['hl']);
+    assert.deepEqual(findCommenterViolations([othersNote], [{ ...othersNote, author: REVIEWER }], REVIEWER), ['other']);
+    assert.deepEqual(findCommenterViolations([], [newHighlight], REVIEWER), ['new-hl']);
+  });
+});
+
+describe('toShareSummary', () => {
+  it('exposes email, role, grantor and timestamps', () => {
+    assert.deepEqual(
+      toShareSummary({ partitionKey: 'd1', rowKey: REVIEWER, email: REVIEWER, role: 'viewer', grantedBy: OWNER, createdAt: 't1' }),
+      { email: REVIEWER, role: 'viewer', grantedBy: OWNER, createdAt: 't1', updatedAt: null }
+    );
+  });
+});
@@ -0,0 +1,190 @@
+// backend/test/lib/annotate.test.js
+// Tests for backend/src/lib/annotate.js — burning editor annotations into PDFs.
+require('../_helpers/setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
+const { createTestPdf, readPageContent } = require('../_helpers/pdf');
+const { parseOperations, createPageMapper, burnAnnotations } = require('../../src/lib/annotate');
+
+function makeOp(overrides = {}) {
+  return {
+    opId: 'op-1',
+    opType: 'highlight',
+    page: 1,
+    bounds: { x: 50, y: 100, w: 200, h: 20 },
+    author: 'user@example.com',
+    ts: '2025-01-01T00:00:00.000Z',
+    ...overrides,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// parseOperations
+// ---------------------------------------------------------------------------
+
+describe('parseOperations', () => {
+  it('returns operations from a saved annotationJson string', () => {
+    const json = JSON.stringify({ schemaVersion: '1.0', operations: [makeOp()] });
+    assert.equal(parseOperations(json).length, 1);
+  });
+
+  it('returns an empty array for the "{}" placeholder written at upload time', () => {
+    assert.deepEqual(parseOperations('{}'), []);
+  });
+
+  it('returns an empty array for malformed JSON or missing input', () => {
+    assert.deepEqual(parseOperations('{not json'), []);
+    assert.deepEqual(parseOperations(undefined), []);
+    assert.deepEqual(parseOperations(''), []);
+  });
+
+  it('accepts an already-parsed object and drops non-object entries', () => {
+    const result = parseOperations({ operations: [makeOp(), null, 'x', 3] });
+    assert.equal(result.length, 1);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// createPageMapper
+// ---------------------------------------------------------------------------
+
+describe('createPageMapper', () => {
+  async function pageWithRotation(rotation) {
+    const doc = await PDFDocument.load(await createTestPdf(1, { size: [600, 800], rotations: [rotation] }));
+    return doc.getPage(0);
+  }
+
+  it('flips the y axis on an unrotated page', async () => {
+    const mapper = createPageMapper(await pageWithRotation(0));
+    assert.deepEqual(mapper.toPdf(10, 20), { x: 10, y: 780 });
+  });
+
+  it('maps displayed coordinates on a page rotated 90 degrees', async () => {
+    const mapper = createPageMapper(await pageWithRotation(90));
+    assert.equal(mapper.rotation, 90);
+    assert.deepEqual(mapper.toPdf(10, 20), { x: 20, y: 10 });
+  });
+
+  it('maps displayed coordinates on a page rotated 180 degrees', async () => {
+    const mapper = createPageMapper(await pageWithRotation(180));
+    assert.deepEqual(mapper.toPdf(10, 20), { x: 590, y: 20 });
+  });
+
+  it('maps displayed coordinates on a page rotated 270 degrees', async () => {
+    const mapper = createPageMapper(await pageWithRotation(270));
+    assert.deepEqual(mapper.toPdf(10, 20), { x: 580, y: 790 });
+  });
+
+  it('maps PDF points back to displayed coordinates for every rotation', async () => {
+    for (const rotation of [0, 90, 180, 270]) {
+      const mapper = createPageMapper(await pageWithRotation(rotation));
+      const pdf = mapper.toPdf(10, 20);
+      assert.deepEqual(mapper.fromPdf(pdf.x, pdf.y), { x: 10, y: 20 }, `rotation ${rotation}`);
+    }
+  });
+
+  it('reports the displayed page size, swapped when the page is sideways', async () => {
+    const upright = createPageMapper(await pageWithRotation(0));
+    const sideways = createPageMapper(await pageWithRotation(90));
+    assert.deepEqual([upright.width, upright.height], [600, 800]);
+    assert.deepEqual([sideways.width, sideways.height], [800, 600]);
+  });
+
+  it('converts bounds into a normalized PDF rectangle', async () => {
+    const mapper = createPageMapper(await pageWithRotation(0));
+    assert.deepEqual(mapper.toPdfRect({ x: 50, y: 100, w: 200, h: 20 }), {
+      x: 50, y: 680, width: 200, height: 20,
+    });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// burnAnnotations
+// ---------------------------------------------------------------------------
+
+describe('burnAnnotations', () => {
+  it('returns a loadable PDF with the same page count', async () => {
+    const source = await createTestPdf(3);
+    const { buffer } = await burnAnnotations(source, [makeOp({ page: 2 })]);
+    const out = await PDFDocument.load(buffer);
+    assert.equal(out.getPageCount(), 3);
+  });
+
+  it('draws a highlight as a filled rectangle at the mapped position', async () => {
+    const source = await createTestPdf(1);
+    const { buffer, drawn } = await burnAnnotations(source, [makeOp()]);
+    assert.equal(drawn, 1);
+    const content = await readPageContent(buffer, 0);
+    assert.match(content, /1 0 0 1 50 672 cm/);
+    assert.match(content, /200 20 l/);
+    assert.match(content, /^f$/m);
+  });
+
+  it('draws a shape as a stroked rectangle', async () => {
+    const source = await createTestPdf(1);
+    const { buffer } = await burnAnnotations(source, [makeOp({ opType: 'shape' })]);
+    const content = await readPageContent(buffer, 0);
+    assert.match(content, /1 0 0 1 50 672 cm/);
+    assert.match(content, /^S$/m);
+  });
+
+  it('draws ink strokes as connected line segments', async () => {
+    const source = await createTestPdf(1);
+    const ink = makeOp({
+      opType: 'ink',
+      bounds: { x: 10, y: 10, w: 20, h: 20 },
+      payload: { points: [{ x: 10, y: 10 }, { x: 20, y: 20 }, { x: 30, y: 30 }] },
+    });
+    const { buffer } = await burnAnnotations(source, [ink]);
+    const content = await readPageContent(buffer, 0);
+    assert.match(content, /10 782 m/);
+    assert.match(content, /20 772 l/);
+    assert.match(content, /30 762 l/);
+  });
+
+  it('writes text annotations using the payload text', async () => {
+    const source = await createTestPdf(1);
+    const text = makeOp({ opType: 'text', payload: { text: 'Approved' } });
+    const { buffer } = await burnAnnotations(source, [text]);
+    const content = await readPageContent(buffer, 0);
+    const hex = Buffer.from('Approved', 'latin1').toString('hex').toUpperCase();
+    assert.ok(content.includes(`<${hex}>`), 'Text must be written to the page content stream');
+  });
+
+  it('replaces characters the standard font cannot encode instead of failing', async () => {
+    const source = await createTestPdf(1);
+    const text = makeOp({ opType: 'text', payload: { text: 'OK ✓' } });
+    const { drawn } = await burnAnnotations(source, [text]);
+    assert.equal(drawn, 1);
+  });
+
+  it('places annotations on the page they belong to', async () => {
+    const source = await createTestPdf(2);
+    const { buffer } = await burnAnnotations(source, [makeOp({ page: 2 })]);
+    assert.doesNotMatch(await readPageContent(buffer, 0), /50 672 cm/);
+    assert.match(await readPageContent(buffer, 1), /50 672 cm/);
+  });
+
+  it('skips operations on pages that do not exist or with invalid bounds', async () => {
+    const source = await createTestPdf(1);
+    const { drawn } = await burnAnnotations(source, [
+      makeOp({ page: 5 }),
+      makeOp({ page: 0 }),
+      makeOp({ bounds: { x: 0, y: 0, w: 0, h: 10 } }),
+      makeOp({ bounds: null }),
+    ]);
+    assert.equal(drawn, 0);
+  });
+
+  it('does not draw redaction operations', async () => {
+    const source = await createTestPdf(1);
+    const { drawn } = await burnAnnotations(source, [makeOp({ opType: 'redaction' })]);
+    assert.equal(drawn, 0);
+  });
+
+  it('rejects input that is not a PDF', async () => {
+    await assert.rejects(() => burnAnnotations(Buffer.from('not-a-pdf'), [makeOp()]));
+  });
+});
@@ -0,0 +1,178 @@
+// backend/test/lib/annotationSchema.test.js
+// Tests for backend/src/lib/annotationSchema.js — enforcement of annotation-schema-v1.
+require('../_helpers/setup');
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAnnotationOp, createAnnotationSet } = require('../_helpers/mocks');
+const {
+  SCHEMA_VERSION,
+  MAX_OPERATIONS,
+  OP_TYPES,
+  OPERATION_FIELDS,
+  REQUIRED_OPERATION_FIELDS,
+  validateAnnotationSet,
+  validatePageNumbers,
+  summarizeErrors,
+} = require('../../src/lib/annotationSchema');
+
+const publishedSchema = JSON.parse(fs.readFileSync(
+  path.join(__dirname, '../../../docs/data/annotation-schema-v1.json'),
+  'utf8'
+));
+
+function paths(errors) {
+  return errors.map((e) => e.path);
+}
+
+// ---------------------------------------------------------------------------
+// Published schema parity
+// ---------------------------------------------------------------------------
+
+describe('annotation-schema-v1 parity', () => {
+  const items = publishedSchema.properties.operations.items;
+
+  it('uses the published schemaVersion, operation limit and opType enum', () => {
+    assert.equal(SCHEMA_VERSION, publishedSchema.properties.schemaVersion.const);
+    assert.equal(MAX_OPERATIONS, publishedSchema.properties.operations.maxItems);
+    assert.deepEqual(OP_TYPES, items.properties.opType.enum);
+  });
+
+  it('allows and requires the same operation fields', () => {
+    assert.deepEqual([...OPERATION_FIELDS].sort(), Object.keys(items.properties).sort());
+    assert.deepEqual([...REQUIRED_OPERATION_FIELDS].sort(), [...items.required].sort());
+  });
+});
+
+// ---------------------------------------------------------------------------
+// validateAnnotationSet
+// ---------------------------------------------------------------------------
+
+describe('validateAnnotationSet', () => {
+  it('accepts a valid set, including optional color and payload', () => {
+    const set = createAnnotationSet([
+      createAnnotationOp(),
+      createAnnotationOp({ opType: 'ink', color: '#ff0000', payload: { points: [] } }),
+    ]);
+    assert.deepEqual(validateAnnotationSet(set), []);
+  });
+
+  it('rejects non-object payloads', () => {
+    for (const input of [null, 'text', [], 5]) {
+      assert.equal(validateAnnotationSet(input)[0].message, 'payload must be an object');
+    }
+  });
+
+  it('requires schemaVersion "1.0" and rejects unknown top-level fields', () => {
+    assert.deepEqual(paths(validateAnnotationSet({ operations: [] })), ['schemaVersion']);
+    assert.deepEqual(paths(validateAnnotationSet(createAnnotationSet([], { schemaVersion: '2.0' }))), ['schemaVersion']);
+    assert.deepEqual(paths(validateAnnotationSet(createAnnotationSet([], { meta: 1 }))), ['meta']);
+  });
+
+  it('reports a single error when there are too many operations', () => {
+    const ops = Array.from({ length: MAX_OPERATIONS + 1 }, () => ({}));
+    const errors = validateAnnotationSet(createAnnotationSet(ops));
+    assert.equal(errors.length, 1);
+    assert.match(errors[0].message, /too many operations/);
+  });
+
+  it('reports each invalid operation with its index and opId', () => {
+    const errors = validateAnnotationSet(createAnnotationSet([
+      createAnnotationOp({ opId: 'good' }),
+      createAnnotationOp({ opId: 'bad-type', opType: 'underline' }),
+      createAnnotationOp({ opId: 'bad-page', page: 0 }),
+    ]));
+
+    assert.deepEqual(errors, [
+      {
+        path: 'operations[1].opType',
+        message: 'operations[1].opType must be one of highlight, ink, text, shape, redaction',
+        index: 1,
+        opId: 'bad-type',
+      },
+      {
+        path: 'operations[2].page',
+        message: 'operations[2].page must be an integer of at least 1',
+        index: 2,
+        opId: 'bad-page',
+      },
+    ]);
+  });
+
+  it('reports missing required fields and extra properties', () => {
+    const op = createAnnotationOp({ rect: {} });
+    delete op.ts;
+    delete op.author;
+    assert.deepEqual(paths(validateAnnotationSet(createAnnotationSet([op]))), [
+      'operations[0].author',
+      'operations[0].ts',
+      'operations[0].rect',
+    ]);
+  });
+
+  it('requires positive width and height and no extra bounds fields', () => {
+    const errors = validateAnnotationSet(createAnnotationSet([
+      createAnnotationOp({ bounds: { x: 0, y: 0, w: 0, h: -1, z: 1 } }),
+      createAnnotationOp({ bounds: 'box' }),
+    ]));
+    assert.deepEqual(paths(errors), [
+      'operations[0].bounds.w',
+      'operations[0].bounds.h',
+      'operations[0].bounds.z',
+      'operations[1].bounds',
+    ]);
+  });
+
+  it('checks author email, ts date-time, opId length and payload type', () => {
+    const errors = validateAnnotationSet(createAnnotationSet([
+      createAnnotationOp({ author: 'not-an-email' }),
+      createAnnotationOp({ ts: 'yesterday' }),
+      createAnnotationOp({ opId: 'x'.repeat(101) }),
+      createAnnotationOp({ payload: [] }),
+      createAnnotationOp({ color: 3 }),
+    ]));
+    assert.deepEqual(paths(errors), [
+      'operations[0].author',
+      'operations[1].ts',
+      'operations[2].opId',
+      'operations[3].payload',
+      'operations[4].color',
+    ]);
+  });
+
+  it('caps the number of reported errors', () => {
+    const ops = Array.from({ length: 200 }, () => createAnnotationOp({ page: 0 }));
+    assert.equal(validateAnnotationSet(createAnnotationSet(ops)).length, 50);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// validatePageNumbers / summarizeErrors
+// ---------------------------------------------------------------------------
+
+describe('validatePageNumbers', () => {
+  it('rejects operations beyond the document page count', () => {
+    const errors = validatePageNumbers([
+      createAnnotationOp({ opId: 'p2', page: 2 }),
+      createAnnotationOp({ opId: 'p4', page: 4 }),
+    ], 3);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].opId, 'p4');
+    assert.equal(errors[0].index, 1);
+    assert.match(errors[0].message, /3 pages/);
+  });
+
+  it('skips the check while the page count is unknown', () => {
+    assert.deepEqual(validatePageNumbers([createAnnotationOp({ page: 99 })], undefined), []);
+    assert.deepEqual(validatePageNumbers([createAnnotationOp({ page: 99 })], null), []);
+  });
+});
+
+describe('summarizeErrors', () => {
+  it('uses the first message and counts the rest', () => {
+    assert.equal(summarizeErrors([{ message: 'a bad' }]), 'a bad');
+    assert.equal(summarizeErrors([{ message: 'a bad' }, { message: 'b bad' }, { message: 'c bad' }]), 'a bad (and 2 more)');
+  });
+});
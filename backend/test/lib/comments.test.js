@@ -0,0 +1,88 @@
+// backend/test/lib/comments.test.js
+// Tests for backend/src/lib/comments.js — comment bodies, @mentions and thread assembly.
+require('../_helpers/setup');
+require('../_helpers/module-mocks');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAX_COMMENT_LENGTH,
+  readCommentBody,
+  extractMentions,
+  documentParticipants,
+  unknownMentions,
+  buildThreads,
+} = require('../../src/lib/comments');
+
+describe('readCommentBody', () => {
+  it('trims the body', () => {
+    assert.equal(readCommentBody('  Please check clause 4 '), 'Please check clause 4');
+  });
+
+  it('rejects empty, non-string and oversized bodies', () => {
+    assert.equal(readCommentBody('   '), null);
+    assert.equal(readCommentBody(42), null);
+    assert.equal(readCommentBody(undefined), null);
+    assert.equal(readCommentBody('x'.repeat(MAX_COMMENT_LENGTH + 1)), null);
+    assert.equal(readCommentBody('x'.repeat(MAX_COMMENT_LENGTH)).length, MAX_COMMENT_LENGTH);
+  });
+});
+
+describe('extractMentions', () => {
+  it('finds each mentioned email once, normalised', () => {
+    assert.deepEqual(
+      extractMentions('@Bob@Example.com can you and @carol@example.com look? cc @bob@example.com'),
+      ['bob@example.com', 'carol@example.com']
+    );
+  });
+
+  it('drops trailing punctuation from the address', () => {
+    assert.deepEqual(extractMentions('Thanks @bob@example.com.'), ['bob@example.com']);
+    assert.deepEqual(extractMentions('(ask @bob@example.com)'), ['bob@example.com']);
+  });
+
+  it('ignores plain email addresses and bare @words', () => {
+    assert.deepEqual(extractMentions('mail bob@example.com or ping @bob'), []);
+  });
+});
+
+describe('documentParticipants and unknownMentions', () => {
+  const doc = { ownerEmail: 'Owner@example.com' };
+  const shares = [{ email: 'zed@example.com' }, { rowKey: 'amy@example.com' }, { email: 'owner@example.com' }];
+
+  it('lists the owner first, then grantees in email order', () => {
+    assert.deepEqual(documentParticipants(doc, shares), ['owner@example.com', 'amy@example.com', 'zed@example.com']);
+  });
+
+  it('reports mentions of people without access', () => {
+    const participants = documentParticipants(doc, shares);
+    assert.deepEqual(unknownMentions(['amy@example.com', 'eve@example.com'], participants), ['eve@example.com']);
+  });
+});
+
+describe('buildThreads', () => {
+  it('groups comments under their threads in creation order', () => {
+    const rows = [
+      { kind: 'comment', threadId: 't2', commentId: 'c3', author: 'a@example.com', body: 'later', createdAt: '2026-01-02T00:00:00Z' },
+      { kind: 'thread', threadId: 't2', opId: 'op-2', status: 'resolved', createdAt: '2026-01-02T00:00:00Z', resolvedBy: 'a@example.com' },
+      { kind: 'comment', threadId: 't1', commentId: 'c2', author: 'b@example.com', body: 'reply', mentionsJson: '["a@example.com"]', createdAt: '2026-01-01T01:00:00Z' },
+      { kind: 'thread', threadId: 't1', opId: 'op-1', status: 'open', createdAt: '2026-01-01T00:00:00Z' },
+      { kind: 'comment', threadId: 't1', commentId: 'c1', author: 'a@example.com', body: 'first', createdAt: '2026-01-01T00:00:00Z' },
+    ];
+
+    const threads = buildThreads(rows);
+
+    assert.deepEqual(threads.map((t) => [t.threadId, t.opId, t.status]), [['t1', 'op-1', 'open'], ['t2', 'op-2', 'resolved']]);
+    assert.deepEqual(threads[0].comments.map((c) => c.body), ['first', 'reply']);
+    assert.deepEqual(threads[0].comments[1].mentions, ['a@example.com']);
+    assert.deepEqual(threads[0].comments[0].mentions, []);
+    assert.equal(threads[1].resolvedBy, 'a@example.com');
+    assert.equal(threads[0].resolvedBy, null);
+  });
+
+  it('treats an unknown stored status as open', () => {
+    const [thread] = buildThreads([{ kind: 'thread', threadId: 't1', status: 'weird' }]);
+    assert.equal(thread.status, 'open');
+    assert.deepEqual(thread.comments, []);
+  });
+});
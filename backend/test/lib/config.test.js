@@ -25,9 +25,9 @@ describe('config module', () => {
         'lockoutMinutes', 'maxUploadBytes', 'bootstrapAdminEmail',
         'bootstrapAdminPassword', 'storageConnectionString', 'storageAccountName',
         'storageAccountKey', 'sourceContainer', 'exportContainer', 'ocrContainer',
-        'usersTable', 'documentsTable', 'sessionsTable', 'jobsTable',
-        'ocrQueue', 'exportQueue', 'docIntelEndpoint', 'docIntelKey',
-        'docIntelModelId', 'appBaseUrl', 'contentSigningSecret'
+        'usersTable', 'documentsTable', 'sessionsTable', 'jobsTable', 'versionsTable', 'sharesTable', 'commentsTable', 'libraryTable',
+        'ocrQueue', 'exportQueue', 'pagesQueue', 'mergeQueue', 'splitQueue', 'convertQueue', 'sensitiveQueue', 'docIntelEndpoint', 'docIntelKey',
+        'docIntelModelId', 'ocrProvider', 'ocrLanguages', 'ocrLangPath', 'webPubSubConnectionString', 'webPubSubHub', 'appBaseUrl', 'contentSigningSecret'
       ];
       for (const key of expectedKeys) {
         assert.ok(Object.prototype.hasOwnProperty.call(config, key),
@@ -172,6 +172,22 @@ describe('config module', () => {
     it('jobsTable equals TABLE_JOBS (jobs)', () => {
       assert.equal(config.jobsTable, 'jobs');
     });
+
+    it('versionsTable equals TABLE_VERSIONS (versions)', () => {
+      assert.equal(config.versionsTable, 'versions');
+    });
+
+    it('sharesTable equals TABLE_SHARES (shares)', () => {
+      assert.equal(config.sharesTable, 'shares');
+    });
+
+    it('commentsTable equals TABLE_COMMENTS (comments)', () => {
+      assert.equal(config.commentsTable, 'comments');
+    });
+
+    it('libraryTable equals TABLE_LIBRARY (library)', () => {
+      assert.equal(config.libraryTable, 'library');
+    });
   });
 
   describe('queue names', () => {
@@ -182,6 +198,36 @@ describe('config module', () => {
     it('exportQueue equals QUEUE_EXPORT (q-export)', () => {
       assert.equal(config.exportQueue, 'q-export');
     });
+
+    it('pagesQueue equals QUEUE_PAGES (q-pages)', () => {
+      assert.equal(config.pagesQueue, 'q-pages');
+    });
+
+    it('mergeQueue equals QUEUE_MERGE (q-merge)', () => {
+      assert.equal(config.mergeQueue, 'q-merge');
+    });
+
+    it('splitQueue equals QUEUE_SPLIT (q-split)', () => {
+      assert.equal(config.splitQueue, 'q-split');
+    });
+
+    it('convertQueue equals QUEUE_CONVERT (q-convert)', () => {
+      assert.equal(config.convertQueue, 'q-convert');
+    });
+
+    it('sensitiveQueue equals QUEUE_SENSITIVE (q-sensitive)', () => {
+      assert.equal(config.sensitiveQueue, 'q-sensitive');
+    });
+  });
+
+  describe('Web PubSub settings', () => {
+    it('webPubSubConnectionString equals WEBPUBSUB_CONNECTION_STRING', () => {
+      assert.equal(config.webPubSubConnectionString, process.env.WEBPUBSUB_CONNECTION_STRING);
+    });
+
+    it('webPubSubHub equals WEBPUBSUB_HUB (annotations)', () => {
+      assert.equal(config.webPubSubHub, 'annotations');
+    });
   });
 
   describe('optional fields with empty fallbacks (not set in setup.js)', () => {
@@ -198,6 +244,34 @@ describe('config module', () => {
       assert.equal(config.docIntelModelId, 'prebuilt-read');
     });
 
+    it('ocrProvider is read from OCR_PROVIDER=azure, reading English by default', () => {
+      assert.equal(config.ocrProvider, 'azure');
+      assert.equal(config.ocrLanguages, 'eng');
+      assert.equal(config.ocrLangPath, '');
+    });
+
+    it('ocrProvider falls back to tesseract, or to azure once Document Intelligence is set up', () => {
+      const configPath = require.resolve('../../src/lib/config');
+      const cached = require.cache[configPath];
+      const freshProvider = () => {
+        delete require.cache[configPath];
+        return require('../../src/lib/config').config.ocrProvider;
+      };
+      delete process.env.OCR_PROVIDER;
+      try {
+        assert.equal(freshProvider(), 'tesseract');
+        process.env.DOCINTEL_ENDPOINT = 'https://di.example.com/';
+        assert.equal(freshProvider(), 'tesseract');
+        process.env.DOCINTEL_KEY = 'key';
+        assert.equal(freshProvider(), 'azure');
+      } finally {
+        process.env.OCR_PROVIDER = 'azure';
+        delete process.env.DOCINTEL_ENDPOINT;
+        delete process.env.DOCINTEL_KEY;
+        require.cache[configPath] = cached;
+      }
+    });
+
     it('appBaseUrl is an empty string when APP_BASE_URL is not set', () => {
       assert.equal(config.appBaseUrl, '');
     });
@@ -0,0 +1,121 @@
+// backend/test/lib/convert.test.js
+// Tests for backend/src/lib/convert.js — turning JPEG, PNG and TIFF images into a PDF.
+require('../_helpers/setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
+const { createJpeg, createPng, createTiff } = require('../_helpers/images');
+const { validateConvertOptions, detectImageFormat, convertImages } = require('../../src/lib/convert');
+
+const FIT = { pageSize: 'fit', orientation: 'auto', margin: 0 };
+
+async function pageSizes(buffer) {
+  const pdf = await PDFDocument.load(buffer);
+  return pdf.getPages().map((page) => {
+    const { width, height } = page.getSize();
+    return [Math.round(width * 100) / 100, Math.round(height * 100) / 100];
+  });
+}
+
+describe('validateConvertOptions', () => {
+  it('defaults to fitting each page to its image', () => {
+    assert.deepEqual(validateConvertOptions(undefined), { options: FIT, errors: [] });
+    assert.deepEqual(validateConvertOptions({}).options, FIT);
+  });
+
+  it('accepts every page size and orientation', () => {
+    const { options, errors } = validateConvertOptions({ pageSize: 'letter', orientation: 'landscape', margin: 36 });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(options, { pageSize: 'letter', orientation: 'landscape', margin: 36 });
+  });
+
+  it('reports each bad option by path', () => {
+    const { errors } = validateConvertOptions({ pageSize: 'A3', orientation: 'sideways', margin: 500 });
+    assert.deepEqual(errors.map((e) => e.path), ['pageSize', 'orientation', 'margin']);
+    assert.match(errors[0].message, /fit, a4, letter, legal/);
+  });
+
+  it('rejects a margin that is not a number', () => {
+    assert.equal(validateConvertOptions({ margin: '12' }).errors[0].path, 'margin');
+    assert.equal(validateConvertOptions({ margin: -1 }).errors[0].path, 'margin');
+  });
+});
+
+describe('detectImageFormat', () => {
+  it('recognises images by their signature, not their name', () => {
+    assert.equal(detectImageFormat(createJpeg(2, 2)), 'jpeg');
+    assert.equal(detectImageFormat(createPng(2, 2)), 'png');
+    assert.equal(detectImageFormat(createTiff([{ width: 1, height: 1, data: Buffer.from([0]) }])), 'tiff');
+    assert.equal(detectImageFormat(Buffer.from('%PDF-1.7')), null);
+  });
+});
+
+describe('convertImages', () => {
+  it('makes one page per image, sized from the recorded resolution', async () => {
+    const result = await convertImages([createPng(300, 150, { dpi: 300 }), createJpeg(200, 100, { dpi: 200 })], FIT);
+
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.pageCount, 2);
+    assert.deepEqual(await pageSizes(result.buffer), [[72, 36], [72, 36]]);
+  });
+
+  it('falls back to 150 dpi when the resolution is missing or implausibly low', async () => {
+    const result = await convertImages([createPng(150, 300), createJpeg(150, 75, { dpi: 72 })], FIT);
+    assert.deepEqual(await pageSizes(result.buffer), [[72, 144], [72, 36]]);
+  });
+
+  it('turns every page of a multi-page TIFF into a page', async () => {
+    const data = Buffer.alloc(300 * 150, 128);
+    const tiff = createTiff([
+      { width: 300, height: 150, data, dpi: 300, compression: 5 },
+      { width: 150, height: 300, data, dpi: 300, compression: 8 },
+    ]);
+
+    const result = await convertImages([tiff, createPng(30, 30, { dpi: 300 })], FIT);
+
+    assert.equal(result.pageCount, 3);
+    assert.deepEqual(await pageSizes(result.buffer), [[72, 36], [36, 72], [7.2, 7.2]]);
+  });
+
+  it('stands photos upright from their EXIF orientation', async () => {
+    const result = await convertImages([createJpeg(200, 100, { dpi: 200, orientation: 6 })], FIT);
+    assert.deepEqual(await pageSizes(result.buffer), [[36, 72]]);
+  });
+
+  it('places images on a fixed page size, turning it to suit the image', async () => {
+    const images = [createPng(300, 150), createPng(150, 300)];
+
+    const auto = await convertImages(images, { pageSize: 'a4', orientation: 'auto', margin: 36 });
+    assert.deepEqual(await pageSizes(auto.buffer), [[841.89, 595.28], [595.28, 841.89]]);
+
+    const portrait = await convertImages(images, { pageSize: 'letter', orientation: 'portrait', margin: 0 });
+    assert.deepEqual(await pageSizes(portrait.buffer), [[612, 792], [612, 792]]);
+
+    const landscape = await convertImages(images, { pageSize: 'legal', orientation: 'landscape', margin: 0 });
+    assert.deepEqual(await pageSizes(landscape.buffer), [[1008, 612], [1008, 612]]);
+  });
+
+  it('adds the margin around fitted pages', async () => {
+    const result = await convertImages([createPng(300, 150, { dpi: 300 })], { ...FIT, margin: 18 });
+    assert.deepEqual(await pageSizes(result.buffer), [[108, 72]]);
+  });
+
+  it('names every image it cannot read', async () => {
+    const result = await convertImages(
+      [createPng(2, 2), Buffer.from('not an image'), Buffer.from([0xff, 0xd8, 0xff, 0x00])],
+      FIT,
+      ['a.png', 'notes.png', 'broken.jpg']
+    );
+
+    assert.equal(result.buffer, undefined);
+    assert.deepEqual(result.errors.map((e) => e.path), ['files[1]', 'files[2]']);
+    assert.match(result.errors[0].message, /^notes\.png: File is not a JPEG, PNG or TIFF image$/);
+    assert.match(result.errors[1].message, /^broken\.jpg: /);
+  });
+
+  it('labels unnamed images by position', async () => {
+    const result = await convertImages([Buffer.from('nope')], FIT);
+    assert.match(result.errors[0].message, /^Image 1: /);
+  });
+});
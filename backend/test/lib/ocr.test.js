@@ -0,0 +1,237 @@
+// backend/test/lib/ocr.test.js
+// Tests for backend/src/lib/ocr.js — OCR provider selection, the Azure adapter and the
+// local Tesseract engine, which runs for real against rendered scans.
+require('../_helpers/setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const jpeg = require('jpeg-js');
+const {
+  PDFDocument,
+  degrees,
+  pushGraphicsState,
+  popGraphicsState,
+  concatTransformationMatrix,
+  drawObject
+} = require('pdf-lib');
+const { DocumentAnalysisClient } = require('@azure/ai-form-recognizer');
+const { renderText } = require('../_helpers/images');
+const { OCR_MODES, createOcrProvider, supportedOcrModes, pageImages } = require('../../src/lib/ocr');
+
+const AZURE = { ocrProvider: 'azure', docIntelEndpoint: 'https://fake.cognitiveservices.azure.com/', docIntelKey: 'fake-key', docIntelModelId: 'prebuilt-read' };
+const TESSERACT = { ocrProvider: 'tesseract', ocrLanguages: 'eng', ocrLangPath: '' };
+
+function imageStream(context, { width, height, data }, encoding) {
+  if (encoding === 'jpeg') {
+    const rgba = Buffer.alloc(width * height * 4);
+    for (let i = 0; i < width * height; i++) rgba.fill(data[i], i * 4, i * 4 + 4);
+    const encoded = jpeg.encode({ data: rgba, width, height }, 95).data;
+    return context.stream(encoded, {
+      Type: 'XObject', Subtype: 'Image', Width: width, Height: height,
+      BitsPerComponent: 8, ColorSpace: 'DeviceRGB', Filter: 'DCTDecode'
+    });
+  }
+  return context.flateStream(data, {
+    Type: 'XObject', Subtype: 'Image', Width: width, Height: height, BitsPerComponent: 8, ColorSpace: 'DeviceGray'
+  });
+}
+
+/**
+ * A PDF with one page per entry. An entry's `image` is drawn into the rectangle
+ * `rect` ([x, y, width, height], PDF coordinates); `rotation` turns the page.
+ */
+async function createScanPdf(entries) {
+  const doc = await PDFDocument.create();
+  for (const { image, rect, rotation, encoding } of entries) {
+    const page = doc.addPage([612, 792]);
+    if (rotation) page.setRotation(degrees(rotation));
+    if (!image) continue;
+    const ref = doc.context.register(imageStream(doc.context, image, encoding));
+    const key = page.node.newXObject('Im', ref);
+    const [x, y, w, h] = rect;
+    page.pushOperators(pushGraphicsState(), concatTransformationMatrix(w, 0, 0, h, x, y), drawObject(key), popGraphicsState());
+  }
+  return Buffer.from(await doc.save());
+}
+
+describe('createOcrProvider', () => {
+  it('selects Document Intelligence with the configured model', () => {
+    const provider = createOcrProvider(AZURE);
+    assert.equal(provider.name, 'azure');
+    assert.equal(provider.model, 'prebuilt-read');
+  });
+
+  it('throws when Document Intelligence is selected but not configured', () => {
+    assert.throws(() => createOcrProvider({ ...AZURE, docIntelKey: '' }), /Document Intelligence not configured/);
+  });
+
+  it('selects the local engine, naming the model after its languages', () => {
+    const provider = createOcrProvider({ ...TESSERACT, ocrLanguages: 'eng+deu' });
+    assert.equal(provider.name, 'tesseract');
+    assert.equal(provider.model, 'tesseract-eng+deu');
+  });
+
+  it('throws for an unknown provider', () => {
+    assert.throws(() => createOcrProvider({ ocrProvider: 'abbyy' }), /Unknown OCR provider "abbyy"/);
+  });
+
+  it('sends the page ranges to Document Intelligence', async () => {
+    const calls = [];
+    const original = DocumentAnalysisClient.prototype.beginAnalyzeDocument;
+    DocumentAnalysisClient.prototype.beginAnalyzeDocument = async (model, buffer, options) => {
+      calls.push({ model, options });
+      return { pollUntilDone: async () => ({ modelId: model, pages: [] }) };
+    };
+    try {
+      const result = await createOcrProvider(AZURE).analyze(Buffer.from('%PDF'), { ranges: [{ start: 1, end: 2 }, { start: 5, end: 5 }] });
+      assert.deepEqual(result, { modelId: 'prebuilt-read', pages: [] });
+      assert.deepEqual(calls, [{ model: 'prebuilt-read', options: { pages: '1-2,5' } }]);
+    } finally {
+      DocumentAnalysisClient.prototype.beginAnalyzeDocument = original;
+    }
+  });
+});
+
+describe('OCR modes', () => {
+  it('maps each mode to a Document Intelligence model, read to the configured one', () => {
+    const provider = createOcrProvider({ ...AZURE, docIntelModelId: 'custom-read' });
+    assert.deepEqual(provider.modes, Object.keys(OCR_MODES));
+    assert.deepEqual(provider.modes.map((mode) => provider.modelFor(mode)), [
+      'custom-read', 'prebuilt-layout', 'prebuilt-invoice', 'prebuilt-receipt', 'prebuilt-idDocument'
+    ]);
+    assert.throws(() => provider.modelFor('prebuilt-tax'), /OCR mode "prebuilt-tax" is not available/);
+  });
+
+  it('asks the layout model for key-value pairs too', async () => {
+    const calls = [];
+    const original = DocumentAnalysisClient.prototype.beginAnalyzeDocument;
+    DocumentAnalysisClient.prototype.beginAnalyzeDocument = async (model, buffer, options) => {
+      calls.push({ model, options });
+      return { pollUntilDone: async () => ({ modelId: model, pages: [] }) };
+    };
+    try {
+      const provider = createOcrProvider(AZURE);
+      await provider.analyze(Buffer.from('%PDF'), { mode: 'layout', ranges: [{ start: 2, end: 2 }] });
+      await provider.analyze(Buffer.from('%PDF'), { mode: 'invoice' });
+      assert.deepEqual(calls, [
+        { model: 'prebuilt-layout', options: { pages: '2', features: ['keyValuePairs'] } },
+        { model: 'prebuilt-invoice', options: {} }
+      ]);
+    } finally {
+      DocumentAnalysisClient.prototype.beginAnalyzeDocument = original;
+    }
+  });
+
+  it('lets the local engine read text only', async () => {
+    const provider = createOcrProvider(TESSERACT);
+    assert.deepEqual(supportedOcrModes(TESSERACT), ['read']);
+    assert.equal(provider.modelFor('read'), 'tesseract-eng');
+    await assert.rejects(() => provider.analyze(Buffer.from('%PDF'), { mode: 'invoice' }), /not available with the tesseract provider/);
+  });
+
+  it('supports no modes for an unknown provider', () => {
+    assert.deepEqual(supportedOcrModes({ ocrProvider: 'abbyy' }), []);
+  });
+});
+
+describe('pageImages', () => {
+  const scan = { width: 40, height: 40, data: Buffer.alloc(1600, 255) };
+
+  it('returns each readable image with its placement on the page', async () => {
+    const doc = await PDFDocument.load(await createScanPdf([{ image: scan, rect: [10, 20, 200, 100] }]));
+    const images = pageImages(doc.context, doc.getPage(0));
+    assert.equal(images.length, 1);
+    assert.deepEqual(images[0].matrix, [200, 0, 0, 100, 10, 20]);
+    assert.deepEqual([images[0].width, images[0].height], [40, 40]);
+    assert.match(images[0].data.subarray(0, 10).toString('latin1'), /^P5\n40 40\n/);
+  });
+
+  it('follows form XObjects', async () => {
+    const doc = await PDFDocument.create();
+    const page = doc.addPage([612, 792]);
+    const imageRef = doc.context.register(imageStream(doc.context, scan));
+    const form = doc.context.flateStream('q 100 0 0 50 0 0 cm /Im0 Do Q', {
+      Type: 'XObject', Subtype: 'Form', BBox: [0, 0, 100, 50], Matrix: [1, 0, 0, 1, 200, 300],
+      Resources: { XObject: { Im0: imageRef } }
+    });
+    const key = page.node.newXObject('Fm', doc.context.register(form));
+    page.pushOperators(drawObject(key));
+    const saved = await PDFDocument.load(await doc.save());
+    const images = pageImages(saved.context, saved.getPage(0));
+    assert.equal(images.length, 1);
+    assert.deepEqual(images[0].matrix, [100, 0, 0, 50, 200, 300]);
+  });
+
+  it('skips images too small to hold text', async () => {
+    const icon = { width: 16, height: 16, data: Buffer.alloc(256, 255) };
+    const doc = await PDFDocument.load(await createScanPdf([{ image: icon, rect: [0, 0, 16, 16] }]));
+    assert.deepEqual(pageImages(doc.context, doc.getPage(0)), []);
+  });
+});
+
+describe('tesseract provider', () => {
+  // 280 x 56 pixels; the engine boxes the line at pixels (8, 8)-(268, 36).
+  const hello = renderText(['HELLO WORLD']);
+
+  function near(actual, expected, tolerance = 4 / 72) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+  }
+
+  it('reads the text of a scanned page with boxes in inches from the page top-left', async () => {
+    const pdf = await createScanPdf([{ image: hello, rect: [72, 600, 280, 56] }]);
+    const result = await createOcrProvider(TESSERACT).analyze(pdf);
+
+    assert.equal(result.modelId, 'tesseract-eng');
+    assert.equal(result.content, 'HELLO WORLD');
+    const [page] = result.pages;
+    assert.equal(page.pageNumber, 1);
+    assert.equal(page.unit, 'inch');
+    assert.deepEqual([page.width, page.height], [8.5, 11]);
+    assert.deepEqual(page.lines.map((line) => line.content), ['HELLO WORLD']);
+    assert.deepEqual(page.words.map((word) => word.content), ['HELLO', 'WORLD']);
+    assert.ok(page.words.every((word) => word.confidence > 0.5 && word.confidence <= 1));
+    assert.deepEqual(page.lines[0].spans, [{ offset: 0, length: 11 }]);
+    assert.deepEqual(page.words[1].span, { offset: 6, length: 5 });
+
+    // The image's top edge is at y = 656, i.e. 136pt below the top of the page.
+    const [topLeft, , bottomRight] = page.lines[0].polygon;
+    near(topLeft.x, (72 + 8) / 72);
+    near(topLeft.y, (136 + 8) / 72);
+    near(bottomRight.x, (72 + 268) / 72);
+    near(bottomRight.y, (136 + 36) / 72);
+  });
+
+  it('reads JPEG scans, follows page rotation and leaves pages without images empty', async () => {
+    const pdf = await createScanPdf([
+      { rotation: 90 },
+      { image: hello, rect: [0, 0, 280, 56], encoding: 'jpeg', rotation: 90 }
+    ]);
+    const result = await createOcrProvider(TESSERACT).analyze(pdf);
+
+    assert.deepEqual(result.pages.map((page) => page.lines.length), [0, 1]);
+    assert.deepEqual(result.pagesWithoutImages, [1]);
+    const page = result.pages[1];
+    assert.deepEqual([page.width, page.height], [11, 8.5]);
+    assert.equal(page.lines[0].content, 'HELLO WORLD');
+    // Turned a quarter clockwise, the image's bottom-left corner shows at the top-left.
+    const [topLeft] = page.lines[0].polygon;
+    near(topLeft.x, (56 - 8) / 72);
+    near(topLeft.y, 8 / 72);
+  });
+
+  it('reads only the requested pages', async () => {
+    const pdf = await createScanPdf([{}, {}, {}]);
+    const result = await createOcrProvider(TESSERACT).analyze(pdf, { ranges: [{ start: 2, end: 3 }] });
+    assert.deepEqual(result.pages.map((page) => page.pageNumber), [2, 3]);
+    assert.ok(result.pages.every((page) => page.words.length === 0));
+    assert.deepEqual(result.pagesWithoutImages, [2, 3]);
+  });
+
+  it('refuses pages the file does not have', async () => {
+    const pdf = await createScanPdf([{}, {}]);
+    await assert.rejects(
+      createOcrProvider(TESSERACT).analyze(pdf, { ranges: [{ start: 2, end: 5 }] }),
+      /Invalid pages: 2-5 goes past the last page \(2\)/
+    );
+  });
+});
@@ -0,0 +1,56 @@
+// backend/test/lib/ocrCache.test.js
+// Tests for backend/src/lib/ocrCache.js — saved analyses keyed by source bytes, model and pages.
+require('../_helpers/setup');
+const mm = require('../_helpers/module-mocks');
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { config } = require('../../src/lib/config');
+const { ocrCacheBlobName, readOcrCache, writeOcrCache } = require('../../src/lib/ocrCache');
+
+afterEach(() => {
+  mm.resetAll();
+});
+
+describe('ocrCacheBlobName', () => {
+  const source = Buffer.from('%PDF-1.7 scanned invoice');
+  const hash = crypto.createHash('sha256').update(source).digest('hex');
+
+  it('names the entry after the SHA-256 of the source, the model and the pages', () => {
+    assert.equal(ocrCacheBlobName(source, 'prebuilt-invoice', '1-3,5'), `cache/${hash}/prebuilt-invoice/1-3,5.json`);
+  });
+
+  it('uses "all" when no pages were chosen', () => {
+    assert.equal(ocrCacheBlobName(source, 'prebuilt-read', null), `cache/${hash}/prebuilt-read/all.json`);
+  });
+
+  it('gives different bytes different entries', () => {
+    assert.notEqual(ocrCacheBlobName(source, 'prebuilt-read', null), ocrCacheBlobName(Buffer.from('%PDF-1.7 other'), 'prebuilt-read', null));
+  });
+});
+
+describe('readOcrCache / writeOcrCache', () => {
+  it('returns null without downloading when there is no entry', async () => {
+    const downloads = mm.spy(async () => Buffer.from('{}'));
+    mm.setDownloadToBuffer(downloads);
+
+    assert.equal(await readOcrCache('cache/abc/prebuilt-read/all.json'), null);
+    assert.equal(downloads.calls.length, 0);
+  });
+
+  it('reads back the saved analysis from the OCR container', async () => {
+    const uploads = mm.spy(async () => {});
+    mm.setUploadJson(uploads);
+    const entry = { jobId: 'ocr-1', model: 'prebuilt-read', result: { pages: [] } };
+
+    await writeOcrCache('cache/abc/prebuilt-read/all.json', entry);
+    mm.setGetBlobProperties(async () => ({ contentLength: 1 }));
+    const downloads = mm.spy(async () => Buffer.from(JSON.stringify(uploads.calls[0][2])));
+    mm.setDownloadToBuffer(downloads);
+
+    assert.deepEqual(uploads.calls[0].slice(0, 2), [config.ocrContainer, 'cache/abc/prebuilt-read/all.json']);
+    assert.deepEqual(await readOcrCache('cache/abc/prebuilt-read/all.json'), entry);
+    assert.deepEqual(downloads.calls[0], [config.ocrContainer, 'cache/abc/prebuilt-read/all.json']);
+  });
+});
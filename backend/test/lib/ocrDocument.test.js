@@ -0,0 +1,161 @@
+// backend/test/lib/ocrDocument.test.js
+// Tests for backend/src/lib/ocrDocument.js — the provider-neutral OCR document.
+require('../_helpers/setup');
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestPdf } = require('../_helpers/pdf');
+const {
+  OCR_DOCUMENT_VERSION,
+  displayedPageSizes,
+  normalizeOcrResult,
+  savedOcrItems
+} = require('../../src/lib/ocrDocument');
+
+const publishedSchema = JSON.parse(fs.readFileSync(
+  path.join(__dirname, '../../../docs/data/ocr-document-v1.json'),
+  'utf8'
+));
+
+const META = { docId: 'doc-1', jobId: 'ocr-1', provider: 'azure', model: 'prebuilt-read', analyzedAt: '2026-01-02T03:04:05.000Z' };
+
+function box(x, y, w, h) {
+  return [x, y, x + w, y, x + w, y + h, x, y + h];
+}
+
+// A Document Intelligence page: 8.5 x 11 inches, one line of two words tied by spans.
+const diResult = {
+  content: 'Invoice 42',
+  pages: [{
+    pageNumber: 1,
+    angle: 0.5,
+    width: 8.5,
+    height: 11,
+    unit: 'inch',
+    lines: [{ content: 'Invoice 42', polygon: box(1, 1, 2, 0.25), spans: [{ offset: 0, length: 10 }] }],
+    words: [
+      { content: 'Invoice', polygon: box(1, 1, 1.25, 0.25), confidence: 0.99, span: { offset: 0, length: 7 } },
+      { content: '42', polygon: box(2.5, 1, 0.5, 0.25), confidence: 0.9, span: { offset: 8, length: 2 } },
+    ],
+  }],
+};
+
+describe('ocr-document-v1 parity', () => {
+  const document = normalizeOcrResult(diResult, new Map(), META);
+  const pageSchema = publishedSchema.properties.pages.items;
+  const lineSchema = pageSchema.properties.lines.items;
+  const wordSchema = lineSchema.properties.words.items;
+
+  it('uses the published schemaVersion', () => {
+    assert.equal(OCR_DOCUMENT_VERSION, publishedSchema.properties.schemaVersion.const);
+  });
+
+  it('emits exactly the published fields at every level', () => {
+    const [page] = document.pages;
+    const [line] = page.lines;
+    assert.deepEqual(Object.keys(document).sort(), [...publishedSchema.required].sort());
+    assert.deepEqual(Object.keys(page).sort(), [...pageSchema.required].sort());
+    assert.deepEqual(Object.keys(line).sort(), [...lineSchema.required].sort());
+    assert.deepEqual(Object.keys(line.words[0]).sort(), [...wordSchema.required].sort());
+    assert.deepEqual(Object.keys(line.bounds).sort(), [...publishedSchema.$defs.bounds.required].sort());
+  });
+});
+
+describe('normalizeOcrResult', () => {
+  it('converts inches to points with bounds in annotation space', () => {
+    const [page] = normalizeOcrResult(diResult, new Map(), META).pages;
+    assert.deepEqual([page.pageNumber, page.width, page.height, page.angle], [1, 612, 792, 0.5]);
+    assert.equal(page.text, 'Invoice 42');
+    const [line] = page.lines;
+    assert.deepEqual(line.bounds, { x: 72, y: 72, w: 144, h: 18 });
+    assert.deepEqual(line.polygon[2], { x: 216, y: 90 });
+    assert.deepEqual(line.words.map((w) => [w.text, w.confidence, w.bounds]), [
+      ['Invoice', 0.99, { x: 72, y: 72, w: 90, h: 18 }],
+      ['42', 0.9, { x: 180, y: 72, w: 36, h: 18 }],
+    ]);
+    assert.equal(line.confidence, 0.945);
+  });
+
+  it('scales to the displayed page size when it is known', () => {
+    const sizes = new Map([[1, { width: 306, height: 396 }]]);
+    const [line] = normalizeOcrResult(diResult, sizes, META).pages[0].lines;
+    assert.deepEqual(line.bounds, { x: 36, y: 36, w: 72, h: 9 });
+  });
+
+  it('groups words without spans into the line that holds their centre, or one of their own', () => {
+    const result = {
+      pages: [{
+        pageNumber: 2,
+        width: 100,
+        height: 100,
+        unit: 'pixel',
+        lines: [
+          { content: 'first line', polygon: box(10, 10, 80, 10) },
+          { content: 'second', polygon: box(10, 30, 40, 10) },
+        ],
+        words: [
+          { content: 'second', polygon: box(10, 30, 40, 10) },
+          { content: 'first', polygon: box(10, 10, 30, 10) },
+          { content: 'stray', polygon: box(10, 80, 20, 10) },
+        ],
+      }],
+    };
+    const [page] = normalizeOcrResult(result, new Map(), META).pages;
+    assert.deepEqual(page.lines.map((l) => l.words.map((w) => w.text)), [['first'], ['second'], ['stray']]);
+    assert.deepEqual(page.lines[2].bounds, { x: 10, y: 80, w: 20, h: 10 });
+    assert.deepEqual(page.lines.map((l) => l.confidence), [null, null, null]);
+  });
+
+  it('skips unusable pages, lines and words and sorts pages', () => {
+    const result = {
+      pages: [
+        { pageNumber: 3, width: 1, height: 1, lines: [{ content: ' ', polygon: box(0, 0, 1, 1) }, { content: 'x', polygon: [0, 0] }] },
+        { pageNumber: 'two', width: 1, height: 1 },
+        { pageNumber: 1, width: 0, height: 1 },
+        { pageNumber: 2, width: 1, height: 1 },
+      ],
+    };
+    const document = normalizeOcrResult(result, new Map(), META);
+    assert.deepEqual(document.pages.map((p) => [p.pageNumber, p.lines.length]), [[2, 0], [3, 0]]);
+    assert.equal(document.schemaVersion, '1.0');
+    assert.equal(document.provider, 'azure');
+    assert.deepEqual(document.pagesWithoutImages, []);
+  });
+
+  it('carries over the pages the provider found no image on', () => {
+    const document = normalizeOcrResult({ pages: [], pagesWithoutImages: [2, 4] }, new Map(), META);
+    assert.deepEqual(document.pagesWithoutImages, [2, 4]);
+  });
+});
+
+describe('displayedPageSizes', () => {
+  it('returns each page size as displayed, swapped for quarter turns', async () => {
+    const sizes = await displayedPageSizes(await createTestPdf(2, { size: [600, 800], rotations: [0, 90] }));
+    assert.deepEqual([...sizes], [[1, { width: 600, height: 800 }], [2, { width: 800, height: 600 }]]);
+  });
+
+  it('returns no sizes for a file it cannot read', async () => {
+    assert.equal((await displayedPageSizes(Buffer.from('not a pdf'))).size, 0);
+  });
+});
+
+describe('savedOcrItems', () => {
+  it('reads lines and words from a normalized document as page fractions', () => {
+    const document = normalizeOcrResult(diResult, new Map(), META);
+    const lines = savedOcrItems(document, 'lines');
+    const words = savedOcrItems(document, 'words');
+    assert.deepEqual(lines.get(1).map((l) => l.content), ['Invoice 42']);
+    assert.deepEqual(words.get(1).map((w) => w.content), ['Invoice', '42']);
+    assert.deepEqual(words.get(1)[1].polygon[0], { x: 180 / 612, y: 72 / 792 });
+  });
+
+  it('falls back to the raw result saved before normalized documents existed', () => {
+    const words = savedOcrItems({ result: diResult }, 'words');
+    assert.deepEqual(words.get(1)[0], {
+      content: 'Invoice',
+      polygon: [{ x: 1 / 8.5, y: 1 / 11 }, { x: 2.25 / 8.5, y: 1 / 11 }, { x: 2.25 / 8.5, y: 1.25 / 11 }, { x: 1 / 8.5, y: 1.25 / 11 }],
+    });
+  });
+});
@@ -0,0 +1,155 @@
+// backend/test/lib/ocrStructure.test.js
+// Tests for backend/src/lib/ocrStructure.js — tables, key-value pairs and invoice fields
+// pulled out of layout and prebuilt-model results, and their CSV form.
+require('../_helpers/setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractStructure, structureRows, toCsv } = require('../../src/lib/ocrStructure');
+
+const META = { docId: 'doc-1', jobId: 'ocr-1', mode: 'invoice', model: 'prebuilt-invoice', analyzedAt: '2026-01-02T03:04:05.000Z' };
+
+function onPage(pageNumber) {
+  return { boundingRegions: [{ pageNumber, polygon: [] }] };
+}
+
+// Shaped like @azure/ai-form-recognizer's prebuilt-invoice result.
+const invoiceResult = {
+  tables: [{
+    ...onPage(1),
+    rowCount: 3,
+    columnCount: 3,
+    cells: [
+      { kind: 'columnHeader', rowIndex: 0, columnIndex: 0, content: 'Item' },
+      { kind: 'columnHeader', rowIndex: 0, columnIndex: 1, columnSpan: 2, content: 'Cost' },
+      { rowIndex: 1, columnIndex: 0, content: ' Paper ' },
+      { rowIndex: 1, columnIndex: 1, content: '2' },
+      { rowIndex: 1, columnIndex: 2, content: '$10.00' },
+      { rowIndex: 2, columnIndex: 0, columnSpan: 2, content: 'Total' },
+      { rowIndex: 2, columnIndex: 2, content: '$10.00' },
+      { rowIndex: 9, columnIndex: 0, content: 'outside the grid' },
+    ],
+  }],
+  keyValuePairs: [
+    { key: { content: 'PO Number:', ...onPage(1) }, value: { content: 'PO-7' }, confidence: 0.8765 },
+    { key: { content: 'Signed' }, confidence: 0.5 },
+    { key: { content: '  ' }, value: { content: 'no key' }, confidence: 0.5 },
+  ],
+  documents: [{
+    docType: 'invoice',
+    confidence: 0.99,
+    fields: {
+      VendorName: { kind: 'string', value: 'Contoso', content: 'CONTOSO LTD.', confidence: 0.95, ...onPage(1) },
+      InvoiceDate: { kind: 'date', value: new Date('2026-03-04T00:00:00Z'), content: '4 Mar 2026', confidence: 0.9 },
+      InvoiceTotal: { kind: 'currency', value: { amount: 10, currencySymbol: '$' }, content: '$10.00', confidence: 0.9 },
+      VendorAddress: { kind: 'address', value: { city: 'Redmond' }, content: '1 Main St, Redmond' },
+      Items: {
+        kind: 'array',
+        values: [
+          {
+            kind: 'object',
+            properties: {
+              Description: { kind: 'string', value: 'Paper', content: 'Paper' },
+              Quantity: { kind: 'number', value: 2, content: '2' },
+              Amount: { kind: 'currency', value: { amount: 10, currencySymbol: '$' }, content: '$10.00' },
+            },
+          },
+          {
+            kind: 'object',
+            properties: {
+              Description: { kind: 'string', value: 'Delivery, "express"', content: 'Delivery, "express"' },
+              Tax: { kind: 'currency', content: 'n/a' },
+            },
+          },
+        ],
+      },
+    },
+  }],
+};
+
+describe('extractStructure', () => {
+  const structure = extractStructure(invoiceResult, META);
+
+  it('lays each table out as rows, spanning cells written once', () => {
+    assert.deepEqual(structure.tables, [{
+      pageNumber: 1,
+      rowCount: 3,
+      columnCount: 3,
+      headerRowCount: 1,
+      rows: [['Item', 'Cost', ''], ['Paper', '2', '$10.00'], ['Total', '', '$10.00']],
+    }]);
+  });
+
+  it('keeps key-value pairs with a key, and a value even when there is none', () => {
+    assert.deepEqual(structure.keyValuePairs, [
+      { key: 'PO Number:', value: 'PO-7', confidence: 0.877, pageNumber: 1 },
+      { key: 'Signed', value: '', confidence: 0.5, pageNumber: null },
+    ]);
+  });
+
+  it('turns document fields into plain values and line items into rows', () => {
+    const [document] = structure.documents;
+    assert.equal(document.docType, 'invoice');
+    assert.deepEqual(document.fields.map((f) => [f.name, f.value]), [
+      ['VendorName', 'Contoso'],
+      ['InvoiceDate', '2026-03-04'],
+      ['InvoiceTotal', 10],
+      ['VendorAddress', '1 Main St, Redmond'],
+    ]);
+    assert.deepEqual(document.items, [
+      { Description: 'Paper', Quantity: 2, Amount: 10 },
+      { Description: 'Delivery, "express"', Tax: 'n/a' },
+    ]);
+  });
+
+  it('gives the same values for a result read back from its saved JSON', () => {
+    const saved = JSON.parse(JSON.stringify(invoiceResult));
+    assert.deepEqual(extractStructure(saved, META), structure);
+  });
+
+  it('returns empty lists for a result without tables or documents', () => {
+    const empty = extractStructure({ pages: [] }, META);
+    assert.deepEqual([empty.tables, empty.keyValuePairs, empty.documents], [[], [], []]);
+    assert.equal(empty.mode, 'invoice');
+  });
+});
+
+describe('structureRows', () => {
+  const structure = extractStructure(invoiceResult, META);
+
+  it('returns a table by its 1-based number, or null past the last', () => {
+    assert.deepEqual(structureRows(structure, '1')[1], ['Paper', '2', '$10.00']);
+    assert.equal(structureRows(structure, '2'), null);
+  });
+
+  it('puts line items under the union of their properties', () => {
+    assert.deepEqual(structureRows(structure, 'items'), [
+      ['Description', 'Quantity', 'Amount', 'Tax'],
+      ['Paper', 2, 10, undefined],
+      ['Delivery, "express"', undefined, undefined, 'n/a'],
+    ]);
+  });
+
+  it('lists key-value pairs, then document fields', () => {
+    const rows = structureRows(structure, 'fields');
+    assert.deepEqual(rows[0], ['name', 'value', 'confidence', 'page']);
+    assert.deepEqual(rows.slice(1).map((row) => row[0]), ['PO Number:', 'Signed', 'VendorName', 'InvoiceDate', 'InvoiceTotal', 'VendorAddress']);
+  });
+});
+
+describe('toCsv', () => {
+  it('quotes cells with commas, quotes, line breaks or edge spaces', () => {
+    assert.equal(
+      toCsv([['a', 'b,c', 'say "hi"'], ['two\nlines', ' pad', null]]),
+      'a,"b,c","say ""hi"""\r\n"two\nlines"," pad",\r\n'
+    );
+  });
+
+  it('defuses cells a spreadsheet would run as formulas but keeps signed numbers', () => {
+    assert.equal(toCsv([['=SUM(A1:A2)', '@cmd', '-12.50', '+3', '-x']]), "'=SUM(A1:A2),'@cmd,-12.50,+3,'-x\r\n");
+  });
+
+  it('writes lists and objects inside a single cell', () => {
+    assert.equal(toCsv([[['a', 'b'], { x: 1 }]]), 'a; b,"{""x"":1}"\r\n');
+  });
+});
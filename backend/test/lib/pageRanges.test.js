@@ -0,0 +1,106 @@
+// backend/test/lib/pageRanges.test.js
+// Tests for backend/src/lib/pageRanges.js — parsing, normalizing and checking "1-3,5"
+// style page ranges.
+require('../_helpers/setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAX_PAGE_RANGES,
+  MAX_PAGE_NUMBER,
+  parsePageRanges,
+  checkPageRanges,
+  normalizePageRanges,
+  parsePageSelection,
+  formatPageRange,
+  formatPageRanges,
+  pageIndices,
+} = require('../../src/lib/pageRanges');
+
+describe('parsePageRanges', () => {
+  it('reads single pages and ranges in the order written', () => {
+    const { ranges, errors } = parsePageRanges(' 4-6, 1 ,2 - 3');
+    assert.deepEqual(errors, []);
+    assert.deepEqual(ranges, [{ start: 4, end: 6 }, { start: 1, end: 1 }, { start: 2, end: 3 }]);
+  });
+
+  it('requires at least one entry', () => {
+    for (const input of [undefined, '', '   ', 12]) {
+      assert.equal(parsePageRanges(input).errors[0].path, 'pages');
+    }
+  });
+
+  it('reports each bad entry by position', () => {
+    const { ranges, errors } = parsePageRanges('1,0,5-3,,2-,a,7');
+    assert.deepEqual(ranges, [{ start: 1, end: 1 }, { start: 7, end: 7 }]);
+    assert.deepEqual(errors.map((e) => e.path), ['pages[1]', 'pages[2]', 'pages[3]', 'pages[4]', 'pages[5]']);
+    assert.match(errors[0].message, /start at 1/);
+    assert.match(errors[1].message, /ends before it starts/);
+    assert.equal(errors[2].message, 'is empty');
+  });
+
+  it('caps the number of entries', () => {
+    const input = Array.from({ length: MAX_PAGE_RANGES + 1 }, (_, i) => String(i + 1)).join(',');
+    assert.match(parsePageRanges(input).errors[0].message, /too many ranges/);
+  });
+
+  it('caps page numbers whatever the page count', () => {
+    const { ranges, errors } = parsePageRanges(`1-${MAX_PAGE_NUMBER},1-2000000000`);
+    assert.deepEqual(ranges, [{ start: 1, end: MAX_PAGE_NUMBER }]);
+    assert.deepEqual(errors, [{ path: 'pages[1]', message: `page numbers go up to ${MAX_PAGE_NUMBER}` }]);
+    assert.equal(parsePageSelection('1-2000000000', null).ranges, null);
+  });
+});
+
+describe('checkPageRanges', () => {
+  it('flags ranges that run past the last page', () => {
+    const errors = checkPageRanges([{ start: 1, end: 3 }, { start: 4, end: 5 }], 4);
+    assert.deepEqual(errors, [{ path: 'pages[1]', message: '4-5 goes past the last page (4)' }]);
+  });
+});
+
+describe('formatPageRange', () => {
+  it('writes a single page without a dash', () => {
+    assert.equal(formatPageRange({ start: 2, end: 2 }), '2');
+    assert.equal(formatPageRange({ start: 2, end: 4 }), '2-4');
+  });
+});
+
+describe('normalizePageRanges', () => {
+  it('sorts ranges and joins overlapping and adjacent ones', () => {
+    const { ranges } = parsePageRanges('9,5,1-3,2-4,7-8');
+    assert.equal(formatPageRanges(normalizePageRanges(ranges)), '1-5,7-9');
+  });
+});
+
+describe('pageIndices', () => {
+  it('lists zero-based indices in range order', () => {
+    assert.deepEqual(pageIndices([{ start: 3, end: 4 }, { start: 1, end: 1 }]), [2, 3, 0]);
+  });
+});
+
+describe('parsePageSelection', () => {
+  it('selects the whole document when no pages are given', () => {
+    for (const input of [undefined, null, '']) {
+      assert.deepEqual(parsePageSelection(input, 5), { ranges: null, errors: [] });
+    }
+  });
+
+  it('accepts a bare page number', () => {
+    assert.deepEqual(parsePageSelection(2, 5).ranges, [{ start: 2, end: 2 }]);
+  });
+
+  it('rejects other types', () => {
+    assert.equal(parsePageSelection(['1'], 5).errors[0].path, 'pages');
+  });
+
+  it('checks the entries as written against a known page count', () => {
+    const { ranges, errors } = parsePageSelection('6-7,1', 5);
+    assert.equal(ranges, null);
+    assert.deepEqual(errors.map((e) => e.path), ['pages[0]']);
+  });
+
+  it('skips the page count check when the count is unknown', () => {
+    assert.deepEqual(parsePageSelection('3,1-2', undefined).ranges, [{ start: 1, end: 3 }]);
+  });
+});
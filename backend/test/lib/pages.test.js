@@ -0,0 +1,253 @@
+// backend/test/lib/pages.test.js
+// Tests for backend/src/lib/pages.js — page edit validation, planning, annotation
+// remapping, building the reorganized PDF, and merging and splitting documents.
+require('../_helpers/setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
+const { createTestPdf } = require('../_helpers/pdf');
+const {
+  MAX_PAGE_EDITS,
+  validatePageEdits,
+  planPageEdits,
+  rotateBounds,
+  remapOperations,
+  applyPageEdits,
+  createDocumentMerger,
+  createDocumentSplitter,
+  selectPages,
+} = require('../../src/lib/pages');
+
+function sources(plan) {
+  return plan.pages.map((page) => page.source);
+}
+
+function makeOp(opId, page, extra = {}) {
+  return { opId, opType: 'highlight', page, bounds: { x: 10, y: 20, w: 30, h: 40 }, author: 'a@example.com', ts: '2026-01-01T00:00:00Z', ...extra };
+}
+
+describe('validatePageEdits', () => {
+  it('accepts every edit type', () => {
+    assert.deepEqual(validatePageEdits([
+      { type: 'move', page: 1, to: 3 },
+      { type: 'rotate', page: 2, degrees: 90 },
+      { type: 'delete', page: 1 },
+      { type: 'insertBlank', after: 0 },
+      { type: 'duplicate', page: 2 },
+    ]), []);
+  });
+
+  it('rejects a missing, empty or oversized list', () => {
+    assert.equal(validatePageEdits(undefined)[0].path, 'edits');
+    assert.equal(validatePageEdits([])[0].path, 'edits');
+    const many = Array.from({ length: MAX_PAGE_EDITS + 1 }, () => ({ type: 'delete', page: 1 }));
+    assert.match(validatePageEdits(many)[0].message, /too many edits/);
+  });
+
+  it('reports each malformed field by path', () => {
+    const errors = validatePageEdits([
+      { type: 'flip', page: 1 },
+      { type: 'move', page: 0, to: 'two' },
+      { type: 'rotate', page: 1, degrees: 45 },
+      { type: 'insertBlank', after: -1 },
+    ]);
+    assert.deepEqual(errors.map((e) => e.path), [
+      'edits[0].type',
+      'edits[1].page',
+      'edits[1].to',
+      'edits[2].degrees',
+      'edits[3].after',
+    ]);
+  });
+});
+
+describe('planPageEdits', () => {
+  it('applies edits in order against the current sequence', () => {
+    const plan = planPageEdits(4, [
+      { type: 'move', page: 4, to: 1 },
+      { type: 'delete', page: 2 },
+      { type: 'insertBlank', after: 1 },
+      { type: 'duplicate', page: 3 },
+    ]);
+    assert.deepEqual(plan.errors, []);
+    assert.deepEqual(sources(plan), [3, null, 1, 1, 2]);
+  });
+
+  it('accumulates rotation and carries it to duplicates', () => {
+    const plan = planPageEdits(2, [
+      { type: 'rotate', page: 1, degrees: 270 },
+      { type: 'rotate', page: 1, degrees: 180 },
+      { type: 'duplicate', page: 1 },
+    ]);
+    assert.deepEqual(plan.pages, [{ source: 0, rotate: 90 }, { source: 0, rotate: 90 }, { source: 1, rotate: 0 }]);
+  });
+
+  it('reports positions outside the document at the time of the edit', () => {
+    const plan = planPageEdits(2, [
+      { type: 'delete', page: 2 },
+      { type: 'move', page: 1, to: 2 },
+      { type: 'insertBlank', after: 2 },
+    ]);
+    assert.deepEqual(plan.errors.map((e) => e.path), ['edits[1].to', 'edits[2].after']);
+    assert.match(plan.errors[0].message, /between 1 and 1/);
+  });
+
+  it('refuses to delete every page', () => {
+    const plan = planPageEdits(1, [{ type: 'delete', page: 1 }]);
+    assert.match(plan.errors[0].message, /last remaining page/);
+  });
+});
+
+describe('rotateBounds', () => {
+  const bounds = { x: 10, y: 20, w: 30, h: 40 };
+
+  it('turns a rectangle on a 100 x 200 page clockwise', () => {
+    assert.deepEqual(rotateBounds(bounds, 90, 100, 200), { x: 140, y: 10, w: 40, h: 30 });
+    assert.deepEqual(rotateBounds(bounds, 180, 100, 200), { x: 60, y: 140, w: 30, h: 40 });
+    assert.deepEqual(rotateBounds(bounds, 270, 100, 200), { x: 20, y: 60, w: 40, h: 30 });
+  });
+
+  it('comes back to the start after a full turn', () => {
+    let current = bounds;
+    let size = [100, 200];
+    for (let i = 0; i < 4; i++) {
+      current = rotateBounds(current, 90, size[0], size[1]);
+      size = [size[1], size[0]];
+    }
+    assert.deepEqual(current, bounds);
+  });
+});
+
+describe('remapOperations', () => {
+  it('follows pages through a reorder and drops annotations on deleted pages', () => {
+    const plan = planPageEdits(3, [{ type: 'move', page: 3, to: 1 }, { type: 'delete', page: 3 }]);
+    const result = remapOperations([makeOp('a', 1), makeOp('b', 2), makeOp('c', 3)], plan.pages);
+
+    assert.deepEqual(result.operations.map((op) => [op.opId, op.page]), [['c', 1], ['a', 2]]);
+    assert.equal(result.dropped, 1);
+  });
+
+  it('gives copies on duplicated pages new opIds', () => {
+    const plan = planPageEdits(1, [{ type: 'duplicate', page: 1 }]);
+    const { operations } = remapOperations([makeOp('a', 1)], plan.pages);
+
+    assert.equal(operations.length, 2);
+    assert.equal(operations[0].opId, 'a');
+    assert.notEqual(operations[1].opId, 'a');
+    assert.equal(operations[1].page, 2);
+  });
+
+  it('rotates bounds and ink points with their page', () => {
+    const plan = planPageEdits(1, [{ type: 'rotate', page: 1, degrees: 90 }]);
+    const ink = makeOp('ink', 1, { opType: 'ink', payload: { points: [{ x: 10, y: 20 }, { x: 40, y: 60 }] } });
+    const [moved] = remapOperations([ink], plan.pages, [{ width: 100, height: 200 }]).operations;
+
+    assert.deepEqual(moved.bounds, { x: 140, y: 10, w: 40, h: 30 });
+    assert.deepEqual(moved.payload.points, [{ x: 180, y: 10 }, { x: 140, y: 40 }]);
+  });
+});
+
+describe('applyPageEdits', () => {
+  it('builds the reorganized document', async () => {
+    const source = await createTestPdf(3, { size: [300, 400], rotations: [0, 90, 0] });
+    const result = await applyPageEdits(source, [
+      { type: 'rotate', page: 2, degrees: 90 },
+      { type: 'delete', page: 3 },
+      { type: 'insertBlank', after: 2 },
+      { type: 'move', page: 2, to: 1 },
+    ]);
+
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.displayedSizes[1], { width: 400, height: 300 });
+    const output = await PDFDocument.load(result.buffer);
+    const pages = output.getPages();
+    assert.equal(pages.length, 3);
+    assert.deepEqual(pages.map((p) => p.getRotation().angle), [180, 0, 0]);
+    // The blank page follows the original first page, so it takes that page's size.
+    assert.deepEqual(pages[2].getSize(), { width: 300, height: 400 });
+  });
+
+  it('returns planning errors without building anything', async () => {
+    const source = await createTestPdf(1);
+    const result = await applyPageEdits(source, [{ type: 'delete', page: 2 }]);
+
+    assert.equal(result.errors[0].path, 'edits[0].page');
+    assert.equal(result.buffer, undefined);
+  });
+});
+
+describe('createDocumentMerger', () => {
+  it('concatenates documents and shifts their annotations by the pages before them', async () => {
+    const merger = createDocumentMerger();
+    assert.equal(await merger.append(await createTestPdf(2), [makeOp('a', 2)]), 2);
+    assert.equal(await merger.append(await createTestPdf(3, { size: [300, 400] }), [makeOp('b', 1), makeOp('c', 3)]), 3);
+
+    const merged = await merger.save();
+
+    assert.equal(merged.pageCount, 5);
+    assert.deepEqual(merged.operations.map((op) => [op.opId, op.page]), [['a', 2], ['b', 3], ['c', 5]]);
+    const output = await PDFDocument.load(merged.buffer);
+    assert.deepEqual(output.getPage(2).getSize(), { width: 300, height: 400 });
+  });
+
+  it('renames annotations when the same document is merged twice and skips ones off the page range', async () => {
+    const merger = createDocumentMerger();
+    const source = await createTestPdf(1);
+    await merger.append(source, [makeOp('a', 1), makeOp('stray', 4)]);
+    await merger.append(source, [makeOp('a', 1)]);
+
+    const { operations } = await merger.save();
+
+    assert.equal(operations.length, 2);
+    assert.equal(operations[0].opId, 'a');
+    assert.notEqual(operations[1].opId, 'a');
+    assert.equal(operations[1].page, 2);
+  });
+
+  it('refuses to save an empty merge', async () => {
+    await assert.rejects(() => createDocumentMerger().save(), /Nothing to merge/);
+  });
+});
+
+describe('createDocumentSplitter', () => {
+  it('extracts a range with its annotations renumbered from page 1', async () => {
+    const splitter = await createDocumentSplitter(await createTestPdf(4, { rotations: [0, 0, 90, 0] }));
+    assert.equal(splitter.pageCount, 4);
+
+    const part = await splitter.extract({ start: 2, end: 3 }, [makeOp('a', 1), makeOp('b', 2), makeOp('c', 3), makeOp('d', 4)]);
+
+    assert.equal(part.pageCount, 2);
+    assert.deepEqual(part.operations.map((op) => [op.opId, op.page]), [['b', 1], ['c', 2]]);
+    const output = await PDFDocument.load(part.buffer);
+    assert.deepEqual(output.getPages().map((p) => p.getRotation().angle), [0, 90]);
+  });
+
+  it('lets ranges overlap', async () => {
+    const splitter = await createDocumentSplitter(await createTestPdf(3));
+    const first = await splitter.extract({ start: 1, end: 2 }, [makeOp('a', 2)]);
+    const second = await splitter.extract({ start: 2, end: 2 }, [makeOp('a', 2)]);
+
+    assert.deepEqual(first.operations.map((op) => op.page), [2]);
+    assert.deepEqual(second.operations.map((op) => op.page), [1]);
+  });
+});
+
+describe('selectPages', () => {
+  it('keeps the selected pages in range order', async () => {
+    const source = await createTestPdf(4, { rotations: [0, 90, 0, 180] });
+    const result = await selectPages(source, [{ start: 4, end: 4 }, { start: 1, end: 2 }]);
+
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.pageCount, 3);
+    const output = await PDFDocument.load(result.buffer);
+    assert.deepEqual(output.getPages().map((p) => p.getRotation().angle), [180, 0, 90]);
+  });
+
+  it('returns errors for ranges past the end', async () => {
+    const result = await selectPages(await createTestPdf(2), [{ start: 2, end: 3 }]);
+
+    assert.equal(result.errors[0].path, 'pages[0]');
+    assert.equal(result.buffer, undefined);
+  });
+});
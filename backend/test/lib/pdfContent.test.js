@@ -0,0 +1,108 @@
+// backend/test/lib/pdfContent.test.js
+// Tests for backend/src/lib/pdfContent.js — content-stream tokenizer and matrix helpers.
+require('../_helpers/setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseContentStream,
+  multiply,
+  transformPoint,
+  transformRect,
+  invert,
+  boundsOf,
+  intersects,
+  formatNumber,
+} = require('../../src/lib/pdfContent');
+
+function parse(text) {
+  return parseContentStream(Buffer.from(text, 'latin1'));
+}
+
+// ---------------------------------------------------------------------------
+// parseContentStream
+// ---------------------------------------------------------------------------
+
+describe('parseContentStream', () => {
+  it('groups operands with their operator and records byte ranges', () => {
+    const source = 'q 1 0 0 1 10 20 cm\n0 0 m 5 5 l S Q';
+    const ops = parse(source);
+    assert.deepEqual(ops.map((op) => op.operator), ['q', 'cm', 'm', 'l', 'S', 'Q']);
+    assert.deepEqual(ops[1].operands.map((o) => o.value), [1, 0, 0, 1, 10, 20]);
+    assert.equal(source.slice(ops[1].start, ops[1].end), '1 0 0 1 10 20 cm');
+  });
+
+  it('decodes literal strings with escapes, nested parentheses and octal codes', () => {
+    const [op] = parse('(a\\(b\\) (c) \\101\\n) Tj');
+    assert.equal(op.operator, 'Tj');
+    assert.equal(op.operands[0].bytes.toString('latin1'), 'a(b) (c) A\n');
+  });
+
+  it('decodes hex strings, padding an odd trailing digit', () => {
+    const [op] = parse('<48 65 6C 6C 6F 7> Tj');
+    assert.deepEqual([...op.operands[0].bytes], [0x48, 0x65, 0x6c, 0x6c, 0x6f, 0x70]);
+  });
+
+  it('parses TJ arrays of strings and numbers', () => {
+    const [op] = parse('[(A) -120 <42>] TJ');
+    assert.equal(op.operands[0].type, 'array');
+    assert.deepEqual(op.operands[0].items.map((i) => i.type), ['string', 'number', 'string']);
+  });
+
+  it('parses names with #xx escapes and marked-content dictionaries', () => {
+    const [op] = parse('/Span#20Tag <</MCID 3 /ActualText (x)>> BDC');
+    assert.equal(op.operands[0].value, 'Span Tag');
+    assert.equal(op.operands[1].type, 'dict');
+    assert.equal(op.operands[1].entries.get('MCID').value, 3);
+  });
+
+  it('skips comments and treats true/false/null as operands', () => {
+    const ops = parse('% comment line\n/Name true BMC EMC');
+    assert.deepEqual(ops.map((op) => op.operator), ['BMC', 'EMC']);
+    assert.equal(ops[0].operands[1].type, 'keyword');
+  });
+
+  it('reads inline images as a single BI operation including their binary data', () => {
+    const source = 'q BI /W 2 /H 1 /BPC 8 /CS /G ID \x00EI\xff EI Q';
+    const ops = parse(source);
+    assert.deepEqual(ops.map((op) => op.operator), ['q', 'BI', 'Q']);
+    assert.equal(ops[1].operands.length, 8);
+    assert.ok(source.slice(ops[1].start, ops[1].end).endsWith(' EI'));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Geometry helpers
+// ---------------------------------------------------------------------------
+
+describe('matrix helpers', () => {
+  it('multiply applies the left matrix first', () => {
+    const scale = [2, 0, 0, 2, 0, 0];
+    const translate = [1, 0, 0, 1, 10, 5];
+    assert.deepEqual(transformPoint(multiply(scale, translate), 1, 1), { x: 12, y: 7 });
+  });
+
+  it('invert undoes a transform and returns null for singular matrices', () => {
+    const m = [0, 1, -1, 0, 30, 40];
+    const p = transformPoint(m, 3, 4);
+    const back = transformPoint(invert(m), p.x, p.y);
+    assert.ok(Math.abs(back.x - 3) < 1e-9 && Math.abs(back.y - 4) < 1e-9);
+    assert.equal(invert([0, 0, 0, 0, 1, 1]), null);
+  });
+
+  it('transformRect returns the bounding box of the transformed corners', () => {
+    assert.deepEqual(transformRect([0, 1, -1, 0, 0, 0], 0, 0, 10, 20), { x: -20, y: 0, width: 20, height: 10 });
+  });
+
+  it('boundsOf and intersects work on open intervals', () => {
+    const a = boundsOf([{ x: 0, y: 0 }, { x: 10, y: 10 }]);
+    assert.ok(intersects(a, { x: 5, y: 5, width: 10, height: 10 }));
+    assert.ok(!intersects(a, { x: 10, y: 0, width: 5, height: 5 }), 'Touching edges do not overlap');
+  });
+
+  it('formatNumber rounds to three decimals without negative zero', () => {
+    assert.equal(formatNumber(1.23456), '1.235');
+    assert.equal(formatNumber(-0.0001), '0');
+    assert.equal(formatNumber(NaN), '0');
+  });
+});
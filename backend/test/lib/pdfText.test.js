@@ -0,0 +1,93 @@
+// backend/test/lib/pdfText.test.js
+// Tests for backend/src/lib/pdfText.js — words and their bounds from a page's text layer.
+require('../_helpers/setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument, PDFName } = require('pdf-lib');
+const { createTestPdf, readPageContent } = require('../_helpers/pdf');
+const { pageTextLines } = require('../../src/lib/pdfText');
+const { applyRedactions } = require('../../src/lib/redact');
+
+async function linesOf(buffer, pageIndex = 0) {
+  const pdf = await PDFDocument.load(buffer);
+  return pageTextLines(pdf.context, pdf.getPage(pageIndex));
+}
+
+function texts(lines) {
+  return lines.map((line) => line.words.map((word) => word.text));
+}
+
+describe('pageTextLines', () => {
+  it('splits drawn text into lines and words with bounds in annotation space', async () => {
+    const source = await createTestPdf(1, {
+      text: [{ text: 'Name: John Smith', x: 50, y: 700 }, { text: 'SSN 123-45-6789', x: 50, y: 680 }],
+    });
+    const lines = await linesOf(source);
+    assert.deepEqual(texts(lines), [['Name:', 'John', 'Smith'], ['SSN', '123-45-6789']]);
+    // Helvetica's unkerned widths: "Name: " is 3.223em and "John" 2.168em at 12pt. The
+    // baseline sits 92pt from the top; the box runs from 0.8em above it to 0.2em below.
+    assert.deepEqual(lines[0].words[1].bounds, { x: 88.68, y: 82.4, w: 26.01, h: 12 });
+    assert.equal(lines[1].words[0].bounds.y, 102.4);
+  });
+
+  it('gives bounds on the page as displayed when it is rotated', async () => {
+    const source = await createTestPdf(1, { rotations: [90], text: [{ text: 'Turned', x: 72, y: 700 }] });
+    const [[word]] = (await linesOf(source)).map((line) => line.words);
+    assert.equal(word.text, 'Turned');
+    // Reads top to bottom down the right of a 792 x 612 landscape view.
+    assert.deepEqual([word.bounds.x, word.bounds.y, word.bounds.w], [697.6, 72, 12]);
+    assert.ok(word.bounds.h > 30);
+  });
+
+  it('gives bounds a redaction can cover to remove exactly that word', async () => {
+    const source = await createTestPdf(1, { text: [{ text: 'Name: John Smith', x: 50, y: 700 }] });
+    const john = (await linesOf(source))[0].words[1];
+    const result = await applyRedactions(source, [
+      { opId: 'r-1', opType: 'redaction', page: 1, bounds: john.bounds, author: 'user@example.com', ts: '2025-01-01T00:00:00.000Z' },
+    ]);
+    assert.equal(result.removed.glyphs, 4);
+    assert.deepEqual(texts(await linesOf(result.buffer)), [['Name:', 'Smith']]);
+  });
+
+  it('reads characters through a ToUnicode map and inside form XObjects', async () => {
+    const doc = await PDFDocument.create();
+    const page = doc.addPage([612, 792]);
+    const cmap = doc.context.stream(
+      'begincmap 2 beginbfchar <01> <0048> <02> <0069> endbfchar 1 beginbfrange <03> <05> <0041> endbfrange endcmap'
+    );
+    const font = doc.context.obj({
+      Type: 'Font',
+      Subtype: 'Type1',
+      BaseFont: 'Custom',
+      FirstChar: 1,
+      LastChar: 5,
+      Widths: [500, 500, 500, 500, 500],
+      ToUnicode: doc.context.register(cmap),
+    });
+    const form = doc.context.stream('BT /F1 10 Tf 0 0 Td (\x03\x04\x05) Tj ET', {
+      Type: 'XObject',
+      Subtype: 'Form',
+      BBox: [0, 0, 100, 20],
+      Matrix: [1, 0, 0, 1, 100, 600],
+      Resources: { Font: { F1: doc.context.register(font) } },
+    });
+    page.node.set(PDFName.of('Resources'), doc.context.obj({
+      Font: { F1: doc.context.register(font) },
+      XObject: { Fm1: doc.context.register(form) },
+    }));
+    page.node.set(PDFName.of('Contents'), doc.context.register(doc.context.stream(
+      'BT /F1 10 Tf 100 700 Td (\x01\x02) Tj ET /Fm1 Do'
+    )));
+
+    const lines = await linesOf(Buffer.from(await doc.save()));
+    assert.deepEqual(texts(lines), [['Hi'], ['ABC']]);
+    assert.deepEqual(lines[1].words[0].bounds, { x: 100, y: 184, w: 15, h: 10 });
+  });
+
+  it('returns no lines for a page without text', async () => {
+    const source = await createTestPdf(1);
+    assert.equal(await readPageContent(source), '');
+    assert.deepEqual(await linesOf(source), []);
+  });
+});
@@ -0,0 +1,74 @@
+// backend/test/lib/pubsub.test.js
+// Tests for backend/src/lib/pubsub.js — Web PubSub connection strings and client access URLs.
+require('../_helpers/setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const {
+  parsePubSubConnectionString,
+  isPubSubConfigured,
+  collabGroups,
+  buildClientAccessUrl,
+} = require('../../src/lib/pubsub');
+const { config } = require('../../src/lib/config');
+
+describe('parsePubSubConnectionString', () => {
+  it('reads the endpoint and access key', () => {
+    assert.deepEqual(
+      parsePubSubConnectionString('Endpoint=https://wps-demo.webpubsub.azure.com;AccessKey=abc==;Version=1.0;'),
+      { endpoint: 'https://wps-demo.webpubsub.azure.com', accessKey: 'abc==' }
+    );
+  });
+
+  it('applies a separate Port and drops trailing slashes', () => {
+    const parsed = parsePubSubConnectionString('Endpoint=http://localhost/;Port=7072;AccessKey=k;Version=1.0;');
+    assert.equal(parsed.endpoint, 'http://localhost:7072');
+  });
+});
+
+describe('isPubSubConfigured', () => {
+  it('is true with the test connection string and false without one', () => {
+    assert.equal(isPubSubConfigured(), true);
+    const saved = config.webPubSubConnectionString;
+    config.webPubSubConnectionString = '';
+    try {
+      assert.equal(isPubSubConfigured(), false);
+    } finally {
+      config.webPubSubConnectionString = saved;
+    }
+  });
+});
+
+describe('collabGroups', () => {
+  it('separates annotation changes from presence', () => {
+    assert.deepEqual(collabGroups('doc-1'), { ops: 'doc.doc-1', presence: 'doc.doc-1.presence' });
+  });
+});
+
+describe('buildClientAccessUrl', () => {
+  it('signs a hub-scoped token that auto-joins groups and limits publishing', () => {
+    const { url, expiresOn } = buildClientAccessUrl({
+      userId: 'viewer@example.com',
+      groups: ['doc.a', 'doc.a.presence'],
+      sendGroups: ['doc.a.presence'],
+    });
+
+    const parsed = new URL(url);
+    assert.equal(parsed.protocol, 'ws:');
+    assert.equal(parsed.host, 'localhost:7072');
+    assert.equal(parsed.pathname, '/client/hubs/annotations');
+    assert.ok(Date.parse(expiresOn) > Date.now());
+
+    const claims = jwt.verify(parsed.searchParams.get('access_token'), 'test-pubsub-access-key', {
+      audience: 'http://localhost:7072/client/hubs/annotations',
+    });
+    assert.equal(claims.sub, 'viewer@example.com');
+    assert.deepEqual(claims['webpubsub.group'], ['doc.a', 'doc.a.presence']);
+    assert.deepEqual(claims.role, [
+      'webpubsub.joinLeaveGroup.doc.a',
+      'webpubsub.joinLeaveGroup.doc.a.presence',
+      'webpubsub.sendToGroup.doc.a.presence',
+    ]);
+  });
+});
@@ -0,0 +1,279 @@
+// backend/test/lib/redact.test.js
+// Tests for backend/src/lib/redact.js — removing content underneath redaction boxes.
+require('../_helpers/setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const jpeg = require('jpeg-js');
+const {
+  PDFDocument,
+  PDFName,
+  PDFDict,
+  PDFString,
+  StandardFonts,
+  rgb,
+} = require('pdf-lib');
+const { createTestPdf, readPageContent } = require('../_helpers/pdf');
+const { createFontMetrics, rewriteContent, applyRedactions } = require('../../src/lib/redact');
+
+function redaction(bounds, overrides = {}) {
+  return {
+    opId: 'r-1',
+    opType: 'redaction',
+    page: 1,
+    bounds,
+    author: 'user@example.com',
+    ts: '2025-01-01T00:00:00.000Z',
+    ...overrides,
+  };
+}
+
+function hex(text) {
+  return Buffer.from(text, 'latin1').toString('hex');
+}
+
+// Fixed-width metrics: every code is 0.5 em wide.
+const monoEnv = {
+  font: () => ({ bytesPerCode: 1, widthOf: () => 0.5, isSpace: (code) => code === 32 }),
+  xobject: () => null,
+  scrubImage: () => false,
+};
+
+function rewrite(text, rects, env = monoEnv) {
+  const result = rewriteContent(Buffer.from(text, 'latin1'), rects, env);
+  return { ...result, content: Buffer.from(result.content).toString('latin1') };
+}
+
+// ---------------------------------------------------------------------------
+// rewriteContent
+// ---------------------------------------------------------------------------
+
+describe('rewriteContent', () => {
+  it('removes only overlapping glyphs and keeps following glyphs in place', () => {
+    // 10pt font, 5pt per glyph starting at x=100: "B" and "C" occupy 105–115.
+    const { content, stats } = rewrite('BT /F1 10 Tf 100 100 Td (ABCD) Tj ET', [
+      { x: 106, y: 100, width: 8, height: 5 },
+    ]);
+    assert.equal(stats.glyphs, 2);
+    assert.match(content, new RegExp(`\\[<${hex('A')}> -1000 <${hex('D')}>\\] TJ`));
+    assert.ok(!content.includes(hex('BC')));
+  });
+
+  it('leaves text streams untouched when nothing overlaps', () => {
+    const source = 'BT /F1 10 Tf 100 100 Td (ABCD) Tj ET';
+    const { content, stats } = rewrite(source, [{ x: 300, y: 300, width: 10, height: 10 }]);
+    assert.equal(stats.glyphs, 0);
+    assert.ok(content.includes('(ABCD) Tj'));
+  });
+
+  it('follows Td/TL/T* so only the redacted line loses text', () => {
+    const { content, stats } = rewrite(
+      'BT /F1 10 Tf 12 TL 100 100 Td (AAA) Tj T* (BBB) Tj ET',
+      [{ x: 90, y: 86, width: 40, height: 6 }]
+    );
+    assert.equal(stats.glyphs, 3);
+    assert.ok(content.includes('(AAA) Tj'));
+    assert.ok(!content.includes(hex('BBB')) && !content.includes('(BBB)'));
+  });
+
+  it('drops filled paths under a redaction and keeps a background rectangle that contains it', () => {
+    const { content, stats } = rewrite(
+      '0 0 600 800 re f\n1 0 0 rg 100 100 m 150 100 l 150 150 l h f',
+      [{ x: 110, y: 110, width: 10, height: 10 }]
+    );
+    assert.equal(stats.paths, 1);
+    assert.ok(content.includes('0 0 600 800 re'));
+    assert.ok(!content.includes('150 150 l'));
+  });
+
+  it('applies the current transform when testing path overlap', () => {
+    const { stats } = rewrite('q 1 0 0 1 200 200 cm 0 0 m 10 0 l 10 10 l h f Q', [
+      { x: 0, y: 0, width: 20, height: 20 },
+    ]);
+    assert.equal(stats.paths, 0);
+  });
+
+  it('drops inline images that overlap a redaction', () => {
+    const { content, stats } = rewrite(
+      'q 50 0 0 50 100 100 cm BI /W 1 /H 1 /BPC 8 /CS /G ID \x80 EI Q',
+      [{ x: 120, y: 120, width: 5, height: 5 }]
+    );
+    assert.equal(stats.images, 1);
+    assert.ok(!content.includes('BI'));
+  });
+
+  it('demotes marked content containing removals so ActualText cannot leak', () => {
+    const { content } = rewrite(
+      '/Span <</ActualText (secret)>> BDC BT /F1 10 Tf 100 100 Td (AB) Tj ET EMC',
+      [{ x: 100, y: 100, width: 10, height: 5 }]
+    );
+    assert.ok(!content.includes('secret'));
+    assert.match(content, /\/Span BMC/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// createFontMetrics
+// ---------------------------------------------------------------------------
+
+describe('createFontMetrics', () => {
+  it('uses the standard-14 widths for fonts that omit a Widths array', async () => {
+    const doc = await PDFDocument.create();
+    const fontDict = doc.context.obj({ Type: 'Font', Subtype: 'Type1', BaseFont: 'Helvetica' });
+    const metrics = createFontMetrics(doc.context, fontDict);
+    assert.equal(metrics.widthOf('W'.charCodeAt(0)), 0.944);
+    assert.equal(metrics.widthOf('i'.charCodeAt(0)), 0.222);
+  });
+
+  it('reads Widths starting at FirstChar and falls back to MissingWidth', async () => {
+    const doc = await PDFDocument.create();
+    const fontDict = doc.context.obj({
+      Type: 'Font',
+      Subtype: 'TrueType',
+      FirstChar: 65,
+      Widths: [600, 700],
+      FontDescriptor: { MissingWidth: 250 },
+    });
+    const metrics = createFontMetrics(doc.context, fontDict);
+    assert.equal(metrics.widthOf(66), 0.7);
+    assert.equal(metrics.widthOf(90), 0.25);
+  });
+
+  it('reads two-byte CID widths from the descendant W array', async () => {
+    const doc = await PDFDocument.create();
+    const fontDict = doc.context.obj({
+      Type: 'Font',
+      Subtype: 'Type0',
+      DescendantFonts: [{ Type: 'Font', Subtype: 'CIDFontType2', DW: 900, W: [3, [400, 500], 10, 12, 300] }],
+    });
+    const metrics = createFontMetrics(doc.context, fontDict);
+    assert.equal(metrics.bytesPerCode, 2);
+    assert.equal(metrics.widthOf(4), 0.5);
+    assert.equal(metrics.widthOf(11), 0.3);
+    assert.equal(metrics.widthOf(99), 0.9);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// applyRedactions
+// ---------------------------------------------------------------------------
+
+describe('applyRedactions', () => {
+  it('returns the source unchanged when there are no valid redactions', async () => {
+    const source = await createTestPdf(1);
+    const result = await applyRedactions(source, [
+      { opType: 'highlight', page: 1, bounds: { x: 0, y: 0, w: 10, h: 10 } },
+      redaction({ x: 0, y: 0, w: 0, h: 10 }),
+    ]);
+    assert.strictEqual(result.buffer, source);
+    assert.equal(result.redacted, 0);
+  });
+
+  it('removes redacted words from real text while keeping the rest of the line', async () => {
+    const source = await createTestPdf(1, { text: [{ text: 'Name: John Smith', x: 50, y: 700 }] });
+    const font = await (await PDFDocument.create()).embedFont(StandardFonts.Helvetica);
+    const left = 50 + font.widthOfTextAtSize('Name: ', 12);
+    const width = font.widthOfTextAtSize('John Smith', 12);
+
+    const result = await applyRedactions(source, [redaction({ x: left + 1, y: 82, w: width - 2, h: 8 })]);
+    const content = await readPageContent(result.buffer, 0);
+
+    assert.equal(result.redacted, 1);
+    assert.equal(result.removed.glyphs, 10);
+    assert.ok(content.includes(hex('Name')), 'Unredacted text must be preserved');
+    assert.ok(!content.toLowerCase().includes(hex('John')), 'Redacted text must be removed');
+    assert.ok(!content.toLowerCase().includes(hex('Smith')), 'Redacted text must be removed');
+  });
+
+  it('paints image pixels under the redaction black in the exported image', async () => {
+    const size = 20;
+    const white = Buffer.alloc(size * size * 4, 0xff);
+    const jpg = jpeg.encode({ data: white, width: size, height: size }, 95);
+    const doc = await PDFDocument.create();
+    const page = doc.addPage([612, 792]);
+    const image = await doc.embedJpg(new Uint8Array(jpg.data));
+    page.drawImage(image, { x: 100, y: 592, width: 100, height: 100 });
+    const source = Buffer.from(await doc.save());
+
+    // Covers the top-left quarter of the image (viewport y 100–150 → PDF y 642–692).
+    const result = await applyRedactions(source, [redaction({ x: 100, y: 100, w: 50, h: 50 })]);
+    assert.equal(result.removed.scrubbedImages, 1);
+
+    const out = await PDFDocument.load(result.buffer);
+    const xobjects = out.getPage(0).node.Resources().lookup(PDFName.of('XObject'), PDFDict);
+    const [imageRef] = xobjects.values();
+    const decoded = jpeg.decode(out.context.lookup(imageRef).contents, { useTArray: true });
+    const pixel = (x, y) => decoded.data[(y * decoded.width + x) * 4];
+    assert.ok(pixel(2, 2) < 40, 'Top-left pixels must be black');
+    assert.ok(pixel(17, 17) > 215, 'Pixels outside the redaction must be preserved');
+  });
+
+  it('removes annotations that overlap a redaction', async () => {
+    const doc = await PDFDocument.create();
+    const page = doc.addPage([612, 792]);
+    const note = doc.context.register(doc.context.obj({
+      Type: 'Annot', Subtype: 'Text', Rect: [100, 680, 120, 700], Contents: PDFString.of('secret'),
+    }));
+    const other = doc.context.register(doc.context.obj({
+      Type: 'Annot', Subtype: 'Text', Rect: [400, 100, 420, 120], Contents: PDFString.of('keep'),
+    }));
+    page.node.set(PDFName.of('Annots'), doc.context.obj([note, other]));
+    const source = Buffer.from(await doc.save());
+
+    const result = await applyRedactions(source, [redaction({ x: 90, y: 90, w: 40, h: 30 })]);
+    assert.equal(result.removed.annotations, 1);
+    const out = await PDFDocument.load(result.buffer);
+    assert.equal(out.getPage(0).node.Annots().size(), 1);
+    assert.ok(!Buffer.from(result.buffer).toString('latin1').includes('secret'));
+  });
+
+  it('drops document metadata that may quote redacted content', async () => {
+    const doc = await PDFDocument.create();
+    doc.addPage([612, 792]);
+    doc.setTitle('Salary review for John Smith');
+    const source = Buffer.from(await doc.save());
+
+    const result = await applyRedactions(source, [redaction({ x: 10, y: 10, w: 10, h: 10 })]);
+    const out = await PDFDocument.load(result.buffer, { updateMetadata: false });
+    assert.equal(out.getTitle(), undefined);
+    assert.equal(out.getProducer(), 'RedArm PDF Editor');
+  });
+
+  it('draws an opaque box and an optional label for each redaction', async () => {
+    const source = await createTestPdf(1);
+    const box = redaction({ x: 50, y: 100, w: 120, h: 20 });
+
+    const plain = await readPageContent((await applyRedactions(source, [box])).buffer, 0);
+    assert.match(plain, /0 0 0 rg/);
+    assert.ok(!plain.includes(hex('REDACTED').toUpperCase()));
+
+    const labelled = await readPageContent((await applyRedactions(source, [box], { label: true })).buffer, 0);
+    assert.ok(labelled.includes(`<${hex('REDACTED').toUpperCase()}>`));
+
+    const custom = await readPageContent(
+      (await applyRedactions(source, [redaction(box.bounds, { payload: { label: 'PII' } })], { label: true })).buffer,
+      0
+    );
+    assert.ok(custom.includes(`<${hex('PII').toUpperCase()}>`));
+  });
+
+  it('ignores redactions on pages that do not exist but keeps the others', async () => {
+    const source = await createTestPdf(1);
+    const result = await applyRedactions(source, [
+      redaction({ x: 10, y: 10, w: 10, h: 10 }),
+      redaction({ x: 10, y: 10, w: 10, h: 10 }, { page: 4 }),
+    ]);
+    assert.equal(result.redacted, 1);
+  });
+
+  it('keeps unrelated drawing outside the redaction', async () => {
+    const doc = await PDFDocument.create();
+    const page = doc.addPage([612, 792]);
+    page.drawRectangle({ x: 400, y: 100, width: 50, height: 50, color: rgb(1, 0, 0) });
+    const source = Buffer.from(await doc.save());
+
+    const result = await applyRedactions(source, [redaction({ x: 10, y: 10, w: 10, h: 10 })]);
+    assert.equal(result.removed.paths, 0);
+    assert.match(await readPageContent(result.buffer, 0), /1 0 0 rg/);
+  });
+});
@@ -0,0 +1,158 @@
+// backend/test/lib/sensitive.test.js
+// Tests for backend/src/lib/sensitive.js — finding personal data in page words and
+// proposing redaction rectangles over them.
+require('../_helpers/setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  SENSITIVE_KINDS,
+  MAX_PATTERNS,
+  MAX_PATTERN_LENGTH,
+  validateSensitiveOptions,
+  hasNestedQuantifier,
+  findSensitive,
+  findSensitiveWithTimeout,
+} = require('../../src/lib/sensitive');
+
+// One line of words, each 40pt wide and 20pt apart, `y` points from the top.
+function line(y, text) {
+  return { words: text.split(' ').map((word, index) => ({ text: word, bounds: { x: index * 60, y, w: 40, h: 10 } })) };
+}
+
+function page(pageNumber, ...texts) {
+  return { pageNumber, source: 'text', lines: texts.map((text, index) => line(index * 20, text)) };
+}
+
+function scan(pages, payload = {}) {
+  const { errors, options } = validateSensitiveOptions(payload);
+  assert.deepEqual(errors, []);
+  return findSensitive(pages, options).candidates;
+}
+
+function found(candidates) {
+  return candidates.map((c) => [c.kind, c.text]);
+}
+
+describe('findSensitive', () => {
+  it('finds each built-in kind', () => {
+    const candidates = scan([page(1,
+      'SSN: 123-45-6789 Card: 4111 1111 1111 1111',
+      'DOB: March 4, 1980 born 04/03/1980',
+      'Mail jane.doe@example.com or call (555) 123-4567 or +44 20 7946 0958'
+    )]);
+    assert.deepEqual(found(candidates), [
+      ['ssn', '123-45-6789'],
+      ['creditCard', '4111 1111 1111 1111'],
+      ['dob', 'March 4, 1980'],
+      ['dob', '04/03/1980'],
+      ['email', 'jane.doe@example.com'],
+      ['phone', '(555) 123-4567'],
+      ['phone', '+44 20 7946 0958'],
+    ]);
+  });
+
+  it('skips numbers that only look like the real thing', () => {
+    const candidates = scan([page(1,
+      'SSN 000-12-3456 666-12-3456 123-00-4567 Card 4111 1111 1111 1112',
+      'Due 04/03/1980 order 12345 ext 555-1234'
+    )]);
+    assert.deepEqual(candidates, []);
+  });
+
+  it('covers every touched word whole, with one rectangle per line', () => {
+    const [candidate] = scan([page(2, 'SSN:123-45-6789 and', 'x')], { kinds: ['ssn'] });
+    assert.equal(candidate.text, '123-45-6789');
+    assert.deepEqual(candidate.rects, [{ x: 0, y: 0, w: 40, h: 10 }]);
+
+    const [term] = scan([page(2, 'Signed by Jane', 'Doe on Monday')], { kinds: [], terms: ['jane  doe'] });
+    assert.deepEqual([term.kind, term.label, term.text, term.page, term.source], ['term', 'jane doe', 'Jane Doe', 2, 'text']);
+    assert.deepEqual(term.rects, [{ x: 120, y: 0, w: 40, h: 10 }, { x: 0, y: 20, w: 40, h: 10 }]);
+  });
+
+  it('matches terms as whole words and custom patterns anywhere, ignoring case', () => {
+    const candidates = scan([page(1, 'Employee EMP-0042 reports to Acme; acmeCorp is unrelated')], {
+      kinds: [],
+      terms: ['ACME'],
+      patterns: [{ name: 'Employee id', pattern: 'emp-\\d{4}' }],
+    });
+    assert.deepEqual(candidates.map((c) => [c.kind, c.label, c.text]), [
+      ['pattern', 'Employee id', 'EMP-0042'],
+      ['term', 'ACME', 'Acme'],
+    ]);
+  });
+
+  it('proposes the same words once, for the earliest matcher, and numbers ids per page in reading order', () => {
+    const candidates = scan([page(1, 'call 123-45-6789'), page(3, 'ssn 123-45-6789', 'a@b.co')], {
+      terms: ['123-45-6789'],
+    });
+    assert.deepEqual(candidates.map((c) => [c.id, c.kind]), [['p1-1', 'ssn'], ['p3-1', 'ssn'], ['p3-2', 'email']]);
+  });
+});
+
+describe('validateSensitiveOptions', () => {
+  it('runs every built-in kind by default', () => {
+    assert.deepEqual(validateSensitiveOptions({}).options, { kinds: SENSITIVE_KINDS, patterns: [], terms: [] });
+  });
+
+  it('reports unknown kinds, bad patterns and bad terms by path', () => {
+    const { errors } = validateSensitiveOptions({
+      kinds: ['ssn', 'iban'],
+      patterns: [{ name: 'Broken', pattern: '(' }, { pattern: 'x' }, 'y'],
+      terms: ['ok', ' ', 7],
+    });
+    assert.deepEqual(errors.map((e) => e.path), [
+      'kinds[1]', 'patterns[0].pattern', 'patterns[1].name', 'patterns[2]', 'terms[1]', 'terms[2]',
+    ]);
+    assert.match(errors[0].message, /^kinds\[1\] must be one of ssn, /);
+  });
+
+  it('rejects patterns that repeat a repeat, or are too long, before they can run', () => {
+    const { errors } = validateSensitiveOptions({
+      patterns: [
+        { name: 'Catastrophic', pattern: '(a+)+$' },
+        { name: 'Long', pattern: 'x'.repeat(MAX_PATTERN_LENGTH + 1) },
+      ],
+    });
+    assert.deepEqual(errors.map((e) => e.path), ['patterns[0].pattern', 'patterns[1].pattern']);
+    assert.match(errors[0].message, /must not repeat a group that itself repeats/);
+  });
+
+  it('limits the number of patterns and needs something to look for', () => {
+    const patterns = Array.from({ length: MAX_PATTERNS + 1 }, (_, i) => ({ name: `p${i}`, pattern: 'x' }));
+    assert.equal(validateSensitiveOptions({ patterns }).errors[0].path, 'patterns');
+    assert.deepEqual(validateSensitiveOptions({ kinds: [] }).errors.map((e) => e.path), ['kinds']);
+  });
+});
+
+describe('hasNestedQuantifier', () => {
+  it('finds groups that repeat a repeat, at any depth', () => {
+    for (const pattern of ['(a+)+$', '(\\w+\\s?)*', '((ab)*c)+', '(?:x{2,}y)+', '(a{1,3}){2,}']) {
+      assert.equal(hasNestedQuantifier(pattern), true, pattern);
+    }
+  });
+
+  it('allows single repeats, optional groups, exact counts, escapes and classes', () => {
+    for (const pattern of ['EMP-\\d+', '(ab)+', '(a+)?', '(a{3})+', '\\(a+\\)+', '[(+)]+', '(?<id>\\d+)-x']) {
+      assert.equal(hasNestedQuantifier(pattern), false, pattern);
+    }
+  });
+});
+
+describe('findSensitiveWithTimeout', () => {
+  it('runs custom patterns in a worker thread with the same results', async () => {
+    const pages = [page(1, 'Employee EMP-0042 reports to Acme')];
+    const { options } = validateSensitiveOptions({ kinds: [], patterns: [{ name: 'Employee id', pattern: 'emp-\\d{4}' }] });
+
+    assert.deepEqual(await findSensitiveWithTimeout(pages, options), findSensitive(pages, options));
+  });
+
+  it('stops a pattern that backtracks for too long', async () => {
+    // Alternatives that match the same text backtrack exponentially without nesting a repeat.
+    const pages = [page(1, `${'a'.repeat(40)}!`)];
+    const { errors, options } = validateSensitiveOptions({ kinds: [], patterns: [{ name: 'Slow', pattern: '^(a|aa)+$' }] });
+    assert.deepEqual(errors, []);
+
+    assert.equal(await findSensitiveWithTimeout(pages, options, 200), null);
+  });
+});
@@ -49,6 +49,22 @@ describe('storage module', () => {
       assert.equal(typeof storage.uploadBuffer, 'function');
     });
 
+    it('exports getBlobProperties as a function', () => {
+      assert.equal(typeof storage.getBlobProperties, 'function');
+    });
+
+    it('exports getUncommittedBytes as a function', () => {
+      assert.equal(typeof storage.getUncommittedBytes, 'function');
+    });
+
+    it('exports copyBlob as a function', () => {
+      assert.equal(typeof storage.copyBlob, 'function');
+    });
+
+    it('exports deleteBlob as a function', () => {
+      assert.equal(typeof storage.deleteBlob, 'function');
+    });
+
     it('exports sendQueueMessage as a function', () => {
       assert.equal(typeof storage.sendQueueMessage, 'function');
     });
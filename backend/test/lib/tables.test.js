@@ -199,6 +199,22 @@ describe('tables module exports', () => {
     'upsertUser',
     'getDocument',
     'upsertDocument',
+    'deleteDocument',
+    'listStaleUploads',
+    'listLibraryPage',
+    'backfillLibrary',
+    'createDocumentVersion',
+    'getDocumentVersion',
+    'listDocumentVersions',
+    'deleteDocumentVersions',
+    'getShare',
+    'upsertShare',
+    'deleteShare',
+    'listSharesForDocument',
+    'getCommentThread',
+    'upsertCommentThread',
+    'createComment',
+    'listCommentRows',
     'createJob',
     'getJob',
     'updateJob',
@@ -214,7 +230,7 @@ describe('tables module exports', () => {
   }
 
   it('exports async functions for all CRUD operations', () => {
-    const asyncFns = ['getUser', 'upsertUser', 'getDocument', 'upsertDocument',
+    const asyncFns = ['getUser', 'upsertUser', 'getDocument', 'upsertDocument', 'listLibraryPage',
       'createJob', 'getJob', 'updateJob', 'ensureTable'];
     for (const name of asyncFns) {
       const fn = tables[name];
@@ -398,6 +414,253 @@ describe('getDocument and upsertDocument', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// 6b. Library index
+// ---------------------------------------------------------------------------
+
+describe('listLibraryPage', () => {
+  let t;
+  let mock;
+
+  beforeEach(() => {
+    mock = createMockTableClient();
+    t = patchGetTableClient(mock);
+  });
+
+  it('indexes new documents under their owner, most recently changed first', async () => {
+    await t.upsertDocument({ docId: 'a', ownerEmail: 'alice@example.com', createdAt: '2025-01-01T00:00:00.000Z' });
+    await t.upsertDocument({ docId: 'b', ownerEmail: 'bob@example.com', createdAt: '2025-01-02T00:00:00.000Z' });
+    await t.upsertDocument({ docId: 'c', ownerEmail: 'alice@example.com', createdAt: '2025-01-03T00:00:00.000Z' });
+    await t.upsertDocument({ docId: 'a', title: 'renamed.pdf' });
+
+    const page = await t.listLibraryPage('  Alice@Example.com ', 'owned', 'updatedAt', 'desc', 10, null);
+
+    assert.deepEqual(page.entries, [{ docId: 'c', role: 'owner' }, { docId: 'a', role: 'owner' }]);
+    assert.equal(page.nextCursor, null);
+  });
+
+  it('moves a document edited today above newer documents, and keeps creation order apart', async () => {
+    await t.upsertDocument({ docId: 'old', ownerEmail: 'alice@example.com', createdAt: '2025-01-01T00:00:00.000Z' });
+    await t.upsertDocument({ docId: 'new', ownerEmail: 'alice@example.com', createdAt: '2025-06-01T00:00:00.000Z' });
+    await t.upsertDocument({ docId: 'old', updatedAt: '2025-07-01T00:00:00.000Z', version: 2 });
+
+    const ids = async (sort, order) =>
+      (await t.listLibraryPage('alice@example.com', 'owned', sort, order, 10, null)).entries.map((e) => e.docId);
+
+    assert.deepEqual(await ids('updatedAt', 'desc'), ['old', 'new']);
+    assert.deepEqual(await ids('updatedAt', 'asc'), ['new', 'old']);
+    assert.deepEqual(await ids('createdAt', 'desc'), ['new', 'old']);
+    assert.deepEqual(await ids('createdAt', 'asc'), ['old', 'new']);
+  });
+
+  it('pages through the index with the continuation token', async () => {
+    for (const day of [1, 2, 3]) {
+      await t.upsertDocument({ docId: `d${day}`, ownerEmail: 'alice@example.com', createdAt: `2025-01-0${day}T00:00:00.000Z` });
+    }
+
+    const first = await t.listLibraryPage('alice@example.com', 'owned', 'updatedAt', 'desc', 2, null);
+    const second = await t.listLibraryPage('alice@example.com', 'owned', 'updatedAt', 'desc', 2, first.nextCursor);
+
+    assert.deepEqual(first.entries.map((e) => e.docId), ['d3', 'd2']);
+    assert.ok(first.nextCursor);
+    assert.deepEqual(second.entries.map((e) => e.docId), ['d1']);
+    assert.equal(second.nextCursor, null);
+  });
+
+  it('keeps shares apart from owned documents and follows role changes', async () => {
+    await t.upsertDocument({ docId: 'own', ownerEmail: 'x@example.com', createdAt: '2025-01-01T00:00:00.000Z' });
+    await t.upsertShare({ docId: 's1', email: 'X@example.com', role: 'viewer', createdAt: '2025-02-01T00:00:00.000Z' });
+    await t.upsertShare({ docId: 's1', email: 'x@example.com', role: 'editor', createdAt: '2025-02-01T00:00:00.000Z' });
+
+    const shared = await t.listLibraryPage('x@example.com', 'shared', 'updatedAt', 'desc', 10, null);
+    const owned = await t.listLibraryPage('x@example.com', 'owned', 'updatedAt', 'desc', 10, null);
+
+    assert.deepEqual(shared.entries, [{ docId: 's1', role: 'editor' }]);
+    assert.deepEqual(owned.entries, [{ docId: 'own', role: 'owner' }]);
+  });
+
+  it('sorts shared documents by the document\'s own changes', async () => {
+    await t.upsertDocument({ docId: 'p', ownerEmail: 'o@example.com', createdAt: '2025-01-01T00:00:00.000Z' });
+    await t.upsertDocument({ docId: 'q', ownerEmail: 'o@example.com', createdAt: '2025-02-01T00:00:00.000Z' });
+    await t.upsertShare({ docId: 'p', email: 'x@example.com', role: 'viewer', createdAt: '2025-03-01T00:00:00.000Z' });
+    await t.upsertShare({ docId: 'q', email: 'x@example.com', role: 'viewer', createdAt: '2025-03-01T00:00:00.000Z' });
+    await t.upsertDocument({ docId: 'p', updatedAt: '2025-04-01T00:00:00.000Z' });
+
+    const shared = await t.listLibraryPage('x@example.com', 'shared', 'updatedAt', 'desc', 10, null);
+
+    assert.deepEqual(shared.entries.map((e) => e.docId), ['p', 'q']);
+  });
+
+  it('drops entries when the share or the document is deleted', async () => {
+    await t.upsertDocument({ docId: 'gone', ownerEmail: 'x@example.com', createdAt: '2025-01-01T00:00:00.000Z' });
+    await t.upsertShare({ docId: 's2', email: 'x@example.com', role: 'viewer', createdAt: '2025-02-01T00:00:00.000Z' });
+
+    assert.equal(await t.deleteShare('s2', 'x@example.com'), true);
+    assert.equal(await t.deleteDocument('gone'), true);
+
+    assert.deepEqual((await t.listLibraryPage('x@example.com', 'shared', 'updatedAt', 'desc', 10, null)).entries, []);
+    assert.deepEqual((await t.listLibraryPage('x@example.com', 'owned', 'createdAt', 'asc', 10, null)).entries, []);
+    assert.deepEqual([...mock._store.keys()].filter((key) => key.startsWith('x@example.com:')), []);
+  });
+});
+
+describe('backfillLibrary', () => {
+  let t;
+  let mock;
+
+  beforeEach(() => {
+    mock = createMockTableClient();
+    t = patchGetTableClient(mock);
+  });
+
+  it('indexes document rows and shares written before the library existed', async () => {
+    mock._store.set('DOC:legacy', {
+      partitionKey: 'DOC', rowKey: 'legacy', docId: 'legacy', ownerEmail: 'alice@example.com',
+      createdAt: '2024-01-01T00:00:00.000Z', updatedAt: '2025-05-01T00:00:00.000Z',
+    });
+    mock._store.set('DOC:older', {
+      partitionKey: 'DOC', rowKey: 'older', docId: 'older', ownerEmail: 'alice@example.com',
+      createdAt: '2024-02-01T00:00:00.000Z', updatedAt: '2024-02-01T00:00:00.000Z',
+    });
+    mock._store.set('legacy:bob@example.com', { partitionKey: 'legacy', rowKey: 'bob@example.com', docId: 'legacy', email: 'bob@example.com', role: 'viewer' });
+
+    assert.equal(await t.backfillLibrary(), 2);
+    assert.equal(await t.backfillLibrary(), 2, 'running it again is harmless');
+
+    const owned = await t.listLibraryPage('alice@example.com', 'owned', 'updatedAt', 'desc', 10, null);
+    const shared = await t.listLibraryPage('bob@example.com', 'shared', 'updatedAt', 'desc', 10, null);
+    assert.deepEqual(owned.entries.map((e) => e.docId), ['legacy', 'older']);
+    assert.deepEqual(shared.entries, [{ docId: 'legacy', role: 'viewer' }]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 6c. Document versions
+// ---------------------------------------------------------------------------
+
+describe('createDocumentVersion, getDocumentVersion, listDocumentVersions', () => {
+  let t;
+  let mock;
+
+  before(() => {
+    mock = createMockTableClient();
+    t = patchGetTableClient(mock);
+  });
+
+  it('stores versions partitioned by docId with a zero-padded row key', async () => {
+    await t.createDocumentVersion({ docId: 'doc-v', version: 3, annotationJson: '{}' });
+    assert.ok(mock._store.has('doc-v:0000000003'));
+  });
+
+  it('refuses to overwrite an existing version', async () => {
+    await t.createDocumentVersion({ docId: 'doc-w', version: 1 });
+    await assert.rejects(
+      () => t.createDocumentVersion({ docId: 'doc-w', version: 1 }),
+      (err) => err.statusCode === 409
+    );
+  });
+
+  it('reads a single version back by number', async () => {
+    await t.createDocumentVersion({ docId: 'doc-x', version: 2, annotationJson: '{"a":1}' });
+    const entity = await t.getDocumentVersion('doc-x', 2);
+    assert.equal(entity.annotationJson, '{"a":1}');
+    assert.equal(await t.getDocumentVersion('doc-x', 9), null);
+  });
+
+  it('lists only the versions of the requested document', async () => {
+    await t.createDocumentVersion({ docId: 'doc-y', version: 1 });
+    await t.createDocumentVersion({ docId: 'doc-y', version: 2 });
+    await t.createDocumentVersion({ docId: 'doc-z', version: 1 });
+    const versions = await t.listDocumentVersions('doc-y');
+    assert.deepEqual(versions.map((v) => v.version).sort(), [1, 2]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 6d. Document shares
+// ---------------------------------------------------------------------------
+
+describe('getShare, upsertShare, deleteShare, listSharesForDocument', () => {
+  let t;
+  let mock;
+
+  before(() => {
+    mock = createMockTableClient();
+    t = patchGetTableClient(mock);
+  });
+
+  it('stores shares partitioned by docId and keyed by the normalised email', async () => {
+    await t.upsertShare({ docId: 'doc-s', email: ' Reviewer@Example.com ', role: 'viewer' });
+    const stored = mock._store.get('doc-s:reviewer@example.com');
+    assert.equal(stored.email, 'reviewer@example.com');
+    assert.equal(stored.role, 'viewer');
+  });
+
+  it('getShare looks shares up case-insensitively and returns null when absent', async () => {
+    await t.upsertShare({ docId: 'doc-t', email: 'a@example.com', role: 'editor' });
+    assert.equal((await t.getShare('doc-t', 'A@EXAMPLE.COM')).role, 'editor');
+    assert.equal(await t.getShare('doc-t', 'b@example.com'), null);
+  });
+
+  it('upsertShare updates the role of an existing share', async () => {
+    await t.upsertShare({ docId: 'doc-u', email: 'a@example.com', role: 'viewer' });
+    await t.upsertShare({ docId: 'doc-u', email: 'a@example.com', role: 'commenter' });
+    assert.equal((await t.getShare('doc-u', 'a@example.com')).role, 'commenter');
+  });
+
+  it('deleteShare reports whether a share was removed', async () => {
+    await t.upsertShare({ docId: 'doc-d', email: 'a@example.com', role: 'viewer' });
+    assert.equal(await t.deleteShare('doc-d', 'A@example.com'), true);
+    assert.equal(await t.deleteShare('doc-d', 'a@example.com'), false);
+  });
+
+  it('lists shares per document', async () => {
+    await t.upsertShare({ docId: 'doc-l1', email: 'x@example.com', role: 'viewer' });
+    await t.upsertShare({ docId: 'doc-l1', email: 'y@example.com', role: 'editor' });
+    await t.upsertShare({ docId: 'doc-l2', email: 'x@example.com', role: 'commenter' });
+
+    const forDoc = await t.listSharesForDocument('doc-l1');
+    assert.deepEqual(forDoc.map((s) => s.email).sort(), ['x@example.com', 'y@example.com']);
+  });
+});
+
+describe('getCommentThread, upsertCommentThread, createComment, listCommentRows', () => {
+  let t;
+  let mock;
+
+  before(() => {
+    mock = createMockTableClient();
+    t = patchGetTableClient(mock);
+  });
+
+  it('keeps threads and their comments in the document partition', async () => {
+    await t.upsertCommentThread({ docId: 'doc-c', threadId: 'th-1', opId: 'op-1', status: 'open' });
+    await t.createComment({ docId: 'doc-c', threadId: 'th-1', commentId: 'cm-1', body: 'Looks off' });
+
+    assert.equal(mock._store.get('doc-c:th-1').kind, 'thread');
+    assert.equal(mock._store.get('doc-c:th-1_cm-1').kind, 'comment');
+  });
+
+  it('getCommentThread returns only thread rows', async () => {
+    await t.upsertCommentThread({ docId: 'doc-g', threadId: 'th-1', opId: 'op-1', status: 'open' });
+    await t.upsertCommentThread({ docId: 'doc-g', threadId: 'th-1', status: 'resolved' });
+
+    assert.equal((await t.getCommentThread('doc-g', 'th-1')).status, 'resolved');
+    assert.equal((await t.getCommentThread('doc-g', 'th-1')).opId, 'op-1');
+    assert.equal(await t.getCommentThread('doc-g', 'missing'), null);
+  });
+
+  it('listCommentRows lists a whole document or a single thread', async () => {
+    await t.upsertCommentThread({ docId: 'doc-l', threadId: 'th-a', opId: 'op-1', status: 'open' });
+    await t.createComment({ docId: 'doc-l', threadId: 'th-a', commentId: 'cm-1', body: 'a' });
+    await t.upsertCommentThread({ docId: 'doc-l', threadId: 'th-b', opId: 'op-2', status: 'open' });
+    await t.createComment({ docId: 'doc-l', threadId: 'th-b', commentId: 'cm-2', body: 'b' });
+
+    assert.equal((await t.listCommentRows('doc-l')).length, 4);
+    assert.deepEqual((await t.listCommentRows('doc-l', 'th-b')).map((row) => row.rowKey).sort(), ['th-b', 'th-b_cm-2']);
+  });
+});
+
 // ---------------------------------------------------------------------------
 // 7. createJob / getJob / updateJob
 // ---------------------------------------------------------------------------
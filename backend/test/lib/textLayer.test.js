@@ -0,0 +1,142 @@
+// backend/test/lib/textLayer.test.js
+// Tests for backend/src/lib/textLayer.js — invisible OCR text over scanned pages.
+require('../_helpers/setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument, PDFName, decodePDFRawStream } = require('pdf-lib');
+const { createTestPdf, readPageContent } = require('../_helpers/pdf');
+const { currentOcrResult, ocrWords, ocrLines, glyphlessFont, addTextLayer } = require('../../src/lib/textLayer');
+
+function word(content, x, y, w, h) {
+  return { content, polygon: [{ x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h }] };
+}
+
+// The numbers of each Tm operator on a page, rounded to 0.1.
+function textMatrices(content) {
+  return [...content.matchAll(/^(.*) Tm$/gm)].map((m) => m[1].split(' ').map((n) => Math.round(Number(n) * 10) / 10 + 0));
+}
+
+describe('currentOcrResult', () => {
+  const SOURCE = 'owner@example.com/doc-1/scan.pdf';
+  const saved = { jobId: 'ocr-1', blobName: 'owner@example.com/doc-1/ocr-1.json', sourceBlobName: SOURCE };
+
+  it('returns the saved result for the current pages', () => {
+    assert.deepEqual(currentOcrResult({ sourceBlobName: SOURCE, ocrResult: JSON.stringify(saved) }), saved);
+  });
+
+  it('returns null when there is no usable result', () => {
+    for (const ocrResult of [undefined, '', '{not json', 'null', JSON.stringify({ ...saved, blobName: undefined })]) {
+      assert.equal(currentOcrResult({ sourceBlobName: SOURCE, ocrResult }), null);
+    }
+  });
+
+  it('returns null once the pages have been rebuilt', () => {
+    const doc = { sourceBlobName: 'owner@example.com/doc-1/scan-v2.pdf', ocrResult: JSON.stringify(saved) };
+    assert.equal(currentOcrResult(doc), null);
+  });
+});
+
+describe('ocrWords', () => {
+  it('scales point and flat polygons to fractions of the page', () => {
+    const pages = ocrWords({
+      pages: [
+        { pageNumber: 1, width: 8, height: 10, words: [{ content: 'Total', polygon: [{ x: 2, y: 1 }, { x: 4, y: 1 }, { x: 4, y: 2 }, { x: 2, y: 2 }] }] },
+        { pageNumber: 2, width: 100, height: 200, words: [{ content: ' 42 ', polygon: [10, 20, 50, 20, 50, 40, 10, 40] }] },
+      ],
+    });
+
+    assert.deepEqual([...pages.keys()], [1, 2]);
+    assert.deepEqual(pages.get(1), [word('Total', 0.25, 0.1, 0.25, 0.1)]);
+    assert.deepEqual(pages.get(2), [word('42', 0.1, 0.1, 0.4, 0.1)]);
+  });
+
+  it('skips blank words, short polygons and pages without a size', () => {
+    const pages = ocrWords({
+      pages: [
+        { pageNumber: 1, width: 1, height: 1, words: [{ content: ' ', polygon: [0, 0, 1, 0, 1, 1, 0, 1] }, { content: 'a', polygon: [0, 0, 1, 1] }] },
+        { pageNumber: 2, width: 0, height: 1, words: [{ content: 'b', polygon: [0, 0, 1, 0, 1, 1, 0, 1] }] },
+      ],
+    });
+
+    assert.deepEqual([...pages], [[1, []]]);
+    assert.equal(ocrWords(null).size, 0);
+  });
+
+  it('reads lines the same way as words', () => {
+    const page = {
+      pageNumber: 1,
+      width: 10,
+      height: 10,
+      lines: [{ content: 'Total 42', polygon: [1, 1, 5, 1, 5, 2, 1, 2] }],
+      words: [{ content: 'Total', polygon: [1, 1, 3, 1, 3, 2, 1, 2] }],
+    };
+
+    assert.deepEqual(ocrLines({ pages: [page] }).get(1), [word('Total 42', 0.1, 0.1, 0.4, 0.1)]);
+  });
+});
+
+describe('glyphlessFont', () => {
+  it('builds a TrueType file with sorted tables and a valid checksum adjustment', () => {
+    const font = glyphlessFont();
+    let sum = 0;
+    for (let i = 0; i < font.length; i += 4) sum = (sum + font.readUInt32BE(i)) >>> 0;
+    assert.equal(sum, 0xb1b0afba);
+
+    const count = font.readUInt16BE(4);
+    const tags = Array.from({ length: count }, (_, i) => font.toString('latin1', 12 + i * 16, 16 + i * 16));
+    assert.deepEqual(tags, [...tags].sort());
+    assert.ok(tags.includes('glyf') && tags.includes('cmap'));
+  });
+});
+
+describe('addTextLayer', () => {
+  it('returns the source bytes when there is nothing to place', async () => {
+    const source = await createTestPdf(1);
+    const result = await addTextLayer(source, new Map([[1, []], [5, [word('gone', 0, 0, 0.1, 0.1)]]]));
+    assert.deepEqual(result, { buffer: source, pages: 0, words: 0 });
+  });
+
+  it('writes each word as invisible text filling its box', async () => {
+    const source = await createTestPdf(2);
+    const result = await addTextLayer(source, new Map([[2, [word('Hi', 0.1, 0.1, 0.2, 0.05), word('there', 0.4, 0.1, 0.2, 0.05)]]]));
+
+    assert.equal(result.pages, 1);
+    assert.equal(result.words, 2);
+    assert.equal(await readPageContent(result.buffer, 0), '');
+    const content = await readPageContent(result.buffer, 1);
+    assert.match(content, /BT\n3 Tr\n/);
+    assert.deepEqual(textMatrices(content), [[1, 0, 0, 1, 61.2, 673.2], [1, 0, 0, 1, 244.8, 673.2]]);
+    assert.match(content, /<00010002> Tj/);
+    assert.match(content, /<00030004000500060005> Tj/);
+  });
+
+  it('maps the text back to Unicode through the embedded font', async () => {
+    const result = await addTextLayer(await createTestPdf(1), new Map([[1, [word('Grüße', 0.1, 0.1, 0.2, 0.05)]]]));
+
+    const pdf = await PDFDocument.load(result.buffer);
+    const fonts = pdf.getPage(0).node.Resources().lookup(PDFName.of('Font'));
+    const font = pdf.context.lookup(fonts.get(fonts.keys()[0]));
+    assert.equal(font.get(PDFName.of('Subtype')).toString(), '/Type0');
+    const cmap = Buffer.from(decodePDFRawStream(font.lookup(PDFName.of('ToUnicode'))).decode()).toString('latin1');
+    assert.match(cmap, /<0003> <00FC>/);
+    assert.match(cmap, /<0004> <00DF>/);
+  });
+
+  it('rotates the text with a page that is displayed sideways', async () => {
+    const result = await addTextLayer(await createTestPdf(1, { rotations: [90] }), new Map([[1, [word('Hi', 0.1, 0.1, 0.2, 0.05)]]]));
+
+    const content = await readPageContent(result.buffer, 0);
+    assert.deepEqual(textMatrices(content), [[0, 1, -1, 0, 91.8, 79.2]]);
+  });
+
+  it('leaves out words that overlap an excluded box', async () => {
+    const words = new Map([[1, [word('keep', 0.1, 0.1, 0.2, 0.05), word('secret', 0.1, 0.5, 0.2, 0.05)]]]);
+    const exclude = [{ page: 1, bounds: { x: 50, y: 380, w: 200, h: 50 } }, { page: 2, bounds: { x: 0, y: 0, w: 612, h: 792 } }];
+
+    const result = await addTextLayer(await createTestPdf(1), words, { exclude });
+
+    assert.equal(result.words, 1);
+    assert.equal((await readPageContent(result.buffer, 0)).match(/ Tj/g).length, 1);
+  });
+});
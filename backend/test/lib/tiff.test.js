@@ -0,0 +1,138 @@
+// backend/test/lib/tiff.test.js
+// Tests for backend/src/lib/tiff.js — baseline TIFF reading for image conversion.
+require('../_helpers/setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTiff } = require('../_helpers/images');
+const { isTiff, readIfds, decodeTiff, TAG, MAX_PAGE_PIXELS, MAX_TOTAL_PIXELS } = require('../../src/lib/tiff');
+
+// Deterministic bytes with enough variety to push LZW past 9-bit codes and a table reset.
+function noise(length, levels = 7) {
+  let seed = 7;
+  const data = Buffer.alloc(length);
+  for (let i = 0; i < length; i++) {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    data[i] = (seed % levels) * 30;
+  }
+  return data;
+}
+
+describe('isTiff', () => {
+  it('recognises both byte orders and nothing else', () => {
+    assert.equal(isTiff(Buffer.from('II*\0\0\0\0\0', 'latin1')), true);
+    assert.equal(isTiff(Buffer.from('MM\0*\0\0\0\0', 'latin1')), true);
+    assert.equal(isTiff(Buffer.from('%PDF-1.7', 'latin1')), false);
+  });
+});
+
+describe('readIfds', () => {
+  it('reads one directory per page with its tags', () => {
+    const data = noise(16);
+    const ifds = readIfds(createTiff([{ width: 4, height: 4, data, dpi: 300 }, { width: 4, height: 4, data }]));
+    assert.equal(ifds.length, 2);
+    assert.deepEqual(ifds[0].get(TAG.width), [4]);
+    assert.deepEqual(ifds[0].get(TAG.xResolution), [300]);
+    assert.equal(ifds[1].has(TAG.xResolution), false);
+  });
+
+  it('stops at a directory chain that loops back on itself', () => {
+    const file = createTiff([{ width: 2, height: 2, data: noise(4) }]);
+    const first = file.readUInt32LE(4);
+    const count = file.readUInt16LE(first);
+    file.writeUInt32LE(first, first + 2 + count * 12);
+    assert.equal(readIfds(file).length, 1);
+  });
+});
+
+describe('decodeTiff', () => {
+  for (const [name, compression] of [['uncompressed', 1], ['LZW', 5], ['Deflate', 8], ['PackBits', 32773]]) {
+    it(`decodes ${name} grayscale strips`, () => {
+      const data = noise(48 * 48);
+      const [page] = decodeTiff(createTiff([{ width: 48, height: 48, data, compression }]));
+      assert.equal(page.width, 48);
+      assert.equal(page.components, 1);
+      assert.equal(page.bitsPerComponent, 8);
+      assert.ok(page.data.equals(data));
+    });
+  }
+
+  it('decodes LZW data long enough to reset the code table', () => {
+    const data = noise(200 * 200, 37);
+    const [page] = decodeTiff(createTiff([{ width: 200, height: 200, data, compression: 5 }]));
+    assert.ok(page.data.equals(data));
+  });
+
+  it('undoes horizontal differencing', () => {
+    const [page] = decodeTiff(createTiff([{ width: 4, height: 1, data: Buffer.from([10, 5, 5, 5]), predictor: 2 }]));
+    assert.deepEqual([...page.data], [10, 15, 20, 25]);
+  });
+
+  it('keeps bilevel pages packed and flips WhiteIsZero to black-is-zero', () => {
+    const [page] = decodeTiff(createTiff([{ width: 8, height: 2, data: Buffer.from([0xf0, 0x0f]), bits: 1, photometric: 0 }]));
+    assert.equal(page.bitsPerComponent, 1);
+    assert.deepEqual([...page.data], [0x0f, 0xf0]);
+  });
+
+  it('drops alpha from RGBA and expands palette colour to RGB', () => {
+    const [rgba] = decodeTiff(createTiff([{ width: 1, height: 1, data: Buffer.from([1, 2, 3, 255]), samples: 4, photometric: 2 }]));
+    assert.equal(rgba.components, 3);
+    assert.deepEqual([...rgba.data], [1, 2, 3]);
+
+    const colorMap = new Array(768).fill(0);
+    colorMap[5] = 0xff00;
+    colorMap[256 + 5] = 0x8000;
+    const [palette] = decodeTiff(createTiff([{ width: 1, height: 1, data: Buffer.from([5]), photometric: 3, colorMap }]));
+    assert.deepEqual([...palette.data], [255, 128, 0]);
+  });
+
+  it('reads the resolution of each page', () => {
+    const pages = decodeTiff(createTiff([
+      { width: 2, height: 2, data: noise(4), dpi: 300 },
+      { width: 2, height: 2, data: noise(4) },
+    ]));
+    assert.deepEqual(pages.map((page) => page.dpi), [300, null]);
+  });
+
+  it('rejects layouts it cannot read', () => {
+    assert.throws(() => decodeTiff(createTiff([{ width: 2, height: 2, data: noise(4), tiled: true }])), /Tiled/);
+    assert.throws(
+      () => decodeTiff(createTiff([{ width: 2, height: 2, data: noise(16), samples: 4, photometric: 5 }])),
+      /colour format/
+    );
+    const file = createTiff([{ width: 2, height: 2, data: noise(4) }]);
+    const ifd = file.readUInt32LE(4);
+    for (let i = 0; i < file.readUInt16LE(ifd); i++) {
+      const entry = ifd + 2 + i * 12;
+      if (file.readUInt16LE(entry) === TAG.compression) file.writeUInt16LE(4, entry + 8);
+    }
+    assert.throws(() => decodeTiff(file), /compression 4 is not supported/);
+  });
+
+  it('rejects truncated image data', () => {
+    const file = createTiff([{ width: 48, height: 48, data: noise(48 * 48) }]);
+    assert.throws(() => decodeTiff(file.subarray(0, 600)), /out of bounds|truncated/);
+  });
+
+  it('refuses pages over the pixel limit before decompressing them', () => {
+    const width = Math.ceil(Math.sqrt(MAX_PAGE_PIXELS)) + 1;
+    const file = createTiff([{ width, height: width, data: Buffer.from([0]), compression: 32773 }]);
+    assert.throws(() => decodeTiff(file), /the limit is 50 megapixels/);
+  });
+
+  it('refuses files whose pages add up to more than the total pixel limit', () => {
+    const side = Math.floor(Math.sqrt(MAX_PAGE_PIXELS));
+    const count = Math.ceil(MAX_TOTAL_PIXELS / (side * side)) + 1;
+    const pages = Array.from({ length: count }, () => ({ width: side, height: side, data: Buffer.from([0]), compression: 32773 }));
+    assert.throws(() => decodeTiff(createTiff(pages)), /megapixels; the limit is 300/);
+  });
+
+  it('stops decompressing at the end of the page', () => {
+    const lzw = decodeTiff(createTiff([{ width: 4, height: 4, data: noise(4096), compression: 5 }]));
+    assert.equal(lzw[0].data.length, 16);
+    assert.throws(
+      () => decodeTiff(createTiff([{ width: 4, height: 4, data: noise(4096), compression: 8 }])),
+      /larger than its page/
+    );
+  });
+});
@@ -0,0 +1,136 @@
+// backend/test/lib/uploads.test.js
+// Tests for backend/src/lib/uploads.js — upload statuses and server-side PDF checks.
+require('../_helpers/setup');
+require('../_helpers/module-mocks');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { PDFDocument } = require('pdf-lib');
+const { createTestPdf } = require('../_helpers/pdf');
+const { config } = require('../../src/lib/config');
+const {
+  isDocumentReady,
+  uploadNotReady,
+  uploadBlobName,
+  issueUploadUrls,
+  imageBlobNames,
+  issueImageUploadUrls,
+  uploadTooLarge,
+  inspectPdf
+} = require('../../src/lib/uploads');
+
+async function encryptedPdf() {
+  const pdf = await PDFDocument.load(await createTestPdf(1));
+  pdf.context.trailerInfo.Encrypt = pdf.context.obj({ Filter: 'Standard', V: 1, R: 2 });
+  return Buffer.from(await pdf.save());
+}
+
+describe('isDocumentReady', () => {
+  it('accepts ready rows and rows from before uploads were checked', () => {
+    assert.equal(isDocumentReady({ status: 'ready' }), true);
+    assert.equal(isDocumentReady({}), true);
+    assert.equal(isDocumentReady({ status: 'uploading' }), false);
+    assert.equal(isDocumentReady({ status: 'rejected' }), false);
+  });
+});
+
+describe('uploadNotReady', () => {
+  it('returns nothing for a usable document', () => {
+    assert.equal(uploadNotReady({ status: 'ready' }), null);
+  });
+
+  it('answers 409 with the status and any extra details', () => {
+    const res = uploadNotReady({ status: 'rejected' }, { docId: 'doc-1' });
+    assert.equal(res.status, 409);
+    assert.equal(res.jsonBody.error.code, 'not_ready');
+    assert.match(res.jsonBody.error.message, /rejected/);
+    assert.deepEqual(res.jsonBody.error.details, { status: 'rejected', docId: 'doc-1' });
+  });
+});
+
+describe('uploadTooLarge', () => {
+  it('allows files up to the configured limit', () => {
+    assert.equal(uploadTooLarge(config.maxUploadBytes), null);
+  });
+
+  it('answers 413 with both sizes for larger files', () => {
+    const res = uploadTooLarge(config.maxUploadBytes + 1);
+    assert.equal(res.status, 413);
+    assert.equal(res.jsonBody.error.code, 'file_too_large');
+    assert.match(res.jsonBody.error.message, /the limit is 10 MB/);
+    assert.equal(res.jsonBody.error.details.maxUploadBytes, config.maxUploadBytes);
+  });
+});
+
+describe('issueUploadUrls', () => {
+  it('returns a write URL for the staging blob and a read URL for the stored one', () => {
+    const urls = issueUploadUrls({
+      sourceBlobName: 'a@example.com/doc-1/scan.pdf',
+      uploadBlobName: 'a@example.com/doc-1/upload/scan.pdf',
+    });
+    assert.match(urls.sasUrl, /doc-1\/upload\/scan\.pdf.*perm=cw/);
+    assert.match(urls.readUrl, /doc-1\/scan\.pdf.*perm=r$/);
+    assert.equal(urls.blobPath, `${config.sourceContainer}/a@example.com/doc-1/scan.pdf`);
+    assert.equal(urls.maxUploadBytes, config.maxUploadBytes);
+    assert.ok(urls.expiresAt);
+  });
+});
+
+describe('uploadBlobName', () => {
+  it('is the staging name, or the stored name for rows from before staging', () => {
+    assert.equal(uploadBlobName({ sourceBlobName: 'a/doc/x.pdf', uploadBlobName: 'a/doc/upload/x.pdf' }), 'a/doc/upload/x.pdf');
+    assert.equal(uploadBlobName({ sourceBlobName: 'a/doc/x.pdf' }), 'a/doc/x.pdf');
+  });
+});
+
+describe('imageBlobNames', () => {
+  it('lists the images waiting to be converted', () => {
+    assert.deepEqual(imageBlobNames({ imageBlobs: '["a/1-x.jpg","a/2-y.png"]' }), ['a/1-x.jpg', 'a/2-y.png']);
+  });
+
+  it('treats missing or unreadable lists as empty', () => {
+    assert.deepEqual(imageBlobNames({}), []);
+    assert.deepEqual(imageBlobNames({ imageBlobs: 'not json' }), []);
+    assert.deepEqual(imageBlobNames({ imageBlobs: '{}' }), []);
+  });
+});
+
+describe('issueImageUploadUrls', () => {
+  it('returns one write URL per image, named after its blob', () => {
+    const urls = issueImageUploadUrls(['a@example.com/doc-1/images/1-front.jpg', 'a@example.com/doc-1/images/2-back.tif']);
+    assert.deepEqual(urls.map((u) => u.fileName), ['1-front.jpg', '2-back.tif']);
+    assert.match(urls[1].sasUrl, /images\/2-back\.tif.*perm=cw/);
+    assert.ok(urls[0].expiresAt);
+  });
+});
+
+describe('inspectPdf', () => {
+  it('reports page count, size and SHA-256 of a valid PDF', async () => {
+    const buffer = await createTestPdf(3);
+    const result = await inspectPdf(buffer);
+
+    assert.deepEqual(result, {
+      ok: true,
+      pageCount: 3,
+      byteSize: buffer.length,
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+    });
+  });
+
+  it('rejects empty files and files without a PDF header', async () => {
+    assert.equal((await inspectPdf(Buffer.alloc(0))).reason, 'File is empty');
+    assert.equal((await inspectPdf(Buffer.from('GIF89a not a pdf'))).reason, 'File is not a PDF');
+  });
+
+  it('rejects password-protected PDFs', async () => {
+    assert.deepEqual(await inspectPdf(await encryptedPdf()), { ok: false, reason: 'PDF is password protected' });
+  });
+
+  it('rejects damaged and truncated PDFs', async () => {
+    const truncated = (await createTestPdf(2)).subarray(0, 200);
+    for (const buffer of [Buffer.from('%PDF-1.7\nnothing else\n%%EOF'), truncated]) {
+      assert.match((await inspectPdf(buffer)).reason, /damaged/);
+    }
+  });
+});
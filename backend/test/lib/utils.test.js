@@ -3,7 +3,7 @@ require('../_helpers/setup');
 
 const { describe, it } = require('node:test');
 const assert = require('node:assert/strict');
-const { sanitizeFileName, decodeQueueMessage } = require('../../src/lib/utils');
+const { sanitizeFileName, decodeQueueMessage, isEmail } = require('../../src/lib/utils');
 
 // ---------------------------------------------------------------------------
 // sanitizeFileName
@@ -132,3 +132,20 @@ describe('decodeQueueMessage', () => {
     assert.deepEqual(result, {});
   });
 });
+
+// ---------------------------------------------------------------------------
+// isEmail
+// ---------------------------------------------------------------------------
+
+describe('isEmail', () => {
+  it('accepts a plain address', () => {
+    assert.equal(isEmail('reviewer@example.com'), true);
+  });
+
+  it('rejects addresses without a domain, with spaces, or that are not strings', () => {
+    assert.equal(isEmail('reviewer@example'), false);
+    assert.equal(isEmail('review er@example.com'), false);
+    assert.equal(isEmail(''), false);
+    assert.equal(isEmail(null), false);
+  });
+});
@@ -0,0 +1,96 @@
+// backend/test/lib/versions.test.js
+// Tests for backend/src/lib/versions.js — version ids and version row shapes.
+require('../_helpers/setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  formatVersionId,
+  parseVersionId,
+  readAnnotationSet,
+  buildVersionEntity,
+  toVersionSummary,
+  versionEtag,
+  parseBaseVersion,
+} = require('../../src/lib/versions');
+
+describe('parseVersionId / formatVersionId', () => {
+  it('accepts "v3", "V3" and "3"', () => {
+    assert.equal(parseVersionId('v3'), 3);
+    assert.equal(parseVersionId('V3'), 3);
+    assert.equal(parseVersionId('3'), 3);
+  });
+
+  it('rejects zero, negatives and garbage', () => {
+    for (const input of ['v0', '-1', 'v', 'latest', '', undefined, 'v1.5']) {
+      assert.equal(parseVersionId(input), null, `Expected ${input} to be rejected`);
+    }
+  });
+
+  it('formats numbers as vN', () => {
+    assert.equal(formatVersionId(7), 'v7');
+  });
+});
+
+describe('parseBaseVersion / versionEtag', () => {
+  it('accepts plain numbers, version ids and quoted or weak ETags', () => {
+    for (const input of [4, '4', 'v4', '"4"', 'W/"4"', versionEtag(4)]) {
+      assert.equal(parseBaseVersion(input), 4, `input ${input}`);
+    }
+  });
+
+  it('treats a missing value as no precondition', () => {
+    for (const input of [undefined, null, '']) {
+      assert.equal(parseBaseVersion(input), undefined);
+    }
+  });
+
+  it('returns null for malformed values and for "*"', () => {
+    for (const input of ['0', 'latest', '"abc"', -2, '*', '"*"']) {
+      assert.equal(parseBaseVersion(input), null);
+    }
+  });
+});
+
+describe('readAnnotationSet', () => {
+  it('returns the stored operations', () => {
+    const set = readAnnotationSet(JSON.stringify({ schemaVersion: '1.0', operations: [{ opId: 'a' }] }));
+    assert.deepEqual(set, { schemaVersion: '1.0', operations: [{ opId: 'a' }] });
+  });
+
+  it('falls back to an empty set for "{}", missing or corrupt JSON', () => {
+    for (const input of ['{}', undefined, '{oops']) {
+      assert.deepEqual(readAnnotationSet(input), { schemaVersion: '1.0', operations: [] });
+    }
+  });
+});
+
+describe('buildVersionEntity / toVersionSummary', () => {
+  it('counts operations and records who created the version', () => {
+    const entity = buildVersionEntity({
+      docId: 'doc-1',
+      version: 4,
+      annotationJson: JSON.stringify({ operations: [{}, {}] }),
+      sourceBlobName: 'a@example.com/doc-1/source.pdf',
+      createdBy: 'a@example.com',
+      createdAt: '2026-01-01T00:00:00.000Z',
+      restoredFrom: 'v2',
+    });
+    assert.equal(entity.versionId, 'v4');
+    assert.equal(entity.operationCount, 2);
+    assert.equal(entity.sourceBlobName, 'a@example.com/doc-1/source.pdf');
+    assert.deepEqual(toVersionSummary(entity), {
+      versionId: 'v4',
+      version: 4,
+      operationCount: 2,
+      createdBy: 'a@example.com',
+      createdAt: '2026-01-01T00:00:00.000Z',
+      restoredFrom: 'v2',
+    });
+  });
+
+  it('reports restoredFrom as null for ordinary saves', () => {
+    const entity = buildVersionEntity({ docId: 'd', version: 1, annotationJson: '{}', createdBy: 'a', createdAt: 't' });
+    assert.equal(toVersionSummary(entity).restoredFrom, null);
+  });
+});
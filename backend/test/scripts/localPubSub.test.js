@@ -0,0 +1,110 @@
+// backend/test/scripts/localPubSub.test.js
+// Tests for backend/scripts/localPubSub.js — the local Web PubSub stand-in.
+require('../_helpers/setup');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLocalPubSubServer, encodeFrame, decodeFrame } = require('../../scripts/localPubSub');
+const { buildClientAccessUrl } = require('../../src/lib/pubsub');
+
+describe('encodeFrame / decodeFrame', () => {
+  it('round-trips short and extended-length text frames', () => {
+    for (const size of [5, 300, 70000]) {
+      const text = 'x'.repeat(size);
+      const frame = decodeFrame(encodeFrame(0x1, text));
+      assert.equal(frame.opcode, 0x1);
+      assert.equal(frame.payload.toString(), text);
+    }
+  });
+
+  it('unmasks client frames and waits for incomplete ones', () => {
+    const mask = Buffer.from([1, 2, 3, 4]);
+    const body = Buffer.from('hello');
+    const masked = Buffer.from(body.map((b, i) => b ^ mask[i % 4]));
+    const frame = Buffer.concat([Buffer.from([0x81, 0x80 | body.length]), mask, masked]);
+
+    assert.equal(decodeFrame(frame.subarray(0, 4)), null);
+    assert.equal(decodeFrame(frame).payload.toString(), 'hello');
+  });
+});
+
+// Node 22 ships a WebSocket client; older runtimes skip the end-to-end checks.
+describe('local Web PubSub server', { skip: typeof WebSocket === 'undefined' }, () => {
+  let server;
+  let port;
+  const sockets = [];
+
+  before(async () => {
+    server = createLocalPubSubServer({
+      connectionString: process.env.WEBPUBSUB_CONNECTION_STRING,
+      hub: 'annotations',
+    });
+    await new Promise((resolve) => server.listen(0, resolve));
+    port = server.address().port;
+  });
+
+  after(async () => {
+    for (const socket of sockets) socket.close();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  // Access URLs are signed for the configured port; point them at the test server instead.
+  async function connect(userId, sendGroups) {
+    const { url } = buildClientAccessUrl({ userId, groups: ['doc.a', 'doc.a.presence'], sendGroups });
+    const local = new URL(url);
+    local.port = String(port);
+    const socket = new WebSocket(local.toString(), 'json.webpubsub.azure.v1');
+    sockets.push(socket);
+    const messages = [];
+    socket.addEventListener('message', (event) => messages.push(JSON.parse(event.data)));
+    await new Promise((resolve, reject) => {
+      socket.addEventListener('open', resolve);
+      socket.addEventListener('error', reject);
+    });
+    return { socket, messages };
+  }
+
+  async function waitFor(predicate) {
+    for (let i = 0; i < 100; i++) {
+      if (predicate()) return;
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    assert.fail('Timed out waiting for a message');
+  }
+
+  it('relays group messages to other members with the sender\'s user id', async () => {
+    const alice = await connect('alice@example.com', ['doc.a', 'doc.a.presence']);
+    const bob = await connect('bob@example.com', ['doc.a', 'doc.a.presence']);
+
+    alice.socket.send(JSON.stringify({ type: 'sendToGroup', group: 'doc.a', dataType: 'json', data: { kind: 'ops' }, noEcho: true, ackId: 1 }));
+
+    await waitFor(() => bob.messages.some((m) => m.type === 'message'));
+    const relayed = bob.messages.find((m) => m.type === 'message');
+    assert.equal(relayed.fromUserId, 'alice@example.com');
+    assert.equal(relayed.group, 'doc.a');
+    assert.deepEqual(relayed.data, { kind: 'ops' });
+
+    await waitFor(() => alice.messages.some((m) => m.type === 'ack'));
+    assert.ok(!alice.messages.some((m) => m.type === 'message'), 'noEcho keeps the sender\'s own message from it');
+  });
+
+  it('refuses to publish to a group the token does not allow', async () => {
+    const viewer = await connect('viewer@example.com', ['doc.a.presence']);
+
+    viewer.socket.send(JSON.stringify({ type: 'sendToGroup', group: 'doc.a', data: {}, ackId: 7 }));
+
+    await waitFor(() => viewer.messages.some((m) => m.type === 'ack'));
+    const ack = viewer.messages.find((m) => m.type === 'ack');
+    assert.equal(ack.ackId, 7);
+    assert.equal(ack.success, false);
+  });
+
+  it('rejects connections with a bad access token', async () => {
+    const socket = new WebSocket(`ws://localhost:${port}/client/hubs/annotations?access_token=nope`, 'json.webpubsub.azure.v1');
+    const event = await new Promise((resolve) => {
+      socket.addEventListener('error', () => resolve('error'));
+      socket.addEventListener('open', () => resolve('open'));
+    });
+    assert.equal(event, 'error');
+  });
+});
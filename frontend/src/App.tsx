@@ -4,17 +4,37 @@ import { usePDF } from "./hooks/usePDF";
 import { useAnnotations } from "./hooks/useAnnotations";
 import { useUndoRedo } from "./hooks/useUndoRedo";
 import { useJobs } from "./hooks/useJobs";
+import { useDocuments } from "./hooks/useDocuments";
+import { useVersions } from "./hooks/useVersions";
+import { useShares } from "./hooks/useShares";
+import { useCollaboration } from "./hooks/useCollaboration";
+import { useThreads } from "./hooks/useThreads";
+import { useUpload } from "./hooks/useUpload";
+import { useOcrText } from "./hooks/useOcrText";
+import { useSearch } from "./hooks/useSearch";
+import { useSensitiveData } from "./hooks/useSensitiveData";
 import { LoginPage } from "./components/auth/LoginPage";
 import { Header } from "./components/layout/Header";
 import { EditorLayout } from "./components/layout/EditorLayout";
 import { Sidebar } from "./components/layout/Sidebar";
+import { UploadProgress } from "./components/layout/UploadProgress";
 import { Toolbar } from "./components/editor/Toolbar";
 import { PDFViewer } from "./components/editor/PDFViewer";
 import { AnnotationPanel } from "./components/editor/AnnotationPanel";
 import { JobsPanel } from "./components/editor/JobsPanel";
+import { OcrTextPanel } from "./components/editor/OcrTextPanel";
+import { SearchPanel } from "./components/editor/SearchPanel";
+import { SensitiveDataPanel } from "./components/editor/SensitiveDataPanel";
+import { VersionHistoryPanel } from "./components/editor/VersionHistoryPanel";
+import { SaveConflictBanner } from "./components/editor/SaveConflictBanner";
+import { SharePanel } from "./components/editor/SharePanel";
+import { LibraryPanel } from "./components/library/LibraryPanel";
 import { ToastContainer } from "./components/ui/Toast";
-import { apiJson, uploadBlob } from "./lib/api";
-import type { Theme, Toast, UploadResponse } from "./types";
+import { apiJson, type ApiError } from "./lib/api";
+import { canModifyOperation, canUseTool, hasRole } from "./lib/access";
+import type { ConflictResolution } from "./hooks/useAnnotations";
+import type { SearchHit } from "./lib/search";
+import type { ConvertOptions, DocumentDetail, DocumentRole, DocumentSummary, PageEdit, SensitiveCandidate, SensitiveScanOptions, ShareRole, Theme, ThreadStatus, Toast } from "./types";
 
 export default function App() {
   // Auth
@@ -26,10 +46,30 @@ export default function App() {
   // Document state (must be declared before hooks that reference currentDocId)
   const [currentDocId, setCurrentDocId] = useState("");
   const [fileName, setFileName] = useState("");
+  const [docRole, setDocRole] = useState<DocumentRole>("owner");
 
   // Annotations & jobs (only active when authenticated + doc loaded)
   const annotations = useAnnotations(auth.token, currentDocId, auth.email);
   const jobs = useJobs(auth.token, currentDocId);
+  const library = useDocuments(auth.token);
+  const sharedLibrary = useDocuments(auth.token, "shared");
+  const uploads = useUpload(auth.token);
+  const versions = useVersions(auth.token, currentDocId);
+  const shares = useShares(auth.token, currentDocId, docRole === "owner");
+  const threads = useThreads(auth.token, currentDocId);
+  const ocrText = useOcrText(auth.token, currentDocId);
+  const search = useSearch(pdf.getPageText, pdf.totalPages, ocrText.ocr);
+  const sensitive = useSensitiveData(auth.token, currentDocId);
+
+  // Live session with everyone else who has this document open
+  const collab = useCollaboration({
+    token: auth.token,
+    docId: currentDocId,
+    ops: annotations.ops,
+    setOps: annotations.setOps,
+    onRemoteSave: annotations.adoptVersion,
+    onRemoteComments: threads.refresh,
+  });
 
   // Undo/redo wraps annotation operations
   const undoRedo = useUndoRedo(
@@ -68,43 +108,111 @@ export default function App() {
   // Upload handler
   const handleUpload = useCallback(
     async (file: File) => {
-      const MAX_SIZE = 10 * 1024 * 1024;
-      if (file.size > MAX_SIZE) {
-        addToast("error", `File too large (${(file.size / 1024 / 1024).toFixed(1)} MB). Max is 10 MB.`);
-        return;
-      }
       if (file.type && file.type !== "application/pdf") {
         addToast("error", "Only PDF files are supported.");
         return;
       }
 
+      // The size limit is the server's: upload-url refuses files over maxUploadBytes.
       try {
-        const upload = await apiJson<UploadResponse>(
-          "/docs/upload-url", "POST", auth.token,
-          { fileName: file.name, contentType: file.type || "application/pdf" }
-        );
-        await uploadBlob(upload.sasUrl, file);
-        setCurrentDocId(upload.docId);
+        const result = await uploads.upload(file);
+        if (!result) return;
+        setCurrentDocId(result.docId);
         setFileName(file.name);
-        annotations.clearAnnotations();
-        await pdf.loadPDF(upload.readUrl);
+        setDocRole("owner");
+        collab.rebase([]);
+        annotations.loadAnnotations([], 1);
+        undoRedo.resetHistory();
+        await pdf.loadPDF(result.readUrl);
         addToast("success", `Uploaded ${file.name}`);
+        library.refresh();
+      } catch (err) {
+        const apiErr = err as ApiError;
+        if (apiErr.code === "upload_rejected") {
+          addToast("error", `${file.name} was rejected: ${apiErr.message}`);
+          return;
+        }
+        addToast("error", apiErr.message);
+      }
+    },
+    [uploads, pdf, annotations, collab, undoRedo, library, addToast]
+  );
+
+  // Reopen a document from the library with its saved annotations
+  const handleOpenDocument = useCallback(
+    async (doc: Pick<DocumentSummary, "docId">) => {
+      try {
+        const detail = await apiJson<DocumentDetail>(`/docs/${doc.docId}`, "GET", auth.token);
+        setCurrentDocId(detail.docId);
+        setFileName(detail.title);
+        setDocRole(detail.role);
+        if (!canUseTool(detail.role, annotations.activeTool)) {
+          annotations.setActiveTool("select");
+        }
+        collab.rebase(detail.annotations.operations);
+        annotations.loadAnnotations(detail.annotations.operations, detail.version);
+        undoRedo.resetHistory();
+        await pdf.loadPDF(detail.readUrl);
+        addToast("success", `Opened ${detail.title} (v${detail.version})`);
       } catch (err) {
         addToast("error", (err as Error).message);
       }
     },
-    [auth.token, pdf, annotations, addToast]
+    [auth.token, pdf, annotations, collab, undoRedo, addToast]
   );
 
   // Save handler
   const handleSave = useCallback(async () => {
     try {
+      const savedOpIds = annotations.ops.map((op) => op.opId);
       const versionId = await annotations.saveAnnotations();
-      if (versionId) addToast("success", `Saved as ${versionId}`);
+      if (versionId) {
+        collab.announceSave(Number(versionId.replace(/^v/, "")), savedOpIds);
+        addToast("success", `Saved as ${versionId}`);
+        library.refresh();
+        versions.refresh();
+      }
     } catch (err) {
+      if ((err as ApiError).status === 409) {
+        // The conflict banner takes over from here.
+        versions.refresh();
+        return;
+      }
       addToast("error", (err as Error).message);
     }
-  }, [annotations, addToast]);
+  }, [annotations, collab, library, versions, addToast]);
+
+  // Settle a save conflict reported by the server
+  const handleResolveConflict = useCallback(
+    (resolution: ConflictResolution) => {
+      const serverVersionId = annotations.conflict?.currentVersionId;
+      annotations.resolveConflict(resolution);
+      undoRedo.resetHistory();
+      if (resolution === "merge") {
+        addToast("info", `Merged with ${serverVersionId}; save to keep the result`);
+      } else if (resolution === "mine") {
+        addToast("info", `Your annotations will replace ${serverVersionId} on the next save`);
+      }
+    },
+    [annotations, undoRedo, addToast]
+  );
+
+  // Restore an older annotation version as the new latest version
+  const handleRestoreVersion = useCallback(
+    async (versionId: string) => {
+      try {
+        const result = await versions.restoreVersion(versionId);
+        annotations.loadAnnotations(result.annotations.operations, result.version);
+        collab.announceSave(result.version, result.annotations.operations.map((op) => op.opId));
+        undoRedo.resetHistory();
+        library.refresh();
+        addToast("success", `Restored ${result.restoredFrom} as ${result.versionId}`);
+      } catch (err) {
+        addToast("error", (err as Error).message);
+      }
+    },
+    [versions, annotations, collab, undoRedo, library, addToast]
+  );
 
   // Job handlers
   const handleExport = useCallback(async () => {
@@ -116,15 +224,239 @@ export default function App() {
     }
   }, [jobs, addToast]);
 
+  const handleExportSearchable = useCallback(async () => {
+    try {
+      const jobId = await jobs.startJob("export", { searchable: true });
+      if (jobId) addToast("info", `Searchable export job queued: ${jobId}`);
+    } catch (err) {
+      addToast("error", (err as Error).message);
+    }
+  }, [jobs, addToast]);
+
+  // Finished OCR jobs replace the text shown over the page and in the Text panel.
+  const ocrJobIdsRef = useRef(new Set<string>());
+  const ocrPanelRef = useRef<HTMLDivElement>(null);
+
   const handleOCR = useCallback(async () => {
     try {
       const jobId = await jobs.startJob("ocr");
-      if (jobId) addToast("info", `OCR job queued: ${jobId}`);
+      if (jobId) {
+        ocrJobIdsRef.current.add(jobId);
+        addToast("info", `OCR job queued: ${jobId}`);
+      }
     } catch (err) {
       addToast("error", (err as Error).message);
     }
   }, [jobs, addToast]);
 
+  useEffect(() => {
+    for (const job of jobs.jobs) {
+      if (!ocrJobIdsRef.current.has(job.jobId) || job.status === "queued" || job.status === "running") continue;
+      ocrJobIdsRef.current.delete(job.jobId);
+      if (job.status === "completed") ocrText.refresh();
+    }
+  }, [jobs.jobs, ocrText]);
+
+  // A finished scan's findings replace the ones under review.
+  const sensitiveJobIdsRef = useRef(new Set<string>());
+  const [isScanningSensitive, setIsScanningSensitive] = useState(false);
+
+  const handleScanSensitive = useCallback(
+    async (options: SensitiveScanOptions) => {
+      try {
+        const jobId = await jobs.startSensitiveScan(options);
+        if (jobId) {
+          sensitiveJobIdsRef.current.add(jobId);
+          setIsScanningSensitive(true);
+          addToast("info", `Sensitive data scan queued: ${jobId}`);
+        }
+      } catch (err) {
+        addToast("error", (err as Error).message);
+      }
+    },
+    [jobs, addToast]
+  );
+
+  useEffect(() => {
+    for (const job of jobs.jobs) {
+      if (!sensitiveJobIdsRef.current.has(job.jobId) || job.status === "queued" || job.status === "running") continue;
+      sensitiveJobIdsRef.current.delete(job.jobId);
+      if (job.status === "completed") sensitive.load(job.jobId);
+      else addToast("error", job.error ?? "Sensitive data scan failed");
+    }
+    setIsScanningSensitive(sensitiveJobIdsRef.current.size > 0);
+  }, [jobs.jobs, sensitive, addToast]);
+
+  const handleShowOcrText = useCallback(() => {
+    annotations.setActiveTool("select");
+    ocrText.refresh();
+    ocrPanelRef.current?.scrollIntoView?.({ behavior: "smooth", block: "nearest" });
+  }, [annotations, ocrText]);
+
+  const handleCopyText = useCallback(
+    async (text: string) => {
+      try {
+        await navigator.clipboard.writeText(text);
+        addToast("success", "Text copied");
+      } catch {
+        addToast("error", "Could not copy to the clipboard");
+      }
+    },
+    [addToast]
+  );
+
+  // Page organization runs as a job that rewrites the file and moves annotations with
+  // their pages; the result is reloaded when it finishes.
+  const [pagesJob, setPagesJob] = useState<{ jobId: string; docId: string } | null>(null);
+
+  const handleApplyPageEdits = useCallback(
+    async (edits: PageEdit[]) => {
+      try {
+        // The job remaps the saved annotations, so unsaved ones are saved first.
+        const savedOpIds = annotations.ops.map((op) => op.opId);
+        const versionId = await annotations.saveAnnotations();
+        if (versionId) collab.announceSave(Number(versionId.replace(/^v/, "")), savedOpIds);
+        const jobId = await jobs.startPagesJob(edits);
+        if (jobId) {
+          setPagesJob({ jobId, docId: currentDocId });
+          addToast("info", `Applying ${edits.length} page change${edits.length === 1 ? "" : "s"}`);
+        }
+      } catch (err) {
+        if ((err as ApiError).status === 409) {
+          addToast("info", "Resolve the save conflict before changing pages");
+          return;
+        }
+        addToast("error", (err as Error).message);
+      }
+    },
+    [annotations, collab, jobs, currentDocId, addToast]
+  );
+
+  useEffect(() => {
+    if (!pagesJob) return;
+    const job = jobs.jobs.find((j) => j.jobId === pagesJob.jobId);
+    if (!job || job.status === "queued" || job.status === "running") return;
+    setPagesJob(null);
+    if (job.status !== "completed") {
+      addToast("error", `Page changes failed: ${job.error || "unknown error"}`);
+      return;
+    }
+    if (pagesJob.docId !== currentDocId) return;
+
+    (async () => {
+      try {
+        const detail = await apiJson<DocumentDetail>(`/docs/${pagesJob.docId}`, "GET", auth.token);
+        collab.rebase(detail.annotations.operations);
+        annotations.loadAnnotations(detail.annotations.operations, detail.version);
+        undoRedo.resetHistory();
+        await pdf.loadPDF(detail.readUrl);
+        versions.refresh();
+        library.refresh();
+        // OCR read from the old pages no longer applies.
+        ocrText.refresh();
+        addToast("success", `Pages updated (v${detail.version})`);
+      } catch (err) {
+        addToast("error", (err as Error).message);
+      }
+    })();
+  }, [jobs.jobs, pagesJob, currentDocId, auth.token, collab, annotations, undoRedo, pdf, versions, library, ocrText, addToast]);
+
+  // Merged documents appear in the library once their job finishes.
+  const mergeJobIdsRef = useRef(new Set<string>());
+
+  const handleMerge = useCallback(
+    async (docs: DocumentSummary[]) => {
+      try {
+        const jobId = await jobs.startMergeJob(docs.map((doc) => doc.docId));
+        if (jobId) {
+          mergeJobIdsRef.current.add(jobId);
+          addToast("info", `Merging ${docs.length} documents`);
+        }
+      } catch (err) {
+        addToast("error", (err as Error).message);
+      }
+    },
+    [jobs, addToast]
+  );
+
+  useEffect(() => {
+    for (const job of jobs.jobs) {
+      if (!mergeJobIdsRef.current.has(job.jobId) || job.status === "queued" || job.status === "running") continue;
+      mergeJobIdsRef.current.delete(job.jobId);
+      if (job.status === "completed") {
+        addToast("success", "Merged document added to your library");
+        library.refresh();
+      } else {
+        addToast("error", `Merge failed: ${job.error || "unknown error"}`);
+      }
+    }
+  }, [jobs.jobs, library, addToast]);
+
+  // Split parts are new documents, so they show up in the library rather than the editor.
+  const [splitJob, setSplitJob] = useState<{ jobId: string; docId: string } | null>(null);
+
+  const handleSplit = useCallback(
+    async (pages: string) => {
+      try {
+        const jobId = await jobs.startSplitJob(pages);
+        if (jobId) {
+          setSplitJob({ jobId, docId: currentDocId });
+          addToast("info", `Splitting pages ${pages}`);
+        }
+        return jobId;
+      } catch (err) {
+        addToast("error", (err as Error).message);
+      }
+    },
+    [jobs, currentDocId, addToast]
+  );
+
+  useEffect(() => {
+    if (!splitJob) return;
+    const job = jobs.jobs.find((j) => j.jobId === splitJob.jobId);
+    if (!job || job.status === "queued" || job.status === "running") return;
+    setSplitJob(null);
+    if (job.status === "completed") {
+      addToast("success", "Split documents added to your library");
+      library.refresh();
+    } else {
+      addToast("error", `Split failed: ${job.error || "unknown error"}`);
+    }
+  }, [jobs.jobs, splitJob, library, addToast]);
+
+  // Images are uploaded, then turned into a PDF by a convert job; the result opens in the editor.
+  const [convertJob, setConvertJob] = useState<{ jobId: string; docId: string; title: string } | null>(null);
+
+  const handleConvertImages = useCallback(
+    async (files: File[], options: ConvertOptions) => {
+      try {
+        const uploaded = await uploads.uploadImages(files);
+        if (!uploaded) return;
+        const jobId = await jobs.startConvertJob(uploaded.docId, options);
+        if (jobId) {
+          setConvertJob({ jobId, ...uploaded });
+          addToast("info", `Converting ${files.length === 1 ? files[0].name : `${files.length} images`} to PDF`);
+        }
+      } catch (err) {
+        addToast("error", (err as Error).message);
+      }
+    },
+    [uploads, jobs, addToast]
+  );
+
+  useEffect(() => {
+    if (!convertJob) return;
+    const job = jobs.jobs.find((j) => j.jobId === convertJob.jobId);
+    if (!job || job.status === "queued" || job.status === "running") return;
+    setConvertJob(null);
+    library.refresh();
+    if (job.status === "completed") {
+      handleOpenDocument({ docId: convertJob.docId });
+    } else {
+      addToast("error", `Could not convert ${convertJob.title}: ${job.error || "unknown error"}`);
+    }
+  }, [jobs.jobs, convertJob, library, handleOpenDocument, addToast]);
+
   // Annotation created from canvas drawing (via undo/redo wrapper)
   const handleAnnotationCreated = useCallback(
     (
@@ -138,20 +470,133 @@ export default function App() {
     [undoRedo],
   );
 
+  const handleSelectHit = useCallback(
+    (hit: SearchHit) => {
+      search.setActiveHitId(hit.id);
+      pdf.goToPage(hit.page);
+    },
+    [search, pdf]
+  );
+
+  // One highlight per matched box, undone together.
+  const handleHighlightHits = useCallback(() => {
+    const added = undoRedo.addAnnotations(
+      search.hits.flatMap((hit) =>
+        hit.rects.map((bounds) => ({
+          opType: "highlight" as const,
+          page: hit.page,
+          bounds,
+          payload: { note: `Search: ${search.query}` },
+        }))
+      )
+    );
+    addToast("success", `Added ${added.length} highlight${added.length === 1 ? "" : "s"} for “${search.query}”`);
+    search.clear();
+  }, [undoRedo, search, addToast]);
+
+  const handleSelectCandidate = useCallback(
+    (candidate: SensitiveCandidate) => {
+      sensitive.setActiveId(candidate.id);
+      pdf.goToPage(candidate.page);
+    },
+    [sensitive, pdf]
+  );
+
+  // Accepted findings become ordinary redactions, one per line box, undone together.
+  const handleAcceptCandidates = useCallback(
+    (candidates: SensitiveCandidate[]) => {
+      const added = undoRedo.addAnnotations(
+        candidates.flatMap((candidate) =>
+          candidate.rects.map((bounds) => ({
+            opType: "redaction" as const,
+            page: candidate.page,
+            bounds,
+            payload: { note: `Sensitive data: ${candidate.label ?? candidate.kind}` },
+          }))
+        )
+      );
+      sensitive.resolve(candidates.map((candidate) => candidate.id));
+      addToast("success", `Added ${added.length} redaction${added.length === 1 ? "" : "s"}`);
+    },
+    [undoRedo, sensitive, addToast]
+  );
+
+  const handleRejectCandidate = useCallback((candidate: SensitiveCandidate) => sensitive.resolve([candidate.id]), [sensitive]);
+
+  // Commenters may only touch their own text notes; viewers nothing at all
+  const canModify = useCallback(
+    (opId: string) => {
+      const op = annotations.ops.find((o) => o.opId === opId);
+      return op ? canModifyOperation(docRole, op, auth.email) : false;
+    },
+    [annotations.ops, docRole, auth.email],
+  );
+
   // Annotation erased from canvas (eraser tool)
   const handleAnnotationErased = useCallback(
     (opId: string) => {
+      if (!canModify(opId)) {
+        addToast("info", "You can only remove your own text notes");
+        return;
+      }
       undoRedo.removeAnnotation(opId);
     },
-    [undoRedo],
+    [undoRedo, canModify, addToast],
   );
 
   // Annotation updated in-place (text editing)
   const handleAnnotationUpdated = useCallback(
     (opId: string, updates: { payload?: Record<string, unknown> }) => {
+      if (!canModify(opId)) return;
       undoRedo.updateAnnotation(opId, updates);
     },
-    [undoRedo],
+    [undoRedo, canModify],
+  );
+
+  // Share the open document with a colleague
+  const handleShare = useCallback(
+    async (email: string, role: ShareRole) => {
+      const share = await shares.share(email, role);
+      addToast("success", `Shared with ${share.email} as ${share.role}`);
+    },
+    [shares, addToast],
+  );
+
+  const handleRevokeShare = useCallback(
+    async (email: string) => {
+      try {
+        await shares.revoke(email);
+        addToast("info", `Stopped sharing with ${email}`);
+      } catch (err) {
+        addToast("error", (err as Error).message);
+      }
+    },
+    [shares, addToast],
+  );
+
+  // Comment threads; ThreadView shows failures inline, so errors propagate to it
+  const handleCreateThread = useCallback(
+    async (opId: string, body: string) => {
+      await threads.createThread(opId, body);
+      collab.announceComments();
+    },
+    [threads, collab],
+  );
+
+  const handleReply = useCallback(
+    async (threadId: string, body: string) => {
+      await threads.reply(threadId, body);
+      collab.announceComments();
+    },
+    [threads, collab],
+  );
+
+  const handleSetThreadStatus = useCallback(
+    async (threadId: string, status: ThreadStatus) => {
+      await threads.setStatus(threadId, status);
+      collab.announceComments();
+    },
+    [threads, collab],
   );
 
   // Click feedback toast (throttled to prevent spam)
@@ -187,7 +632,15 @@ export default function App() {
         theme={theme}
         onToggleTheme={toggleTheme}
         onLogout={logout}
+        collaborators={collab.peers}
       />
+      {annotations.conflict && (
+        <SaveConflictBanner
+          conflict={annotations.conflict}
+          localOps={annotations.ops}
+          onResolve={handleResolveConflict}
+        />
+      )}
       <EditorLayout
         sidebar={
           <Sidebar
@@ -195,8 +648,56 @@ export default function App() {
             currentPage={pdf.currentPage}
             onGoToPage={pdf.goToPage}
             onUpload={handleUpload}
+            onConvertImages={handleConvertImages}
             getThumbnail={pdf.getThumbnail}
             isDocLoaded={currentDocId.length > 0}
+            uploadStatus={
+              <UploadProgress
+                progress={uploads.progress}
+                interrupted={uploads.interrupted}
+                onPause={uploads.pause}
+                onResume={uploads.resume}
+                onCancel={uploads.cancel}
+                onDiscard={uploads.discardInterrupted}
+              />
+            }
+            pageEditing={
+              currentDocId && hasRole(docRole, "editor")
+                ? { isApplying: pagesJob?.docId === currentDocId, onApply: handleApplyPageEdits }
+                : undefined
+            }
+            splitting={
+              currentDocId && docRole === "owner"
+                ? { isSplitting: splitJob?.docId === currentDocId, onSplit: handleSplit }
+                : undefined
+            }
+            library={
+              <div className="flex flex-col gap-4">
+                <LibraryPanel
+                  documents={library.documents}
+                  currentDocId={currentDocId}
+                  isLoading={library.isLoading}
+                  error={library.error}
+                  hasMore={library.hasMore}
+                  onOpen={handleOpenDocument}
+                  onRefresh={library.refresh}
+                  onLoadMore={library.loadMore}
+                  onMerge={handleMerge}
+                />
+                <LibraryPanel
+                  title="Shared with me"
+                  emptyMessage="Nothing has been shared with you"
+                  documents={sharedLibrary.documents}
+                  currentDocId={currentDocId}
+                  isLoading={sharedLibrary.isLoading}
+                  error={sharedLibrary.error}
+                  hasMore={sharedLibrary.hasMore}
+                  onOpen={handleOpenDocument}
+                  onRefresh={sharedLibrary.refresh}
+                  onLoadMore={sharedLibrary.loadMore}
+                />
+              </div>
+            }
           />
         }
         toolbar={
@@ -214,6 +715,7 @@ export default function App() {
             onZoomOut={pdf.zoomOut}
             onSave={handleSave}
             onExport={handleExport}
+            onExportSearchable={handleExportSearchable}
             onOCR={handleOCR}
             onClearAnnotations={undoRedo.clearAnnotations}
             onUndo={undoRedo.undo}
@@ -222,6 +724,7 @@ export default function App() {
             canRedo={undoRedo.canRedo}
             isSaving={annotations.isSaving}
             canEdit={canEdit}
+            role={docRole}
           />
         }
         canvas={
@@ -237,18 +740,97 @@ export default function App() {
             onAnnotationErased={handleAnnotationErased}
             onAnnotationUpdated={handleAnnotationUpdated}
             onClickFeedback={handleClickFeedback}
+            remotePeers={collab.peers}
+            onCursorMove={collab.sendCursor}
+            ocrLines={ocrText.ocr?.pages.find((page) => page.pageNumber === pdf.currentPage)?.lines}
+            pageSize={pdf.pageSize}
+            searchHits={search.hits}
+            activeHitId={search.activeHitId}
+            proposedRedactions={sensitive.candidates}
+            activeProposalId={sensitive.activeId}
           />
         }
         rightPanel={
           <div className="flex h-full flex-col">
+            {currentDocId && (
+              <div className="max-h-80 shrink-0 overflow-y-auto border-b border-slate-200 dark:border-slate-700">
+                <SearchPanel
+                  query={search.query}
+                  hits={search.hits}
+                  activeHitId={search.activeHitId}
+                  isSearching={search.isSearching}
+                  error={search.error}
+                  onSearch={search.search}
+                  onSelectHit={handleSelectHit}
+                  onClear={search.clear}
+                  onHighlightAll={canEdit && canUseTool(docRole, "highlight") ? handleHighlightHits : undefined}
+                />
+              </div>
+            )}
+            {currentDocId && canEdit && canUseTool(docRole, "redaction") && (
+              <div className="max-h-80 shrink-0 overflow-y-auto border-b border-slate-200 dark:border-slate-700">
+                <SensitiveDataPanel
+                  scan={sensitive.scan}
+                  candidates={sensitive.candidates}
+                  activeId={sensitive.activeId}
+                  isScanning={isScanningSensitive || sensitive.isLoading}
+                  error={sensitive.error}
+                  onScan={handleScanSensitive}
+                  onSelect={handleSelectCandidate}
+                  onAccept={handleAcceptCandidates}
+                  onReject={handleRejectCandidate}
+                />
+              </div>
+            )}
             <div className="flex-1 overflow-y-auto border-b border-slate-200 dark:border-slate-700">
               <AnnotationPanel
                 annotations={annotations.ops}
                 onRemove={undoRedo.removeAnnotation}
+                canRemove={(op) => canModifyOperation(docRole, op, auth.email)}
+                comments={{
+                  threads: threads.threads,
+                  participants: threads.participants,
+                  currentUser: auth.email,
+                  canComment: hasRole(docRole, "commenter"),
+                  onCreate: handleCreateThread,
+                  onReply: handleReply,
+                  onSetStatus: handleSetThreadStatus,
+                }}
+              />
+            </div>
+            <div className="flex-1 overflow-y-auto border-b border-slate-200 dark:border-slate-700">
+              <VersionHistoryPanel
+                versions={versions.versions}
+                currentVersionId={versions.currentVersionId}
+                error={versions.error}
+                getVersion={versions.getVersion}
+                onRestore={handleRestoreVersion}
+                canRestore={hasRole(docRole, "editor")}
               />
             </div>
+            {docRole === "owner" && currentDocId && (
+              <div className="flex-1 overflow-y-auto border-b border-slate-200 dark:border-slate-700">
+                <SharePanel
+                  shares={shares.shares}
+                  error={shares.error}
+                  onShare={handleShare}
+                  onRevoke={handleRevokeShare}
+                />
+              </div>
+            )}
+            {currentDocId && (
+              <div ref={ocrPanelRef} className="flex-1 overflow-y-auto border-b border-slate-200 dark:border-slate-700">
+                <OcrTextPanel
+                  ocr={ocrText.ocr}
+                  currentPage={pdf.currentPage}
+                  isLoading={ocrText.isLoading}
+                  error={ocrText.error}
+                  onCopy={handleCopyText}
+                />
+              </div>
+            )}
             <div className="flex-1 overflow-y-auto">
-              <JobsPanel jobs={jobs.jobs} />
+              <JobsPanel jobs={jobs.jobs} onShowOcrText={handleShowOcrText} />
             </div>
           </div>
         }
@@ -152,6 +152,20 @@ describe('Highlight tool', () => {
     );
   });
 
+  it('5b. A perfectly horizontal drag still produces a non-zero height', () => {
+    const props = { ...defaultProps, activeTool: 'shape' as const };
+    const { container } = render(<AnnotationOverlay {...props} />);
+    const svg = getSvg(container);
+
+    drag(svg, { x: 50, y: 80 }, { x: 200, y: 80 });
+
+    expect(props.onAnnotationCreated).toHaveBeenCalledWith(
+      'shape',
+      1,
+      expect.objectContaining({ w: 150, h: 1 }),
+    );
+  });
+
   it('6. onAnnotationCreated called with opType="highlight"', () => {
     const props = { ...defaultProps, activeTool: 'highlight' as const };
     const { container } = render(<AnnotationOverlay {...props} />);
@@ -1041,4 +1041,55 @@ describe("AnnotationOverlay", () => {
       expect(rect?.getAttribute("height")).toBe("200"); // 400 * 0.5
     });
   });
+
+  describe("Search hits", () => {
+    const hits = [
+      { id: "1:0", page: 1, snippet: { before: "", match: "total", after: "" }, rects: [{ x: 10, y: 20, w: 30, h: 10 }] },
+      { id: "1:9", page: 1, snippet: { before: "", match: "total", after: "" }, rects: [{ x: 50, y: 20, w: 30, h: 10 }] },
+      { id: "2:0", page: 2, snippet: { before: "", match: "total", after: "" }, rects: [{ x: 10, y: 20, w: 30, h: 10 }] },
+    ];
+
+    it("draws the current page's hits scaled by zoom, marking the active one", () => {
+      const { container } = render(
+        <AnnotationOverlay {...defaultProps} zoom={2} searchHits={hits} activeHitId="1:9" />,
+      );
+
+      const rects = container.querySelectorAll("rect[data-search-hit]");
+      expect([...rects].map((r) => r.getAttribute("data-search-hit"))).toEqual(["1:0", "1:9"]);
+      expect(rects[0].getAttribute("x")).toBe("20");
+      expect(rects[0].getAttribute("width")).toBe("60");
+      expect(rects[0].getAttribute("stroke")).toBe("none");
+      expect(rects[1].getAttribute("stroke")).toBe("#f97316");
+    });
+  });
+
+  describe("Proposed redactions", () => {
+    const proposals = [
+      { id: "p1-1", kind: "ssn" as const, label: null, text: "123-45-6789", page: 1, source: "text" as const, rects: [{ x: 10, y: 20, w: 30, h: 10 }] },
+      {
+        id: "p1-2",
+        kind: "term" as const,
+        label: "Jane Doe",
+        text: "Jane Doe",
+        page: 1,
+        source: "ocr" as const,
+        rects: [{ x: 80, y: 20, w: 20, h: 10 }, { x: 10, y: 35, w: 15, h: 10 }],
+      },
+      { id: "p2-1", kind: "email" as const, label: null, text: "a@b.co", page: 2, source: "text" as const, rects: [{ x: 10, y: 20, w: 30, h: 10 }] },
+    ];
+
+    it("outlines the current page's findings without redacting them", () => {
+      const { container } = render(
+        <AnnotationOverlay {...defaultProps} zoom={2} proposedRedactions={proposals} activeProposalId="p1-2" />,
+      );
+
+      const rects = container.querySelectorAll("rect[data-proposed-redaction]");
+      expect([...rects].map((r) => r.getAttribute("data-proposed-redaction"))).toEqual(["p1-1", "p1-2", "p1-2"]);
+      expect(rects[0].getAttribute("x")).toBe("20");
+      expect(rects[0].getAttribute("width")).toBe("60");
+      expect(rects[0].getAttribute("stroke-dasharray")).toBe("4 2");
+      expect(rects[0].getAttribute("stroke-width")).toBe("1");
+      expect(rects[1].getAttribute("stroke-width")).toBe("2");
+    });
+  });
 });
@@ -2,7 +2,8 @@ import React from "react";
 import { useDrawing } from "../../hooks/useDrawing";
 import { TextEditor } from "./TextEditor";
 import { cn } from "../../lib/cn";
-import type { AnnotationOperation, AnnotationTool } from "../../types";
+import type { SearchHit } from "../../lib/search";
+import type { AnnotationOperation, AnnotationTool, SensitiveCandidate } from "../../types";
 
 interface AnnotationOverlayProps {
   annotations: AnnotationOperation[];
@@ -18,6 +19,12 @@ interface AnnotationOverlayProps {
   onAnnotationErased?: (opId: string) => void;
   onAnnotationUpdated?: (opId: string, updates: { payload?: Record<string, unknown> }) => void;
   onClickFeedback?: (message: string) => void;
+  // Search matches, drawn until the search is cleared; they are not annotations.
+  searchHits?: SearchHit[];
+  activeHitId?: string | null;
+  // Sensitive data findings awaiting review; outlined only, nothing is redacted until accepted.
+  proposedRedactions?: SensitiveCandidate[];
+  activeProposalId?: string | null;
 }
 
 function getPreviewStyle(tool: AnnotationTool) {
@@ -114,6 +121,10 @@ export function AnnotationOverlay({
   onAnnotationErased,
   onAnnotationUpdated,
   onClickFeedback,
+  searchHits = [],
+  activeHitId = null,
+  proposedRedactions = [],
+  activeProposalId = null,
 }: AnnotationOverlayProps) {
   const {
     svgRef,
@@ -153,6 +164,45 @@ export function AnnotationOverlay({
           />
         ))}
 
+        {searchHits
+          .filter((hit) => hit.page === currentPage)
+          .map((hit) =>
+            hit.rects.map((rect, index) => (
+              <rect
+                key={`${hit.id}-${index}`}
+                data-search-hit={hit.id}
+                x={rect.x * zoom}
+                y={rect.y * zoom}
+                width={rect.w * zoom}
+                height={rect.h * zoom}
+                fill={hit.id === activeHitId ? "rgba(249, 115, 22, 0.35)" : "rgba(250, 204, 21, 0.35)"}
+                stroke={hit.id === activeHitId ? "#f97316" : "none"}
+                strokeWidth={1.5}
+                pointerEvents="none"
+              />
+            ))
+          )}
+
+        {proposedRedactions
+          .filter((candidate) => candidate.page === currentPage)
+          .map((candidate) =>
+            candidate.rects.map((rect, index) => (
+              <rect
+                key={`${candidate.id}-${index}`}
+                data-proposed-redaction={candidate.id}
+                x={rect.x * zoom}
+                y={rect.y * zoom}
+                width={rect.w * zoom}
+                height={rect.h * zoom}
+                fill={candidate.id === activeProposalId ? "rgba(239, 68, 68, 0.25)" : "rgba(239, 68, 68, 0.08)"}
+                stroke="#ef4444"
+                strokeWidth={candidate.id === activeProposalId ? 2 : 1}
+                strokeDasharray="4 2"
+                pointerEvents="none"
+              />
+            ))
+          )}
+
         {isDrawing && previewRect && activeTool !== "ink" && (
           <rect
             x={previewRect.x * zoom}
@@ -2,7 +2,7 @@ import { describe, it, expect, vi } from 'vitest';
 import { render, screen } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import { AnnotationPanel } from './AnnotationPanel';
-import type { AnnotationOperation } from '../../types';
+import type { AnnotationOperation, CommentThread } from '../../types';
 
 // ---------------------------------------------------------------------------
 // Fixtures
@@ -118,4 +118,98 @@ describe('AnnotationPanel', () => {
     // "No annotations yet" must not be visible
     expect(screen.queryByText('No annotations yet')).not.toBeInTheDocument();
   });
+
+  it('hides the remove button on annotations the caller may not change', () => {
+    const annotations = [
+      makeAnnotation({ opId: 'op-1', opType: 'highlight' }),
+      makeAnnotation({ opId: 'op-2', opType: 'text' }),
+    ];
+
+    render(<AnnotationPanel annotations={annotations} onRemove={vi.fn()} canRemove={(op) => op.opType === 'text'} />);
+
+    expect(screen.getAllByRole('button')).toHaveLength(1);
+  });
+
+  it('marks each annotation with its author\'s color', () => {
+    const annotations = [
+      makeAnnotation({ opId: 'a', author: 'alice@example.com' }),
+      makeAnnotation({ opId: 'b', author: 'alice@example.com' }),
+    ];
+
+    render(<AnnotationPanel annotations={annotations} onRemove={vi.fn()} />);
+
+    const dots = screen.getAllByTestId('author-color');
+    expect(dots).toHaveLength(2);
+    expect(dots[0].style.backgroundColor).not.toBe('');
+    expect(dots[0].style.backgroundColor).toBe(dots[1].style.backgroundColor);
+  });
+
+  describe('discussions', () => {
+    const thread = (opId: string, status: CommentThread['status']): CommentThread => ({
+      threadId: `t-${opId}`,
+      opId,
+      status,
+      createdBy: 'bob@example.com',
+      createdAt: null,
+      updatedAt: null,
+      resolvedBy: null,
+      resolvedAt: null,
+      comments: [{ commentId: `c-${opId}`, author: 'bob@example.com', body: `About ${opId}`, mentions: [], createdAt: null }],
+    });
+
+    const comments = {
+      threads: [thread('op-1', 'open'), thread('op-2', 'resolved')],
+      participants: ['me@example.com', 'bob@example.com'],
+      currentUser: 'me@example.com',
+      canComment: true,
+      onCreate: vi.fn(),
+      onReply: vi.fn(),
+      onSetStatus: vi.fn(),
+    };
+
+    const annotations = [
+      makeAnnotation({ opId: 'op-1', page: 1 }),
+      makeAnnotation({ opId: 'op-2', page: 2 }),
+      makeAnnotation({ opId: 'op-3', page: 3 }),
+    ];
+
+    it('filters annotations by open or resolved discussion', async () => {
+      const user = userEvent.setup();
+      render(<AnnotationPanel annotations={annotations} onRemove={vi.fn()} comments={comments} />);
+
+      expect(screen.getByText('p.3')).toBeInTheDocument();
+
+      await user.click(screen.getByRole('button', { name: 'Open' }));
+      expect(screen.getByText('p.1')).toBeInTheDocument();
+      expect(screen.queryByText('p.2')).not.toBeInTheDocument();
+      expect(screen.queryByText('p.3')).not.toBeInTheDocument();
+
+      await user.click(screen.getByRole('button', { name: 'Resolved' }));
+      expect(screen.getByText('p.2')).toBeInTheDocument();
+      expect(screen.queryByText('p.1')).not.toBeInTheDocument();
+    });
+
+    it('explains an empty filter', async () => {
+      const user = userEvent.setup();
+      render(<AnnotationPanel annotations={annotations} onRemove={vi.fn()} comments={{ ...comments, threads: [] }} />);
+
+      await user.click(screen.getByRole('button', { name: 'Resolved' }));
+      expect(screen.getByText('No resolved discussions')).toBeInTheDocument();
+    });
+
+    it('expands an annotation\'s discussion', async () => {
+      const user = userEvent.setup();
+      render(<AnnotationPanel annotations={annotations.slice(0, 1)} onRemove={vi.fn()} comments={comments} />);
+
+      expect(screen.queryByText('About op-1')).not.toBeInTheDocument();
+      await user.click(screen.getByRole('button', { name: 'Show discussion' }));
+      expect(screen.getByText('About op-1')).toBeInTheDocument();
+    });
+
+    it('shows no discussion controls without comments', () => {
+      render(<AnnotationPanel annotations={annotations} onRemove={vi.fn()} />);
+      expect(screen.queryByRole('group', { name: 'Filter by discussion' })).not.toBeInTheDocument();
+      expect(screen.queryByRole('button', { name: 'Show discussion' })).not.toBeInTheDocument();
+    });
+  });
 });
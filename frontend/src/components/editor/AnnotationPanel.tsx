@@ -1,11 +1,43 @@
+import { useState } from "react";
 import { Button } from "../ui/Button";
 import { Badge } from "../ui/Badge";
-import { Trash2, MessageSquare } from "lucide-react";
-import type { AnnotationOperation } from "../../types";
+import { ThreadView } from "./ThreadView";
+import { Trash2, MessageSquare, MessagesSquare } from "lucide-react";
+import { cn } from "../../lib/cn";
+import { colorForAuthor } from "../../lib/collab";
+import type { AnnotationOperation, CommentThread, ThreadStatus } from "../../types";
+
+type ThreadFilter = "all" | ThreadStatus;
+
+export interface AnnotationComments {
+  threads: CommentThread[];
+  participants: string[];
+  currentUser: string;
+  canComment: boolean;
+  onCreate: (opId: string, body: string) => Promise<unknown>;
+  onReply: (threadId: string, body: string) => Promise<unknown>;
+  onSetStatus: (threadId: string, status: ThreadStatus) => Promise<unknown>;
+}
 
 interface AnnotationPanelProps {
   annotations: AnnotationOperation[];
   onRemove: (opId: string) => void;
+  // Hides the remove button on annotations the caller's role does not let them change.
+  canRemove?: (op: AnnotationOperation) => boolean;
+  // Enables discussion threads on each annotation and the open/resolved filter.
+  comments?: AnnotationComments;
+}
+
+const FILTERS: { value: ThreadFilter; label: string }[] = [
+  { value: "all", label: "All" },
+  { value: "open", label: "Open" },
+  { value: "resolved", label: "Resolved" },
+];
+
+// The thread shown for an annotation: the open one if there is one, otherwise the latest.
+function threadFor(threads: CommentThread[], opId: string): CommentThread | null {
+  const forOp = threads.filter((t) => t.opId === opId);
+  return forOp.find((t) => t.status === "open") ?? forOp[forOp.length - 1] ?? null;
 }
 
 const opColors: Record<string, string> = {
@@ -16,7 +48,15 @@ const opColors: Record<string, string> = {
   redaction: "bg-red-400/20 border-red-400",
 };
 
-export function AnnotationPanel({ annotations, onRemove }: AnnotationPanelProps) {
+export function AnnotationPanel({ annotations, onRemove, canRemove = () => true, comments }: AnnotationPanelProps) {
+  const [filter, setFilter] = useState<ThreadFilter>("all");
+  const [expandedOpId, setExpandedOpId] = useState<string | null>(null);
+
+  const visible =
+    comments && filter !== "all"
+      ? annotations.filter((op) => threadFor(comments.threads, op.opId)?.status === filter)
+      : annotations;
+
   return (
     <div className="flex flex-col">
       <div className="flex items-center justify-between border-b border-slate-200 px-4 py-3 dark:border-slate-700">
@@ -27,43 +67,104 @@ export function AnnotationPanel({ annotations, onRemove }: AnnotationPanelProps)
         <Badge variant="default">{annotations.length}</Badge>
       </div>
 
+      {comments && (
+        <div role="group" aria-label="Filter by discussion" className="flex gap-1 border-b border-slate-200 px-2 py-1.5 dark:border-slate-700">
+          {FILTERS.map((f) => (
+            <button
+              key={f.value}
+              type="button"
+              aria-pressed={filter === f.value}
+              onClick={() => setFilter(f.value)}
+              className={cn(
+                "rounded-md px-2 py-0.5 text-xs transition-colors",
+                filter === f.value
+                  ? "bg-brand-100 font-medium text-brand-700 dark:bg-brand-900 dark:text-brand-300"
+                  : "text-slate-500 hover:bg-slate-100 dark:text-slate-400 dark:hover:bg-slate-800"
+              )}
+            >
+              {f.label}
+            </button>
+          ))}
+        </div>
+      )}
+
       <div className="flex-1 overflow-y-auto">
         {annotations.length === 0 ? (
           <div className="flex flex-col items-center justify-center py-12 text-center px-4">
             <p className="text-sm text-slate-400">No annotations yet</p>
             <p className="mt-1 text-xs text-slate-400">Use the toolbar to add annotations</p>
           </div>
+        ) : visible.length === 0 ? (
+          <p className="py-12 text-center text-sm text-slate-400">No {filter} discussions</p>
         ) : (
           <div className="flex flex-col gap-1 p-2">
-            {annotations.map((op) => (
-              <div
-                key={op.opId}
-                className="group flex items-start gap-3 rounded-lg border border-slate-100 p-3 hover:bg-slate-50 transition-colors dark:border-slate-800 dark:hover:bg-slate-800/50"
-              >
-                <div className={`mt-0.5 h-3 w-3 shrink-0 rounded-full border-2 ${opColors[op.opType] || "border-slate-400"}`} />
-                <div className="flex-1 min-w-0">
-                  <div className="flex items-center gap-2">
-                    <span className="text-sm font-medium capitalize text-slate-700 dark:text-slate-300">
-                      {op.opType}
-                    </span>
-                    <span className="text-xs text-slate-400">
-                      p.{op.page}
-                    </span>
+            {visible.map((op) => {
+              const thread = comments ? threadFor(comments.threads, op.opId) : null;
+              const isExpanded = expandedOpId === op.opId;
+              return (
+                <div
+                  key={op.opId}
+                  className="group rounded-lg border border-slate-100 p-3 hover:bg-slate-50 transition-colors dark:border-slate-800 dark:hover:bg-slate-800/50"
+                >
+                  <div className="flex items-start gap-3">
+                    <div className={`mt-0.5 h-3 w-3 shrink-0 rounded-full border-2 ${opColors[op.opType] || "border-slate-400"}`} />
+                    <div className="flex-1 min-w-0">
+                      <div className="flex items-center gap-2">
+                        <span className="text-sm font-medium capitalize text-slate-700 dark:text-slate-300">
+                          {op.opType}
+                        </span>
+                        <span className="text-xs text-slate-400">
+                          p.{op.page}
+                        </span>
+                      </div>
+                      <p className="mt-0.5 flex items-center gap-1 truncate text-xs text-slate-500 dark:text-slate-400">
+                        <span
+                          data-testid="author-color"
+                          className="inline-block h-2 w-2 shrink-0 rounded-full"
+                          style={{ backgroundColor: colorForAuthor(op.author) }}
+                        />
+                        {op.author} &middot; {new Date(op.ts).toLocaleTimeString()}
+                      </p>
+                    </div>
+                    {comments && (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        aria-label={isExpanded ? "Hide discussion" : "Show discussion"}
+                        aria-expanded={isExpanded}
+                        onClick={() => setExpandedOpId(isExpanded ? null : op.opId)}
+                        className={cn("!h-7 !px-1.5", thread?.status === "resolved" && "text-green-600 dark:text-green-400")}
+                      >
+                        <MessagesSquare className="h-3.5 w-3.5" />
+                        {thread && <span>{thread.comments.length}</span>}
+                      </Button>
+                    )}
+                    {canRemove(op) && (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => onRemove(op.opId)}
+                        className="opacity-0 group-hover:opacity-100 transition-opacity !h-7 !w-7 !p-0"
+                      >
+                        <Trash2 className="h-3.5 w-3.5 text-red-500" />
+                      </Button>
+                    )}
                   </div>
-                  <p className="mt-0.5 truncate text-xs text-slate-500 dark:text-slate-400">
-                    {op.author} &middot; {new Date(op.ts).toLocaleTimeString()}
-                  </p>
+                  {comments && isExpanded && (
+                    <ThreadView
+                      opId={op.opId}
+                      thread={thread}
+                      participants={comments.participants}
+                      currentUser={comments.currentUser}
+                      canComment={comments.canComment}
+                      onCreate={comments.onCreate}
+                      onReply={comments.onReply}
+                      onSetStatus={comments.onSetStatus}
+                    />
+                  )}
                 </div>
-                <Button
-                  variant="ghost"
-                  size="sm"
-                  onClick={() => onRemove(op.opId)}
-                  className="opacity-0 group-hover:opacity-100 transition-opacity !h-7 !w-7 !p-0"
-                >
-                  <Trash2 className="h-3.5 w-3.5 text-red-500" />
-                </Button>
-              </div>
-            ))}
+              );
+            })}
           </div>
         )}
       </div>
@@ -1,5 +1,6 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi } from 'vitest';
 import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
 import { JobsPanel } from './JobsPanel';
 import type { JobResponse } from '../../types';
 
@@ -152,4 +153,33 @@ describe('JobsPanel', () => {
     render(<JobsPanel jobs={[]} />);
     expect(screen.getByText('0')).toBeInTheDocument();
   });
+
+  it('shows progress for a job working through several inputs', () => {
+    render(<JobsPanel jobs={[makeJob({ type: 'merge', status: 'running', progress: { done: 1, total: 3 } })]} />);
+
+    expect(screen.getByRole('progressbar')).toHaveAttribute('aria-valuenow', '1');
+    expect(screen.getByText('1 of 3')).toBeInTheDocument();
+  });
+
+  it('hides progress once the job has completed', () => {
+    render(<JobsPanel jobs={[makeJob({ type: 'merge', status: 'completed', progress: { done: 3, total: 3 } })]} />);
+
+    expect(screen.queryByRole('progressbar')).not.toBeInTheDocument();
+  });
+
+  it('offers to show the text of a completed OCR job', async () => {
+    const user = userEvent.setup();
+    const onShowOcrText = vi.fn();
+    render(
+      <JobsPanel
+        jobs={[makeJob({ jobId: 'ocr-done', type: 'ocr', status: 'completed' }), makeJob({ jobId: 'ocr-running', type: 'ocr', status: 'running' }), makeJob({ status: 'completed' })]}
+        onShowOcrText={onShowOcrText}
+      />
+    );
+
+    const buttons = screen.getAllByRole('button', { name: /show text/i });
+    expect(buttons).toHaveLength(1);
+    await user.click(buttons[0]);
+    expect(onShowOcrText).toHaveBeenCalledTimes(1);
+  });
 });
@@ -1,9 +1,11 @@
 import { Badge } from "../ui/Badge";
-import { Briefcase, ExternalLink, Loader2 } from "lucide-react";
+import { Briefcase, ExternalLink, FileText, Loader2 } from "lucide-react";
 import type { JobResponse } from "../../types";
 
 interface JobsPanelProps {
   jobs: JobResponse[];
+  // Shows the text of a completed OCR job in the viewer instead of only linking its JSON.
+  onShowOcrText?: () => void;
 }
 
 function statusVariant(status: string) {
@@ -16,7 +18,7 @@ function statusVariant(status: string) {
   }
 }
 
-export function JobsPanel({ jobs }: JobsPanelProps) {
+export function JobsPanel({ jobs, onShowOcrText }: JobsPanelProps) {
   return (
     <div className="flex flex-col">
       <div className="flex items-center justify-between border-b border-slate-200 px-4 py-3 dark:border-slate-700">
@@ -56,6 +58,25 @@ export function JobsPanel({ jobs }: JobsPanelProps) {
                 <p className="mt-1 truncate text-xs text-slate-400 font-mono">
                   {job.jobId}
                 </p>
+                {job.progress && job.status !== "completed" && (
+                  <div className="mt-2 flex items-center gap-2">
+                    <div
+                      role="progressbar"
+                      aria-valuemin={0}
+                      aria-valuemax={job.progress.total}
+                      aria-valuenow={job.progress.done}
+                      className="h-1.5 flex-1 overflow-hidden rounded-full bg-slate-100 dark:bg-slate-800"
+                    >
+                      <div
+                        className="h-full rounded-full bg-brand-500 transition-all"
+                        style={{ width: `${(job.progress.done / job.progress.total) * 100}%` }}
+                      />
+                    </div>
+                    <span className="text-xs text-slate-400">
+                      {job.progress.done} of {job.progress.total}
+                    </span>
+                  </div>
+                )}
                 {job.resultUri && (
                   <a
                     href={job.resultUri}
@@ -67,6 +88,16 @@ export function JobsPanel({ jobs }: JobsPanelProps) {
                     Download result
                   </a>
                 )}
+                {onShowOcrText && job.type === "ocr" && job.status === "completed" && (
+                  <button
+                    type="button"
+                    onClick={onShowOcrText}
+                    className="mt-2 ml-3 inline-flex items-center gap-1 text-xs font-medium text-brand-600 hover:text-brand-700 dark:text-brand-400"
+                  >
+                    <FileText className="h-3 w-3" />
+                    Show text
+                  </button>
+                )}
                 {job.error && (
                   <p className="mt-2 text-xs text-red-500">{job.error}</p>
                 )}
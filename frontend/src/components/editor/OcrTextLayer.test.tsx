@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import { OcrTextLayer } from './OcrTextLayer';
+import type { OcrLine } from '../../types';
+
+function line(content: string, x: number, y: number, w: number, h: number): OcrLine {
+  return { content, polygon: [{ x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h }] };
+}
+
+const pageSize = { width: 600, height: 800 };
+
+describe('OcrTextLayer', () => {
+  it('places each line at its box on the page, scaled by zoom', () => {
+    render(<OcrTextLayer lines={[line('Invoice 42', 0.125, 0.25, 0.5, 0.0625)]} pageSize={pageSize} zoom={2} selectable />);
+
+    const svg = screen.getByLabelText('Recognised text');
+    expect(svg.getAttribute('viewBox')).toBe('0 0 1200 1600');
+    const text = screen.getByText('Invoice 42');
+    expect(text.getAttribute('x')).toBe('150');
+    expect(text.getAttribute('y')).toBe('500');
+    expect(text.getAttribute('font-size')).toBe('100');
+    expect(text.getAttribute('textLength')).toBe('600');
+    expect(text.getAttribute('fill')).toBe('transparent');
+    expect(text.getAttribute('transform')).toBeNull();
+  });
+
+  it('rotates lines that run at an angle', () => {
+    const turned: OcrLine = {
+      content: 'Sideways',
+      polygon: [{ x: 0.5, y: 0.5 }, { x: 0.5, y: 0.75 }, { x: 0.45, y: 0.75 }, { x: 0.45, y: 0.5 }],
+    };
+    render(<OcrTextLayer lines={[turned]} pageSize={pageSize} zoom={1} selectable />);
+
+    expect(screen.getByText('Sideways').getAttribute('transform')).toBe('rotate(90 270 400)');
+  });
+
+  it('only takes pointer events when selectable', () => {
+    const { rerender } = render(<OcrTextLayer lines={[line('Total', 0.1, 0.1, 0.2, 0.02)]} pageSize={pageSize} zoom={1} selectable />);
+    expect(screen.getByText('Total').getAttribute('pointer-events')).toBe('auto');
+
+    rerender(<OcrTextLayer lines={[line('Total', 0.1, 0.1, 0.2, 0.02)]} pageSize={pageSize} zoom={1} selectable={false} />);
+    expect(screen.getByText('Total').getAttribute('pointer-events')).toBe('none');
+  });
+
+  it('skips lines without an area', () => {
+    render(<OcrTextLayer lines={[line('Flat', 0.1, 0.1, 0.2, 0)]} pageSize={pageSize} zoom={1} selectable />);
+    expect(screen.queryByText('Flat')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,50 @@
+import type { OcrLine } from "../../types";
+
+interface OcrTextLayerProps {
+  lines: OcrLine[];
+  // Page size in PDF points at zoom 1, as displayed.
+  pageSize: { width: number; height: number };
+  zoom: number;
+  // When false the text is still laid out but clicks go through to the annotations.
+  selectable: boolean;
+}
+
+// Transparent text over the page image, one element per OCR line, stretched to the
+// line's box so a browser selection lines up with what the scan shows.
+export function OcrTextLayer({ lines, pageSize, zoom, selectable }: OcrTextLayerProps) {
+  const width = pageSize.width * zoom;
+  const height = pageSize.height * zoom;
+
+  return (
+    <svg
+      aria-label="Recognised text"
+      className="ocr-text-layer absolute inset-0 z-30 h-full w-full"
+      viewBox={`0 0 ${width} ${height}`}
+      pointerEvents="none"
+    >
+      {lines.map((line, index) => {
+        const [topLeft, topRight, , bottomLeft] = line.polygon.map((p) => ({ x: p.x * width, y: p.y * height }));
+        const lineWidth = Math.hypot(topRight.x - topLeft.x, topRight.y - topLeft.y);
+        const lineHeight = Math.hypot(bottomLeft.x - topLeft.x, bottomLeft.y - topLeft.y);
+        if (!(lineWidth > 0) || !(lineHeight > 0)) return null;
+        const angle = (Math.atan2(topRight.y - topLeft.y, topRight.x - topLeft.x) * 180) / Math.PI;
+        return (
+          <text
+            key={index}
+            x={bottomLeft.x}
+            y={bottomLeft.y}
+            fontSize={lineHeight}
+            textLength={lineWidth}
+            lengthAdjust="spacingAndGlyphs"
+            transform={angle ? `rotate(${angle} ${bottomLeft.x} ${bottomLeft.y})` : undefined}
+            fill="transparent"
+            pointerEvents={selectable ? "auto" : "none"}
+            className={selectable ? "cursor-text select-text" : "select-none"}
+          >
+            {line.content}
+          </text>
+        );
+      })}
+    </svg>
+  );
+}
@@ -0,0 +1,63 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { OcrTextPanel } from './OcrTextPanel';
+import type { OcrTextResponse } from '../../types';
+
+const ocr: OcrTextResponse = {
+  docId: 'doc-1',
+  jobId: 'ocr-1',
+  analyzedAt: '2026-01-02T03:04:05.000Z',
+  pages: [
+    { pageNumber: 1, text: 'Invoice 42\nTotal $10', lines: [] },
+    { pageNumber: 3, text: 'Thank you', lines: [] },
+  ],
+};
+
+describe('OcrTextPanel', () => {
+  it('asks for OCR when the document has no text yet', () => {
+    render(<OcrTextPanel ocr={null} currentPage={1} isLoading={false} error="" onCopy={vi.fn()} />);
+
+    expect(screen.getByText('No text yet')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /copy/i })).not.toBeInTheDocument();
+  });
+
+  it('shows the text of the current page', () => {
+    render(<OcrTextPanel ocr={ocr} currentPage={1} isLoading={false} error="" onCopy={vi.fn()} />);
+
+    expect(screen.getByLabelText('Text of page 1')).toHaveTextContent('Invoice 42 Total $10');
+    expect(screen.getByText('p.1')).toBeInTheDocument();
+  });
+
+  it('says so when OCR found nothing on the current page', () => {
+    render(<OcrTextPanel ocr={ocr} currentPage={2} isLoading={false} error="" onCopy={vi.fn()} />);
+
+    expect(screen.getByText('No text found on page 2')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /copy page/i })).toBeDisabled();
+  });
+
+  it('explains a page that was skipped for having no image', () => {
+    render(
+      <OcrTextPanel ocr={{ ...ocr, pagesWithoutImages: [2] }} currentPage={2} isLoading={false} error="" onCopy={vi.fn()} />
+    );
+
+    expect(screen.getByText(/Page 2 has no scanned image to read/)).toBeInTheDocument();
+    expect(screen.queryByText('No text found on page 2')).not.toBeInTheDocument();
+  });
+
+  it('copies the page or the whole document', async () => {
+    const user = userEvent.setup();
+    const onCopy = vi.fn();
+    render(<OcrTextPanel ocr={ocr} currentPage={3} isLoading={false} error="" onCopy={onCopy} />);
+
+    await user.click(screen.getByRole('button', { name: /copy page/i }));
+    await user.click(screen.getByRole('button', { name: /copy all/i }));
+
+    expect(onCopy.mock.calls).toEqual([['Thank you'], ['Invoice 42\nTotal $10\n\nThank you']]);
+  });
+
+  it('shows a load error', () => {
+    render(<OcrTextPanel ocr={null} currentPage={1} isLoading={false} error="Request failed (500)" onCopy={vi.fn()} />);
+    expect(screen.getByText('Request failed (500)')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,71 @@
+import { Button } from "../ui/Button";
+import { Badge } from "../ui/Badge";
+import { Copy, FileText, Loader2 } from "lucide-react";
+import type { OcrTextResponse } from "../../types";
+
+interface OcrTextPanelProps {
+  ocr: OcrTextResponse | null;
+  currentPage: number;
+  isLoading: boolean;
+  error: string;
+  onCopy: (text: string) => void;
+}
+
+export function OcrTextPanel({ ocr, currentPage, isLoading, error, onCopy }: OcrTextPanelProps) {
+  const page = ocr?.pages.find((p) => p.pageNumber === currentPage);
+  const allText = ocr ? ocr.pages.map((p) => p.text).filter(Boolean).join("\n\n") : "";
+  const withoutImages = ocr?.pagesWithoutImages?.includes(currentPage) ?? false;
+
+  return (
+    <div className="flex flex-col">
+      <div className="flex items-center justify-between border-b border-slate-200 px-4 py-3 dark:border-slate-700">
+        <div className="flex items-center gap-2">
+          <FileText className="h-4 w-4 text-slate-500" />
+          <h3 className="text-sm font-semibold text-slate-700 dark:text-slate-300">Text</h3>
+          {isLoading && <Loader2 className="h-3 w-3 animate-spin text-slate-400" />}
+        </div>
+        <Badge variant="default">p.{currentPage}</Badge>
+      </div>
+
+      {error && <p className="px-4 pt-2 text-xs text-red-500">{error}</p>}
+
+      {!ocr ? (
+        <div className="flex flex-col items-center justify-center py-12 text-center px-4">
+          <p className="text-sm text-slate-400">No text yet</p>
+          <p className="mt-1 text-xs text-slate-400">Run OCR to read the text on each page</p>
+        </div>
+      ) : (
+        <div className="flex flex-col gap-2 p-3">
+          {page && page.text ? (
+            <pre
+              aria-label={`Text of page ${currentPage}`}
+              className="max-h-64 overflow-y-auto whitespace-pre-wrap rounded-lg border border-slate-100 p-2 font-sans text-xs text-slate-700 select-text dark:border-slate-800 dark:text-slate-300"
+            >
+              {page.text}
+            </pre>
+          ) : withoutImages ? (
+            <p className="text-xs text-amber-600 dark:text-amber-400">
+              Page {currentPage} has no scanned image to read; this OCR setup reads images only, not vector text
+            </p>
+          ) : (
+            <p className="text-xs text-slate-400">No text found on page {currentPage}</p>
+          )}
+          <div className="flex items-center gap-2">
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => page && onCopy(page.text)}
+              disabled={!page?.text}
+              icon={<Copy className="h-3.5 w-3.5" />}
+            >
+              Copy page
+            </Button>
+            <Button variant="ghost" size="sm" onClick={() => onCopy(allText)} disabled={!allText}>
+              Copy all
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
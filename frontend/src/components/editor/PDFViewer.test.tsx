@@ -1,5 +1,5 @@
 import { describe, it, expect, vi } from 'vitest';
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent } from '@testing-library/react';
 import { createRef } from 'react';
 import { PDFViewer } from './PDFViewer';
 
@@ -96,4 +96,70 @@ describe('PDFViewer', () => {
       expect(ref.current).toBe(canvas);
     });
   });
+
+  describe('live collaboration', () => {
+    const peer = {
+      clientId: 'peer-1',
+      email: 'peer@example.com',
+      color: '#2563eb',
+      cursor: { page: 1, x: 40, y: 60 },
+      lastSeen: Date.now(),
+    };
+
+    it('shows collaborators\' cursors on the current page only', () => {
+      render(
+        <PDFViewer
+          canvasRef={makeRef()}
+          isLoading={false}
+          hasDocument={true}
+          {...defaultOverlayProps}
+          zoom={2}
+          remotePeers={[peer, { ...peer, clientId: 'peer-2', email: 'other@example.com', cursor: { page: 3, x: 0, y: 0 } }]}
+        />
+      );
+
+      const cursors = screen.getAllByTestId('remote-cursor');
+      expect(cursors).toHaveLength(1);
+      expect(cursors[0]).toHaveTextContent('peer@example.com');
+      expect(cursors[0].style.transform).toBe('translate(80px, 120px)');
+    });
+
+    it('reports pointer movement in PDF units', () => {
+      const onCursorMove = vi.fn();
+      const { container } = render(
+        <PDFViewer canvasRef={makeRef()} isLoading={false} hasDocument={true} {...defaultOverlayProps} zoom={2} onCursorMove={onCursorMove} />
+      );
+
+      fireEvent.pointerMove(container.querySelector('canvas')!, { clientX: 100, clientY: 50 });
+
+      expect(onCursorMove).toHaveBeenCalledWith(1, 50, 25);
+    });
+  });
+
+  describe('OCR text', () => {
+    const lines = [{ content: 'Invoice 42', polygon: [{ x: 0.1, y: 0.1 }, { x: 0.5, y: 0.1 }, { x: 0.5, y: 0.12 }, { x: 0.1, y: 0.12 }] }];
+
+    it('lays the current page\'s OCR lines over the page', () => {
+      render(
+        <PDFViewer canvasRef={makeRef()} isLoading={false} hasDocument={true} {...defaultOverlayProps} ocrLines={lines} pageSize={{ width: 600, height: 800 }} />
+      );
+
+      expect(screen.getByLabelText('Recognised text')).toBeInTheDocument();
+      expect(screen.getByText('Invoice 42').getAttribute('pointer-events')).toBe('auto');
+    });
+
+    it('lets drawing tools reach the annotations underneath', () => {
+      render(
+        <PDFViewer canvasRef={makeRef()} isLoading={false} hasDocument={true} {...defaultOverlayProps} activeTool="highlight" ocrLines={lines} pageSize={{ width: 600, height: 800 }} />
+      );
+
+      expect(screen.getByText('Invoice 42').getAttribute('pointer-events')).toBe('none');
+    });
+
+    it('renders no text layer before the page size is known', () => {
+      render(<PDFViewer canvasRef={makeRef()} isLoading={false} hasDocument={true} {...defaultOverlayProps} ocrLines={lines} />);
+
+      expect(screen.queryByLabelText('Recognised text')).not.toBeInTheDocument();
+    });
+  });
 });
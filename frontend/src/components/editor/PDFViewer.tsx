@@ -1,7 +1,11 @@
 import React, { type RefObject } from "react";
 import { FileUp, Loader2 } from "lucide-react";
 import { AnnotationOverlay } from "./AnnotationOverlay";
-import type { AnnotationOperation, AnnotationTool } from "../../types";
+import { RemoteCursors } from "./RemoteCursors";
+import { OcrTextLayer } from "./OcrTextLayer";
+import type { CollabPeer } from "../../hooks/useCollaboration";
+import type { SearchHit } from "../../lib/search";
+import type { AnnotationOperation, AnnotationTool, OcrLine, SensitiveCandidate } from "../../types";
 
 interface PDFViewerProps {
   canvasRef: RefObject<HTMLCanvasElement | null>;
@@ -20,6 +24,15 @@ interface PDFViewerProps {
   onAnnotationErased?: (opId: string) => void;
   onAnnotationUpdated?: (opId: string, updates: { payload?: Record<string, unknown> }) => void;
   onClickFeedback?: (message: string) => void;
+  remotePeers?: CollabPeer[];
+  onCursorMove?: (page: number, x: number, y: number) => void;
+  // OCR lines of the current page, laid over it as selectable text with the select tool.
+  ocrLines?: OcrLine[];
+  pageSize?: { width: number; height: number } | null;
+  searchHits?: SearchHit[];
+  activeHitId?: string | null;
+  proposedRedactions?: SensitiveCandidate[];
+  activeProposalId?: string | null;
 }
 
 export function PDFViewer({
@@ -34,6 +47,14 @@ export function PDFViewer({
   onAnnotationErased,
   onAnnotationUpdated,
   onClickFeedback,
+  remotePeers = [],
+  onCursorMove,
+  ocrLines = [],
+  pageSize = null,
+  searchHits,
+  activeHitId,
+  proposedRedactions,
+  activeProposalId,
 }: PDFViewerProps) {
   if (!hasDocument) {
     return (
@@ -53,7 +74,17 @@ export function PDFViewer({
 
   return (
     <div className="flex h-full items-start justify-center overflow-auto p-6">
-      <div className="relative">
+      <div
+        className="relative"
+        onPointerMove={
+          onCursorMove
+            ? (e) => {
+                const rect = e.currentTarget.getBoundingClientRect();
+                onCursorMove(currentPage, (e.clientX - rect.left) / zoom, (e.clientY - rect.top) / zoom);
+              }
+            : undefined
+        }
+      >
         {isLoading && (
           <div className="absolute inset-0 z-10 flex items-center justify-center rounded-lg bg-white/60 dark:bg-slate-900/60 backdrop-blur-sm">
             <Loader2 className="h-8 w-8 animate-spin text-brand-600" />
@@ -72,7 +103,15 @@ export function PDFViewer({
           onAnnotationErased={onAnnotationErased}
           onAnnotationUpdated={onAnnotationUpdated}
           onClickFeedback={onClickFeedback}
+          searchHits={searchHits}
+          activeHitId={activeHitId}
+          proposedRedactions={proposedRedactions}
+          activeProposalId={activeProposalId}
         />
+        {pageSize && ocrLines.length > 0 && (
+          <OcrTextLayer lines={ocrLines} pageSize={pageSize} zoom={zoom} selectable={activeTool === "select"} />
+        )}
+        <RemoteCursors peers={remotePeers} currentPage={currentPage} zoom={zoom} />
       </div>
     </div>
   );
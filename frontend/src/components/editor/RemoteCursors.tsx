@@ -0,0 +1,35 @@
+import { MousePointer2 } from "lucide-react";
+import type { CollabPeer } from "../../hooks/useCollaboration";
+
+interface RemoteCursorsProps {
+  peers: CollabPeer[];
+  currentPage: number;
+  zoom: number;
+}
+
+/** Other collaborators' pointers on the current page, positioned in PDF units. */
+export function RemoteCursors({ peers, currentPage, zoom }: RemoteCursorsProps) {
+  const visible = peers.filter((peer) => peer.cursor?.page === currentPage);
+  if (visible.length === 0) return null;
+
+  return (
+    <div className="pointer-events-none absolute inset-0 z-30 overflow-hidden" aria-hidden="true">
+      {visible.map((peer) => (
+        <div
+          key={peer.clientId}
+          data-testid="remote-cursor"
+          className="absolute flex items-start gap-1 transition-transform duration-75"
+          style={{ transform: `translate(${peer.cursor!.x * zoom}px, ${peer.cursor!.y * zoom}px)` }}
+        >
+          <MousePointer2 className="h-4 w-4" style={{ color: peer.color, fill: peer.color }} />
+          <span
+            className="mt-3 whitespace-nowrap rounded px-1.5 py-0.5 text-[10px] font-medium text-white shadow"
+            style={{ backgroundColor: peer.color }}
+          >
+            {peer.email}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
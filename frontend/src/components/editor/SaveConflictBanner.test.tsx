@@ -0,0 +1,48 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { SaveConflictBanner } from './SaveConflictBanner';
+import type { AnnotationOperation, SaveConflict } from '../../types';
+
+function makeOp(opId: string, page = 1): AnnotationOperation {
+  return {
+    opId,
+    opType: 'highlight',
+    page,
+    bounds: { x: 0, y: 0, w: 10, h: 10 },
+    author: 'a@example.com',
+    ts: '2026-01-01T00:00:00.000Z',
+  };
+}
+
+function makeConflict(operations: AnnotationOperation[]): SaveConflict {
+  return { currentVersion: 5, currentVersionId: 'v5', annotations: { schemaVersion: '1.0', operations } };
+}
+
+describe('SaveConflictBanner', () => {
+  it('names the server version and counts differing annotations', () => {
+    render(
+      <SaveConflictBanner
+        conflict={makeConflict([makeOp('a'), makeOp('theirs')])}
+        localOps={[makeOp('a'), makeOp('mine')]}
+        onResolve={vi.fn()}
+      />
+    );
+
+    expect(screen.getByRole('alert')).toHaveTextContent('saved this document as v5 (2 annotations differ from yours)');
+  });
+
+  it.each([
+    ['Merge changes', 'merge'],
+    ['Use their version', 'theirs'],
+    ['Keep mine', 'mine'],
+  ])('"%s" resolves with %s', async (label, resolution) => {
+    const user = userEvent.setup();
+    const onResolve = vi.fn();
+    render(<SaveConflictBanner conflict={makeConflict([])} localOps={[]} onResolve={onResolve} />);
+
+    await user.click(screen.getByRole('button', { name: label }));
+
+    expect(onResolve).toHaveBeenCalledWith(resolution);
+  });
+});
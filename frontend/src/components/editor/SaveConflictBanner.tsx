@@ -0,0 +1,38 @@
+import { Button } from "../ui/Button";
+import { AlertTriangle } from "lucide-react";
+import { diffOperations } from "../../lib/operationDiff";
+import type { ConflictResolution } from "../../hooks/useAnnotations";
+import type { AnnotationOperation, SaveConflict } from "../../types";
+
+interface SaveConflictBannerProps {
+  conflict: SaveConflict;
+  localOps: AnnotationOperation[];
+  onResolve: (resolution: ConflictResolution) => void;
+}
+
+export function SaveConflictBanner({ conflict, localOps, onResolve }: SaveConflictBannerProps) {
+  const diff = diffOperations(localOps, conflict.annotations.operations);
+  const differing = diff.added.length + diff.removed.length + diff.changed.length;
+
+  return (
+    <div
+      role="alert"
+      className="flex flex-wrap items-center gap-3 border-b border-amber-200 bg-amber-50 px-4 py-2 text-sm text-amber-800 dark:border-amber-800 dark:bg-amber-950 dark:text-amber-200"
+    >
+      <AlertTriangle className="h-4 w-4 shrink-0" />
+      <p className="flex-1">
+        Another session saved this document as {conflict.currentVersionId}
+        {differing > 0 ? ` (${differing} annotations differ from yours)` : ""}.
+      </p>
+      <Button size="sm" onClick={() => onResolve("merge")}>
+        Merge changes
+      </Button>
+      <Button size="sm" variant="outline" onClick={() => onResolve("theirs")}>
+        Use their version
+      </Button>
+      <Button size="sm" variant="ghost" onClick={() => onResolve("mine")}>
+        Keep mine
+      </Button>
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { SearchPanel } from './SearchPanel';
+import type { SearchHit } from '../../lib/search';
+
+function hit(id: string, page: number, before = 'Invoice ', after = ' due'): SearchHit {
+  return { id, page, snippet: { before, match: 'total', after }, rects: [{ x: 0, y: 0, w: 10, h: 10 }] };
+}
+
+const props = {
+  query: '',
+  hits: [] as SearchHit[],
+  activeHitId: null,
+  isSearching: false,
+  error: '',
+  onSearch: vi.fn(),
+  onSelectHit: vi.fn(),
+  onClear: vi.fn(),
+};
+
+describe('SearchPanel', () => {
+  it('searches for the typed text on submit', async () => {
+    const user = userEvent.setup();
+    const onSearch = vi.fn();
+    render(<SearchPanel {...props} onSearch={onSearch} />);
+
+    expect(screen.getByRole('button', { name: 'Find' })).toBeDisabled();
+    await user.type(screen.getByLabelText('Search document'), 'total{Enter}');
+
+    expect(onSearch).toHaveBeenCalledWith('total');
+  });
+
+  it('lists hits with page and snippet and jumps to the one clicked', async () => {
+    const user = userEvent.setup();
+    const onSelectHit = vi.fn();
+    const hits = [hit('1:0', 1), hit('3:4', 3, '', '')];
+    render(<SearchPanel {...props} query="total" hits={hits} activeHitId="1:0" onSelectHit={onSelectHit} />);
+
+    const items = screen.getAllByRole('listitem');
+    expect(items[0]).toHaveTextContent('p.1Invoice total due');
+    expect(screen.getAllByText('total', { selector: 'mark' })).toHaveLength(2);
+    expect(items[0].querySelector('button')).toHaveAttribute('aria-current', 'true');
+
+    await user.click(screen.getByText('p.3'));
+    expect(onSelectHit).toHaveBeenCalledWith(hits[1]);
+  });
+
+  it('says when nothing matched', () => {
+    render(<SearchPanel {...props} query="zebra" />);
+    expect(screen.getByText('No matches for “zebra”')).toBeInTheDocument();
+  });
+
+  it('offers to highlight all hits only when allowed', async () => {
+    const user = userEvent.setup();
+    const onHighlightAll = vi.fn();
+    const hits = [hit('1:0', 1), hit('2:0', 2)];
+    const { rerender } = render(<SearchPanel {...props} query="total" hits={hits} />);
+    expect(screen.queryByRole('button', { name: /highlight all/i })).not.toBeInTheDocument();
+
+    rerender(<SearchPanel {...props} query="total" hits={hits} onHighlightAll={onHighlightAll} />);
+    await user.click(screen.getByRole('button', { name: 'Highlight all 2' }));
+
+    expect(onHighlightAll).toHaveBeenCalledTimes(1);
+  });
+
+  it('clears the search', async () => {
+    const user = userEvent.setup();
+    const onClear = vi.fn();
+    render(<SearchPanel {...props} query="total" hits={[hit('1:0', 1)]} onClear={onClear} />);
+
+    await user.click(screen.getByTitle('Clear search'));
+    expect(onClear).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,124 @@
+import { useEffect, useState } from "react";
+import { Button } from "../ui/Button";
+import { Badge } from "../ui/Badge";
+import { Highlighter, Loader2, Search, X } from "lucide-react";
+import { cn } from "../../lib/cn";
+import type { SearchHit } from "../../lib/search";
+
+interface SearchPanelProps {
+  query: string;
+  hits: SearchHit[];
+  activeHitId: string | null;
+  isSearching: boolean;
+  error: string;
+  onSearch: (text: string) => void;
+  onSelectHit: (hit: SearchHit) => void;
+  onClear: () => void;
+  // Turns every hit into a highlight annotation; hidden for roles that cannot highlight.
+  onHighlightAll?: () => void;
+}
+
+export function SearchPanel({
+  query,
+  hits,
+  activeHitId,
+  isSearching,
+  error,
+  onSearch,
+  onSelectHit,
+  onClear,
+  onHighlightAll,
+}: SearchPanelProps) {
+  const [text, setText] = useState(query);
+
+  // Follow the hook when it clears the search (e.g. another document was opened).
+  useEffect(() => {
+    setText(query);
+  }, [query]);
+
+  return (
+    <div className="flex flex-col">
+      <div className="flex items-center justify-between border-b border-slate-200 px-4 py-3 dark:border-slate-700">
+        <div className="flex items-center gap-2">
+          <Search className="h-4 w-4 text-slate-500" />
+          <h3 className="text-sm font-semibold text-slate-700 dark:text-slate-300">Search</h3>
+          {isSearching && <Loader2 className="h-3 w-3 animate-spin text-slate-400" />}
+        </div>
+        {query && <Badge variant="default">{hits.length}</Badge>}
+      </div>
+
+      <form
+        role="search"
+        className="flex items-center gap-1 p-2"
+        onSubmit={(e) => {
+          e.preventDefault();
+          onSearch(text);
+        }}
+      >
+        <input
+          type="search"
+          aria-label="Search document"
+          placeholder="Find in document"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          className="h-8 min-w-0 flex-1 rounded-md border border-slate-300 bg-white px-2 text-xs text-slate-900 placeholder:text-slate-400 dark:border-slate-600 dark:bg-slate-800 dark:text-slate-100"
+        />
+        <Button type="submit" variant="outline" size="sm" disabled={!text.trim()}>
+          Find
+        </Button>
+        {query && (
+          <Button type="button" variant="ghost" size="sm" onClick={onClear} title="Clear search">
+            <X className="h-3.5 w-3.5" />
+          </Button>
+        )}
+      </form>
+
+      {error && <p className="px-4 pb-2 text-xs text-red-500">{error}</p>}
+
+      {query && !isSearching && hits.length === 0 && !error && (
+        <p className="px-4 pb-3 text-xs text-slate-400">No matches for “{query}”</p>
+      )}
+
+      {hits.length > 0 && (
+        <>
+          {onHighlightAll && (
+            <div className="px-2 pb-2">
+              <Button
+                variant="secondary"
+                size="sm"
+                onClick={onHighlightAll}
+                icon={<Highlighter className="h-3.5 w-3.5" />}
+              >
+                Highlight all {hits.length}
+              </Button>
+            </div>
+          )}
+          <ul className="flex flex-col gap-1 px-2 pb-2">
+            {hits.map((hit) => (
+              <li key={hit.id}>
+                <button
+                  type="button"
+                  onClick={() => onSelectHit(hit)}
+                  aria-current={hit.id === activeHitId ? "true" : undefined}
+                  className={cn(
+                    "w-full rounded-lg border p-2 text-left text-xs transition-colors",
+                    hit.id === activeHitId
+                      ? "border-brand-300 bg-brand-50 dark:border-brand-700 dark:bg-brand-950"
+                      : "border-slate-100 hover:bg-slate-50 dark:border-slate-800 dark:hover:bg-slate-800"
+                  )}
+                >
+                  <span className="mr-1.5 font-medium text-slate-500">p.{hit.page}</span>
+                  <span className="text-slate-600 dark:text-slate-300">
+                    {hit.snippet.before}
+                    <mark className="rounded bg-amber-200 px-0.5 text-slate-900">{hit.snippet.match}</mark>
+                    {hit.snippet.after}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,123 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { SensitiveDataPanel } from './SensitiveDataPanel';
+import type { SensitiveCandidate, SensitiveScanResponse } from '../../types';
+
+function candidate(id: string, page: number, text: string, overrides: Partial<SensitiveCandidate> = {}): SensitiveCandidate {
+  return { id, kind: 'ssn', label: null, text, page, source: 'text', rects: [{ x: 0, y: 0, w: 10, h: 10 }], ...overrides };
+}
+
+function scanOf(candidates: SensitiveCandidate[], overrides: Partial<SensitiveScanResponse> = {}): SensitiveScanResponse {
+  return {
+    docId: 'doc-1',
+    jobId: 'scan-1',
+    pages: null,
+    scannedAt: '2026-01-02T03:04:05.000Z',
+    unreadablePages: [],
+    truncated: false,
+    candidates,
+    ...overrides,
+  };
+}
+
+const props = {
+  scan: null,
+  candidates: [] as SensitiveCandidate[],
+  activeId: null,
+  isScanning: false,
+  error: '',
+  onScan: vi.fn(),
+  onSelect: vi.fn(),
+  onAccept: vi.fn(),
+  onReject: vi.fn(),
+};
+
+describe('SensitiveDataPanel', () => {
+  it('scans for the ticked kinds, the terms and the added patterns', async () => {
+    const user = userEvent.setup();
+    const onScan = vi.fn();
+    render(<SensitiveDataPanel {...props} onScan={onScan} />);
+
+    await user.click(screen.getByLabelText('Phone numbers'));
+    await user.type(screen.getByLabelText('Terms to find'), 'Jane Doe{Enter}  {Enter}Acme');
+    await user.type(screen.getByLabelText('Pattern name'), 'Employee id');
+    await user.type(screen.getByLabelText('Pattern'), 'EMP-\\d+');
+    await user.click(screen.getByTitle('Add pattern'));
+    await user.click(screen.getByRole('button', { name: 'Find sensitive data' }));
+
+    expect(onScan).toHaveBeenCalledWith({
+      kinds: ['ssn', 'creditCard', 'dob', 'email'],
+      patterns: [{ name: 'Employee id', pattern: 'EMP-\\d+' }],
+      terms: ['Jane Doe', 'Acme'],
+    });
+  });
+
+  it('refuses a pattern that is not a regular expression', async () => {
+    const user = userEvent.setup();
+    render(<SensitiveDataPanel {...props} />);
+
+    await user.type(screen.getByLabelText('Pattern'), 'EMP-(');
+    await user.click(screen.getByTitle('Add pattern'));
+
+    expect(screen.getByText('Not a valid regular expression')).toBeInTheDocument();
+    expect(screen.queryByLabelText(/Remove pattern/)).not.toBeInTheDocument();
+  });
+
+  it('cannot scan for nothing or while a scan runs', async () => {
+    const user = userEvent.setup();
+    const { rerender } = render(<SensitiveDataPanel {...props} />);
+    for (const label of ['SSNs', 'Card numbers', 'Dates of birth', 'Emails', 'Phone numbers']) {
+      await user.click(screen.getByLabelText(label));
+    }
+    expect(screen.getByRole('button', { name: 'Find sensitive data' })).toBeDisabled();
+
+    rerender(<SensitiveDataPanel {...props} isScanning />);
+    await user.click(screen.getByLabelText('SSNs'));
+    expect(screen.getByRole('button', { name: /Find sensitive data/ })).toBeDisabled();
+  });
+
+  it('lists findings to redact or skip one by one, or all at once', async () => {
+    const user = userEvent.setup();
+    const onSelect = vi.fn();
+    const onAccept = vi.fn();
+    const onReject = vi.fn();
+    const candidates = [
+      candidate('p1-1', 1, '123-45-6789'),
+      candidate('p2-1', 2, 'Jane Doe', { kind: 'term', label: 'Jane Doe' }),
+    ];
+    render(
+      <SensitiveDataPanel
+        {...props}
+        scan={scanOf(candidates)}
+        candidates={candidates}
+        activeId="p1-1"
+        onSelect={onSelect}
+        onAccept={onAccept}
+        onReject={onReject}
+      />
+    );
+
+    const items = screen.getAllByRole('listitem');
+    expect(items[0]).toHaveTextContent('p.1SSN123-45-6789');
+    expect(items[1]).toHaveTextContent('p.2Jane DoeJane Doe');
+
+    await user.click(screen.getByText('Jane Doe', { selector: 'span.text-slate-700' }));
+    expect(onSelect).toHaveBeenCalledWith(candidates[1]);
+    await user.click(screen.getByRole('button', { name: 'Redact 123-45-6789' }));
+    expect(onAccept).toHaveBeenCalledWith([candidates[0]]);
+    await user.click(screen.getByRole('button', { name: 'Skip Jane Doe' }));
+    expect(onReject).toHaveBeenCalledWith(candidates[1]);
+    await user.click(screen.getByRole('button', { name: 'Redact all 2' }));
+    expect(onAccept).toHaveBeenLastCalledWith(candidates);
+  });
+
+  it('says when nothing was found, when all is reviewed and which pages had no text', () => {
+    const { rerender } = render(<SensitiveDataPanel {...props} scan={scanOf([], { unreadablePages: [3, 4] })} />);
+    expect(screen.getByText('No sensitive data found')).toBeInTheDocument();
+    expect(screen.getByText(/No text on pages 3, 4; run OCR to scan them/)).toBeInTheDocument();
+
+    rerender(<SensitiveDataPanel {...props} scan={scanOf([candidate('p1-1', 1, '123-45-6789')])} candidates={[]} />);
+    expect(screen.getByText('All findings reviewed')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,216 @@
+import { useState } from "react";
+import { Button } from "../ui/Button";
+import { Badge } from "../ui/Badge";
+import { Check, EyeOff, Loader2, Plus, ShieldAlert, X } from "lucide-react";
+import { cn } from "../../lib/cn";
+import type { SensitiveCandidate, SensitiveKind, SensitiveScanOptions, SensitiveScanResponse } from "../../types";
+
+const KINDS: { kind: SensitiveKind; label: string }[] = [
+  { kind: "ssn", label: "SSNs" },
+  { kind: "creditCard", label: "Card numbers" },
+  { kind: "dob", label: "Dates of birth" },
+  { kind: "email", label: "Emails" },
+  { kind: "phone", label: "Phone numbers" },
+];
+
+const KIND_LABELS: Record<SensitiveCandidate["kind"], string> = {
+  ssn: "SSN",
+  creditCard: "Card",
+  dob: "Birth date",
+  email: "Email",
+  phone: "Phone",
+  pattern: "Pattern",
+  term: "Term",
+};
+
+const inputClass =
+  "h-8 min-w-0 flex-1 rounded-md border border-slate-300 bg-white px-2 text-xs text-slate-900 placeholder:text-slate-400 dark:border-slate-600 dark:bg-slate-800 dark:text-slate-100";
+
+interface SensitiveDataPanelProps {
+  scan: SensitiveScanResponse | null;
+  // Findings still awaiting a decision, in reading order.
+  candidates: SensitiveCandidate[];
+  activeId: string | null;
+  isScanning: boolean;
+  error: string;
+  onScan: (options: SensitiveScanOptions) => void;
+  onSelect: (candidate: SensitiveCandidate) => void;
+  // Adds redactions over the given findings; one undo step takes them all back.
+  onAccept: (candidates: SensitiveCandidate[]) => void;
+  onReject: (candidate: SensitiveCandidate) => void;
+}
+
+export function SensitiveDataPanel({
+  scan,
+  candidates,
+  activeId,
+  isScanning,
+  error,
+  onScan,
+  onSelect,
+  onAccept,
+  onReject,
+}: SensitiveDataPanelProps) {
+  const [kinds, setKinds] = useState<SensitiveKind[]>(KINDS.map(({ kind }) => kind));
+  const [terms, setTerms] = useState("");
+  const [patterns, setPatterns] = useState<{ name: string; pattern: string }[]>([]);
+  const [patternName, setPatternName] = useState("");
+  const [pattern, setPattern] = useState("");
+  const [patternError, setPatternError] = useState("");
+
+  const termList = terms.split("\n").map((term) => term.trim()).filter(Boolean);
+  const canScan = kinds.length + patterns.length + termList.length > 0 && !isScanning;
+
+  const toggleKind = (kind: SensitiveKind) =>
+    setKinds((prev) => (prev.includes(kind) ? prev.filter((k) => k !== kind) : [...prev, kind]));
+
+  const addPattern = () => {
+    try {
+      new RegExp(pattern);
+    } catch {
+      setPatternError("Not a valid regular expression");
+      return;
+    }
+    setPatterns((prev) => [...prev, { name: patternName.trim() || pattern, pattern }]);
+    setPatternName("");
+    setPattern("");
+    setPatternError("");
+  };
+
+  return (
+    <div className="flex flex-col">
+      <div className="flex items-center justify-between border-b border-slate-200 px-4 py-3 dark:border-slate-700">
+        <div className="flex items-center gap-2">
+          <ShieldAlert className="h-4 w-4 text-slate-500" />
+          <h3 className="text-sm font-semibold text-slate-700 dark:text-slate-300">Sensitive data</h3>
+          {isScanning && <Loader2 className="h-3 w-3 animate-spin text-slate-400" />}
+        </div>
+        {scan && <Badge variant={candidates.length > 0 ? "warning" : "default"}>{candidates.length}</Badge>}
+      </div>
+
+      <form
+        className="flex flex-col gap-2 p-2"
+        onSubmit={(e) => {
+          e.preventDefault();
+          onScan({ kinds: KINDS.map(({ kind }) => kind).filter((kind) => kinds.includes(kind)), patterns, terms: termList });
+        }}
+      >
+        <fieldset className="flex flex-wrap gap-x-3 gap-y-1 text-xs text-slate-600 dark:text-slate-300">
+          <legend className="sr-only">Find</legend>
+          {KINDS.map(({ kind, label }) => (
+            <label key={kind} className="flex items-center gap-1">
+              <input type="checkbox" checked={kinds.includes(kind)} onChange={() => toggleKind(kind)} />
+              {label}
+            </label>
+          ))}
+        </fieldset>
+
+        <textarea
+          aria-label="Terms to find"
+          placeholder="Names or other terms, one per line"
+          rows={2}
+          value={terms}
+          onChange={(e) => setTerms(e.target.value)}
+          className="min-w-0 rounded-md border border-slate-300 bg-white px-2 py-1 text-xs text-slate-900 placeholder:text-slate-400 dark:border-slate-600 dark:bg-slate-800 dark:text-slate-100"
+        />
+
+        <div className="flex items-center gap-1">
+          <input aria-label="Pattern name" placeholder="Name" value={patternName} onChange={(e) => setPatternName(e.target.value)} className={cn(inputClass, "max-w-24")} />
+          <input
+            aria-label="Pattern"
+            placeholder="Regular expression"
+            value={pattern}
+            onChange={(e) => {
+              setPattern(e.target.value);
+              setPatternError("");
+            }}
+            className={cn(inputClass, "font-mono")}
+          />
+          <Button type="button" variant="ghost" size="sm" onClick={addPattern} disabled={!pattern} title="Add pattern">
+            <Plus className="h-3.5 w-3.5" />
+          </Button>
+        </div>
+        {patternError && <p className="text-xs text-red-500">{patternError}</p>}
+        {patterns.length > 0 && (
+          <ul className="flex flex-wrap gap-1">
+            {patterns.map((entry, index) => (
+              <li key={`${entry.name}-${index}`} className="flex items-center gap-1 rounded bg-slate-100 px-1.5 py-0.5 text-xs text-slate-600 dark:bg-slate-800 dark:text-slate-300">
+                <span title={entry.pattern}>{entry.name}</span>
+                <button
+                  type="button"
+                  aria-label={`Remove pattern ${entry.name}`}
+                  onClick={() => setPatterns((prev) => prev.filter((_, i) => i !== index))}
+                >
+                  <X className="h-3 w-3" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <Button type="submit" variant="outline" size="sm" disabled={!canScan} isLoading={isScanning}>
+          Find sensitive data
+        </Button>
+      </form>
+
+      {error && <p className="px-4 pb-2 text-xs text-red-500">{error}</p>}
+
+      {scan && (
+        <>
+          {scan.unreadablePages.length > 0 && (
+            <p className="px-4 pb-2 text-xs text-amber-600">
+              No text on page{scan.unreadablePages.length === 1 ? "" : "s"} {scan.unreadablePages.join(", ")}; run OCR to scan{" "}
+              {scan.unreadablePages.length === 1 ? "it" : "them"}.
+            </p>
+          )}
+          {scan.truncated && (
+            <p className="px-4 pb-2 text-xs text-amber-600">Only the first {scan.candidates.length} findings are listed.</p>
+          )}
+          {candidates.length === 0 ? (
+            <p className="px-4 pb-3 text-xs text-slate-400">
+              {scan.candidates.length === 0 ? "No sensitive data found" : "All findings reviewed"}
+            </p>
+          ) : (
+            <>
+              <div className="px-2 pb-2">
+                <Button variant="secondary" size="sm" onClick={() => onAccept(candidates)} icon={<EyeOff className="h-3.5 w-3.5" />}>
+                  Redact all {candidates.length}
+                </Button>
+              </div>
+              <ul className="flex flex-col gap-1 px-2 pb-2">
+                {candidates.map((candidate) => (
+                  <li
+                    key={candidate.id}
+                    className={cn(
+                      "flex items-center gap-1 rounded-lg border p-1 text-xs",
+                      candidate.id === activeId
+                        ? "border-brand-300 bg-brand-50 dark:border-brand-700 dark:bg-brand-950"
+                        : "border-slate-100 dark:border-slate-800"
+                    )}
+                  >
+                    <button
+                      type="button"
+                      onClick={() => onSelect(candidate)}
+                      aria-current={candidate.id === activeId ? "true" : undefined}
+                      className="min-w-0 flex-1 truncate rounded p-1 text-left hover:bg-slate-50 dark:hover:bg-slate-800"
+                    >
+                      <span className="mr-1.5 font-medium text-slate-500">p.{candidate.page}</span>
+                      <span className="mr-1.5 text-slate-400">{candidate.label ?? KIND_LABELS[candidate.kind]}</span>
+                      <span className="text-slate-700 dark:text-slate-200">{candidate.text}</span>
+                    </button>
+                    <Button variant="ghost" size="sm" className="px-2" onClick={() => onAccept([candidate])} title="Redact" aria-label={`Redact ${candidate.text}`}>
+                      <Check className="h-3.5 w-3.5" />
+                    </Button>
+                    <Button variant="ghost" size="sm" className="px-2" onClick={() => onReject(candidate)} title="Skip" aria-label={`Skip ${candidate.text}`}>
+                      <X className="h-3.5 w-3.5" />
+                    </Button>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
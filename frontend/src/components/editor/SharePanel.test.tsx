@@ -0,0 +1,66 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { SharePanel } from './SharePanel';
+import type { DocumentShare } from '../../types';
+
+function makeShare(email: string, role: DocumentShare['role'] = 'viewer'): DocumentShare {
+  return { email, role, grantedBy: 'owner@example.com', createdAt: null, updatedAt: null };
+}
+
+function buildProps(overrides: Partial<Parameters<typeof SharePanel>[0]> = {}) {
+  return {
+    shares: [makeShare('reviewer@example.com', 'commenter')],
+    error: '',
+    onShare: vi.fn().mockResolvedValue(undefined),
+    onRevoke: vi.fn(),
+    ...overrides,
+  };
+}
+
+describe('SharePanel', () => {
+  it('lists who the document is shared with and their role', () => {
+    render(<SharePanel {...buildProps()} />);
+    expect(screen.getByText('reviewer@example.com')).toBeInTheDocument();
+    expect(screen.getByText('commenter')).toBeInTheDocument();
+  });
+
+  it('shows a placeholder when the document is not shared', () => {
+    render(<SharePanel {...buildProps({ shares: [] })} />);
+    expect(screen.getByText('Only you can see this document')).toBeInTheDocument();
+  });
+
+  it('shares with the entered email and chosen role, then clears the field', async () => {
+    const user = userEvent.setup();
+    const props = buildProps();
+    render(<SharePanel {...props} />);
+
+    await user.type(screen.getByLabelText('Email to share with'), 'editor@example.com');
+    await user.selectOptions(screen.getByLabelText('Role'), 'editor');
+    await user.click(screen.getByRole('button', { name: 'Share' }));
+
+    expect(props.onShare).toHaveBeenCalledWith('editor@example.com', 'editor');
+    expect(screen.getByLabelText('Email to share with')).toHaveValue('');
+  });
+
+  it('shows the error when sharing fails and keeps the email', async () => {
+    const user = userEvent.setup();
+    render(<SharePanel {...buildProps({ onShare: vi.fn().mockRejectedValue(new Error('The owner already has full access')) })} />);
+
+    await user.type(screen.getByLabelText('Email to share with'), 'owner@example.com');
+    await user.click(screen.getByRole('button', { name: 'Share' }));
+
+    expect(await screen.findByText('The owner already has full access')).toBeInTheDocument();
+    expect(screen.getByLabelText('Email to share with')).toHaveValue('owner@example.com');
+  });
+
+  it('revokes a share', async () => {
+    const user = userEvent.setup();
+    const props = buildProps();
+    render(<SharePanel {...props} />);
+
+    await user.click(screen.getByRole('button', { name: 'Stop sharing with reviewer@example.com' }));
+
+    expect(props.onRevoke).toHaveBeenCalledWith('reviewer@example.com');
+  });
+});
@@ -0,0 +1,99 @@
+import { useState } from "react";
+import { Button } from "../ui/Button";
+import { Badge } from "../ui/Badge";
+import { Users, UserMinus } from "lucide-react";
+import type { DocumentShare, ShareRole } from "../../types";
+
+interface SharePanelProps {
+  shares: DocumentShare[];
+  error: string;
+  onShare: (email: string, role: ShareRole) => Promise<unknown>;
+  onRevoke: (email: string) => void;
+}
+
+const ROLES: { value: ShareRole; label: string }[] = [
+  { value: "viewer", label: "Viewer" },
+  { value: "commenter", label: "Commenter" },
+  { value: "editor", label: "Editor" },
+];
+
+export function SharePanel({ shares, error, onShare, onRevoke }: SharePanelProps) {
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState<ShareRole>("viewer");
+  const [isSharing, setIsSharing] = useState(false);
+  const [shareError, setShareError] = useState("");
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsSharing(true);
+    setShareError("");
+    try {
+      await onShare(email.trim(), role);
+      setEmail("");
+    } catch (err) {
+      setShareError((err as Error).message);
+    } finally {
+      setIsSharing(false);
+    }
+  };
+
+  const fieldClass =
+    "h-8 rounded-md border border-slate-300 bg-white px-2 text-xs dark:border-slate-600 dark:bg-slate-800 dark:text-slate-200";
+
+  return (
+    <div className="flex flex-col">
+      <div className="flex items-center justify-between border-b border-slate-200 px-4 py-3 dark:border-slate-700">
+        <div className="flex items-center gap-2">
+          <Users className="h-4 w-4 text-slate-500" />
+          <h3 className="text-sm font-semibold text-slate-700 dark:text-slate-300">Sharing</h3>
+        </div>
+        <Badge variant="default">{shares.length}</Badge>
+      </div>
+
+      <form onSubmit={handleSubmit} className="flex items-center gap-1 p-2">
+        <input
+          type="email"
+          required
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder="colleague@example.com"
+          aria-label="Email to share with"
+          className={`${fieldClass} min-w-0 flex-1`}
+        />
+        <select aria-label="Role" className={fieldClass} value={role} onChange={(e) => setRole(e.target.value as ShareRole)}>
+          {ROLES.map((r) => <option key={r.value} value={r.value}>{r.label}</option>)}
+        </select>
+        <Button type="submit" size="sm" isLoading={isSharing}>
+          Share
+        </Button>
+      </form>
+
+      {(shareError || error) && <p className="px-4 pb-2 text-xs text-red-500">{shareError || error}</p>}
+
+      {shares.length === 0 ? (
+        <p className="px-4 py-6 text-center text-xs text-slate-400">Only you can see this document</p>
+      ) : (
+        <div className="flex flex-col gap-1 px-2 pb-2">
+          {shares.map((share) => (
+            <div
+              key={share.email}
+              className="flex items-center gap-2 rounded-lg border border-slate-100 p-2 dark:border-slate-800"
+            >
+              <span className="min-w-0 flex-1 truncate text-sm text-slate-700 dark:text-slate-300">{share.email}</span>
+              <Badge variant="info">{share.role}</Badge>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => onRevoke(share.email)}
+                aria-label={`Stop sharing with ${share.email}`}
+                className="!h-7 !w-7 !p-0"
+              >
+                <UserMinus className="h-3.5 w-3.5 text-red-500" />
+              </Button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
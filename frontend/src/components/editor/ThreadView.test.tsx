@@ -0,0 +1,124 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { ThreadView } from './ThreadView';
+import type { CommentThread } from '../../types';
+
+const ME = 'me@example.com';
+
+function makeThread(overrides: Partial<CommentThread> = {}): CommentThread {
+  return {
+    threadId: 't1',
+    opId: 'op-1',
+    status: 'open',
+    createdBy: 'bob@example.com',
+    createdAt: '2026-01-01T00:00:00Z',
+    updatedAt: '2026-01-01T00:00:00Z',
+    resolvedBy: null,
+    resolvedAt: null,
+    comments: [
+      { commentId: 'c1', author: 'bob@example.com', body: '@me@example.com is this clause right?', mentions: [ME], createdAt: '2026-01-01T00:00:00Z' },
+    ],
+    ...overrides,
+  };
+}
+
+function renderThread(props: Partial<React.ComponentProps<typeof ThreadView>> = {}) {
+  const handlers = {
+    onCreate: vi.fn().mockResolvedValue(undefined),
+    onReply: vi.fn().mockResolvedValue(undefined),
+    onSetStatus: vi.fn().mockResolvedValue(undefined),
+  };
+  render(
+    <ThreadView
+      opId="op-1"
+      thread={makeThread()}
+      participants={[ME, 'bob@example.com', 'carol@example.com']}
+      currentUser={ME}
+      canComment={true}
+      {...handlers}
+      {...props}
+    />
+  );
+  return handlers;
+}
+
+describe('ThreadView', () => {
+  it('shows each comment with its author and highlights mentions', () => {
+    renderThread();
+
+    expect(screen.getByText('bob@example.com')).toBeInTheDocument();
+    expect(screen.getByText('@me@example.com')).toHaveClass('font-medium');
+    expect(screen.getByText(/is this clause right\?/)).toBeInTheDocument();
+    expect(screen.getByText('Open')).toBeInTheDocument();
+  });
+
+  it('replies to an existing thread', async () => {
+    const user = userEvent.setup();
+    const { onReply } = renderThread();
+
+    await user.type(screen.getByLabelText('Reply'), 'Yes, it is');
+    await user.click(screen.getByRole('button', { name: 'Reply' }));
+
+    expect(onReply).toHaveBeenCalledWith('t1', 'Yes, it is');
+    expect(screen.getByLabelText('Reply')).toHaveValue('');
+  });
+
+  it('starts a thread when the annotation has none', async () => {
+    const user = userEvent.setup();
+    const { onCreate } = renderThread({ thread: null });
+
+    expect(screen.queryByText('Open')).not.toBeInTheDocument();
+    await user.type(screen.getByLabelText('Comment'), 'Why is this redacted?');
+    await user.click(screen.getByRole('button', { name: 'Comment' }));
+
+    expect(onCreate).toHaveBeenCalledWith('op-1', 'Why is this redacted?');
+  });
+
+  it('suggests people with access while typing a mention', async () => {
+    const user = userEvent.setup();
+    renderThread();
+
+    await user.type(screen.getByLabelText('Reply'), 'cc @c');
+    const options = screen.getAllByRole('option');
+    expect(options.map((o) => o.textContent)).toEqual(['carol@example.com']);
+
+    await user.click(options[0]);
+    expect(screen.getByLabelText('Reply')).toHaveValue('cc @carol@example.com ');
+    expect(screen.queryByRole('option')).not.toBeInTheDocument();
+  });
+
+  it('resolves an open thread and reopens a resolved one', async () => {
+    const user = userEvent.setup();
+    const { onSetStatus } = renderThread();
+    await user.click(screen.getByRole('button', { name: /resolve/i }));
+    expect(onSetStatus).toHaveBeenCalledWith('t1', 'resolved');
+  });
+
+  it('offers reopen on a resolved thread and says who resolved it', async () => {
+    const user = userEvent.setup();
+    const { onSetStatus } = renderThread({ thread: makeThread({ status: 'resolved', resolvedBy: 'bob@example.com' }) });
+
+    expect(screen.getByText('Resolved by bob@example.com')).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: /reopen/i }));
+    expect(onSetStatus).toHaveBeenCalledWith('t1', 'open');
+  });
+
+  it('is read-only for someone who cannot comment', () => {
+    renderThread({ canComment: false });
+
+    expect(screen.queryByLabelText('Reply')).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /resolve/i })).not.toBeInTheDocument();
+  });
+
+  it('shows the error when a reply fails and keeps the draft', async () => {
+    const user = userEvent.setup();
+    renderThread({ onReply: vi.fn().mockRejectedValue(new Error('Only people with access to this document can be mentioned')) });
+
+    await user.type(screen.getByLabelText('Reply'), 'cc @eve@example.com');
+    await user.click(screen.getByRole('button', { name: 'Reply' }));
+
+    expect(await screen.findByText('Only people with access to this document can be mentioned')).toBeInTheDocument();
+    expect(screen.getByLabelText('Reply')).toHaveValue('cc @eve@example.com');
+  });
+});
@@ -0,0 +1,150 @@
+import { useState } from "react";
+import { CheckCircle2, RotateCcw } from "lucide-react";
+import { Button } from "../ui/Button";
+import { Badge } from "../ui/Badge";
+import { cn } from "../../lib/cn";
+import { colorForAuthor } from "../../lib/collab";
+import { completeMention, mentionQuery, splitMentions } from "../../lib/mentions";
+import type { CommentThread, ThreadStatus } from "../../types";
+
+interface ThreadViewProps {
+  opId: string;
+  // The annotation's discussion, or null before anyone has commented on it.
+  thread: CommentThread | null;
+  participants: string[];
+  currentUser: string;
+  canComment: boolean;
+  onCreate: (opId: string, body: string) => Promise<unknown>;
+  onReply: (threadId: string, body: string) => Promise<unknown>;
+  onSetStatus: (threadId: string, status: ThreadStatus) => Promise<unknown>;
+}
+
+function CommentBody({ body, currentUser }: { body: string; currentUser: string }) {
+  return (
+    <p className="whitespace-pre-wrap break-words text-xs text-slate-700 dark:text-slate-300">
+      {splitMentions(body).map((segment, i) =>
+        segment.mention ? (
+          <span
+            key={i}
+            className={cn(
+              "rounded px-0.5 font-medium text-brand-700 dark:text-brand-300",
+              segment.text.slice(1).toLowerCase() === currentUser.toLowerCase() && "bg-brand-100 dark:bg-brand-900/60"
+            )}
+          >
+            {segment.text}
+          </span>
+        ) : (
+          <span key={i}>{segment.text}</span>
+        )
+      )}
+    </p>
+  );
+}
+
+export function ThreadView({ opId, thread, participants, currentUser, canComment, onCreate, onReply, onSetStatus }: ThreadViewProps) {
+  const [draft, setDraft] = useState("");
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const query = mentionQuery(draft);
+  const suggestions =
+    query === null
+      ? []
+      : participants.filter((email) => email !== currentUser.toLowerCase() && email.startsWith(query)).slice(0, 5);
+
+  const run = async (action: () => Promise<unknown>) => {
+    setIsBusy(true);
+    setError("");
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      setError((err as Error).message);
+      return false;
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const body = draft.trim();
+    if (!body) return;
+    const sent = await run(() => (thread ? onReply(thread.threadId, body) : onCreate(opId, body)));
+    if (sent) setDraft("");
+  };
+
+  return (
+    <div className="mt-2 flex flex-col gap-2 border-t border-slate-100 pt-2 dark:border-slate-800">
+      {thread && (
+        <div className="flex items-center justify-between">
+          <Badge variant={thread.status === "resolved" ? "success" : "info"}>
+            {thread.status === "resolved" ? "Resolved" : "Open"}
+          </Badge>
+          {canComment && (
+            <Button
+              variant="ghost"
+              size="sm"
+              disabled={isBusy}
+              onClick={() => run(() => onSetStatus(thread.threadId, thread.status === "resolved" ? "open" : "resolved"))}
+              icon={thread.status === "resolved" ? <RotateCcw className="h-3.5 w-3.5" /> : <CheckCircle2 className="h-3.5 w-3.5" />}
+            >
+              {thread.status === "resolved" ? "Reopen" : "Resolve"}
+            </Button>
+          )}
+        </div>
+      )}
+
+      {thread?.comments.map((comment) => (
+        <div key={comment.commentId} className="flex flex-col gap-0.5">
+          <div className="flex items-center gap-1 text-[11px] text-slate-500 dark:text-slate-400">
+            <span className="inline-block h-2 w-2 rounded-full" style={{ backgroundColor: colorForAuthor(comment.author) }} />
+            <span className="font-medium">{comment.author}</span>
+            {comment.createdAt && <span>&middot; {new Date(comment.createdAt).toLocaleString()}</span>}
+          </div>
+          <CommentBody body={comment.body} currentUser={currentUser} />
+        </div>
+      ))}
+
+      {thread?.status === "resolved" && thread.resolvedBy && (
+        <p className="text-[11px] text-slate-400">Resolved by {thread.resolvedBy}</p>
+      )}
+
+      {canComment && (
+        <form onSubmit={handleSubmit} className="relative flex flex-col gap-1">
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            rows={2}
+            placeholder={thread ? "Reply… (@ to mention)" : "Start a discussion… (@ to mention)"}
+            aria-label={thread ? "Reply" : "Comment"}
+            className="w-full resize-none rounded-md border border-slate-300 bg-white px-2 py-1 text-xs dark:border-slate-600 dark:bg-slate-800 dark:text-slate-200"
+          />
+          {suggestions.length > 0 && (
+            <ul role="listbox" aria-label="Mention suggestions" className="rounded-md border border-slate-200 bg-white py-1 shadow dark:border-slate-700 dark:bg-slate-800">
+              {suggestions.map((email) => (
+                <li key={email}>
+                  <button
+                    type="button"
+                    role="option"
+                    aria-selected="false"
+                    onClick={() => setDraft(completeMention(draft, email))}
+                    className="w-full px-2 py-1 text-left text-xs text-slate-700 hover:bg-slate-100 dark:text-slate-300 dark:hover:bg-slate-700"
+                  >
+                    {email}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          {error && <p className="text-xs text-red-500">{error}</p>}
+          <div className="flex justify-end">
+            <Button type="submit" size="sm" isLoading={isBusy} disabled={!draft.trim()}>
+              {thread ? "Reply" : "Comment"}
+            </Button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
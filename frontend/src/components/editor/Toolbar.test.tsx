@@ -137,6 +137,19 @@ describe('Toolbar', () => {
     expect(defaultProps.onExport).toHaveBeenCalledTimes(1);
   });
 
+  it('shows the searchable export button only when onExportSearchable is given', async () => {
+    const user = userEvent.setup();
+    const onExportSearchable = vi.fn();
+    const { rerender } = render(<Toolbar {...defaultProps} />);
+    expect(screen.queryByTitle('Export searchable PDF (uses the latest OCR)')).not.toBeInTheDocument();
+
+    rerender(<Toolbar {...defaultProps} onExportSearchable={onExportSearchable} />);
+    await user.click(screen.getByTitle('Export searchable PDF (uses the latest OCR)'));
+
+    expect(onExportSearchable).toHaveBeenCalledTimes(1);
+    expect(defaultProps.onExport).not.toHaveBeenCalled();
+  });
+
   it('Save button is disabled and shows loading spinner when isSaving=true', () => {
     render(<Toolbar {...defaultProps} isSaving={true} />);
 
@@ -245,4 +258,26 @@ describe('Toolbar', () => {
     expect(screen.getByTitle('Undo (Ctrl+Z)')).toBeDisabled();
     expect(screen.getByTitle('Redo (Ctrl+Shift+Z)')).toBeDisabled();
   });
+
+  it('leaves a viewer able to navigate and export but not annotate, save or run OCR', () => {
+    render(<Toolbar {...defaultProps} role="viewer" canUndo={true} />);
+
+    expect(screen.getByText('View only')).toBeInTheDocument();
+    expect(screen.getByTitle('Select \u2014 click text to edit')).not.toBeDisabled();
+    expect(screen.getByTitle('Text \u2014 click to place text')).toBeDisabled();
+    expect(screen.getByTitle('Undo (Ctrl+Z)')).toBeDisabled();
+    expect(screen.getByRole('button', { name: /save/i })).toBeDisabled();
+    expect(screen.getByTitle('Run OCR (requires Azure Document Intelligence)')).toBeDisabled();
+    expect(screen.getByRole('button', { name: /export/i })).not.toBeDisabled();
+  });
+
+  it('limits a commenter to text notes', () => {
+    render(<Toolbar {...defaultProps} role="commenter" />);
+
+    expect(screen.getByText('Comment only')).toBeInTheDocument();
+    expect(screen.getByTitle('Text \u2014 click to place text')).not.toBeDisabled();
+    expect(screen.getByTitle('Highlight \u2014 click & drag a region')).toBeDisabled();
+    expect(screen.getByTitle('Clear annotations')).toBeDisabled();
+    expect(screen.getByRole('button', { name: /save/i })).not.toBeDisabled();
+  });
 });
@@ -1,5 +1,7 @@
 import { Button } from "../ui/Button";
+import { Badge } from "../ui/Badge";
 import { cn } from "../../lib/cn";
+import { canUseTool, hasRole } from "../../lib/access";
 import {
   MousePointer2,
   Hand,
@@ -18,9 +20,10 @@ import {
   Save,
   Download,
   ScanText,
+  FileSearch,
   Trash2,
 } from "lucide-react";
-import type { AnnotationTool } from "../../types";
+import type { AnnotationTool, DocumentRole } from "../../types";
 
 interface ToolbarProps {
   activeTool: AnnotationTool;
@@ -34,6 +37,8 @@ interface ToolbarProps {
   onZoomOut: () => void;
   onSave: () => void;
   onExport: () => void;
+  // Exports with the latest OCR result as selectable text; hidden when not provided.
+  onExportSearchable?: () => void;
   onOCR: () => void;
   onClearAnnotations: () => void;
   onUndo: () => void;
@@ -42,6 +47,7 @@ interface ToolbarProps {
   canRedo: boolean;
   isSaving: boolean;
   canEdit: boolean;
+  role?: DocumentRole;
 }
 
 const tools: { id: AnnotationTool; icon: typeof MousePointer2; label: string; hint: string }[] = [
@@ -67,6 +73,7 @@ export function Toolbar({
   onZoomOut,
   onSave,
   onExport,
+  onExportSearchable,
   onOCR,
   onClearAnnotations,
   onUndo,
@@ -75,7 +82,11 @@ export function Toolbar({
   canRedo,
   isSaving,
   canEdit,
+  role = "owner",
 }: ToolbarProps) {
+  const canAnnotate = canEdit && hasRole(role, "commenter");
+  const canChangeAll = canEdit && hasRole(role, "editor");
+
   return (
     <div className="flex items-center gap-1 border-b border-slate-200 bg-white px-3 py-1.5 dark:border-slate-700 dark:bg-slate-900">
       {/* Tools */}
@@ -84,7 +95,7 @@ export function Toolbar({
           <button
             key={id}
             onClick={() => onToolChange(id)}
-            disabled={!canEdit && id !== "select" && id !== "pan"}
+            disabled={!canUseTool(canEdit ? role : null, id)}
             title={hint}
             className={cn(
               "rounded-md p-1.5 transition-colors",
@@ -105,7 +116,7 @@ export function Toolbar({
       <div className="flex items-center gap-0.5">
         <button
           onClick={onUndo}
-          disabled={!canUndo || !canEdit}
+          disabled={!canUndo || !canAnnotate}
           title="Undo (Ctrl+Z)"
           className={cn(
             "rounded-md p-1.5 transition-colors",
@@ -117,7 +128,7 @@ export function Toolbar({
         </button>
         <button
           onClick={onRedo}
-          disabled={!canRedo || !canEdit}
+          disabled={!canRedo || !canAnnotate}
           title="Redo (Ctrl+Shift+Z)"
           className={cn(
             "rounded-md p-1.5 transition-colors",
@@ -161,13 +172,16 @@ export function Toolbar({
 
       <div className="flex-1" />
 
+      {canEdit && role === "viewer" && <Badge variant="warning">View only</Badge>}
+      {canEdit && role === "commenter" && <Badge variant="info">Comment only</Badge>}
+
       {/* Actions */}
       <div className="flex items-center gap-1">
         <Button
           variant="ghost"
           size="sm"
           onClick={onClearAnnotations}
-          disabled={!canEdit}
+          disabled={!canChangeAll}
           title="Clear annotations"
         >
           <Trash2 className="h-4 w-4" />
@@ -176,11 +190,22 @@ export function Toolbar({
           variant="ghost"
           size="sm"
           onClick={onOCR}
-          disabled={!canEdit}
+          disabled={!canChangeAll}
           title="Run OCR (requires Azure Document Intelligence)"
         >
           <ScanText className="h-4 w-4" />
         </Button>
+        {onExportSearchable && (
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={onExportSearchable}
+            disabled={!canEdit}
+            title="Export searchable PDF (uses the latest OCR)"
+          >
+            <FileSearch className="h-4 w-4" />
+          </Button>
+        )}
         <Button
           variant="outline"
           size="sm"
@@ -194,7 +219,7 @@ export function Toolbar({
           variant="primary"
           size="sm"
           onClick={onSave}
-          disabled={!canEdit}
+          disabled={!canAnnotate}
           isLoading={isSaving}
           icon={<Save className="h-4 w-4" />}
         >
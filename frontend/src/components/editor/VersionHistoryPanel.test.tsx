@@ -0,0 +1,121 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { VersionHistoryPanel } from './VersionHistoryPanel';
+import type { AnnotationOperation, VersionDetail, VersionSummary } from '../../types';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function makeOp(opId: string, overrides: Partial<AnnotationOperation> = {}): AnnotationOperation {
+  return {
+    opId,
+    opType: 'highlight',
+    page: 1,
+    bounds: { x: 0, y: 0, w: 10, h: 10 },
+    author: 'a@example.com',
+    ts: '2026-01-01T00:00:00.000Z',
+    ...overrides,
+  };
+}
+
+function makeVersion(version: number, overrides: Partial<VersionSummary> = {}): VersionSummary {
+  return {
+    versionId: `v${version}`,
+    version,
+    operationCount: 0,
+    createdBy: 'a@example.com',
+    createdAt: '2026-01-01T00:00:00.000Z',
+    restoredFrom: null,
+    ...overrides,
+  };
+}
+
+const operationsByVersion: Record<string, AnnotationOperation[]> = {
+  v1: [makeOp('kept'), makeOp('gone', { opType: 'ink' })],
+  v2: [makeOp('kept', { page: 2 }), makeOp('new', { opType: 'text', page: 3 })],
+};
+
+const getVersion = vi.fn(async (versionId: string): Promise<VersionDetail> => ({
+  ...makeVersion(Number(versionId.slice(1))),
+  docId: 'doc-1',
+  annotations: { schemaVersion: '1.0', operations: operationsByVersion[versionId] ?? [] },
+}));
+
+function buildProps(overrides: Partial<Parameters<typeof VersionHistoryPanel>[0]> = {}) {
+  return {
+    versions: [makeVersion(2), makeVersion(1)],
+    currentVersionId: 'v2',
+    error: '',
+    getVersion,
+    onRestore: vi.fn(),
+    ...overrides,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+describe('VersionHistoryPanel', () => {
+  it('shows an empty state without versions', () => {
+    render(<VersionHistoryPanel {...buildProps({ versions: [] })} />);
+    expect(screen.getByText('No saved versions')).toBeInTheDocument();
+  });
+
+  it('lists versions and marks the current one', () => {
+    render(<VersionHistoryPanel {...buildProps()} />);
+    expect(screen.getAllByText('v2').length).toBeGreaterThan(0);
+    expect(screen.getByRole('button', { name: 'Restore v1' })).toBeInTheDocument();
+    expect(screen.getByText('current')).toBeInTheDocument();
+  });
+
+  it('shows where a version was restored from', () => {
+    render(<VersionHistoryPanel {...buildProps({ versions: [makeVersion(3, { restoredFrom: 'v1' }), makeVersion(2)], currentVersionId: 'v3' })} />);
+    expect(screen.getByText('restored from v1')).toBeInTheDocument();
+  });
+
+  it('offers restore only for non-current versions', async () => {
+    const user = userEvent.setup();
+    const props = buildProps();
+    render(<VersionHistoryPanel {...props} />);
+
+    expect(screen.queryByRole('button', { name: 'Restore v2' })).not.toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: 'Restore v1' }));
+
+    expect(props.onRestore).toHaveBeenCalledWith('v1');
+  });
+
+  it('hides restore when the caller cannot edit the document', () => {
+    render(<VersionHistoryPanel {...buildProps({ canRestore: false })} />);
+    expect(screen.queryByRole('button', { name: 'Restore v1' })).not.toBeInTheDocument();
+  });
+
+  it('diffs the two most recent versions by default', async () => {
+    render(<VersionHistoryPanel {...buildProps()} />);
+
+    await waitFor(() => expect(screen.getByText('added')).toBeInTheDocument());
+    expect(screen.getByText('text p.3')).toBeInTheDocument();
+    expect(screen.getByText('removed')).toBeInTheDocument();
+    expect(screen.getByText('ink p.1')).toBeInTheDocument();
+    expect(screen.getByText('changed')).toBeInTheDocument();
+    expect(screen.getByText('highlight p.2')).toBeInTheDocument();
+  });
+
+  it('reports no differences when comparing a version with itself', async () => {
+    const user = userEvent.setup();
+    render(<VersionHistoryPanel {...buildProps()} />);
+
+    await user.selectOptions(screen.getByLabelText('Compare from'), 'v2');
+
+    await waitFor(() => expect(screen.getByText('No differences')).toBeInTheDocument());
+  });
+
+  it('shows the error when a version cannot be loaded', async () => {
+    const failing = vi.fn(async () => { throw new Error('Version not found'); });
+    render(<VersionHistoryPanel {...buildProps({ getVersion: failing })} />);
+
+    await waitFor(() => expect(screen.getByText('Version not found')).toBeInTheDocument());
+  });
+});
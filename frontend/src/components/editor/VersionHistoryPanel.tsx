@@ -0,0 +1,147 @@
+import { useEffect, useState } from "react";
+import { Button } from "../ui/Button";
+import { Badge } from "../ui/Badge";
+import { History, RotateCcw } from "lucide-react";
+import { diffOperations, type OperationDiff } from "../../lib/operationDiff";
+import type { AnnotationOperation, VersionDetail, VersionSummary } from "../../types";
+
+interface VersionHistoryPanelProps {
+  versions: VersionSummary[];
+  currentVersionId: string;
+  error: string;
+  getVersion: (versionId: string) => Promise<VersionDetail>;
+  onRestore: (versionId: string) => void;
+  canRestore?: boolean;
+}
+
+function describeOp(op: AnnotationOperation) {
+  return `${op.opType} p.${op.page}`;
+}
+
+export function VersionHistoryPanel({ versions, currentVersionId, error, getVersion, onRestore, canRestore = true }: VersionHistoryPanelProps) {
+  const [fromId, setFromId] = useState("");
+  const [toId, setToId] = useState("");
+  const [diff, setDiff] = useState<OperationDiff | null>(null);
+  const [diffError, setDiffError] = useState("");
+
+  // Default to comparing the two most recent versions whenever the list changes.
+  useEffect(() => {
+    setToId(versions[0]?.versionId ?? "");
+    setFromId(versions[1]?.versionId ?? versions[0]?.versionId ?? "");
+  }, [versions]);
+
+  useEffect(() => {
+    if (!fromId || !toId) {
+      setDiff(null);
+      return;
+    }
+    let cancelled = false;
+    setDiffError("");
+    Promise.all([getVersion(fromId), getVersion(toId)])
+      .then(([from, to]) => {
+        if (!cancelled) setDiff(diffOperations(from.annotations.operations, to.annotations.operations));
+      })
+      .catch((err: Error) => {
+        if (!cancelled) setDiffError(err.message);
+      });
+    return () => { cancelled = true; };
+  }, [fromId, toId, getVersion]);
+
+  const selectClass =
+    "h-7 rounded-md border border-slate-300 bg-white px-1 text-xs dark:border-slate-600 dark:bg-slate-800 dark:text-slate-200";
+
+  return (
+    <div className="flex flex-col">
+      <div className="flex items-center justify-between border-b border-slate-200 px-4 py-3 dark:border-slate-700">
+        <div className="flex items-center gap-2">
+          <History className="h-4 w-4 text-slate-500" />
+          <h3 className="text-sm font-semibold text-slate-700 dark:text-slate-300">Versions</h3>
+        </div>
+        <Badge variant="default">{versions.length}</Badge>
+      </div>
+
+      {error && <p className="px-4 pt-2 text-xs text-red-500">{error}</p>}
+
+      {versions.length === 0 ? (
+        <div className="flex flex-col items-center justify-center py-12 text-center px-4">
+          <p className="text-sm text-slate-400">No saved versions</p>
+        </div>
+      ) : (
+        <>
+          <div className="flex flex-col gap-1 p-2">
+            {versions.map((v) => (
+              <div
+                key={v.versionId}
+                className="group flex items-center gap-2 rounded-lg border border-slate-100 p-2 dark:border-slate-800"
+              >
+                <div className="min-w-0 flex-1">
+                  <div className="flex items-center gap-2">
+                    <span className="text-sm font-medium text-slate-700 dark:text-slate-300">{v.versionId}</span>
+                    {v.versionId === currentVersionId && <Badge variant="success">current</Badge>}
+                    {v.restoredFrom && <span className="text-xs text-slate-400">restored from {v.restoredFrom}</span>}
+                  </div>
+                  <p className="truncate text-xs text-slate-500 dark:text-slate-400">
+                    {v.operationCount} ops &middot; {v.createdBy ?? "unknown"}
+                    {v.createdAt && <> &middot; {new Date(v.createdAt).toLocaleString()}</>}
+                  </p>
+                </div>
+                {canRestore && v.versionId !== currentVersionId && (
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => onRestore(v.versionId)}
+                    aria-label={`Restore ${v.versionId}`}
+                    className="!h-7 !w-7 !p-0"
+                  >
+                    <RotateCcw className="h-3.5 w-3.5" />
+                  </Button>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <div className="border-t border-slate-200 p-3 dark:border-slate-700">
+            <div className="flex items-center gap-2 text-xs text-slate-500">
+              <span>Compare</span>
+              <select aria-label="Compare from" className={selectClass} value={fromId} onChange={(e) => setFromId(e.target.value)}>
+                {versions.map((v) => <option key={v.versionId} value={v.versionId}>{v.versionId}</option>)}
+              </select>
+              <span>to</span>
+              <select aria-label="Compare to" className={selectClass} value={toId} onChange={(e) => setToId(e.target.value)}>
+                {versions.map((v) => <option key={v.versionId} value={v.versionId}>{v.versionId}</option>)}
+              </select>
+            </div>
+
+            {diffError && <p className="mt-2 text-xs text-red-500">{diffError}</p>}
+
+            {diff && (
+              <ul className="mt-2 flex flex-col gap-1 text-xs">
+                {diff.added.map((op) => (
+                  <li key={`add-${op.opId}`} className="flex items-center gap-2">
+                    <Badge variant="success">added</Badge>
+                    <span className="text-slate-600 dark:text-slate-300">{describeOp(op)}</span>
+                  </li>
+                ))}
+                {diff.removed.map((op) => (
+                  <li key={`rm-${op.opId}`} className="flex items-center gap-2">
+                    <Badge variant="error">removed</Badge>
+                    <span className="text-slate-600 dark:text-slate-300">{describeOp(op)}</span>
+                  </li>
+                ))}
+                {diff.changed.map(({ after }) => (
+                  <li key={`chg-${after.opId}`} className="flex items-center gap-2">
+                    <Badge variant="warning">changed</Badge>
+                    <span className="text-slate-600 dark:text-slate-300">{describeOp(after)}</span>
+                  </li>
+                ))}
+                {diff.added.length + diff.removed.length + diff.changed.length === 0 && (
+                  <li className="text-slate-400">No differences</li>
+                )}
+              </ul>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -87,4 +87,16 @@ describe('Header', () => {
     expect(signOutButton).toBeInTheDocument();
     expect(signOutButton).toHaveTextContent('Sign out');
   });
+
+  it('shows an avatar for each collaborator with the document open', () => {
+    const collaborators = [
+      { clientId: 'c1', email: 'bob@example.com', color: '#2563eb', cursor: null, lastSeen: 0 },
+      { clientId: 'c2', email: 'carol@example.com', color: '#16a34a', cursor: null, lastSeen: 0 },
+    ];
+
+    render(<Header {...defaultProps} collaborators={collaborators} />);
+
+    expect(screen.getByLabelText('2 collaborators online')).toBeInTheDocument();
+    expect(screen.getByTitle('bob@example.com')).toHaveTextContent('b');
+  });
 });
@@ -9,6 +9,7 @@ import {
   ChevronDown,
   User,
 } from "lucide-react";
+import type { CollabPeer } from "../../hooks/useCollaboration";
 import type { Theme } from "../../types";
 
 interface HeaderProps {
@@ -17,9 +18,11 @@ interface HeaderProps {
   theme: Theme;
   onToggleTheme: () => void;
   onLogout: () => void;
+  // Other people with the same document open right now.
+  collaborators?: CollabPeer[];
 }
 
-export function Header({ fileName, email, theme, onToggleTheme, onLogout }: HeaderProps) {
+export function Header({ fileName, email, theme, onToggleTheme, onLogout, collaborators = [] }: HeaderProps) {
   const [menuOpen, setMenuOpen] = useState(false);
 
   return (
@@ -42,6 +45,20 @@ export function Header({ fileName, email, theme, onToggleTheme, onLogout }: Head
       </div>
 
       <div className="flex items-center gap-2">
+        {collaborators.length > 0 && (
+          <div className="flex -space-x-2" aria-label={`${collaborators.length} collaborator${collaborators.length === 1 ? "" : "s"} online`}>
+            {collaborators.map((peer) => (
+              <div
+                key={peer.clientId}
+                title={peer.email}
+                className="flex h-7 w-7 items-center justify-center rounded-full text-xs font-semibold uppercase text-white ring-2 ring-white dark:ring-slate-900"
+                style={{ backgroundColor: peer.color }}
+              >
+                {peer.email.charAt(0)}
+              </div>
+            ))}
+          </div>
+        )}
         <Button variant="ghost" size="sm" onClick={onToggleTheme} aria-label="Toggle theme">
           {theme === "light" ? <Moon className="h-4 w-4" /> : <Sun className="h-4 w-4" />}
         </Button>
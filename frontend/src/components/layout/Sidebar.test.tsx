@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { render, screen, waitFor } from '@testing-library/react';
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import { Sidebar } from './Sidebar';
 
@@ -138,4 +138,210 @@ describe('Sidebar', () => {
     expect(onUpload).toHaveBeenCalledOnce();
     expect(onUpload).toHaveBeenCalledWith(file);
   });
+
+  // Image conversion ---------------------------------------------------------
+  it('accepts several images when they can be converted', () => {
+    render(<Sidebar {...buildProps({ onConvertImages: vi.fn() })} />);
+
+    const input = document.querySelector<HTMLInputElement>('input[type="file"]')!;
+    expect(input.accept).toBe('application/pdf,image/jpeg,image/png,image/tiff');
+    expect(input.multiple).toBe(true);
+    expect(screen.getByText('Upload PDF or images')).toBeInTheDocument();
+  });
+
+  it('asks for page options before converting the chosen images', async () => {
+    const user = userEvent.setup();
+    const onConvertImages = vi.fn();
+    const onUpload = vi.fn();
+    render(<Sidebar {...buildProps({ onConvertImages, onUpload })} />);
+
+    const images = [
+      new File(['a'], 'front.jpg', { type: 'image/jpeg' }),
+      new File(['b'], 'back.tif', { type: 'image/tiff' }),
+    ];
+    await user.upload(document.querySelector<HTMLInputElement>('input[type="file"]')!, images);
+
+    expect(screen.getByText('2 images to PDF')).toBeInTheDocument();
+    expect(screen.getByLabelText('Orientation')).toBeDisabled();
+    await user.selectOptions(screen.getByLabelText('Page size'), 'a4');
+    await user.selectOptions(screen.getByLabelText('Orientation'), 'landscape');
+    await user.click(screen.getByRole('button', { name: 'Convert' }));
+
+    expect(onConvertImages).toHaveBeenCalledWith(images, { pageSize: 'a4', orientation: 'landscape' });
+    expect(onUpload).not.toHaveBeenCalled();
+    expect(screen.queryByRole('form', { name: 'Convert images' })).not.toBeInTheDocument();
+  });
+
+  it('still uploads a single PDF directly and turns down mixed selections', async () => {
+    const user = userEvent.setup();
+    const onConvertImages = vi.fn();
+    const onUpload = vi.fn();
+    render(<Sidebar {...buildProps({ onConvertImages, onUpload })} />);
+    const input = document.querySelector<HTMLInputElement>('input[type="file"]')!;
+
+    const pdf = new File(['%PDF-1.4'], 'sample.pdf', { type: 'application/pdf' });
+    await user.upload(input, pdf);
+    expect(onUpload).toHaveBeenCalledWith(pdf);
+
+    await user.upload(input, [pdf, new File(['a'], 'front.png', { type: 'image/png' })]);
+    expect(screen.getByText('Choose one PDF, or one or more JPEG, PNG or TIFF images.')).toBeInTheDocument();
+    expect(onConvertImages).not.toHaveBeenCalled();
+    expect(onUpload).toHaveBeenCalledOnce();
+  });
+
+  it('shows the upload status under the upload button', () => {
+    render(<Sidebar {...buildProps({ uploadStatus: <p>Uploading 40%</p> })} />);
+
+    expect(screen.getByText('Uploading 40%')).toBeInTheDocument();
+  });
+
+  // Library tab -------------------------------------------------------------
+  it('does not render tabs when no library is provided', () => {
+    render(<Sidebar {...buildProps()} />);
+
+    expect(screen.queryByRole('tab')).not.toBeInTheDocument();
+  });
+
+  it('switches between the page strip and the library', async () => {
+    const user = userEvent.setup();
+    render(
+      <Sidebar
+        {...buildProps({ isDocLoaded: false, library: <p>Library contents</p> })}
+      />,
+    );
+
+    expect(screen.getByRole('tab', { name: 'Pages' })).toHaveAttribute('aria-selected', 'true');
+    expect(screen.queryByText('Library contents')).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole('tab', { name: 'Library' }));
+
+    expect(screen.getByText('Library contents')).toBeInTheDocument();
+    expect(screen.queryByText('No document loaded')).not.toBeInTheDocument();
+  });
+
+  // Page organization -------------------------------------------------------
+  it('offers no page actions without pageEditing', () => {
+    render(<Sidebar {...buildProps({ totalPages: 2, isDocLoaded: true })} />);
+
+    expect(screen.queryByRole('button', { name: 'Rotate page 1' })).not.toBeInTheDocument();
+  });
+
+  it('previews rotate, duplicate, insert and delete edits and applies them in order', async () => {
+    const user = userEvent.setup();
+    const onApply = vi.fn().mockResolvedValue(undefined);
+    render(
+      <Sidebar
+        {...buildProps({ totalPages: 2, isDocLoaded: true, pageEditing: { isApplying: false, onApply } })}
+      />,
+    );
+
+    await user.click(screen.getByRole('button', { name: 'Rotate page 1' }));
+    await user.click(screen.getByRole('button', { name: 'Duplicate page 2' }));
+    await user.click(screen.getByRole('button', { name: 'Insert blank page after 1' }));
+    await user.click(screen.getByRole('button', { name: 'Delete page 4' }));
+
+    expect(screen.getAllByTestId('page-thumbnail')).toHaveLength(3);
+    expect(screen.getByText('Blank')).toBeInTheDocument();
+    expect(screen.getByText('4 pending changes')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Apply' }));
+
+    expect(onApply).toHaveBeenCalledWith([
+      { type: 'rotate', page: 1, degrees: 90 },
+      { type: 'duplicate', page: 2 },
+      { type: 'insertBlank', after: 1 },
+      { type: 'delete', page: 4 },
+    ]);
+  });
+
+  it('records a move when a thumbnail is dropped on another', async () => {
+    const onApply = vi.fn().mockResolvedValue(undefined);
+    render(
+      <Sidebar
+        {...buildProps({ totalPages: 3, isDocLoaded: true, pageEditing: { isApplying: false, onApply } })}
+      />,
+    );
+
+    const thumbnails = screen.getAllByTestId('page-thumbnail');
+    fireEvent.dragStart(thumbnails[2]);
+    fireEvent.dragOver(thumbnails[0]);
+    fireEvent.drop(thumbnails[0]);
+    fireEvent.click(screen.getByRole('button', { name: 'Apply' }));
+
+    expect(onApply).toHaveBeenCalledWith([{ type: 'move', page: 3, to: 1 }]);
+  });
+
+  it('discards pending edits', async () => {
+    const user = userEvent.setup();
+    render(
+      <Sidebar
+        {...buildProps({ totalPages: 2, isDocLoaded: true, pageEditing: { isApplying: false, onApply: vi.fn() } })}
+      />,
+    );
+
+    await user.click(screen.getByRole('button', { name: 'Delete page 2' }));
+    expect(screen.getAllByTestId('page-thumbnail')).toHaveLength(1);
+
+    await user.click(screen.getByRole('button', { name: 'Discard' }));
+
+    expect(screen.getAllByTestId('page-thumbnail')).toHaveLength(2);
+    expect(screen.queryByText(/pending change/)).not.toBeInTheDocument();
+  });
+
+  it('locks page actions while a pages job is running', () => {
+    render(
+      <Sidebar
+        {...buildProps({ totalPages: 2, isDocLoaded: true, pageEditing: { isApplying: true, onApply: vi.fn() } })}
+      />,
+    );
+
+    expect(screen.getByText('Applying page changes…')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Rotate page 1' })).not.toBeInTheDocument();
+    expect(screen.getAllByTestId('page-thumbnail')[0]).toHaveAttribute('draggable', 'false');
+  });
+
+  it('splits the document by the ranges typed in', async () => {
+    const user = userEvent.setup();
+    const onSplit = vi.fn().mockResolvedValue('job-1');
+    render(<Sidebar {...buildProps({ totalPages: 4, isDocLoaded: true, splitting: { isSplitting: false, onSplit } })} />);
+
+    await user.click(screen.getByRole('button', { name: /split into documents/i }));
+    await user.type(screen.getByLabelText('Page ranges'), ' 1-2, 3-4 ');
+    await user.click(screen.getByRole('button', { name: 'Split' }));
+
+    expect(onSplit).toHaveBeenCalledWith('1-2, 3-4');
+    await waitFor(() => expect(screen.queryByLabelText('Page ranges')).not.toBeInTheDocument());
+  });
+
+  it('keeps the ranges up when the split is not queued', async () => {
+    const user = userEvent.setup();
+    const onSplit = vi.fn().mockResolvedValue(undefined);
+    render(<Sidebar {...buildProps({ totalPages: 4, isDocLoaded: true, splitting: { isSplitting: false, onSplit } })} />);
+
+    await user.click(screen.getByRole('button', { name: /split into documents/i }));
+    await user.type(screen.getByLabelText('Page ranges'), '4-9');
+    await user.click(screen.getByRole('button', { name: 'Split' }));
+
+    expect(onSplit).toHaveBeenCalledOnce();
+    expect(screen.getByLabelText('Page ranges')).toHaveValue('4-9');
+  });
+
+  it('hides splitting while page edits are pending', async () => {
+    const user = userEvent.setup();
+    render(
+      <Sidebar
+        {...buildProps({
+          totalPages: 2,
+          isDocLoaded: true,
+          pageEditing: { isApplying: false, onApply: vi.fn() },
+          splitting: { isSplitting: false, onSplit: vi.fn() },
+        })}
+      />,
+    );
+    expect(screen.getByRole('button', { name: /split into documents/i })).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Rotate page 1' }));
+
+    expect(screen.queryByRole('button', { name: /split into documents/i })).not.toBeInTheDocument();
+  });
 });
@@ -1,7 +1,25 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, type ReactNode } from "react";
 import { cn } from "../../lib/cn";
+import { planPageEdits, type PlannedPage } from "../../lib/pageEdits";
 import { Button } from "../ui/Button";
-import { Upload, PanelLeftClose, PanelLeft } from "lucide-react";
+import { Input } from "../ui/Input";
+import { Upload, PanelLeftClose, PanelLeft, Library, RotateCw, Copy, FilePlus, Trash2, Scissors } from "lucide-react";
+import type { ConvertOptions, PageEdit } from "../../types";
+
+export interface PageOrganizer {
+  // A pages job for this document is queued or running.
+  isApplying: boolean;
+  // Queues the edits. They stay on screen as a preview until the rebuilt document loads.
+  onApply: (edits: PageEdit[]) => Promise<unknown>;
+}
+
+export interface PageSplitter {
+  // A split job for this document is queued or running.
+  isSplitting: boolean;
+  // Queues a split of ranges such as "1-3, 4, 5-8"; each range becomes a new document.
+  // Resolves to something truthy once queued, otherwise the ranges stay up for correction.
+  onSplit: (pages: string) => Promise<unknown>;
+}
 
 interface SidebarProps {
   totalPages: number;
@@ -10,11 +28,42 @@ interface SidebarProps {
   onUpload: (file: File) => void;
   getThumbnail: (page: number) => Promise<string>;
   isDocLoaded: boolean;
+  library?: ReactNode;
+  // Progress of the current or interrupted upload, shown under the upload button.
+  uploadStatus?: ReactNode;
+  // Present for editors: reorder by drag and drop, rotate, duplicate, insert and delete pages.
+  pageEditing?: PageOrganizer;
+  // Present for anyone who can read the document.
+  splitting?: PageSplitter;
+  // Present when JPEG, PNG and TIFF files may be picked; they are converted into one PDF.
+  onConvertImages?: (files: File[], options: ConvertOptions) => void;
 }
 
-export function Sidebar({ totalPages, currentPage, onGoToPage, onUpload, getThumbnail, isDocLoaded }: SidebarProps) {
+type SidebarTab = "pages" | "library";
+
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/tiff"];
+
+const selectClass =
+  "h-7 rounded-md border border-slate-300 bg-white px-1 text-xs dark:border-slate-600 dark:bg-slate-800 dark:text-slate-200";
+
+export function Sidebar({ totalPages, currentPage, onGoToPage, onUpload, getThumbnail, isDocLoaded, library, uploadStatus, pageEditing, splitting, onConvertImages }: SidebarProps) {
   const [collapsed, setCollapsed] = useState(false);
+  const [tab, setTab] = useState<SidebarTab>("pages");
+  const showLibrary = Boolean(library) && tab === "library";
   const [thumbnails, setThumbnails] = useState<Record<number, string>>({});
+  const [edits, setEdits] = useState<PageEdit[]>([]);
+  const [dragFrom, setDragFrom] = useState<number | null>(null);
+  const [splitOpen, setSplitOpen] = useState(false);
+  const [splitPages, setSplitPages] = useState("");
+  const [images, setImages] = useState<File[]>([]);
+  const [pageSize, setPageSize] = useState<ConvertOptions["pageSize"]>("fit");
+  const [orientation, setOrientation] = useState<ConvertOptions["orientation"]>("auto");
+  const [pickError, setPickError] = useState("");
+
+  // A newly loaded file (another document, or the result of applied edits) starts clean.
+  useEffect(() => {
+    setEdits([]);
+  }, [totalPages, getThumbnail]);
 
   useEffect(() => {
     if (totalPages === 0) {
@@ -38,11 +87,52 @@ export function Sidebar({ totalPages, currentPage, onGoToPage, onUpload, getThum
   }, [totalPages, getThumbnail]);
 
   const handleFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
-    const file = e.target.files?.[0];
-    if (file) onUpload(file);
+    const files = Array.from(e.target.files ?? []);
     e.target.value = "";
+    setPickError("");
+    if (files.length === 0) return;
+    const isImage = (file: File) => IMAGE_TYPES.includes(file.type);
+    if (files.length === 1 && !isImage(files[0])) {
+      onUpload(files[0]);
+    } else if (onConvertImages && files.every(isImage)) {
+      setImages(files);
+    } else {
+      setPickError("Choose one PDF, or one or more JPEG, PNG or TIFF images.");
+    }
+  };
+
+  const handleConvert = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!onConvertImages || images.length === 0) return;
+    onConvertImages(images, { pageSize, orientation });
+    setImages([]);
+  };
+
+  const pages: PlannedPage[] = planPageEdits(totalPages, edits);
+  const canEditPages = Boolean(pageEditing) && !pageEditing?.isApplying;
+  const addEdit = (edit: PageEdit) => setEdits((prev) => [...prev, edit]);
+
+  const handleDrop = (to: number) => {
+    if (dragFrom !== null && dragFrom !== to) addEdit({ type: "move", page: dragFrom, to });
+    setDragFrom(null);
+  };
+
+  const handleApply = async () => {
+    if (!pageEditing || edits.length === 0) return;
+    await pageEditing.onApply(edits);
   };
 
+  const handleSplit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!splitting || !splitPages.trim()) return;
+    if (!(await splitting.onSplit(splitPages.trim()))) return;
+    setSplitOpen(false);
+    setSplitPages("");
+  };
+
+  // Ranges refer to the pages as saved, so splitting waits for pending edits to be applied or discarded.
+  const showSplit = Boolean(splitting) && !showLibrary && isDocLoaded && edits.length === 0 && !pageEditing?.isApplying;
+
   if (collapsed) {
     return (
       <div className="flex w-12 flex-col items-center border-r border-slate-200 bg-slate-50 py-3 dark:border-slate-700 dark:bg-slate-900">
@@ -56,9 +146,31 @@ export function Sidebar({ totalPages, currentPage, onGoToPage, onUpload, getThum
   return (
     <aside className="flex w-56 flex-col border-r border-slate-200 bg-slate-50 dark:border-slate-700 dark:bg-slate-900 lg:w-64">
       <div className="flex items-center justify-between border-b border-slate-200 px-3 py-2 dark:border-slate-700">
-        <span className="text-xs font-semibold uppercase tracking-wider text-slate-500 dark:text-slate-400">
-          Pages
-        </span>
+        {library ? (
+          <div className="flex items-center gap-1" role="tablist">
+            {(["pages", "library"] as const).map((value) => (
+              <button
+                key={value}
+                role="tab"
+                aria-selected={tab === value}
+                onClick={() => setTab(value)}
+                className={cn(
+                  "flex items-center gap-1 rounded-md px-2 py-1 text-xs font-semibold uppercase tracking-wider transition-colors",
+                  tab === value
+                    ? "bg-slate-200 text-slate-700 dark:bg-slate-700 dark:text-slate-200"
+                    : "text-slate-500 hover:text-slate-700 dark:text-slate-400 dark:hover:text-slate-200"
+                )}
+              >
+                {value === "library" && <Library className="h-3.5 w-3.5" />}
+                {value === "pages" ? "Pages" : "Library"}
+              </button>
+            ))}
+          </div>
+        ) : (
+          <span className="text-xs font-semibold uppercase tracking-wider text-slate-500 dark:text-slate-400">
+            Pages
+          </span>
+        )}
         <Button variant="ghost" size="sm" onClick={() => setCollapsed(true)} aria-label="Collapse sidebar">
           <PanelLeftClose className="h-4 w-4" />
         </Button>
@@ -66,54 +178,232 @@ export function Sidebar({ totalPages, currentPage, onGoToPage, onUpload, getThum
 
       <div className="p-3">
         <label className="cursor-pointer">
-          <input type="file" accept="application/pdf" onChange={handleFileChange} className="hidden" />
+          <input
+            type="file"
+            accept={onConvertImages ? ["application/pdf", ...IMAGE_TYPES].join(",") : "application/pdf"}
+            multiple={Boolean(onConvertImages)}
+            onChange={handleFileChange}
+            className="hidden"
+          />
           <div className="flex items-center justify-center gap-2 rounded-lg border-2 border-dashed border-slate-300 px-3 py-2.5 text-sm font-medium text-slate-600 hover:border-brand-400 hover:text-brand-600 transition-colors dark:border-slate-600 dark:text-slate-400 dark:hover:border-brand-500 dark:hover:text-brand-400">
             <Upload className="h-4 w-4" />
-            Upload PDF
+            {onConvertImages ? "Upload PDF or images" : "Upload PDF"}
           </div>
         </label>
+        {pickError && <p className="mt-2 text-xs text-red-600 dark:text-red-400">{pickError}</p>}
+        {images.length > 0 && (
+          <form
+            onSubmit={handleConvert}
+            aria-label="Convert images"
+            className="mt-2 flex flex-col gap-2 rounded-lg border border-slate-200 p-2 dark:border-slate-700"
+          >
+            <p className="truncate text-xs font-medium text-slate-700 dark:text-slate-200">
+              {images.length === 1 ? images[0].name : `${images.length} images`} to PDF
+            </p>
+            <label className="flex items-center justify-between gap-2 text-xs text-slate-600 dark:text-slate-400">
+              Page size
+              <select
+                aria-label="Page size"
+                className={selectClass}
+                value={pageSize}
+                onChange={(e) => setPageSize(e.target.value as ConvertOptions["pageSize"])}
+              >
+                <option value="fit">Fit to image</option>
+                <option value="a4">A4</option>
+                <option value="letter">Letter</option>
+                <option value="legal">Legal</option>
+              </select>
+            </label>
+            <label className="flex items-center justify-between gap-2 text-xs text-slate-600 dark:text-slate-400">
+              Orientation
+              <select
+                aria-label="Orientation"
+                className={selectClass}
+                value={orientation}
+                disabled={pageSize === "fit"}
+                onChange={(e) => setOrientation(e.target.value as ConvertOptions["orientation"])}
+              >
+                <option value="auto">Match image</option>
+                <option value="portrait">Portrait</option>
+                <option value="landscape">Landscape</option>
+              </select>
+            </label>
+            <div className="flex items-center justify-end gap-1">
+              <Button type="button" variant="ghost" size="sm" onClick={() => setImages([])}>
+                Cancel
+              </Button>
+              <Button type="submit" size="sm">
+                Convert
+              </Button>
+            </div>
+          </form>
+        )}
+        {uploadStatus}
       </div>
 
-      <div className="flex-1 overflow-y-auto px-3 pb-3">
-        {!isDocLoaded && (
-          <div className="flex flex-col items-center justify-center py-12 text-center">
-            <p className="text-xs text-slate-400">No document loaded</p>
+      {showLibrary ? (
+        <div className="flex-1 overflow-y-auto px-3 pb-3">{library}</div>
+      ) : (
+        <div className="flex-1 overflow-y-auto px-3 pb-3">
+          {!isDocLoaded && (
+            <div className="flex flex-col items-center justify-center py-12 text-center">
+              <p className="text-xs text-slate-400">No document loaded</p>
+            </div>
+          )}
+
+          <div className="flex flex-col gap-2">
+            {pages.map((entry, index) => {
+              const position = index + 1;
+              const sourcePage = entry.source === null ? null : entry.source + 1;
+              const isCurrent = edits.length === 0 ? position === currentPage : sourcePage === currentPage;
+              const thumbnail = sourcePage === null ? undefined : thumbnails[sourcePage];
+              return (
+                <div
+                  key={index}
+                  draggable={canEditPages}
+                  onDragStart={(e) => {
+                    e.dataTransfer?.setData("text/plain", String(position));
+                    setDragFrom(position);
+                  }}
+                  onDragOver={(e) => {
+                    if (dragFrom !== null) e.preventDefault();
+                  }}
+                  onDrop={(e) => {
+                    e.preventDefault();
+                    handleDrop(position);
+                  }}
+                  onDragEnd={() => setDragFrom(null)}
+                  data-testid="page-thumbnail"
+                  className={cn("group relative", dragFrom === position && "opacity-50")}
+                >
+                  <button
+                    onClick={() => sourcePage !== null && onGoToPage(sourcePage)}
+                    className={cn(
+                      "flex w-full flex-col items-center gap-1 rounded-lg p-2 transition-colors",
+                      isCurrent
+                        ? "bg-brand-50 ring-2 ring-brand-500 dark:bg-brand-900/30"
+                        : "hover:bg-slate-100 dark:hover:bg-slate-800"
+                    )}
+                  >
+                    {entry.source === null ? (
+                      <div className="flex aspect-[8.5/11] w-full items-center justify-center rounded border border-dashed border-slate-300 bg-white text-[10px] text-slate-400 dark:border-slate-600 dark:bg-slate-800">
+                        Blank
+                      </div>
+                    ) : thumbnail ? (
+                      <img
+                        src={thumbnail}
+                        alt={`Page ${position}`}
+                        style={entry.rotate ? { transform: `rotate(${entry.rotate}deg)${entry.rotate % 180 ? " scale(0.75)" : ""}` } : undefined}
+                        className="w-full rounded border border-slate-200 shadow-sm transition-transform dark:border-slate-700"
+                      />
+                    ) : (
+                      <div className="aspect-[8.5/11] w-full rounded border border-slate-200 bg-white dark:border-slate-700 dark:bg-slate-800" />
+                    )}
+                    <span className={cn(
+                      "text-xs",
+                      isCurrent
+                        ? "font-medium text-brand-700 dark:text-brand-400"
+                        : "text-slate-500 dark:text-slate-400"
+                    )}>
+                      {position}
+                    </span>
+                  </button>
+
+                  {canEditPages && (
+                    <div className="absolute right-1 top-1 flex flex-col gap-0.5 rounded-md bg-white/90 p-0.5 opacity-0 shadow-sm transition-opacity focus-within:opacity-100 group-hover:opacity-100 dark:bg-slate-800/90">
+                      <PageAction label={`Rotate page ${position}`} onClick={() => addEdit({ type: "rotate", page: position, degrees: 90 })}>
+                        <RotateCw className="h-3.5 w-3.5" />
+                      </PageAction>
+                      <PageAction label={`Duplicate page ${position}`} onClick={() => addEdit({ type: "duplicate", page: position })}>
+                        <Copy className="h-3.5 w-3.5" />
+                      </PageAction>
+                      <PageAction label={`Insert blank page after ${position}`} onClick={() => addEdit({ type: "insertBlank", after: position })}>
+                        <FilePlus className="h-3.5 w-3.5" />
+                      </PageAction>
+                      <PageAction
+                        label={`Delete page ${position}`}
+                        disabled={pages.length === 1}
+                        onClick={() => addEdit({ type: "delete", page: position })}
+                      >
+                        <Trash2 className="h-3.5 w-3.5" />
+                      </PageAction>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
           </div>
-        )}
+        </div>
+      )}
 
-        <div className="flex flex-col gap-2">
-          {Array.from({ length: totalPages }, (_, i) => i + 1).map((pageNum) => (
-            <button
-              key={pageNum}
-              onClick={() => onGoToPage(pageNum)}
-              className={cn(
-                "group flex flex-col items-center gap-1 rounded-lg p-2 transition-colors",
-                pageNum === currentPage
-                  ? "bg-brand-50 ring-2 ring-brand-500 dark:bg-brand-900/30"
-                  : "hover:bg-slate-100 dark:hover:bg-slate-800"
-              )}
+      {pageEditing && !showLibrary && (edits.length > 0 || pageEditing.isApplying) && (
+        <div className="flex items-center justify-between gap-2 border-t border-slate-200 px-3 py-2 dark:border-slate-700">
+          <span className="text-xs text-slate-500 dark:text-slate-400">
+            {pageEditing.isApplying
+              ? "Applying page changes…"
+              : `${edits.length} pending change${edits.length === 1 ? "" : "s"}`}
+          </span>
+          <div className="flex items-center gap-1">
+            <Button variant="ghost" size="sm" disabled={pageEditing.isApplying} onClick={() => setEdits([])}>
+              Discard
+            </Button>
+            <Button size="sm" isLoading={pageEditing.isApplying} disabled={edits.length === 0} onClick={handleApply}>
+              Apply
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {splitting && showSplit && (
+        <div className="border-t border-slate-200 px-3 py-2 dark:border-slate-700">
+          {splitOpen ? (
+            <form onSubmit={handleSplit} className="flex flex-col gap-2">
+              <Input
+                aria-label="Page ranges"
+                placeholder="1-3, 4, 5-8"
+                value={splitPages}
+                onChange={(e) => setSplitPages(e.target.value)}
+                autoFocus
+              />
+              <p className="text-xs text-slate-500 dark:text-slate-400">Each range becomes a new document.</p>
+              <div className="flex items-center justify-end gap-1">
+                <Button type="button" variant="ghost" size="sm" disabled={splitting.isSplitting} onClick={() => setSplitOpen(false)}>
+                  Cancel
+                </Button>
+                <Button type="submit" size="sm" isLoading={splitting.isSplitting} disabled={!splitPages.trim()}>
+                  Split
+                </Button>
+              </div>
+            </form>
+          ) : (
+            <Button
+              variant="ghost"
+              size="sm"
+              className="w-full"
+              icon={<Scissors className="h-4 w-4" />}
+              isLoading={splitting.isSplitting}
+              onClick={() => setSplitOpen(true)}
             >
-              {thumbnails[pageNum] ? (
-                <img
-                  src={thumbnails[pageNum]}
-                  alt={`Page ${pageNum}`}
-                  className="w-full rounded border border-slate-200 shadow-sm dark:border-slate-700"
-                />
-              ) : (
-                <div className="aspect-[8.5/11] w-full rounded border border-slate-200 bg-white dark:border-slate-700 dark:bg-slate-800" />
-              )}
-              <span className={cn(
-                "text-xs",
-                pageNum === currentPage
-                  ? "font-medium text-brand-700 dark:text-brand-400"
-                  : "text-slate-500 dark:text-slate-400"
-              )}>
-                {pageNum}
-              </span>
-            </button>
-          ))}
+              {splitting.isSplitting ? "Splitting…" : "Split into documents"}
+            </Button>
+          )}
         </div>
-      </div>
+      )}
     </aside>
   );
 }
+
+function PageAction({ label, onClick, disabled, children }: { label: string; onClick: () => void; disabled?: boolean; children: ReactNode }) {
+  return (
+    <button
+      type="button"
+      aria-label={label}
+      title={label}
+      disabled={disabled}
+      onClick={onClick}
+      className="rounded p-1 text-slate-500 hover:bg-slate-100 hover:text-slate-700 disabled:opacity-40 dark:text-slate-400 dark:hover:bg-slate-700 dark:hover:text-slate-200"
+    >
+      {children}
+    </button>
+  );
+}
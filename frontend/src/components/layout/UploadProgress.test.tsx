@@ -0,0 +1,60 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { UploadProgress } from './UploadProgress';
+import type { UploadProgress as Progress } from '../../types';
+
+function makeProgress(overrides: Partial<Progress> = {}): Progress {
+  return { fileName: 'binder.pdf', loaded: 50, total: 200, status: 'uploading', error: '', ...overrides };
+}
+
+function renderProgress(props: Partial<Parameters<typeof UploadProgress>[0]> = {}) {
+  const handlers = { onPause: vi.fn(), onResume: vi.fn(), onCancel: vi.fn(), onDiscard: vi.fn() };
+  render(<UploadProgress progress={null} interrupted={null} {...handlers} {...props} />);
+  return handlers;
+}
+
+describe('UploadProgress', () => {
+  it('renders nothing without an upload', () => {
+    renderProgress();
+    expect(screen.queryByTestId('upload-progress')).toBeNull();
+    expect(screen.queryByTestId('upload-interrupted')).toBeNull();
+  });
+
+  it('shows the percentage and pauses or cancels a running upload', async () => {
+    const handlers = renderProgress({ progress: makeProgress() });
+
+    expect(screen.getByRole('progressbar')).toHaveAttribute('aria-valuenow', '25');
+    expect(screen.getByText('25%')).toBeInTheDocument();
+
+    await userEvent.click(screen.getByRole('button', { name: /Pause/ }));
+    await userEvent.click(screen.getByRole('button', { name: /Cancel/ }));
+    expect(handlers.onPause).toHaveBeenCalledOnce();
+    expect(handlers.onCancel).toHaveBeenCalledOnce();
+  });
+
+  it('offers Resume when paused and Retry with the error when failed', async () => {
+    const handlers = renderProgress({ progress: makeProgress({ status: 'failed', error: 'Block 2 of 5 failed (500)' }) });
+
+    expect(screen.getByText('Block 2 of 5 failed (500)')).toBeInTheDocument();
+    await userEvent.click(screen.getByRole('button', { name: /Retry/ }));
+    expect(handlers.onResume).toHaveBeenCalledOnce();
+    expect(screen.queryByRole('button', { name: /Pause/ })).toBeNull();
+  });
+
+  it('hides the controls while the server checks the file', () => {
+    renderProgress({ progress: makeProgress({ loaded: 200, status: 'verifying' }) });
+    expect(screen.getByText('Checking file…')).toBeInTheDocument();
+    expect(screen.queryByRole('button')).toBeNull();
+  });
+
+  it('asks for the same file again after a reload and can discard it', async () => {
+    const handlers = renderProgress({
+      interrupted: { docId: 'doc-1', fileName: 'binder.pdf', size: 10, lastModified: 1, blockSize: 4, staged: [0] },
+    });
+
+    expect(screen.getByTestId('upload-interrupted')).toHaveTextContent('stopped at 40%');
+    await userEvent.click(screen.getByRole('button', { name: 'Discard' }));
+    expect(handlers.onDiscard).toHaveBeenCalledOnce();
+  });
+});
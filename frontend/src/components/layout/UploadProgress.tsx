@@ -0,0 +1,89 @@
+import { Button } from "../ui/Button";
+import { Pause, Play, RotateCw, X } from "lucide-react";
+import type { PendingUpload } from "../../lib/blockUpload";
+import type { UploadProgress as Progress } from "../../types";
+
+interface UploadProgressProps {
+  progress: Progress | null;
+  interrupted: PendingUpload | null;
+  onPause: () => void;
+  onResume: () => void;
+  onCancel: () => void;
+  onDiscard: () => void;
+}
+
+function percent(loaded: number, total: number) {
+  return total > 0 ? Math.floor((loaded / total) * 100) : 0;
+}
+
+const statusLabels: Record<Progress["status"], string> = {
+  uploading: "Uploading",
+  paused: "Paused",
+  failed: "Upload failed",
+  verifying: "Checking file…",
+};
+
+export function UploadProgress({ progress, interrupted, onPause, onResume, onCancel, onDiscard }: UploadProgressProps) {
+  if (progress) {
+    const value = percent(progress.loaded, progress.total);
+    return (
+      <div className="mt-2 rounded-lg border border-slate-200 p-2 dark:border-slate-700" data-testid="upload-progress">
+        <div className="flex items-center justify-between gap-2">
+          <p className="truncate text-xs font-medium text-slate-700 dark:text-slate-200" title={progress.fileName}>
+            {progress.fileName}
+          </p>
+          <span className="text-xs text-slate-500 dark:text-slate-400">{value}%</span>
+        </div>
+        <div
+          role="progressbar"
+          aria-label={`Uploading ${progress.fileName}`}
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-valuenow={value}
+          className="mt-1.5 h-1.5 overflow-hidden rounded-full bg-slate-200 dark:bg-slate-700"
+        >
+          <div className="h-full bg-brand-500 transition-all" style={{ width: `${value}%` }} />
+        </div>
+        <p className="mt-1 text-xs text-slate-500 dark:text-slate-400">{statusLabels[progress.status]}</p>
+        {progress.error && <p className="mt-1 text-xs text-red-600 dark:text-red-400">{progress.error}</p>}
+        {progress.status !== "verifying" && (
+          <div className="mt-1.5 flex gap-1">
+            {progress.status === "uploading" ? (
+              <Button variant="ghost" size="sm" onClick={onPause} icon={<Pause className="h-3.5 w-3.5" />}>
+                Pause
+              </Button>
+            ) : (
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={onResume}
+                icon={progress.status === "failed" ? <RotateCw className="h-3.5 w-3.5" /> : <Play className="h-3.5 w-3.5" />}
+              >
+                {progress.status === "failed" ? "Retry" : "Resume"}
+              </Button>
+            )}
+            <Button variant="ghost" size="sm" onClick={onCancel} icon={<X className="h-3.5 w-3.5" />}>
+              Cancel
+            </Button>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  if (interrupted) {
+    const value = percent(Math.min(interrupted.staged.length * interrupted.blockSize, interrupted.size), interrupted.size);
+    return (
+      <div className="mt-2 rounded-lg border border-amber-200 bg-amber-50 p-2 text-xs text-amber-800 dark:border-amber-800 dark:bg-amber-900/20 dark:text-amber-300" data-testid="upload-interrupted">
+        <p>
+          Upload of <span className="font-medium">{interrupted.fileName}</span> stopped at {value}%. Choose the same file to resume.
+        </p>
+        <Button variant="ghost" size="sm" className="mt-1" onClick={onDiscard}>
+          Discard
+        </Button>
+      </div>
+    );
+  }
+
+  return null;
+}
@@ -0,0 +1,158 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { LibraryPanel } from './LibraryPanel';
+import type { DocumentSummary } from '../../types';
+
+function makeDoc(overrides: Partial<DocumentSummary> = {}): DocumentSummary {
+  return {
+    docId: 'doc-1',
+    title: 'contract.pdf',
+    ownerEmail: 'owner@example.com',
+    role: 'owner',
+    pageCount: 12,
+    version: 3,
+    createdAt: '2026-01-01T00:00:00.000Z',
+    updatedAt: '2026-01-02T10:00:00.000Z',
+    readUrl: 'https://blob/doc-1',
+    ...overrides,
+  };
+}
+
+function buildProps(overrides: Partial<Parameters<typeof LibraryPanel>[0]> = {}) {
+  return {
+    documents: [makeDoc()],
+    currentDocId: '',
+    isLoading: false,
+    error: '',
+    hasMore: false,
+    onOpen: vi.fn(),
+    onRefresh: vi.fn(),
+    onLoadMore: vi.fn(),
+    ...overrides,
+  };
+}
+
+describe('LibraryPanel', () => {
+  it('shows the "My documents" heading', () => {
+    render(<LibraryPanel {...buildProps()} />);
+    expect(screen.getByText('My documents')).toBeInTheDocument();
+  });
+
+  it('labels shared documents with their owner and your role', () => {
+    render(<LibraryPanel {...buildProps({
+      title: 'Shared with me',
+      documents: [makeDoc({ role: 'commenter', ownerEmail: 'colleague@example.com' })],
+    })} />);
+    expect(screen.getByText('Shared with me')).toBeInTheDocument();
+    expect(screen.getByText('commenter')).toBeInTheDocument();
+    expect(screen.getByText('Shared by colleague@example.com')).toBeInTheDocument();
+  });
+
+  it('does not label documents you own', () => {
+    render(<LibraryPanel {...buildProps()} />);
+    expect(screen.queryByText(/Shared by/)).not.toBeInTheDocument();
+  });
+
+  it('lists title, page count and version for each document', () => {
+    render(<LibraryPanel {...buildProps()} />);
+    expect(screen.getByText('contract.pdf')).toBeInTheDocument();
+    expect(screen.getByText('12 pages')).toBeInTheDocument();
+    expect(screen.getByText('v3')).toBeInTheDocument();
+  });
+
+  it('shows a placeholder when the page count is unknown', () => {
+    render(<LibraryPanel {...buildProps({ documents: [makeDoc({ pageCount: null })] })} />);
+    expect(screen.getByText('? pages')).toBeInTheDocument();
+  });
+
+  it('shows the last-modified time', () => {
+    render(<LibraryPanel {...buildProps()} />);
+    expect(screen.getByText(new Date('2026-01-02T10:00:00.000Z').toLocaleString())).toBeInTheDocument();
+  });
+
+  it('calls onOpen with the clicked document', async () => {
+    const user = userEvent.setup();
+    const props = buildProps();
+    render(<LibraryPanel {...props} />);
+
+    await user.click(screen.getByText('contract.pdf'));
+
+    expect(props.onOpen).toHaveBeenCalledWith(props.documents[0]);
+  });
+
+  it('shows an empty state when there are no documents', () => {
+    render(<LibraryPanel {...buildProps({ documents: [] })} />);
+    expect(screen.getByText('No documents yet')).toBeInTheDocument();
+  });
+
+  it('shows the error message', () => {
+    render(<LibraryPanel {...buildProps({ documents: [], error: 'Request failed (500)' })} />);
+    expect(screen.getByText('Request failed (500)')).toBeInTheDocument();
+    expect(screen.queryByText('No documents yet')).not.toBeInTheDocument();
+  });
+
+  it('calls onRefresh from the refresh button', async () => {
+    const user = userEvent.setup();
+    const props = buildProps();
+    render(<LibraryPanel {...props} />);
+
+    await user.click(screen.getByRole('button', { name: 'Refresh documents' }));
+
+    expect(props.onRefresh).toHaveBeenCalledTimes(1);
+  });
+
+  it('offers "Load more" only when more documents exist', async () => {
+    const user = userEvent.setup();
+    const props = buildProps({ hasMore: true });
+    const { rerender } = render(<LibraryPanel {...props} />);
+
+    await user.click(screen.getByRole('button', { name: 'Load more' }));
+    expect(props.onLoadMore).toHaveBeenCalledTimes(1);
+
+    rerender(<LibraryPanel {...props} hasMore={false} />);
+    expect(screen.queryByRole('button', { name: 'Load more' })).not.toBeInTheDocument();
+  });
+
+  it('offers merging only when onMerge is given and there is something to merge', () => {
+    const { rerender } = render(<LibraryPanel {...buildProps({ documents: [makeDoc(), makeDoc({ docId: 'doc-2' })] })} />);
+    expect(screen.queryByRole('button', { name: 'Merge documents' })).not.toBeInTheDocument();
+
+    rerender(<LibraryPanel {...buildProps({ onMerge: vi.fn() })} />);
+    expect(screen.queryByRole('button', { name: 'Merge documents' })).not.toBeInTheDocument();
+  });
+
+  it('merges the picked documents in the order they were picked', async () => {
+    const user = userEvent.setup();
+    const onOpen = vi.fn();
+    const onMerge = vi.fn().mockResolvedValue(undefined);
+    const first = makeDoc({ docId: 'doc-1', title: 'first.pdf' });
+    const second = makeDoc({ docId: 'doc-2', title: 'second.pdf' });
+    render(<LibraryPanel {...buildProps({ documents: [first, second], onOpen, onMerge })} />);
+
+    await user.click(screen.getByRole('button', { name: 'Merge documents' }));
+    expect(screen.getByRole('button', { name: 'Merge 0' })).toBeDisabled();
+
+    await user.click(screen.getByRole('button', { name: /second\.pdf/ }));
+    await user.click(screen.getByRole('button', { name: /first\.pdf/ }));
+
+    expect(screen.getAllByTestId('merge-order').map((el) => el.textContent)).toEqual(['2', '1']);
+    await user.click(screen.getByRole('button', { name: 'Merge 2' }));
+
+    expect(onOpen).not.toHaveBeenCalled();
+    expect(onMerge).toHaveBeenCalledWith([second, first]);
+    expect(screen.queryByTestId('merge-order')).not.toBeInTheDocument();
+  });
+
+  it('leaves merge mode without merging on cancel', async () => {
+    const user = userEvent.setup();
+    const onMerge = vi.fn();
+    render(<LibraryPanel {...buildProps({ documents: [makeDoc(), makeDoc({ docId: 'doc-2' })], onMerge })} />);
+
+    await user.click(screen.getByRole('button', { name: 'Merge documents' }));
+    await user.click(screen.getByRole('button', { name: 'Cancel' }));
+
+    expect(onMerge).not.toHaveBeenCalled();
+    expect(screen.queryByTestId('merge-order')).not.toBeInTheDocument();
+  });
+});
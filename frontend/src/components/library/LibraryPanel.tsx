@@ -0,0 +1,168 @@
+import { useState } from "react";
+import { cn } from "../../lib/cn";
+import { Button } from "../ui/Button";
+import { Badge } from "../ui/Badge";
+import { Combine, FileText, RefreshCw } from "lucide-react";
+import type { DocumentSummary } from "../../types";
+
+interface LibraryPanelProps {
+  title?: string;
+  emptyMessage?: string;
+  documents: DocumentSummary[];
+  currentDocId: string;
+  isLoading: boolean;
+  error: string;
+  hasMore: boolean;
+  onOpen: (doc: DocumentSummary) => void;
+  onRefresh: () => void;
+  onLoadMore: () => void;
+  // Enables picking documents, in order, to combine into a new one.
+  onMerge?: (docs: DocumentSummary[]) => Promise<unknown>;
+}
+
+function formatModified(value: string | null) {
+  if (!value) return "—";
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? "—" : date.toLocaleString();
+}
+
+export function LibraryPanel({
+  title = "My documents",
+  emptyMessage = "No documents yet",
+  documents,
+  currentDocId,
+  isLoading,
+  error,
+  hasMore,
+  onOpen,
+  onRefresh,
+  onLoadMore,
+  onMerge,
+}: LibraryPanelProps) {
+  const [isSelecting, setIsSelecting] = useState(false);
+  const [selected, setSelected] = useState<string[]>([]);
+  const [isMerging, setIsMerging] = useState(false);
+
+  const stopSelecting = () => {
+    setIsSelecting(false);
+    setSelected([]);
+  };
+
+  const toggleSelected = (docId: string) => {
+    setSelected((prev) => (prev.includes(docId) ? prev.filter((id) => id !== docId) : [...prev, docId]));
+  };
+
+  const handleMerge = async () => {
+    if (!onMerge) return;
+    setIsMerging(true);
+    try {
+      const ordered = selected
+        .map((docId) => documents.find((doc) => doc.docId === docId))
+        .filter((doc): doc is DocumentSummary => Boolean(doc));
+      await onMerge(ordered);
+      stopSelecting();
+    } finally {
+      setIsMerging(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-col">
+      <div className="flex items-center justify-between pb-2">
+        <span className="text-xs font-semibold uppercase tracking-wider text-slate-500 dark:text-slate-400">
+          {title}
+        </span>
+        <div className="flex items-center">
+          {onMerge && documents.length >= 2 && (
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => (isSelecting ? stopSelecting() : setIsSelecting(true))}
+              aria-label="Merge documents"
+              aria-pressed={isSelecting}
+            >
+              <Combine className="h-3.5 w-3.5" />
+            </Button>
+          )}
+          <Button variant="ghost" size="sm" onClick={onRefresh} disabled={isLoading} aria-label="Refresh documents">
+            <RefreshCw className={cn("h-3.5 w-3.5", isLoading && "animate-spin")} />
+          </Button>
+        </div>
+      </div>
+
+      {isSelecting && (
+        <p className="pb-2 text-xs text-slate-500 dark:text-slate-400">Pick documents in the order they should appear.</p>
+      )}
+
+      {error && <p className="pb-2 text-xs text-red-500">{error}</p>}
+
+      {!isLoading && !error && documents.length === 0 && (
+        <p className="py-8 text-center text-xs text-slate-400">{emptyMessage}</p>
+      )}
+
+      <div className="flex flex-col gap-1">
+        {documents.map((doc) => {
+          const order = selected.indexOf(doc.docId) + 1;
+          return (
+            <button
+              key={doc.docId}
+              onClick={() => (isSelecting ? toggleSelected(doc.docId) : onOpen(doc))}
+              aria-pressed={isSelecting ? order > 0 : undefined}
+              className={cn(
+                "flex items-start gap-2 rounded-lg p-2 text-left transition-colors",
+                (isSelecting ? order > 0 : doc.docId === currentDocId)
+                  ? "bg-brand-50 ring-2 ring-brand-500 dark:bg-brand-900/30"
+                  : "hover:bg-slate-100 dark:hover:bg-slate-800"
+              )}
+            >
+              {isSelecting ? (
+                <span
+                  data-testid="merge-order"
+                  className={cn(
+                    "mt-0.5 flex h-4 w-4 shrink-0 items-center justify-center rounded-full border text-[10px] font-semibold",
+                    order > 0 ? "border-brand-500 bg-brand-500 text-white" : "border-slate-300 dark:border-slate-600"
+                  )}
+                >
+                  {order > 0 ? order : ""}
+                </span>
+              ) : (
+                <FileText className="mt-0.5 h-4 w-4 shrink-0 text-slate-400" />
+              )}
+              <div className="min-w-0 flex-1">
+                <p className="truncate text-sm font-medium text-slate-700 dark:text-slate-300">
+                  {doc.title || doc.docId}
+                </p>
+                <div className="mt-1 flex items-center gap-1.5 text-xs text-slate-400">
+                  <span>{doc.pageCount === null ? "? pages" : `${doc.pageCount} ${doc.pageCount === 1 ? "page" : "pages"}`}</span>
+                  <Badge variant="default">v{doc.version}</Badge>
+                  {doc.role !== "owner" && <Badge variant="info">{doc.role}</Badge>}
+                </div>
+                {doc.role !== "owner" && (
+                  <p className="mt-0.5 truncate text-xs text-slate-400">Shared by {doc.ownerEmail}</p>
+                )}
+                <p className="mt-0.5 text-xs text-slate-400">{formatModified(doc.updatedAt)}</p>
+              </div>
+            </button>
+          );
+        })}
+      </div>
+
+      {isSelecting && (
+        <div className="mt-2 flex items-center justify-end gap-1">
+          <Button variant="ghost" size="sm" onClick={stopSelecting} disabled={isMerging}>
+            Cancel
+          </Button>
+          <Button size="sm" onClick={handleMerge} disabled={selected.length < 2} isLoading={isMerging}>
+            Merge {selected.length}
+          </Button>
+        </div>
+      )}
+
+      {hasMore && (
+        <Button variant="outline" size="sm" className="mt-2" onClick={onLoadMore} isLoading={isLoading}>
+          Load more
+        </Button>
+      )}
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { renderHook, act } from '@testing-library/react';
 import { useAnnotations } from './useAnnotations';
+import type { AnnotationOperation } from '../types';
 
 vi.mock('../lib/api', () => ({ apiJson: vi.fn() }));
 import { apiJson } from '../lib/api';
@@ -118,6 +119,27 @@ describe('useAnnotations', () => {
     expect(result.current.ops).toHaveLength(0);
   });
 
+  it('loadAnnotations replaces the ops with a saved set', () => {
+    const { result } = renderHook(() => useAnnotations(TOKEN, DOC_ID, AUTHOR));
+    const saved: AnnotationOperation[] = [{
+      opId: 'saved-1',
+      opType: 'shape',
+      page: 2,
+      bounds: { x: 1, y: 2, w: 3, h: 4 },
+      author: 'someone@example.com',
+      ts: '2026-01-01T00:00:00.000Z',
+    }];
+
+    act(() => {
+      result.current.addAnnotation('highlight', 1);
+    });
+    act(() => {
+      result.current.loadAnnotations(saved);
+    });
+
+    expect(result.current.ops).toEqual(saved);
+  });
+
   it('setActiveTool changes the active tool', () => {
     const { result } = renderHook(() => useAnnotations(TOKEN, DOC_ID, AUTHOR));
 
@@ -251,4 +273,148 @@ describe('useAnnotations', () => {
 
     expect(result.current.isSaving).toBe(false);
   });
+
+  describe('optimistic concurrency', () => {
+    function makeOp(opId: string): AnnotationOperation {
+      return {
+        opId,
+        opType: 'highlight',
+        page: 1,
+        bounds: { x: 0, y: 0, w: 10, h: 10 },
+        author: AUTHOR,
+        ts: '2026-01-01T00:00:00.000Z',
+      };
+    }
+
+    function conflictError(currentVersion: number, operations: AnnotationOperation[]) {
+      return Object.assign(new Error('Document was saved by another session'), {
+        status: 409,
+        code: 'conflict',
+        details: {
+          currentVersion,
+          currentVersionId: `v${currentVersion}`,
+          annotations: { schemaVersion: '1.0', operations },
+        },
+      });
+    }
+
+    it('sends the loaded version as baseVersion and advances it after a save', async () => {
+      vi.mocked(apiJson).mockResolvedValue({ ok: true, version: 4, versionId: 'v4' });
+      const { result } = renderHook(() => useAnnotations(TOKEN, DOC_ID, AUTHOR));
+
+      act(() => {
+        result.current.loadAnnotations([makeOp('a')], 3);
+      });
+      await act(async () => {
+        await result.current.saveAnnotations();
+      });
+
+      expect(apiJson).toHaveBeenCalledWith(
+        `/docs/${DOC_ID}/save-annotation`,
+        'POST',
+        TOKEN,
+        { schemaVersion: '1.0', operations: [makeOp('a')], baseVersion: 3 }
+      );
+      expect(result.current.baseVersion).toBe(4);
+    });
+
+    it('adopts a newer version saved by a live collaborator but never goes backwards', async () => {
+      vi.mocked(apiJson).mockResolvedValue({ ok: true, version: 7, versionId: 'v7' });
+      const { result } = renderHook(() => useAnnotations(TOKEN, DOC_ID, AUTHOR));
+
+      act(() => {
+        result.current.loadAnnotations([makeOp('a')], 3);
+      });
+      act(() => {
+        result.current.adoptVersion(6, ['a']);
+      });
+      act(() => {
+        result.current.adoptVersion(5, []);
+      });
+      expect(result.current.baseVersion).toBe(6);
+
+      await act(async () => {
+        await result.current.saveAnnotations();
+      });
+      expect(vi.mocked(apiJson).mock.calls[0][3]).toMatchObject({ baseVersion: 6 });
+    });
+
+    it('records the server version when the save is rejected with 409', async () => {
+      vi.mocked(apiJson).mockRejectedValue(conflictError(5, [makeOp('remote')]));
+      const { result } = renderHook(() => useAnnotations(TOKEN, DOC_ID, AUTHOR));
+
+      act(() => {
+        result.current.loadAnnotations([makeOp('a')], 3);
+      });
+      await act(async () => {
+        await expect(result.current.saveAnnotations()).rejects.toThrow('another session');
+      });
+
+      expect(result.current.conflict?.currentVersionId).toBe('v5');
+    });
+
+    it('merge combines local and server operations by opId and rebases', async () => {
+      const { result } = renderHook(() => useAnnotations(TOKEN, DOC_ID, AUTHOR));
+
+      act(() => {
+        result.current.loadAnnotations([makeOp('base'), makeOp('gone')], 3);
+      });
+      act(() => {
+        result.current.setOps([makeOp('base'), makeOp('mine')]);
+      });
+      vi.mocked(apiJson).mockRejectedValue(conflictError(5, [makeOp('base'), makeOp('gone'), makeOp('theirs')]));
+      await act(async () => {
+        await result.current.saveAnnotations().catch(() => undefined);
+      });
+
+      act(() => {
+        result.current.resolveConflict('merge');
+      });
+
+      expect(result.current.ops.map((op) => op.opId)).toEqual(['base', 'theirs', 'mine']);
+      expect(result.current.baseVersion).toBe(5);
+      expect(result.current.conflict).toBeNull();
+    });
+
+    it('"theirs" replaces local operations with the server copy', async () => {
+      vi.mocked(apiJson).mockRejectedValue(conflictError(5, [makeOp('remote')]));
+      const { result } = renderHook(() => useAnnotations(TOKEN, DOC_ID, AUTHOR));
+
+      act(() => {
+        result.current.loadAnnotations([makeOp('local')], 3);
+      });
+      await act(async () => {
+        await result.current.saveAnnotations().catch(() => undefined);
+      });
+      act(() => {
+        result.current.resolveConflict('theirs');
+      });
+
+      expect(result.current.ops.map((op) => op.opId)).toEqual(['remote']);
+    });
+
+    it('"mine" keeps local operations but saves against the server version next time', async () => {
+      vi.mocked(apiJson).mockRejectedValueOnce(conflictError(5, [makeOp('remote')]));
+      const { result } = renderHook(() => useAnnotations(TOKEN, DOC_ID, AUTHOR));
+
+      act(() => {
+        result.current.loadAnnotations([makeOp('local')], 3);
+      });
+      await act(async () => {
+        await result.current.saveAnnotations().catch(() => undefined);
+      });
+      act(() => {
+        result.current.resolveConflict('mine');
+      });
+
+      vi.mocked(apiJson).mockResolvedValueOnce({ ok: true, version: 6, versionId: 'v6' });
+      await act(async () => {
+        await result.current.saveAnnotations();
+      });
+
+      expect(result.current.ops.map((op) => op.opId)).toEqual(['local']);
+      expect(vi.mocked(apiJson).mock.calls[1][3]).toMatchObject({ baseVersion: 5 });
+    });
+  });
 });
+
@@ -1,11 +1,20 @@
-import { useState, useCallback } from "react";
+import { useState, useCallback, useRef } from "react";
 import { apiJson } from "../lib/api";
-import type { AnnotationOperation, AnnotationTool } from "../types";
+import type { ApiError } from "../lib/api";
+import { mergeOperations } from "../lib/mergeOperations";
+import type { AnnotationOperation, AnnotationTool, SaveAnnotationResponse, SaveConflict } from "../types";
+
+export type ConflictResolution = "merge" | "theirs" | "mine";
 
 export function useAnnotations(token: string, docId: string, author: string) {
   const [ops, setOps] = useState<AnnotationOperation[]>([]);
   const [activeTool, setActiveTool] = useState<AnnotationTool>("select");
   const [isSaving, setIsSaving] = useState(false);
+  // Server version the local edits are based on (0 = unknown; the server refuses such a save)
+  // and the opIds that version held, used to tell local deletions from remote additions.
+  const [baseVersion, setBaseVersion] = useState(0);
+  const baseOpIdsRef = useRef<string[]>([]);
+  const [conflict, setConflict] = useState<SaveConflict | null>(null);
 
   const addAnnotation = useCallback(
     (opType: AnnotationOperation["opType"], page: number, bounds?: { x: number; y: number; w: number; h: number }, payload?: Record<string, unknown>) => {
@@ -32,21 +41,69 @@ export function useAnnotations(token: string, docId: string, author: string) {
     setOps([]);
   }, []);
 
+  const loadAnnotations = useCallback((saved: AnnotationOperation[], version?: number) => {
+    setOps(saved);
+    if (version !== undefined) {
+      setBaseVersion(version);
+      baseOpIdsRef.current = saved.map((op) => op.opId);
+      setConflict(null);
+    }
+  }, []);
+
   const saveAnnotations = useCallback(async () => {
     if (!token || !docId) return;
     setIsSaving(true);
     try {
-      const result = await apiJson<{ ok: boolean; versionId: string }>(
+      const result = await apiJson<SaveAnnotationResponse>(
         `/docs/${docId}/save-annotation`,
         "POST",
         token,
-        { schemaVersion: "1.0", operations: ops }
+        { schemaVersion: "1.0", operations: ops, ...(baseVersion > 0 ? { baseVersion } : {}) }
       );
+      if (result.version) {
+        setBaseVersion(result.version);
+        baseOpIdsRef.current = ops.map((op) => op.opId);
+      }
+      setConflict(null);
       return result.versionId;
+    } catch (err) {
+      const apiError = err as ApiError;
+      if (apiError.status === 409 && apiError.details) {
+        setConflict(apiError.details as SaveConflict);
+      }
+      throw err;
     } finally {
       setIsSaving(false);
     }
-  }, [token, docId, ops]);
+  }, [token, docId, ops, baseVersion]);
+
+  // Another live session saved the set we are both editing; rebase onto its version
+  // so our next save is not reported as a conflict.
+  const adoptVersion = useCallback((version: number, opIds: string[]) => {
+    setBaseVersion((current) => {
+      if (version <= current) return current;
+      baseOpIdsRef.current = opIds;
+      return version;
+    });
+  }, []);
+
+  // Settles a save conflict. "merge" combines both sets by opId, "theirs" takes the
+  // server copy, "mine" keeps local ops; all three rebase onto the server version.
+  const resolveConflict = useCallback(
+    (resolution: ConflictResolution) => {
+      if (!conflict) return;
+      const serverOps = conflict.annotations.operations;
+      if (resolution === "merge") {
+        setOps(mergeOperations(ops, serverOps, baseOpIdsRef.current));
+      } else if (resolution === "theirs") {
+        setOps(serverOps);
+      }
+      setBaseVersion(conflict.currentVersion);
+      baseOpIdsRef.current = serverOps.map((op) => op.opId);
+      setConflict(null);
+    },
+    [conflict, ops]
+  );
 
   return {
     ops,
@@ -56,7 +113,12 @@ export function useAnnotations(token: string, docId: string, author: string) {
     addAnnotation,
     removeAnnotation,
     clearAnnotations,
+    loadAnnotations,
     saveAnnotations,
     isSaving,
+    baseVersion,
+    conflict,
+    resolveConflict,
+    adoptVersion,
   };
 }
@@ -0,0 +1,312 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { useState } from 'react';
+import { useCollaboration } from './useCollaboration';
+import type { AnnotationOperation, CollabNegotiateResponse } from '../types';
+
+vi.mock('../lib/api', () => ({ apiJson: vi.fn() }));
+import { apiJson } from '../lib/api';
+
+const mockApiJson = apiJson as ReturnType<typeof vi.fn>;
+
+const TOKEN = 'test-token';
+const DOC_ID = 'doc-123';
+
+class FakeSocket {
+  static OPEN = 1;
+  static instances: FakeSocket[] = [];
+  readyState = 0;
+  sent: Array<Record<string, any>> = [];
+  onopen: (() => void) | null = null;
+  onmessage: ((event: { data: string }) => void) | null = null;
+  onclose: (() => void) | null = null;
+
+  constructor(public url: string, public protocol: string) {
+    FakeSocket.instances.push(this);
+  }
+
+  send(data: string) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.readyState = 3;
+    this.onclose?.();
+  }
+
+  open() {
+    this.readyState = FakeSocket.OPEN;
+    this.onopen?.();
+  }
+
+  receive(fromUserId: string, data: unknown, group = `doc.${DOC_ID}`) {
+    this.onmessage?.({ data: JSON.stringify({ type: 'message', from: 'group', fromUserId, group, dataType: 'json', data }) });
+  }
+
+  sentData(group: string) {
+    return this.sent.filter((m) => m.type === 'sendToGroup' && m.group === group).map((m) => m.data);
+  }
+
+  lastSent(group: string) {
+    const data = this.sentData(group);
+    return data[data.length - 1];
+  }
+}
+
+function session(overrides: Partial<CollabNegotiateResponse> = {}): CollabNegotiateResponse {
+  return {
+    docId: DOC_ID,
+    url: 'ws://localhost:7072/client/hubs/annotations?access_token=abc',
+    expiresOn: '2030-01-01T00:00:00.000Z',
+    hub: 'annotations',
+    groups: { ops: `doc.${DOC_ID}`, presence: `doc.${DOC_ID}.presence` },
+    userId: 'me@example.com',
+    role: 'editor',
+    canPublish: true,
+    ...overrides,
+  };
+}
+
+function makeOp(opId: string, note = 'note'): AnnotationOperation {
+  return { opId, opType: 'highlight', page: 1, bounds: { x: 1, y: 2, w: 3, h: 4 }, author: 'me@example.com', payload: { note }, ts: '2026-01-01T00:00:00.000Z' };
+}
+
+function renderCollab(initial: AnnotationOperation[] = [], onRemoteSave = vi.fn()) {
+  return renderHook(() => {
+    const [ops, setOps] = useState(initial);
+    const collab = useCollaboration({ token: TOKEN, docId: DOC_ID, ops, setOps, onRemoteSave });
+    return { ops, setOps, collab };
+  });
+}
+
+async function connected(initial: AnnotationOperation[] = [], overrides: Partial<CollabNegotiateResponse> = {}, onRemoteSave = vi.fn()) {
+  mockApiJson.mockResolvedValueOnce(session(overrides));
+  const hook = renderCollab(initial, onRemoteSave);
+  await waitFor(() => expect(FakeSocket.instances).toHaveLength(1));
+  const socket = FakeSocket.instances[0];
+  act(() => socket.open());
+  return { ...hook, socket };
+}
+
+beforeEach(() => {
+  mockApiJson.mockReset();
+  FakeSocket.instances = [];
+  vi.stubGlobal('WebSocket', FakeSocket);
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+});
+
+describe('useCollaboration', () => {
+  it('negotiates, connects with the Web PubSub subprotocol and says hello on the presence group', async () => {
+    const { result, socket } = await connected();
+
+    expect(mockApiJson).toHaveBeenCalledWith(`/docs/${DOC_ID}/collab/negotiate`, 'POST', TOKEN);
+    expect(socket.url).toContain('access_token=abc');
+    expect(socket.protocol).toBe('json.webpubsub.azure.v1');
+    expect(result.current.collab.status).toBe('live');
+    expect(result.current.collab.canPublish).toBe(true);
+    expect(socket.sentData(`doc.${DOC_ID}.presence`)).toEqual([expect.objectContaining({ kind: 'hello' })]);
+  });
+
+  it('broadcasts local additions and removals with increasing stamps', async () => {
+    const { result, socket } = await connected([makeOp('a')]);
+
+    act(() => result.current.setOps((prev) => [...prev, makeOp('b')]));
+    act(() => result.current.setOps((prev) => prev.filter((op) => op.opId !== 'a')));
+
+    const sent = socket.sentData(`doc.${DOC_ID}`);
+    expect(sent).toHaveLength(2);
+    expect(sent[0].changes).toEqual([{ opId: 'b', op: makeOp('b'), stamp: { clock: 1, clientId: sent[0].clientId } }]);
+    expect(sent[1].changes).toEqual([{ opId: 'a', op: null, stamp: { clock: 2, clientId: sent[0].clientId } }]);
+    expect(socket.sent.every((m) => m.noEcho === true)).toBe(true);
+  });
+
+  it('keeps edits local for a viewer who may not publish', async () => {
+    const { result, socket } = await connected([], { role: 'viewer', canPublish: false });
+
+    act(() => result.current.setOps([makeOp('a')]));
+
+    expect(socket.sentData(`doc.${DOC_ID}`)).toEqual([]);
+    expect(result.current.collab.canPublish).toBe(false);
+  });
+
+  it('applies remote changes without echoing them back', async () => {
+    const { result, socket } = await connected([makeOp('a'), makeOp('b')]);
+
+    act(() =>
+      socket.receive('peer@example.com', {
+        kind: 'ops',
+        clientId: 'peer',
+        changes: [
+          { opId: 'a', op: makeOp('a', 'edited'), stamp: { clock: 3, clientId: 'peer' } },
+          { opId: 'b', op: null, stamp: { clock: 4, clientId: 'peer' } },
+          { opId: 'c', op: makeOp('c'), stamp: { clock: 5, clientId: 'peer' } },
+        ],
+      })
+    );
+
+    expect(result.current.ops).toEqual([makeOp('a', 'edited'), makeOp('c')]);
+    expect(socket.sentData(`doc.${DOC_ID}`)).toEqual([]);
+    expect(result.current.collab.peers).toEqual([expect.objectContaining({ clientId: 'peer', email: 'peer@example.com' })]);
+  });
+
+  it('ignores annotation changes and saves a commenter sends on the presence group', async () => {
+    const onRemoteSave = vi.fn();
+    const theirs = { ...makeOp('a'), author: 'owner@example.com' };
+    const { result, socket } = await connected([theirs], {}, onRemoteSave);
+
+    act(() => {
+      socket.receive(
+        'commenter@example.com',
+        { kind: 'ops', clientId: 'commenter', changes: [{ opId: 'a', op: null, stamp: { clock: 9, clientId: 'commenter' } }] },
+        `doc.${DOC_ID}.presence`
+      );
+      socket.receive('commenter@example.com', { kind: 'saved', clientId: 'commenter', version: 9, opIds: [] }, `doc.${DOC_ID}.presence`);
+    });
+
+    expect(result.current.ops).toEqual([theirs]);
+    expect(onRemoteSave).not.toHaveBeenCalled();
+  });
+
+  it('keeps the local value when a remote change for the same annotation carries an older stamp', async () => {
+    const { result, socket } = await connected([makeOp('a')]);
+
+    act(() => result.current.setOps([makeOp('a', 'mine')]));
+    act(() =>
+      socket.receive('peer@example.com', {
+        kind: 'ops',
+        clientId: 'peer',
+        changes: [{ opId: 'a', op: makeOp('a', 'theirs'), stamp: { clock: 0, clientId: 'peer' } }],
+      })
+    );
+
+    expect(result.current.ops).toEqual([makeOp('a', 'mine')]);
+  });
+
+  it('answers a newcomer with everything it holds, removals included', async () => {
+    const { result, socket } = await connected([makeOp('a'), makeOp('b')]);
+    act(() => result.current.setOps([makeOp('a')]));
+
+    act(() => socket.receive('new@example.com', { kind: 'hello', clientId: 'newcomer' }));
+
+    const sync = socket.lastSent(`doc.${DOC_ID}`);
+    expect(sync.kind).toBe('ops');
+    expect(sync.changes.map((c: { opId: string; op: unknown }) => [c.opId, c.op === null])).toEqual([
+      ['a', false],
+      ['b', true],
+    ]);
+    expect(sync.changes[0].stamp).toEqual({ clock: 0, clientId: '' });
+    expect(socket.lastSent(`doc.${DOC_ID}.presence`)).toEqual(expect.objectContaining({ kind: 'presence' }));
+  });
+
+  it('does not broadcast a set loaded from the server after rebase', async () => {
+    const { result, socket } = await connected();
+
+    act(() => {
+      result.current.collab.rebase([makeOp('a')]);
+      result.current.setOps([makeOp('a')]);
+    });
+
+    expect(socket.sentData(`doc.${DOC_ID}`)).toEqual([]);
+  });
+
+  it('reports saves, cursors and departures from peers', async () => {
+    const onRemoteSave = vi.fn();
+    const { result, socket } = await connected([], {}, onRemoteSave);
+
+    act(() => socket.receive('peer@example.com', { kind: 'saved', clientId: 'peer', version: 4, opIds: ['a'] }));
+    expect(onRemoteSave).toHaveBeenCalledWith(4, ['a']);
+
+    act(() => socket.receive('peer@example.com', { kind: 'cursor', clientId: 'peer', page: 2, x: 10, y: 20 }));
+    expect(result.current.collab.peers[0].cursor).toEqual({ page: 2, x: 10, y: 20 });
+    expect(result.current.collab.peers[0].color).toMatch(/^#[0-9a-f]{6}$/);
+
+    act(() => socket.receive('peer@example.com', { kind: 'leave', clientId: 'peer' }));
+    expect(result.current.collab.peers).toEqual([]);
+  });
+
+  it('tells peers about comment activity and reacts to theirs', async () => {
+    mockApiJson.mockResolvedValueOnce(session());
+    const onRemoteComments = vi.fn();
+    renderHook(() => {
+      const [ops, setOps] = useState<AnnotationOperation[]>([]);
+      return useCollaboration({ token: TOKEN, docId: DOC_ID, ops, setOps, onRemoteComments });
+    });
+    await waitFor(() => expect(FakeSocket.instances).toHaveLength(1));
+    const socket = FakeSocket.instances[0];
+    act(() => socket.open());
+
+    act(() => socket.receive('peer@example.com', { kind: 'comments', clientId: 'peer' }, `doc.${DOC_ID}.presence`));
+    expect(onRemoteComments).toHaveBeenCalledTimes(1);
+  });
+
+  it('publishes cursors and saves through the right groups', async () => {
+    const { result, socket } = await connected();
+
+    act(() => {
+      result.current.collab.sendCursor(1, 10.4, 20.6);
+      result.current.collab.announceSave(3, ['a']);
+      result.current.collab.announceComments();
+    });
+
+    expect(socket.sentData(`doc.${DOC_ID}.presence`).slice(-2)).toEqual([
+      expect.objectContaining({ kind: 'cursor', page: 1, x: 10, y: 21 }),
+      expect.objectContaining({ kind: 'comments' }),
+    ]);
+    expect(socket.sentData(`doc.${DOC_ID}`)).toEqual([expect.objectContaining({ kind: 'saved', version: 3, opIds: ['a'] })]);
+  });
+
+  it('lets a commenter announce comment activity but not publish annotation changes or saves', async () => {
+    const { result, socket } = await connected([], { role: 'commenter', canPublish: false });
+
+    act(() => {
+      result.current.setOps([makeOp('a')]);
+      result.current.collab.announceSave(3, ['a']);
+      result.current.collab.announceComments();
+    });
+
+    expect(socket.sentData(`doc.${DOC_ID}`)).toEqual([]);
+    expect(socket.lastSent(`doc.${DOC_ID}.presence`)).toEqual(expect.objectContaining({ kind: 'comments' }));
+  });
+
+  it('stays offline without retrying when collaboration is not configured', async () => {
+    mockApiJson.mockRejectedValueOnce(Object.assign(new Error('not configured'), { status: 503 }));
+    vi.useFakeTimers();
+
+    const { result } = renderCollab();
+    await act(async () => {
+      await vi.advanceTimersByTimeAsync(60_000);
+    });
+
+    expect(result.current.collab.status).toBe('offline');
+    expect(mockApiJson).toHaveBeenCalledTimes(1);
+    expect(FakeSocket.instances).toHaveLength(0);
+  });
+
+  it('reconnects after the socket drops', async () => {
+    const { result, socket } = await connected();
+    vi.useFakeTimers();
+    mockApiJson.mockResolvedValueOnce(session());
+
+    act(() => socket.close());
+    expect(result.current.collab.status).toBe('offline');
+
+    await act(async () => {
+      await vi.advanceTimersByTimeAsync(1_000);
+    });
+    expect(mockApiJson).toHaveBeenCalledTimes(2);
+    expect(FakeSocket.instances).toHaveLength(2);
+  });
+
+  it('says goodbye and closes the socket on unmount', async () => {
+    const { unmount, socket } = await connected();
+
+    unmount();
+
+    expect(socket.lastSent(`doc.${DOC_ID}.presence`)).toEqual(expect.objectContaining({ kind: 'leave' }));
+    expect(socket.readyState).toBe(3);
+  });
+});
@@ -0,0 +1,300 @@
+import { useState, useCallback, useEffect, useRef } from "react";
+import { apiJson } from "../lib/api";
+import type { ApiError } from "../lib/api";
+import {
+  acceptChanges,
+  applyChanges,
+  changedOperations,
+  colorForAuthor,
+  type CollabMessage,
+  type Stamp,
+  type StampedChange,
+} from "../lib/collab";
+import type { AnnotationOperation, CollabNegotiateResponse } from "../types";
+
+// Azure Web PubSub's JSON subprotocol; the local stand-in speaks the same one.
+const SUBPROTOCOL = "json.webpubsub.azure.v1";
+const HEARTBEAT_MS = 15_000;
+const PEER_TIMEOUT_MS = 40_000;
+const CURSOR_THROTTLE_MS = 50;
+const RECONNECT_DELAYS_MS = [1_000, 2_000, 5_000, 10_000, 30_000];
+
+export type CollabStatus = "offline" | "connecting" | "live";
+
+export type CollabPeer = {
+  clientId: string;
+  email: string;
+  color: string;
+  cursor: { page: number; x: number; y: number } | null;
+  lastSeen: number;
+};
+
+type Groups = CollabNegotiateResponse["groups"];
+
+interface CollaborationOptions {
+  token: string;
+  docId: string;
+  ops: AnnotationOperation[];
+  setOps: React.Dispatch<React.SetStateAction<AnnotationOperation[]>>;
+  onRemoteSave?: (version: number, opIds: string[]) => void;
+  // Someone added to or resolved a comment thread on this document.
+  onRemoteComments?: () => void;
+}
+
+/**
+ * Keeps the annotation set in sync with every other session open on the same
+ * document. Local changes are found by diffing `ops` against the last synced
+ * snapshot, so anything that edits `ops` (drawing, undo/redo, conflict
+ * resolution, restores) is broadcast without further wiring.
+ */
+export function useCollaboration({ token, docId, ops, setOps, onRemoteSave, onRemoteComments }: CollaborationOptions) {
+  const [status, setStatus] = useState<CollabStatus>("offline");
+  const [peers, setPeers] = useState<CollabPeer[]>([]);
+  const [canPublish, setCanPublish] = useState(false);
+  const [clientId] = useState(() => crypto.randomUUID());
+
+  const socketRef = useRef<WebSocket | null>(null);
+  const groupsRef = useRef<Groups | null>(null);
+  const canPublishRef = useRef(false);
+  const stampsRef = useRef(new Map<string, Stamp>());
+  const clockRef = useRef(0);
+  // Last annotation set known to all peers; null until the document's ops arrive.
+  const snapshotRef = useRef<AnnotationOperation[] | null>(null);
+  const opsRef = useRef(ops);
+  opsRef.current = ops;
+  const onRemoteSaveRef = useRef(onRemoteSave);
+  onRemoteSaveRef.current = onRemoteSave;
+  const onRemoteCommentsRef = useRef(onRemoteComments);
+  onRemoteCommentsRef.current = onRemoteComments;
+  const lastCursorRef = useRef(0);
+
+  const publish = useCallback((group: keyof Groups, data: CollabMessage) => {
+    const socket = socketRef.current;
+    const groups = groupsRef.current;
+    if (!socket || socket.readyState !== WebSocket.OPEN || !groups) return;
+    socket.send(JSON.stringify({ type: "sendToGroup", group: groups[group], dataType: "json", data, noEcho: true }));
+  }, []);
+
+  const stamp = useCallback((): Stamp => ({ clock: ++clockRef.current, clientId }), [clientId]);
+
+  // Everything we hold, including removals, so a newcomer can catch up on unsaved edits.
+  const fullState = useCallback((): StampedChange[] => {
+    const unstamped: Stamp = { clock: 0, clientId: "" };
+    const current = opsRef.current;
+    const live = new Set(current.map((op) => op.opId));
+    const changes: StampedChange[] = current.map((op) => ({ opId: op.opId, op, stamp: stampsRef.current.get(op.opId) ?? unstamped }));
+    for (const [opId, removedStamp] of stampsRef.current) {
+      if (!live.has(opId)) changes.push({ opId, op: null, stamp: removedStamp });
+    }
+    return changes;
+  }, []);
+
+  const touchPeer = useCallback((clientKey: string, email: string, cursor?: CollabPeer["cursor"]) => {
+    setPeers((prev) => {
+      const existing = prev.find((p) => p.clientId === clientKey);
+      const next: CollabPeer = {
+        clientId: clientKey,
+        email,
+        color: colorForAuthor(email),
+        cursor: cursor !== undefined ? cursor : existing?.cursor ?? null,
+        lastSeen: Date.now(),
+      };
+      return existing ? prev.map((p) => (p.clientId === clientKey ? next : p)) : [...prev, next];
+    });
+  }, []);
+
+  const handleMessage = useCallback(
+    (fromUserId: string, group: string, message: CollabMessage) => {
+      if (!message || message.clientId === clientId) return;
+      const email = fromUserId || "unknown";
+      // Only editors and owners may publish to the ops group; anything that would change
+      // annotations or save state is dropped when it comes in on the presence group.
+      const fromOpsGroup = group === groupsRef.current?.ops;
+
+      switch (message.kind) {
+        case "ops": {
+          if (!fromOpsGroup) break;
+          clockRef.current = Math.max(clockRef.current, ...message.changes.map((c) => c.stamp.clock));
+          const accepted = acceptChanges(stampsRef.current, message.changes);
+          if (accepted.length > 0) {
+            snapshotRef.current = applyChanges(snapshotRef.current ?? opsRef.current, accepted);
+            setOps((prev) => applyChanges(prev, accepted));
+          }
+          touchPeer(message.clientId, email);
+          break;
+        }
+        case "hello":
+          touchPeer(message.clientId, email);
+          publish("presence", { kind: "presence", clientId });
+          if (canPublishRef.current) {
+            publish("ops", { kind: "ops", clientId, changes: fullState() });
+          }
+          break;
+        case "saved":
+          if (!fromOpsGroup) break;
+          onRemoteSaveRef.current?.(message.version, message.opIds);
+          touchPeer(message.clientId, email);
+          break;
+        case "comments":
+          onRemoteCommentsRef.current?.();
+          touchPeer(message.clientId, email);
+          break;
+        case "cursor":
+          touchPeer(message.clientId, email, { page: message.page, x: message.x, y: message.y });
+          break;
+        case "presence":
+          touchPeer(message.clientId, email);
+          break;
+        case "leave":
+          setPeers((prev) => prev.filter((p) => p.clientId !== message.clientId));
+          break;
+      }
+    },
+    [clientId, publish, fullState, touchPeer, setOps]
+  );
+
+  // Connect (and reconnect) for the open document. Declared before the diff effect
+  // below so a document switch resets the snapshot before it is compared.
+  useEffect(() => {
+    stampsRef.current = new Map();
+    clockRef.current = 0;
+    snapshotRef.current = null;
+    setPeers([]);
+    if (!token || !docId) return;
+
+    let cancelled = false;
+    let attempt = 0;
+    let retryTimer: ReturnType<typeof setTimeout> | undefined;
+
+    const scheduleReconnect = () => {
+      const delay = RECONNECT_DELAYS_MS[Math.min(attempt, RECONNECT_DELAYS_MS.length - 1)];
+      attempt += 1;
+      retryTimer = setTimeout(connect, delay);
+    };
+
+    async function connect() {
+      setStatus("connecting");
+      let session: CollabNegotiateResponse;
+      try {
+        session = await apiJson<CollabNegotiateResponse>(`/docs/${docId}/collab/negotiate`, "POST", token);
+      } catch (err) {
+        if (cancelled) return;
+        setStatus("offline");
+        // Not configured, or no access: retrying will not help.
+        const httpStatus = (err as ApiError).status;
+        if (httpStatus !== 503 && httpStatus !== 403 && httpStatus !== 404) scheduleReconnect();
+        return;
+      }
+      if (cancelled) return;
+
+      groupsRef.current = session.groups;
+      canPublishRef.current = session.canPublish;
+      setCanPublish(session.canPublish);
+
+      const socket = new WebSocket(session.url, SUBPROTOCOL);
+      socketRef.current = socket;
+      socket.onopen = () => {
+        attempt = 0;
+        setStatus("live");
+        publish("presence", { kind: "hello", clientId });
+      };
+      socket.onmessage = (event: MessageEvent) => {
+        try {
+          const message = JSON.parse(String(event.data));
+          if (message.type === "message" && message.data) {
+            handleMessage(message.fromUserId, message.group, message.data as CollabMessage);
+          }
+        } catch {
+          // Ignore frames that are not JSON.
+        }
+      };
+      socket.onclose = () => {
+        if (socketRef.current === socket) socketRef.current = null;
+        if (cancelled) return;
+        setStatus("offline");
+        scheduleReconnect();
+      };
+    }
+
+    connect();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(retryTimer);
+      publish("presence", { kind: "leave", clientId });
+      socketRef.current?.close();
+      socketRef.current = null;
+      groupsRef.current = null;
+      setStatus("offline");
+    };
+  }, [token, docId, clientId, publish, handleMessage]);
+
+  // Broadcast whatever changed locally since the last snapshot. Edits made while
+  // offline or without publish rights stay local until the next save.
+  useEffect(() => {
+    if (snapshotRef.current === null || status !== "live" || !canPublishRef.current) {
+      snapshotRef.current = ops;
+      return;
+    }
+    const changes = changedOperations(snapshotRef.current, ops);
+    snapshotRef.current = ops;
+    if (changes.length === 0) return;
+    const stamped = changes.map((change) => {
+      const changeStamp = stamp();
+      stampsRef.current.set(change.opId, changeStamp);
+      return { ...change, stamp: changeStamp };
+    });
+    publish("ops", { kind: "ops", clientId, changes: stamped });
+  }, [ops, status, clientId, publish, stamp]);
+
+  // Heartbeat so idle collaborators stay listed, and drop the ones that went quiet.
+  useEffect(() => {
+    if (status !== "live") return;
+    const timer = setInterval(() => {
+      publish("presence", { kind: "presence", clientId });
+      const cutoff = Date.now() - PEER_TIMEOUT_MS;
+      setPeers((prev) => (prev.some((p) => p.lastSeen < cutoff) ? prev.filter((p) => p.lastSeen >= cutoff) : prev));
+    }, HEARTBEAT_MS);
+    return () => clearInterval(timer);
+  }, [status, clientId, publish]);
+
+  const sendCursor = useCallback(
+    (page: number, x: number, y: number) => {
+      const now = Date.now();
+      if (now - lastCursorRef.current < CURSOR_THROTTLE_MS) return;
+      lastCursorRef.current = now;
+      publish("presence", { kind: "cursor", clientId, page, x: Math.round(x), y: Math.round(y) });
+    },
+    [clientId, publish]
+  );
+
+  // A set freshly loaded from the server is what every peer already has, so it is
+  // adopted as the snapshot instead of being broadcast as a wave of edits.
+  const rebase = useCallback((loaded: AnnotationOperation[]) => {
+    snapshotRef.current = loaded;
+  }, []);
+
+  const announceSave = useCallback(
+    (version: number, opIds: string[]) => {
+      if (!canPublishRef.current) return;
+      publish("ops", { kind: "saved", clientId, version, opIds });
+    },
+    [clientId, publish]
+  );
+
+  // Commenters start and answer threads too, and the message only prompts a reload,
+  // so it goes out on the presence group every role may publish to.
+  const announceComments = useCallback(() => {
+    publish("presence", { kind: "comments", clientId });
+  }, [clientId, publish]);
+
+  return {
+    status,
+    peers,
+    canPublish,
+    sendCursor,
+    announceSave,
+    announceComments,
+    rebase,
+  };
+}
@@ -0,0 +1,116 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { useDocuments } from './useDocuments';
+import type { DocumentSummary } from '../types';
+
+vi.mock('../lib/api', () => ({ apiJson: vi.fn() }));
+
+import { apiJson } from '../lib/api';
+
+const mockApiJson = apiJson as ReturnType<typeof vi.fn>;
+
+const TOKEN = 'test-token-abc';
+
+function makeDoc(docId: string): DocumentSummary {
+  return {
+    docId,
+    title: `${docId}.pdf`,
+    ownerEmail: 'owner@example.com',
+    role: 'owner',
+    pageCount: 3,
+    version: 1,
+    createdAt: '2026-01-01T00:00:00.000Z',
+    updatedAt: '2026-01-02T00:00:00.000Z',
+    readUrl: `https://blob/${docId}`,
+  };
+}
+
+function listResponse(items: DocumentSummary[], nextCursor: string | null) {
+  return { items, limit: 20, nextCursor };
+}
+
+beforeEach(() => {
+  mockApiJson.mockReset();
+});
+
+describe('useDocuments', () => {
+  it('loads the first page on mount', async () => {
+    mockApiJson.mockResolvedValueOnce(listResponse([makeDoc('a')], null));
+
+    const { result } = renderHook(() => useDocuments(TOKEN));
+
+    await waitFor(() => expect(result.current.documents).toHaveLength(1));
+    expect(mockApiJson).toHaveBeenCalledWith(
+      '/docs?limit=20&sort=updatedAt&order=desc',
+      'GET',
+      TOKEN,
+    );
+    expect(result.current.hasMore).toBe(false);
+  });
+
+  it('lists documents shared with the caller for the shared scope', async () => {
+    mockApiJson.mockResolvedValueOnce(listResponse([{ ...makeDoc('s'), role: 'viewer' }], null));
+
+    const { result } = renderHook(() => useDocuments(TOKEN, 'shared'));
+
+    await waitFor(() => expect(result.current.documents).toHaveLength(1));
+    expect(mockApiJson).toHaveBeenCalledWith(
+      '/docs?limit=20&sort=updatedAt&order=desc&scope=shared',
+      'GET',
+      TOKEN,
+    );
+    expect(result.current.documents[0].role).toBe('viewer');
+  });
+
+  it('does not fetch without a token', () => {
+    const { result } = renderHook(() => useDocuments(''));
+
+    expect(mockApiJson).not.toHaveBeenCalled();
+    expect(result.current.documents).toEqual([]);
+  });
+
+  it('loadMore appends the next page', async () => {
+    mockApiJson
+      .mockResolvedValueOnce(listResponse([makeDoc('a')], 'eyJuZXh0Ijox+/='))
+      .mockResolvedValueOnce(listResponse([makeDoc('b')], null));
+
+    const { result } = renderHook(() => useDocuments(TOKEN));
+    await waitFor(() => expect(result.current.hasMore).toBe(true));
+
+    await act(async () => {
+      await result.current.loadMore();
+    });
+
+    expect(mockApiJson).toHaveBeenLastCalledWith(
+      '/docs?limit=20&sort=updatedAt&order=desc&cursor=eyJuZXh0Ijox%2B%2F%3D',
+      'GET',
+      TOKEN,
+    );
+    expect(result.current.documents.map((d) => d.docId)).toEqual(['a', 'b']);
+    expect(result.current.hasMore).toBe(false);
+  });
+
+  it('refresh replaces the list with the first page', async () => {
+    mockApiJson
+      .mockResolvedValueOnce(listResponse([makeDoc('a')], null))
+      .mockResolvedValueOnce(listResponse([makeDoc('b'), makeDoc('a')], null));
+
+    const { result } = renderHook(() => useDocuments(TOKEN));
+    await waitFor(() => expect(result.current.documents).toHaveLength(1));
+
+    await act(async () => {
+      await result.current.refresh();
+    });
+
+    expect(result.current.documents.map((d) => d.docId)).toEqual(['b', 'a']);
+  });
+
+  it('exposes the error message when the request fails', async () => {
+    mockApiJson.mockRejectedValueOnce(new Error('Request failed (500)'));
+
+    const { result } = renderHook(() => useDocuments(TOKEN));
+
+    await waitFor(() => expect(result.current.error).toBe('Request failed (500)'));
+    expect(result.current.isLoading).toBe(false);
+  });
+});
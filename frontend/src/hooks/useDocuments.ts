@@ -0,0 +1,63 @@
+import { useState, useCallback, useEffect } from "react";
+import { apiJson } from "../lib/api";
+import type { DocumentListResponse, DocumentSummary } from "../types";
+
+const PAGE_SIZE = 20;
+
+// "owned" lists your uploads; "shared" lists documents other people shared with you.
+export type DocumentScope = "owned" | "shared";
+
+export function useDocuments(token: string, scope: DocumentScope = "owned") {
+  const [documents, setDocuments] = useState<DocumentSummary[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  // Pages come most recently changed first; `cursor` is the previous page's nextCursor, or null for the first.
+  const fetchPage = useCallback(
+    async (cursor: string | null) => {
+      if (!token) return;
+      setIsLoading(true);
+      setError("");
+      try {
+        const page = await apiJson<DocumentListResponse>(
+          `/docs?limit=${PAGE_SIZE}&sort=updatedAt&order=desc${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ""}${scope === "shared" ? "&scope=shared" : ""}`,
+          "GET",
+          token
+        );
+        setDocuments((prev) => (cursor === null ? page.items : [...prev, ...page.items]));
+        setNextCursor(page.nextCursor);
+      } catch (err) {
+        setError((err as Error).message);
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [token, scope]
+  );
+
+  const refresh = useCallback(() => fetchPage(null), [fetchPage]);
+
+  const loadMore = useCallback(async () => {
+    if (nextCursor === null) return;
+    await fetchPage(nextCursor);
+  }, [fetchPage, nextCursor]);
+
+  useEffect(() => {
+    if (!token) {
+      setDocuments([]);
+      setNextCursor(null);
+      return;
+    }
+    fetchPage(null);
+  }, [token, fetchPage]);
+
+  return {
+    documents,
+    hasMore: nextCursor !== null,
+    isLoading,
+    error,
+    refresh,
+    loadMore,
+  };
+}
@@ -197,7 +197,8 @@ export function useDrawing(
         };
         debugLog("pointerUp", { activeTool, bounds, meetsMinDrag: bounds.w >= MIN_DRAG || bounds.h >= MIN_DRAG });
         if (bounds.w >= MIN_DRAG || bounds.h >= MIN_DRAG) {
-          onAnnotationCreated(opType, currentPage, bounds);
+          // A perfectly straight drag still needs a non-zero box to pass schema validation.
+          onAnnotationCreated(opType, currentPage, { ...bounds, w: bounds.w || 1, h: bounds.h || 1 });
         } else {
           // Click without drag — guide the user
           onClickFeedback?.("Click and drag to draw. Hold and pull to create a region.");
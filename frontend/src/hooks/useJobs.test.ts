@@ -45,6 +45,23 @@ describe('useJobs', () => {
     );
   });
 
+  it('startJob adds export options to the export body', async () => {
+    mockApiJson.mockResolvedValueOnce({ jobId: 'job-export-2' });
+
+    const { result } = renderHook(() => useJobs(TOKEN, DOC_ID));
+
+    await act(async () => {
+      await result.current.startJob('export', { searchable: true });
+    });
+
+    expect(mockApiJson).toHaveBeenCalledWith(
+      `/docs/${DOC_ID}/export`,
+      'POST',
+      TOKEN,
+      { format: 'pdf', searchable: true }
+    );
+  });
+
   it('startJob calls apiJson for ocr with the correct endpoint and body', async () => {
     mockApiJson.mockResolvedValueOnce({ jobId: 'job-ocr-1' });
 
@@ -117,6 +134,73 @@ describe('useJobs', () => {
     expect(result.current.jobs).toEqual([]);
   });
 
+  it('startPagesJob posts the edits and tracks a pages job', async () => {
+    mockApiJson.mockResolvedValueOnce({ jobId: 'job-pages-1' });
+    const edits = [{ type: 'move' as const, page: 2, to: 1 }];
+
+    const { result } = renderHook(() => useJobs(TOKEN, DOC_ID));
+
+    await act(async () => {
+      await result.current.startPagesJob(edits);
+    });
+
+    expect(mockApiJson).toHaveBeenCalledWith(`/docs/${DOC_ID}/pages`, 'POST', TOKEN, { edits });
+    expect(result.current.jobs[0]).toEqual(expect.objectContaining({ jobId: 'job-pages-1', type: 'pages', status: 'queued' }));
+  });
+
+  it('startMergeJob posts the documents in order without needing an open document', async () => {
+    mockApiJson.mockResolvedValueOnce({ jobId: 'job-merge-1', docId: 'doc-merged' });
+
+    const { result } = renderHook(() => useJobs(TOKEN, ''));
+
+    await act(async () => {
+      await result.current.startMergeJob(['doc-b', 'doc-a'], 'exhibits.pdf');
+    });
+
+    expect(mockApiJson).toHaveBeenCalledWith('/docs/merge', 'POST', TOKEN, { docIds: ['doc-b', 'doc-a'], title: 'exhibits.pdf' });
+    expect(result.current.jobs[0]).toEqual(expect.objectContaining({ jobId: 'job-merge-1', type: 'merge' }));
+  });
+
+  it('startSplitJob posts the ranges for the open document', async () => {
+    mockApiJson.mockResolvedValueOnce({ jobId: 'job-split-1', docIds: ['doc-1', 'doc-2'] });
+
+    const { result } = renderHook(() => useJobs(TOKEN, DOC_ID));
+
+    await act(async () => {
+      await result.current.startSplitJob('1-2, 3');
+    });
+
+    expect(mockApiJson).toHaveBeenCalledWith(`/docs/${DOC_ID}/split`, 'POST', TOKEN, { pages: '1-2, 3' });
+    expect(result.current.jobs[0]).toEqual(expect.objectContaining({ jobId: 'job-split-1', type: 'split' }));
+  });
+
+  it('startConvertJob posts the page options for the uploaded images', async () => {
+    mockApiJson.mockResolvedValueOnce({ jobId: 'job-convert-1', docId: 'doc-scans' });
+
+    const { result } = renderHook(() => useJobs(TOKEN, DOC_ID));
+
+    await act(async () => {
+      await result.current.startConvertJob('doc-scans', { pageSize: 'a4', orientation: 'auto' });
+    });
+
+    expect(mockApiJson).toHaveBeenCalledWith('/docs/doc-scans/convert', 'POST', TOKEN, { pageSize: 'a4', orientation: 'auto' });
+    expect(result.current.jobs[0]).toEqual(expect.objectContaining({ jobId: 'job-convert-1', type: 'convert' }));
+  });
+
+  it('startSensitiveScan posts what to look for in the open document', async () => {
+    mockApiJson.mockResolvedValueOnce({ jobId: 'job-scan-1' });
+    const options = { kinds: ['ssn' as const], patterns: [{ name: 'Employee id', pattern: 'EMP-\\d+' }], terms: ['Jane Doe'] };
+
+    const { result } = renderHook(() => useJobs(TOKEN, DOC_ID));
+
+    await act(async () => {
+      await result.current.startSensitiveScan(options);
+    });
+
+    expect(mockApiJson).toHaveBeenCalledWith(`/docs/${DOC_ID}/sensitive-data`, 'POST', TOKEN, options);
+    expect(result.current.jobs[0]).toEqual(expect.objectContaining({ jobId: 'job-scan-1', type: 'sensitive' }));
+  });
+
   it('clearJobs empties the jobs array', async () => {
     mockApiJson.mockResolvedValueOnce({ jobId: 'job-to-clear' });
 
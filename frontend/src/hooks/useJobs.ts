@@ -1,6 +1,6 @@
 import { useState, useCallback, useRef, useEffect } from "react";
 import { apiJson } from "../lib/api";
-import type { JobResponse } from "../types";
+import type { ConvertOptions, ExportOptions, JobResponse, PageEdit, SensitiveScanOptions } from "../types";
 
 export function useJobs(token: string, docId: string) {
   const [jobs, setJobs] = useState<JobResponse[]>([]);
@@ -34,11 +34,8 @@ export function useJobs(token: string, docId: string) {
     return () => clearInterval(timer);
   }, [token]);
 
-  const startJob = useCallback(
-    async (jobType: "ocr" | "export") => {
-      if (!token || !docId) return;
-      const endpoint = jobType === "ocr" ? `/docs/${docId}/ocr` : `/docs/${docId}/export`;
-      const body = jobType === "ocr" ? { pages: "1" } : { format: "pdf" };
+  const queueJob = useCallback(
+    async (jobType: string, endpoint: string, body: unknown) => {
       const result = await apiJson<{ jobId: string }>(endpoint, "POST", token, body);
       const newJob: JobResponse = {
         jobId: result.jobId,
@@ -51,10 +48,65 @@ export function useJobs(token: string, docId: string) {
       setJobs((prev) => [newJob, ...prev]);
       return result.jobId;
     },
-    [token, docId]
+    [token]
+  );
+
+  const startJob = useCallback(
+    async (jobType: "ocr" | "export", exportOptions: ExportOptions = {}) => {
+      if (!token || !docId) return;
+      const endpoint = jobType === "ocr" ? `/docs/${docId}/ocr` : `/docs/${docId}/export`;
+      const body = jobType === "ocr" ? { pages: "1" } : { format: "pdf", ...exportOptions };
+      return queueJob(jobType, endpoint, body);
+    },
+    [token, docId, queueJob]
+  );
+
+  // Rebuilds the document's pages; see PageEdit for the edit format.
+  const startPagesJob = useCallback(
+    async (edits: PageEdit[]) => {
+      if (!token || !docId) return;
+      return queueJob("pages", `/docs/${docId}/pages`, { edits });
+    },
+    [token, docId, queueJob]
+  );
+
+  // Combines documents, in order, into a new one owned by the caller.
+  const startMergeJob = useCallback(
+    async (docIds: string[], title?: string) => {
+      if (!token) return;
+      return queueJob("merge", "/docs/merge", { docIds, ...(title ? { title } : {}) });
+    },
+    [token, queueJob]
+  );
+
+  // Copies each range of "1-3, 4, 5-8" into a new document owned by the caller.
+  const startSplitJob = useCallback(
+    async (pages: string) => {
+      if (!token || !docId) return;
+      return queueJob("split", `/docs/${docId}/split`, { pages });
+    },
+    [token, docId, queueJob]
+  );
+
+  // Builds a PDF from the images uploaded for `convertDocId`; the document is ready once the job completes.
+  const startConvertJob = useCallback(
+    async (convertDocId: string, options: ConvertOptions) => {
+      if (!token) return;
+      return queueJob("convert", `/docs/${convertDocId}/convert`, options);
+    },
+    [token, queueJob]
+  );
+
+  // Looks for personal data to redact; the findings are read with useSensitiveData once it completes.
+  const startSensitiveScan = useCallback(
+    async (options: SensitiveScanOptions) => {
+      if (!token || !docId) return;
+      return queueJob("sensitive", `/docs/${docId}/sensitive-data`, options);
+    },
+    [token, docId, queueJob]
   );
 
   const clearJobs = useCallback(() => setJobs([]), []);
 
-  return { jobs, startJob, clearJobs };
+  return { jobs, startJob, startPagesJob, startMergeJob, startSplitJob, startConvertJob, startSensitiveScan, clearJobs };
 }
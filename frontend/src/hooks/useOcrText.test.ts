@@ -0,0 +1,65 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { useOcrText } from './useOcrText';
+
+vi.mock('../lib/api', async (importOriginal) => ({
+  ...(await importOriginal<typeof import('../lib/api')>()),
+  apiJson: vi.fn(),
+}));
+
+import { apiJson, ApiError } from '../lib/api';
+
+const mockApiJson = apiJson as ReturnType<typeof vi.fn>;
+
+const TOKEN = 'test-token-abc';
+const DOC_ID = 'doc-123';
+
+const result = {
+  docId: DOC_ID,
+  jobId: 'ocr-1',
+  analyzedAt: '2026-01-02T03:04:05.000Z',
+  pages: [{ pageNumber: 1, text: 'Invoice 42', lines: [] }],
+};
+
+beforeEach(() => {
+  mockApiJson.mockReset();
+});
+
+describe('useOcrText', () => {
+  it('loads the latest OCR text for the document', async () => {
+    mockApiJson.mockResolvedValueOnce(result);
+
+    const { result: hook } = renderHook(() => useOcrText(TOKEN, DOC_ID));
+
+    await waitFor(() => expect(hook.current.ocr).toEqual(result));
+    expect(mockApiJson).toHaveBeenCalledWith(`/docs/${DOC_ID}/ocr`, 'GET', TOKEN);
+  });
+
+  it('treats a document without OCR as having no text, not as an error', async () => {
+    mockApiJson.mockRejectedValueOnce(new ApiError('No OCR result for the current pages', 404, 'ocr_not_found'));
+
+    const { result: hook } = renderHook(() => useOcrText(TOKEN, DOC_ID));
+
+    await waitFor(() => expect(hook.current.isLoading).toBe(false));
+    expect(hook.current.ocr).toBeNull();
+    expect(hook.current.error).toBe('');
+  });
+
+  it('reports other failures and reloads on refresh', async () => {
+    mockApiJson.mockRejectedValueOnce(new ApiError('Request failed (500)', 500)).mockResolvedValueOnce(result);
+
+    const { result: hook } = renderHook(() => useOcrText(TOKEN, DOC_ID));
+    await waitFor(() => expect(hook.current.error).toBe('Request failed (500)'));
+
+    await act(async () => {
+      await hook.current.refresh();
+    });
+    expect(hook.current.ocr).toEqual(result);
+    expect(hook.current.error).toBe('');
+  });
+
+  it('does not fetch without a document', () => {
+    renderHook(() => useOcrText(TOKEN, ''));
+    expect(mockApiJson).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,34 @@
+import { useState, useCallback, useEffect } from "react";
+import { ApiError, apiJson } from "../lib/api";
+import type { OcrTextResponse } from "../types";
+
+// Loads the text found by the document's latest OCR job. `ocr` stays null until OCR
+// has run on the current pages; call refresh() after an OCR job completes.
+export function useOcrText(token: string, docId: string) {
+  const [ocr, setOcr] = useState<OcrTextResponse | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const refresh = useCallback(async () => {
+    if (!token || !docId) return;
+    setIsLoading(true);
+    setError("");
+    try {
+      setOcr(await apiJson<OcrTextResponse>(`/docs/${docId}/ocr`, "GET", token));
+    } catch (err) {
+      setOcr(null);
+      if (!(err instanceof ApiError && err.code === "ocr_not_found")) {
+        setError((err as Error).message);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  }, [token, docId]);
+
+  useEffect(() => {
+    setOcr(null);
+    refresh();
+  }, [refresh]);
+
+  return { ocr, isLoading, error, refresh };
+}
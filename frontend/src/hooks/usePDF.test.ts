@@ -1,4 +1,5 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi } from 'vitest';
+import { getDocument } from 'pdfjs-dist';
 import { renderHook, act } from '@testing-library/react';
 import { usePDF } from './usePDF';
 
@@ -6,7 +7,7 @@ import { usePDF } from './usePDF';
 // The mock resolves getDocument() with a document whose numPages = 5,
 // and each getPage() returns a page with a getViewport/render stub.
 // canvasRef.current stays null throughout (no real DOM canvas is mounted),
-// so renderPage() exits early — we are testing only state management here.
+// so renderPage() stops before drawing — we are testing only state management here.
 
 describe('usePDF', () => {
   // ─── initial state ────────────────────────────────────────────────────────
@@ -48,6 +49,48 @@ describe('usePDF', () => {
     expect(result.current.totalPages).toBe(5);
   });
 
+  it('loadPDF reports the page size at zoom 1, whatever the scale', async () => {
+    const { result } = renderHook(() => usePDF());
+    expect(result.current.pageSize).toBeNull();
+
+    act(() => {
+      result.current.setScale(2);
+    });
+    await act(async () => {
+      await result.current.loadPDF('mock://file.pdf');
+    });
+
+    expect(result.current.pageSize).toEqual({ width: 800, height: 600 });
+  });
+
+  it('getPageText returns each text item with its box as displayed', async () => {
+    const items = [
+      { str: 'Hello', transform: [12, 0, 0, 12, 100, 500], width: 30, hasEOL: false },
+      { str: '', transform: [1, 0, 0, 1, 0, 0], width: 0, hasEOL: true },
+      { str: 'World', transform: [12, 0, 0, 12, 100, 480], width: 32, hasEOL: false },
+    ];
+    const page = {
+      getViewport: () => ({ width: 800, height: 600, transform: [1, 0, 0, -1, 0, 600] }),
+      getTextContent: () => Promise.resolve({ items }),
+      render: () => ({ promise: Promise.resolve(), cancel: vi.fn() }),
+    };
+    vi.mocked(getDocument).mockReturnValueOnce({
+      promise: Promise.resolve({ numPages: 1, getPage: () => Promise.resolve(page) }),
+    } as unknown as ReturnType<typeof getDocument>);
+    const { result } = renderHook(() => usePDF());
+
+    await act(async () => {
+      await result.current.loadPDF('mock://text.pdf');
+    });
+    const text = await result.current.getPageText(1);
+
+    expect(text.width).toBe(800);
+    expect(text.runs).toEqual([
+      { text: 'Hello', bounds: { x: 100, y: 88, w: 30, h: 12 }, eol: true },
+      { text: 'World', bounds: { x: 100, y: 108, w: 32, h: 12 }, eol: false },
+    ]);
+  });
+
   it('loadPDF resets currentPage to 1', async () => {
     const { result } = renderHook(() => usePDF());
 
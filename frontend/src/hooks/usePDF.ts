@@ -2,6 +2,7 @@ import { useState, useCallback, useRef, useEffect } from "react";
 import { GlobalWorkerOptions, getDocument } from "pdfjs-dist";
 import type { PDFDocumentProxy, PDFPageProxy } from "pdfjs-dist";
 import workerSrc from "pdfjs-dist/build/pdf.worker.min.mjs?url";
+import type { TextRun } from "../lib/search";
 
 GlobalWorkerOptions.workerSrc = workerSrc;
 
@@ -11,6 +12,8 @@ export type UsePDFReturn = {
   currentPage: number;
   scale: number;
   isLoading: boolean;
+  // Size of the current page in PDF points as displayed (rotation applied), at zoom 1.
+  pageSize: { width: number; height: number } | null;
   loadPDF: (url: string) => Promise<void>;
   goToPage: (page: number) => void;
   nextPage: () => void;
@@ -19,8 +22,18 @@ export type UsePDFReturn = {
   zoomIn: () => void;
   zoomOut: () => void;
   getThumbnail: (pageNum: number) => Promise<string>;
+  getPageText: (pageNum: number) => Promise<PageText>;
 };
 
+// A page's text layer from the PDF itself (empty for scans), with its size at zoom 1.
+export type PageText = { width: number; height: number; runs: TextRun[] };
+
+type Matrix = number[];
+
+function applyMatrix(m: Matrix, x: number, y: number) {
+  return { x: m[0] * x + m[2] * y + m[4], y: m[1] * x + m[3] * y + m[5] };
+}
+
 export function usePDF(): UsePDFReturn {
   const canvasRef = useRef<HTMLCanvasElement | null>(null);
   const pdfRef = useRef<PDFDocumentProxy | null>(null);
@@ -30,11 +43,13 @@ export function usePDF(): UsePDFReturn {
   const [currentPage, setCurrentPage] = useState(1);
   const [scale, setScaleState] = useState(1.0);
   const [isLoading, setIsLoading] = useState(false);
+  const [pageSize, setPageSize] = useState<{ width: number; height: number } | null>(null);
+  // Held in state as well so getThumbnail and getPageText change identity whenever a new file is loaded.
+  const [thumbnailSource, setThumbnailSource] = useState<PDFDocumentProxy | null>(null);
 
   const renderPage = useCallback(async (pageNum: number, zoom: number) => {
     const pdf = pdfRef.current;
-    const canvas = canvasRef.current;
-    if (!pdf || !canvas) return;
+    if (!pdf) return;
 
     try {
       if (renderTaskRef.current) {
@@ -46,6 +61,9 @@ export function usePDF(): UsePDFReturn {
     try {
       const page = await pdf.getPage(pageNum);
       const viewport = page.getViewport({ scale: zoom });
+      setPageSize({ width: viewport.width / zoom, height: viewport.height / zoom });
+      const canvas = canvasRef.current;
+      if (!canvas) return;
       const dpr = window.devicePixelRatio || 1;
       canvas.width = Math.floor(viewport.width * dpr);
       canvas.height = Math.floor(viewport.height * dpr);
@@ -68,6 +86,7 @@ export function usePDF(): UsePDFReturn {
     try {
       const doc = await getDocument(url).promise;
       pdfRef.current = doc;
+      setThumbnailSource(doc);
       setTotalPages(doc.numPages);
       setCurrentPage(1);
       await renderPage(1, scale);
@@ -111,7 +130,7 @@ export function usePDF(): UsePDFReturn {
   }, []);
 
   const getThumbnail = useCallback(async (pageNum: number): Promise<string> => {
-    const pdf = pdfRef.current;
+    const pdf = thumbnailSource;
     if (!pdf) return "";
     const page = await pdf.getPage(pageNum);
     const vp = page.getViewport({ scale: 0.2 });
@@ -122,10 +141,44 @@ export function usePDF(): UsePDFReturn {
     if (!ctx) return "";
     await page.render({ canvasContext: ctx, viewport: vp }).promise;
     return offscreen.toDataURL("image/png");
-  }, []);
+  }, [thumbnailSource]);
+
+  const getPageText = useCallback(async (pageNum: number): Promise<PageText> => {
+    const pdf = thumbnailSource;
+    if (!pdf) return { width: 0, height: 0, runs: [] };
+    const page = await pdf.getPage(pageNum);
+    const viewport = page.getViewport({ scale: 1 });
+    const content = await page.getTextContent();
+    const runs: TextRun[] = [];
+    for (const item of content.items) {
+      if (!("str" in item)) continue;
+      if (!item.str.trim()) {
+        if (item.hasEOL && runs.length > 0) runs[runs.length - 1].eol = true;
+        continue;
+      }
+      // The item's box in PDF space, along its baseline and up by the font size, then as displayed.
+      const [a, b, c, d, e, f] = item.transform;
+      const along = Math.hypot(a, b) || 1;
+      const up = Math.hypot(c, d) || 1;
+      const corners = [
+        [0, 0],
+        [item.width, 0],
+        [item.width, up],
+        [0, up],
+      ].map(([dx, dy]) =>
+        applyMatrix(viewport.transform, e + (a / along) * dx + (c / up) * dy, f + (b / along) * dx + (d / up) * dy)
+      );
+      const xs = corners.map((p) => p.x);
+      const ys = corners.map((p) => p.y);
+      const x = Math.min(...xs);
+      const y = Math.min(...ys);
+      runs.push({ text: item.str, bounds: { x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y }, eol: item.hasEOL });
+    }
+    return { width: viewport.width, height: viewport.height, runs };
+  }, [thumbnailSource]);
 
   return {
-    canvasRef, totalPages, currentPage, scale, isLoading,
-    loadPDF, goToPage, nextPage, prevPage, setScale, zoomIn, zoomOut, getThumbnail,
+    canvasRef, totalPages, currentPage, scale, isLoading, pageSize,
+    loadPDF, goToPage, nextPage, prevPage, setScale, zoomIn, zoomOut, getThumbnail, getPageText,
   };
 }
@@ -0,0 +1,98 @@
+import { describe, it, expect, vi } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useSearch } from './useSearch';
+import type { PageText } from './usePDF';
+import type { OcrTextResponse } from '../types';
+
+const born: PageText = {
+  width: 600,
+  height: 800,
+  runs: [{ text: 'Invoice total', bounds: { x: 10, y: 20, w: 130, h: 12 } }],
+};
+const scanned: PageText = { width: 600, height: 800, runs: [] };
+
+const ocr: OcrTextResponse = {
+  docId: 'doc-1',
+  jobId: 'ocr-1',
+  analyzedAt: null,
+  pages: [
+    {
+      pageNumber: 2,
+      text: 'Grand total',
+      lines: [{ content: 'Grand total', polygon: [{ x: 0.5, y: 0.5 }, { x: 0.75, y: 0.5 }, { x: 0.75, y: 0.525 }, { x: 0.5, y: 0.525 }] }],
+    },
+  ],
+};
+
+function pages(...texts: PageText[]) {
+  return vi.fn(async (page: number) => texts[page - 1]);
+}
+
+describe('useSearch', () => {
+  it('searches the PDF text and falls back to OCR for scanned pages', async () => {
+    const getPageText = pages(born, scanned);
+    const { result } = renderHook(() => useSearch(getPageText, 2, ocr));
+
+    await act(async () => {
+      await result.current.search('total');
+    });
+
+    expect(result.current.query).toBe('total');
+    expect(result.current.hits.map((h) => h.page)).toEqual([1, 2]);
+    // "total" is the last 5 of the OCR line's 11 characters, which spans x 300-450 on the page.
+    const [rect] = result.current.hits[1].rects;
+    expect(rect.x).toBeCloseTo(300 + (6 * 150) / 11);
+    expect(rect.w).toBeCloseTo((5 * 150) / 11);
+    expect([rect.y, rect.h]).toEqual([400, 20]);
+    expect(result.current.activeHitId).toBe(result.current.hits[0].id);
+  });
+
+  it('reads each page once per document', async () => {
+    const getPageText = pages(born);
+    const { result } = renderHook(() => useSearch(getPageText, 1, null));
+
+    await act(async () => {
+      await result.current.search('invoice');
+    });
+    await act(async () => {
+      await result.current.search('total');
+    });
+
+    expect(getPageText).toHaveBeenCalledTimes(1);
+    expect(result.current.hits).toHaveLength(1);
+  });
+
+  it('clears the hits, and starts over when another document is loaded', async () => {
+    const { result, rerender } = renderHook(({ getPageText }) => useSearch(getPageText, 1, null), {
+      initialProps: { getPageText: pages(born) },
+    });
+
+    await act(async () => {
+      await result.current.search('invoice');
+    });
+    expect(result.current.hits).toHaveLength(1);
+
+    rerender({ getPageText: pages(scanned) });
+    expect(result.current.hits).toEqual([]);
+    expect(result.current.query).toBe('');
+
+    await act(async () => {
+      await result.current.search('invoice');
+    });
+    expect(result.current.hits).toEqual([]);
+  });
+
+  it('reports a page that cannot be read', async () => {
+    const getPageText = vi.fn(async () => {
+      throw new Error('Bad page');
+    });
+    const { result } = renderHook(() => useSearch(getPageText, 1, null));
+
+    await act(async () => {
+      await result.current.search('x');
+    });
+
+    expect(result.current.error).toBe('Bad page');
+    expect(result.current.isSearching).toBe(false);
+  });
+});
@@ -0,0 +1,70 @@
+import { useState, useCallback, useEffect, useRef } from "react";
+import { findInPage, ocrRuns, type SearchHit } from "../lib/search";
+import type { PageText } from "./usePDF";
+import type { OcrTextResponse } from "../types";
+
+// Searches every page of the open document: the PDF's own text where it has some,
+// otherwise the latest OCR result for that page.
+export function useSearch(getPageText: (pageNum: number) => Promise<PageText>, totalPages: number, ocr: OcrTextResponse | null) {
+  const [query, setQuery] = useState("");
+  const [hits, setHits] = useState<SearchHit[]>([]);
+  const [activeHitId, setActiveHitId] = useState<string | null>(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState("");
+  const pageTextRef = useRef(new Map<number, Promise<PageText>>());
+  const searchIdRef = useRef(0);
+
+  const clear = useCallback(() => {
+    searchIdRef.current++;
+    setQuery("");
+    setHits([]);
+    setActiveHitId(null);
+    setIsSearching(false);
+    setError("");
+  }, []);
+
+  // A new file means new text.
+  useEffect(() => {
+    pageTextRef.current = new Map();
+    clear();
+  }, [getPageText, clear]);
+
+  const search = useCallback(
+    async (text: string) => {
+      const searchId = ++searchIdRef.current;
+      setQuery(text);
+      setActiveHitId(null);
+      setError("");
+      if (!text.trim()) {
+        setHits([]);
+        return;
+      }
+      setIsSearching(true);
+      try {
+        const found: SearchHit[] = [];
+        for (let page = 1; page <= totalPages; page++) {
+          let pageText = pageTextRef.current.get(page);
+          if (!pageText) {
+            pageText = getPageText(page);
+            pageTextRef.current.set(page, pageText);
+          }
+          const { width, height, runs } = await pageText;
+          const ocrPage = ocr?.pages.find((p) => p.pageNumber === page);
+          const pageRuns = runs.length > 0 || !ocrPage ? runs : ocrRuns(ocrPage.lines, width, height);
+          found.push(...findInPage(pageRuns, text, page));
+        }
+        if (searchId !== searchIdRef.current) return;
+        setHits(found);
+        setActiveHitId(found[0]?.id ?? null);
+      } catch (err) {
+        pageTextRef.current = new Map();
+        if (searchId === searchIdRef.current) setError((err as Error).message);
+      } finally {
+        if (searchId === searchIdRef.current) setIsSearching(false);
+      }
+    },
+    [getPageText, totalPages, ocr]
+  );
+
+  return { query, hits, activeHitId, setActiveHitId, isSearching, error, search, clear };
+}
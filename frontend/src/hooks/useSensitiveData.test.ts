@@ -0,0 +1,88 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useSensitiveData } from './useSensitiveData';
+
+vi.mock('../lib/api', async (importOriginal) => ({
+  ...(await importOriginal<typeof import('../lib/api')>()),
+  apiJson: vi.fn(),
+}));
+
+import { apiJson, ApiError } from '../lib/api';
+import type { SensitiveCandidate } from '../types';
+
+const mockApiJson = apiJson as ReturnType<typeof vi.fn>;
+
+const TOKEN = 'test-token-abc';
+const DOC_ID = 'doc-123';
+
+function candidate(id: string, page = 1): SensitiveCandidate {
+  return { id, kind: 'ssn', label: null, text: '123-45-6789', page, source: 'text', rects: [{ x: 10, y: 20, w: 60, h: 12 }] };
+}
+
+const scan = {
+  docId: DOC_ID,
+  jobId: 'scan-1',
+  pages: null,
+  scannedAt: '2026-01-02T03:04:05.000Z',
+  unreadablePages: [],
+  truncated: false,
+  candidates: [candidate('p1-1'), candidate('p2-1', 2)],
+};
+
+beforeEach(() => {
+  mockApiJson.mockReset();
+});
+
+describe('useSensitiveData', () => {
+  it('loads the findings of a scan for review', async () => {
+    mockApiJson.mockResolvedValueOnce(scan);
+
+    const { result } = renderHook(() => useSensitiveData(TOKEN, DOC_ID));
+    await act(async () => {
+      await result.current.load('scan-1');
+    });
+
+    expect(mockApiJson).toHaveBeenCalledWith(`/docs/${DOC_ID}/sensitive-data/scan-1`, 'GET', TOKEN);
+    expect(result.current.scan).toEqual(scan);
+    expect(result.current.candidates.map((c) => c.id)).toEqual(['p1-1', 'p2-1']);
+  });
+
+  it('takes resolved findings off the list and forgets the active one', async () => {
+    mockApiJson.mockResolvedValueOnce(scan);
+    const { result } = renderHook(() => useSensitiveData(TOKEN, DOC_ID));
+    await act(async () => {
+      await result.current.load('scan-1');
+    });
+
+    act(() => result.current.setActiveId('p1-1'));
+    act(() => result.current.resolve(['p1-1']));
+
+    expect(result.current.candidates.map((c) => c.id)).toEqual(['p2-1']);
+    expect(result.current.activeId).toBeNull();
+  });
+
+  it('reports a scan that cannot be read', async () => {
+    mockApiJson.mockRejectedValueOnce(new ApiError('The document\'s pages have changed since the scan; run it again', 409, 'scan_outdated'));
+
+    const { result } = renderHook(() => useSensitiveData(TOKEN, DOC_ID));
+    await act(async () => {
+      await result.current.load('scan-1');
+    });
+
+    expect(result.current.error).toMatch(/pages have changed/);
+    expect(result.current.candidates).toEqual([]);
+  });
+
+  it('drops the findings when another document is opened', async () => {
+    mockApiJson.mockResolvedValueOnce(scan);
+    const { result, rerender } = renderHook(({ docId }) => useSensitiveData(TOKEN, docId), { initialProps: { docId: DOC_ID } });
+    await act(async () => {
+      await result.current.load('scan-1');
+    });
+
+    rerender({ docId: 'doc-456' });
+
+    expect(result.current.scan).toBeNull();
+    expect(result.current.candidates).toEqual([]);
+  });
+});
@@ -0,0 +1,52 @@
+import { useState, useCallback, useEffect } from "react";
+import { apiJson } from "../lib/api";
+import type { SensitiveCandidate, SensitiveScanResponse } from "../types";
+
+// Findings of a completed sensitive data scan, kept for review. `candidates` holds those
+// not yet accepted or rejected; resolve() takes them off the list either way.
+export function useSensitiveData(token: string, docId: string) {
+  const [scan, setScan] = useState<SensitiveScanResponse | null>(null);
+  const [candidates, setCandidates] = useState<SensitiveCandidate[]>([]);
+  const [activeId, setActiveId] = useState<string | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const load = useCallback(
+    async (jobId: string) => {
+      if (!token || !docId) return;
+      setIsLoading(true);
+      setError("");
+      try {
+        const result = await apiJson<SensitiveScanResponse>(`/docs/${docId}/sensitive-data/${jobId}`, "GET", token);
+        setScan(result);
+        setCandidates(result.candidates);
+        setActiveId(null);
+      } catch (err) {
+        setError((err as Error).message);
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [token, docId]
+  );
+
+  const resolve = useCallback((ids: string[]) => {
+    const done = new Set(ids);
+    setCandidates((prev) => prev.filter((candidate) => !done.has(candidate.id)));
+    setActiveId((prev) => (prev && done.has(prev) ? null : prev));
+  }, []);
+
+  const clear = useCallback(() => {
+    setScan(null);
+    setCandidates([]);
+    setActiveId(null);
+    setError("");
+  }, []);
+
+  // Findings point at one document's pages.
+  useEffect(() => {
+    clear();
+  }, [docId, clear]);
+
+  return { scan, candidates, activeId, setActiveId, isLoading, error, load, resolve, clear };
+}
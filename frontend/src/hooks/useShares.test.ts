@@ -0,0 +1,82 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { useShares } from './useShares';
+import type { DocumentShare } from '../types';
+
+vi.mock('../lib/api', () => ({ apiJson: vi.fn() }));
+
+import { apiJson } from '../lib/api';
+
+const mockApiJson = apiJson as ReturnType<typeof vi.fn>;
+
+const TOKEN = 'test-token-abc';
+const DOC_ID = 'doc-123';
+
+function makeShare(email: string, role: DocumentShare['role'] = 'viewer'): DocumentShare {
+  return { email, role, grantedBy: 'owner@example.com', createdAt: null, updatedAt: null };
+}
+
+beforeEach(() => {
+  mockApiJson.mockReset();
+});
+
+describe('useShares', () => {
+  it('loads the document\'s shares when enabled', async () => {
+    mockApiJson.mockResolvedValueOnce({ docId: DOC_ID, ownerEmail: 'owner@example.com', items: [makeShare('a@example.com')] });
+
+    const { result } = renderHook(() => useShares(TOKEN, DOC_ID, true));
+
+    await waitFor(() => expect(result.current.shares).toHaveLength(1));
+    expect(mockApiJson).toHaveBeenCalledWith(`/docs/${DOC_ID}/shares`, 'GET', TOKEN);
+  });
+
+  it('does not fetch for someone who does not own the document', () => {
+    renderHook(() => useShares(TOKEN, DOC_ID, false));
+    expect(mockApiJson).not.toHaveBeenCalled();
+  });
+
+  it('share adds or updates an entry in email order', async () => {
+    mockApiJson
+      .mockResolvedValueOnce({ docId: DOC_ID, ownerEmail: 'owner@example.com', items: [makeShare('b@example.com')] })
+      .mockResolvedValueOnce({ docId: DOC_ID, share: makeShare('a@example.com', 'editor') })
+      .mockResolvedValueOnce({ docId: DOC_ID, share: makeShare('b@example.com', 'commenter') });
+
+    const { result } = renderHook(() => useShares(TOKEN, DOC_ID, true));
+    await waitFor(() => expect(result.current.shares).toHaveLength(1));
+
+    await act(async () => {
+      await result.current.share('a@example.com', 'editor');
+    });
+    expect(mockApiJson).toHaveBeenLastCalledWith(`/docs/${DOC_ID}/shares`, 'POST', TOKEN, { email: 'a@example.com', role: 'editor' });
+
+    await act(async () => {
+      await result.current.share('b@example.com', 'commenter');
+    });
+    expect(result.current.shares.map((s) => [s.email, s.role])).toEqual([
+      ['a@example.com', 'editor'],
+      ['b@example.com', 'commenter'],
+    ]);
+  });
+
+  it('revoke removes the share', async () => {
+    mockApiJson
+      .mockResolvedValueOnce({ docId: DOC_ID, ownerEmail: 'owner@example.com', items: [makeShare('a+b@example.com')] })
+      .mockResolvedValueOnce({ ok: true });
+
+    const { result } = renderHook(() => useShares(TOKEN, DOC_ID, true));
+    await waitFor(() => expect(result.current.shares).toHaveLength(1));
+
+    await act(async () => {
+      await result.current.revoke('a+b@example.com');
+    });
+
+    expect(mockApiJson).toHaveBeenLastCalledWith(`/docs/${DOC_ID}/shares/a%2Bb%40example.com`, 'DELETE', TOKEN);
+    expect(result.current.shares).toEqual([]);
+  });
+
+  it('exposes the error message when the list cannot be loaded', async () => {
+    mockApiJson.mockRejectedValueOnce(new Error('Request failed (500)'));
+    const { result } = renderHook(() => useShares(TOKEN, DOC_ID, true));
+    await waitFor(() => expect(result.current.error).toBe('Request failed (500)'));
+  });
+});
@@ -0,0 +1,57 @@
+import { useState, useCallback, useEffect } from "react";
+import { apiJson } from "../lib/api";
+import type { DocumentShare, ShareListResponse, ShareRole, ShareUpsertResponse } from "../types";
+
+// Only the owner can see or change who a document is shared with, so callers pass `enabled`.
+export function useShares(token: string, docId: string, enabled: boolean) {
+  const [shares, setShares] = useState<DocumentShare[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const refresh = useCallback(async () => {
+    if (!token || !docId || !enabled) return;
+    setIsLoading(true);
+    setError("");
+    try {
+      const result = await apiJson<ShareListResponse>(`/docs/${docId}/shares`, "GET", token);
+      setShares(result.items);
+    } catch (err) {
+      setError((err as Error).message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [token, docId, enabled]);
+
+  useEffect(() => {
+    setShares([]);
+    refresh();
+  }, [refresh]);
+
+  const share = useCallback(
+    async (email: string, role: ShareRole) => {
+      const result = await apiJson<ShareUpsertResponse>(`/docs/${docId}/shares`, "POST", token, { email, role });
+      setShares((prev) =>
+        [...prev.filter((s) => s.email !== result.share.email), result.share].sort((a, b) => a.email.localeCompare(b.email))
+      );
+      return result.share;
+    },
+    [token, docId]
+  );
+
+  const revoke = useCallback(
+    async (email: string) => {
+      await apiJson(`/docs/${docId}/shares/${encodeURIComponent(email)}`, "DELETE", token);
+      setShares((prev) => prev.filter((s) => s.email !== email));
+    },
+    [token, docId]
+  );
+
+  return {
+    shares,
+    isLoading,
+    error,
+    refresh,
+    share,
+    revoke,
+  };
+}
@@ -0,0 +1,96 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { useThreads } from './useThreads';
+import type { CommentThread } from '../types';
+
+vi.mock('../lib/api', () => ({ apiJson: vi.fn() }));
+
+import { apiJson } from '../lib/api';
+
+const mockApiJson = apiJson as ReturnType<typeof vi.fn>;
+
+const TOKEN = 'test-token-abc';
+const DOC_ID = 'doc-123';
+
+function makeThread(threadId: string, overrides: Partial<CommentThread> = {}): CommentThread {
+  return {
+    threadId,
+    opId: 'op-1',
+    status: 'open',
+    createdBy: 'owner@example.com',
+    createdAt: '2026-01-01T00:00:00Z',
+    updatedAt: '2026-01-01T00:00:00Z',
+    resolvedBy: null,
+    resolvedAt: null,
+    comments: [{ commentId: 'c1', author: 'owner@example.com', body: 'Check this', mentions: [], createdAt: '2026-01-01T00:00:00Z' }],
+    ...overrides,
+  };
+}
+
+beforeEach(() => {
+  mockApiJson.mockReset();
+});
+
+describe('useThreads', () => {
+  it('loads threads and mentionable participants for the document', async () => {
+    mockApiJson.mockResolvedValueOnce({ docId: DOC_ID, items: [makeThread('t1')], participants: ['owner@example.com', 'bob@example.com'] });
+
+    const { result } = renderHook(() => useThreads(TOKEN, DOC_ID));
+
+    await waitFor(() => expect(result.current.threads).toHaveLength(1));
+    expect(result.current.participants).toEqual(['owner@example.com', 'bob@example.com']);
+    expect(mockApiJson).toHaveBeenCalledWith(`/docs/${DOC_ID}/threads`, 'GET', TOKEN);
+  });
+
+  it('does not fetch without a document', () => {
+    renderHook(() => useThreads(TOKEN, ''));
+    expect(mockApiJson).not.toHaveBeenCalled();
+  });
+
+  it('createThread adds the new thread', async () => {
+    mockApiJson
+      .mockResolvedValueOnce({ docId: DOC_ID, items: [], participants: [] })
+      .mockResolvedValueOnce({ docId: DOC_ID, thread: makeThread('t2', { opId: 'op-9' }) });
+
+    const { result } = renderHook(() => useThreads(TOKEN, DOC_ID));
+    await waitFor(() => expect(mockApiJson).toHaveBeenCalledTimes(1));
+
+    await act(async () => {
+      await result.current.createThread('op-9', 'Why redacted?');
+    });
+
+    expect(mockApiJson).toHaveBeenLastCalledWith(`/docs/${DOC_ID}/threads`, 'POST', TOKEN, { opId: 'op-9', body: 'Why redacted?' });
+    expect(result.current.threads.map((t) => t.opId)).toEqual(['op-9']);
+  });
+
+  it('reply and setStatus replace the thread in place', async () => {
+    const replied = makeThread('t1', {
+      comments: [...makeThread('t1').comments, { commentId: 'c2', author: 'bob@example.com', body: 'Done', mentions: [], createdAt: null }],
+    });
+    mockApiJson
+      .mockResolvedValueOnce({ docId: DOC_ID, items: [makeThread('t1'), makeThread('t2')], participants: [] })
+      .mockResolvedValueOnce({ docId: DOC_ID, thread: replied })
+      .mockResolvedValueOnce({ docId: DOC_ID, thread: { ...replied, status: 'resolved', resolvedBy: 'bob@example.com' } });
+
+    const { result } = renderHook(() => useThreads(TOKEN, DOC_ID));
+    await waitFor(() => expect(result.current.threads).toHaveLength(2));
+
+    await act(async () => {
+      await result.current.reply('t1', 'Done');
+    });
+    expect(mockApiJson).toHaveBeenLastCalledWith(`/docs/${DOC_ID}/threads/t1/replies`, 'POST', TOKEN, { body: 'Done' });
+    expect(result.current.threads[0].comments).toHaveLength(2);
+
+    await act(async () => {
+      await result.current.setStatus('t1', 'resolved');
+    });
+    expect(mockApiJson).toHaveBeenLastCalledWith(`/docs/${DOC_ID}/threads/t1/status`, 'POST', TOKEN, { status: 'resolved' });
+    expect(result.current.threads.map((t) => [t.threadId, t.status])).toEqual([['t1', 'resolved'], ['t2', 'open']]);
+  });
+
+  it('exposes the error message when threads cannot be loaded', async () => {
+    mockApiJson.mockRejectedValueOnce(new Error('Request failed (500)'));
+    const { result } = renderHook(() => useThreads(TOKEN, DOC_ID));
+    await waitFor(() => expect(result.current.error).toBe('Request failed (500)'));
+  });
+});
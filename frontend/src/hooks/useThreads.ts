@@ -0,0 +1,78 @@
+import { useState, useCallback, useEffect } from "react";
+import { apiJson } from "../lib/api";
+import type { CommentThread, ThreadListResponse, ThreadResponse, ThreadStatus } from "../types";
+
+export function useThreads(token: string, docId: string) {
+  const [threads, setThreads] = useState<CommentThread[]>([]);
+  // People with access to the document, offered as @mention suggestions.
+  const [participants, setParticipants] = useState<string[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const refresh = useCallback(async () => {
+    if (!token || !docId) return;
+    setIsLoading(true);
+    setError("");
+    try {
+      const result = await apiJson<ThreadListResponse>(`/docs/${docId}/threads`, "GET", token);
+      setThreads(result.items);
+      setParticipants(result.participants);
+    } catch (err) {
+      setError((err as Error).message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [token, docId]);
+
+  useEffect(() => {
+    setThreads([]);
+    setParticipants([]);
+    refresh();
+  }, [refresh]);
+
+  const replaceThread = useCallback((thread: CommentThread) => {
+    setThreads((prev) =>
+      prev.some((t) => t.threadId === thread.threadId)
+        ? prev.map((t) => (t.threadId === thread.threadId ? thread : t))
+        : [...prev, thread]
+    );
+  }, []);
+
+  const createThread = useCallback(
+    async (opId: string, body: string) => {
+      const result = await apiJson<ThreadResponse>(`/docs/${docId}/threads`, "POST", token, { opId, body });
+      replaceThread(result.thread);
+      return result.thread;
+    },
+    [token, docId, replaceThread]
+  );
+
+  const reply = useCallback(
+    async (threadId: string, body: string) => {
+      const result = await apiJson<ThreadResponse>(`/docs/${docId}/threads/${threadId}/replies`, "POST", token, { body });
+      replaceThread(result.thread);
+      return result.thread;
+    },
+    [token, docId, replaceThread]
+  );
+
+  const setStatus = useCallback(
+    async (threadId: string, status: ThreadStatus) => {
+      const result = await apiJson<ThreadResponse>(`/docs/${docId}/threads/${threadId}/status`, "POST", token, { status });
+      replaceThread(result.thread);
+      return result.thread;
+    },
+    [token, docId, replaceThread]
+  );
+
+  return {
+    threads,
+    participants,
+    isLoading,
+    error,
+    refresh,
+    createThread,
+    reply,
+    setStatus,
+  };
+}
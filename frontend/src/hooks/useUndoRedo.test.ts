@@ -1188,4 +1188,78 @@ describe("useUndoRedo", () => {
       expect(preventDefaultSpy).toHaveBeenCalled();
     });
   });
+
+  // -----------------------------------------------------------------------
+  // resetHistory
+  // -----------------------------------------------------------------------
+  describe("resetHistory", () => {
+    it("54 - clears both stacks without touching the current ops", () => {
+      const { result } = setup();
+
+      act(() => {
+        result.current.undoRedo.addAnnotation("highlight", 1);
+        result.current.undoRedo.addAnnotation("ink", 1);
+      });
+      act(() => {
+        result.current.undoRedo.undo();
+      });
+
+      expect(result.current.undoRedo.canUndo).toBe(true);
+      expect(result.current.undoRedo.canRedo).toBe(true);
+
+      act(() => {
+        result.current.undoRedo.resetHistory();
+      });
+
+      expect(result.current.undoRedo.canUndo).toBe(false);
+      expect(result.current.undoRedo.canRedo).toBe(false);
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // addAnnotations
+  // -----------------------------------------------------------------------
+  describe("addAnnotations", () => {
+    it("55 - adds every annotation and undoes and redoes them as one step", () => {
+      const { result, addRaw } = setup();
+      const bounds = { x: 1, y: 2, w: 3, h: 4 };
+
+      let added: AnnotationOperation[] = [];
+      act(() => {
+        added = result.current.undoRedo.addAnnotations([
+          { opType: "highlight", page: 1, bounds },
+          { opType: "highlight", page: 2, bounds, payload: { note: "hit" } },
+        ]);
+      });
+      act(() => {
+        result.current.setOps((prev) => [...prev, ...added]);
+      });
+
+      expect(addRaw).toHaveBeenCalledTimes(2);
+      expect(addRaw).toHaveBeenLastCalledWith("highlight", 2, bounds, { note: "hit" });
+      expect(result.current.ops).toHaveLength(2);
+
+      act(() => {
+        result.current.undoRedo.undo();
+      });
+      expect(result.current.ops).toHaveLength(0);
+      expect(result.current.undoRedo.canUndo).toBe(false);
+
+      act(() => {
+        result.current.undoRedo.redo();
+      });
+      expect(result.current.ops.map((o) => o.opId)).toEqual(added.map((o) => o.opId));
+    });
+
+    it("56 - records nothing for an empty list", () => {
+      const { result, addRaw } = setup();
+
+      act(() => {
+        result.current.undoRedo.addAnnotations([]);
+      });
+
+      expect(addRaw).not.toHaveBeenCalled();
+      expect(result.current.undoRedo.canUndo).toBe(false);
+    });
+  });
 });
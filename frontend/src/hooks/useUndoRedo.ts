@@ -3,6 +3,7 @@ import type { AnnotationOperation } from "../types";
 
 type HistoryAction =
   | { type: "add"; op: AnnotationOperation }
+  | { type: "addMany"; ops: AnnotationOperation[] }
   | { type: "remove"; op: AnnotationOperation }
   | { type: "clear"; ops: AnnotationOperation[] }
   | { type: "update"; oldOp: AnnotationOperation; newOp: AnnotationOperation };
@@ -37,6 +38,25 @@ export function useUndoRedo(
     [addAnnotationRaw],
   );
 
+  // Adds several annotations as one step, so a single undo takes them all back.
+  const addAnnotations = useCallback(
+    (
+      items: {
+        opType: AnnotationOperation["opType"];
+        page: number;
+        bounds: { x: number; y: number; w: number; h: number };
+        payload?: Record<string, unknown>;
+      }[],
+    ) => {
+      if (items.length === 0) return [];
+      const added = items.map((item) => addAnnotationRaw(item.opType, item.page, item.bounds, item.payload));
+      setUndoStack((prev) => [...prev, { type: "addMany", ops: added }]);
+      setRedoStack([]);
+      return added;
+    },
+    [addAnnotationRaw],
+  );
+
   const removeAnnotation = useCallback(
     (opId: string) => {
       const op = ops.find((o) => o.opId === opId);
@@ -83,6 +103,11 @@ export function useUndoRedo(
         case "add":
           setOpsDirectly((current) => current.filter((o) => o.opId !== action.op.opId));
           break;
+        case "addMany": {
+          const ids = new Set(action.ops.map((o) => o.opId));
+          setOpsDirectly((current) => current.filter((o) => !ids.has(o.opId)));
+          break;
+        }
         case "remove":
           setOpsDirectly((current) => [...current, action.op]);
           break;
@@ -109,6 +134,9 @@ export function useUndoRedo(
         case "add":
           setOpsDirectly((current) => [...current, action.op]);
           break;
+        case "addMany":
+          setOpsDirectly((current) => [...current, ...action.ops]);
+          break;
         case "remove":
           setOpsDirectly((current) => current.filter((o) => o.opId !== action.op.opId));
           break;
@@ -125,6 +153,12 @@ export function useUndoRedo(
     });
   }, [setOpsDirectly]);
 
+  // Forget history when a different document is loaded
+  const resetHistory = useCallback(() => {
+    setUndoStack([]);
+    setRedoStack([]);
+  }, []);
+
   // Keyboard shortcuts
   useEffect(() => {
     const handler = (e: KeyboardEvent) => {
@@ -146,11 +180,13 @@ export function useUndoRedo(
 
   return {
     addAnnotation,
+    addAnnotations,
     removeAnnotation,
     clearAnnotations,
     updateAnnotation,
     undo,
     redo,
+    resetHistory,
     canUndo: undoStack.length > 0,
     canRedo: redoStack.length > 0,
   };
@@ -0,0 +1,244 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { useUpload } from './useUpload';
+
+vi.mock('../lib/api', async (importOriginal) => ({
+  ...(await importOriginal<typeof import('../lib/api')>()),
+  apiJson: vi.fn(),
+}));
+vi.mock('../lib/blockUpload', async (importOriginal) => ({
+  ...(await importOriginal<typeof import('../lib/blockUpload')>()),
+  uploadBlocks: vi.fn(),
+}));
+
+import { apiJson, ApiError } from '../lib/api';
+import { loadPendingUpload, savePendingUpload, uploadBlocks, type BlockUploadOptions } from '../lib/blockUpload';
+
+const mockApiJson = apiJson as ReturnType<typeof vi.fn>;
+const mockUploadBlocks = uploadBlocks as ReturnType<typeof vi.fn>;
+
+const TOKEN = 'tok';
+
+function makeFile(): File {
+  return new File(['%PDF-1.7 body'], 'binder.pdf', { type: 'application/pdf', lastModified: 42 });
+}
+
+function urls(docId = 'doc-1', sig = 'a') {
+  return {
+    docId,
+    sasUrl: `https://blob/${docId}?sig=${sig}`,
+    blobPath: `source/${docId}`,
+    readUrl: `https://blob/${docId}?read=${sig}`,
+    expiresAt: '2026-01-01T00:00:00.000Z',
+    maxUploadBytes: 1000,
+  };
+}
+
+const COMPLETE = { docId: 'doc-1', status: 'ready', pageCount: 3, byteSize: 13, sha256: 'abc' };
+
+beforeEach(() => {
+  mockApiJson.mockReset();
+  mockUploadBlocks.mockReset();
+  localStorage.clear();
+});
+
+describe('useUpload', () => {
+  it('creates the document, uploads its blocks and completes it', async () => {
+    mockApiJson.mockResolvedValueOnce(urls()).mockResolvedValueOnce(COMPLETE);
+    mockUploadBlocks.mockImplementation(async (options: BlockUploadOptions) => {
+      options.onBlockStaged?.([0]);
+      expect(loadPendingUpload()?.staged).toEqual([0]);
+      options.onProgress?.(13, 13);
+    });
+
+    const { result } = renderHook(() => useUpload(TOKEN));
+    let outcome: Awaited<ReturnType<typeof result.current.upload>> = null;
+    await act(async () => {
+      outcome = await result.current.upload(makeFile());
+    });
+
+    expect(mockApiJson).toHaveBeenNthCalledWith(1, '/docs/upload-url', 'POST', TOKEN, {
+      fileName: 'binder.pdf',
+      contentType: 'application/pdf',
+      fileSize: 13,
+    });
+    expect(mockUploadBlocks.mock.calls[0][0]).toMatchObject({ sasUrl: 'https://blob/doc-1?sig=a', staged: [] });
+    expect(mockApiJson).toHaveBeenNthCalledWith(2, '/docs/doc-1/complete', 'POST', TOKEN);
+    expect(outcome).toEqual({ docId: 'doc-1', readUrl: 'https://blob/doc-1?read=a', complete: COMPLETE });
+    expect(loadPendingUpload()).toBeNull();
+    expect(result.current.progress).toBeNull();
+  });
+
+  it('resumes an interrupted upload of the same file with fresh URLs', async () => {
+    savePendingUpload({ docId: 'doc-9', fileName: 'binder.pdf', size: 13, lastModified: 42, blockSize: 4, staged: [0, 1] });
+    mockApiJson.mockResolvedValueOnce(urls('doc-9', 'b')).mockResolvedValueOnce({ ...COMPLETE, docId: 'doc-9' });
+    mockUploadBlocks.mockResolvedValue(undefined);
+
+    const { result } = renderHook(() => useUpload(TOKEN));
+    expect(result.current.interrupted?.docId).toBe('doc-9');
+
+    await act(async () => {
+      await result.current.upload(makeFile());
+    });
+
+    expect(mockApiJson).toHaveBeenNthCalledWith(1, '/docs/doc-9/upload-url', 'POST', TOKEN);
+    expect(mockUploadBlocks.mock.calls[0][0]).toMatchObject({
+      sasUrl: 'https://blob/doc-9?sig=b',
+      blockSize: 4,
+      staged: [0, 1],
+    });
+    expect(result.current.interrupted).toBeNull();
+  });
+
+  it('pauses and resumes without starting over', async () => {
+    mockApiJson.mockResolvedValueOnce(urls()).mockResolvedValueOnce(COMPLETE);
+    mockUploadBlocks
+      .mockImplementationOnce(async (options: BlockUploadOptions) => {
+        options.onBlockStaged?.([0]);
+        await new Promise((_, reject) => {
+          options.signal?.addEventListener('abort', () => reject(new DOMException('Upload paused', 'AbortError')));
+        });
+      })
+      .mockResolvedValueOnce(undefined);
+
+    const { result } = renderHook(() => useUpload(TOKEN));
+    let pending!: Promise<unknown>;
+    act(() => {
+      pending = result.current.upload(makeFile());
+    });
+    await waitFor(() => expect(result.current.progress?.status).toBe('uploading'));
+
+    act(() => result.current.pause());
+    await waitFor(() => expect(result.current.progress?.status).toBe('paused'));
+
+    await act(async () => {
+      result.current.resume();
+      await pending;
+    });
+
+    expect(mockUploadBlocks).toHaveBeenCalledTimes(2);
+    expect(mockUploadBlocks.mock.calls[1][0].staged).toEqual([0]);
+    expect(mockApiJson).toHaveBeenCalledWith('/docs/doc-1/complete', 'POST', TOKEN);
+  });
+
+  it('shows a failure once retries run out and cancelling drops the upload', async () => {
+    mockApiJson.mockResolvedValueOnce(urls());
+    mockUploadBlocks.mockRejectedValue(new Error('Block 2 of 5 failed (500)'));
+
+    const { result } = renderHook(() => useUpload(TOKEN));
+    let pending!: Promise<unknown>;
+    act(() => {
+      pending = result.current.upload(makeFile());
+    });
+    await waitFor(() => expect(result.current.progress?.status).toBe('failed'));
+    expect(result.current.progress?.error).toBe('Block 2 of 5 failed (500)');
+
+    let outcome: unknown;
+    await act(async () => {
+      result.current.cancel();
+      outcome = await pending;
+    });
+
+    expect(outcome).toBeNull();
+    expect(loadPendingUpload()).toBeNull();
+    expect(mockApiJson).toHaveBeenCalledTimes(1);
+  });
+
+  it('forgets a rejected file but keeps one whose check could not run', async () => {
+    mockUploadBlocks.mockResolvedValue(undefined);
+    mockApiJson
+      .mockResolvedValueOnce(urls())
+      .mockRejectedValueOnce(new ApiError('PDF is password protected', 422, 'upload_rejected'));
+
+    const { result } = renderHook(() => useUpload(TOKEN));
+    await act(async () => {
+      await expect(result.current.upload(makeFile())).rejects.toThrow('PDF is password protected');
+    });
+    expect(loadPendingUpload()).toBeNull();
+    expect(result.current.interrupted).toBeNull();
+
+    mockApiJson
+      .mockResolvedValueOnce(urls('doc-2'))
+      .mockRejectedValueOnce(new ApiError('Request failed (502)', 502));
+    await act(async () => {
+      await expect(result.current.upload(makeFile())).rejects.toThrow('Request failed (502)');
+    });
+    expect(loadPendingUpload()?.docId).toBe('doc-2');
+    expect(result.current.interrupted?.docId).toBe('doc-2');
+  });
+
+  it('uploads every image for conversion', async () => {
+    const images = [
+      new File(['front'], 'front.jpg', { type: 'image/jpeg' }),
+      new File(['back side'], 'back.tiff', { type: 'image/tiff' }),
+    ];
+    mockApiJson.mockResolvedValueOnce({
+      docId: 'doc-7',
+      title: 'front-and-1-more.pdf',
+      files: [
+        { fileName: '1-front.jpg', sasUrl: 'https://blob/1?sig=a', expiresAt: '' },
+        { fileName: '2-back.tiff', sasUrl: 'https://blob/2?sig=a', expiresAt: '' },
+      ],
+      maxUploadBytes: 1000,
+    });
+    mockUploadBlocks.mockImplementation(async (options: BlockUploadOptions) => {
+      options.onProgress?.(options.file.size, options.file.size);
+    });
+
+    const { result } = renderHook(() => useUpload(TOKEN));
+    let outcome: Awaited<ReturnType<typeof result.current.uploadImages>> = null;
+    await act(async () => {
+      outcome = await result.current.uploadImages(images);
+    });
+
+    expect(mockApiJson).toHaveBeenCalledWith('/docs/convert-url', 'POST', TOKEN, {
+      files: [
+        { fileName: 'front.jpg', contentType: 'image/jpeg', fileSize: 5 },
+        { fileName: 'back.tiff', contentType: 'image/tiff', fileSize: 9 },
+      ],
+    });
+    expect(mockUploadBlocks.mock.calls.map(([o]) => [o.sasUrl, o.contentType])).toEqual([
+      ['https://blob/1?sig=a', 'image/jpeg'],
+      ['https://blob/2?sig=a', 'image/tiff'],
+    ]);
+    expect(outcome).toEqual({ docId: 'doc-7', title: 'front-and-1-more.pdf' });
+    expect(loadPendingUpload()).toBeNull();
+    expect(result.current.progress).toBeNull();
+  });
+
+  it('renews image URLs and retries only the images left', async () => {
+    const images = [new File(['a'], 'a.png', { type: 'image/png' }), new File(['b'], 'b.png', { type: 'image/png' })];
+    const files = (sig: string) => [
+      { fileName: '1-a.png', sasUrl: `https://blob/1?sig=${sig}`, expiresAt: '' },
+      { fileName: '2-b.png', sasUrl: `https://blob/2?sig=${sig}`, expiresAt: '' },
+    ];
+    mockApiJson
+      .mockResolvedValueOnce({ docId: 'doc-8', title: 'a-and-1-more.pdf', files: files('a'), maxUploadBytes: 1000 })
+      .mockResolvedValueOnce({ ...urls('doc-8', 'b'), files: files('b') });
+    let renewed = '';
+    mockUploadBlocks
+      .mockResolvedValueOnce(undefined)
+      .mockImplementationOnce(async (options: BlockUploadOptions) => {
+        renewed = (await options.renewSasUrl?.()) ?? '';
+        throw new Error('Block 1 of 1 failed (500)');
+      })
+      .mockResolvedValueOnce(undefined);
+
+    const { result } = renderHook(() => useUpload(TOKEN));
+    let pending!: Promise<unknown>;
+    act(() => {
+      pending = result.current.uploadImages(images);
+    });
+    await waitFor(() => expect(result.current.progress?.status).toBe('failed'));
+
+    await act(async () => {
+      result.current.resume();
+      await pending;
+    });
+
+    expect(renewed).toBe('https://blob/2?sig=b');
+    expect(mockApiJson).toHaveBeenNthCalledWith(2, '/docs/doc-8/upload-url', 'POST', TOKEN);
+    expect(mockUploadBlocks.mock.calls.map(([o]) => o.file.name)).toEqual(['a.png', 'b.png', 'b.png']);
+    expect(mockUploadBlocks.mock.calls[2][0].sasUrl).toBe('https://blob/2?sig=b');
+  });
+});
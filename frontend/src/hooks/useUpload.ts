@@ -0,0 +1,231 @@
+import { useState, useCallback, useRef } from "react";
+import { apiJson, ApiError } from "../lib/api";
+import {
+  BLOCK_SIZE,
+  clearPendingUpload,
+  isAbortError,
+  isSameFile,
+  loadPendingUpload,
+  savePendingUpload,
+  uploadBlocks,
+  type PendingUpload,
+} from "../lib/blockUpload";
+import type { ConvertUploadResponse, UploadCompleteResponse, UploadProgress, UploadResponse } from "../types";
+
+export interface UploadResult {
+  docId: string;
+  readUrl: string;
+  complete: UploadCompleteResponse;
+}
+
+export interface ConvertUpload {
+  docId: string;
+  title: string;
+}
+
+export function useUpload(token: string) {
+  const [progress, setProgress] = useState<UploadProgress | null>(null);
+  // Left behind by a reload or a failed check; picking the same file again picks it up.
+  const [interrupted, setInterrupted] = useState<PendingUpload | null>(() => loadPendingUpload());
+  const active = useRef(false);
+  const controller = useRef<AbortController | null>(null);
+  const cancelled = useRef(false);
+  const proceed = useRef<((carryOn: boolean) => void) | null>(null);
+
+  const update = useCallback((changes: Partial<UploadProgress>) => {
+    setProgress((prev) => (prev ? { ...prev, ...changes } : prev));
+  }, []);
+
+  // Runs `send` until it finishes. A pause or spent retries wait for resume() or cancel();
+  // resolves to false if the transfer was cancelled.
+  const transfer = useCallback(
+    async (send: (signal: AbortSignal) => Promise<void>): Promise<boolean> => {
+      for (;;) {
+        const abort = new AbortController();
+        controller.current = abort;
+        try {
+          await send(abort.signal);
+          return !cancelled.current;
+        } catch (err) {
+          if (cancelled.current) return false;
+          // Retries inside uploadBlocks are spent, so a failure waits for the user like a pause does.
+          update(isAbortError(err) ? { status: "paused", error: "" } : { status: "failed", error: (err as Error).message });
+          const carryOn = await new Promise<boolean>((resolve) => {
+            proceed.current = resolve;
+          });
+          proceed.current = null;
+          if (!carryOn) return false;
+          update({ status: "uploading", error: "" });
+        }
+      }
+    },
+    [update]
+  );
+
+  // Resolves once the file is uploaded and accepted, or to null if it was cancelled.
+  const upload = useCallback(
+    async (file: File): Promise<UploadResult | null> => {
+      if (active.current) throw new Error("Another upload is still in progress");
+      active.current = true;
+      cancelled.current = false;
+
+      try {
+        let pending = loadPendingUpload();
+        let urls: UploadResponse | null = null;
+        if (pending && isSameFile(pending, file)) {
+          urls = await apiJson<UploadResponse>(`/docs/${pending.docId}/upload-url`, "POST", token).catch(() => null);
+        }
+        if (!urls || !pending) {
+          urls = await apiJson<UploadResponse>("/docs/upload-url", "POST", token, {
+            fileName: file.name,
+            contentType: file.type || "application/pdf",
+            fileSize: file.size,
+          });
+          pending = {
+            docId: urls.docId,
+            fileName: file.name,
+            size: file.size,
+            lastModified: file.lastModified,
+            blockSize: BLOCK_SIZE,
+            staged: [],
+          };
+          savePendingUpload(pending);
+        }
+        const docId = pending.docId;
+        let latest: UploadResponse = urls;
+        setInterrupted(null);
+        setProgress({ fileName: file.name, loaded: 0, total: file.size, status: "uploading", error: "" });
+
+        const finished = await transfer(async (signal) => {
+          await uploadBlocks({
+            file,
+            sasUrl: latest.sasUrl,
+            blockSize: (pending as PendingUpload).blockSize,
+            staged: (pending as PendingUpload).staged,
+            signal,
+            renewSasUrl: async () => {
+              latest = await apiJson<UploadResponse>(`/docs/${docId}/upload-url`, "POST", token);
+              return latest.sasUrl;
+            },
+            onBlockStaged: (staged) => {
+              pending = { ...(pending as PendingUpload), staged };
+              savePendingUpload(pending);
+            },
+            onProgress: (loaded, total) => update({ loaded, total }),
+          });
+        });
+
+        if (!finished) {
+          clearPendingUpload();
+          return null;
+        }
+
+        update({ status: "verifying" });
+        try {
+          const complete = await apiJson<UploadCompleteResponse>(`/docs/${docId}/complete`, "POST", token);
+          clearPendingUpload();
+          return { docId, readUrl: latest.readUrl, complete };
+        } catch (err) {
+          // A rejected file is gone for good; anything else can be checked again by re-selecting it.
+          if (err instanceof ApiError && err.status === 422) {
+            clearPendingUpload();
+          } else {
+            setInterrupted(pending);
+          }
+          throw err;
+        }
+      } finally {
+        active.current = false;
+        controller.current = null;
+        setProgress(null);
+      }
+    },
+    [token, update, transfer]
+  );
+
+  // Uploads images for conversion. Resolves once they are all uploaded, or to null if
+  // cancelled; the conversion itself is a job started with the returned docId.
+  const uploadImages = useCallback(
+    async (files: File[]): Promise<ConvertUpload | null> => {
+      if (active.current) throw new Error("Another upload is still in progress");
+      active.current = true;
+      cancelled.current = false;
+
+      try {
+        const created = await apiJson<ConvertUploadResponse>("/docs/convert-url", "POST", token, {
+          files: files.map((file) => ({ fileName: file.name, contentType: file.type, fileSize: file.size })),
+        });
+        const { docId, title } = created;
+        let sasUrls = created.files.map((entry) => entry.sasUrl);
+        const staged: number[][] = files.map(() => []);
+        const total = files.reduce((sum, file) => sum + file.size, 0);
+        let next = 0;
+        setProgress({ fileName: title, loaded: 0, total, status: "uploading", error: "" });
+
+        const finished = await transfer(async (signal) => {
+          for (; next < files.length; next++) {
+            const index = next;
+            const before = files.slice(0, index).reduce((sum, file) => sum + file.size, 0);
+            await uploadBlocks({
+              file: files[index],
+              sasUrl: sasUrls[index],
+              contentType: files[index].type,
+              staged: staged[index],
+              signal,
+              renewSasUrl: async () => {
+                const renewed = await apiJson<UploadResponse & { files?: ConvertUploadResponse["files"] }>(
+                  `/docs/${docId}/upload-url`,
+                  "POST",
+                  token
+                );
+                sasUrls = (renewed.files ?? []).map((entry) => entry.sasUrl);
+                return sasUrls[index];
+              },
+              onBlockStaged: (blocks) => {
+                staged[index] = blocks;
+              },
+              onProgress: (loaded) => update({ loaded: before + loaded }),
+            });
+          }
+        });
+
+        return finished ? { docId, title } : null;
+      } finally {
+        active.current = false;
+        controller.current = null;
+        setProgress(null);
+      }
+    },
+    [token, update, transfer]
+  );
+
+  const pause = useCallback(() => {
+    controller.current?.abort();
+  }, []);
+
+  const resume = useCallback(() => {
+    proceed.current?.(true);
+  }, []);
+
+  const cancel = useCallback(() => {
+    cancelled.current = true;
+    controller.current?.abort();
+    proceed.current?.(false);
+  }, []);
+
+  const discardInterrupted = useCallback(() => {
+    clearPendingUpload();
+    setInterrupted(null);
+  }, []);
+
+  return {
+    progress,
+    interrupted,
+    upload,
+    uploadImages,
+    pause,
+    resume,
+    cancel,
+    discardInterrupted,
+  };
+}
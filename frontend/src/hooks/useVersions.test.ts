@@ -0,0 +1,102 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { useVersions } from './useVersions';
+import type { VersionDetail, VersionSummary } from '../types';
+
+vi.mock('../lib/api', () => ({ apiJson: vi.fn() }));
+
+import { apiJson } from '../lib/api';
+
+const mockApiJson = apiJson as ReturnType<typeof vi.fn>;
+
+const TOKEN = 'test-token-abc';
+const DOC_ID = 'doc-123';
+
+function makeVersion(version: number): VersionSummary {
+  return {
+    versionId: `v${version}`,
+    version,
+    operationCount: version,
+    createdBy: 'a@example.com',
+    createdAt: '2026-01-01T00:00:00.000Z',
+    restoredFrom: null,
+  };
+}
+
+function makeDetail(version: number): VersionDetail {
+  return { ...makeVersion(version), docId: DOC_ID, annotations: { schemaVersion: '1.0', operations: [] } };
+}
+
+beforeEach(() => {
+  mockApiJson.mockReset();
+});
+
+describe('useVersions', () => {
+  it('loads the version list for the document', async () => {
+    mockApiJson.mockResolvedValueOnce({ docId: DOC_ID, currentVersionId: 'v2', items: [makeVersion(2), makeVersion(1)] });
+
+    const { result } = renderHook(() => useVersions(TOKEN, DOC_ID));
+
+    await waitFor(() => expect(result.current.versions).toHaveLength(2));
+    expect(result.current.currentVersionId).toBe('v2');
+    expect(mockApiJson).toHaveBeenCalledWith(`/docs/${DOC_ID}/versions`, 'GET', TOKEN);
+  });
+
+  it('does not fetch without a document', () => {
+    renderHook(() => useVersions(TOKEN, ''));
+    expect(mockApiJson).not.toHaveBeenCalled();
+  });
+
+  it('getVersion fetches a version once and then serves it from cache', async () => {
+    mockApiJson
+      .mockResolvedValueOnce({ docId: DOC_ID, currentVersionId: 'v1', items: [makeVersion(1)] })
+      .mockResolvedValueOnce(makeDetail(1));
+
+    const { result } = renderHook(() => useVersions(TOKEN, DOC_ID));
+    await waitFor(() => expect(result.current.versions).toHaveLength(1));
+
+    let first: VersionDetail | undefined;
+    let second: VersionDetail | undefined;
+    await act(async () => {
+      first = await result.current.getVersion('v1');
+      second = await result.current.getVersion('v1');
+    });
+
+    expect(first).toEqual(makeDetail(1));
+    expect(second).toBe(first);
+    expect(mockApiJson).toHaveBeenCalledTimes(2);
+  });
+
+  it('restoreVersion posts to the restore route and reloads the list', async () => {
+    const restored = {
+      ok: true,
+      versionId: 'v3',
+      restoredFrom: 'v1',
+      annotations: { schemaVersion: '1.0', operations: [] },
+    };
+    mockApiJson
+      .mockResolvedValueOnce({ docId: DOC_ID, currentVersionId: 'v2', items: [makeVersion(2), makeVersion(1)] })
+      .mockResolvedValueOnce(restored)
+      .mockResolvedValueOnce({ docId: DOC_ID, currentVersionId: 'v3', items: [makeVersion(3), makeVersion(2), makeVersion(1)] });
+
+    const { result } = renderHook(() => useVersions(TOKEN, DOC_ID));
+    await waitFor(() => expect(result.current.versions).toHaveLength(2));
+
+    let response;
+    await act(async () => {
+      response = await result.current.restoreVersion('v1');
+    });
+
+    expect(mockApiJson).toHaveBeenCalledWith(`/docs/${DOC_ID}/versions/v1/restore`, 'POST', TOKEN);
+    expect(response).toEqual(restored);
+    expect(result.current.currentVersionId).toBe('v3');
+  });
+
+  it('exposes list errors', async () => {
+    mockApiJson.mockRejectedValueOnce(new Error('You do not own this document'));
+
+    const { result } = renderHook(() => useVersions(TOKEN, DOC_ID));
+
+    await waitFor(() => expect(result.current.error).toBe('You do not own this document'));
+  });
+});
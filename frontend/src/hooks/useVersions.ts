@@ -0,0 +1,68 @@
+import { useState, useCallback, useEffect, useRef } from "react";
+import { apiJson } from "../lib/api";
+import type { RestoreVersionResponse, VersionDetail, VersionListResponse, VersionSummary } from "../types";
+
+export function useVersions(token: string, docId: string) {
+  const [versions, setVersions] = useState<VersionSummary[]>([]);
+  const [currentVersionId, setCurrentVersionId] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+  // Versions are immutable, so fetched details never go stale.
+  const detailCache = useRef(new Map<string, VersionDetail>());
+
+  const refresh = useCallback(async () => {
+    if (!token || !docId) return;
+    setIsLoading(true);
+    setError("");
+    try {
+      const result = await apiJson<VersionListResponse>(`/docs/${docId}/versions`, "GET", token);
+      setVersions(result.items);
+      setCurrentVersionId(result.currentVersionId);
+    } catch (err) {
+      setError((err as Error).message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [token, docId]);
+
+  useEffect(() => {
+    detailCache.current.clear();
+    setVersions([]);
+    setCurrentVersionId("");
+    refresh();
+  }, [refresh]);
+
+  const getVersion = useCallback(
+    async (versionId: string) => {
+      const cached = detailCache.current.get(versionId);
+      if (cached) return cached;
+      const detail = await apiJson<VersionDetail>(`/docs/${docId}/versions/${versionId}`, "GET", token);
+      detailCache.current.set(versionId, detail);
+      return detail;
+    },
+    [token, docId]
+  );
+
+  const restoreVersion = useCallback(
+    async (versionId: string) => {
+      const result = await apiJson<RestoreVersionResponse>(
+        `/docs/${docId}/versions/${versionId}/restore`,
+        "POST",
+        token
+      );
+      await refresh();
+      return result;
+    },
+    [token, docId, refresh]
+  );
+
+  return {
+    versions,
+    currentVersionId,
+    isLoading,
+    error,
+    refresh,
+    getVersion,
+    restoreVersion,
+  };
+}
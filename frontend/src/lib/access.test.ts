@@ -0,0 +1,63 @@
+import { describe, it, expect } from "vitest";
+import { canModifyOperation, canUseTool, hasRole } from "./access";
+import type { AnnotationOperation } from "../types";
+
+function makeOp(overrides: Partial<AnnotationOperation> = {}): AnnotationOperation {
+  return {
+    opId: "op-1",
+    opType: "text",
+    page: 1,
+    bounds: { x: 0, y: 0, w: 10, h: 10 },
+    author: "me@example.com",
+    ts: "2026-01-01T00:00:00.000Z",
+    ...overrides,
+  };
+}
+
+describe("hasRole", () => {
+  it("ranks owner above editor above commenter above viewer", () => {
+    expect(hasRole("owner", "editor")).toBe(true);
+    expect(hasRole("editor", "commenter")).toBe(true);
+    expect(hasRole("commenter", "editor")).toBe(false);
+    expect(hasRole("viewer", "commenter")).toBe(false);
+  });
+
+  it("grants nothing without a role", () => {
+    expect(hasRole(null, "viewer")).toBe(false);
+  });
+});
+
+describe("canUseTool", () => {
+  it("lets viewers select and pan only", () => {
+    expect(canUseTool("viewer", "select")).toBe(true);
+    expect(canUseTool("viewer", "pan")).toBe(true);
+    expect(canUseTool("viewer", "text")).toBe(false);
+    expect(canUseTool("viewer", "eraser")).toBe(false);
+  });
+
+  it("lets commenters place and erase text notes but not draw", () => {
+    expect(canUseTool("commenter", "text")).toBe(true);
+    expect(canUseTool("commenter", "eraser")).toBe(true);
+    expect(canUseTool("commenter", "highlight")).toBe(false);
+    expect(canUseTool("commenter", "redaction")).toBe(false);
+  });
+
+  it("lets editors and owners use every tool", () => {
+    expect(canUseTool("editor", "redaction")).toBe(true);
+    expect(canUseTool("owner", "ink")).toBe(true);
+  });
+});
+
+describe("canModifyOperation", () => {
+  it("limits commenters to their own text notes", () => {
+    expect(canModifyOperation("commenter", makeOp(), "ME@example.com")).toBe(true);
+    expect(canModifyOperation("commenter", makeOp({ author: "owner@example.com" }), "me@example.com")).toBe(false);
+    expect(canModifyOperation("commenter", makeOp({ opType: "highlight" }), "me@example.com")).toBe(false);
+  });
+
+  it("lets editors change anyone's annotations and viewers change none", () => {
+    const op = makeOp({ author: "owner@example.com", opType: "shape" });
+    expect(canModifyOperation("editor", op, "me@example.com")).toBe(true);
+    expect(canModifyOperation("viewer", makeOp(), "me@example.com")).toBe(false);
+  });
+});
@@ -0,0 +1,23 @@
+import type { AnnotationOperation, AnnotationTool, DocumentRole } from "../types";
+
+// Mirrors backend/src/lib/access.js so the editor only offers what the server will accept.
+const ROLE_RANK: Record<DocumentRole, number> = { viewer: 1, commenter: 2, editor: 3, owner: 4 };
+
+export function hasRole(role: DocumentRole | null, minimumRole: DocumentRole): boolean {
+  return role !== null && ROLE_RANK[role] >= ROLE_RANK[minimumRole];
+}
+
+/** Tools that only move around the document are open to every role. */
+export function canUseTool(role: DocumentRole | null, tool: AnnotationTool): boolean {
+  if (tool === "select" || tool === "pan") return true;
+  if (role === "commenter") return tool === "text" || tool === "eraser";
+  return hasRole(role, "editor");
+}
+
+/** Commenters may change their own text notes; editors and owners may change anything. */
+export function canModifyOperation(role: DocumentRole | null, op: AnnotationOperation, email: string): boolean {
+  if (role === "commenter") {
+    return op.opType === "text" && op.author.toLowerCase() === email.toLowerCase();
+  }
+  return hasRole(role, "editor");
+}
@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { apiJson, uploadBlob } from './api';
+import { ApiError, apiJson } from './api';
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -153,83 +153,22 @@ describe('apiJson', () => {
     // present and the generic message is used.
     await expect(apiJson('/docs', 'GET', 'tok')).rejects.toThrow('Request failed (502)');
   });
-});
-
-// ---------------------------------------------------------------------------
-// uploadBlob
-// ---------------------------------------------------------------------------
-
-describe('uploadBlob', () => {
-  const SAS_URL = 'https://storage.example.com/container/doc.pdf?sv=sig';
-
-  function makeFile(name = 'test.pdf', type = 'application/pdf'): File {
-    return new File(['%PDF-1.4 content'], name, { type });
-  }
 
-  it('sends a PUT request to the provided SAS URL', async () => {
+  it('throws an ApiError carrying the status, error code and details', async () => {
     const fetchMock = vi.mocked(fetch);
-    fetchMock.mockResolvedValue(makeResponse({ ok: true, status: 201 }));
-
-    await uploadBlob(SAS_URL, makeFile());
-
-    const [url, init] = fetchMock.mock.calls[0];
-    expect(url).toBe(SAS_URL);
-    expect((init as RequestInit).method).toBe('PUT');
-  });
-
-  it('sends the x-ms-blob-type: BlockBlob header', async () => {
-    const fetchMock = vi.mocked(fetch);
-    fetchMock.mockResolvedValue(makeResponse({ ok: true, status: 201 }));
-
-    await uploadBlob(SAS_URL, makeFile());
-
-    const [, init] = fetchMock.mock.calls[0];
-    expect((init as RequestInit).headers).toMatchObject({
-      'x-ms-blob-type': 'BlockBlob',
-    });
-  });
-
-  it('sends the Content-Type: application/pdf header', async () => {
-    const fetchMock = vi.mocked(fetch);
-    fetchMock.mockResolvedValue(makeResponse({ ok: true, status: 201 }));
-
-    await uploadBlob(SAS_URL, makeFile());
-
-    const [, init] = fetchMock.mock.calls[0];
-    expect((init as RequestInit).headers).toMatchObject({
-      'Content-Type': 'application/pdf',
-    });
-  });
-
-  it('passes the File object as the request body', async () => {
-    const fetchMock = vi.mocked(fetch);
-    fetchMock.mockResolvedValue(makeResponse({ ok: true, status: 200 }));
-
-    const file = makeFile();
-    await uploadBlob(SAS_URL, file);
-
-    const [, init] = fetchMock.mock.calls[0];
-    expect((init as RequestInit).body).toBe(file);
-  });
-
-  it('resolves without throwing when the response is 200', async () => {
-    const fetchMock = vi.mocked(fetch);
-    fetchMock.mockResolvedValue(makeResponse({ ok: true, status: 200 }));
-
-    await expect(uploadBlob(SAS_URL, makeFile())).resolves.toBeUndefined();
-  });
-
-  it('resolves without throwing when the response is 201', async () => {
-    const fetchMock = vi.mocked(fetch);
-    fetchMock.mockResolvedValue(makeResponse({ ok: true, status: 201 }));
-
-    await expect(uploadBlob(SAS_URL, makeFile())).resolves.toBeUndefined();
-  });
+    fetchMock.mockResolvedValue(
+      makeResponse({
+        ok: false,
+        status: 409,
+        jsonResult: { error: { code: 'conflict', message: 'Saved elsewhere', details: { currentVersion: 4 } } },
+      })
+    );
 
-  it('throws an Error with status code when the response is not ok', async () => {
-    const fetchMock = vi.mocked(fetch);
-    fetchMock.mockResolvedValue(makeResponse({ ok: false, status: 403 }));
+    const err = (await apiJson('/docs/d/save-annotation', 'POST', 'tok', {}).catch((e) => e)) as ApiError;
 
-    await expect(uploadBlob(SAS_URL, makeFile())).rejects.toThrow('Blob upload failed (403)');
+    expect(err).toBeInstanceOf(ApiError);
+    expect(err.status).toBe(409);
+    expect(err.code).toBe('conflict');
+    expect(err.details).toEqual({ currentVersion: 4 });
   });
 });
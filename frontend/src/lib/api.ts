@@ -5,6 +5,20 @@ function apiUrl(path: string): string {
   return `${API_BASE}/api${path}`;
 }
 
+export class ApiError extends Error {
+  status: number;
+  code: string;
+  details: unknown;
+
+  constructor(message: string, status: number, code = "", details?: unknown) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
 export async function apiJson<T>(
   path: string,
   method: string,
@@ -22,24 +36,9 @@ export async function apiJson<T>(
 
   const payload = await response.json().catch(() => ({}));
   if (!response.ok) {
-    const message =
-      (payload as Record<string, any>)?.error?.message ||
-      `Request failed (${response.status})`;
-    throw new Error(message);
+    const apiError = (payload as Record<string, any>)?.error;
+    const message = apiError?.message || `Request failed (${response.status})`;
+    throw new ApiError(message, response.status, apiError?.code || "", apiError?.details);
   }
   return payload as T;
 }
-
-export async function uploadBlob(sasUrl: string, file: File): Promise<void> {
-  const put = await fetch(sasUrl, {
-    method: "PUT",
-    headers: {
-      "x-ms-blob-type": "BlockBlob",
-      "Content-Type": "application/pdf",
-    },
-    body: file,
-  });
-  if (!put.ok) {
-    throw new Error(`Blob upload failed (${put.status})`);
-  }
-}
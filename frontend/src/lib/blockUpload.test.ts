@@ -0,0 +1,195 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  BlockUploadError,
+  MAX_BLOCK_ATTEMPTS,
+  blockCount,
+  blockId,
+  clearPendingUpload,
+  isAbortError,
+  isSameFile,
+  loadPendingUpload,
+  savePendingUpload,
+  uploadBlocks,
+  type PendingUpload,
+} from './blockUpload';
+
+const SAS_URL = 'https://storage.example.com/source/doc.pdf?sv=2024&sig=abc';
+
+function makeFile(size: number): File {
+  return new File([new Uint8Array(size)], 'binder.pdf', { type: 'application/pdf', lastModified: 1000 });
+}
+
+function ok(status = 201): Response {
+  return { ok: true, status } as Response;
+}
+
+function failed(status: number): Response {
+  return { ok: false, status } as Response;
+}
+
+function putParams(call: unknown[]) {
+  return new URL(call[0] as string).searchParams;
+}
+
+beforeEach(() => {
+  vi.stubGlobal('fetch', vi.fn());
+  localStorage.clear();
+});
+
+describe('blockId', () => {
+  it('produces base64 ids of equal length', () => {
+    expect(atob(blockId(0))).toBe('block-000000');
+    expect(blockId(7).length).toBe(blockId(123456).length);
+  });
+});
+
+describe('blockCount', () => {
+  it('rounds up and never returns zero', () => {
+    expect(blockCount(10, 4)).toBe(3);
+    expect(blockCount(8, 4)).toBe(2);
+    expect(blockCount(0, 4)).toBe(1);
+  });
+});
+
+describe('uploadBlocks', () => {
+  it('stages each block and commits them in order', async () => {
+    const fetchMock = vi.mocked(fetch);
+    fetchMock.mockResolvedValue(ok());
+    const onProgress = vi.fn();
+
+    await uploadBlocks({ file: makeFile(10), sasUrl: SAS_URL, blockSize: 4, onProgress });
+
+    expect(fetchMock).toHaveBeenCalledTimes(4);
+    const staged = fetchMock.mock.calls.slice(0, 3).map(putParams);
+    expect(staged.map((p) => p.get('comp'))).toEqual(['block', 'block', 'block']);
+    expect(staged.map((p) => p.get('blockid'))).toEqual([blockId(0), blockId(1), blockId(2)]);
+    expect(staged[0].get('sig')).toBe('abc');
+    expect(((fetchMock.mock.calls[2][1] as RequestInit).body as Blob).size).toBe(2);
+
+    const commit = fetchMock.mock.calls[3];
+    expect(putParams(commit).get('comp')).toBe('blocklist');
+    const init = commit[1] as RequestInit;
+    expect(init.method).toBe('PUT');
+    expect(init.headers).toMatchObject({ 'x-ms-blob-content-type': 'application/pdf' });
+    expect(init.body).toContain(`<Latest>${blockId(0)}</Latest><Latest>${blockId(1)}</Latest><Latest>${blockId(2)}</Latest>`);
+
+    expect(onProgress).toHaveBeenLastCalledWith(10, 10);
+    expect(onProgress.mock.calls.map((c) => c[0])).toEqual([0, 4, 8, 10]);
+  });
+
+  it('commits with the content type it is given', async () => {
+    const fetchMock = vi.mocked(fetch);
+    fetchMock.mockResolvedValue(ok());
+
+    await uploadBlocks({ file: makeFile(3), sasUrl: SAS_URL, contentType: 'image/tiff' });
+
+    const init = fetchMock.mock.calls[1][1] as RequestInit;
+    expect(init.headers).toMatchObject({ 'x-ms-blob-content-type': 'image/tiff' });
+  });
+
+  it('skips blocks staged by an earlier attempt but still commits all of them', async () => {
+    const fetchMock = vi.mocked(fetch);
+    fetchMock.mockResolvedValue(ok());
+    const onBlockStaged = vi.fn();
+
+    await uploadBlocks({ file: makeFile(10), sasUrl: SAS_URL, blockSize: 4, staged: [0, 2], onBlockStaged });
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(putParams(fetchMock.mock.calls[0]).get('blockid')).toBe(blockId(1));
+    expect(onBlockStaged).toHaveBeenCalledWith([0, 1, 2]);
+    expect((fetchMock.mock.calls[1][1] as RequestInit).body).toContain(blockId(0));
+  });
+
+  it('retries a block after network errors and server errors', async () => {
+    const fetchMock = vi.mocked(fetch);
+    fetchMock
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce(failed(503))
+      .mockResolvedValue(ok());
+
+    await uploadBlocks({ file: makeFile(3), sasUrl: SAS_URL, blockSize: 4, retryDelayMs: 0 });
+
+    expect(fetchMock).toHaveBeenCalledTimes(4);
+    expect(putParams(fetchMock.mock.calls[2]).get('blockid')).toBe(blockId(0));
+  });
+
+  it('gives up after the last attempt', async () => {
+    vi.mocked(fetch).mockResolvedValue(failed(500));
+
+    await expect(
+      uploadBlocks({ file: makeFile(3), sasUrl: SAS_URL, blockSize: 4, retryDelayMs: 0 })
+    ).rejects.toThrow('Block 1 of 1 failed (500)');
+    expect(fetch).toHaveBeenCalledTimes(MAX_BLOCK_ATTEMPTS);
+  });
+
+  it('does not retry a request the storage service refuses outright', async () => {
+    vi.mocked(fetch).mockResolvedValue(failed(400));
+
+    await expect(
+      uploadBlocks({ file: makeFile(3), sasUrl: SAS_URL, blockSize: 4, retryDelayMs: 0 })
+    ).rejects.toBeInstanceOf(BlockUploadError);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('renews an expired upload URL and carries on with the new one', async () => {
+    const fetchMock = vi.mocked(fetch);
+    fetchMock.mockResolvedValueOnce(failed(403)).mockResolvedValue(ok());
+    const renewSasUrl = vi.fn().mockResolvedValue('https://storage.example.com/source/doc.pdf?sig=fresh');
+
+    await uploadBlocks({ file: makeFile(3), sasUrl: SAS_URL, blockSize: 4, renewSasUrl, retryDelayMs: 0 });
+
+    expect(renewSasUrl).toHaveBeenCalledOnce();
+    expect(putParams(fetchMock.mock.calls[1]).get('sig')).toBe('fresh');
+    expect(putParams(fetchMock.mock.calls[2]).get('sig')).toBe('fresh');
+  });
+
+  it('stops with an AbortError once the signal fires', async () => {
+    const controller = new AbortController();
+    vi.mocked(fetch).mockImplementation(async () => {
+      controller.abort();
+      return ok();
+    });
+    const onBlockStaged = vi.fn();
+
+    const error = await uploadBlocks({
+      file: makeFile(10),
+      sasUrl: SAS_URL,
+      blockSize: 4,
+      signal: controller.signal,
+      onBlockStaged,
+    }).catch((err) => err);
+
+    expect(isAbortError(error)).toBe(true);
+    expect(onBlockStaged).toHaveBeenCalledWith([0]);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('pending uploads', () => {
+  const pending: PendingUpload = {
+    docId: 'doc-1',
+    fileName: 'binder.pdf',
+    size: 10,
+    lastModified: 1000,
+    blockSize: 4,
+    staged: [0],
+  };
+
+  it('round-trips through localStorage and can be cleared', () => {
+    expect(loadPendingUpload()).toBeNull();
+    savePendingUpload(pending);
+    expect(loadPendingUpload()).toEqual(pending);
+    clearPendingUpload();
+    expect(loadPendingUpload()).toBeNull();
+  });
+
+  it('ignores corrupt entries', () => {
+    localStorage.setItem('redarm_pending_upload', '{not json');
+    expect(loadPendingUpload()).toBeNull();
+  });
+
+  it('matches a file by name, size and modification time', () => {
+    expect(isSameFile(pending, makeFile(10))).toBe(true);
+    expect(isSameFile(pending, makeFile(11))).toBe(false);
+  });
+});
@@ -0,0 +1,178 @@
+// Block-based uploads to Azure Blob Storage: the file is staged in fixed-size blocks
+// (Put Block) and assembled with Put Block List, so a failed or interrupted transfer
+// only repeats the blocks it had not finished.
+
+export const BLOCK_SIZE = 4 * 1024 * 1024;
+export const MAX_BLOCK_ATTEMPTS = 4;
+const RETRY_DELAY_MS = 1000;
+const RESUME_KEY = "redarm_pending_upload";
+
+// Block ids must all have the same length within a blob.
+export function blockId(index: number): string {
+  return btoa(`block-${String(index).padStart(6, "0")}`);
+}
+
+export function blockCount(size: number, blockSize = BLOCK_SIZE): number {
+  return Math.max(1, Math.ceil(size / blockSize));
+}
+
+function withQuery(sasUrl: string, params: Record<string, string>): string {
+  const url = new URL(sasUrl);
+  for (const [key, value] of Object.entries(params)) url.searchParams.set(key, value);
+  return url.toString();
+}
+
+function abortError(): DOMException {
+  return new DOMException("Upload paused", "AbortError");
+}
+
+export function isAbortError(err: unknown): boolean {
+  return err instanceof DOMException && err.name === "AbortError";
+}
+
+function wait(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(abortError());
+    }, { once: true });
+  });
+}
+
+// Timeouts, throttling and server errors are worth another try; other 4xx answers are not.
+function isTransient(status: number): boolean {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+export class BlockUploadError extends Error {
+  status: number;
+
+  constructor(message: string, status: number) {
+    super(message);
+    this.name = "BlockUploadError";
+    this.status = status;
+  }
+}
+
+interface TransferContext {
+  sasUrl: string;
+  signal?: AbortSignal;
+  // Called when the write URL is refused (usually expired); resolves to a fresh one.
+  renewSasUrl?: () => Promise<string>;
+  retryDelayMs?: number;
+}
+
+async function putWithRetry(
+  context: TransferContext,
+  params: Record<string, string>,
+  init: { headers: Record<string, string>; body: BodyInit },
+  label: string
+): Promise<void> {
+  let lastError: Error = new Error(`${label} failed`);
+  for (let attempt = 0; attempt < MAX_BLOCK_ATTEMPTS; attempt++) {
+    if (context.signal?.aborted) throw abortError();
+    if (attempt > 0) await wait((context.retryDelayMs ?? RETRY_DELAY_MS) * 2 ** (attempt - 1), context.signal);
+
+    let response: Response;
+    try {
+      response = await fetch(withQuery(context.sasUrl, params), {
+        method: "PUT",
+        headers: init.headers,
+        body: init.body,
+        signal: context.signal,
+      });
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      lastError = err as Error;
+      continue;
+    }
+    if (response.ok) return;
+
+    lastError = new BlockUploadError(`${label} failed (${response.status})`, response.status);
+    if (response.status === 403 && context.renewSasUrl) {
+      context.sasUrl = await context.renewSasUrl();
+      continue;
+    }
+    if (!isTransient(response.status)) throw lastError;
+  }
+  throw lastError;
+}
+
+export interface BlockUploadOptions extends TransferContext {
+  file: Blob;
+  blockSize?: number;
+  // Stored on the committed blob; defaults to application/pdf.
+  contentType?: string;
+  // Blocks already staged by an earlier, interrupted attempt.
+  staged?: number[];
+  onBlockStaged?: (staged: number[]) => void;
+  onProgress?: (loaded: number, total: number) => void;
+}
+
+// Stages every block not yet staged, then commits the full list. Rejects with an
+// AbortError when the signal fires; the staged blocks reported so far stay usable.
+export async function uploadBlocks(options: BlockUploadOptions): Promise<void> {
+  const { file, blockSize = BLOCK_SIZE, contentType = "application/pdf", onBlockStaged, onProgress } = options;
+  const context: TransferContext = { ...options };
+  const total = blockCount(file.size, blockSize);
+  const staged = new Set((options.staged ?? []).filter((index) => index >= 0 && index < total));
+  const loadedBytes = () =>
+    [...staged].reduce((sum, index) => sum + Math.min(blockSize, file.size - index * blockSize), 0);
+
+  onProgress?.(loadedBytes(), file.size);
+  for (let index = 0; index < total; index++) {
+    if (staged.has(index)) continue;
+    await putWithRetry(
+      context,
+      { comp: "block", blockid: blockId(index) },
+      { headers: {}, body: file.slice(index * blockSize, (index + 1) * blockSize) },
+      `Block ${index + 1} of ${total}`
+    );
+    staged.add(index);
+    onBlockStaged?.([...staged].sort((a, b) => a - b));
+    onProgress?.(loadedBytes(), file.size);
+  }
+
+  const ids = Array.from({ length: total }, (_, index) => `<Latest>${blockId(index)}</Latest>`);
+  await putWithRetry(
+    context,
+    { comp: "blocklist" },
+    {
+      headers: { "Content-Type": "application/xml", "x-ms-blob-content-type": contentType },
+      body: `<?xml version="1.0" encoding="utf-8"?><BlockList>${ids.join("")}</BlockList>`,
+    },
+    "Finishing the upload"
+  );
+}
+
+// What survives a page reload: enough to recognise the same file and skip its staged blocks.
+export interface PendingUpload {
+  docId: string;
+  fileName: string;
+  size: number;
+  lastModified: number;
+  blockSize: number;
+  staged: number[];
+}
+
+export function loadPendingUpload(): PendingUpload | null {
+  try {
+    const stored = JSON.parse(localStorage.getItem(RESUME_KEY) || "null");
+    if (stored && typeof stored.docId === "string" && Array.isArray(stored.staged)) return stored as PendingUpload;
+  } catch { /* ignore corrupt entries */ }
+  return null;
+}
+
+export function savePendingUpload(pending: PendingUpload): void {
+  localStorage.setItem(RESUME_KEY, JSON.stringify(pending));
+}
+
+export function clearPendingUpload(): void {
+  localStorage.removeItem(RESUME_KEY);
+}
+
+export function isSameFile(pending: PendingUpload, file: File): boolean {
+  return pending.fileName === file.name && pending.size === file.size && pending.lastModified === file.lastModified;
+}
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { acceptChanges, applyChanges, changedOperations, colorForAuthor, compareStamps, type Stamp, type StampedChange } from './collab';
+import type { AnnotationOperation } from '../types';
+
+function op(opId: string, note = opId): AnnotationOperation {
+  return {
+    opId,
+    opType: 'highlight',
+    page: 1,
+    bounds: { x: 0, y: 0, w: 10, h: 10 },
+    author: 'a@example.com',
+    payload: { note },
+    ts: '2026-01-01T00:00:00.000Z',
+  };
+}
+
+const ids = (ops: AnnotationOperation[]) => ops.map((o) => o.opId);
+const stamp = (clock: number, clientId = 'c1'): Stamp => ({ clock, clientId });
+
+describe('compareStamps', () => {
+  it('orders by clock, then by client id', () => {
+    expect(compareStamps(stamp(2), stamp(1))).toBeGreaterThan(0);
+    expect(compareStamps(stamp(1, 'a'), stamp(1, 'b'))).toBeLessThan(0);
+    expect(compareStamps(stamp(1), stamp(1))).toBe(0);
+  });
+});
+
+describe('changedOperations', () => {
+  it('reports additions, edits and removals by opId', () => {
+    const changes = changedOperations([op('keep'), op('edit'), op('gone')], [op('keep'), op('edit', 'new'), op('added')]);
+    expect(changes.map((c) => [c.opId, c.op?.payload?.note ?? null])).toEqual([
+      ['edit', 'new'],
+      ['added', 'added'],
+      ['gone', null],
+    ]);
+  });
+
+  it('reports nothing for identical snapshots', () => {
+    expect(changedOperations([op('a')], [op('a')])).toEqual([]);
+  });
+});
+
+describe('applyChanges', () => {
+  it('updates in place, appends additions and drops removals', () => {
+    const result = applyChanges([op('a'), op('b'), op('c')], [
+      { opId: 'b', op: op('b', 'edited') },
+      { opId: 'c', op: null },
+      { opId: 'd', op: op('d') },
+    ]);
+    expect(ids(result)).toEqual(['a', 'b', 'd']);
+    expect(result[1].payload).toEqual({ note: 'edited' });
+  });
+
+  it('ignores removals of unknown opIds', () => {
+    expect(ids(applyChanges([op('a')], [{ opId: 'x', op: null }]))).toEqual(['a']);
+  });
+});
+
+describe('acceptChanges', () => {
+  it('accepts changes that beat the recorded stamp and records them', () => {
+    const stamps = new Map([['a', stamp(3)]]);
+    const accepted = acceptChanges(stamps, [
+      { opId: 'a', op: op('a', 'old'), stamp: stamp(2) },
+      { opId: 'b', op: op('b'), stamp: stamp(1) },
+    ]);
+    expect(accepted.map((c) => c.opId)).toEqual(['b']);
+    expect(stamps.get('b')).toEqual(stamp(1));
+  });
+
+  it('converges when two sessions receive concurrent edits in opposite orders', () => {
+    const fromAlice: StampedChange = { opId: 'x', op: op('x', 'alice'), stamp: stamp(5, 'alice') };
+    const fromBob: StampedChange = { opId: 'x', op: null, stamp: stamp(5, 'bob') };
+
+    const first = new Map<string, Stamp>();
+    let opsFirst = applyChanges([op('x')], acceptChanges(first, [fromAlice]));
+    opsFirst = applyChanges(opsFirst, acceptChanges(first, [fromBob]));
+
+    const second = new Map<string, Stamp>();
+    let opsSecond = applyChanges([op('x')], acceptChanges(second, [fromBob]));
+    opsSecond = applyChanges(opsSecond, acceptChanges(second, [fromAlice]));
+
+    expect(opsFirst).toEqual(opsSecond);
+    expect(ids(opsFirst)).toEqual([]);
+  });
+});
+
+describe('colorForAuthor', () => {
+  it('returns the same color for the same author, ignoring case', () => {
+    expect(colorForAuthor('Alice@example.com')).toBe(colorForAuthor('alice@example.com'));
+    expect(colorForAuthor('alice@example.com')).toMatch(/^#[0-9a-f]{6}$/);
+  });
+});
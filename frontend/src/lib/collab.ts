@@ -0,0 +1,96 @@
+import type { AnnotationOperation } from "../types";
+
+/**
+ * Lamport timestamp for one change. Every session keeps one per opId and only
+ * accepts a remote change with a higher stamp, so all sessions settle on the
+ * same value for each opId whatever order the messages arrive in.
+ */
+export type Stamp = { clock: number; clientId: string };
+
+/** A new value for one opId; `op: null` means the annotation was removed. */
+export type OpChange = { opId: string; op: AnnotationOperation | null };
+
+export type StampedChange = OpChange & { stamp: Stamp };
+
+export type CollabMessage =
+  | { kind: "ops"; clientId: string; changes: StampedChange[] }
+  | { kind: "hello"; clientId: string }
+  | { kind: "saved"; clientId: string; version: number; opIds: string[] }
+  | { kind: "comments"; clientId: string }
+  | { kind: "cursor"; clientId: string; page: number; x: number; y: number }
+  | { kind: "presence"; clientId: string }
+  | { kind: "leave"; clientId: string };
+
+export function compareStamps(a: Stamp, b: Stamp): number {
+  if (a.clock !== b.clock) return a.clock - b.clock;
+  return a.clientId < b.clientId ? -1 : a.clientId > b.clientId ? 1 : 0;
+}
+
+function fingerprint(op: AnnotationOperation): string {
+  return JSON.stringify(op);
+}
+
+/** The opIds whose value differs between two snapshots, in `next` order, removals last. */
+export function changedOperations(previous: AnnotationOperation[], next: AnnotationOperation[]): OpChange[] {
+  const before = new Map(previous.map((op) => [op.opId, fingerprint(op)]));
+  const after = new Set(next.map((op) => op.opId));
+  const changes: OpChange[] = [];
+  for (const op of next) {
+    if (before.get(op.opId) !== fingerprint(op)) {
+      changes.push({ opId: op.opId, op });
+    }
+  }
+  for (const opId of before.keys()) {
+    if (!after.has(opId)) {
+      changes.push({ opId, op: null });
+    }
+  }
+  return changes;
+}
+
+/** Applies changes by opId: updates stay in place, additions are appended. */
+export function applyChanges(ops: AnnotationOperation[], changes: OpChange[]): AnnotationOperation[] {
+  if (changes.length === 0) return ops;
+  const byId = new Map(changes.map((change) => [change.opId, change.op]));
+  const result: AnnotationOperation[] = [];
+  for (const op of ops) {
+    if (!byId.has(op.opId)) {
+      result.push(op);
+    } else if (byId.get(op.opId)) {
+      result.push(byId.get(op.opId)!);
+    }
+    byId.delete(op.opId);
+  }
+  for (const op of byId.values()) {
+    if (op) result.push(op);
+  }
+  return result;
+}
+
+/**
+ * Keeps the remote changes that beat the stamp already recorded for their opId
+ * and records the winners' stamps. An opId with no stamp yet (loaded from the
+ * server) loses to any remote change.
+ */
+export function acceptChanges(stamps: Map<string, Stamp>, changes: StampedChange[]): OpChange[] {
+  const accepted: OpChange[] = [];
+  for (const change of changes) {
+    const current = stamps.get(change.opId);
+    if (!current || compareStamps(change.stamp, current) > 0) {
+      stamps.set(change.opId, change.stamp);
+      accepted.push({ opId: change.opId, op: change.op });
+    }
+  }
+  return accepted;
+}
+
+const AUTHOR_COLORS = ["#e11d48", "#2563eb", "#16a34a", "#d97706", "#7c3aed", "#0891b2", "#db2777", "#65a30d"];
+
+/** A stable color per author so cursors and annotations can be told apart. */
+export function colorForAuthor(email: string): string {
+  let hash = 0;
+  for (const char of email.toLowerCase()) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return AUTHOR_COLORS[hash % AUTHOR_COLORS.length];
+}
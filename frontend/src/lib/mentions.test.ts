@@ -0,0 +1,43 @@
+import { describe, it, expect } from "vitest";
+import { completeMention, mentionQuery, splitMentions } from "./mentions";
+
+describe("splitMentions", () => {
+  it("marks mentioned addresses and keeps trailing punctuation as prose", () => {
+    expect(splitMentions("Thanks @bob@example.com, see p.2")).toEqual([
+      { text: "Thanks ", mention: false },
+      { text: "@bob@example.com", mention: true },
+      { text: ", see p.2", mention: false },
+    ]);
+  });
+
+  it("handles a mention at the start and end of the body", () => {
+    expect(splitMentions("@a@example.com and @b@example.com.")).toEqual([
+      { text: "@a@example.com", mention: true },
+      { text: " and ", mention: false },
+      { text: "@b@example.com", mention: true },
+      { text: ".", mention: false },
+    ]);
+  });
+
+  it("leaves plain email addresses alone", () => {
+    expect(splitMentions("mail bob@example.com")).toEqual([{ text: "mail bob@example.com", mention: false }]);
+  });
+});
+
+describe("mentionQuery", () => {
+  it("returns the partial address being typed", () => {
+    expect(mentionQuery("cc @Bo")).toBe("bo");
+    expect(mentionQuery("@")).toBe("");
+  });
+
+  it("returns null outside a mention", () => {
+    expect(mentionQuery("cc @bob@example.com done")).toBeNull();
+    expect(mentionQuery("bob@exa")).toBeNull();
+  });
+});
+
+describe("completeMention", () => {
+  it("replaces the partial mention with the chosen address", () => {
+    expect(completeMention("cc @bo", "bob@example.com")).toBe("cc @bob@example.com ");
+  });
+});
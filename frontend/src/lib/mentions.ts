@@ -0,0 +1,30 @@
+// Mirrors extractMentions in backend/src/lib/comments.js: "@name@example.com" mentions that address.
+const MENTION = /(^|[^\w@])@([^\s@]+@[^\s@]+?)(?=[.,;:!?)\]]*(?:\s|$))/g;
+
+export type CommentSegment = { text: string; mention: boolean };
+
+/** Splits a comment body so mentions can be rendered differently from the prose around them. */
+export function splitMentions(body: string): CommentSegment[] {
+  const segments: CommentSegment[] = [];
+  let last = 0;
+  for (const match of body.matchAll(MENTION)) {
+    const start = (match.index ?? 0) + match[1].length;
+    if (start > last) segments.push({ text: body.slice(last, start), mention: false });
+    const end = start + 1 + match[2].length;
+    segments.push({ text: body.slice(start, end), mention: true });
+    last = end;
+  }
+  if (last < body.length) segments.push({ text: body.slice(last), mention: false });
+  return segments;
+}
+
+/** The partial address after a trailing "@" being typed, or null when the caret is not in a mention. */
+export function mentionQuery(text: string): string | null {
+  const match = /(?:^|\s)@([^\s]*)$/.exec(text);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/** Replaces the mention being typed with the chosen address. */
+export function completeMention(text: string, email: string): string {
+  return text.replace(/@[^\s]*$/, `@${email} `);
+}
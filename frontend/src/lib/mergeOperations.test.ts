@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { mergeOperations } from './mergeOperations';
+import type { AnnotationOperation } from '../types';
+
+function op(opId: string, note = opId): AnnotationOperation {
+  return {
+    opId,
+    opType: 'highlight',
+    page: 1,
+    bounds: { x: 0, y: 0, w: 10, h: 10 },
+    author: 'a@example.com',
+    payload: { note },
+    ts: '2026-01-01T00:00:00.000Z',
+  };
+}
+
+const ids = (ops: AnnotationOperation[]) => ops.map((o) => o.opId);
+
+describe('mergeOperations', () => {
+  it('keeps operations added on either side, server ones first', () => {
+    const merged = mergeOperations([op('base'), op('mine')], [op('base'), op('theirs')], ['base']);
+    expect(ids(merged)).toEqual(['base', 'theirs', 'mine']);
+  });
+
+  it('prefers the local copy when both sides hold the same opId', () => {
+    const merged = mergeOperations([op('a', 'local edit')], [op('a', 'server edit')], ['a']);
+    expect(merged[0].payload).toEqual({ note: 'local edit' });
+  });
+
+  it('keeps local deletions of base operations', () => {
+    const merged = mergeOperations([op('b')], [op('a'), op('b')], ['a', 'b']);
+    expect(ids(merged)).toEqual(['b']);
+  });
+
+  it('drops base operations the server deleted', () => {
+    const merged = mergeOperations([op('a'), op('b')], [op('b')], ['a', 'b']);
+    expect(ids(merged)).toEqual(['b']);
+  });
+
+  it('unions both sides when there is no shared base', () => {
+    const merged = mergeOperations([op('x')], [op('y'), op('x')], []);
+    expect(ids(merged)).toEqual(['y', 'x']);
+  });
+});
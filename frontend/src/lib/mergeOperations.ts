@@ -0,0 +1,36 @@
+import type { AnnotationOperation } from "../types";
+
+/**
+ * Three-way merge of annotation sets by opId. `baseOpIds` are the operations
+ * both sides started from: server operations the user deleted locally stay
+ * deleted, local operations another session deleted are dropped, and when both
+ * sides hold the same opId the local copy wins. New operations from either side
+ * are kept, server ones first.
+ */
+export function mergeOperations(
+  local: AnnotationOperation[],
+  server: AnnotationOperation[],
+  baseOpIds: Iterable<string>,
+): AnnotationOperation[] {
+  const base = new Set(baseOpIds);
+  const localById = new Map(local.map((op) => [op.opId, op]));
+  const serverIds = new Set(server.map((op) => op.opId));
+  const merged: AnnotationOperation[] = [];
+
+  for (const op of server) {
+    const mine = localById.get(op.opId);
+    if (mine) {
+      merged.push(mine);
+    } else if (!base.has(op.opId)) {
+      merged.push(op);
+    }
+  }
+
+  for (const op of local) {
+    if (!serverIds.has(op.opId) && !base.has(op.opId)) {
+      merged.push(op);
+    }
+  }
+
+  return merged;
+}
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { diffOperations } from './operationDiff';
+import type { AnnotationOperation } from '../types';
+
+function makeOp(opId: string, overrides: Partial<AnnotationOperation> = {}): AnnotationOperation {
+  return {
+    opId,
+    opType: 'highlight',
+    page: 1,
+    bounds: { x: 10, y: 10, w: 100, h: 20 },
+    author: 'a@example.com',
+    ts: '2026-01-01T00:00:00.000Z',
+    ...overrides,
+  };
+}
+
+describe('diffOperations', () => {
+  it('reports operations only in the newer set as added', () => {
+    const diff = diffOperations([makeOp('a')], [makeOp('a'), makeOp('b')]);
+    expect(diff.added.map((op) => op.opId)).toEqual(['b']);
+    expect(diff.unchanged).toBe(1);
+  });
+
+  it('reports operations missing from the newer set as removed', () => {
+    const diff = diffOperations([makeOp('a'), makeOp('b')], [makeOp('b')]);
+    expect(diff.removed.map((op) => op.opId)).toEqual(['a']);
+  });
+
+  it('reports moved, resized or re-typed operations as changed', () => {
+    const diff = diffOperations(
+      [makeOp('a'), makeOp('b'), makeOp('c', { opType: 'text', payload: { text: 'old' } })],
+      [
+        makeOp('a', { bounds: { x: 20, y: 10, w: 100, h: 20 } }),
+        makeOp('b', { page: 2 }),
+        makeOp('c', { opType: 'text', payload: { text: 'new' } }),
+      ],
+    );
+    expect(diff.changed.map((c) => c.after.opId)).toEqual(['a', 'b', 'c']);
+    expect(diff.changed[2].before.payload).toEqual({ text: 'old' });
+  });
+
+  it('ignores timestamp and author-only differences', () => {
+    const diff = diffOperations(
+      [makeOp('a')],
+      [makeOp('a', { ts: '2026-02-01T00:00:00.000Z', author: 'b@example.com' })],
+    );
+    expect(diff.changed).toEqual([]);
+    expect(diff.unchanged).toBe(1);
+  });
+
+  it('returns an empty diff for identical sets', () => {
+    expect(diffOperations([], [])).toEqual({ added: [], removed: [], changed: [], unchanged: 0 });
+  });
+});
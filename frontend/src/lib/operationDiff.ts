@@ -0,0 +1,45 @@
+import type { AnnotationOperation } from "../types";
+
+export type OperationChange = {
+  before: AnnotationOperation;
+  after: AnnotationOperation;
+};
+
+export type OperationDiff = {
+  added: AnnotationOperation[];
+  removed: AnnotationOperation[];
+  changed: OperationChange[];
+  unchanged: number;
+};
+
+// Fields that define what an annotation looks like; `ts` and `author` only
+// record who touched it last, so they are not compared.
+function fingerprint(op: AnnotationOperation): string {
+  return JSON.stringify([op.opType, op.page, op.bounds, op.payload ?? null]);
+}
+
+/**
+ * Compares two annotation sets by opId: operations only in `after` are added,
+ * only in `before` are removed, and in both with a different shape are changed.
+ */
+export function diffOperations(before: AnnotationOperation[], after: AnnotationOperation[]): OperationDiff {
+  const previous = new Map(before.map((op) => [op.opId, op]));
+  const next = new Map(after.map((op) => [op.opId, op]));
+  const diff: OperationDiff = { added: [], removed: [], changed: [], unchanged: 0 };
+
+  for (const op of after) {
+    const old = previous.get(op.opId);
+    if (!old) {
+      diff.added.push(op);
+    } else if (fingerprint(old) !== fingerprint(op)) {
+      diff.changed.push({ before: old, after: op });
+    } else {
+      diff.unchanged += 1;
+    }
+  }
+  for (const op of before) {
+    if (!next.has(op.opId)) diff.removed.push(op);
+  }
+
+  return diff;
+}
@@ -0,0 +1,40 @@
+import { describe, it, expect } from "vitest";
+import { planPageEdits } from "./pageEdits";
+
+const sources = (pages: ReturnType<typeof planPageEdits>) => pages.map((page) => page.source);
+
+describe("planPageEdits", () => {
+  it("starts from the document's own order", () => {
+    expect(planPageEdits(3, [])).toEqual([
+      { source: 0, rotate: 0 },
+      { source: 1, rotate: 0 },
+      { source: 2, rotate: 0 },
+    ]);
+  });
+
+  it("applies each edit to the order left by the previous ones", () => {
+    const pages = planPageEdits(4, [
+      { type: "move", page: 4, to: 1 },
+      { type: "delete", page: 2 },
+      { type: "insertBlank", after: 1 },
+      { type: "duplicate", page: 3 },
+    ]);
+    expect(sources(pages)).toEqual([3, null, 1, 1, 2]);
+  });
+
+  it("accumulates rotation", () => {
+    const pages = planPageEdits(1, [
+      { type: "rotate", page: 1, degrees: 270 },
+      { type: "rotate", page: 1, degrees: 180 },
+    ]);
+    expect(pages).toEqual([{ source: 0, rotate: 90 }]);
+  });
+
+  it("skips edits that do not fit and never deletes the last page", () => {
+    const pages = planPageEdits(1, [
+      { type: "move", page: 1, to: 3 },
+      { type: "delete", page: 1 },
+    ]);
+    expect(sources(pages)).toEqual([0]);
+  });
+});
@@ -0,0 +1,45 @@
+import type { PageEdit } from "../types";
+
+// Mirrors planPageEdits in backend/src/lib/pages.js so the sidebar can preview pending edits.
+export type PlannedPage = {
+  // Zero-based page of the current file, or null for an inserted blank page.
+  source: number | null;
+  // Clockwise rotation added on top of the page's own.
+  rotate: number;
+};
+
+/** Applies edits in order; edits that do not fit the sequence at that point are skipped. */
+export function planPageEdits(pageCount: number, edits: PageEdit[]): PlannedPage[] {
+  let pages: PlannedPage[] = Array.from({ length: pageCount }, (_, source) => ({ source, rotate: 0 }));
+  const inRange = (position: number, min = 1) => position >= min && position <= pages.length;
+
+  for (const edit of edits) {
+    switch (edit.type) {
+      case "move": {
+        if (!inRange(edit.page) || !inRange(edit.to)) break;
+        const next = [...pages];
+        const [moved] = next.splice(edit.page - 1, 1);
+        next.splice(edit.to - 1, 0, moved);
+        pages = next;
+        break;
+      }
+      case "rotate":
+        if (!inRange(edit.page)) break;
+        pages = pages.map((page, i) => (i === edit.page - 1 ? { ...page, rotate: (page.rotate + edit.degrees) % 360 } : page));
+        break;
+      case "delete":
+        if (!inRange(edit.page) || pages.length === 1) break;
+        pages = pages.filter((_, i) => i !== edit.page - 1);
+        break;
+      case "insertBlank":
+        if (!inRange(edit.after, 0)) break;
+        pages = [...pages.slice(0, edit.after), { source: null, rotate: 0 }, ...pages.slice(edit.after)];
+        break;
+      case "duplicate":
+        if (!inRange(edit.page)) break;
+        pages = [...pages.slice(0, edit.page), { ...pages[edit.page - 1] }, ...pages.slice(edit.page)];
+        break;
+    }
+  }
+  return pages;
+}
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { findInPage, ocrRuns, type TextRun } from './search';
+
+function run(text: string, x: number, y: number, eol = false): TextRun {
+  return { text, bounds: { x, y, w: text.length * 10, h: 12 }, eol };
+}
+
+describe('findInPage', () => {
+  it('finds every match, ignoring case, with a box over the matched characters', () => {
+    const hits = findInPage([run('Total due: total', 100, 50)], 'TOTAL', 2);
+
+    expect(hits.map((h) => h.id)).toEqual(['2:0', '2:11']);
+    expect(hits[0].page).toBe(2);
+    expect(hits[0].rects).toEqual([{ x: 100, y: 50, w: 50, h: 12 }]);
+    expect(hits[1].rects).toEqual([{ x: 210, y: 50, w: 50, h: 12 }]);
+    expect(hits[1].snippet).toEqual({ before: 'Total due: ', match: 'total', after: '' });
+  });
+
+  it('matches across runs and lines, with one box per run', () => {
+    const hits = findInPage([run('Amount', 0, 0, true), run('due now', 0, 20)], 'amount  due', 1);
+
+    expect(hits).toHaveLength(1);
+    expect(hits[0].rects).toEqual([
+      { x: 0, y: 0, w: 60, h: 12 },
+      { x: 0, y: 20, w: 30, h: 12 },
+    ]);
+    expect(hits[0].snippet).toEqual({ before: '', match: 'Amount due', after: ' now' });
+  });
+
+  it('treats the query literally and ignores blank queries', () => {
+    expect(findInPage([run('cost (USD) $5.00', 0, 0)], '(usd) $5.00', 1)).toHaveLength(1);
+    expect(findInPage([run('a.b', 0, 0)], 'a*', 1)).toEqual([]);
+    expect(findInPage([run('anything', 0, 0)], '   ', 1)).toEqual([]);
+  });
+
+  it('trims long snippets around the match', () => {
+    const text = `${'x'.repeat(40)} needle ${'y'.repeat(40)}`;
+    const [hit] = findInPage([run(text, 0, 0)], 'needle', 1);
+
+    expect(hit.snippet.before).toBe(`…${'x'.repeat(29)} `);
+    expect(hit.snippet.after).toBe(` ${'y'.repeat(29)}…`);
+  });
+});
+
+describe('ocrRuns', () => {
+  it('turns line polygons into boxes on the page', () => {
+    const runs = ocrRuns(
+      [{ content: 'Invoice', polygon: [{ x: 0.1, y: 0.25 }, { x: 0.5, y: 0.25 }, { x: 0.5, y: 0.5 }, { x: 0.1, y: 0.5 }] }],
+      200,
+      100
+    );
+
+    expect(runs).toEqual([{ text: 'Invoice', bounds: { x: 20, y: 25, w: 80, h: 25 }, eol: true }]);
+  });
+});
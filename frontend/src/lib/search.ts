@@ -0,0 +1,91 @@
+import type { OcrLine } from "../types";
+
+type Rect = { x: number; y: number; w: number; h: number };
+
+// A piece of text on a page with its box in page coordinates (points at zoom 1, origin
+// top-left), the same space annotation bounds use. `eol` marks the end of a line.
+export type TextRun = { text: string; bounds: Rect; eol?: boolean };
+
+export type SearchHit = {
+  id: string;
+  page: number;
+  snippet: { before: string; match: string; after: string };
+  // One box per run the match touches.
+  rects: Rect[];
+};
+
+const SNIPPET_CONTEXT = 30;
+
+/** Runs for OCR lines, whose polygons are fractions of a `width` x `height` page. */
+export function ocrRuns(lines: OcrLine[], width: number, height: number): TextRun[] {
+  return lines.map((line) => {
+    const xs = line.polygon.map((p) => p.x * width);
+    const ys = line.polygon.map((p) => p.y * height);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return { text: line.content, bounds: { x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y }, eol: true };
+  });
+}
+
+function escapeRegExp(text: string) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function compact(text: string) {
+  return text.replace(/\s+/g, " ");
+}
+
+/**
+ * Finds `query` in the page's runs, ignoring case and treating any whitespace, including
+ * the gap between runs, as a single space. Boxes are cut from each run in proportion to
+ * the characters matched, which is close enough for the fonts scanned text comes in.
+ */
+export function findInPage(runs: TextRun[], query: string, page: number): SearchHit[] {
+  const words = query.trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return [];
+
+  let text = "";
+  // For each character of `text`: the run and offset it came from, or null for separators.
+  const origin: ({ run: number; offset: number } | null)[] = [];
+  runs.forEach((run, index) => {
+    if (index > 0) {
+      text += runs[index - 1].eol ? "\n" : " ";
+      origin.push(null);
+    }
+    for (let offset = 0; offset < run.text.length; offset++) {
+      text += run.text[offset];
+      origin.push({ run: index, offset });
+    }
+  });
+
+  const pattern = new RegExp(words.map(escapeRegExp).join("\\s+"), "gi");
+  const hits: SearchHit[] = [];
+  for (const match of text.matchAll(pattern)) {
+    const start = match.index ?? 0;
+    const end = start + match[0].length;
+    const spans = new Map<number, { from: number; to: number }>();
+    for (let i = start; i < end; i++) {
+      const at = origin[i];
+      if (!at) continue;
+      const span = spans.get(at.run);
+      if (span) span.to = at.offset + 1;
+      else spans.set(at.run, { from: at.offset, to: at.offset + 1 });
+    }
+    const rects = [...spans].map(([index, { from, to }]) => {
+      const { text: runText, bounds } = runs[index];
+      const charWidth = bounds.w / Math.max(runText.length, 1);
+      return { x: bounds.x + from * charWidth, y: bounds.y, w: (to - from) * charWidth, h: bounds.h };
+    });
+    hits.push({
+      id: `${page}:${start}`,
+      page,
+      snippet: {
+        before: (start > SNIPPET_CONTEXT ? "…" : "") + compact(text.slice(Math.max(0, start - SNIPPET_CONTEXT), start)).trimStart(),
+        match: compact(match[0]),
+        after: compact(text.slice(end, end + SNIPPET_CONTEXT)).trimEnd() + (end + SNIPPET_CONTEXT < text.length ? "…" : ""),
+      },
+      rects,
+    });
+  }
+  return hits;
+}
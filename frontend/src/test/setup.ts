@@ -11,7 +11,9 @@ vi.mock('pdfjs-dist', () => ({
           getViewport: ({ scale }: { scale: number }) => ({
             width: 800 * scale,
             height: 600 * scale,
+            transform: [scale, 0, 0, -scale, 0, 600 * scale],
           }),
+          getTextContent: () => Promise.resolve({ items: [] }),
           render: ({ canvasContext, viewport }: { canvasContext: unknown; viewport: unknown }) => ({
             promise: Promise.resolve(),
             cancel: vi.fn(),
@@ -16,15 +16,272 @@ export type UploadResponse = {
   maxUploadBytes: number;
 };
 
+// Optional export settings; `searchable` adds the latest OCR result as an invisible text layer.
+export type ExportOptions = {
+  searchable?: boolean;
+  pages?: string;
+};
+
+// Page layout for images converted to PDF. "fit" sizes each page to its image;
+// orientation only applies to the fixed paper sizes.
+export type ConvertOptions = {
+  pageSize: "fit" | "a4" | "letter" | "legal";
+  orientation: "auto" | "portrait" | "landscape";
+  margin?: number;
+};
+
+// One write URL per image; the PDF is built from them by a convert job.
+export type ConvertUploadResponse = {
+  docId: string;
+  title: string;
+  files: { fileName: string; sasUrl: string; expiresAt: string }[];
+  maxUploadBytes: number;
+};
+
+export type UploadStatus = "uploading" | "paused" | "failed" | "verifying";
+
+// A block upload in flight. `failed` means retries ran out; it resumes like a pause.
+export type UploadProgress = {
+  fileName: string;
+  loaded: number;
+  total: number;
+  status: UploadStatus;
+  error: string;
+};
+
+// The server's verdict once the uploaded file has been checked.
+export type UploadCompleteResponse = {
+  docId: string;
+  status: "ready";
+  pageCount: number | null;
+  byteSize: number | null;
+  sha256: string | null;
+};
+
 export type JobResponse = {
   jobId: string;
   status: "queued" | "running" | "completed" | "failed" | string;
   type: string;
   resultUri: string | null;
   error: string | null;
+  // Inputs handled so far, for jobs that work through several documents (merges) or pages (scans).
+  progress?: { done: number; total: number } | null;
+  updatedAt: string | null;
+};
+
+// A line of recognised text; polygon corners run clockwise from the top-left of the
+// text as read, as fractions of the page's displayed width and height.
+export type OcrLine = {
+  content: string;
+  polygon: { x: number; y: number }[];
+};
+
+export type OcrPage = {
+  pageNumber: number;
+  text: string;
+  lines: OcrLine[];
+};
+
+// The latest OCR result for the document's current pages.
+export type OcrTextResponse = {
+  docId: string;
+  jobId: string;
+  analyzedAt: string | null;
+  pages: OcrPage[];
+  // Pages the Tesseract provider skipped because they have no image to read.
+  pagesWithoutImages?: number[];
+};
+
+// Built-in detectors of a sensitive data scan, as the backend names them.
+export type SensitiveKind = "ssn" | "creditCard" | "dob" | "email" | "phone";
+
+export type SensitiveScanOptions = {
+  pages?: string;
+  kinds: SensitiveKind[];
+  patterns: { name: string; pattern: string }[];
+  terms: string[];
+};
+
+// A proposed redaction: the words a finding touches, one rect per line, in annotation
+// bounds. Nothing is redacted until the candidate is accepted.
+export type SensitiveCandidate = {
+  id: string;
+  kind: SensitiveKind | "pattern" | "term";
+  // The custom pattern's name or the term, for "pattern" and "term" findings.
+  label: string | null;
+  text: string;
+  page: number;
+  source: "text" | "ocr";
+  rects: { x: number; y: number; w: number; h: number }[];
+};
+
+export type SensitiveScanResponse = {
+  docId: string;
+  jobId: string;
+  pages: string | null;
+  scannedAt: string;
+  // Pages with neither a text layer nor OCR words, which the scan could not read.
+  unreadablePages: number[];
+  truncated: boolean;
+  candidates: SensitiveCandidate[];
+};
+
+// One step of a page reorganization. Page numbers are 1-based and refer to the
+// order left by the previous edits; `after: 0` inserts at the start.
+export type PageEdit =
+  | { type: "move"; page: number; to: number }
+  | { type: "rotate"; page: number; degrees: 90 | 180 | 270 }
+  | { type: "delete"; page: number }
+  | { type: "insertBlank"; after: number }
+  | { type: "duplicate"; page: number };
+
+// "owner" for documents you uploaded; otherwise the role the owner shared it with.
+export type DocumentRole = "owner" | "editor" | "commenter" | "viewer";
+
+export type ShareRole = Exclude<DocumentRole, "owner">;
+
+export type DocumentSummary = {
+  docId: string;
+  title: string;
+  ownerEmail: string;
+  role: DocumentRole;
+  pageCount: number | null;
+  version: number;
+  createdAt: string | null;
+  updatedAt: string | null;
+  readUrl: string | null;
+};
+
+export type DocumentListResponse = {
+  items: DocumentSummary[];
+  limit: number;
+  // Pass as `cursor` for the next page; null on the last one.
+  nextCursor: string | null;
+};
+
+export type DocumentDetail = DocumentSummary & {
+  contentType: string;
+  readUrl: string;
+  readUrlExpiresAt: string;
+  annotations: {
+    schemaVersion: string;
+    operations: AnnotationOperation[];
+  };
+};
+
+export type DocumentShare = {
+  email: string;
+  role: ShareRole;
+  grantedBy: string | null;
+  createdAt: string | null;
   updatedAt: string | null;
 };
 
+export type ShareListResponse = {
+  docId: string;
+  ownerEmail: string;
+  items: DocumentShare[];
+};
+
+export type ShareUpsertResponse = {
+  docId: string;
+  share: DocumentShare;
+};
+
+export type ThreadStatus = "open" | "resolved";
+
+export type ThreadComment = {
+  commentId: string;
+  author: string;
+  body: string;
+  mentions: string[];
+  createdAt: string | null;
+};
+
+export type CommentThread = {
+  threadId: string;
+  opId: string;
+  status: ThreadStatus;
+  createdBy: string;
+  createdAt: string | null;
+  updatedAt: string | null;
+  resolvedBy: string | null;
+  resolvedAt: string | null;
+  comments: ThreadComment[];
+};
+
+export type ThreadListResponse = {
+  docId: string;
+  items: CommentThread[];
+  participants: string[];
+};
+
+export type ThreadResponse = {
+  docId: string;
+  thread: CommentThread;
+};
+
+export type CollabNegotiateResponse = {
+  docId: string;
+  url: string;
+  expiresOn: string;
+  hub: string;
+  groups: { ops: string; presence: string };
+  userId: string;
+  role: DocumentRole;
+  canPublish: boolean;
+};
+
+export type VersionSummary = {
+  versionId: string;
+  version: number;
+  operationCount: number;
+  createdBy: string | null;
+  createdAt: string | null;
+  restoredFrom: string | null;
+};
+
+export type VersionListResponse = {
+  docId: string;
+  currentVersionId: string;
+  items: VersionSummary[];
+};
+
+export type VersionDetail = VersionSummary & {
+  docId: string;
+  annotations: {
+    schemaVersion: string;
+    operations: AnnotationOperation[];
+  };
+};
+
+export type RestoreVersionResponse = {
+  ok: boolean;
+  version: number;
+  versionId: string;
+  restoredFrom: string;
+  annotations: {
+    schemaVersion: string;
+    operations: AnnotationOperation[];
+  };
+};
+
+export type SaveAnnotationResponse = {
+  ok: boolean;
+  version: number;
+  versionId: string;
+};
+
+// Details of a 409 from save-annotation: the version another session saved.
+export type SaveConflict = {
+  currentVersion: number;
+  currentVersionId: string;
+  annotations: {
+    schemaVersion: string;
+    operations: AnnotationOperation[];
+  };
+};
+
 export type AnnotationOperation = {
   opId: string;
   opType: "highlight" | "ink" | "text" | "shape" | "redaction";
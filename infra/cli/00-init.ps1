@@ -25,6 +25,7 @@ $providers = @(
   "Microsoft.Storage",
   "Microsoft.Web",
   "Microsoft.CognitiveServices",
+  "Microsoft.SignalRService",
   "Microsoft.Insights"
 )
 foreach ($provider in $providers) {
@@ -36,3 +37,4 @@ Write-Host "Resource group: $($state.resourceGroup)"
 Write-Host "Storage account: $($state.storageAccount)"
 Write-Host "Function app: $($state.functionApp)"
 Write-Host "Document Intelligence account: $($state.docIntel)"
+Write-Host "Web PubSub service: $($state.webPubSub)"
@@ -52,7 +52,7 @@ az functionapp config appsettings set `
   "BCRYPT_ROUNDS=10" `
   "LOCKOUT_THRESHOLD=5" `
   "LOCKOUT_MINUTES=15" `
-  "MAX_UPLOAD_BYTES=10485760" `
+  "MAX_UPLOAD_BYTES=209715200" `
   "BOOTSTRAP_ADMIN_EMAIL=admin@local.redarm" `
   "BOOTSTRAP_ADMIN_PASSWORD=$bootstrapPass" `
   "BLOB_SOURCE_CONTAINER=pdf-source" `
@@ -62,8 +62,17 @@ az functionapp config appsettings set `
   "TABLE_DOCUMENTS=documents" `
   "TABLE_SESSIONS=sessions" `
   "TABLE_JOBS=jobs" `
+  "TABLE_VERSIONS=versions" `
+  "TABLE_SHARES=shares" `
+  "TABLE_COMMENTS=comments" `
+  "TABLE_LIBRARY=library" `
   "QUEUE_OCR=q-ocr" `
   "QUEUE_EXPORT=q-export" `
+  "QUEUE_PAGES=q-pages" `
+  "QUEUE_MERGE=q-merge" `
+  "QUEUE_SPLIT=q-split" `
+  "QUEUE_CONVERT=q-convert" `
+  "QUEUE_SENSITIVE=q-sensitive" `
   "WEBSITE_RUN_FROM_PACKAGE=1" | Out-Null
 
 $originList = @("http://localhost:5173")
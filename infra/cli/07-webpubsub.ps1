@@ -0,0 +1,54 @@
+. "$PSScriptRoot/_shared.ps1"
+
+$state = Load-State
+if (-not $state) {
+  throw "State file not found. Run infra/cli/00-init.ps1 first."
+}
+
+if (-not $state.functionBaseUrl) {
+  throw "Function app missing in state. Run infra/cli/02-functions.ps1 first."
+}
+
+# State files written before collaboration existed have no Web PubSub name yet.
+if (-not $state.webPubSub) {
+  Set-StateValue -State $state -Name "webPubSub" -Value ("wps-$($state.prefix)-$($state.env)-$($state.suffix)").ToLower()
+}
+
+Ensure-ResourceGroup -State $state
+
+Write-Host "Creating Web PubSub service $($state.webPubSub) ..."
+$null = az webpubsub show -g $state.resourceGroup -n $state.webPubSub -o none 2>$null
+$created = ($LASTEXITCODE -eq 0)
+
+if (-not $created) {
+  az webpubsub create `
+    -g $state.resourceGroup `
+    -n $state.webPubSub `
+    -l $state.location `
+    --sku Free_F1 `
+    --tags "app=redarm" "env=$($state.env)" "tier=cheap" | Out-Null
+  if ($LASTEXITCODE -ne 0) {
+    throw "Failed to create Web PubSub service."
+  }
+}
+
+$connectionString = az webpubsub key show -g $state.resourceGroup -n $state.webPubSub --query primaryConnectionString -o tsv
+if ($LASTEXITCODE -ne 0 -or -not $connectionString) {
+  throw "Failed to read Web PubSub connection string."
+}
+$hostName = az webpubsub show -g $state.resourceGroup -n $state.webPubSub --query hostName -o tsv
+
+az functionapp config appsettings set `
+  -g $state.resourceGroup `
+  -n $state.functionApp `
+  --settings `
+  "WEBPUBSUB_CONNECTION_STRING=$connectionString" `
+  "WEBPUBSUB_HUB=annotations" | Out-Null
+if ($LASTEXITCODE -ne 0) {
+  throw "Failed to set Function App Web PubSub settings."
+}
+
+Set-StateValue -State $state -Name "webPubSubEndpoint" -Value "https://$hostName"
+Save-State -State $state
+
+Write-Host "Web PubSub configured."
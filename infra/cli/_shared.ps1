@@ -121,10 +121,11 @@ function Get-OrCreate-State {
     storageAccount = $storageBase.Substring(0, [Math]::Min(24, $storageBase.Length))
     functionApp = ("func-$Prefix-$Env-$suffix").ToLower()
     docIntel = ("di-$Prefix-$Env-$suffix").ToLower()
+    webPubSub = ("wps-$Prefix-$Env-$suffix").ToLower()
     budgetName = "budget-$Prefix-$Env"
     containers = @("pdf-source", "pdf-export", "ocr-json")
-    tables = @("users", "documents", "sessions", "jobs")
-    queues = @("q-ocr", "q-export")
+    tables = @("users", "documents", "sessions", "jobs", "versions", "shares", "comments")
+    queues = @("q-ocr", "q-export", "q-pages", "q-merge", "q-split", "q-convert", "q-sensitive")
     storageConnectionString = ""
     storageAccountKey = ""
     staticWebUrl = ""
@@ -132,6 +133,7 @@ function Get-OrCreate-State {
     bootstrapAdminEmail = ""
     bootstrapAdminPassword = ""
     docIntelEndpoint = ""
+    webPubSubEndpoint = ""
     tenantId = ""
     accountName = ""
   }